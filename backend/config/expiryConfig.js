@@ -0,0 +1,42 @@
+/**
+ * Expiry Configuration - Batch and expiry tracking for perishable inventory.
+ *
+ * Environment variables:
+ *   EXPIRY_ALERT_DAYS  Batches expiring within this many days are flagged (default 3)
+ *   EXPIRY_ALERT_HOUR  Hour of the day (0-23, server time) the daily expiry alert is sent (default 8)
+ */
+
+// Categories that must be received in batches with an expiry date
+const PERISHABLE_CATEGORIES = ['Meat', 'Produce'];
+
+const DEFAULT_EXPIRY_ALERT_DAYS = 3;
+const DEFAULT_EXPIRY_ALERT_HOUR = 8;
+
+const parseWholeNumber = (name, fallback, max) => {
+    if (process.env[name] === undefined) {
+        return fallback;
+    }
+    const value = Number(process.env[name]);
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+        console.warn(`⚠️  Invalid ${name} "${process.env[name]}", falling back to ${fallback}`);
+        return fallback;
+    }
+    return value;
+};
+
+const EXPIRY_ALERT_DAYS = parseWholeNumber('EXPIRY_ALERT_DAYS', DEFAULT_EXPIRY_ALERT_DAYS, 365);
+const EXPIRY_ALERT_HOUR = parseWholeNumber('EXPIRY_ALERT_HOUR', DEFAULT_EXPIRY_ALERT_HOUR, 23);
+
+/**
+ * Whether items in a category are received in batches with an expiry date.
+ * @param {string} category - Inventory category
+ * @returns {boolean}
+ */
+const isPerishableCategory = (category) => PERISHABLE_CATEGORIES.includes(category);
+
+module.exports = {
+    PERISHABLE_CATEGORIES,
+    EXPIRY_ALERT_DAYS,
+    EXPIRY_ALERT_HOUR,
+    isPerishableCategory
+};
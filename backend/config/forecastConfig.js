@@ -0,0 +1,34 @@
+/**
+ * Forecast Configuration - Reorder forecasting from sales history.
+ *
+ * Environment variables:
+ *   FORECAST_LOOKBACK_DAYS  Days of sales used to forecast ingredient consumption (default 28)
+ *   FORECAST_COVER_DAYS     Days of stock a reorder should last after it arrives (default 7)
+ */
+
+const DEFAULT_LOOKBACK_DAYS = 28;
+const DEFAULT_COVER_DAYS = 7;
+
+// Longest sales history a forecast can be asked to look back over
+const MAX_LOOKBACK_DAYS = 180;
+
+const parseDays = (name, fallback, max) => {
+    if (process.env[name] === undefined) {
+        return fallback;
+    }
+    const value = Number(process.env[name]);
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+        console.warn(`⚠️  Invalid ${name} "${process.env[name]}", falling back to ${fallback}`);
+        return fallback;
+    }
+    return value;
+};
+
+const FORECAST_LOOKBACK_DAYS = parseDays('FORECAST_LOOKBACK_DAYS', DEFAULT_LOOKBACK_DAYS, MAX_LOOKBACK_DAYS);
+const FORECAST_COVER_DAYS = parseDays('FORECAST_COVER_DAYS', DEFAULT_COVER_DAYS, 90);
+
+module.exports = {
+    MAX_LOOKBACK_DAYS,
+    FORECAST_LOOKBACK_DAYS,
+    FORECAST_COVER_DAYS
+};
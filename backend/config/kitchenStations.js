@@ -0,0 +1,49 @@
+/**
+ * Kitchen Stations - Which kitchen station prepares each menu category.
+ * The Kitchen Display System splits every order into one ticket per station using this map.
+ */
+
+const KITCHEN_STATIONS = [
+    {
+        key: 'tandoor',
+        name: 'Tandoor',
+        categories: ['Tandoori Momos', 'Sizzlers']
+    },
+    {
+        key: 'steamer-fryer',
+        name: 'Steamer / Fryer',
+        categories: ['Momos', 'Special Momos', 'Chinese Starters', 'Moburg', 'Special Dishes']
+    },
+    {
+        key: 'wok',
+        name: 'Wok',
+        categories: ['Noodles', 'Rice', 'Soups', 'Pasta', 'Maggi']
+    },
+    {
+        key: 'beverage',
+        name: 'Beverages',
+        categories: ['Beverages', 'Desserts']
+    }
+];
+
+// Items whose category is missing or unmapped (e.g. orders placed before categories were stored)
+const DEFAULT_STATION_KEY = 'steamer-fryer';
+
+const STATION_KEYS = KITCHEN_STATIONS.map(station => station.key);
+
+/**
+ * Station key for a menu category.
+ * @param {string} category - MenuItem category
+ * @returns {string} One of STATION_KEYS
+ */
+const getStationForCategory = (category) => {
+    const station = KITCHEN_STATIONS.find(s => s.categories.includes(category));
+    return station ? station.key : DEFAULT_STATION_KEY;
+};
+
+module.exports = {
+    KITCHEN_STATIONS,
+    DEFAULT_STATION_KEY,
+    STATION_KEYS,
+    getStationForCategory
+};
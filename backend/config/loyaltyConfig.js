@@ -0,0 +1,72 @@
+/**
+ * Loyalty Configuration - Points earned on paid bills and redeemed against later bills.
+ *
+ * Environment variables:
+ *   LOYALTY_POINTS_PER_RUPEE   Points earned per ₹ paid, before the tier multiplier (default 0.1, one point per ₹10)
+ *   LOYALTY_POINT_VALUE        ₹ taken off a bill per point redeemed (default 0.25)
+ *   LOYALTY_MIN_REDEEM_POINTS  Fewest points that can be redeemed at once (default 100)
+ *   LOYALTY_MAX_REDEEM_SHARE   Largest share of a bill that can be paid with points, 0-1 (default 0.5)
+ *   LOYALTY_EXPIRY_DAYS        Days after being earned that unused points expire (default 365)
+ */
+
+const DEFAULT_POINTS_PER_RUPEE = 0.1;
+const DEFAULT_POINT_VALUE = 0.25;
+const DEFAULT_MIN_REDEEM_POINTS = 100;
+const DEFAULT_MAX_REDEEM_SHARE = 0.5;
+const DEFAULT_EXPIRY_DAYS = 365;
+
+// Tiers by lifetime points earned; higher tiers earn points faster. Lowest first.
+const LOYALTY_TIERS = [
+    { name: 'Bronze', minLifetimePoints: 0, multiplier: 1 },
+    { name: 'Silver', minLifetimePoints: 1000, multiplier: 1.25 },
+    { name: 'Gold', minLifetimePoints: 5000, multiplier: 1.5 }
+];
+
+const parseNumber = (name, fallback, min, max) => {
+    if (process.env[name] === undefined) {
+        return fallback;
+    }
+    const value = Number(process.env[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+        console.warn(`⚠️  Invalid ${name} "${process.env[name]}", falling back to ${fallback}`);
+        return fallback;
+    }
+    return value;
+};
+
+const LOYALTY_POINTS_PER_RUPEE = parseNumber('LOYALTY_POINTS_PER_RUPEE', DEFAULT_POINTS_PER_RUPEE, 0, 100);
+const LOYALTY_POINT_VALUE = parseNumber('LOYALTY_POINT_VALUE', DEFAULT_POINT_VALUE, 0.01, 100);
+const LOYALTY_MIN_REDEEM_POINTS = Math.round(parseNumber('LOYALTY_MIN_REDEEM_POINTS', DEFAULT_MIN_REDEEM_POINTS, 1, 1000000));
+const LOYALTY_MAX_REDEEM_SHARE = parseNumber('LOYALTY_MAX_REDEEM_SHARE', DEFAULT_MAX_REDEEM_SHARE, 0, 1);
+const LOYALTY_EXPIRY_DAYS = Math.round(parseNumber('LOYALTY_EXPIRY_DAYS', DEFAULT_EXPIRY_DAYS, 1, 3650));
+
+/**
+ * Tier a customer is in, and the next one up.
+ * @param {number} lifetimePoints - Points the customer has ever earned
+ * @returns {Object} { name, multiplier, nextTier: { name, pointsNeeded } | null }
+ *
+ * @example
+ * getLoyaltyTier(1200); // => { name: 'Silver', multiplier: 1.25, nextTier: { name: 'Gold', pointsNeeded: 3800 } }
+ */
+const getLoyaltyTier = (lifetimePoints = 0) => {
+    const index = LOYALTY_TIERS.reduce(
+        (found, tier, i) => (lifetimePoints >= tier.minLifetimePoints ? i : found), 0
+    );
+    const tier = LOYALTY_TIERS[index];
+    const next = LOYALTY_TIERS[index + 1];
+    return {
+        name: tier.name,
+        multiplier: tier.multiplier,
+        nextTier: next ? { name: next.name, pointsNeeded: next.minLifetimePoints - lifetimePoints } : null
+    };
+};
+
+module.exports = {
+    LOYALTY_TIERS,
+    LOYALTY_POINTS_PER_RUPEE,
+    LOYALTY_POINT_VALUE,
+    LOYALTY_MIN_REDEEM_POINTS,
+    LOYALTY_MAX_REDEEM_SHARE,
+    LOYALTY_EXPIRY_DAYS,
+    getLoyaltyTier
+};
@@ -0,0 +1,65 @@
+/**
+ * Role Permissions - Permission matrix for admin dashboard logins.
+ * Each staff role maps to the dashboard sections it is allowed to use.
+ * The frontend mirrors this matrix in src/lib/permissions.js for the Sidebar and ProtectedRoute.
+ */
+
+// Dashboard sections that can be granted to a role
+const PERMISSIONS = {
+    ORDERS: 'orders',
+    PAYMENTS: 'payments',
+    BILLS: 'bills',
+    MENU: 'menu',
+    INVENTORY: 'inventory',
+    EMPLOYEES: 'employees',
+    ANALYTICS: 'analytics',
+    STAFF_ROLES: 'staff-roles'
+};
+
+// Roles that can be assigned to admin logins
+const ADMIN_ROLES = ['Manager', 'Cashier', 'Chef', 'Inventory Manager'];
+
+const ROLE_PERMISSIONS = {
+    'Manager': Object.values(PERMISSIONS),
+    'Cashier': [PERMISSIONS.PAYMENTS, PERMISSIONS.BILLS],
+    'Chef': [PERMISSIONS.ORDERS],
+    'Inventory Manager': [PERMISSIONS.INVENTORY]
+};
+
+// Employee positions (see employeeModel) that map onto a narrower role
+const POSITION_ROLE_MAP = {
+    'Head Chef': 'Chef',
+    'Sous Chef': 'Chef',
+    'Line Cook': 'Chef',
+    'Chef': 'Chef',
+    'Cashier': 'Cashier',
+    'Inventory Manager': 'Inventory Manager'
+};
+
+/**
+ * Derive a role from a free-text admin position.
+ * Positions that do not match a narrower role (e.g. "Super Admin") keep full access,
+ * which preserves the behaviour of logins created before roles existed.
+ * @param {string} position - Admin position title
+ * @returns {string} One of ADMIN_ROLES
+ */
+const getRoleForPosition = (position) => {
+    return POSITION_ROLE_MAP[position] || 'Manager';
+};
+
+/**
+ * Get the list of permissions granted to a role.
+ * @param {string} role - One of ADMIN_ROLES
+ * @returns {string[]} Permission keys
+ */
+const getPermissionsForRole = (role) => {
+    return ROLE_PERMISSIONS[role] || [];
+};
+
+module.exports = {
+    PERMISSIONS,
+    ADMIN_ROLES,
+    ROLE_PERMISSIONS,
+    getRoleForPosition,
+    getPermissionsForRole
+};
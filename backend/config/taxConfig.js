@@ -0,0 +1,80 @@
+/**
+ * Tax Configuration - GST settings applied to orders and bills on the server.
+ *
+ * Environment variables:
+ *   GST_RATE            Restaurant GST rate as a decimal fraction (default 0.05 = 5%), split equally into CGST and SGST
+ *   GSTIN               GST identification number printed on bills
+ *   GST_CATEGORY_RATES  JSON overrides per menu category, e.g.
+ *                       {"Beverages": {"rate": 0.18, "hsnCode": "2202"}}
+ */
+
+// Restaurant service GST under SAC 996331 (standalone restaurants, no input tax credit)
+const DEFAULT_GST_RATE = 0.05;
+const RESTAURANT_SAC_CODE = '996331';
+
+const isValidRate = (rate) => typeof rate === 'number' && rate >= 0 && rate < 1;
+
+const parseGstRate = () => {
+    if (process.env.GST_RATE === undefined) {
+        return DEFAULT_GST_RATE;
+    }
+    const rate = parseFloat(process.env.GST_RATE);
+    if (!isValidRate(rate)) {
+        console.warn(`⚠️  Invalid GST_RATE "${process.env.GST_RATE}", falling back to ${DEFAULT_GST_RATE}`);
+        return DEFAULT_GST_RATE;
+    }
+    return rate;
+};
+
+const parseCategoryRates = () => {
+    if (!process.env.GST_CATEGORY_RATES) {
+        return {};
+    }
+
+    try {
+        const overrides = JSON.parse(process.env.GST_CATEGORY_RATES);
+        const categoryRates = {};
+
+        Object.entries(overrides).forEach(([category, override]) => {
+            const rate = Number(override?.rate);
+            if (!isValidRate(rate)) {
+                console.warn(`⚠️  Ignoring GST override for "${category}": invalid rate`);
+                return;
+            }
+            categoryRates[category] = {
+                rate,
+                hsnCode: override.hsnCode ? String(override.hsnCode) : RESTAURANT_SAC_CODE
+            };
+        });
+
+        return categoryRates;
+    } catch (error) {
+        console.warn('⚠️  GST_CATEGORY_RATES is not valid JSON, category overrides disabled');
+        return {};
+    }
+};
+
+const GST_RATE = parseGstRate();
+const GSTIN = (process.env.GSTIN || '').trim().toUpperCase();
+const CATEGORY_GST_RATES = parseCategoryRates();
+
+/**
+ * GST rate and HSN/SAC code for a menu category.
+ * @param {string} category - MenuItem category
+ * @returns {{ gstRate: number, hsnCode: string }}
+ */
+const getGstForCategory = (category) => {
+    const override = CATEGORY_GST_RATES[category];
+    if (override) {
+        return { gstRate: override.rate, hsnCode: override.hsnCode };
+    }
+    return { gstRate: GST_RATE, hsnCode: RESTAURANT_SAC_CODE };
+};
+
+module.exports = {
+    GST_RATE,
+    GSTIN,
+    RESTAURANT_SAC_CODE,
+    CATEGORY_GST_RATES,
+    getGstForCategory
+};
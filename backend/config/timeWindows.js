@@ -0,0 +1,88 @@
+/**
+ * Time Windows - Weekly windows ("Fri 22:00 to 02:00") and date ranges used by pricing rules,
+ * menu item schedules and dayparts.
+ * Times and dates are read in IST, like the sales reports, whatever time zone the server runs in.
+ */
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Times are "HH:MM"; a window may run past midnight (e.g. 22:00 to 02:00) and may end at "24:00"
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const END_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+// Dates are "YYYY-MM-DD"
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+/**
+ * Minutes since midnight of an "HH:MM" time ("24:00" is 1440).
+ * @param {string} time
+ * @returns {number}
+ */
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Day of the week, minutes since midnight and date of a moment in IST.
+ * @param {Date} at
+ * @returns {Object} { day (0 = Sunday), minutes, date ("YYYY-MM-DD") }
+ */
+const getIstClock = (at) => {
+    const istTime = new Date(at.getTime() + IST_OFFSET_MS);
+    return {
+        day: istTime.getUTCDay(),
+        minutes: istTime.getUTCHours() * 60 + istTime.getUTCMinutes(),
+        date: istTime.toISOString().slice(0, 10)
+    };
+};
+
+/**
+ * Whether a window runs on a day of the week (0 = Sunday).
+ * @param {Object} window - { daysOfWeek } (empty for every day)
+ * @param {number} day
+ * @returns {boolean}
+ */
+const runsOnDay = (window, day) => window.daysOfWeek.length === 0 || window.daysOfWeek.includes(day);
+
+/**
+ * Whether a moment falls inside a weekly window.
+ * A window that runs past midnight belongs to the day it starts on, so a Friday 22:00-02:00 window
+ * still covers 01:00 on Saturday.
+ *
+ * @param {Object} window - { daysOfWeek, startTime, endTime }
+ * @param {Date} at - Moment to check
+ * @returns {boolean}
+ */
+const isWithinWindow = (window, at) => {
+    const { day, minutes } = getIstClock(at);
+    const start = toMinutes(window.startTime);
+    const end = toMinutes(window.endTime);
+
+    if (start < end) {
+        return runsOnDay(window, day) && minutes >= start && minutes < end;
+    }
+    // Past midnight: the evening part today, or the early-morning part of yesterday's window
+    return (runsOnDay(window, day) && minutes >= start)
+        || (runsOnDay(window, (day + 6) % 7) && minutes < end);
+};
+
+/**
+ * Whether a moment falls inside a date range. Both ends are included; an empty end is open.
+ * @param {string} fromDate - "YYYY-MM-DD" or ''
+ * @param {string} untilDate - "YYYY-MM-DD" or ''
+ * @param {Date} at - Moment to check
+ * @returns {boolean}
+ */
+const isWithinDateRange = (fromDate, untilDate, at) => {
+    const { date } = getIstClock(at);
+    return (!fromDate || date >= fromDate) && (!untilDate || date <= untilDate);
+};
+
+module.exports = {
+    TIME_PATTERN,
+    END_TIME_PATTERN,
+    DATE_PATTERN,
+    isWithinWindow,
+    isWithinDateRange
+};
@@ -0,0 +1,63 @@
+/**
+ * Units of Measure - Units used for inventory stock and menu recipes, with conversions.
+ * Units convert only within the same dimension (mass, volume, count, packs).
+ */
+
+// factor = how many base units (g, mL, pcs, pks) one unit holds
+const UNIT_DEFINITIONS = {
+    kg: { dimension: 'mass', factor: 1000 },
+    g: { dimension: 'mass', factor: 1 },
+    L: { dimension: 'volume', factor: 1000 },
+    mL: { dimension: 'volume', factor: 1 },
+    pcs: { dimension: 'count', factor: 1 },
+    pks: { dimension: 'packs', factor: 1 }
+};
+
+const UNITS_OF_MEASURE = Object.keys(UNIT_DEFINITIONS);
+
+// Converted quantities are rounded to avoid floating point noise (e.g. 0.12000000000000001 kg)
+const QUANTITY_DECIMALS = 4;
+
+/**
+ * Round a stock quantity to the precision stock is kept at.
+ * @param {number} quantity
+ * @returns {number}
+ */
+const roundQuantity = (quantity) => Number(quantity.toFixed(QUANTITY_DECIMALS));
+
+/**
+ * Whether a quantity in one unit can be expressed in another.
+ * @param {string} fromUnit
+ * @param {string} toUnit
+ * @returns {boolean}
+ */
+const areUnitsCompatible = (fromUnit, toUnit) => {
+    const from = UNIT_DEFINITIONS[fromUnit];
+    const to = UNIT_DEFINITIONS[toUnit];
+    return Boolean(from && to && from.dimension === to.dimension);
+};
+
+/**
+ * Convert a quantity between compatible units.
+ * @param {number} quantity
+ * @param {string} fromUnit - One of UNITS_OF_MEASURE
+ * @param {string} toUnit - One of UNITS_OF_MEASURE
+ * @returns {number|null} Converted quantity, or null if the units are not compatible
+ *
+ * @example
+ * convertQuantity(120, 'g', 'kg'); // => 0.12
+ */
+const convertQuantity = (quantity, fromUnit, toUnit) => {
+    if (!areUnitsCompatible(fromUnit, toUnit)) {
+        return null;
+    }
+
+    return roundQuantity(quantity * UNIT_DEFINITIONS[fromUnit].factor / UNIT_DEFINITIONS[toUnit].factor);
+};
+
+module.exports = {
+    UNITS_OF_MEASURE,
+    roundQuantity,
+    areUnitsCompatible,
+    convertQuantity
+};
@@ -0,0 +1,32 @@
+/**
+ * UPI Configuration - Account customers pay into by scanning the QR code on their bill.
+ *
+ * Environment variables:
+ *   UPI_VPA         UPI ID (virtual payment address) payments go to, e.g. momomagic@okicici. UPI QR codes are off without it.
+ *   UPI_PAYEE_NAME  Name shown in the customer's UPI app (default "Momo Magic")
+ */
+
+const DEFAULT_PAYEE_NAME = 'Momo Magic';
+
+// handle@bank, as issued by UPI apps and banks
+const VPA_PATTERN = /^[a-zA-Z0-9.\-_]{2,256}@[a-zA-Z][a-zA-Z0-9.\-]{1,64}$/;
+
+const parseVpa = () => {
+    const vpa = (process.env.UPI_VPA || '').trim();
+    if (!vpa) {
+        return null;
+    }
+    if (!VPA_PATTERN.test(vpa)) {
+        console.warn(`⚠️  Invalid UPI_VPA "${vpa}", UPI QR codes disabled`);
+        return null;
+    }
+    return vpa;
+};
+
+const UPI_VPA = parseVpa();
+const UPI_PAYEE_NAME = (process.env.UPI_PAYEE_NAME || '').trim() || DEFAULT_PAYEE_NAME;
+
+module.exports = {
+    UPI_VPA,
+    UPI_PAYEE_NAME
+};
@@ -8,20 +8,26 @@ const bcrypt = require('bcryptjs');
 const Admin = require('../models/adminModel');
 const OTPLog = require('../models/otpLogModel');
 const { generateOTP, sendOTPWithRetry } = require('../services/fast2smsService');
+const { ADMIN_ROLES } = require('../config/rolePermissions');
 
 /**
  * @desc    Register new admin
  * @route   POST /api/admin/register
- * @access  Public (should be protected or removed in prod after initial setup)
+ * @access  Private (Admin - staff-roles permission)
  */
 const registerAdmin = async (req, res) => {
-    const { name, email, phoneNumber, password, position } = req.body;
+    const { name, email, phoneNumber, password, position, role } = req.body;
 
     if (!name || !email || !phoneNumber || !password || !position) {
         res.status(400).json({ message: 'Please add all fields' });
         return;
     }
 
+    if (role && !ADMIN_ROLES.includes(role)) {
+        res.status(400).json({ message: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}` });
+        return;
+    }
+
     // Check if admin exists
     const adminExists = await Admin.findOne({ email });
 
@@ -36,7 +42,8 @@ const registerAdmin = async (req, res) => {
         email,
         phoneNumber,
         password,
-        position
+        position,
+        ...(role && { role })
     });
 
     if (admin) {
@@ -44,7 +51,8 @@ const registerAdmin = async (req, res) => {
             _id: admin.id,
             name: admin.name,
             email: admin.email,
-            token: generateToken(admin._id)
+            position: admin.position,
+            role: admin.role
         });
     } else {
         res.status(400).json({ message: 'Invalid admin data' });
@@ -77,6 +85,8 @@ const loginAdmin = async (req, res) => {
             email: admin.email,
             phoneNumber: admin.phoneNumber,
             position: admin.position,
+            role: admin.role,
+            permissions: admin.getPermissions(),
             token: generateToken(admin._id),
             lastLoginDateTime: admin.lastLoginDateTime,
             createdAt: admin.createdAt
@@ -294,6 +304,108 @@ const getOTPLogs = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Get the logged-in admin's profile and permissions
+ * @route   GET /api/admin/me
+ * @access  Private (Admin)
+ */
+const getCurrentAdmin = async (req, res) => {
+    const admin = req.admin;
+
+    res.status(200).json({
+        _id: admin.id,
+        name: admin.name,
+        email: admin.email,
+        phoneNumber: admin.phoneNumber,
+        position: admin.position,
+        role: admin.role,
+        permissions: admin.getPermissions(),
+        lastLoginDateTime: admin.lastLoginDateTime,
+        createdAt: admin.createdAt
+    });
+};
+
+/**
+ * @desc    Get all staff login accounts with their roles
+ * @route   GET /api/admin/staff
+ * @access  Private (Admin - staff-roles permission)
+ */
+const getStaffAccounts = async (req, res) => {
+    try {
+        const staffAccounts = await Admin.find({})
+            .select('-password')
+            .sort({ name: 1 });
+
+        res.status(200).json({
+            roles: ADMIN_ROLES,
+            staff: staffAccounts.map(admin => ({
+                _id: admin.id,
+                name: admin.name,
+                email: admin.email,
+                phoneNumber: admin.phoneNumber,
+                position: admin.position,
+                role: admin.role,
+                permissions: admin.getPermissions(),
+                lastLoginDateTime: admin.lastLoginDateTime
+            }))
+        });
+    } catch (error) {
+        console.error('Error in getStaffAccounts:', error);
+        res.status(500).json({ message: 'Server error while fetching staff accounts' });
+    }
+};
+
+/**
+ * @desc    Assign a role to a staff login account
+ * @route   PUT /api/admin/staff/:id/role
+ * @access  Private (Admin - staff-roles permission)
+ *
+ * @param {string} req.body.role - One of ADMIN_ROLES
+ */
+const updateStaffRole = async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!role || !ADMIN_ROLES.includes(role)) {
+            return res.status(400).json({ message: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}` });
+        }
+
+        // Prevent managers from locking themselves out of role management
+        if (req.admin.id === req.params.id) {
+            return res.status(400).json({ message: 'You cannot change your own role' });
+        }
+
+        const admin = await Admin.findByIdAndUpdate(
+            req.params.id,
+            { role },
+            { new: true, runValidators: true }
+        ).select('-password');
+
+        if (!admin) {
+            return res.status(404).json({ message: 'Staff account not found' });
+        }
+
+        res.status(200).json({
+            _id: admin.id,
+            name: admin.name,
+            email: admin.email,
+            phoneNumber: admin.phoneNumber,
+            position: admin.position,
+            role: admin.role,
+            permissions: admin.getPermissions(),
+            lastLoginDateTime: admin.lastLoginDateTime
+        });
+    } catch (error) {
+        console.error('Error in updateStaffRole:', error);
+
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid staff account ID format' });
+        }
+
+        res.status(500).json({ message: 'Server error while updating staff role' });
+    }
+};
+
 // Generate JWT
 const generateToken = (id) => {
     return jwt.sign({ id }, process.env.JWT_SECRET || 'abc12345', {
@@ -306,6 +418,9 @@ module.exports = {
     loginAdmin,
     requestPasswordReset,
     verifyOTPAndResetPassword,
-    getOTPLogs
+    getOTPLogs,
+    getCurrentAdmin,
+    getStaffAccounts,
+    updateStaffRole
 };
 
@@ -0,0 +1,135 @@
+/**
+ * Daypart Controller - Handles CRUD operations for dayparts (breakfast, dinner and so on).
+ * Categories listed on a daypart are only on the menu while it is running (see services/menuScheduleService.js).
+ */
+
+const Daypart = require('../models/daypartModel');
+const { isWithinWindow } = require('../config/timeWindows');
+const { handleSaveError } = require('../utils/saveErrorResponse');
+
+const SAVE_ERROR_OPTIONS = { label: 'daypart' };
+
+// Fields an admin can set on a daypart
+const DAYPART_FIELDS = ['name', 'categories', 'daysOfWeek', 'startTime', 'endTime', 'isActive'];
+
+/**
+ * Copy the editable daypart fields from a request body.
+ * @param {Object} body - Request body
+ * @returns {Object} Only the fields present in DAYPART_FIELDS
+ */
+const pickDaypartFields = (body) => {
+    return DAYPART_FIELDS.reduce((fields, key) => {
+        if (body[key] !== undefined) fields[key] = body[key];
+        return fields;
+    }, {});
+};
+
+/**
+ * A daypart as returned by the API, with whether it is running right now.
+ * @param {Document} daypart
+ * @returns {Object}
+ */
+const toDaypartResponse = (daypart) => ({
+    ...daypart.toJSON(),
+    inEffect: daypart.isActive && isWithinWindow(daypart, new Date())
+});
+
+/**
+ * Tell customer menus to reload the items and categories being served.
+ * @param {Object} req - Express request (for the Socket.IO server)
+ */
+const notifyScheduleChange = (req) => {
+    const socketServer = req.app.get('io');
+    if (socketServer) {
+        socketServer.emit('menu:scheduleUpdate');
+    }
+};
+
+/**
+ * @desc    Get all dayparts, with whether each is running right now
+ * @route   GET /api/dayparts
+ * @access  Private (Admin)
+ */
+const getAllDayparts = async (req, res) => {
+    try {
+        const dayparts = await Daypart.find({}).sort({ startTime: 1, name: 1 });
+
+        res.status(200).json(dayparts.map(toDaypartResponse));
+    } catch (error) {
+        console.error('Error fetching dayparts:', error);
+        res.status(500).json({ message: 'Server error while fetching dayparts' });
+    }
+};
+
+/**
+ * @desc    Create daypart
+ * @route   POST /api/dayparts
+ * @access  Private (Admin)
+ */
+const createDaypart = async (req, res) => {
+    try {
+        const daypart = await Daypart.create(pickDaypartFields(req.body));
+
+        notifyScheduleChange(req);
+        res.status(201).json(toDaypartResponse(daypart));
+    } catch (error) {
+        console.error('Error creating daypart:', error);
+        if (handleSaveError(error, res, SAVE_ERROR_OPTIONS)) return;
+        res.status(500).json({ message: 'Server error while creating daypart' });
+    }
+};
+
+/**
+ * @desc    Update daypart
+ * @route   PUT /api/dayparts/:id
+ * @access  Private (Admin)
+ */
+const updateDaypart = async (req, res) => {
+    try {
+        const daypart = await Daypart.findById(req.params.id);
+
+        if (!daypart) {
+            return res.status(404).json({ message: 'Daypart not found' });
+        }
+
+        daypart.set(pickDaypartFields(req.body));
+        await daypart.save();
+
+        notifyScheduleChange(req);
+        res.status(200).json(toDaypartResponse(daypart));
+    } catch (error) {
+        console.error('Error updating daypart:', error);
+        if (handleSaveError(error, res, SAVE_ERROR_OPTIONS)) return;
+        res.status(500).json({ message: 'Server error while updating daypart' });
+    }
+};
+
+/**
+ * @desc    Delete daypart
+ * @route   DELETE /api/dayparts/:id
+ * @access  Private (Admin)
+ * Its categories are served all day again unless another daypart lists them.
+ */
+const deleteDaypart = async (req, res) => {
+    try {
+        const daypart = await Daypart.findByIdAndDelete(req.params.id);
+
+        if (!daypart) {
+            return res.status(404).json({ message: 'Daypart not found' });
+        }
+
+        notifyScheduleChange(req);
+        res.status(200).json({ message: 'Daypart deleted successfully', id: req.params.id });
+    } catch (error) {
+        console.error('Error deleting daypart:', error);
+        if (handleSaveError(error, res, SAVE_ERROR_OPTIONS)) return;
+        res.status(500).json({ message: 'Server error while deleting daypart' });
+    }
+};
+
+module.exports = {
+    getAllDayparts,
+    createDaypart,
+    updateDaypart,
+    deleteDaypart
+};
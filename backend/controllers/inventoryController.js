@@ -1,12 +1,75 @@
 /**
  * Inventory Controller - Handles all CRUD operations for inventory items.
- * Provides endpoints for fetching, creating, updating, and deleting inventory items.
+ * Provides endpoints for fetching, creating, updating, and deleting inventory items,
+ * plus the stock ledger (movement history, wastage and adjustments), stock valuation,
+ * expiry tracking of perishable batches and reorder forecasting from sales.
  */
 
+const mongoose = require('mongoose');
 const Inventory = require('../models/inventoryModel');
+const StockMovement = require('../models/stockMovementModel');
+const { syncMenuAvailability } = require('../services/menuAvailabilityService');
+const {
+    VALUATION_METHODS,
+    recordStockMovements,
+    recordOpeningStock,
+    recordStockLevel,
+    buildInventoryValuation
+} = require('../services/stockLedgerService');
+const { getExpiringBatches } = require('../services/expiryService');
+const { buildReorderForecast } = require('../services/reorderService');
+const { EXPIRY_ALERT_DAYS, isPerishableCategory } = require('../config/expiryConfig');
+const { FORECAST_LOOKBACK_DAYS, MAX_LOOKBACK_DAYS } = require('../config/forecastConfig');
 const { Parser } = require('json2csv');
 const csv = require('csv-parser');
 const fs = require('fs');
+const { getActor } = require('../utils/adminActor');
+
+// Movements staff can record by hand; the rest come from orders, deliveries and stock-takes
+const MANUAL_MOVEMENT_TYPES = ['wastage', 'spoilage', 'adjustment'];
+
+// Fields an admin can change on the inventory form; stock, batches and costs only change through the ledger
+const INVENTORY_FIELDS = [
+    'name', 'category', 'initialQuantity', 'unitOfMeasure', 'threshold',
+    'supplier', 'supplierName', 'sku', 'description', 'imageUrl'
+];
+
+/**
+ * Copy the editable inventory fields from a request body or CSV row.
+ * @param {Object} source - Request body or CSV row
+ * @returns {Object} Only the fields present in INVENTORY_FIELDS
+ */
+const pickInventoryFields = (source) => {
+    return INVENTORY_FIELDS.reduce((fields, key) => {
+        if (source[key] !== undefined) fields[key] = source[key];
+        return fields;
+    }, {});
+};
+
+/**
+ * Whether changing an item's unit is refused: its past movements and batches are counted
+ * in the old unit, so it cannot change under them.
+ * @param {Document} inventoryItem - Inventory item as stored
+ * @param {string} unitOfMeasure - Requested unit (undefined when not being changed)
+ * @returns {Promise<boolean>}
+ */
+const isUnitLocked = async (inventoryItem, unitOfMeasure) => {
+    if (unitOfMeasure === undefined || unitOfMeasure === inventoryItem.unitOfMeasure) return false;
+    return Boolean(await StockMovement.exists({ inventoryItem: inventoryItem._id }));
+};
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Read the lookback period of a reorder forecast from the query string.
+ * @param {Object} query - req.query
+ * @returns {number|null} Days to look back, or null if invalid
+ */
+const parseLookbackDays = (query) => {
+    if (query.days === undefined) return FORECAST_LOOKBACK_DAYS;
+    const days = Number(query.days);
+    return Number.isInteger(days) && days >= 1 && days <= MAX_LOOKBACK_DAYS ? days : null;
+};
 
 /**
  * @desc    Get all inventory items
@@ -63,6 +126,74 @@ const getInventoryStats = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Get the value of stock on hand
+ * @route   GET /api/inventory/valuation
+ * @access  Private (Admin)
+ * @query   method - fifo (default) or weighted-average
+ */
+const getInventoryValuation = async (req, res) => {
+    try {
+        const method = req.query.method || 'fifo';
+
+        if (!VALUATION_METHODS.includes(method)) {
+            return res.status(400).json({ message: `Valuation method must be one of: ${VALUATION_METHODS.join(', ')}` });
+        }
+
+        const valuation = await buildInventoryValuation(method);
+
+        res.status(200).json(valuation);
+    } catch (error) {
+        console.error('Error valuing inventory:', error);
+        res.status(500).json({ message: 'Server error while valuing inventory' });
+    }
+};
+
+/**
+ * @desc    Get stock batches expiring soon (or already expired), soonest first
+ * @route   GET /api/inventory/expiring
+ * @access  Private (Admin)
+ * @query   days - Days ahead to look (default EXPIRY_ALERT_DAYS)
+ */
+const getExpiringInventory = async (req, res) => {
+    try {
+        const days = req.query.days === undefined ? EXPIRY_ALERT_DAYS : Number(req.query.days);
+
+        if (!Number.isInteger(days) || days < 0 || days > 365) {
+            return res.status(400).json({ message: 'Days must be a whole number between 0 and 365' });
+        }
+
+        const batches = await getExpiringBatches(days);
+
+        res.status(200).json({ days, batches });
+    } catch (error) {
+        console.error('Error fetching expiring inventory:', error);
+        res.status(500).json({ message: 'Server error while fetching expiring inventory' });
+    }
+};
+
+/**
+ * @desc    Forecast ingredient consumption from sales and suggest reorder quantities
+ * @route   GET /api/inventory/forecast
+ * @access  Private (Admin)
+ * @query   days - Days of sales history to use (default FORECAST_LOOKBACK_DAYS)
+ */
+const getReorderForecast = async (req, res) => {
+    try {
+        const days = parseLookbackDays(req.query);
+        if (days === null) {
+            return res.status(400).json({ message: `Days must be a whole number between 1 and ${MAX_LOOKBACK_DAYS}` });
+        }
+
+        const forecast = await buildReorderForecast(days);
+
+        res.status(200).json(forecast);
+    } catch (error) {
+        console.error('Error forecasting inventory:', error);
+        res.status(500).json({ message: 'Server error while forecasting inventory' });
+    }
+};
+
 /**
  * @desc    Get single inventory item by ID
  * @route   GET /api/inventory/:id
@@ -93,6 +224,8 @@ const getInventoryItemById = async (req, res) => {
  * @desc    Create new inventory item
  * @route   POST /api/inventory
  * @access  Private (Admin)
+ * @body    expiryDate and batchNumber (optional) put the opening stock in a batch;
+ *          perishable categories need an expiryDate when they start with stock
  */
 const createInventoryItem = async (req, res) => {
     try {
@@ -103,7 +236,11 @@ const createInventoryItem = async (req, res) => {
             currentQuantity,
             unitOfMeasure,
             threshold,
+            supplier,
             supplierName,
+            unitCost,
+            expiryDate,
+            batchNumber,
             sku,
             description,
             imageUrl
@@ -116,6 +253,15 @@ const createInventoryItem = async (req, res) => {
             });
         }
 
+        const openingQuantity = Number(currentQuantity !== undefined ? currentQuantity : initialQuantity);
+        const openingExpiry = expiryDate ? new Date(expiryDate) : null;
+        if (openingExpiry && Number.isNaN(openingExpiry.getTime())) {
+            return res.status(400).json({ message: 'Enter a valid expiry date' });
+        }
+        if (!openingExpiry && openingQuantity > 0 && isPerishableCategory(category)) {
+            return res.status(400).json({ message: `Enter the expiry date of the opening ${category.toLowerCase()} stock` });
+        }
+
         const inventoryItem = await Inventory.create({
             name,
             category,
@@ -123,12 +269,26 @@ const createInventoryItem = async (req, res) => {
             currentQuantity: currentQuantity !== undefined ? currentQuantity : initialQuantity,
             unitOfMeasure,
             threshold: threshold || 10,
+            supplier: supplier || null,
             supplierName: supplierName || '',
+            lastUnitCost: unitCost ?? null,
+            batches: openingExpiry && openingQuantity > 0 ? [{
+                batchNumber: batchNumber || 'Opening',
+                quantity: openingQuantity,
+                receivedQuantity: openingQuantity,
+                expiryDate: openingExpiry,
+                unitCost: unitCost ?? null
+            }] : [],
             sku: sku || '',
             description: description || '',
             imageUrl: imageUrl || ''
         });
 
+        await recordOpeningStock(inventoryItem, {
+            unitCost: inventoryItem.lastUnitCost,
+            performedBy: getActor(req.admin)
+        });
+
         res.status(201).json(inventoryItem);
     } catch (error) {
         console.error('Error creating inventory item:', error);
@@ -147,22 +307,54 @@ const createInventoryItem = async (req, res) => {
  * @desc    Update inventory item
  * @route   PUT /api/inventory/:id
  * @access  Private (Admin)
+ * @body    Any of INVENTORY_FIELDS; unitOfMeasure is fixed once the item has stock movements.
+ *          currentQuantity (optional) is recorded in the stock ledger as an adjustment,
+ *          with adjustmentReason as its reason
  */
 const updateInventoryItem = async (req, res) => {
     try {
+        const { currentQuantity, adjustmentReason } = req.body;
+        const updates = pickInventoryFields(req.body);
+
         const inventoryItem = await Inventory.findById(req.params.id);
 
         if (!inventoryItem) {
             return res.status(404).json({ message: 'Inventory item not found' });
         }
 
+        if (await isUnitLocked(inventoryItem, updates.unitOfMeasure)) {
+            return res.status(400).json({
+                message: `The unit of ${inventoryItem.name} cannot change once it has stock movements`
+            });
+        }
+
+        const targetQuantity = Number(currentQuantity);
+        if (currentQuantity !== undefined && (!Number.isFinite(targetQuantity) || targetQuantity < 0)) {
+            return res.status(400).json({ message: 'Quantity cannot be negative' });
+        }
+
         // Update only provided fields
         const updatedInventoryItem = await Inventory.findByIdAndUpdate(
             req.params.id,
-            req.body,
+            updates,
             { new: true, runValidators: true }
         );
 
+        // Stock only changes through the ledger
+        if (currentQuantity !== undefined) {
+            const movement = await recordStockLevel(updatedInventoryItem, targetQuantity, {
+                type: 'adjustment',
+                reason: adjustmentReason || 'Corrected on the inventory form',
+                performedBy: getActor(req.admin)
+            });
+            if (movement) {
+                updatedInventoryItem.currentQuantity = movement.balanceAfter;
+            }
+        }
+
+        // Stock or unit changes can take menu items out of (or back into) availability
+        await syncMenuAvailability(req.app.get('io'), { inventoryIds: [updatedInventoryItem._id] });
+
         res.status(200).json(updatedInventoryItem);
     } catch (error) {
         console.error('Error updating inventory item:', error);
@@ -195,8 +387,12 @@ const deleteInventoryItem = async (req, res) => {
             return res.status(404).json({ message: 'Inventory item not found' });
         }
 
+        // Its stock movements are kept for the ledger history
         await Inventory.findByIdAndDelete(req.params.id);
 
+        // Recipes no longer count a deleted ingredient, so items it blocked come back
+        await syncMenuAvailability(req.app.get('io'), { inventoryIds: [inventoryItem._id] });
+
         res.status(200).json({ message: 'Inventory item deleted successfully', id: req.params.id });
     } catch (error) {
         console.error('Error deleting inventory item:', error);
@@ -231,10 +427,61 @@ const exportInventory = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Export the reorder forecast to CSV (one row per item, usage by day of week)
+ * @route   GET /api/inventory/forecast/export/csv
+ * @access  Private (Admin)
+ * @query   days - Days of sales history to use (default FORECAST_LOOKBACK_DAYS)
+ */
+const exportReorderForecast = async (req, res) => {
+    try {
+        const days = parseLookbackDays(req.query);
+        if (days === null) {
+            return res.status(400).json({ message: `Days must be a whole number between 1 and ${MAX_LOOKBACK_DAYS}` });
+        }
+
+        const forecast = await buildReorderForecast(days);
+
+        const rows = forecast.items.map(item => ({
+            name: item.name,
+            category: item.category,
+            unitOfMeasure: item.unitOfMeasure,
+            currentQuantity: item.currentQuantity,
+            quantityOnOrder: item.quantityOnOrder,
+            averageDailyUsage: item.averageDailyUsage,
+            ...Object.fromEntries(DAY_NAMES.map((day, index) => [`usage${day}`, item.usageByDayOfWeek[index]])),
+            daysOfStockLeft: item.daysOfStockLeft ?? '',
+            supplierName: item.supplierName,
+            leadTimeDays: item.leadTimeDays,
+            threshold: item.threshold,
+            reorderPoint: item.reorderPoint,
+            suggestedQuantity: item.suggestedQuantity
+        }));
+
+        const fields = [
+            'name', 'category', 'unitOfMeasure', 'currentQuantity', 'quantityOnOrder',
+            'averageDailyUsage', ...DAY_NAMES.map(day => `usage${day}`), 'daysOfStockLeft',
+            'supplierName', 'leadTimeDays', 'threshold', 'reorderPoint', 'suggestedQuantity'
+        ];
+        const json2csvParser = new Parser({ fields });
+        const csv = json2csvParser.parse(rows);
+
+        res.header('Content-Type', 'text/csv');
+        res.attachment('suggested-orders.csv');
+        return res.send(csv);
+    } catch (error) {
+        console.error('Error exporting reorder forecast:', error);
+        res.status(500).json({ message: 'Server error while exporting reorder forecast' });
+    }
+};
+
 /**
  * @desc    Import inventory items from CSV
  * @route   POST /api/inventory/import
  * @access  Private (Admin)
+ * Only INVENTORY_FIELDS are imported, and a row cannot change the unit of an item with stock movements.
+ * Rows that add stock to a perishable category need an expiryDate column (batchNumber optional)
+ * and the added stock goes into a batch. Rows that fail a check are skipped and listed in `skipped`.
  */
 const importInventory = async (req, res) => {
     try {
@@ -250,19 +497,66 @@ const importInventory = async (req, res) => {
                 try {
                     // Process each item
                     let count = 0;
+                    const skipped = [];
                     for (const item of results) {
                         // Basic validation
                         if (item.name && item.category && item.initialQuantity && item.unitOfMeasure) {
-                            await Inventory.findOneAndUpdate(
+                            const { currentQuantity, expiryDate, batchNumber } = item;
+                            const fields = pickInventoryFields(item);
+                            // An empty supplier cell unlinks the supplier
+                            if (fields.supplier === '') fields.supplier = null;
+                            if (fields.supplier && !mongoose.isValidObjectId(fields.supplier)) {
+                                skipped.push({ name: item.name, reason: 'supplier must be a supplier ID' });
+                                continue;
+                            }
+
+                            const existingItem = await Inventory.findOne(
                                 { name: item.name },
-                                {
-                                    ...item,
-                                    initialQuantity: Number(item.initialQuantity),
-                                    currentQuantity: item.currentQuantity ? Number(item.currentQuantity) : Number(item.initialQuantity),
-                                    threshold: Number(item.threshold) || 10
-                                },
-                                { upsert: true, new: true, setDefaultsOnInsert: true }
+                                { currentQuantity: 1, unitOfMeasure: 1 }
                             );
+                            const isExisting = existingItem !== null;
+                            if (isExisting && await isUnitLocked(existingItem, fields.unitOfMeasure)) {
+                                skipped.push({
+                                    name: item.name,
+                                    reason: `Unit cannot change from ${existingItem.unitOfMeasure} once the item has stock movements`
+                                });
+                                continue;
+                            }
+                            const targetQuantity = currentQuantity ? Number(currentQuantity) : Number(item.initialQuantity);
+
+                            const batchExpiry = expiryDate ? new Date(expiryDate) : null;
+                            const addsStock = targetQuantity > (isExisting ? existingItem.currentQuantity : 0);
+                            if (addsStock && isPerishableCategory(item.category)
+                                && (!batchExpiry || Number.isNaN(batchExpiry.getTime()))) {
+                                skipped.push({ name: item.name, reason: 'Perishable stock needs a valid expiryDate' });
+                                continue;
+                            }
+
+                            // New items start empty and get their stock through the ledger below
+                            let inventoryItem;
+                            try {
+                                inventoryItem = await Inventory.findOneAndUpdate(
+                                    { name: item.name },
+                                    {
+                                        ...fields,
+                                        initialQuantity: Number(item.initialQuantity),
+                                        threshold: Number(item.threshold) || 10,
+                                        $setOnInsert: { currentQuantity: 0 }
+                                    },
+                                    { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+                                );
+                            } catch (saveError) {
+                                if (saveError.name !== 'ValidationError' && saveError.name !== 'CastError') throw saveError;
+                                skipped.push({ name: item.name, reason: saveError.message });
+                                continue;
+                            }
+
+                            await recordStockLevel(inventoryItem, targetQuantity, {
+                                type: isExisting ? 'adjustment' : 'opening',
+                                reason: isExisting ? 'Set by CSV import' : 'Opening stock',
+                                batch: batchExpiry ? { batchNumber: batchNumber || 'CSV import', expiryDate: batchExpiry } : undefined,
+                                performedBy: getActor(req.admin)
+                            });
                             count++;
                         }
                     }
@@ -270,7 +564,14 @@ const importInventory = async (req, res) => {
                     // Remove the temporary file
                     fs.unlinkSync(req.file.path);
 
-                    res.status(200).json({ message: `Successfully imported/updated ${count} inventory items` });
+                    await syncMenuAvailability(req.app.get('io'));
+
+                    res.status(200).json({
+                        message: skipped.length > 0
+                            ? `Successfully imported/updated ${count} inventory items, skipped ${skipped.length}`
+                            : `Successfully imported/updated ${count} inventory items`,
+                        skipped
+                    });
                 } catch (err) {
                     console.error('Error processing CSV:', err);
                     res.status(500).json({ message: 'Error processing CSV file' });
@@ -282,13 +583,168 @@ const importInventory = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Get the stock movement history of an inventory item, newest first
+ * @route   GET /api/inventory/:id/movements
+ * @access  Private (Admin)
+ * @query   type - Filter by movement type (optional)
+ */
+const getStockMovements = async (req, res) => {
+    try {
+        const filter = { inventoryItem: req.params.id };
+
+        if (req.query.type && req.query.type !== 'all') {
+            filter.type = req.query.type;
+        }
+
+        const movements = await StockMovement.find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(500);
+
+        res.status(200).json(movements);
+    } catch (error) {
+        console.error('Error fetching stock movements:', error);
+
+        // Handle invalid ObjectId format
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid inventory item ID format' });
+        }
+
+        res.status(500).json({ message: 'Server error while fetching stock movements' });
+    }
+};
+
+/**
+ * @desc    Record wastage, spoilage or a manual adjustment
+ * @route   POST /api/inventory/:id/movements
+ * @access  Private (Admin)
+ * @body    type, quantity (amount lost for wastage and spoilage; signed for adjustments), reason
+ */
+const createStockMovement = async (req, res) => {
+    try {
+        const { type, quantity, reason } = req.body;
+        const amount = Number(quantity);
+        const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+
+        if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+            return res.status(400).json({ message: `Movement type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}` });
+        }
+        if (!Number.isFinite(amount) || amount === 0) {
+            return res.status(400).json({ message: 'Please enter a quantity' });
+        }
+        if (type !== 'adjustment' && amount < 0) {
+            return res.status(400).json({ message: 'Enter the quantity lost as a positive number' });
+        }
+        if (!trimmedReason) {
+            return res.status(400).json({ message: 'Please give a reason for this movement' });
+        }
+        if (trimmedReason.length > 200) {
+            return res.status(400).json({ message: 'Reason cannot exceed 200 characters' });
+        }
+
+        const inventoryItem = await Inventory.findById(req.params.id);
+
+        if (!inventoryItem) {
+            return res.status(404).json({ message: 'Inventory item not found' });
+        }
+
+        const [movement] = await recordStockMovements([{
+            inventoryItem: inventoryItem._id,
+            type,
+            quantity: type === 'adjustment' ? amount : -amount,
+            reason: trimmedReason,
+            performedBy: getActor(req.admin)
+        }]);
+
+        // Wastage can run an ingredient out; a positive adjustment can bring dishes back
+        await syncMenuAvailability(req.app.get('io'), { inventoryIds: [inventoryItem._id] });
+
+        const updatedInventoryItem = await Inventory.findById(inventoryItem._id);
+
+        res.status(201).json({ movement, inventoryItem: updatedInventoryItem });
+    } catch (error) {
+        console.error('Error recording stock movement:', error);
+
+        // Handle invalid ObjectId format
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid inventory item ID format' });
+        }
+
+        res.status(500).json({ message: 'Server error while recording stock movement' });
+    }
+};
+
+/**
+ * @desc    Write off what is left of a stock batch (e.g. past its expiry date)
+ * @route   POST /api/inventory/:id/batches/:batchId/write-off
+ * @access  Private (Admin)
+ * @body    reason (optional, defaults to the batch's expiry)
+ * Recorded in the stock ledger as wastage against that batch.
+ */
+const writeOffBatch = async (req, res) => {
+    try {
+        const inventoryItem = await Inventory.findById(req.params.id);
+
+        if (!inventoryItem) {
+            return res.status(404).json({ message: 'Inventory item not found' });
+        }
+
+        const batch = inventoryItem.batches.id(req.params.batchId);
+        if (!batch || batch.quantity <= 0) {
+            return res.status(404).json({ message: 'Batch not found' });
+        }
+
+        const batchLabel = batch.batchNumber ? `batch ${batch.batchNumber}` : 'batch';
+        const isExpired = batch.expiryDate <= new Date();
+        const reason = (typeof req.body.reason === 'string' && req.body.reason.trim())
+            || `${isExpired ? 'Expired' : 'Written off'}: ${batchLabel} (use by ${batch.expiryDate.toISOString().slice(0, 10)})`;
+
+        if (reason.length > 200) {
+            return res.status(400).json({ message: 'Reason cannot exceed 200 characters' });
+        }
+
+        const [movement] = await recordStockMovements([{
+            inventoryItem: inventoryItem._id,
+            type: 'wastage',
+            quantity: -batch.quantity,
+            unitCost: batch.unitCost,
+            batchId: batch._id,
+            reason,
+            performedBy: getActor(req.admin)
+        }]);
+
+        // Writing off stock can run an ingredient out
+        await syncMenuAvailability(req.app.get('io'), { inventoryIds: [inventoryItem._id] });
+
+        const updatedInventoryItem = await Inventory.findById(inventoryItem._id);
+
+        res.status(201).json({ movement, inventoryItem: updatedInventoryItem });
+    } catch (error) {
+        console.error('Error writing off batch:', error);
+
+        // Handle invalid ObjectId format
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid inventory item ID format' });
+        }
+
+        res.status(500).json({ message: 'Server error while writing off batch' });
+    }
+};
+
 module.exports = {
     getAllInventoryItems,
     getInventoryStats,
+    getInventoryValuation,
+    getExpiringInventory,
+    getReorderForecast,
     getInventoryItemById,
     createInventoryItem,
     updateInventoryItem,
     deleteInventoryItem,
     exportInventory,
-    importInventory
+    exportReorderForecast,
+    importInventory,
+    getStockMovements,
+    createStockMovement,
+    writeOffBatch
 };
@@ -0,0 +1,172 @@
+/**
+ * Loyalty Controller - Customers' loyalty points: their own balance and ledger,
+ * and admin lookups and hand adjustments (e.g. goodwill points after a complaint).
+ * Points are earned and redeemed through bills (see services/loyaltyService.js).
+ */
+
+const mongoose = require('mongoose');
+const Customer = require('../models/customerModel');
+const LoyaltyTransaction = require('../models/loyaltyTransactionModel');
+const { getLoyaltyTier } = require('../config/loyaltyConfig');
+const {
+    addPoints, takePoints, expireCustomerPoints, getLoyaltySummary, pointsToRupees
+} = require('../services/loyaltyService');
+const { getActor } = require('../utils/adminActor');
+
+// Ledger entries returned at once
+const LEDGER_LIMIT = 100;
+
+// Customers listed on the admin loyalty page
+const CUSTOMER_LIST_LIMIT = 50;
+
+// Largest single hand adjustment, to catch typos
+const MAX_ADJUSTMENT_POINTS = 100000;
+
+const LEDGER_FIELDS = 'type points balanceAfter expiresAt remaining billNumber reason performedBy createdAt';
+
+/**
+ * Customer fields shown on the admin loyalty page.
+ * @param {Document} customer
+ * @returns {Object}
+ */
+const toLoyaltyCustomer = (customer) => ({
+    _id: customer._id,
+    name: customer.name,
+    phone: customer.phone,
+    totalOrders: customer.totalOrders,
+    loyaltyPoints: customer.loyaltyPoints,
+    value: pointsToRupees(customer.loyaltyPoints),
+    lifetimePoints: customer.lifetimePoints,
+    tier: getLoyaltyTier(customer.lifetimePoints).name
+});
+
+/**
+ * @desc    Get the customer's points, tier and latest ledger entries
+ * @route   GET /api/loyalty/me
+ * @access  Customer (verified)
+ */
+const getMyLoyalty = async (req, res) => {
+    try {
+        const summary = await getLoyaltySummary(req.customer._id);
+        const transactions = await LoyaltyTransaction.find({ customer: req.customer._id })
+            .select(LEDGER_FIELDS)
+            .sort({ createdAt: -1 })
+            .limit(LEDGER_LIMIT);
+
+        res.status(200).json({ success: true, data: { ...summary, transactions } });
+    } catch (error) {
+        console.error('Error fetching loyalty points:', error);
+        res.status(500).json({ success: false, message: 'Server error while fetching loyalty points' });
+    }
+};
+
+/**
+ * @desc    Get customers with their points, most points first
+ * @route   GET /api/loyalty/customers
+ * @access  Private (Admin)
+ * @query   search - Name or phone number (optional)
+ */
+const getLoyaltyCustomers = async (req, res) => {
+    try {
+        const search = String(req.query.search || '').trim();
+        const filter = {};
+        if (search) {
+            const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            filter.$or = [{ name: pattern }, { phone: pattern }];
+        }
+
+        const customers = await Customer.find(filter)
+            .sort({ loyaltyPoints: -1, lifetimePoints: -1 })
+            .limit(CUSTOMER_LIST_LIMIT);
+
+        res.status(200).json({ success: true, data: customers.map(toLoyaltyCustomer) });
+    } catch (error) {
+        console.error('Error fetching loyalty customers:', error);
+        res.status(500).json({ success: false, message: 'Server error while fetching customers' });
+    }
+};
+
+/**
+ * @desc    Get a customer's points and ledger
+ * @route   GET /api/loyalty/customers/:id/transactions
+ * @access  Private (Admin)
+ */
+const getCustomerTransactions = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid customer ID format' });
+        }
+
+        await expireCustomerPoints(req.params.id);
+        const customer = await Customer.findById(req.params.id);
+        if (!customer) {
+            return res.status(404).json({ success: false, message: 'Customer not found' });
+        }
+
+        const transactions = await LoyaltyTransaction.find({ customer: customer._id })
+            .select(LEDGER_FIELDS)
+            .sort({ createdAt: -1 })
+            .limit(LEDGER_LIMIT);
+
+        res.status(200).json({ success: true, data: { customer: toLoyaltyCustomer(customer), transactions } });
+    } catch (error) {
+        console.error('Error fetching loyalty transactions:', error);
+        res.status(500).json({ success: false, message: 'Server error while fetching loyalty transactions' });
+    }
+};
+
+/**
+ * @desc    Add or remove a customer's points by hand
+ * @route   POST /api/loyalty/customers/:id/adjustments
+ * @access  Private (Admin)
+ * @body    points - Whole number, negative to remove; reason - Why (required)
+ */
+const adjustPoints = async (req, res) => {
+    try {
+        const points = Number(req.body.points);
+        const reason = String(req.body.reason || '').trim();
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid customer ID format' });
+        }
+        if (!Number.isInteger(points) || points === 0 || Math.abs(points) > MAX_ADJUSTMENT_POINTS) {
+            return res.status(400).json({ success: false, message: `Points must be a whole number from -${MAX_ADJUSTMENT_POINTS} to ${MAX_ADJUSTMENT_POINTS}, other than 0` });
+        }
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'Please give a reason for the adjustment' });
+        }
+        if (reason.length > 200) {
+            return res.status(400).json({ success: false, message: 'Reason cannot exceed 200 characters' });
+        }
+
+        await expireCustomerPoints(req.params.id);
+        const details = { type: 'adjust', reason, performedBy: getActor(req.admin) };
+        const transaction = points > 0
+            ? await addPoints(req.params.id, points, details)
+            : await takePoints(req.params.id, -points, details);
+
+        if (!transaction) {
+            const exists = await Customer.exists({ _id: req.params.id });
+            return exists
+                ? res.status(400).json({ success: false, message: 'Customer does not have that many points' })
+                : res.status(404).json({ success: false, message: 'Customer not found' });
+        }
+
+        const customer = await Customer.findById(req.params.id);
+        res.status(201).json({
+            success: true,
+            message: points > 0 ? `Added ${points} points` : `Removed ${-points} points`,
+            data: { customer: toLoyaltyCustomer(customer), transaction }
+        });
+    } catch (error) {
+        console.error('Error adjusting loyalty points:', error);
+        res.status(500).json({ success: false, message: 'Server error while adjusting loyalty points' });
+    }
+};
+
+module.exports = {
+    getMyLoyalty,
+    getLoyaltyCustomers,
+    getCustomerTransactions,
+    adjustPoints
+};
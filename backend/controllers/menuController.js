@@ -4,16 +4,136 @@
  */
 
 const MenuItem = require('../models/menuModel');
+const { validateRecipe, validateVariantRecipes } = require('../services/stockService');
+const { syncMenuAvailability } = require('../services/menuAvailabilityService');
+const { getRulesInEffect, getMenuItemPrice } = require('../services/pricingRuleService');
+const { isCombo, getSlotOptions, validateComboSlots } = require('../services/comboService');
+const {
+    validateVariants, getVariantSummary, formatVariantCell, parseVariantRows, findVariantByLabel, getVariantLabel
+} = require('../services/variantService');
+const { validateSchedule, getMenuSchedule, isOnSchedule } = require('../services/menuScheduleService');
+const { getPriorRating, getConfidenceScore } = require('../services/reviewService');
 const { Parser } = require('json2csv');
 const csv = require('csv-parser');
 const fs = require('fs');
 
+// Combos use stock through the items they are made of
+const COMBO_RECIPE_MESSAGE = 'A combo takes stock through its items and cannot have its own recipe';
+// Combo prices are shared between single-price items
+const COMBO_VARIANTS_MESSAGE = 'A combo cannot be sold in variants';
+
+// Columns of the menu CSV; items sold in variants take one row per variant.
+// Ratings come from customer reviews, so they are not part of the CSV
+const MENU_CSV_FIELDS = ['productName', 'description', 'amount', 'category', 'isVeg', 'availability', 'imageLink', 'variant'];
+
+/**
+ * Combos that list a menu item in one of their slots.
+ * @param {string} menuItemId
+ * @returns {Promise<Array>} Combo menu items (names only)
+ */
+const findCombosUsing = (menuItemId) => MenuItem.find({ 'comboSlots.menuItems': menuItemId }).select('productName');
+
+/**
+ * Add the price in force right now (happy hours and other pricing rules) to menu items.
+ * @param {Array} menuItems - Menu item documents
+ * @returns {Promise<Array>} Plain menu items with activePrice (also on each variant), and activePricingRule
+ *          ({ ruleId, name, endTime }) or null when the menu price applies
+ */
+const withActivePrices = async (menuItems) => {
+    const rules = await getRulesInEffect();
+    return menuItems.map(menuItem => {
+        const { price, rule } = getMenuItemPrice(menuItem, rules);
+        const plainItem = menuItem.toJSON();
+        return {
+            ...plainItem,
+            variants: plainItem.variants.map(variant => ({
+                ...variant,
+                activePrice: getMenuItemPrice(menuItem, rules, variant.amount).price
+            })),
+            activePrice: price,
+            activePricingRule: rule ? { ruleId: rule._id, name: rule.name, endTime: rule.endTime } : null
+        };
+    });
+};
+
+/**
+ * Add the items a customer can choose for each slot of the combos in a list.
+ * @param {Array} menuItems - Plain menu items (from withActivePrices)
+ * @param {Object} menuSchedule - From getMenuSchedule; items not being served are not offered
+ * @returns {Promise<Array>} The same items; combo slots gain options ({ _id, productName, amount, category, isVeg, imageLink })
+ */
+const withComboOptions = async (menuItems, menuSchedule) => {
+    if (!menuItems.some(isCombo)) {
+        return menuItems;
+    }
+
+    const candidates = (await MenuItem.find({ availability: true }))
+        .filter(menuItem => isOnSchedule(menuItem, menuSchedule));
+    return menuItems.map(menuItem => {
+        if (!isCombo(menuItem)) return menuItem;
+        return {
+            ...menuItem,
+            comboSlots: menuItem.comboSlots.map(slot => ({
+                ...slot,
+                options: getSlotOptions(slot, candidates).map(option => ({
+                    _id: option._id,
+                    productName: option.productName,
+                    amount: option.amount,
+                    category: option.category,
+                    isVeg: option.isVeg,
+                    imageLink: option.imageLink
+                }))
+            }))
+        };
+    });
+};
+
+/**
+ * Read a CSV true/false cell.
+ * @param {string|boolean} value
+ * @returns {boolean}
+ */
+const parseCsvBoolean = (value) => value === true || String(value).toLowerCase() === 'true';
+
 /**
- * @desc    Get all menu items
+ * CSV rows for a menu item: one row, or one per variant with that variant's price and veg flag.
+ * @param {Document} menuItem
+ * @returns {Array} Rows with MENU_CSV_FIELDS
+ */
+const toMenuCsvRows = (menuItem) => {
+    const row = { ...menuItem.toJSON(), variant: '' };
+    if (menuItem.variants.length === 0) {
+        return [row];
+    }
+    return menuItem.variants.map(variant => ({
+        ...row,
+        amount: variant.amount,
+        isVeg: variant.isVeg,
+        variant: formatVariantCell(menuItem.variantDimensions, variant)
+    }));
+};
+
+/**
+ * Group CSV rows by productName, keeping the order products first appear in.
+ * @param {Array} rows - Parsed CSV rows
+ * @returns {Map} productName -> rows
+ */
+const groupRowsByProduct = (rows) => {
+    const groups = new Map();
+    rows.filter(row => row.productName).forEach(row => {
+        groups.set(row.productName, [...(groups.get(row.productName) || []), row]);
+    });
+    return groups;
+};
+
+/**
+ * @desc    Get all menu items, with the price in force right now, whether each is being served right now
+ *          (onSchedule) and the choices for combo slots
  * @route   GET /api/menu
  * @access  Public
  * @query   category - Filter by category (optional)
- * @query   availability - Filter by availability (optional)
+ * @query   availability - Filter by availability (optional); availability=true also leaves out items
+ *          outside their serving windows, season or daypart
  * @query   isVeg - Filter by veg/non-veg (optional)
  */
 const getAllMenuItems = async (req, res) => {
@@ -35,9 +155,16 @@ const getAllMenuItems = async (req, res) => {
             filter.isVeg = isVeg === 'true';
         }
 
-        const menuItems = await MenuItem.find(filter).sort({ category: 1, productName: 1 });
+        const menuSchedule = await getMenuSchedule();
+        const menuItems = (await MenuItem.find(filter).sort({ category: 1, productName: 1 }))
+            .filter(menuItem => !filter.availability || isOnSchedule(menuItem, menuSchedule));
+        const pricedItems = (await withComboOptions(await withActivePrices(menuItems), menuSchedule))
+            .map(menuItem => ({ ...menuItem, onSchedule: isOnSchedule(menuItem, menuSchedule) }));
 
-        res.status(200).json(menuItems);
+        // A combo cannot be ordered while one of its slots has nothing available
+        res.status(200).json(filter.availability
+            ? pricedItems.filter(menuItem => !isCombo(menuItem) || menuItem.comboSlots.every(slot => slot.options.length > 0))
+            : pricedItems);
     } catch (error) {
         console.error('Error fetching menu items:', error);
         res.status(500).json({ message: 'Server error while fetching menu items' });
@@ -77,7 +204,21 @@ const getMenuItemById = async (req, res) => {
  */
 const createMenuItem = async (req, res) => {
     try {
-        const { productName, description, amount, category, rating, isVeg, imageLink, availability } = req.body;
+        const {
+            productName, description, category, imageLink, availability, recipe, ignoreStockLevels,
+            comboSlots, variantDimensions, variants
+        } = req.body;
+
+        const variantCheck = validateVariants(variantDimensions, variants);
+        if (!variantCheck.success) {
+            return res.status(400).json({ message: variantCheck.message });
+        }
+        const scheduleCheck = validateSchedule(req.body);
+        if (!scheduleCheck.success) {
+            return res.status(400).json({ message: scheduleCheck.message });
+        }
+        // Items sold in variants take their price and veg flag from the variants
+        const { amount, isVeg } = variantCheck.variants.length > 0 ? getVariantSummary(variantCheck.variants) : req.body;
 
         // Validate required fields
         if (!productName || amount === undefined || !category || isVeg === undefined) {
@@ -86,18 +227,48 @@ const createMenuItem = async (req, res) => {
             });
         }
 
+        const recipeCheck = await validateRecipe(recipe);
+        if (!recipeCheck.success) {
+            return res.status(400).json({ message: recipeCheck.message });
+        }
+        const variantRecipeCheck = await validateVariantRecipes(variantCheck.variants);
+        if (!variantRecipeCheck.success) {
+            return res.status(400).json({ message: variantRecipeCheck.message });
+        }
+
+        const comboCheck = await validateComboSlots(comboSlots);
+        if (!comboCheck.success) {
+            return res.status(400).json({ message: comboCheck.message });
+        }
+        if (comboCheck.comboSlots.length > 0 && recipeCheck.recipe.length > 0) {
+            return res.status(400).json({ message: COMBO_RECIPE_MESSAGE });
+        }
+        if (comboCheck.comboSlots.length > 0 && variantCheck.variants.length > 0) {
+            return res.status(400).json({ message: COMBO_VARIANTS_MESSAGE });
+        }
+
         const menuItem = await MenuItem.create({
             productName,
             description: description || '',
             amount,
             category,
-            rating: rating || 0,
             isVeg,
             imageLink: imageLink || '',
-            availability: availability !== undefined ? availability : true
+            availability: availability !== undefined ? availability : true,
+            recipe: recipeCheck.recipe,
+            comboSlots: comboCheck.comboSlots,
+            variantDimensions: variantCheck.variantDimensions,
+            variants: variantRecipeCheck.variants,
+            availabilityWindows: scheduleCheck.availabilityWindows,
+            availableFrom: scheduleCheck.availableFrom,
+            availableUntil: scheduleCheck.availableUntil,
+            ignoreStockLevels: Boolean(ignoreStockLevels)
         });
 
-        res.status(201).json(menuItem);
+        // A new item whose ingredients are already out starts switched off
+        const changes = await syncMenuAvailability(req.app.get('io'), { menuItemIds: [menuItem._id] });
+
+        res.status(201).json(changes.length > 0 ? await MenuItem.findById(menuItem._id) : menuItem);
     } catch (error) {
         console.error('Error creating menu item:', error);
 
@@ -124,14 +295,87 @@ const updateMenuItem = async (req, res) => {
             return res.status(404).json({ message: 'Menu item not found' });
         }
 
+        const updates = { ...req.body };
+        // Only the stock check sets this flag, and only customer reviews set the rating
+        delete updates.stockAutoDisabled;
+        delete updates.rating;
+        delete updates.ratingCount;
+        // Switching availability by hand takes the item out of automatic control until it runs out again
+        if (updates.availability !== undefined && updates.availability !== menuItem.availability) {
+            updates.stockAutoDisabled = false;
+        }
+        if (updates.recipe !== undefined) {
+            const recipeCheck = await validateRecipe(updates.recipe);
+            if (!recipeCheck.success) {
+                return res.status(400).json({ message: recipeCheck.message });
+            }
+            updates.recipe = recipeCheck.recipe;
+        }
+        if (updates.comboSlots !== undefined) {
+            const comboCheck = await validateComboSlots(updates.comboSlots);
+            if (!comboCheck.success) {
+                return res.status(400).json({ message: comboCheck.message });
+            }
+            updates.comboSlots = comboCheck.comboSlots;
+        }
+        if (updates.variantDimensions !== undefined || updates.variants !== undefined) {
+            const variantCheck = validateVariants(
+                updates.variantDimensions ?? menuItem.variantDimensions,
+                updates.variants ?? menuItem.variants
+            );
+            if (!variantCheck.success) {
+                return res.status(400).json({ message: variantCheck.message });
+            }
+            const variantRecipeCheck = await validateVariantRecipes(variantCheck.variants);
+            if (!variantRecipeCheck.success) {
+                return res.status(400).json({ message: variantRecipeCheck.message });
+            }
+            updates.variantDimensions = variantCheck.variantDimensions;
+            updates.variants = variantRecipeCheck.variants;
+        }
+        if (['availabilityWindows', 'availableFrom', 'availableUntil'].some(field => updates[field] !== undefined)) {
+            const scheduleCheck = validateSchedule({
+                availabilityWindows: updates.availabilityWindows ?? menuItem.availabilityWindows,
+                availableFrom: updates.availableFrom ?? menuItem.availableFrom,
+                availableUntil: updates.availableUntil ?? menuItem.availableUntil
+            });
+            if (!scheduleCheck.success) {
+                return res.status(400).json({ message: scheduleCheck.message });
+            }
+            updates.availabilityWindows = scheduleCheck.availabilityWindows;
+            updates.availableFrom = scheduleCheck.availableFrom;
+            updates.availableUntil = scheduleCheck.availableUntil;
+        }
+        const comboSlots = updates.comboSlots ?? menuItem.comboSlots;
+        const recipe = updates.recipe ?? menuItem.recipe;
+        const variants = updates.variants ?? menuItem.variants;
+        if (comboSlots.length > 0 && recipe.length > 0) {
+            return res.status(400).json({ message: COMBO_RECIPE_MESSAGE });
+        }
+        if (variants.length > 0) {
+            if (comboSlots.length > 0) {
+                return res.status(400).json({ message: COMBO_VARIANTS_MESSAGE });
+            }
+            // Combo slots can only hold single-price items
+            const combos = await findCombosUsing(menuItem._id);
+            if (combos.length > 0) {
+                return res.status(400).json({
+                    message: `${menuItem.productName} is part of ${combos.map(combo => combo.productName).join(', ')}. Remove it from the combo before adding variants.`
+                });
+            }
+            Object.assign(updates, getVariantSummary(variants));
+        }
+
         // Update only provided fields
         const updatedMenuItem = await MenuItem.findByIdAndUpdate(
             req.params.id,
-            req.body,
+            updates,
             { new: true, runValidators: true }
         );
 
-        res.status(200).json(updatedMenuItem);
+        const changes = await syncMenuAvailability(req.app.get('io'), { menuItemIds: [updatedMenuItem._id] });
+
+        res.status(200).json(changes.length > 0 ? await MenuItem.findById(updatedMenuItem._id) : updatedMenuItem);
     } catch (error) {
         console.error('Error updating menu item:', error);
 
@@ -163,6 +407,14 @@ const deleteMenuItem = async (req, res) => {
             return res.status(404).json({ message: 'Menu item not found' });
         }
 
+        // Combos would be left with a slot that can never be filled
+        const combos = await findCombosUsing(menuItem._id);
+        if (combos.length > 0) {
+            return res.status(400).json({
+                message: `${menuItem.productName} is part of ${combos.map(combo => combo.productName).join(', ')}. Remove it from the combo first.`
+            });
+        }
+
         await MenuItem.findByIdAndDelete(req.params.id);
 
         res.status(200).json({ message: 'Menu item deleted successfully', id: req.params.id });
@@ -178,13 +430,17 @@ const deleteMenuItem = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Export the menu as CSV (items sold in variants take one row per variant)
+ * @route   GET /api/menu/export/csv
+ * @access  Private (Admin)
+ */
 const exportMenu = async (req, res) => {
     try {
         const menuItems = await MenuItem.find({}).sort({ category: 1, productName: 1 });
 
-        const fields = ['productName', 'description', 'amount', 'category', 'rating', 'isVeg', 'availability', 'imageLink'];
-        const json2csvParser = new Parser({ fields });
-        const csv = json2csvParser.parse(menuItems);
+        const json2csvParser = new Parser({ fields: MENU_CSV_FIELDS });
+        const csv = json2csvParser.parse(menuItems.flatMap(toMenuCsvRows));
 
         res.header('Content-Type', 'text/csv');
         res.attachment('menu-items.csv');
@@ -196,9 +452,12 @@ const exportMenu = async (req, res) => {
 };
 
 /**
- * @desc    Import menu items from CSV
- * @route   POST /api/menu/import
+ * @desc    Import menu items from CSV, matched by productName
+ * @route   POST /api/menu/import/csv
  * @access  Private (Admin)
+ * Rows that share a productName and have a variant ("Filling: Paneer | Portion: Full") become one item
+ * with those variants; the other columns are read from its first row. Combos, and items used in a combo,
+ * are skipped when given variants.
  */
 const importMenu = async (req, res) => {
     try {
@@ -212,34 +471,98 @@ const importMenu = async (req, res) => {
             .on('data', (data) => results.push(data))
             .on('end', async () => {
                 try {
-                    // Process each item
+                    // Process each product
                     let count = 0;
-                    for (const item of results) {
+                    const skipped = [];
+                    for (const [productName, rows] of groupRowsByProduct(results)) {
+                        // Ratings come from customer reviews and stockAutoDisabled from the stock check,
+                        // so such columns are ignored
+                        const { variant, rating, ratingCount, stockAutoDisabled, ...item } = rows[0];
+                        const variantRows = rows.filter(row => row.variant && row.variant.trim());
+
                         // Basic validation
-                        if (item.productName && item.amount && item.category) {
-                            // Normalize boolean fields
-                            const isVeg = item.isVeg === 'true' || item.isVeg === 'TRUE' || item.isVeg === true;
-                            const availability = item.availability === 'true' || item.availability === 'TRUE' || item.availability === true;
-
-                            await MenuItem.findOneAndUpdate(
-                                { productName: item.productName },
-                                {
-                                    ...item,
-                                    amount: Number(item.amount),
-                                    rating: Number(item.rating) || 0,
-                                    isVeg,
-                                    availability
-                                },
-                                { upsert: true, new: true, setDefaultsOnInsert: true }
-                            );
-                            count++;
+                        if (!item.category || (variantRows.length === 0 && !item.amount)) {
+                            skipped.push({ productName, reason: 'Missing amount or category' });
+                            continue;
+                        }
+                        if (variantRows.length > 0 && variantRows.length !== rows.length) {
+                            skipped.push({ productName, reason: 'Every row of an item with variants needs a variant' });
+                            continue;
                         }
+
+                        // Normalize boolean fields
+                        let amount = Number(item.amount);
+                        let isVeg = parseCsvBoolean(item.isVeg);
+                        const availability = parseCsvBoolean(item.availability);
+
+                        const existingItem = await MenuItem.findOne({ productName }).select('variants comboSlots availability');
+                        // As on the edit form, switching availability takes the item out of automatic control
+                        const stockFields = existingItem && existingItem.availability === availability
+                            ? {}
+                            : { stockAutoDisabled: false };
+
+                        // Single-price rows clear any variants the item had
+                        let variantFields = { variantDimensions: [], variants: [] };
+                        if (variantRows.length > 0) {
+                            const variantCheck = parseVariantRows(rows.map(row => ({
+                                variant: row.variant,
+                                amount: row.amount,
+                                isVeg: parseCsvBoolean(row.isVeg)
+                            })));
+                            if (!variantCheck.success) {
+                                skipped.push({ productName, reason: variantCheck.message });
+                                continue;
+                            }
+                            // Same rules as updateMenuItem: combos have no variants and combo slots hold single-price items
+                            if (existingItem && existingItem.comboSlots.length > 0) {
+                                skipped.push({ productName, reason: COMBO_VARIANTS_MESSAGE });
+                                continue;
+                            }
+                            const combos = existingItem ? await findCombosUsing(existingItem._id) : [];
+                            if (combos.length > 0) {
+                                skipped.push({
+                                    productName,
+                                    reason: `Part of ${combos.map(combo => combo.productName).join(', ')}. Remove it from the combo before adding variants.`
+                                });
+                                continue;
+                            }
+
+                            // Variant recipes are not in the CSV, so each variant keeps the one it had
+                            const variants = variantCheck.variants.map((variant) => {
+                                const existingVariant = existingItem && findVariantByLabel(existingItem, getVariantLabel(variant));
+                                return { ...variant, recipe: existingVariant ? existingVariant.recipe : [] };
+                            });
+                            variantFields = { variantDimensions: variantCheck.variantDimensions, variants };
+                            ({ amount, isVeg } = getVariantSummary(variantCheck.variants));
+                        }
+
+                        await MenuItem.findOneAndUpdate(
+                            { productName },
+                            {
+                                ...item,
+                                ...variantFields,
+                                amount,
+                                isVeg,
+                                availability,
+                                ...stockFields
+                            },
+                            { upsert: true, new: true, setDefaultsOnInsert: true }
+                        );
+                        count++;
                     }
 
                     // Remove the temporary file
                     fs.unlinkSync(req.file.path);
 
-                    res.status(200).json({ message: `Successfully imported/updated ${count} menu items` });
+                    // Items switched on whose ingredients are out go straight back off
+                    await syncMenuAvailability(req.app.get('io'));
+
+                    res.status(200).json({
+                        message: skipped.length > 0
+                            ? `Successfully imported/updated ${count} menu items, skipped ${skipped.length}`
+                            : `Successfully imported/updated ${count} menu items`,
+                        skipped
+                    });
                 } catch (err) {
                     console.error('Error processing CSV:', err);
                     res.status(500).json({ message: 'Error processing CSV file' });
@@ -252,7 +575,8 @@ const importMenu = async (req, res) => {
 };
 
 /**
- * @desc    Get top rated items grouped by category
+ * @desc    Get top rated items grouped by category, ranked by a confidence-weighted score so an item
+ *          with a single 5-star review does not outrank one with dozens of 4.6-star reviews
  * @route   GET /api/menu/top-rated/by-category
  * @access  Public
  * @query   limit - Number of items per category (default: 5)
@@ -261,8 +585,12 @@ const getTopRatedItemsByCategory = async (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 5;
 
-        // Get all available menu items
-        const menuItems = await MenuItem.find({ availability: true });
+        // Get all available menu items being served right now, at the price in force.
+        // Combos are left out: their slots are chosen in the full menu
+        const menuSchedule = await getMenuSchedule();
+        const servedItems = (await MenuItem.find({ availability: true, 'comboSlots.0': { $exists: false } }))
+            .filter(menuItem => isOnSchedule(menuItem, menuSchedule));
+        const menuItems = await withActivePrices(servedItems);
 
         // Group items by category
         const categorizedItems = {};
@@ -273,10 +601,12 @@ const getTopRatedItemsByCategory = async (req, res) => {
             categorizedItems[item.category].push(item);
         });
 
-        // Sort each category by rating (descending) and take top N items
+        // Sort each category by score (descending) and take top N items
+        const priorRating = getPriorRating(menuItems);
         const topRatedByCategory = Object.keys(categorizedItems).map(category => {
             const sortedItems = categorizedItems[category]
-                .sort((a, b) => b.rating - a.rating)
+                .map(item => ({ ...item, ratingScore: getConfidenceScore(item, priorRating) }))
+                .sort((a, b) => b.ratingScore - a.ratingScore)
                 .slice(0, limit);
 
             return {
@@ -296,14 +626,18 @@ const getTopRatedItemsByCategory = async (req, res) => {
 };
 
 /**
- * @desc    Get available categories (categories that have at least one menu item)
+ * @desc    Get available categories (categories with at least one available item being served right now)
  * @route   GET /api/menu/categories/available
  * @access  Public
  */
 const getAvailableCategories = async (req, res) => {
     try {
-        // Get distinct categories from menu items
-        const categories = await MenuItem.distinct('category', { availability: true });
+        const menuSchedule = await getMenuSchedule();
+        const menuItems = await MenuItem.find({ availability: true })
+            .select('category availabilityWindows availableFrom availableUntil');
+        const categories = [...new Set(menuItems
+            .filter(menuItem => isOnSchedule(menuItem, menuSchedule))
+            .map(menuItem => menuItem.category))].sort();
 
         res.status(200).json(categories);
     } catch (error) {
@@ -3,17 +3,61 @@
  * Includes WebSocket emissions for real-time updates to connected clients.
  */
 
+const mongoose = require('mongoose');
 const Order = require('../models/orderModel');
 const Sales = require('../models/salesModel');
 const Bill = require('../models/billModel');
-
-
-// Valid order statuses matching the restaurant workflow
-const VALID_ORDER_STATUSES = ['pending', 'preparing', 'served', 'cancelled'];
+const { priceOrderItems } = require('../services/pricingService');
+const { roundCurrency, calculateGst } = require('../services/gstService');
+const { buildBillSplits } = require('../services/billSplitService');
+const {
+    PAYMENT_METHODS, getAmountPaid, getPaymentsFor, getUpiReferences, preparePayments, getPaymentStatus
+} = require('../services/paymentService');
+const { isUpiEnabled, createUpiRequest } = require('../services/upiService');
+const { applyPromotion, claimPromotionUse, releasePromotionUse } = require('../services/promotionService');
+const {
+    redeemPointsForBill, releaseRedeemedPoints, awardBillPoints, reverseBillPoints
+} = require('../services/loyaltyService');
+const {
+    buildStationTickets,
+    ensureStationTickets,
+    getStationItems,
+    syncStationTickets,
+    toKitchenTickets
+} = require('../services/kitchenService');
+const {
+    ORDER_STATUSES,
+    isAllowedTransition,
+    getItemStatus,
+    normalizeItemStatuses,
+    deriveOrderStatus,
+    getBillableItems,
+    applyBillableTotals
+} = require('../services/orderStatusService');
+const { planStockMovements, applyStockMovements } = require('../services/stockService');
+const { syncMenuAvailability } = require('../services/menuAvailabilityService');
+const { KITCHEN_STATIONS } = require('../config/kitchenStations');
+const { getActor } = require('../utils/adminActor');
+
+
+// Valid order and item statuses matching the restaurant workflow
+const VALID_ORDER_STATUSES = ORDER_STATUSES;
 
 // Default estimated time shown to customers when no specific estimate is provided
 const DEFAULT_ESTIMATED_TIME = '15-20 mins';
 
+// Returned when an order changed between being loaded and saved (e.g. two staff members at once)
+const CONCURRENT_UPDATE_MESSAGE = 'Order was updated by someone else. Please refresh and try again.';
+
+// Longest reason stored in an order's status history (matches the schema)
+const MAX_STATUS_REASON_LENGTH = 200;
+
+// Error codes that let the admin UI ask for a reason or offer a manager override
+const STATUS_ERROR_CODES = {
+    REASON_REQUIRED: 'REASON_REQUIRED',
+    TRANSITION_NOT_ALLOWED: 'TRANSITION_NOT_ALLOWED'
+};
+
 
 // ============================================================================
 // Order Creation
@@ -22,8 +66,258 @@ const DEFAULT_ESTIMATED_TIME = '15-20 mins';
 const fs = require('fs');
 const path = require('path');
 
+/**
+ * Create the analytics Sales record for a served order.
+ * Only served lines are counted; cancelled lines never reach analytics.
+ * Failures are logged but never block the order flow.
+ * @param {Document} order - The served order
+ * @param {Server} socketServer - Socket.IO server (optional)
+ */
+const recordSale = async (order, socketServer) => {
+    try {
+        const servedItems = order.items.filter(item => getItemStatus(item, order.status) === 'served');
+        const gst = calculateGst(servedItems);
+
+        const salesRecord = new Sales({
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            tableNumber: order.tableNumber,
+            customerName: order.customerName,
+            userId: order.userId || null,
+            customerPhone: order.customerPhone || '',
+            customerEmail: order.customerEmail || '',
+            customerAddress: order.customerAddress || '',
+            items: servedItems.map(item => ({
+                menuItemId: item.menuItemId || null,
+                name: item.name,
+                quantity: item.quantity,
+                price: item.price,
+                category: item.category || 'Uncategorized',
+                combo: item.combo?.name || '',
+                variant: item.variant || '',
+                customizations: item.customizations || [],
+                specialInstructions: item.specialInstructions || ''
+            })),
+            subtotal: gst.subtotal,
+            discount: gst.discount,
+            promoCode: order.promotion?.code || '',
+            tax: gst.tax,
+            cgst: gst.cgst,
+            sgst: gst.sgst,
+            total: gst.total,
+            servedAt: new Date(),
+            orderCreatedAt: order.createdAt
+        });
+
+        await salesRecord.save();
+        console.log(`Sales record created for order ${order.orderNumber} - Customer: ${order.customerName}`);
+
+        // Emit analytics update event so dashboard can refresh in real-time
+        if (socketServer) {
+            socketServer.emit('sales:new', salesRecord);
+        }
+
+    } catch (salesError) {
+        // Sales record creation is important but shouldn't block order flow
+        console.error('Error creating sales record:', salesError);
+    }
+};
+
+/**
+ * Send an order's station tickets to Kitchen Display screens.
+ * @param {Server} socketServer - Socket.IO server (optional)
+ * @param {Object} order - Order document
+ */
+const emitKitchenTickets = (socketServer, order) => {
+    if (socketServer) {
+        socketServer.emit('kitchen:tickets', {
+            orderId: order._id,
+            tickets: toKitchenTickets(order)
+        });
+    }
+};
+
+/**
+ * Check a requested status change against the order state machine.
+ * Cancelling needs a reason; a change outside STATUS_TRANSITIONS needs a manager override with a reason.
+ * @param {Object} change - { from, to, reason, override, admin }
+ * @returns {{ error: Object|null, isOverride: boolean }} error is { statusCode, message, code } when rejected
+ */
+const checkStatusChange = ({ from, to, reason, override, admin }) => {
+    const isOverride = !isAllowedTransition(from, to);
+    const reject = (statusCode, message, code) => ({ error: { statusCode, message, code }, isOverride });
+
+    if (reason.length > MAX_STATUS_REASON_LENGTH) {
+        return reject(400, `Reason cannot exceed ${MAX_STATUS_REASON_LENGTH} characters`);
+    }
+
+    if (!isOverride) {
+        if (to === 'cancelled' && from !== 'cancelled' && !reason) {
+            return reject(400, 'A reason is required to cancel', STATUS_ERROR_CODES.REASON_REQUIRED);
+        }
+        return { error: null, isOverride };
+    }
+
+    if (!override) {
+        return reject(400, `Cannot change status from ${from} to ${to}`, STATUS_ERROR_CODES.TRANSITION_NOT_ALLOWED);
+    }
+
+    if (!admin || admin.getRole() !== 'Manager') {
+        return reject(403, 'Only a manager can override the order status flow');
+    }
+
+    if (!reason) {
+        return reject(400, 'A reason is required for a manager override', STATUS_ERROR_CODES.REASON_REQUIRED);
+    }
+
+    return { error: null, isOverride };
+};
+
+/**
+ * Save item status changes made on a loaded order.
+ * Derives the order status (recording it in the status history), syncs kitchen tickets and
+ * billable totals, deducts or restores recipe stock (switching menu items off or on as
+ * ingredients run out), keeps the Sales record in line with the served lines, and broadcasts the change.
+ * @param {Document} order - Order document with modified item statuses
+ * @param {Server} socketServer - Socket.IO server (optional)
+ * @param {Object} change - { actor, reason, override } recorded if the order status changes
+ * @returns {Promise<Document|null>} The saved order, or null if it was changed by someone else since it was loaded
+ */
+const saveOrderChanges = async (order, socketServer, { actor, reason = '', override = false } = {}) => {
+    const previousStatus = order.status;
+
+    order.status = deriveOrderStatus(order.items);
+    if (order.status !== previousStatus) {
+        order.statusHistory.push({
+            scope: 'order',
+            from: previousStatus,
+            to: order.status,
+            reason,
+            override,
+            changedBy: actor
+        });
+    }
+    syncStationTickets(order);
+    applyBillableTotals(order);
+    const stockMovements = await planStockMovements(order);
+
+    // Nothing changed (e.g. the same status was picked again)
+    if (!order.isModified()) {
+        return order;
+    }
+
+    try {
+        await order.save();
+    } catch (error) {
+        if (error.name === 'VersionError') {
+            return null;
+        }
+        throw error;
+    }
+
+    // A cancelled order gives its promo code use back (and takes it again if reopened)
+    if (order.promotion?.promotionId && previousStatus !== order.status) {
+        if (order.status === 'cancelled') {
+            await releasePromotionUse(order.promotion.promotionId);
+        } else if (previousStatus === 'cancelled') {
+            await claimPromotionUse(order.promotion.promotionId, { enforceLimit: false });
+        }
+    }
+
+    if (stockMovements.length > 0) {
+        await applyStockMovements(stockMovements, { order, actor });
+        await syncMenuAvailability(socketServer, {
+            inventoryIds: stockMovements.map(movement => movement.inventoryItem)
+        });
+    }
+
+    // Re-record the sale whenever a served order changes so it always matches the served lines
+    if (previousStatus === 'served' || order.status === 'served') {
+        await Sales.deleteOne({ orderId: order._id });
+        if (order.status === 'served') {
+            await recordSale(order, socketServer);
+        }
+    }
+
+    // Broadcast to all clients (admin dashboard and customer order tracking)
+    if (socketServer) {
+        socketServer.emit('order:statusUpdate', order);
+    }
+    emitKitchenTickets(socketServer, order);
+
+    return order;
+};
+
+/**
+ * What the cart shows about an applied promo code.
+ * @param {Document} promotion - Promotion document
+ * @returns {Object} { code, description, discountType, discountValue }
+ */
+const toPromotionSummary = (promotion) => ({
+    code: promotion.code,
+    description: promotion.description,
+    discountType: promotion.discountType,
+    discountValue: promotion.discountValue
+});
+
+/**
+ * Price a cart without placing an order.
+ * Lets the cart show the same totals the server will charge. A promo code that cannot be used
+ * is reported in promoError and the cart is priced without it.
+ * @route POST /api/orders/quote
+ */
+const quoteOrder = async (request, response) => {
+    try {
+        const { items, promoCode } = request.body;
+        const pricing = await priceOrderItems(items);
+
+        if (!pricing.success) {
+            return response.status(400).json({
+                success: false,
+                message: pricing.message,
+                invalidItems: pricing.invalidItems
+            });
+        }
+
+        let priced = { ...pricing, discount: 0, promotion: null, promoError: null };
+        if (promoCode) {
+            const promoResult = await applyPromotion(pricing.items, promoCode, request.customer);
+            priced = promoResult.success
+                ? { ...promoResult, promotion: toPromotionSummary(promoResult.promotion), promoError: null }
+                : { ...priced, promoError: promoResult.message };
+        }
+
+        response.status(200).json({
+            success: true,
+            data: {
+                items: priced.items,
+                subtotal: priced.subtotal,
+                discount: priced.discount,
+                cgst: priced.cgst,
+                sgst: priced.sgst,
+                tax: priced.tax,
+                total: priced.total,
+                gstin: priced.gstin,
+                hsnSummary: priced.hsnSummary,
+                promotion: priced.promotion,
+                promoError: priced.promoError
+            }
+        });
+
+    } catch (error) {
+        console.error('Error pricing order:', error);
+        response.status(500).json({
+            success: false,
+            message: 'Failed to price order',
+            error: error.message
+        });
+    }
+};
+
+
 /**
  * Create a new order and broadcast to admin clients.
+ * Item prices and totals are recomputed from the menu; client-sent amounts are ignored.
  * @route POST /api/orders
  */
 const createOrder = async (request, response) => {
@@ -36,12 +330,9 @@ const createOrder = async (request, response) => {
             customerPhone,
             customerEmail,
             customerAddress,
-            userId,
             items,
-            subtotal,
-            tax,
-            total,
-            estimatedTime
+            estimatedTime,
+            promoCode
         } = request.body;
 
         // Guard: Ensure minimum required data is present before proceeding
@@ -60,6 +351,39 @@ const createOrder = async (request, response) => {
             });
         }
 
+        // Reprice every line from the menu so a tampered client cannot change what it pays
+        const pricing = await priceOrderItems(items);
+        if (!pricing.success) {
+            return response.status(400).json({
+                success: false,
+                message: pricing.message,
+                invalidItems: pricing.invalidItems
+            });
+        }
+
+        // The promo code is checked again here; the cart quote may be out of date
+        let priced = pricing;
+        let promotion = null;
+        if (promoCode) {
+            const promoResult = await applyPromotion(pricing.items, promoCode, request.customer);
+            if (!promoResult.success) {
+                return response.status(400).json({
+                    success: false,
+                    message: promoResult.message,
+                    promoError: true
+                });
+            }
+            if (!await claimPromotionUse(promoResult.promotion._id)) {
+                return response.status(400).json({
+                    success: false,
+                    message: `Promo code ${promoResult.promotion.code} has been fully redeemed`,
+                    promoError: true
+                });
+            }
+            priced = promoResult;
+            promotion = promoResult.promotion;
+        }
+
         const newOrder = new Order({
             sessionId,
             orderNumber,
@@ -68,22 +392,44 @@ const createOrder = async (request, response) => {
             customerPhone: customerPhone || '',
             customerEmail: customerEmail || '',
             customerAddress: customerAddress || '',
-            userId: userId || null,
-            items,
-            subtotal,
-            tax,
-            total,
+            // Only a verified customer is linked, never an ID sent in the body
+            userId: request.customer?._id || null,
+            items: priced.items.map(item => ({ ...item, status: 'pending', stockDeducted: false })),
+            subtotal: priced.subtotal,
+            discount: priced.discount,
+            promotion: promotion ? { promotionId: promotion._id, code: promotion.code } : undefined,
+            tax: priced.tax,
+            cgst: priced.cgst,
+            sgst: priced.sgst,
+            total: priced.total,
             estimatedTime: estimatedTime || DEFAULT_ESTIMATED_TIME,
-            status: 'pending'
+            status: 'pending',
+            stationTickets: buildStationTickets(pricing.items),
+            statusHistory: [{
+                scope: 'order',
+                from: null,
+                to: 'pending',
+                changedBy: { name: customerName || 'Guest', role: 'Customer' }
+            }]
         });
 
-        const savedOrder = await newOrder.save();
+        let savedOrder;
+        try {
+            savedOrder = await newOrder.save();
+        } catch (saveError) {
+            // The order never existed, so its promo code use goes back
+            if (promotion) {
+                await releasePromotionUse(promotion._id);
+            }
+            throw saveError;
+        }
 
         // Notify all connected admin clients about the new order in real-time
         const socketServer = request.app.get('io');
         if (socketServer) {
             socketServer.emit('order:new', savedOrder);
         }
+        emitKitchenTickets(socketServer, savedOrder);
 
         response.status(201).json({
             success: true,
@@ -216,13 +562,20 @@ const getOrdersByTable = async (request, response) => {
 // ============================================================================
 
 /**
- * Update order status and broadcast the change to all connected clients.
- * When status changes to "served", a Sales record is created for analytics.
+ * Update the status of a whole order and broadcast the change to all connected clients.
+ * Only pending → preparing → served and cancelling before serving are allowed; a manager can
+ * override with a reason. Cancelling requires a reason. Every change is added to the status history.
+ * Applies the status to every line that is not cancelled; reopening a cancelled order restores all lines.
+ * When the order becomes "served", a Sales record is created for analytics.
  * @route PATCH /api/orders/:id
+ * @body status - New status
+ * @body reason - Why (required for cancellation and overrides)
+ * @body override - Manager override of the status flow
  */
 const updateOrderStatus = async (request, response) => {
     try {
-        const { status } = request.body;
+        const { status, override } = request.body;
+        const reason = typeof request.body.reason === 'string' ? request.body.reason.trim() : '';
 
         // Guard: Ensure the provided status is one of the valid workflow states
         if (!status || !VALID_ORDER_STATUSES.includes(status)) {
@@ -232,65 +585,55 @@ const updateOrderStatus = async (request, response) => {
             });
         }
 
-        const updatedOrder = await Order.findByIdAndUpdate(
-            request.params.id,
-            { status },
-            { new: true, runValidators: true }
-        );
+        const order = await Order.findById(request.params.id);
 
-        if (!updatedOrder) {
+        if (!order) {
             return response.status(404).json({
                 success: false,
                 message: 'Order not found'
             });
         }
 
-        // When order is marked as served, create a Sales record for analytics
-        if (status === 'served') {
-            try {
-                const salesRecord = new Sales({
-                    orderId: updatedOrder._id,
-                    orderNumber: updatedOrder.orderNumber,
-                    tableNumber: updatedOrder.tableNumber,
-                    customerName: updatedOrder.customerName,
-                    userId: updatedOrder.userId || null,
-                    customerPhone: updatedOrder.customerPhone || '',
-                    customerEmail: updatedOrder.customerEmail || '',
-                    customerAddress: updatedOrder.customerAddress || '',
-                    items: updatedOrder.items.map(item => ({
-                        menuItemId: item.menuItemId || null,
-                        name: item.name,
-                        quantity: item.quantity,
-                        price: item.price,
-                        category: item.category || 'Uncategorized'
-                    })),
-                    subtotal: updatedOrder.subtotal,
-                    tax: updatedOrder.tax,
-                    total: updatedOrder.total,
-                    servedAt: new Date(),
-                    orderCreatedAt: updatedOrder.createdAt
-                });
-
-                await salesRecord.save();
-                console.log(`Sales record created for order ${updatedOrder.orderNumber} - Customer: ${updatedOrder.customerName}`);
-
-                // Emit analytics update event so dashboard can refresh in real-time
-                const socketServer = request.app.get('io');
-                if (socketServer) {
-                    socketServer.emit('sales:new', salesRecord);
-                }
+        // Its bill is settled, so cancelling or reopening it would undo a sale that was paid for
+        if (order.billingStatus === 'paid') {
+            return response.status(409).json({
+                success: false,
+                message: 'The status of a paid order cannot be changed'
+            });
+        }
 
-            } catch (salesError) {
-                // Log the error but don't fail the order update
-                // Sales record creation is important but shouldn't block order flow
-                console.error('Error creating sales record:', salesError);
-            }
+        const { error, isOverride } = checkStatusChange({
+            from: order.status,
+            to: status,
+            reason,
+            override: override === true,
+            admin: request.admin
+        });
+        if (error) {
+            return response.status(error.statusCode).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
         }
 
-        // Broadcast status change to all clients (admin dashboard and customer order tracking)
-        const socketServer = request.app.get('io');
-        if (socketServer) {
-            socketServer.emit('order:statusUpdate', updatedOrder);
+        normalizeItemStatuses(order);
+        const activeItems = order.items.filter(item => item.status !== 'cancelled');
+        const targetItems = activeItems.length > 0 ? activeItems : order.items;
+        targetItems.forEach((item) => {
+            item.status = status;
+        });
+
+        const updatedOrder = await saveOrderChanges(order, request.app.get('io'), {
+            actor: getActor(request.admin),
+            reason,
+            override: isOverride
+        });
+        if (!updatedOrder) {
+            return response.status(409).json({
+                success: false,
+                message: CONCURRENT_UPDATE_MESSAGE
+            });
         }
 
         response.status(200).json({
@@ -310,6 +653,111 @@ const updateOrderStatus = async (request, response) => {
 };
 
 
+/**
+ * Update the status of a single line item (partial serving or partial cancellation).
+ * Follows the same state machine, reason and override rules as updateOrderStatus.
+ * The order status is derived from its items and its totals exclude cancelled lines.
+ * @route PATCH /api/orders/:id/items/:itemIndex
+ * @body status, reason, override - See updateOrderStatus
+ */
+const updateOrderItemStatus = async (request, response) => {
+    try {
+        const { status, override } = request.body;
+        const reason = typeof request.body.reason === 'string' ? request.body.reason.trim() : '';
+        const itemIndex = Number(request.params.itemIndex);
+
+        if (!status || !VALID_ORDER_STATUSES.includes(status)) {
+            return response.status(400).json({
+                success: false,
+                message: `Invalid status. Must be one of: ${VALID_ORDER_STATUSES.join(', ')}`
+            });
+        }
+
+        const order = await Order.findById(request.params.id);
+
+        if (!order) {
+            return response.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (!Number.isInteger(itemIndex) || itemIndex < 0 || itemIndex >= order.items.length) {
+            return response.status(400).json({
+                success: false,
+                message: 'Invalid item index'
+            });
+        }
+
+        if (order.billingStatus === 'paid') {
+            return response.status(400).json({
+                success: false,
+                message: 'Items of a paid order cannot be changed'
+            });
+        }
+
+        normalizeItemStatuses(order);
+        const item = order.items[itemIndex];
+
+        const { error, isOverride } = checkStatusChange({
+            from: item.status,
+            to: status,
+            reason,
+            override: override === true,
+            admin: request.admin
+        });
+        if (error) {
+            return response.status(error.statusCode).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+
+        const actor = getActor(request.admin);
+        if (item.status !== status) {
+            order.statusHistory.push({
+                scope: 'item',
+                itemIndex,
+                itemName: item.name,
+                from: item.status,
+                to: status,
+                reason,
+                override: isOverride,
+                changedBy: actor
+            });
+        }
+        item.status = status;
+
+        const updatedOrder = await saveOrderChanges(order, request.app.get('io'), {
+            actor,
+            reason,
+            override: isOverride
+        });
+        if (!updatedOrder) {
+            return response.status(409).json({
+                success: false,
+                message: CONCURRENT_UPDATE_MESSAGE
+            });
+        }
+
+        response.status(200).json({
+            success: true,
+            message: `${updatedOrder.items[itemIndex].name} marked as ${status}`,
+            data: updatedOrder
+        });
+
+    } catch (error) {
+        console.error('Error updating order item status:', error);
+        response.status(500).json({
+            success: false,
+            message: 'Failed to update item status',
+            error: error.message
+        });
+    }
+};
+
+
 /**
  * Delete an order by ID.
  * Note: Consider using status='cancelled' instead for audit trail purposes.
@@ -326,10 +774,16 @@ const deleteOrder = async (request, response) => {
             });
         }
 
+        // A deleted order no longer uses its promo code (a cancelled one already gave it back)
+        if (deletedOrder.promotion?.promotionId && deletedOrder.status !== 'cancelled') {
+            await releasePromotionUse(deletedOrder.promotion.promotionId);
+        }
+
         // Notify connected clients that this order has been removed
         const socketServer = request.app.get('io');
         if (socketServer) {
             socketServer.emit('order:deleted', { id: request.params.id });
+            socketServer.emit('kitchen:tickets', { orderId: request.params.id, tickets: [] });
         }
 
         response.status(200).json({
@@ -350,31 +804,40 @@ const deleteOrder = async (request, response) => {
 
 
 // ============================================================================
-// Session-Based Billing
+// Kitchen Display System
 // ============================================================================
 
+// Served orders stay available for ticket recall this long after they were last updated
+const KITCHEN_RECALL_WINDOW_MS = 30 * 60 * 1000;
+
 /**
- * Get all orders for a specific session.
- * Allows customers to see all orders placed during their current visit.
- * @route GET /api/orders/session/:sessionId
+ * Get station tickets for active orders, plus recently served orders that can still be recalled.
+ * @route GET /api/orders/kitchen/tickets
  */
-const getSessionOrders = async (request, response) => {
+const getKitchenTickets = async (request, response) => {
     try {
-        const { sessionId } = request.params;
+        const recallCutoff = new Date(Date.now() - KITCHEN_RECALL_WINDOW_MS);
 
-        const orders = await Order.find({ sessionId }).sort({ createdAt: 1 });
+        const orders = await Order.find({
+            $or: [
+                { status: { $in: ['pending', 'preparing'] } },
+                { status: 'served', updatedAt: { $gte: recallCutoff } }
+            ]
+        }).sort({ createdAt: 1 });
 
         response.status(200).json({
             success: true,
-            count: orders.length,
-            data: orders
+            data: {
+                stations: KITCHEN_STATIONS.map(({ key, name }) => ({ key, name })),
+                tickets: orders.flatMap(order => toKitchenTickets(order))
+            }
         });
 
     } catch (error) {
-        console.error('Error fetching session orders:', error);
+        console.error('Error fetching kitchen tickets:', error);
         response.status(500).json({
             success: false,
-            message: 'Failed to fetch session orders',
+            message: 'Failed to fetch kitchen tickets',
             error: error.message
         });
     }
@@ -382,43 +845,238 @@ const getSessionOrders = async (request, response) => {
 
 
 /**
- * Get consolidated bill for an entire session.
- * Aggregates all items from all orders in the session into one bill.
- * @route GET /api/orders/session/:sessionId/bill
+ * Bump a station ticket (station has finished its items).
+ * Serves the station's items; the order is served once every ticket is bumped.
+ * @route PATCH /api/orders/:id/tickets/:station/bump
  */
-const getConsolidatedBill = async (request, response) => {
+const bumpStationTicket = async (request, response) => {
     try {
-        const { sessionId } = request.params;
-
-        // Only include non-cancelled orders in the bill
-        const orders = await Order.find({
-            sessionId,
-            status: { $ne: 'cancelled' }
-        }).sort({ createdAt: 1 });
+        const { id, station } = request.params;
 
-        if (orders.length === 0) {
+        const order = await Order.findById(id);
+        if (!order) {
             return response.status(404).json({
                 success: false,
-                message: 'No orders found for this session'
+                message: 'Order not found'
+            });
+        }
+
+        if (order.status === 'served' || order.status === 'cancelled') {
+            return response.status(400).json({
+                success: false,
+                message: `Order is already ${order.status}`
+            });
+        }
+
+        // Orders placed before the KDS or per-item status get them on first use
+        normalizeItemStatuses(order);
+        ensureStationTickets(order);
+
+        const ticket = order.stationTickets.find(t => t.station === station && t.status === 'pending');
+        if (!ticket) {
+            return response.status(400).json({
+                success: false,
+                message: 'No pending ticket for this station'
             });
         }
 
-        // Aggregate all items from all orders
-        const allItems = orders.flatMap(order => order.items);
-        const subtotal = orders.reduce((sum, order) => sum + order.subtotal, 0);
-        const tax = orders.reduce((sum, order) => sum + order.tax, 0);
-        const total = orders.reduce((sum, order) => sum + order.total, 0);
+        // Bumping serves the station's items directly; the kitchen does not mark them preparing first
+        getStationItems(order, station).forEach((item) => {
+            item.status = 'served';
+        });
+
+        const actor = getActor(request.admin);
+        order.statusHistory.push({ scope: 'station', station, from: 'pending', to: 'bumped', changedBy: actor });
+
+        const updatedOrder = await saveOrderChanges(order, request.app.get('io'), { actor });
+        if (!updatedOrder) {
+            return response.status(409).json({
+                success: false,
+                message: CONCURRENT_UPDATE_MESSAGE
+            });
+        }
 
         response.status(200).json({
             success: true,
-            data: {
-                sessionId,
-                tableNumber: orders[0].tableNumber,
-                customerName: orders[0].customerName,
-                items: allItems,
-                subtotal,
-                tax,
-                total,
+            message: updatedOrder.status === 'served' ? 'All tickets bumped - order served' : 'Ticket bumped',
+            data: updatedOrder
+        });
+
+    } catch (error) {
+        console.error('Error bumping station ticket:', error);
+        response.status(500).json({
+            success: false,
+            message: 'Failed to bump ticket',
+            error: error.message
+        });
+    }
+};
+
+
+/**
+ * Recall a bumped station ticket back onto the kitchen screen.
+ * The station's served items go back to "preparing"; a served order is reopened and its Sales record removed.
+ * @route PATCH /api/orders/:id/tickets/:station/recall
+ */
+const recallStationTicket = async (request, response) => {
+    try {
+        const { id, station } = request.params;
+
+        const order = await Order.findById(id);
+        if (!order) {
+            return response.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        // Reopening a paid order would drop its Sales record after the money was taken
+        if (order.billingStatus === 'paid') {
+            return response.status(409).json({
+                success: false,
+                message: 'A ticket of a paid order cannot be recalled'
+            });
+        }
+
+        normalizeItemStatuses(order);
+        ensureStationTickets(order);
+
+        const stationItems = getStationItems(order, station);
+        const ticket = order.stationTickets.find(t => t.station === station && t.status === 'bumped');
+        if (order.status === 'cancelled' || !ticket || stationItems.length === 0) {
+            return response.status(400).json({
+                success: false,
+                message: 'No bumped ticket for this station'
+            });
+        }
+
+        // A recall is the kitchen's sanctioned way back from served, so it needs no manager override
+        ticket.recalledAt = new Date();
+        stationItems.forEach((item) => {
+            if (item.status === 'served') {
+                item.status = 'preparing';
+            }
+        });
+
+        const actor = getActor(request.admin);
+        const reason = 'Kitchen ticket recalled';
+        order.statusHistory.push({ scope: 'station', station, from: 'bumped', to: 'pending', reason, changedBy: actor });
+
+        const updatedOrder = await saveOrderChanges(order, request.app.get('io'), { actor, reason });
+        if (!updatedOrder) {
+            return response.status(409).json({
+                success: false,
+                message: CONCURRENT_UPDATE_MESSAGE
+            });
+        }
+
+        response.status(200).json({
+            success: true,
+            message: 'Ticket recalled',
+            data: updatedOrder
+        });
+
+    } catch (error) {
+        console.error('Error recalling station ticket:', error);
+        response.status(500).json({
+            success: false,
+            message: 'Failed to recall ticket',
+            error: error.message
+        });
+    }
+};
+
+
+// ============================================================================
+// Session-Based Billing
+// ============================================================================
+
+/**
+ * Get all orders for a specific session.
+ * Allows customers to see all orders placed during their current visit.
+ * @route GET /api/orders/session/:sessionId
+ */
+const getSessionOrders = async (request, response) => {
+    try {
+        const { sessionId } = request.params;
+
+        const orders = await Order.find({ sessionId }).sort({ createdAt: 1 });
+
+        response.status(200).json({
+            success: true,
+            count: orders.length,
+            data: orders
+        });
+
+    } catch (error) {
+        console.error('Error fetching session orders:', error);
+        response.status(500).json({
+            success: false,
+            message: 'Failed to fetch session orders',
+            error: error.message
+        });
+    }
+};
+
+
+/**
+ * Promo codes used on a session's orders, as listed on its bill.
+ * @param {Array} orders - Non-cancelled orders of the session
+ * @returns {Array} { promotionId, code, orderNumber, discount }
+ */
+const getBillPromotions = (orders) => {
+    return orders
+        .filter(order => order.promotion?.promotionId && order.discount > 0)
+        .map(order => ({
+            promotionId: order.promotion.promotionId,
+            code: order.promotion.code,
+            orderNumber: order.orderNumber,
+            discount: order.discount
+        }));
+};
+
+/**
+ * Get consolidated bill for an entire session.
+ * Aggregates all items from all orders in the session into one bill.
+ * @route GET /api/orders/session/:sessionId/bill
+ */
+const getConsolidatedBill = async (request, response) => {
+    try {
+        const { sessionId } = request.params;
+
+        // Only include non-cancelled orders in the bill
+        const orders = await Order.find({
+            sessionId,
+            status: { $ne: 'cancelled' }
+        }).sort({ createdAt: 1 });
+
+        if (orders.length === 0) {
+            return response.status(404).json({
+                success: false,
+                message: 'No orders found for this session'
+            });
+        }
+
+        // Aggregate billable items from all orders; GST is computed once for the whole bill
+        const allItems = orders.flatMap(order => getBillableItems(order.items));
+        const gst = calculateGst(allItems);
+
+        response.status(200).json({
+            success: true,
+            data: {
+                sessionId,
+                tableNumber: orders[0].tableNumber,
+                customerName: orders[0].customerName,
+                items: allItems,
+                subtotal: gst.subtotal,
+                discount: gst.discount,
+                promotions: getBillPromotions(orders),
+                cgst: gst.cgst,
+                sgst: gst.sgst,
+                tax: gst.tax,
+                total: gst.total,
+                gstin: gst.gstin,
+                hsnSummary: gst.hsnSummary,
                 orderCount: orders.length,
                 orders: orders.map(o => ({
                     orderNumber: o.orderNumber,
@@ -442,11 +1100,15 @@ const getConsolidatedBill = async (request, response) => {
 /**
  * Request payment - notifies admin that customer is ready to settle their bill.
  * Creates a Bill record in the database and sends Socket.IO notification.
+ * The signed-in customer the bill belongs to can pay part of it with loyalty points.
  * @route POST /api/orders/session/:sessionId/pay-request
+ * @body redeemPoints - Loyalty points to redeem (optional), customerId - Verified customer redeeming them
  */
 const requestPayment = async (request, response) => {
+    let redemption = null;
     try {
         const { sessionId } = request.params;
+        const redeemPoints = Number(request.body.redeemPoints) || 0;
 
         // Check if a bill already exists for this session
         const existingBill = await Bill.findOne({ sessionId });
@@ -478,19 +1140,26 @@ const requestPayment = async (request, response) => {
         const customerAddress = orders[0].customerAddress || '';
         const userId = orders[0].userId || null;
 
-        // Aggregate all items from all orders, preserving menuItemId and imageLink
-        const allItems = orders.flatMap(order => order.items.map(item => ({
+        // Aggregate billable items from all orders (cancelled lines are not charged), preserving menuItemId and imageLink
+        const allItems = orders.flatMap(order => getBillableItems(order.items).map(item => ({
             menuItemId: item.menuItemId || null,
             name: item.name,
             quantity: item.quantity,
             price: item.price,
+            discount: item.discount || 0,
+            category: item.category || '',
+            combo: item.combo || null,
+            variant: item.variant || '',
+            customizations: item.customizations || [],
+            specialInstructions: item.specialInstructions || '',
+            gstRate: item.gstRate ?? null,
+            hsnCode: item.hsnCode || '',
             description: item.description || '',
             imageLink: item.imageLink || ''
         })));
 
-        const subtotal = orders.reduce((sum, order) => sum + order.subtotal, 0);
-        const tax = orders.reduce((sum, order) => sum + order.tax, 0);
-        const total = orders.reduce((sum, order) => sum + order.total, 0);
+        // GST is computed per HSN/SAC code across the whole bill, as printed in its summary
+        const { subtotal, discount, cgst, sgst, tax, total, gstin, hsnSummary } = calculateGst(allItems);
 
         // Generate unique bill number
         const billNumber = await Bill.generateBillNumber();
@@ -508,7 +1177,13 @@ const requestPayment = async (request, response) => {
             userId,
             items: allItems,
             subtotal,
+            discount,
+            promotions: getBillPromotions(orders),
             tax,
+            cgst,
+            sgst,
+            hsnSummary,
+            gstin,
             total,
             orderCount: orders.length,
             orders: orders.map(order => ({
@@ -519,7 +1194,30 @@ const requestPayment = async (request, response) => {
             paymentRequestedAt
         });
 
+        if (redeemPoints > 0) {
+            if (!request.customer || !userId || String(request.customer._id) !== String(userId)) {
+                return response.status(403).json({
+                    success: false,
+                    message: 'Sign in with the account that placed these orders to redeem points'
+                });
+            }
+
+            await newBill.validate();
+            redemption = await redeemPointsForBill(request.customer, newBill, redeemPoints);
+            if (!redemption.success) {
+                return response.status(400).json({
+                    success: false,
+                    message: redemption.message
+                });
+            }
+            newBill.loyalty = {
+                pointsRedeemed: redemption.pointsRedeemed,
+                redeemedAmount: redemption.redeemedAmount
+            };
+        }
+
         const savedBill = await newBill.save();
+        redemption = null;
 
         // Update billing status on all orders for backwards compatibility
         await Order.updateMany(
@@ -545,6 +1243,8 @@ const requestPayment = async (request, response) => {
                 customerAddress,
                 userId,
                 total,
+                amountDue: savedBill.amountDue,
+                pointsRedeemed: savedBill.loyalty.pointsRedeemed,
                 orderCount: orders.length,
                 timestamp: paymentRequestedAt
             });
@@ -559,6 +1259,11 @@ const requestPayment = async (request, response) => {
 
     } catch (error) {
         console.error('Error requesting payment:', error);
+        // The bill was not created, so the points were not spent
+        if (redemption && redemption.transaction) {
+            await releaseRedeemedPoints(redemption.transaction).catch(releaseError =>
+                console.error('Error releasing redeemed points:', releaseError));
+        }
         response.status(500).json({
             success: false,
             message: 'Failed to request payment',
@@ -568,11 +1273,55 @@ const requestPayment = async (request, response) => {
 };
 
 
+/**
+ * Carry a bill's new status over to the session's orders (kept for backwards compatibility)
+ * and to the customer's loyalty points, and broadcast it to all clients (including customers).
+ * @param {Object} socketServer - Socket.IO server (may be null)
+ * @param {string} sessionId
+ * @param {Document|null} bill - Bill after the change
+ * @param {Object} update - { billingStatus, paidAt, paymentMethod }
+ * @returns {Promise<Object>} { orderResult, pointsEarned }
+ */
+const syncSessionBilling = async (socketServer, sessionId, bill, { billingStatus, paidAt = null, paymentMethod = null }) => {
+    const orderResult = await Order.updateMany(
+        { sessionId },
+        { $set: { billingStatus, paidAt } }
+    );
+
+    // Loyalty points are earned once the bill is paid, and taken back if it stops being paid
+    const pointsEarned = billingStatus === 'paid'
+        ? await awardBillPoints(bill)
+        : 0;
+    if (billingStatus !== 'paid') {
+        await reverseBillPoints(bill);
+    }
+
+    if (socketServer) {
+        socketServer.emit('billing:statusUpdate', {
+            sessionId,
+            billingStatus,
+            billNumber: bill?.billNumber,
+            tableNumber: bill?.tableNumber,
+            paidAt,
+            paymentMethod,
+            pointsEarned
+        });
+        console.log(`Billing status updated for session ${sessionId}: ${billingStatus}`);
+    }
+
+    return { orderResult, pointsEarned };
+};
+
+
 /**
  * Update billing status for a session.
  * Admin uses this to mark bills as Paid or Unpaid.
  * Updates both the Bill document and Orders for backwards compatibility.
+ * Marking a bill paid records whatever is still due as a payment with the given method
+ * (for a split bill, one per share still due). A bill with payments recorded is reopened by
+ * removing them instead, so collected money is never dropped.
  * @route PATCH /api/orders/session/:sessionId/billing-status
+ * @body billingStatus, paymentMethod - 'cash', 'card', 'upi' or 'other' (default) when marking paid
  */
 const updateBillingStatus = async (request, response) => {
     try {
@@ -588,67 +1337,565 @@ const updateBillingStatus = async (request, response) => {
             });
         }
 
-        // Prepare update data
-        const updateData = { billingStatus };
+        const socketServer = request.app.get('io');
+        const bill = await Bill.findOne({ sessionId });
+
+        // Sessions from before bills were stored only have their orders updated
+        if (!bill) {
+            if (!(await Order.exists({ sessionId }))) {
+                return response.status(404).json({
+                    success: false,
+                    message: 'No bill or orders found for this session'
+                });
+            }
+            const { orderResult } = await syncSessionBilling(socketServer, sessionId, null, {
+                billingStatus,
+                paidAt: billingStatus === 'paid' ? new Date() : null,
+                paymentMethod: billingStatus === 'paid' ? paymentMethod || null : null
+            });
+            return response.status(200).json({
+                success: true,
+                message: `Billing status updated to ${billingStatus}`,
+                data: { sessionId, billingStatus, ordersUpdated: orderResult.modifiedCount }
+            });
+        }
+
         if (billingStatus === 'paid') {
-            updateData.paidAt = new Date();
-            if (paymentMethod) {
-                updateData.paymentMethod = paymentMethod;
+            if (bill.billingStatus === 'paid') {
+                return response.status(200).json({
+                    success: true,
+                    message: 'Bill is already paid',
+                    data: bill
+                });
+            }
+
+            // Whatever is still due is taken as one payment, per share for a split bill
+            const collectedBy = getActor(request.admin);
+            const method = PAYMENT_METHODS.includes(paymentMethod) ? paymentMethod : 'other';
+            const dues = bill.splits.length > 0
+                ? bill.splits.map(share => ({ split: share._id, amountDue: share.amountDue }))
+                : [{ split: null, amountDue: bill.amountDue }];
+            const payments = dues
+                .map(due => ({
+                    method,
+                    amount: roundCurrency(due.amountDue - getAmountPaid(bill, due.split)),
+                    split: due.split,
+                    collectedBy
+                }))
+                .filter(payment => payment.amount > 0);
+
+            // The amounts are what was due when the bill was read, so only if no payment came in since
+            const billWithPayments = await Bill.findOneAndUpdate(
+                { _id: bill._id, billingStatus: { $ne: 'paid' }, payments: { $size: bill.payments.length } },
+                { $push: { payments: { $each: payments } } },
+                { new: true, runValidators: true }
+            );
+            if (!billWithPayments) {
+                return response.status(409).json({
+                    success: false,
+                    message: 'A payment was just recorded on this bill. Please refresh.'
+                });
             }
+
+            const { bill: updatedBill } = await applyPaymentStatus(socketServer, billWithPayments);
+            return response.status(200).json({
+                success: true,
+                message: `Billing status updated to ${billingStatus}`,
+                data: updatedBill
+            });
         }
 
-        // Update the Bill document
-        const updatedBill = await Bill.findOneAndUpdate(
-            { sessionId },
-            { $set: updateData },
+        if (bill.splits.length > 0) {
+            return response.status(400).json({
+                success: false,
+                message: 'This bill is split. Update the status of each share instead.'
+            });
+        }
+        if (bill.payments.length > 0) {
+            return response.status(400).json({
+                success: false,
+                message: 'This bill has payments recorded. Remove them to reopen it.'
+            });
+        }
+
+        const updatedBill = await Bill.findByIdAndUpdate(
+            bill._id,
+            { $set: { billingStatus, paidAt: null } },
             { new: true }
         );
+        await syncSessionBilling(socketServer, sessionId, updatedBill, { billingStatus });
 
-        // Update all orders in the session for backwards compatibility
-        const orderResult = await Order.updateMany(
-            { sessionId },
-            { $set: { billingStatus, paidAt: updateData.paidAt || null } }
+        response.status(200).json({
+            success: true,
+            message: `Billing status updated to ${billingStatus}`,
+            data: updatedBill
+        });
+
+    } catch (error) {
+        console.error('Error updating billing status:', error);
+        response.status(500).json({
+            success: false,
+            message: 'Failed to update billing status',
+            error: error.message
+        });
+    }
+};
+
+
+/**
+ * Bring a bill's status, and its shares', in line with the payments recorded on it,
+ * and carry a change of the bill's status over to its session.
+ * @param {Object} socketServer - Socket.IO server (may be null)
+ * @param {Document} bill - Bill with its latest payments
+ * @returns {Promise<Object>} { bill, pointsEarned }
+ */
+const applyPaymentStatus = async (socketServer, bill) => {
+    const status = getPaymentStatus(bill);
+    const update = {
+        billingStatus: status.billingStatus,
+        paidAt: status.paidAt,
+        paymentMethod: status.paymentMethod
+    };
+    status.splits.forEach((share, index) => {
+        update[`splits.${index}.billingStatus`] = share.billingStatus;
+        update[`splits.${index}.paidAt`] = share.paidAt;
+        update[`splits.${index}.paymentMethod`] = share.paymentMethod;
+    });
+
+    const updatedBill = await Bill.findByIdAndUpdate(bill._id, { $set: update }, { new: true });
+
+    let pointsEarned = 0;
+    if (updatedBill.billingStatus !== bill.billingStatus) {
+        ({ pointsEarned } = await syncSessionBilling(socketServer, updatedBill.sessionId, updatedBill, {
+            billingStatus: updatedBill.billingStatus,
+            paidAt: updatedBill.paidAt,
+            paymentMethod: updatedBill.paymentMethod
+        }));
+    }
+
+    if (socketServer) {
+        socketServer.emit('billing:paymentUpdate', {
+            sessionId: updatedBill.sessionId,
+            billNumber: updatedBill.billNumber,
+            tableNumber: updatedBill.tableNumber,
+            billingStatus: updatedBill.billingStatus,
+            amountPaid: updatedBill.amountPaid,
+            balanceDue: updatedBill.balanceDue
+        });
+    }
+    if (updatedBill.splits.length > 0) {
+        emitSplitUpdate(socketServer, updatedBill);
+    }
+
+    return { bill: updatedBill, pointsEarned };
+};
+
+
+/**
+ * Record money collected towards a bill, or one share of a split bill: one or more payments
+ * in any mix of cash, card, UPI and other. The bill (or share) is paid once they cover what is due.
+ * @route POST /api/orders/session/:sessionId/payments
+ * @body payments - [{ method, amount, reference }]; for cash, amount is what was handed over and change is worked out.
+ *       splitId - Share being paid (split bills only)
+ */
+const recordPayment = async (request, response) => {
+    try {
+        const { sessionId } = request.params;
+        const { payments, splitId } = request.body;
+
+        const bill = await Bill.findOne({ sessionId });
+        if (!bill) {
+            return response.status(404).json({
+                success: false,
+                message: 'No bill found for this session'
+            });
+        }
+        if (bill.billingStatus === 'paid') {
+            return response.status(400).json({
+                success: false,
+                message: 'This bill is already paid'
+            });
+        }
+
+        // A split bill is paid share by share
+        let share = null;
+        if (bill.splits.length > 0) {
+            share = splitId && mongoose.isValidObjectId(splitId) ? bill.splits.id(splitId) : null;
+            if (!share) {
+                return response.status(400).json({
+                    success: false,
+                    message: 'This bill is split. Choose the share being paid.'
+                });
+            }
+            if (share.billingStatus === 'paid') {
+                return response.status(400).json({
+                    success: false,
+                    message: `${share.label} is already paid`
+                });
+            }
+        } else if (splitId) {
+            return response.status(400).json({
+                success: false,
+                message: 'This bill is not split'
+            });
+        }
+
+        const balance = share
+            ? roundCurrency(share.amountDue - getAmountPaid(bill, share._id))
+            : roundCurrency(bill.amountDue - getAmountPaid(bill));
+        const result = preparePayments(payments, balance, {
+            split: share ? share._id : null,
+            collectedBy: getActor(request.admin)
+        });
+        if (!result.success) {
+            return response.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        // A UTR belongs to one UPI payment, so the same transfer cannot settle two bills
+        const utrs = getUpiReferences(result.payments);
+        if (new Set(utrs).size !== utrs.length) {
+            return response.status(400).json({
+                success: false,
+                message: 'Each UPI payment needs its own UTR'
+            });
+        }
+
+        // The balance was worked out from the payments read above, so only push if none came in since;
+        // the unique index on upiReferences keeps a UTR off every other bill
+        const billFilter = {
+            _id: bill._id,
+            billingStatus: { $ne: 'paid' },
+            payments: { $size: bill.payments.length },
+            upiReferences: { $nin: utrs }
+        };
+        if (share) {
+            billFilter.splits = { $elemMatch: { _id: share._id, billingStatus: { $ne: 'paid' } } };
+        }
+
+        let billWithPayments;
+        try {
+            billWithPayments = await Bill.findOneAndUpdate(
+                billFilter,
+                { $push: { payments: { $each: result.payments }, upiReferences: { $each: utrs } } },
+                { new: true, runValidators: true }
+            );
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            const matchingBill = await Bill.findOne({ upiReferences: { $in: utrs } }, { billNumber: 1 });
+            return response.status(409).json({
+                success: false,
+                message: `This UTR is already recorded on bill ${matchingBill ? matchingBill.billNumber : 'another bill'}`
+            });
+        }
+        if (!billWithPayments) {
+            return response.status(409).json({
+                success: false,
+                message: utrs.some(utr => bill.upiReferences.includes(utr))
+                    ? 'This UTR is already recorded on this bill'
+                    : 'A payment was just recorded on this bill. Please refresh.'
+            });
+        }
+
+        const { bill: updatedBill, pointsEarned } = await applyPaymentStatus(request.app.get('io'), billWithPayments);
+        const received = result.payments.reduce((sum, payment) => sum + payment.amount, 0);
+        const stillDue = share
+            ? roundCurrency(share.amountDue - getAmountPaid(updatedBill, share._id))
+            : updatedBill.balanceDue;
+
+        response.status(201).json({
+            success: true,
+            message: stillDue > 0
+                ? `₹${received.toFixed(2)} received, ₹${stillDue.toFixed(2)} still due`
+                : `${share ? share.label : 'Bill'} paid${result.change > 0 ? `. Give ₹${result.change.toFixed(2)} change` : ''}`,
+            data: {
+                bill: updatedBill,
+                change: result.change,
+                pointsEarned
+            }
+        });
+
+    } catch (error) {
+        console.error('Error recording payment:', error);
+        response.status(500).json({
+            success: false,
+            message: 'Failed to record payment',
+            error: error.message
+        });
+    }
+};
+
+
+/**
+ * Remove a payment recorded by mistake. The bill (or share) is due again if it is no longer covered.
+ * @route DELETE /api/orders/session/:sessionId/payments/:paymentId
+ */
+const removePayment = async (request, response) => {
+    try {
+        const { sessionId, paymentId } = request.params;
+
+        if (!mongoose.isValidObjectId(paymentId)) {
+            return response.status(400).json({
+                success: false,
+                message: 'Invalid payment ID format'
+            });
+        }
+
+        const bill = await Bill.findOne({ sessionId, 'payments._id': paymentId });
+        const payment = bill && bill.payments.id(paymentId);
+        const billWithoutPayment = payment && await Bill.findOneAndUpdate(
+            { _id: bill._id, 'payments._id': paymentId },
+            { $pull: { payments: { _id: paymentId }, upiReferences: { $in: getUpiReferences([payment]) } } },
+            { new: true }
         );
+        if (!billWithoutPayment) {
+            return response.status(404).json({
+                success: false,
+                message: 'Payment not found on this bill'
+            });
+        }
+
+        const { bill: updatedBill } = await applyPaymentStatus(request.app.get('io'), billWithoutPayment);
+
+        response.status(200).json({
+            success: true,
+            message: 'Payment removed',
+            data: updatedBill
+        });
 
-        if (!updatedBill && orderResult.matchedCount === 0) {
+    } catch (error) {
+        console.error('Error removing payment:', error);
+        response.status(500).json({
+            success: false,
+            message: 'Failed to remove payment',
+            error: error.message
+        });
+    }
+};
+
+
+/**
+ * Tell the admin Payments page and the table that a bill's split changed.
+ * @param {Object} socketServer - Socket.IO server (may be null)
+ * @param {Document} bill
+ */
+const emitSplitUpdate = (socketServer, bill) => {
+    if (!socketServer) return;
+    socketServer.emit('billing:splitUpdate', {
+        sessionId: bill.sessionId,
+        billNumber: bill.billNumber,
+        tableNumber: bill.tableNumber,
+        splitMethod: bill.splitMethod,
+        splits: bill.splits.map(share => ({
+            _id: share._id,
+            label: share.label,
+            amountDue: share.amountDue,
+            billingStatus: share.billingStatus
+        }))
+    });
+};
+
+// A bill can be split, or the split undone, until any money is taken towards it
+const UNPAID_SPLIT_FILTER = {
+    billingStatus: { $ne: 'paid' },
+    'splits.billingStatus': { $ne: 'paid' },
+    'payments.0': { $exists: false }
+};
+
+
+/**
+ * Split a session's bill into shares that are paid separately.
+ * Replaces any earlier split of the bill, as long as no payment has been taken towards it.
+ * @route POST /api/orders/session/:sessionId/split
+ * @body method - 'equal', 'items' or 'amounts'; count - People (equal);
+ *       shares - [{ label, items: [{ index, quantity }] }] (items) or [{ label, amount }] (amounts)
+ */
+const splitBill = async (request, response) => {
+    try {
+        const { sessionId } = request.params;
+        const { method, count, shares } = request.body;
+
+        const bill = await Bill.findOne({ sessionId });
+        if (!bill) {
             return response.status(404).json({
                 success: false,
-                message: 'No bill or orders found for this session'
+                message: 'No bill found for this session. Request payment first.'
+            });
+        }
+        if (bill.billingStatus === 'paid' || bill.payments.length > 0) {
+            return response.status(400).json({
+                success: false,
+                message: 'This bill has already been paid, in full or in part, and cannot be split again'
             });
         }
 
-        // Get table number for notification
-        const tableNumber = updatedBill?.tableNumber;
+        const result = buildBillSplits(bill, { method, count, shares });
+        if (!result.success) {
+            return response.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
 
-        // Broadcast billing status update to all clients (including customers)
-        const socketServer = request.app.get('io');
-        if (socketServer) {
-            socketServer.emit('billing:statusUpdate', {
-                sessionId,
-                billingStatus,
-                billNumber: updatedBill?.billNumber,
-                tableNumber,
-                paidAt: updateData.paidAt || null,
-                paymentMethod: updateData.paymentMethod || null
+        const updatedBill = await Bill.findOneAndUpdate(
+            { _id: bill._id, ...UNPAID_SPLIT_FILTER },
+            { $set: { splitMethod: method, splits: result.splits } },
+            { new: true, runValidators: true }
+        );
+        if (!updatedBill) {
+            return response.status(409).json({
+                success: false,
+                message: 'This bill was just paid. Please refresh and try again.'
             });
-            console.log(`Billing status updated for session ${sessionId}: ${billingStatus}`);
         }
 
+        emitSplitUpdate(request.app.get('io'), updatedBill);
+        console.log(`Bill ${updatedBill.billNumber} split ${method} into ${updatedBill.splits.length} shares`);
+
         response.status(200).json({
             success: true,
-            message: `Billing status updated to ${billingStatus}`,
-            data: updatedBill || {
-                sessionId,
-                billingStatus,
-                ordersUpdated: orderResult.modifiedCount
-            }
+            message: `Bill split into ${updatedBill.splits.length} shares`,
+            data: updatedBill
         });
 
     } catch (error) {
-        console.error('Error updating billing status:', error);
+        console.error('Error splitting bill:', error);
         response.status(500).json({
             success: false,
-            message: 'Failed to update billing status',
+            message: 'Failed to split bill',
+            error: error.message
+        });
+    }
+};
+
+
+/**
+ * Undo a bill's split so it is paid as one bill again.
+ * @route DELETE /api/orders/session/:sessionId/split
+ */
+const removeBillSplit = async (request, response) => {
+    try {
+        const { sessionId } = request.params;
+
+        const updatedBill = await Bill.findOneAndUpdate(
+            { sessionId, ...UNPAID_SPLIT_FILTER },
+            { $set: { splitMethod: null, splits: [] } },
+            { new: true }
+        );
+        if (!updatedBill) {
+            const exists = await Bill.exists({ sessionId });
+            return exists
+                ? response.status(400).json({ success: false, message: 'Payments have already been taken towards this bill' })
+                : response.status(404).json({ success: false, message: 'No bill found for this session' });
+        }
+
+        emitSplitUpdate(request.app.get('io'), updatedBill);
+
+        response.status(200).json({
+            success: true,
+            message: 'Bill is no longer split',
+            data: updatedBill
+        });
+
+    } catch (error) {
+        console.error('Error removing bill split:', error);
+        response.status(500).json({
+            success: false,
+            message: 'Failed to remove bill split',
+            error: error.message
+        });
+    }
+};
+
+
+/**
+ * Mark one share of a split bill paid, or due again.
+ * Paying records what is left of the share as one payment with the given method;
+ * making it due again removes the share's payments.
+ * The bill is paid once every share is, and goes back to pending payment when a share does.
+ * @route PATCH /api/orders/session/:sessionId/splits/:splitId/billing-status
+ * @body billingStatus - 'paid' or 'pending_payment'; paymentMethod - 'cash', 'card', 'upi' or 'other' (default)
+ */
+const updateSplitStatus = async (request, response) => {
+    try {
+        const { sessionId, splitId } = request.params;
+        const { billingStatus, paymentMethod } = request.body;
+
+        const validStatuses = ['pending_payment', 'paid'];
+        if (!validStatuses.includes(billingStatus)) {
+            return response.status(400).json({
+                success: false,
+                message: `Invalid billing status. Must be one of: ${validStatuses.join(', ')}`
+            });
+        }
+        if (!mongoose.isValidObjectId(splitId)) {
+            return response.status(400).json({
+                success: false,
+                message: 'Invalid share ID format'
+            });
+        }
+
+        const bill = await Bill.findOne({ sessionId, 'splits._id': splitId });
+        if (!bill) {
+            return response.status(404).json({
+                success: false,
+                message: 'Share not found on this bill'
+            });
+        }
+        const share = bill.splits.id(splitId);
+
+        let update;
+        if (billingStatus === 'paid') {
+            const balance = roundCurrency(share.amountDue - getAmountPaid(bill, share._id));
+            update = balance > 0
+                ? {
+                    $push: {
+                        payments: {
+                            method: PAYMENT_METHODS.includes(paymentMethod) ? paymentMethod : 'other',
+                            amount: balance,
+                            split: share._id,
+                            collectedBy: getActor(request.admin)
+                        }
+                    }
+                }
+                : {};
+        } else {
+            update = {
+                $pull: {
+                    payments: { split: share._id },
+                    upiReferences: { $in: getUpiReferences(getPaymentsFor(bill, share._id)) }
+                }
+            };
+        }
+
+        // Both the balance and the UTRs to release come from the payments read above
+        const billFilter = { _id: bill._id, payments: { $size: bill.payments.length } };
+        if (billingStatus === 'paid') {
+            billFilter.splits = { $elemMatch: { _id: share._id, billingStatus: { $ne: 'paid' } } };
+        }
+        const changedBill = await Bill.findOneAndUpdate(billFilter, update, { new: true, runValidators: true });
+        if (!changedBill) {
+            return response.status(409).json({
+                success: false,
+                message: `A payment was just recorded on ${share.label}. Please refresh.`
+            });
+        }
+
+        const { bill: updatedBill } = await applyPaymentStatus(request.app.get('io'), changedBill);
+
+        response.status(200).json({
+            success: true,
+            message: `${share.label} marked ${billingStatus === 'paid' ? 'paid' : 'as due'}`,
+            data: updatedBill
+        });
+
+    } catch (error) {
+        console.error('Error updating share status:', error);
+        response.status(500).json({
+            success: false,
+            message: 'Failed to update share status',
             error: error.message
         });
     }
@@ -674,6 +1921,25 @@ const getPendingPayments = async (request, response) => {
             customerName: bill.customerName,
             customerPhone: bill.customerPhone,
             total: bill.total,
+            pointsRedeemed: bill.loyalty ? bill.loyalty.pointsRedeemed : 0,
+            redeemedAmount: bill.loyalty ? bill.loyalty.redeemedAmount : 0,
+            amountDue: bill.amountDue,
+            // Items to split the bill by, and its shares if it is split
+            items: bill.items.map(item => ({
+                name: item.name,
+                variant: item.variant,
+                quantity: item.quantity,
+                price: item.price
+            })),
+            splitMethod: bill.splitMethod || null,
+            splits: (bill.splits || []).map(share => ({
+                ...share.toObject(),
+                amountPaid: getAmountPaid(bill, share._id)
+            })),
+            // Collected so far, for bills being paid in parts
+            payments: bill.payments || [],
+            amountPaid: bill.amountPaid,
+            balanceDue: bill.balanceDue,
             orderCount: bill.orderCount,
             billingStatus: bill.billingStatus,
             paymentRequestedAt: bill.paymentRequestedAt,
@@ -736,13 +2002,96 @@ const getBillBySession = async (request, response) => {
 };
 
 
+/**
+ * Get a UPI payment link and QR code for what is left to pay on a session's bill,
+ * for the customer to pay from their UPI app. Staff then record the payment with its UTR.
+ * @route GET /api/orders/session/:sessionId/upi
+ * @query splitId - Share being paid (split bills only)
+ */
+const getUpiPaymentRequest = async (request, response) => {
+    try {
+        const { sessionId } = request.params;
+        const { splitId } = request.query;
+
+        if (!isUpiEnabled()) {
+            return response.status(404).json({
+                success: false,
+                message: 'UPI payments are not set up'
+            });
+        }
+
+        const bill = await Bill.findOne({ sessionId });
+        if (!bill) {
+            return response.status(404).json({
+                success: false,
+                message: 'No bill found for this session. Request payment first.'
+            });
+        }
+        if (bill.billingStatus === 'paid') {
+            return response.status(400).json({
+                success: false,
+                message: 'This bill is already paid'
+            });
+        }
+
+        // A split bill is paid share by share
+        let share = null;
+        if (bill.splits.length > 0) {
+            share = splitId && mongoose.isValidObjectId(splitId) ? bill.splits.id(splitId) : null;
+            if (!share) {
+                return response.status(400).json({
+                    success: false,
+                    message: 'This bill is split. Choose the share being paid.'
+                });
+            }
+            if (share.billingStatus === 'paid') {
+                return response.status(400).json({
+                    success: false,
+                    message: `${share.label} is already paid`
+                });
+            }
+        }
+
+        const amount = share
+            ? roundCurrency(share.amountDue - getAmountPaid(bill, share._id))
+            : bill.balanceDue;
+        if (amount <= 0) {
+            return response.status(400).json({
+                success: false,
+                message: 'Nothing is left to pay'
+            });
+        }
+
+        const upiRequest = await createUpiRequest(bill, { amount, share });
+
+        response.status(200).json({
+            success: true,
+            data: {
+                billNumber: bill.billNumber,
+                splitId: share ? share._id : null,
+                ...upiRequest
+            }
+        });
+
+    } catch (error) {
+        console.error('Error creating UPI payment request:', error);
+        response.status(500).json({
+            success: false,
+            message: 'Failed to create UPI payment request',
+            error: error.message
+        });
+    }
+};
+
+
 /**
  * Get all bills with optional status filter (for admin billing history).
  * @route GET /api/orders/bills
+ * @query status, startDate, endDate, paymentMethod - 'cash', 'card', 'upi', 'other' or 'mixed'
  */
 const getAllBills = async (request, response) => {
     try {
-        const { status, startDate, endDate } = request.query;
+        const { status, startDate, endDate, paymentMethod } = request.query;
 
         const queryFilter = {};
 
@@ -750,6 +2099,17 @@ const getAllBills = async (request, response) => {
             queryFilter.billingStatus = status;
         }
 
+        // Any bill a method was used on, including part payments; bills paid before
+        // payments were recorded only have the method they were marked paid with
+        if (paymentMethod === 'mixed') {
+            queryFilter.paymentMethod = 'mixed';
+        } else if (PAYMENT_METHODS.includes(paymentMethod)) {
+            queryFilter.$or = [
+                { 'payments.method': paymentMethod },
+                { paymentMethod }
+            ];
+        }
+
         // Date range filter for bill history
         if (startDate || endDate) {
             queryFilter.createdAt = {};
@@ -844,19 +2204,30 @@ const getBillsByPhone = async (request, response) => {
 
 
 module.exports = {
+    quoteOrder,
     createOrder,
     getAllOrders,
     getOrderById,
     updateOrderStatus,
+    updateOrderItemStatus,
     deleteOrder,
+    getKitchenTickets,
+    bumpStationTicket,
+    recallStationTicket,
     getOrdersByTable,
     getOrdersByPhone,
     getSessionOrders,
     getConsolidatedBill,
     requestPayment,
     updateBillingStatus,
+    splitBill,
+    removeBillSplit,
+    updateSplitStatus,
+    recordPayment,
+    removePayment,
     getPendingPayments,
     getBillBySession,
+    getUpiPaymentRequest,
     getAllBills,
     getBillsByPhone
 };
@@ -0,0 +1,167 @@
+/**
+ * Pricing Rule Controller - Handles CRUD operations for time-based menu prices (happy hours, late-night deals).
+ * Rules are applied when the menu is listed and orders are priced (see services/pricingRuleService.js).
+ */
+
+const PricingRule = require('../models/pricingRuleModel');
+const { isRuleInEffect } = require('../services/pricingRuleService');
+const { getActor } = require('../utils/adminActor');
+const { handleSaveError } = require('../utils/saveErrorResponse');
+
+const SAVE_ERROR_OPTIONS = { label: 'pricing rule' };
+
+// Fields an admin can set on a pricing rule
+const PRICING_RULE_FIELDS = [
+    'name', 'adjustmentType', 'value', 'daysOfWeek', 'startTime', 'endTime', 'categories', 'menuItems', 'isActive'
+];
+
+/**
+ * Copy the editable pricing rule fields from a request body.
+ * @param {Object} body - Request body
+ * @returns {Object} Only the fields present in PRICING_RULE_FIELDS
+ */
+const pickPricingRuleFields = (body) => {
+    return PRICING_RULE_FIELDS.reduce((fields, key) => {
+        if (body[key] !== undefined) fields[key] = body[key];
+        return fields;
+    }, {});
+};
+
+/**
+ * A pricing rule as returned by the API, with whether it is running right now.
+ * @param {Document} rule
+ * @returns {Object}
+ */
+const toPricingRuleResponse = (rule) => ({
+    ...rule.toJSON(),
+    inEffect: isRuleInEffect(rule, new Date())
+});
+
+/**
+ * Tell customer menus to reload their prices.
+ * @param {Object} req - Express request (for the Socket.IO server)
+ */
+const notifyPricingChange = (req) => {
+    const socketServer = req.app.get('io');
+    if (socketServer) {
+        socketServer.emit('menu:pricingUpdate');
+    }
+};
+
+/**
+ * @desc    Get all pricing rules, with whether each is running right now
+ * @route   GET /api/pricing-rules
+ * @access  Private (Admin)
+ */
+const getAllPricingRules = async (req, res) => {
+    try {
+        const rules = await PricingRule.find({})
+            .populate('menuItems', 'productName amount')
+            .sort({ startTime: 1, name: 1 });
+
+        res.status(200).json(rules.map(toPricingRuleResponse));
+    } catch (error) {
+        console.error('Error fetching pricing rules:', error);
+        res.status(500).json({ message: 'Server error while fetching pricing rules' });
+    }
+};
+
+/**
+ * @desc    Get single pricing rule
+ * @route   GET /api/pricing-rules/:id
+ * @access  Private (Admin)
+ */
+const getPricingRuleById = async (req, res) => {
+    try {
+        const rule = await PricingRule.findById(req.params.id).populate('menuItems', 'productName amount');
+
+        if (!rule) {
+            return res.status(404).json({ message: 'Pricing rule not found' });
+        }
+
+        res.status(200).json(toPricingRuleResponse(rule));
+    } catch (error) {
+        console.error('Error fetching pricing rule:', error);
+        if (handleSaveError(error, res, SAVE_ERROR_OPTIONS)) return;
+        res.status(500).json({ message: 'Server error while fetching pricing rule' });
+    }
+};
+
+/**
+ * @desc    Create pricing rule
+ * @route   POST /api/pricing-rules
+ * @access  Private (Admin)
+ */
+const createPricingRule = async (req, res) => {
+    try {
+        const rule = await PricingRule.create({
+            ...pickPricingRuleFields(req.body),
+            createdBy: getActor(req.admin)
+        });
+
+        notifyPricingChange(req);
+        res.status(201).json(toPricingRuleResponse(rule));
+    } catch (error) {
+        console.error('Error creating pricing rule:', error);
+        if (handleSaveError(error, res, SAVE_ERROR_OPTIONS)) return;
+        res.status(500).json({ message: 'Server error while creating pricing rule' });
+    }
+};
+
+/**
+ * @desc    Update pricing rule
+ * @route   PUT /api/pricing-rules/:id
+ * @access  Private (Admin)
+ * Orders already placed keep the price they were charged.
+ */
+const updatePricingRule = async (req, res) => {
+    try {
+        const rule = await PricingRule.findById(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({ message: 'Pricing rule not found' });
+        }
+
+        rule.set(pickPricingRuleFields(req.body));
+        rule.updatedBy = getActor(req.admin);
+        await rule.save();
+
+        notifyPricingChange(req);
+        res.status(200).json(toPricingRuleResponse(rule));
+    } catch (error) {
+        console.error('Error updating pricing rule:', error);
+        if (handleSaveError(error, res, SAVE_ERROR_OPTIONS)) return;
+        res.status(500).json({ message: 'Server error while updating pricing rule' });
+    }
+};
+
+/**
+ * @desc    Delete pricing rule
+ * @route   DELETE /api/pricing-rules/:id
+ * @access  Private (Admin)
+ * Orders keep the rule name they were priced with, so rules can be deleted at any time.
+ */
+const deletePricingRule = async (req, res) => {
+    try {
+        const rule = await PricingRule.findByIdAndDelete(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({ message: 'Pricing rule not found' });
+        }
+
+        notifyPricingChange(req);
+        res.status(200).json({ message: 'Pricing rule deleted successfully', id: req.params.id });
+    } catch (error) {
+        console.error('Error deleting pricing rule:', error);
+        if (handleSaveError(error, res, SAVE_ERROR_OPTIONS)) return;
+        res.status(500).json({ message: 'Server error while deleting pricing rule' });
+    }
+};
+
+module.exports = {
+    getAllPricingRules,
+    getPricingRuleById,
+    createPricingRule,
+    updatePricingRule,
+    deletePricingRule
+};
@@ -0,0 +1,215 @@
+/**
+ * Promotion Controller - Handles CRUD operations for promo codes, with usage figures.
+ * Customers apply codes through the order quote and create endpoints (see services/promotionService.js).
+ */
+
+const Promotion = require('../models/promotionModel');
+const Order = require('../models/orderModel');
+const { getActor } = require('../utils/adminActor');
+const { handleSaveError } = require('../utils/saveErrorResponse');
+
+const SAVE_ERROR_OPTIONS = { label: 'promotion', duplicateMessage: 'A promotion with this code already exists' };
+
+// Fields an admin can set on a promotion
+const PROMOTION_FIELDS = [
+    'code', 'description', 'discountType', 'discountValue', 'minOrderValue', 'maxDiscount',
+    'startsAt', 'endsAt', 'usageLimit', 'perCustomerLimit', 'categories', 'menuItems', 'isActive'
+];
+
+// Optional fields where an empty form value means "no limit" / "no date"
+const NULLABLE_FIELDS = ['maxDiscount', 'startsAt', 'endsAt', 'usageLimit', 'perCustomerLimit'];
+
+/**
+ * Copy the editable promotion fields from a request body.
+ * @param {Object} body - Request body
+ * @returns {Object} Only the fields present in PROMOTION_FIELDS
+ */
+const pickPromotionFields = (body) => {
+    return PROMOTION_FIELDS.reduce((fields, key) => {
+        if (body[key] === undefined) return fields;
+        fields[key] = NULLABLE_FIELDS.includes(key) && body[key] === '' ? null : body[key];
+        return fields;
+    }, {});
+};
+
+/**
+ * Orders, discount given, revenue and customers for each promotion. Cancelled orders are left out.
+ * @param {Array} promotionIds
+ * @returns {Promise<Map>} Promotion ID (string) → { orderCount, totalDiscount, revenue, customerCount, lastUsedAt }
+ */
+const getUsageByPromotion = async (promotionIds) => {
+    const usage = await Order.aggregate([
+        {
+            $match: {
+                'promotion.promotionId': { $in: promotionIds },
+                status: { $ne: 'cancelled' }
+            }
+        },
+        {
+            $group: {
+                _id: '$promotion.promotionId',
+                orderCount: { $sum: 1 },
+                totalDiscount: { $sum: '$discount' },
+                revenue: { $sum: '$total' },
+                customers: { $addToSet: { $ifNull: ['$userId', '$customerPhone'] } },
+                lastUsedAt: { $max: '$createdAt' }
+            }
+        }
+    ]);
+
+    return new Map(usage.map(entry => [entry._id.toString(), {
+        orderCount: entry.orderCount,
+        totalDiscount: Math.round(entry.totalDiscount * 100) / 100,
+        revenue: Math.round(entry.revenue * 100) / 100,
+        customerCount: entry.customers.length,
+        lastUsedAt: entry.lastUsedAt
+    }]));
+};
+
+const EMPTY_USAGE = { orderCount: 0, totalDiscount: 0, revenue: 0, customerCount: 0, lastUsedAt: null };
+
+/**
+ * @desc    Get all promotions with their usage, newest first
+ * @route   GET /api/promotions
+ * @access  Private (Admin)
+ * @query   status - active, scheduled, expired, exhausted or disabled (optional)
+ */
+const getAllPromotions = async (req, res) => {
+    try {
+        const promotions = await Promotion.find({})
+            .populate('menuItems', 'productName')
+            .sort({ createdAt: -1 });
+
+        const usageByPromotion = await getUsageByPromotion(promotions.map(promotion => promotion._id));
+
+        const result = promotions
+            .map(promotion => ({
+                ...promotion.toJSON(),
+                usage: usageByPromotion.get(promotion._id.toString()) || EMPTY_USAGE
+            }))
+            .filter(promotion => !req.query.status || req.query.status === 'all' || promotion.status === req.query.status);
+
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error fetching promotions:', error);
+        res.status(500).json({ message: 'Server error while fetching promotions' });
+    }
+};
+
+/**
+ * @desc    Get single promotion with its usage and most recent orders
+ * @route   GET /api/promotions/:id
+ * @access  Private (Admin)
+ */
+const getPromotionById = async (req, res) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id).populate('menuItems', 'productName');
+
+        if (!promotion) {
+            return res.status(404).json({ message: 'Promotion not found' });
+        }
+
+        const [usageByPromotion, recentOrders] = await Promise.all([
+            getUsageByPromotion([promotion._id]),
+            Order.find({ 'promotion.promotionId': promotion._id })
+                .select('orderNumber tableNumber customerName customerPhone discount total status createdAt')
+                .sort({ createdAt: -1 })
+                .limit(20)
+        ]);
+
+        res.status(200).json({
+            ...promotion.toJSON(),
+            usage: usageByPromotion.get(promotion._id.toString()) || EMPTY_USAGE,
+            recentOrders
+        });
+    } catch (error) {
+        console.error('Error fetching promotion:', error);
+        if (handleSaveError(error, res, SAVE_ERROR_OPTIONS)) return;
+        res.status(500).json({ message: 'Server error while fetching promotion' });
+    }
+};
+
+/**
+ * @desc    Create promotion
+ * @route   POST /api/promotions
+ * @access  Private (Admin)
+ */
+const createPromotion = async (req, res) => {
+    try {
+        const promotion = await Promotion.create({
+            ...pickPromotionFields(req.body),
+            createdBy: getActor(req.admin)
+        });
+
+        res.status(201).json(promotion);
+    } catch (error) {
+        console.error('Error creating promotion:', error);
+        if (handleSaveError(error, res, SAVE_ERROR_OPTIONS)) return;
+        res.status(500).json({ message: 'Server error while creating promotion' });
+    }
+};
+
+/**
+ * @desc    Update promotion
+ * @route   PUT /api/promotions/:id
+ * @access  Private (Admin)
+ * Orders that already used the code keep the discount they were given.
+ */
+const updatePromotion = async (req, res) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+
+        if (!promotion) {
+            return res.status(404).json({ message: 'Promotion not found' });
+        }
+
+        promotion.set(pickPromotionFields(req.body));
+        promotion.updatedBy = getActor(req.admin);
+        await promotion.save();
+
+        res.status(200).json(promotion);
+    } catch (error) {
+        console.error('Error updating promotion:', error);
+        if (handleSaveError(error, res, SAVE_ERROR_OPTIONS)) return;
+        res.status(500).json({ message: 'Server error while updating promotion' });
+    }
+};
+
+/**
+ * @desc    Delete promotion
+ * @route   DELETE /api/promotions/:id
+ * @access  Private (Admin)
+ * Promotions that orders have used cannot be deleted; disable them instead.
+ */
+const deletePromotion = async (req, res) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+
+        if (!promotion) {
+            return res.status(404).json({ message: 'Promotion not found' });
+        }
+
+        const ordersUsingCode = await Order.countDocuments({ 'promotion.promotionId': promotion._id });
+        if (ordersUsingCode > 0) {
+            return res.status(400).json({
+                message: `${promotion.code} has been used on ${ordersUsingCode} order(s). Disable it instead.`
+            });
+        }
+
+        await Promotion.findByIdAndDelete(promotion._id);
+
+        res.status(200).json({ message: 'Promotion deleted successfully', id: req.params.id });
+    } catch (error) {
+        console.error('Error deleting promotion:', error);
+        if (handleSaveError(error, res, SAVE_ERROR_OPTIONS)) return;
+        res.status(500).json({ message: 'Server error while deleting promotion' });
+    }
+};
+
+module.exports = {
+    getAllPromotions,
+    getPromotionById,
+    createPromotion,
+    updatePromotion,
+    deletePromotion
+};
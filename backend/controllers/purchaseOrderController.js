@@ -0,0 +1,441 @@
+/**
+ * Purchase Order Controller - Raises purchase orders with suppliers and receives goods against them.
+ * Receiving a delivery records the received quantities in the stock ledger at the unit cost paid.
+ */
+
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/purchaseOrderModel');
+const Supplier = require('../models/supplierModel');
+const Inventory = require('../models/inventoryModel');
+const { roundQuantity } = require('../config/units');
+const { isPerishableCategory } = require('../config/expiryConfig');
+const { syncMenuAvailability } = require('../services/menuAvailabilityService');
+const { recordStockMovements } = require('../services/stockLedgerService');
+const { getQuantityOnOrderByItem } = require('../services/reorderService');
+const { Parser } = require('json2csv');
+const { getActor } = require('../utils/adminActor');
+
+const PURCHASE_ORDER_STATUSES = PurchaseOrder.schema.path('status').enumValues;
+
+// POs that can still receive goods
+const OPEN_STATUSES = ['ordered', 'partially-received'];
+
+// Returned when a PO was received or cancelled by someone else between loading and saving
+const CONCURRENT_UPDATE_MESSAGE = 'Purchase order was updated by someone else. Please refresh and try again.';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Quantity to order to bring an item back up to its par level (the initial quantity,
+ * or the alert threshold if that is higher).
+ * @param {Document} item - Inventory item
+ * @returns {number}
+ */
+const getSuggestedQuantity = (item) => {
+    const parLevel = Math.max(item.initialQuantity, item.threshold);
+    return roundQuantity(Math.max(parLevel - item.currentQuantity, 0));
+};
+
+/**
+ * @desc    Get purchase orders
+ * @route   GET /api/purchase-orders
+ * @access  Private (Admin)
+ * @query   status - Filter by PO status (optional)
+ * @query   supplier - Filter by supplier ID (optional)
+ * @query   inventoryItem - Only POs containing this inventory item (optional)
+ */
+const getAllPurchaseOrders = async (req, res) => {
+    try {
+        const { status, supplier, inventoryItem } = req.query;
+        const filter = {};
+
+        if (status && status !== 'all') {
+            if (!PURCHASE_ORDER_STATUSES.includes(status)) {
+                return res.status(400).json({ message: `Status must be one of: ${PURCHASE_ORDER_STATUSES.join(', ')}` });
+            }
+            filter.status = status;
+        }
+        if (supplier && supplier !== 'all') {
+            if (!mongoose.isValidObjectId(supplier)) {
+                return res.status(400).json({ message: 'Invalid supplier ID format' });
+            }
+            filter.supplier = supplier;
+        }
+        if (inventoryItem) {
+            if (!mongoose.isValidObjectId(inventoryItem)) {
+                return res.status(400).json({ message: 'Invalid inventory item ID format' });
+            }
+            filter['items.inventoryItem'] = inventoryItem;
+        }
+
+        const purchaseOrders = await PurchaseOrder.find(filter).sort({ createdAt: -1 });
+
+        res.status(200).json(purchaseOrders);
+    } catch (error) {
+        console.error('Error fetching purchase orders:', error);
+        res.status(500).json({ message: 'Server error while fetching purchase orders' });
+    }
+};
+
+/**
+ * @desc    Low and out-of-stock items to build a purchase order from
+ * @route   GET /api/purchase-orders/reorder-suggestions
+ * @access  Private (Admin)
+ * Items already on an open PO report the quantity still on order so they are not ordered twice.
+ */
+const getReorderSuggestions = async (req, res) => {
+    try {
+        const inventoryItems = await Inventory.find({}).sort({ category: 1, name: 1 });
+        const lowStockItems = inventoryItems.filter(item => item.stockStatus !== 'in-stock');
+
+        const onOrderByItem = await getQuantityOnOrderByItem(lowStockItems.map(item => item._id));
+
+        const suggestions = lowStockItems.map(item => ({
+            inventoryItem: item,
+            suggestedQuantity: getSuggestedQuantity(item),
+            quantityOnOrder: onOrderByItem.get(item._id.toString()) || 0
+        }));
+
+        res.status(200).json(suggestions);
+    } catch (error) {
+        console.error('Error fetching reorder suggestions:', error);
+        res.status(500).json({ message: 'Server error while fetching reorder suggestions' });
+    }
+};
+
+/**
+ * @desc    Get single purchase order by ID
+ * @route   GET /api/purchase-orders/:id
+ * @access  Private (Admin)
+ */
+const getPurchaseOrderById = async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id).populate('supplier');
+
+        if (!purchaseOrder) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+
+        res.status(200).json(purchaseOrder);
+    } catch (error) {
+        console.error('Error fetching purchase order:', error);
+
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid purchase order ID format' });
+        }
+
+        res.status(500).json({ message: 'Server error while fetching purchase order' });
+    }
+};
+
+/**
+ * @desc    Create a purchase order
+ * @route   POST /api/purchase-orders
+ * @access  Private (Admin)
+ * @body    { supplier, items: [{ inventoryItem, quantityOrdered, unitCost }], expectedDeliveryDate?, notes? }
+ * Without an expected delivery date, the supplier's lead time is used.
+ */
+const createPurchaseOrder = async (req, res) => {
+    try {
+        const { supplier: supplierId, items, expectedDeliveryDate, notes } = req.body;
+
+        if (!supplierId || !mongoose.isValidObjectId(supplierId)) {
+            return res.status(400).json({ message: 'Please select a supplier' });
+        }
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ message: 'Add at least one item to the purchase order' });
+        }
+
+        const supplier = await Supplier.findById(supplierId);
+        if (!supplier) {
+            return res.status(404).json({ message: 'Supplier not found' });
+        }
+
+        const inventoryIds = items.map(item => item?.inventoryItem);
+        if (inventoryIds.some(id => !mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ message: 'Every line must be an inventory item' });
+        }
+        if (new Set(inventoryIds.map(String)).size !== inventoryIds.length) {
+            return res.status(400).json({ message: 'Each inventory item can only appear once on a purchase order' });
+        }
+
+        const inventoryItems = await Inventory.find({ _id: { $in: inventoryIds } });
+        const inventoryById = new Map(inventoryItems.map(item => [item._id.toString(), item]));
+
+        const lines = [];
+        for (const item of items) {
+            const inventoryItem = inventoryById.get(String(item.inventoryItem));
+            if (!inventoryItem) {
+                return res.status(404).json({ message: 'An item on this purchase order no longer exists in inventory' });
+            }
+
+            const quantityOrdered = Number(item.quantityOrdered);
+            if (!Number.isFinite(quantityOrdered) || quantityOrdered <= 0) {
+                return res.status(400).json({ message: `Enter a quantity greater than 0 for ${inventoryItem.name}` });
+            }
+
+            const unitCost = item.unitCost === undefined || item.unitCost === '' ? 0 : Number(item.unitCost);
+            if (!Number.isFinite(unitCost) || unitCost < 0) {
+                return res.status(400).json({ message: `Enter a valid unit cost for ${inventoryItem.name}` });
+            }
+
+            lines.push({
+                inventoryItem: inventoryItem._id,
+                name: inventoryItem.name,
+                unitOfMeasure: inventoryItem.unitOfMeasure,
+                category: inventoryItem.category,
+                quantityOrdered: roundQuantity(quantityOrdered),
+                unitCost
+            });
+        }
+
+        const purchaseOrder = await PurchaseOrder.create({
+            poNumber: await PurchaseOrder.generatePoNumber(),
+            supplier: supplier._id,
+            supplierName: supplier.name,
+            items: lines,
+            expectedDeliveryDate: expectedDeliveryDate
+                ? new Date(expectedDeliveryDate)
+                : new Date(Date.now() + supplier.leadTimeDays * DAY_MS),
+            notes: notes || '',
+            orderedBy: getActor(req.admin)
+        });
+
+        res.status(201).json(purchaseOrder);
+    } catch (error) {
+        console.error('Error creating purchase order:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Another purchase order was created at the same time. Please try again.' });
+        }
+
+        res.status(500).json({ message: 'Server error while creating purchase order' });
+    }
+};
+
+/**
+ * @desc    Receive goods against a purchase order (full or partial delivery)
+ * @route   POST /api/purchase-orders/:id/receive
+ * @access  Private (Admin)
+ * @body    { items: [{ inventoryItem, quantity, unitCost?, expiryDate?, batchNumber? }], note? }
+ * Adds the received quantities to inventory and records the unit cost paid as the item's last cost.
+ * Perishable items need an expiry date and are added as a batch (numbered after the PO by default).
+ */
+const receivePurchaseOrder = async (req, res) => {
+    try {
+        const { items, note } = req.body;
+
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+        if (!OPEN_STATUSES.includes(purchaseOrder.status)) {
+            return res.status(400).json({ message: `Cannot receive goods on a ${purchaseOrder.status} purchase order` });
+        }
+
+        const receivedItems = (Array.isArray(items) ? items : []).filter(item => Number(item?.quantity) !== 0);
+        if (receivedItems.length === 0) {
+            return res.status(400).json({ message: 'Enter the quantity received for at least one item' });
+        }
+        if (new Set(receivedItems.map(item => String(item.inventoryItem))).size !== receivedItems.length) {
+            return res.status(400).json({ message: 'Each item can only be received once per delivery' });
+        }
+
+        const receiptItems = [];
+        for (const item of receivedItems) {
+            const line = purchaseOrder.items.find(l => l.inventoryItem.toString() === String(item.inventoryItem));
+            if (!line) {
+                return res.status(400).json({ message: 'An item in this delivery is not on the purchase order' });
+            }
+
+            const quantity = Number(item.quantity);
+            const outstanding = roundQuantity(line.quantityOrdered - line.quantityReceived);
+            if (!Number.isFinite(quantity) || quantity < 0) {
+                return res.status(400).json({ message: `Enter a valid quantity for ${line.name}` });
+            }
+            if (quantity > outstanding) {
+                return res.status(400).json({
+                    message: `Only ${outstanding} ${line.unitOfMeasure} of ${line.name} is still outstanding`
+                });
+            }
+
+            const unitCost = item.unitCost === undefined || item.unitCost === '' ? line.unitCost : Number(item.unitCost);
+            if (!Number.isFinite(unitCost) || unitCost < 0) {
+                return res.status(400).json({ message: `Enter a valid unit cost for ${line.name}` });
+            }
+
+            // Perishables arrive as a batch with its own expiry date
+            const expiryDate = item.expiryDate ? new Date(item.expiryDate) : null;
+            if (expiryDate && Number.isNaN(expiryDate.getTime())) {
+                return res.status(400).json({ message: `Enter a valid expiry date for ${line.name}` });
+            }
+            if (!expiryDate && quantity > 0 && isPerishableCategory(line.category)) {
+                return res.status(400).json({ message: `Enter the expiry date of the ${line.name} received` });
+            }
+
+            line.quantityReceived = roundQuantity(line.quantityReceived + quantity);
+            receiptItems.push({
+                inventoryItem: line.inventoryItem,
+                name: line.name,
+                quantity,
+                unitCost,
+                batchNumber: expiryDate ? (item.batchNumber || '').trim() || purchaseOrder.poNumber : '',
+                expiryDate
+            });
+        }
+
+        purchaseOrder.receipts.push({
+            items: receiptItems,
+            note: note || '',
+            receivedBy: getActor(req.admin)
+        });
+        purchaseOrder.status = purchaseOrder.items.every(line => line.quantityReceived >= line.quantityOrdered)
+            ? 'received'
+            : 'partially-received';
+
+        try {
+            await purchaseOrder.save();
+        } catch (error) {
+            if (error.name === 'VersionError') {
+                return res.status(409).json({ message: CONCURRENT_UPDATE_MESSAGE });
+            }
+            throw error;
+        }
+
+        // Saved first so a rejected (concurrent) receipt never touches stock
+        await recordStockMovements(receiptItems.map(item => ({
+            inventoryItem: item.inventoryItem,
+            type: 'receipt',
+            quantity: item.quantity,
+            unitCost: item.unitCost,
+            batch: item.expiryDate ? { batchNumber: item.batchNumber, expiryDate: item.expiryDate } : null,
+            reason: note || '',
+            reference: { kind: 'purchase-order', id: purchaseOrder._id, label: purchaseOrder.poNumber },
+            performedBy: getActor(req.admin)
+        })));
+
+        // Restocked ingredients can bring menu items back
+        await syncMenuAvailability(req.app.get('io'), {
+            inventoryIds: receiptItems.map(item => item.inventoryItem)
+        });
+
+        res.status(200).json(purchaseOrder);
+    } catch (error) {
+        console.error('Error receiving purchase order:', error);
+
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid purchase order ID format' });
+        }
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+
+        res.status(500).json({ message: 'Server error while receiving purchase order' });
+    }
+};
+
+/**
+ * @desc    Cancel a purchase order
+ * @route   PATCH /api/purchase-orders/:id/cancel
+ * @access  Private (Admin)
+ * Goods already received stay in stock; only the outstanding quantities are cancelled.
+ */
+const cancelPurchaseOrder = async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+        if (!OPEN_STATUSES.includes(purchaseOrder.status)) {
+            return res.status(400).json({ message: `Cannot cancel a ${purchaseOrder.status} purchase order` });
+        }
+
+        purchaseOrder.status = 'cancelled';
+        purchaseOrder.cancelledAt = new Date();
+        purchaseOrder.cancelledBy = getActor(req.admin);
+
+        try {
+            await purchaseOrder.save();
+        } catch (error) {
+            if (error.name === 'VersionError') {
+                return res.status(409).json({ message: CONCURRENT_UPDATE_MESSAGE });
+            }
+            throw error;
+        }
+
+        res.status(200).json(purchaseOrder);
+    } catch (error) {
+        console.error('Error cancelling purchase order:', error);
+
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid purchase order ID format' });
+        }
+
+        res.status(500).json({ message: 'Server error while cancelling purchase order' });
+    }
+};
+
+/**
+ * @desc    Export a purchase order to CSV (one row per item)
+ * @route   GET /api/purchase-orders/:id/export/csv
+ * @access  Private (Admin)
+ */
+const exportPurchaseOrder = async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+
+        const rows = purchaseOrder.items.map(line => ({
+            poNumber: purchaseOrder.poNumber,
+            supplier: purchaseOrder.supplierName,
+            status: purchaseOrder.status,
+            orderedAt: purchaseOrder.createdAt.toISOString(),
+            orderedBy: purchaseOrder.orderedBy?.name || '',
+            expectedDeliveryDate: purchaseOrder.expectedDeliveryDate
+                ? purchaseOrder.expectedDeliveryDate.toISOString().slice(0, 10)
+                : '',
+            item: line.name,
+            unit: line.unitOfMeasure,
+            quantityOrdered: line.quantityOrdered,
+            quantityReceived: line.quantityReceived,
+            unitCost: line.unitCost,
+            lineTotal: roundQuantity(line.quantityOrdered * line.unitCost)
+        }));
+
+        const fields = [
+            'poNumber', 'supplier', 'status', 'orderedAt', 'orderedBy', 'expectedDeliveryDate',
+            'item', 'unit', 'quantityOrdered', 'quantityReceived', 'unitCost', 'lineTotal'
+        ];
+        const json2csvParser = new Parser({ fields });
+        const csv = json2csvParser.parse(rows);
+
+        res.header('Content-Type', 'text/csv');
+        res.attachment(`${purchaseOrder.poNumber}.csv`);
+        return res.send(csv);
+    } catch (error) {
+        console.error('Error exporting purchase order:', error);
+
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid purchase order ID format' });
+        }
+
+        res.status(500).json({ message: 'Server error while exporting purchase order' });
+    }
+};
+
+module.exports = {
+    getAllPurchaseOrders,
+    getReorderSuggestions,
+    getPurchaseOrderById,
+    createPurchaseOrder,
+    receivePurchaseOrder,
+    cancelPurchaseOrder,
+    exportPurchaseOrder
+};
@@ -0,0 +1,233 @@
+/**
+ * Review Controller - Customer ratings and reviews of menu items, and their moderation.
+ * Customers can review items they were served; approved reviews make up the item's rating
+ * (see services/reviewService.js).
+ */
+
+const mongoose = require('mongoose');
+const Review = require('../models/reviewModel');
+const MenuItem = require('../models/menuModel');
+const {
+    findServedPurchase, getInitialStatus, refreshMenuItemRating
+} = require('../services/reviewService');
+const { getActor } = require('../utils/adminActor');
+
+// Matches the maxlength of comment on the review schema
+const MAX_COMMENT_LENGTH = 300;
+
+// Approved reviews shown for a menu item
+const MENU_ITEM_REVIEW_LIMIT = 20;
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Name shown on a public review: the customer's first name only.
+ * @param {string} name
+ * @returns {string}
+ */
+const toPublicName = (name) => String(name || 'Guest').trim().split(/\s+/)[0];
+
+/**
+ * Tell the admin dashboard a review is waiting for moderation.
+ * @param {Object} req - Express request (for the Socket.IO server)
+ * @param {Document} review
+ */
+const notifyPendingReview = (req, review) => {
+    const socketServer = req.app.get('io');
+    if (socketServer) {
+        socketServer.to('admin_room').emit('review:pending', {
+            _id: review._id,
+            menuItemName: review.menuItemName,
+            rating: review.rating
+        });
+    }
+};
+
+/**
+ * @desc    Rate and review a menu item the customer was served (replaces their earlier review of it)
+ * @route   POST /api/reviews
+ * @access  Customer (verified)
+ * @body    menuItemId, rating (1-5), comment (optional)
+ */
+const submitReview = async (req, res) => {
+    try {
+        const { menuItemId } = req.body;
+        const rating = Number(req.body.rating);
+        const comment = String(req.body.comment || '').trim();
+
+        if (!mongoose.isValidObjectId(menuItemId)) {
+            return res.status(400).json({ success: false, message: 'Invalid menu item ID format' });
+        }
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return res.status(400).json({ success: false, message: 'Rating must be 1 to 5 stars' });
+        }
+        if (comment.length > MAX_COMMENT_LENGTH) {
+            return res.status(400).json({ success: false, message: `Review cannot exceed ${MAX_COMMENT_LENGTH} characters` });
+        }
+
+        const menuItem = await MenuItem.findById(menuItemId).select('productName');
+        if (!menuItem) {
+            return res.status(404).json({ success: false, message: 'Menu item not found' });
+        }
+
+        const purchase = await findServedPurchase(req.customer, menuItem._id);
+        if (!purchase) {
+            return res.status(403).json({ success: false, message: 'You can only review items you have been served' });
+        }
+
+        const review = await Review.findOne({ menuItem: menuItem._id, customer: req.customer._id })
+            || new Review({ menuItem: menuItem._id, customer: req.customer._id });
+        review.set({
+            menuItemName: menuItem.productName,
+            customerName: req.customer.name,
+            rating,
+            comment,
+            purchase,
+            status: getInitialStatus(comment),
+            moderatedBy: null,
+            moderatedAt: null
+        });
+        await review.save();
+
+        await refreshMenuItemRating(menuItem._id);
+        if (review.status === 'pending') {
+            notifyPendingReview(req, review);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: review.status === 'pending'
+                ? 'Thanks! Your review will appear once it has been checked.'
+                : 'Thanks for rating!',
+            data: review
+        });
+    } catch (error) {
+        console.error('Error submitting review:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ success: false, message: messages.join(', ') });
+        }
+        res.status(500).json({ success: false, message: 'Server error while submitting review' });
+    }
+};
+
+/**
+ * @desc    Get the customer's own reviews (to show what they rated on their order history)
+ * @route   GET /api/reviews/mine
+ * @access  Customer (verified)
+ */
+const getMyReviews = async (req, res) => {
+    try {
+        const reviews = await Review.find({ customer: req.customer._id })
+            .select('menuItem menuItemName rating comment status createdAt updatedAt')
+            .sort({ updatedAt: -1 });
+
+        res.status(200).json({ success: true, data: reviews });
+    } catch (error) {
+        console.error('Error fetching customer reviews:', error);
+        res.status(500).json({ success: false, message: 'Server error while fetching reviews' });
+    }
+};
+
+/**
+ * @desc    Get the latest approved written reviews of a menu item
+ * @route   GET /api/reviews/menu-item/:menuItemId
+ * @access  Public
+ */
+const getMenuItemReviews = async (req, res) => {
+    try {
+        const { menuItemId } = req.params;
+        if (!mongoose.isValidObjectId(menuItemId)) {
+            return res.status(400).json({ success: false, message: 'Invalid menu item ID format' });
+        }
+
+        const reviews = await Review.find({ menuItem: menuItemId, status: 'approved', comment: { $ne: '' } })
+            .sort({ createdAt: -1 })
+            .limit(MENU_ITEM_REVIEW_LIMIT);
+
+        res.status(200).json({
+            success: true,
+            data: reviews.map(review => ({
+                _id: review._id,
+                customerName: toPublicName(review.customerName),
+                rating: review.rating,
+                comment: review.comment,
+                createdAt: review.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching menu item reviews:', error);
+        res.status(500).json({ success: false, message: 'Server error while fetching reviews' });
+    }
+};
+
+/**
+ * @desc    Get reviews for moderation, newest first
+ * @route   GET /api/reviews
+ * @access  Private (Admin)
+ * @query   status - pending (default), approved or rejected
+ */
+const getReviews = async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        if (!REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: 'Status must be pending, approved or rejected' });
+        }
+
+        const reviews = await Review.find({ status })
+            .populate('customer', 'name phone')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({ success: true, data: reviews });
+    } catch (error) {
+        console.error('Error fetching reviews:', error);
+        res.status(500).json({ success: false, message: 'Server error while fetching reviews' });
+    }
+};
+
+/**
+ * @desc    Approve or reject a review; the item's rating is recalculated
+ * @route   PUT /api/reviews/:id/moderation
+ * @access  Private (Admin)
+ * @body    status - approved or rejected
+ */
+const moderateReview = async (req, res) => {
+    try {
+        const { status } = req.body;
+        if (!['approved', 'rejected'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'Status must be approved or rejected' });
+        }
+
+        const review = await Review.findById(req.params.id);
+        if (!review) {
+            return res.status(404).json({ success: false, message: 'Review not found' });
+        }
+
+        review.status = status;
+        review.moderatedBy = getActor(req.admin);
+        review.moderatedAt = new Date();
+        await review.save();
+
+        const ratingFields = await refreshMenuItemRating(review.menuItem);
+
+        res.status(200).json({
+            success: true,
+            message: `Review ${status}`,
+            data: { review, menuItem: { _id: review.menuItem, ...ratingFields } }
+        });
+    } catch (error) {
+        console.error('Error moderating review:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ success: false, message: 'Invalid review ID format' });
+        }
+        res.status(500).json({ success: false, message: 'Server error while moderating review' });
+    }
+};
+
+module.exports = {
+    submitReview,
+    getMyReviews,
+    getMenuItemReviews,
+    getReviews,
+    moderateReview
+};
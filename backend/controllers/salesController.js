@@ -8,6 +8,7 @@
 
 const Sales = require('../models/salesModel');
 const Bill = require('../models/billModel');
+const { getLoyaltyLiability } = require('../services/loyaltyService');
 
 
 // Helper Functions
@@ -55,8 +56,10 @@ const getDateRangeForPeriod = (period) => {
 
 // API Handlers
 /**
- * Get aggregated stats (total revenue, orders, avg value, repeat rate).
+ * Get aggregated stats (total revenue, orders, avg value, repeat rate, loyalty points).
  * Uses Bill data as the primary source since bills are created when payment is requested.
+ * Revenue includes the part of bills paid with loyalty points; loyalty.liability is what
+ * customers' unused points are worth now.
  * @route GET /api/sales/stats
  * @query period - 'today', 'week', 'month' (default: 'today')
  */
@@ -109,6 +112,8 @@ const getAggregatedStats = async (request, response) => {
             ? Math.round((customerStats[0].repeatCustomers / customerStats[0].totalCustomers) * 100)
             : 0;
 
+        const loyalty = await getLoyaltyLiability(startDate, endDate);
+
         response.status(200).json({
             success: true,
             data: {
@@ -116,6 +121,7 @@ const getAggregatedStats = async (request, response) => {
                 totalOrders,
                 avgOrderValue: Math.round(avgOrderValue * 100) / 100,
                 customerRepeatRate: repeatRate,
+                loyalty,
                 period
             }
         });
@@ -693,6 +699,142 @@ const getPopularCombos = async (request, response) => {
 };
 
 
+/**
+ * Get revenue earned from item add-ons (customizations) in paid bills.
+ * @route GET /api/sales/add-on-revenue
+ * @query period - 'today', 'week', 'month'
+ * @query limit - Number of add-ons to return (default: 5)
+ */
+const getAddOnRevenue = async (request, response) => {
+    try {
+        const { period = 'today', limit = 5 } = request.query;
+        const { startDate, endDate } = getDateRangeForPeriod(period);
+
+        // Each add-on is charged once per unit of the item it was added to
+        const addOns = await Bill.aggregate([
+            {
+                $match: {
+                    billingStatus: 'paid',
+                    paidAt: { $gte: startDate, $lte: endDate }
+                }
+            },
+            { $unwind: '$items' },
+            { $unwind: '$items.customizations' },
+            {
+                $group: {
+                    _id: '$items.customizations.name',
+                    totalQuantity: { $sum: '$items.quantity' },
+                    totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.customizations.price'] } }
+                }
+            },
+            { $sort: { totalRevenue: -1 } }
+        ]);
+
+        const totalAddOnRevenue = addOns.reduce((sum, addOn) => sum + addOn.totalRevenue, 0);
+
+        response.status(200).json({
+            success: true,
+            data: {
+                totalAddOnRevenue: Math.round(totalAddOnRevenue * 100) / 100,
+                addOns: addOns.slice(0, parseInt(limit)).map(addOn => ({
+                    name: addOn._id,
+                    quantity: addOn.totalQuantity,
+                    revenue: Math.round(addOn.totalRevenue * 100) / 100
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching add-on revenue:', error);
+        response.status(500).json({
+            success: false,
+            message: 'Failed to fetch add-on revenue',
+            error: error.message
+        });
+    }
+};
+
+
+/**
+ * Get how money was collected: cash, card, UPI and other, by amount and number of payments.
+ * Each part of a part-cash/part-UPI bill counts towards its own method; bills paid before
+ * payments were recorded count once, with the method they were marked paid with.
+ * @route GET /api/sales/payment-methods
+ * @query period - 'today', 'week', 'month'
+ */
+const getPaymentMethodMix = async (request, response) => {
+    try {
+        const { period = 'today' } = request.query;
+        const { startDate, endDate } = getDateRangeForPeriod(period);
+
+        const [payments, legacyBills] = await Promise.all([
+            Bill.aggregate([
+                { $match: { 'payments.receivedAt': { $gte: startDate, $lte: endDate } } },
+                { $unwind: '$payments' },
+                { $match: { 'payments.receivedAt': { $gte: startDate, $lte: endDate } } },
+                {
+                    $group: {
+                        _id: '$payments.method',
+                        amount: { $sum: '$payments.amount' },
+                        count: { $sum: 1 }
+                    }
+                }
+            ]),
+            Bill.aggregate([
+                {
+                    $match: {
+                        billingStatus: 'paid',
+                        paidAt: { $gte: startDate, $lte: endDate },
+                        'payments.0': { $exists: false }
+                    }
+                },
+                {
+                    $group: {
+                        _id: { $ifNull: ['$paymentMethod', 'other'] },
+                        // Amount due: what was left after loyalty points
+                        amount: { $sum: { $subtract: ['$total', { $ifNull: ['$loyalty.redeemedAmount', 0] }] } },
+                        count: { $sum: 1 }
+                    }
+                }
+            ])
+        ]);
+
+        const byMethod = {};
+        [...payments, ...legacyBills].forEach(({ _id, amount, count }) => {
+            const method = byMethod[_id] || (byMethod[_id] = { method: _id, amount: 0, count: 0 });
+            method.amount += amount;
+            method.count += count;
+        });
+
+        const total = Object.values(byMethod).reduce((sum, method) => sum + method.amount, 0);
+        const methods = Object.values(byMethod)
+            .sort((a, b) => b.amount - a.amount)
+            .map(method => ({
+                method: method.method,
+                amount: Math.round(method.amount * 100) / 100,
+                count: method.count,
+                share: total > 0 ? Math.round((method.amount / total) * 1000) / 10 : 0
+            }));
+
+        response.status(200).json({
+            success: true,
+            data: {
+                total: Math.round(total * 100) / 100,
+                methods
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching payment method mix:', error);
+        response.status(500).json({
+            success: false,
+            message: 'Failed to fetch payment method mix',
+            error: error.message
+        });
+    }
+};
+
+
 /**
  * Get growth metrics for KPI cards (percentage changes).
  * @route GET /api/sales/growth-metrics
@@ -832,5 +974,7 @@ module.exports = {
     getRevenueByHour,
     getNewCustomers,
     getPopularCombos,
+    getAddOnRevenue,
+    getPaymentMethodMix,
     getGrowthMetrics
 };
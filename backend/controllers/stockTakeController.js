@@ -0,0 +1,394 @@
+/**
+ * Stock-take Controller - Physical stock counts (cycle counts) with variance reporting.
+ * Staff count a category item by item; a manager approves the session and the variances
+ * are recorded in the stock ledger as stock-take movements.
+ */
+
+const mongoose = require('mongoose');
+const StockTake = require('../models/stockTakeModel');
+const Inventory = require('../models/inventoryModel');
+const { roundQuantity } = require('../config/units');
+const { syncMenuAvailability } = require('../services/menuAvailabilityService');
+const { recordStockMovements } = require('../services/stockLedgerService');
+const { getActor } = require('../utils/adminActor');
+
+const STOCK_TAKE_STATUSES = StockTake.schema.path('status').enumValues;
+const INVENTORY_CATEGORIES = Inventory.schema.path('category').enumValues;
+
+// Stock-takes still being worked on
+const OPEN_STATUSES = ['counting', 'submitted'];
+
+// Returned when a stock-take was approved or cancelled by someone else between loading and saving
+const CONCURRENT_UPDATE_MESSAGE = 'Stock-take was updated by someone else. Please refresh and try again.';
+
+// Approved stock-takes shown in an item's variance history
+const HISTORY_LIMIT = 26;
+
+/**
+ * @desc    Get stock-takes, newest first
+ * @route   GET /api/stock-takes
+ * @access  Private (Admin)
+ * @query   status - Filter by status (optional)
+ */
+const getAllStockTakes = async (req, res) => {
+    try {
+        const { status } = req.query;
+        const filter = {};
+
+        if (status && status !== 'all') {
+            if (!STOCK_TAKE_STATUSES.includes(status)) {
+                return res.status(400).json({ message: `Status must be one of: ${STOCK_TAKE_STATUSES.join(', ')}` });
+            }
+            filter.status = status;
+        }
+
+        const stockTakes = await StockTake.find(filter).sort({ createdAt: -1 });
+
+        res.status(200).json(stockTakes);
+    } catch (error) {
+        console.error('Error fetching stock-takes:', error);
+        res.status(500).json({ message: 'Server error while fetching stock-takes' });
+    }
+};
+
+/**
+ * @desc    Get a stock-take by ID
+ * @route   GET /api/stock-takes/:id
+ * @access  Private (Admin)
+ */
+const getStockTakeById = async (req, res) => {
+    try {
+        const stockTake = await StockTake.findById(req.params.id);
+
+        if (!stockTake) {
+            return res.status(404).json({ message: 'Stock-take not found' });
+        }
+
+        res.status(200).json(stockTake);
+    } catch (error) {
+        console.error('Error fetching stock-take:', error);
+
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid stock-take ID format' });
+        }
+
+        res.status(500).json({ message: 'Server error while fetching stock-take' });
+    }
+};
+
+/**
+ * @desc    Variance of an inventory item in past approved stock-takes, oldest first
+ * @route   GET /api/stock-takes/history/:inventoryItemId
+ * @access  Private (Admin)
+ */
+const getItemStockTakeHistory = async (req, res) => {
+    try {
+        const { inventoryItemId } = req.params;
+
+        if (!mongoose.isValidObjectId(inventoryItemId)) {
+            return res.status(400).json({ message: 'Invalid inventory item ID format' });
+        }
+
+        const stockTakes = await StockTake.find({
+            status: 'approved',
+            lines: { $elemMatch: { inventoryItem: inventoryItemId, countedQuantity: { $ne: null } } }
+        })
+            .sort({ approvedAt: -1 })
+            .limit(HISTORY_LIMIT);
+
+        const history = stockTakes.reverse().map((stockTake) => {
+            const line = stockTake.lines.find(l => l.inventoryItem.toString() === inventoryItemId);
+            return {
+                stockTake: stockTake._id,
+                stockTakeNumber: stockTake.stockTakeNumber,
+                approvedAt: stockTake.approvedAt,
+                unitOfMeasure: line.unitOfMeasure,
+                systemQuantity: line.systemQuantity,
+                countedQuantity: line.countedQuantity,
+                variance: line.variance,
+                varianceValue: line.varianceValue
+            };
+        });
+
+        res.status(200).json(history);
+    } catch (error) {
+        console.error('Error fetching stock-take history:', error);
+        res.status(500).json({ message: 'Server error while fetching stock-take history' });
+    }
+};
+
+/**
+ * @desc    Start a stock-take of one category (or every category)
+ * @route   POST /api/stock-takes
+ * @access  Private (Admin)
+ * @body    { category?, notes? } - Leave category empty to count everything
+ * Only one stock-take per category can be open at a time.
+ */
+const createStockTake = async (req, res) => {
+    try {
+        const category = req.body.category && req.body.category !== 'all' ? req.body.category : '';
+        const { notes } = req.body;
+
+        if (category && !INVENTORY_CATEGORIES.includes(category)) {
+            return res.status(400).json({ message: `Category must be one of: ${INVENTORY_CATEGORIES.join(', ')}` });
+        }
+
+        const openStockTake = await StockTake.findOne({ category, status: { $in: OPEN_STATUSES } });
+        if (openStockTake) {
+            return res.status(409).json({
+                message: `${openStockTake.stockTakeNumber} is still open for ${category || 'all categories'}. Finish or cancel it first.`
+            });
+        }
+
+        const inventoryItems = await Inventory.find(category ? { category } : {}).sort({ name: 1 });
+
+        const stockTake = await StockTake.create({
+            stockTakeNumber: await StockTake.generateStockTakeNumber(),
+            category,
+            lines: inventoryItems.map(item => ({
+                inventoryItem: item._id,
+                name: item.name,
+                unitOfMeasure: item.unitOfMeasure,
+                systemQuantity: roundQuantity(item.currentQuantity),
+                unitCost: item.lastUnitCost
+            })),
+            notes: notes || '',
+            startedBy: getActor(req.admin)
+        });
+
+        res.status(201).json(stockTake);
+    } catch (error) {
+        console.error('Error creating stock-take:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Another stock-take was started at the same time. Please try again.' });
+        }
+
+        res.status(500).json({ message: 'Server error while creating stock-take' });
+    }
+};
+
+/**
+ * @desc    Enter (or clear) the counted quantity of one item
+ * @route   PATCH /api/stock-takes/:id/lines/:inventoryItemId
+ * @access  Private (Admin)
+ * @body    { countedQuantity } - null clears the count
+ * The system quantity is re-read at the moment of counting, so orders served while the count
+ * is under way do not show up as variance.
+ */
+const countStockTakeLine = async (req, res) => {
+    try {
+        const { id, inventoryItemId } = req.params;
+        const { countedQuantity } = req.body;
+
+        if (!mongoose.isValidObjectId(inventoryItemId)) {
+            return res.status(400).json({ message: 'Invalid inventory item ID format' });
+        }
+
+        const isClearing = countedQuantity === null || countedQuantity === '';
+        const counted = Number(countedQuantity);
+        if (!isClearing && (!Number.isFinite(counted) || counted < 0)) {
+            return res.status(400).json({ message: 'Counted quantity must be 0 or more' });
+        }
+
+        const update = {
+            'lines.$.countedQuantity': isClearing ? null : roundQuantity(counted),
+            'lines.$.countedBy': isClearing ? null : getActor(req.admin),
+            'lines.$.countedAt': isClearing ? null : new Date()
+        };
+
+        const inventoryItem = await Inventory.findById(inventoryItemId);
+        if (inventoryItem && !isClearing) {
+            update['lines.$.systemQuantity'] = roundQuantity(inventoryItem.currentQuantity);
+            update['lines.$.unitCost'] = inventoryItem.lastUnitCost;
+        }
+
+        // Updated in place so several people can count the same session at once
+        const stockTake = await StockTake.findOneAndUpdate(
+            { _id: id, status: 'counting', 'lines.inventoryItem': inventoryItemId },
+            { $set: update },
+            { new: true }
+        );
+
+        if (!stockTake) {
+            const existing = await StockTake.findById(id);
+            if (!existing) {
+                return res.status(404).json({ message: 'Stock-take not found' });
+            }
+            if (existing.status !== 'counting') {
+                return res.status(400).json({ message: `Cannot count a ${existing.status} stock-take` });
+            }
+            return res.status(404).json({ message: 'Item is not part of this stock-take' });
+        }
+
+        res.status(200).json(stockTake);
+    } catch (error) {
+        console.error('Error counting stock-take item:', error);
+
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid stock-take ID format' });
+        }
+
+        res.status(500).json({ message: 'Server error while counting stock-take item' });
+    }
+};
+
+/**
+ * @desc    Finish counting and send the stock-take for approval
+ * @route   PATCH /api/stock-takes/:id/submit
+ * @access  Private (Admin)
+ * Items left uncounted are not adjusted.
+ */
+const submitStockTake = async (req, res) => {
+    try {
+        const stockTake = await StockTake.findById(req.params.id);
+        if (!stockTake) {
+            return res.status(404).json({ message: 'Stock-take not found' });
+        }
+        if (stockTake.status !== 'counting') {
+            return res.status(400).json({ message: `Cannot submit a ${stockTake.status} stock-take` });
+        }
+        if (stockTake.countedCount === 0) {
+            return res.status(400).json({ message: 'Count at least one item before submitting' });
+        }
+
+        stockTake.status = 'submitted';
+        stockTake.submittedAt = new Date();
+        stockTake.submittedBy = getActor(req.admin);
+
+        try {
+            await stockTake.save();
+        } catch (error) {
+            if (error.name === 'VersionError') {
+                return res.status(409).json({ message: CONCURRENT_UPDATE_MESSAGE });
+            }
+            throw error;
+        }
+
+        res.status(200).json(stockTake);
+    } catch (error) {
+        console.error('Error submitting stock-take:', error);
+
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid stock-take ID format' });
+        }
+
+        res.status(500).json({ message: 'Server error while submitting stock-take' });
+    }
+};
+
+/**
+ * @desc    Approve a submitted stock-take and adjust stock to the counted quantities
+ * @route   PATCH /api/stock-takes/:id/approve
+ * @access  Private (Manager)
+ * Each counted item's variance is recorded as a stock-take movement.
+ */
+const approveStockTake = async (req, res) => {
+    try {
+        if (!req.admin || req.admin.getRole() !== 'Manager') {
+            return res.status(403).json({ message: 'Only a manager can approve a stock-take' });
+        }
+
+        const stockTake = await StockTake.findById(req.params.id);
+        if (!stockTake) {
+            return res.status(404).json({ message: 'Stock-take not found' });
+        }
+        if (stockTake.status !== 'submitted') {
+            return res.status(400).json({ message: `Cannot approve a ${stockTake.status} stock-take` });
+        }
+
+        stockTake.status = 'approved';
+        stockTake.approvedAt = new Date();
+        stockTake.approvedBy = getActor(req.admin);
+
+        try {
+            await stockTake.save();
+        } catch (error) {
+            if (error.name === 'VersionError') {
+                return res.status(409).json({ message: CONCURRENT_UPDATE_MESSAGE });
+            }
+            throw error;
+        }
+
+        // Saved first so a rejected (concurrent) approval never touches stock
+        const countedLines = stockTake.lines.filter(line => line.countedQuantity !== null);
+        await recordStockMovements(countedLines.map(line => ({
+            inventoryItem: line.inventoryItem,
+            type: 'stock-take',
+            quantity: line.variance,
+            reason: `Counted ${line.countedQuantity} ${line.unitOfMeasure}, expected ${line.systemQuantity}`,
+            reference: { kind: 'stock-take', id: stockTake._id, label: stockTake.stockTakeNumber },
+            performedBy: getActor(req.admin)
+        })));
+
+        // Counted stock can run ingredients out or bring dishes back
+        await syncMenuAvailability(req.app.get('io'), {
+            inventoryIds: countedLines.map(line => line.inventoryItem)
+        });
+
+        res.status(200).json(stockTake);
+    } catch (error) {
+        console.error('Error approving stock-take:', error);
+
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid stock-take ID format' });
+        }
+
+        res.status(500).json({ message: 'Server error while approving stock-take' });
+    }
+};
+
+/**
+ * @desc    Cancel an open stock-take without adjusting stock
+ * @route   PATCH /api/stock-takes/:id/cancel
+ * @access  Private (Admin)
+ */
+const cancelStockTake = async (req, res) => {
+    try {
+        const stockTake = await StockTake.findById(req.params.id);
+        if (!stockTake) {
+            return res.status(404).json({ message: 'Stock-take not found' });
+        }
+        if (!OPEN_STATUSES.includes(stockTake.status)) {
+            return res.status(400).json({ message: `Cannot cancel a ${stockTake.status} stock-take` });
+        }
+
+        stockTake.status = 'cancelled';
+        stockTake.cancelledAt = new Date();
+        stockTake.cancelledBy = getActor(req.admin);
+
+        try {
+            await stockTake.save();
+        } catch (error) {
+            if (error.name === 'VersionError') {
+                return res.status(409).json({ message: CONCURRENT_UPDATE_MESSAGE });
+            }
+            throw error;
+        }
+
+        res.status(200).json(stockTake);
+    } catch (error) {
+        console.error('Error cancelling stock-take:', error);
+
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid stock-take ID format' });
+        }
+
+        res.status(500).json({ message: 'Server error while cancelling stock-take' });
+    }
+};
+
+module.exports = {
+    getAllStockTakes,
+    getStockTakeById,
+    getItemStockTakeHistory,
+    createStockTake,
+    countStockTakeLine,
+    submitStockTake,
+    approveStockTake,
+    cancelStockTake
+};
@@ -0,0 +1,156 @@
+/**
+ * Supplier Controller - Handles CRUD operations for suppliers.
+ * Suppliers are referenced by inventory items (preferred supplier) and purchase orders.
+ */
+
+const Supplier = require('../models/supplierModel');
+const Inventory = require('../models/inventoryModel');
+const PurchaseOrder = require('../models/purchaseOrderModel');
+const { handleSaveError } = require('../utils/saveErrorResponse');
+
+const SAVE_ERROR_OPTIONS = { label: 'supplier', duplicateMessage: 'A supplier with this name already exists' };
+
+// Fields an admin can set on a supplier
+const SUPPLIER_FIELDS = ['name', 'contactPerson', 'phone', 'email', 'address', 'leadTimeDays', 'notes'];
+
+/**
+ * Copy the editable supplier fields from a request body.
+ * @param {Object} body - Request body
+ * @returns {Object} Only the fields present in SUPPLIER_FIELDS
+ */
+const pickSupplierFields = (body) => {
+    return SUPPLIER_FIELDS.reduce((fields, key) => {
+        if (body[key] !== undefined) {
+            fields[key] = body[key];
+        }
+        return fields;
+    }, {});
+};
+
+/**
+ * @desc    Get all suppliers
+ * @route   GET /api/suppliers
+ * @access  Private (Admin)
+ */
+const getAllSuppliers = async (req, res) => {
+    try {
+        const suppliers = await Supplier.find({}).sort({ name: 1 });
+        res.status(200).json(suppliers);
+    } catch (error) {
+        console.error('Error fetching suppliers:', error);
+        res.status(500).json({ message: 'Server error while fetching suppliers' });
+    }
+};
+
+/**
+ * @desc    Get single supplier by ID
+ * @route   GET /api/suppliers/:id
+ * @access  Private (Admin)
+ */
+const getSupplierById = async (req, res) => {
+    try {
+        const supplier = await Supplier.findById(req.params.id);
+
+        if (!supplier) {
+            return res.status(404).json({ message: 'Supplier not found' });
+        }
+
+        res.status(200).json(supplier);
+    } catch (error) {
+        console.error('Error fetching supplier:', error);
+        if (handleSaveError(error, res, SAVE_ERROR_OPTIONS)) return;
+        res.status(500).json({ message: 'Server error while fetching supplier' });
+    }
+};
+
+/**
+ * @desc    Create supplier
+ * @route   POST /api/suppliers
+ * @access  Private (Admin)
+ */
+const createSupplier = async (req, res) => {
+    try {
+        if (!req.body.name || !req.body.name.trim()) {
+            return res.status(400).json({ message: 'Please provide a supplier name' });
+        }
+
+        const supplier = await Supplier.create(pickSupplierFields(req.body));
+
+        res.status(201).json(supplier);
+    } catch (error) {
+        console.error('Error creating supplier:', error);
+        if (handleSaveError(error, res, SAVE_ERROR_OPTIONS)) return;
+        res.status(500).json({ message: 'Server error while creating supplier' });
+    }
+};
+
+/**
+ * @desc    Update supplier
+ * @route   PUT /api/suppliers/:id
+ * @access  Private (Admin)
+ */
+const updateSupplier = async (req, res) => {
+    try {
+        const supplier = await Supplier.findByIdAndUpdate(
+            req.params.id,
+            pickSupplierFields(req.body),
+            { new: true, runValidators: true }
+        );
+
+        if (!supplier) {
+            return res.status(404).json({ message: 'Supplier not found' });
+        }
+
+        // Keep the supplier name shown on inventory items in step with a rename
+        await Inventory.updateMany({ supplier: supplier._id }, { supplierName: supplier.name });
+
+        res.status(200).json(supplier);
+    } catch (error) {
+        console.error('Error updating supplier:', error);
+        if (handleSaveError(error, res, SAVE_ERROR_OPTIONS)) return;
+        res.status(500).json({ message: 'Server error while updating supplier' });
+    }
+};
+
+/**
+ * @desc    Delete supplier
+ * @route   DELETE /api/suppliers/:id
+ * @access  Private (Admin)
+ * Suppliers with open purchase orders cannot be deleted. Past POs keep the supplier's name.
+ */
+const deleteSupplier = async (req, res) => {
+    try {
+        const supplier = await Supplier.findById(req.params.id);
+
+        if (!supplier) {
+            return res.status(404).json({ message: 'Supplier not found' });
+        }
+
+        const openPurchaseOrders = await PurchaseOrder.countDocuments({
+            supplier: supplier._id,
+            status: { $in: ['ordered', 'partially-received'] }
+        });
+        if (openPurchaseOrders > 0) {
+            return res.status(400).json({
+                message: `${supplier.name} has ${openPurchaseOrders} open purchase order(s). Receive or cancel them first.`
+            });
+        }
+
+        await Supplier.findByIdAndDelete(supplier._id);
+        await Inventory.updateMany({ supplier: supplier._id }, { supplier: null });
+
+        res.status(200).json({ message: 'Supplier deleted successfully', id: req.params.id });
+    } catch (error) {
+        console.error('Error deleting supplier:', error);
+        if (handleSaveError(error, res, SAVE_ERROR_OPTIONS)) return;
+        res.status(500).json({ message: 'Server error while deleting supplier' });
+    }
+};
+
+module.exports = {
+    getAllSuppliers,
+    getSupplierById,
+    createSupplier,
+    updateSupplier,
+    deleteSupplier
+};
@@ -0,0 +1,91 @@
+/**
+ * Admin Authentication Middleware
+ * Protects admin dashboard routes using the JWT issued by adminController.loginAdmin
+ */
+
+const jwt = require('jsonwebtoken');
+const Admin = require('../models/adminModel');
+
+// Error codes let the admin UI tell an expired session apart from other failures
+const AUTH_ERROR_CODES = {
+    TOKEN_MISSING: 'TOKEN_MISSING',
+    TOKEN_INVALID: 'TOKEN_INVALID',
+    TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+    ADMIN_NOT_FOUND: 'ADMIN_NOT_FOUND',
+    FORBIDDEN: 'FORBIDDEN'
+};
+
+const sendAuthError = (res, status, code, message) => {
+    return res.status(status).json({
+        success: false,
+        code,
+        message
+    });
+};
+
+/**
+ * Middleware to verify the admin Bearer token in the Authorization header.
+ * Attaches the authenticated admin (without password) to req.admin.
+ */
+const protectAdmin = async (req, res, next) => {
+    const authHeader = req.headers.authorization || '';
+
+    if (!authHeader.startsWith('Bearer ')) {
+        return sendAuthError(res, 401, AUTH_ERROR_CODES.TOKEN_MISSING, 'Not authorized. Please log in as admin.');
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET || 'abc12345');
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return sendAuthError(res, 401, AUTH_ERROR_CODES.TOKEN_EXPIRED, 'Session expired. Please log in again.');
+        }
+        return sendAuthError(res, 401, AUTH_ERROR_CODES.TOKEN_INVALID, 'Not authorized. Invalid token.');
+    }
+
+    try {
+        const admin = await Admin.findById(decoded.id).select('-password');
+
+        if (!admin) {
+            return sendAuthError(res, 401, AUTH_ERROR_CODES.ADMIN_NOT_FOUND, 'Admin account no longer exists');
+        }
+
+        req.admin = admin;
+        next();
+    } catch (error) {
+        console.error('Admin authentication middleware error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Authentication verification failed'
+        });
+    }
+};
+
+/**
+ * Middleware factory restricting a route to admins whose role grants at least one
+ * of the given permissions (see config/rolePermissions.js). Must be used after protectAdmin.
+ * @param {...string} requiredPermissions - Permission keys, any of which grants access
+ */
+const requirePermission = (...requiredPermissions) => (req, res, next) => {
+    if (!req.admin) {
+        return sendAuthError(res, 401, AUTH_ERROR_CODES.TOKEN_MISSING, 'Not authorized. Please log in as admin.');
+    }
+
+    const grantedPermissions = req.admin.getPermissions();
+    const isAllowed = requiredPermissions.some(permission => grantedPermissions.includes(permission));
+
+    if (!isAllowed) {
+        return sendAuthError(res, 403, AUTH_ERROR_CODES.FORBIDDEN, 'Your role does not have access to this section');
+    }
+
+    next();
+};
+
+module.exports = {
+    AUTH_ERROR_CODES,
+    protectAdmin,
+    requirePermission
+};
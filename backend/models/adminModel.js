@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ADMIN_ROLES, getRoleForPosition, getPermissionsForRole } = require('../config/rolePermissions');
 
 const adminSchema = mongoose.Schema({
     name: {
@@ -23,6 +24,14 @@ const adminSchema = mongoose.Schema({
         type: String,
         required: [true, 'Please add a position']
     },
+    // Role drives which dashboard sections this login can access (see config/rolePermissions.js)
+    role: {
+        type: String,
+        enum: ADMIN_ROLES,
+        default: function () {
+            return getRoleForPosition(this.position);
+        }
+    },
     lastLoginDateTime: {
         type: Date
     }
@@ -45,4 +54,14 @@ adminSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Role of this admin; logins created before roles existed derive it from their position
+adminSchema.methods.getRole = function () {
+    return this.role || getRoleForPosition(this.position);
+};
+
+// Permissions granted by this admin's role
+adminSchema.methods.getPermissions = function () {
+    return getPermissionsForRole(this.getRole());
+};
+
 module.exports = mongoose.model('Admin', adminSchema);
@@ -6,6 +6,35 @@
 
 const mongoose = require('mongoose');
 
+// Add-on selected for an item (e.g. "Extra Cheese"), priced from the menu item's customizationOptions
+const billItemAddOnSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Add-on name is required']
+    },
+    price: {
+        type: Number,
+        required: [true, 'Add-on price is required'],
+        min: [0, 'Add-on price cannot be negative']
+    }
+}, { _id: false });
+
+// Combo a bill line was sold in, copied from the order item
+const billItemComboSchema = new mongoose.Schema({
+    comboId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem'
+    },
+    name: {
+        type: String,
+        default: ''
+    },
+    slot: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
 // Schema for bill items (copied from order items for persistence)
 const billItemSchema = new mongoose.Schema({
     menuItemId: {
@@ -27,6 +56,45 @@ const billItemSchema = new mongoose.Schema({
         required: [true, 'Price is required'],
         min: [0, 'Price cannot be negative']
     },
+    category: {
+        type: String,
+        default: ''
+    },
+    // GST rate (decimal fraction) and HSN/SAC code copied from the order item
+    gstRate: {
+        type: Number,
+        default: null
+    },
+    hsnCode: {
+        type: String,
+        default: ''
+    },
+    combo: {
+        type: billItemComboSchema,
+        default: null
+    },
+    variant: {
+        type: String,
+        default: ''
+    },
+    // Promo discount taken off this line (₹), before GST; copied from the order item
+    discount: {
+        type: Number,
+        min: [0, 'Discount cannot be negative'],
+        default: 0
+    },
+    // Selected add-ons; their prices are already included in price
+    customizations: {
+        type: [billItemAddOnSchema],
+        default: []
+    },
+    // Free-text cooking note from the customer (e.g. "less spicy")
+    specialInstructions: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Special instructions cannot exceed 200 characters'],
+        default: ''
+    },
     description: {
         type: String,
         default: ''
@@ -37,6 +105,212 @@ const billItemSchema = new mongoose.Schema({
     }
 }, { _id: false });
 
+// One row of the HSN/SAC summary printed on the bill
+const hsnSummarySchema = new mongoose.Schema({
+    hsnCode: {
+        type: String,
+        required: true
+    },
+    gstRate: {
+        type: Number,
+        required: true
+    },
+    taxableValue: {
+        type: Number,
+        required: true
+    },
+    cgstRate: Number,
+    cgst: Number,
+    sgstRate: Number,
+    sgst: Number,
+    totalTax: Number
+}, { _id: false });
+
+// Loyalty points paid towards the bill and earned from it (see services/loyaltyService.js)
+const billLoyaltySchema = new mongoose.Schema({
+    pointsRedeemed: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // ₹ paid with the redeemed points
+    redeemedAmount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    pointsEarned: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Set once points for the paid bill are awarded, so they are never awarded twice
+    earnedAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+// Money collected towards the bill (see services/paymentService.js); a bill can be paid in several
+const billPaymentSchema = new mongoose.Schema({
+    method: {
+        type: String,
+        enum: ['cash', 'card', 'upi', 'other'],
+        required: [true, 'Payment method is required']
+    },
+    // Counted towards the bill; for cash, what was handed over less the change given
+    amount: {
+        type: Number,
+        required: [true, 'Payment amount is required'],
+        min: [0.01, 'Payment amount must be more than 0']
+    },
+    // Cash only
+    tendered: {
+        type: Number,
+        default: null
+    },
+    changeGiven: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Card slip or UPI reference / UTR number
+    reference: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Reference cannot exceed 50 characters'],
+        default: ''
+    },
+    // Share of a split bill the payment is for
+    split: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    collectedBy: {
+        adminId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+            default: null
+        },
+        name: {
+            type: String,
+            default: ''
+        },
+        role: {
+            type: String,
+            default: ''
+        }
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Units of a bill item that a share of a split bill pays for
+const billSplitItemSchema = new mongoose.Schema({
+    // Position of the item in the bill's items
+    index: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    variant: {
+        type: String,
+        default: ''
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+// One share of a split bill, paid on its own (see services/billSplitService.js).
+// The shares' amounts, tax included, add up to the bill's.
+const billSplitSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        trim: true,
+        maxlength: [40, 'Share name cannot exceed 40 characters'],
+        required: true
+    },
+    // Items split only
+    items: {
+        type: [billSplitItemSchema],
+        default: []
+    },
+    subtotal: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    discount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    cgst: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    sgst: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    tax: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    hsnSummary: {
+        type: [hsnSummarySchema],
+        default: []
+    },
+    total: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Part of the loyalty points payment, and what is left to pay
+    redeemedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    amountDue: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    billingStatus: {
+        type: String,
+        enum: ['pending_payment', 'paid'],
+        default: 'pending_payment'
+    },
+    paidAt: {
+        type: Date,
+        default: null
+    },
+    // 'mixed' when paid with more than one method
+    paymentMethod: {
+        type: String,
+        enum: ['cash', 'card', 'upi', 'other', 'mixed', null],
+        default: null
+    }
+});
+
 // Main bill schema
 const billSchema = new mongoose.Schema({
     billNumber: {
@@ -95,16 +369,55 @@ const billSchema = new mongoose.Schema({
         required: true,
         min: [0, 'Subtotal cannot be negative']
     },
+    // Promo discounts of the orders on the bill; total = subtotal - discount + tax
+    discount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative']
+    },
+    promotions: [{
+        promotionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Promotion'
+        },
+        code: String,
+        orderNumber: String,
+        discount: Number
+    }],
     tax: {
         type: Number,
         required: true,
         min: [0, 'Tax cannot be negative']
     },
+    // GST breakup (see services/gstService.js); CGST + SGST = tax
+    cgst: {
+        type: Number,
+        default: 0,
+        min: [0, 'CGST cannot be negative']
+    },
+    sgst: {
+        type: Number,
+        default: 0,
+        min: [0, 'SGST cannot be negative']
+    },
+    hsnSummary: {
+        type: [hsnSummarySchema],
+        default: []
+    },
+    // Restaurant GSTIN at the time the bill was issued
+    gstin: {
+        type: String,
+        default: ''
+    },
     total: {
         type: Number,
         required: true,
         min: [0, 'Total cannot be negative']
     },
+    loyalty: {
+        type: billLoyaltySchema,
+        default: () => ({})
+    },
     orderCount: {
         type: Number,
         required: true,
@@ -117,6 +430,25 @@ const billSchema = new mongoose.Schema({
         },
         orderNumber: String
     }],
+    // How the bill is split between the table, if it is; the bill is paid once every share is
+    splitMethod: {
+        type: String,
+        enum: ['equal', 'items', 'amounts', null],
+        default: null
+    },
+    splits: {
+        type: [billSplitSchema],
+        default: []
+    },
+    payments: {
+        type: [billPaymentSchema],
+        default: []
+    },
+    // UTRs of the UPI payments above, kept apart so a unique index can stop one transfer settling two bills
+    upiReferences: {
+        type: [String],
+        default: []
+    },
     billingStatus: {
         type: String,
         enum: ['unpaid', 'pending_payment', 'paid'],
@@ -130,9 +462,10 @@ const billSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    // 'mixed' when paid with more than one method
     paymentMethod: {
         type: String,
-        enum: ['cash', 'card', 'upi', 'other', null],
+        enum: ['cash', 'card', 'upi', 'other', 'mixed', null],
         default: null
     }
 }, {
@@ -142,6 +475,29 @@ const billSchema = new mongoose.Schema({
 // Index for faster queries
 billSchema.index({ billingStatus: 1, createdAt: -1 });
 billSchema.index({ tableNumber: 1, createdAt: -1 });
+billSchema.index({ 'payments.receivedAt': 1 });
+// A UTR can be recorded on one bill only; bills without UPI references stay out of the index
+billSchema.index(
+    { upiReferences: 1 },
+    { unique: true, partialFilterExpression: { upiReferences: { $type: 'string' } } }
+);
+
+// Left to pay after loyalty points; total still includes the part paid with points
+billSchema.virtual('amountDue').get(function () {
+    const redeemedAmount = this.loyalty ? this.loyalty.redeemedAmount : 0;
+    return Math.round((this.total - redeemedAmount) * 100) / 100;
+});
+
+// Collected so far, and left to collect; bills paid before payments were recorded have none
+billSchema.virtual('amountPaid').get(function () {
+    const payments = this.payments || [];
+    return Math.round(payments.reduce((sum, payment) => sum + payment.amount, 0) * 100) / 100;
+});
+
+billSchema.virtual('balanceDue').get(function () {
+    if (this.billingStatus === 'paid') return 0;
+    return Math.max(0, Math.round((this.amountDue - this.amountPaid) * 100) / 100);
+});
 
 // Virtual for item count
 billSchema.virtual('itemCount').get(function () {
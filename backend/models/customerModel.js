@@ -48,6 +48,18 @@ const customerSchema = mongoose.Schema({
     totalOrders: {
         type: Number,
         default: 0
+    },
+    // Loyalty points balance; the running balance of the customer's loyalty transactions
+    loyaltyPoints: {
+        type: Number,
+        min: [0, 'Loyalty points cannot be negative'],
+        default: 0
+    },
+    // Points ever earned, which sets the loyalty tier (see config/loyaltyConfig.js)
+    lifetimePoints: {
+        type: Number,
+        min: 0,
+        default: 0
     }
 }, {
     timestamps: true
@@ -0,0 +1,62 @@
+/**
+ * Daypart Model - A part of the day that whole menu categories are limited to,
+ * such as "Breakfast" (Maggi, 07:00-11:00) or "Dinner" (Sizzlers, from 18:00).
+ * A category listed on enabled dayparts is only on the menu while one of them is running;
+ * categories on no daypart are served all day (see services/menuScheduleService.js).
+ */
+
+const mongoose = require('mongoose');
+// Times are "HH:MM" in IST; a window may run past midnight (e.g. 22:00 to 02:00)
+const { TIME_PATTERN, END_TIME_PATTERN } = require('../config/timeWindows');
+
+const daypartSchema = new mongoose.Schema({
+    // Shown to customers when a category is not being served, e.g. "Served at Breakfast"
+    name: {
+        type: String,
+        required: [true, 'Please add a daypart name'],
+        trim: true,
+        maxlength: [40, 'Daypart name cannot exceed 40 characters']
+    },
+    categories: {
+        type: [String],
+        validate: {
+            validator: (categories) => categories.length > 0,
+            message: 'Choose at least one category'
+        }
+    },
+    // Days the daypart starts on (0 = Sunday); empty for every day
+    daysOfWeek: {
+        type: [{
+            type: Number,
+            min: [0, 'Day of week must be 0 (Sunday) to 6 (Saturday)'],
+            max: [6, 'Day of week must be 0 (Sunday) to 6 (Saturday)']
+        }],
+        default: []
+    },
+    startTime: {
+        type: String,
+        required: [true, 'Please add a start time'],
+        match: [TIME_PATTERN, 'Start time must be HH:MM']
+    },
+    endTime: {
+        type: String,
+        required: [true, 'Please add an end time'],
+        match: [END_TIME_PATTERN, 'End time must be HH:MM'],
+        validate: {
+            validator: function (value) {
+                return value !== this.startTime;
+            },
+            message: 'End time must be different from the start time'
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+const Daypart = mongoose.model('Daypart', daypartSchema);
+
+module.exports = Daypart;
@@ -4,6 +4,37 @@
  */
 
 const mongoose = require('mongoose');
+const { UNITS_OF_MEASURE } = require('../config/units');
+
+// Stock received together with one expiry date; used first-expiry-first-out
+const batchSchema = new mongoose.Schema({
+    batchNumber: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Still in stock from this batch
+    quantity: {
+        type: Number,
+        required: true
+    },
+    receivedQuantity: {
+        type: Number,
+        required: true
+    },
+    expiryDate: {
+        type: Date,
+        required: [true, 'Please add an expiry date']
+    },
+    unitCost: {
+        type: Number,
+        default: null
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
 
 const inventorySchema = mongoose.Schema({
     name: {
@@ -22,6 +53,8 @@ const inventorySchema = mongoose.Schema({
         required: [true, 'Please add initial stock quantity'],
         min: [0, 'Quantity cannot be negative']
     },
+    // Running balance of the item's stock ledger; change it only through services/stockLedgerService.js.
+    // Manual edits cannot go below zero; recipe deductions can, which shows stock used but never recorded
     currentQuantity: {
         type: Number,
         min: [0, 'Quantity cannot be negative'],
@@ -32,7 +65,7 @@ const inventorySchema = mongoose.Schema({
     unitOfMeasure: {
         type: String,
         required: [true, 'Please select a unit of measure'],
-        enum: ['kg', 'g', 'L', 'mL', 'pcs', 'pks'],
+        enum: UNITS_OF_MEASURE,
         default: 'kg'
     },
     threshold: {
@@ -40,11 +73,29 @@ const inventorySchema = mongoose.Schema({
         min: [0, 'Threshold cannot be negative'],
         default: 10
     },
+    // Preferred supplier; supplierName mirrors its name (and keeps free-text names from before suppliers existed)
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        default: null
+    },
     supplierName: {
         type: String,
         trim: true,
         default: ''
     },
+    // Cost per unit of measure on the most recent goods received (₹)
+    lastUnitCost: {
+        type: Number,
+        min: [0, 'Unit cost cannot be negative'],
+        default: null
+    },
+    // Batches with stock left, kept in step with currentQuantity by the stock ledger.
+    // Stock outside any batch (held before batch tracking, or returned from orders) is used first.
+    batches: {
+        type: [batchSchema],
+        default: []
+    },
     sku: {
         type: String,
         trim: true,
@@ -65,7 +116,7 @@ const inventorySchema = mongoose.Schema({
 
 // Virtual field to calculate stock status based on current quantity and threshold
 inventorySchema.virtual('stockStatus').get(function () {
-    if (this.currentQuantity === 0) {
+    if (this.currentQuantity <= 0) {
         return 'out-of-stock';
     } else if (this.currentQuantity <= this.threshold) {
         return 'low-stock';
@@ -0,0 +1,110 @@
+/**
+ * Loyalty Transaction Model - One line of a customer's loyalty points ledger.
+ * A customer's loyaltyPoints is the running balance of their transactions.
+ * Points added (earned, or adjusted up) expire on their own date, so each such entry also tracks
+ * how many of its points are still unused; points taken away use up the oldest ones first.
+ */
+
+const mongoose = require('mongoose');
+
+// earn: points for a paid bill; redeem: points paid towards a bill
+// expire: unused points past their expiry date; adjust: added or removed by hand with a reason
+const LOYALTY_TRANSACTION_TYPES = ['earn', 'redeem', 'expire', 'adjust'];
+
+// Who made an adjustment; empty for transactions the system made on its own
+const actorSchema = new mongoose.Schema({
+    adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    name: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+// Points taken from an earlier entry, so they can be given back if a redemption is undone
+const usedPointsSchema = new mongoose.Schema({
+    transaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LoyaltyTransaction',
+        required: true
+    },
+    points: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
+
+const loyaltyTransactionSchema = new mongoose.Schema({
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: [true, 'Loyalty transaction must reference a customer']
+    },
+    type: {
+        type: String,
+        enum: LOYALTY_TRANSACTION_TYPES,
+        required: [true, 'Loyalty transaction type is required']
+    },
+    // Signed: positive adds points, negative takes them away
+    points: {
+        type: Number,
+        required: [true, 'Points are required'],
+        validate: {
+            validator: (points) => Number.isInteger(points) && points !== 0,
+            message: 'Points must be a whole number other than 0'
+        }
+    },
+    // Customer's balance right after this transaction
+    balanceAfter: {
+        type: Number,
+        required: true
+    },
+    // Points added: how many are not yet redeemed or expired, and when they expire
+    remaining: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    // Points taken away: which earlier entries they came from
+    usedPoints: {
+        type: [usedPointsSchema],
+        default: []
+    },
+    bill: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bill',
+        default: null
+    },
+    billNumber: {
+        type: String,
+        default: ''
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters'],
+        default: ''
+    },
+    performedBy: {
+        type: actorSchema,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Customer ledger, newest first
+loyaltyTransactionSchema.index({ customer: 1, createdAt: -1 });
+
+// Unused points, oldest expiry first (redemption order and the daily expiry run)
+loyaltyTransactionSchema.index({ customer: 1, remaining: 1, expiresAt: 1 });
+loyaltyTransactionSchema.index({ expiresAt: 1, remaining: 1 });
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
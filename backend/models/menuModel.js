@@ -4,6 +4,8 @@
  */
 
 const mongoose = require('mongoose');
+const { UNITS_OF_MEASURE } = require('../config/units');
+const { TIME_PATTERN, END_TIME_PATTERN, DATE_PATTERN } = require('../config/timeWindows');
 
 
 // Rating constraints: Uses a 5-star system common in restaurant apps
@@ -25,10 +27,114 @@ const MENU_CATEGORIES = [
     'Maggi',
     'Special Dishes',
     'Beverages',
-    'Desserts'
+    'Desserts',
+    'Combos'
 ];
 
 
+// One ingredient of a recipe, per portion (e.g. 120 g chicken filling)
+// The unit may differ from the inventory item's unit as long as they convert (g ↔ kg, mL ↔ L)
+const recipeIngredientSchema = new mongoose.Schema({
+    inventoryItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory',
+        required: [true, 'Recipe ingredient must reference an inventory item']
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Recipe quantity is required'],
+        min: [0, 'Recipe quantity cannot be negative']
+    },
+    unit: {
+        type: String,
+        required: [true, 'Recipe unit is required'],
+        enum: UNITS_OF_MEASURE
+    }
+}, { _id: false });
+
+
+// One slot of a combo: a fixed item (a single option), a choice of items, or any item of a category
+const comboSlotSchema = new mongoose.Schema({
+    // Shown to the customer, e.g. "Momos plate"
+    name: {
+        type: String,
+        required: [true, 'Combo slot name is required'],
+        trim: true,
+        maxlength: [40, 'Combo slot name cannot exceed 40 characters']
+    },
+    menuItems: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem'
+    }],
+    // Any available item of this category can fill the slot
+    category: {
+        type: String,
+        enum: [...MENU_CATEGORIES, ''],
+        default: ''
+    }
+});
+
+
+// A way the item comes, e.g. "Filling" with the values Veg, Paneer and Chicken
+const variantDimensionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Variant name is required'],
+        trim: true,
+        maxlength: [30, 'Variant name cannot exceed 30 characters']
+    },
+    values: {
+        type: [{ type: String, trim: true }],
+        default: []
+    }
+}, { _id: false });
+
+
+// One priced combination of variant values, e.g. Paneer + Fried + Full plate
+const variantSchema = new mongoose.Schema({
+    // One value per dimension, in the order of variantDimensions
+    values: {
+        type: [String],
+        default: []
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Variant price is required'],
+        min: [0, 'Variant price cannot be negative']
+    },
+    isVeg: {
+        type: Boolean,
+        default: true
+    },
+    // Ingredients for one portion of this variant, used instead of the item's recipe when set
+    // (e.g. chicken filling for the chicken variant, more wrappers for 10 pcs than for 6)
+    recipe: {
+        type: [recipeIngredientSchema],
+        default: []
+    }
+}, { _id: false });
+
+
+// When an item is served, e.g. Mon-Fri 07:00-11:00 for the breakfast menu (IST, may run past midnight)
+const availabilityWindowSchema = new mongoose.Schema({
+    // Days the window starts on (0 = Sunday); empty for every day
+    daysOfWeek: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: []
+    },
+    startTime: {
+        type: String,
+        required: [true, 'Serving window start time is required'],
+        match: [TIME_PATTERN, 'Start time must be HH:MM']
+    },
+    endTime: {
+        type: String,
+        required: [true, 'Serving window end time is required'],
+        match: [END_TIME_PATTERN, 'End time must be HH:MM']
+    }
+}, { _id: false });
+
+
 const menuItemSchema = mongoose.Schema({
     productName: {
         type: String,
@@ -56,13 +162,19 @@ const menuItemSchema = mongoose.Schema({
         default: 'Steamed'
     },
 
-    // Customer ratings are aggregated; new items start at 0 until they receive reviews
+    // Average of approved customer reviews and how many there are; new items start at 0
+    // until they receive reviews (kept up to date by services/reviewService.js, never set by hand)
     rating: {
         type: Number,
         default: MINIMUM_RATING,
         min: MINIMUM_RATING,
         max: MAXIMUM_RATING
     },
+    ratingCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
 
     // Required for dietary filtering in the customer menu
     isVeg: {
@@ -86,6 +198,31 @@ const menuItemSchema = mongoose.Schema({
         default: []
     },
 
+    // Bill of materials for one portion; stock is deducted when the item is prepared or served
+    recipe: {
+        type: [recipeIngredientSchema],
+        default: []
+    },
+
+    // Variant dimensions and the price of each combination offered; empty for single-price items.
+    // With variants, amount is the lowest variant price and isVeg whether every variant is veg
+    // (see services/variantService.js)
+    variantDimensions: {
+        type: [variantDimensionSchema],
+        default: []
+    },
+    variants: {
+        type: [variantSchema],
+        default: []
+    },
+
+    // Slots that make this item a combo sold at its amount; empty for ordinary items.
+    // Ordered combos are split into one order line per slot (see services/comboService.js)
+    comboSlots: {
+        type: [comboSlotSchema],
+        default: []
+    },
+
     // Mark high-volume items to display "Recommended" badge on customer menu
     isRecommended: {
         type: Boolean,
@@ -96,6 +233,39 @@ const menuItemSchema = mongoose.Schema({
     availability: {
         type: Boolean,
         default: true
+    },
+
+    // Set when availability was switched off because a recipe ingredient ran out;
+    // such items are switched back on automatically once the ingredient is restocked
+    stockAutoDisabled: {
+        type: Boolean,
+        default: false
+    },
+
+    // Times the item is served; empty for whenever the restaurant is open.
+    // Its category may also be limited to a daypart (see services/menuScheduleService.js)
+    availabilityWindows: {
+        type: [availabilityWindowSchema],
+        default: []
+    },
+
+    // Season the item is sold in, "YYYY-MM-DD" in IST with both days included (e.g. soups in winter);
+    // empty for no limit
+    availableFrom: {
+        type: String,
+        default: '',
+        match: [DATE_PATTERN, 'Available from must be a date (YYYY-MM-DD)']
+    },
+    availableUntil: {
+        type: String,
+        default: '',
+        match: [DATE_PATTERN, 'Available until must be a date (YYYY-MM-DD)']
+    },
+
+    // Manual override: keep availability under manual control even when ingredients run out
+    ignoreStockLevels: {
+        type: Boolean,
+        default: false
     }
 }, {
     timestamps: true
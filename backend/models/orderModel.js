@@ -4,6 +4,72 @@
  */
 
 const mongoose = require('mongoose');
+const { STATION_KEYS } = require('../config/kitchenStations');
+
+// Add-on selected for an item (e.g. "Extra Cheese"), priced from the menu item's customizationOptions
+const orderItemAddOnSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Add-on name is required']
+    },
+    price: {
+        type: Number,
+        required: [true, 'Add-on price is required'],
+        min: [0, 'Add-on price cannot be negative']
+    }
+}, { _id: false });
+
+// Happy-hour or other pricing rule that set an item's price (see services/pricingRuleService.js)
+const pricingRuleSnapshotSchema = new mongoose.Schema({
+    ruleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PricingRule'
+    },
+    name: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+// Combo an order line is part of; a combo is ordered as one line per slot (see services/comboService.js)
+const comboSnapshotSchema = new mongoose.Schema({
+    comboId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem'
+    },
+    name: {
+        type: String,
+        default: ''
+    },
+    // Menu category of the combo itself
+    category: {
+        type: String,
+        default: ''
+    },
+    // Lines with the same group came from the same cart line
+    group: {
+        type: Number,
+        default: 0
+    },
+    // Slot this line fills, e.g. "Beverage"
+    slot: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+// Stock taken from one inventory item for an order line, in the inventory item's unit
+const stockDeductionSchema = new mongoose.Schema({
+    inventoryItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory',
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
 
 // Schema for individual order items
 const orderItemSchema = new mongoose.Schema({
@@ -26,6 +92,71 @@ const orderItemSchema = new mongoose.Schema({
         required: [true, 'Price is required'],
         min: [0, 'Price cannot be negative']
     },
+    // Menu price (with add-ons) before a time-based pricing rule, and the rule in force when the order was placed
+    originalPrice: {
+        type: Number,
+        min: [0, 'Original price cannot be negative']
+    },
+    pricingRule: {
+        type: pricingRuleSnapshotSchema,
+        default: null
+    },
+    // Menu category at the time of ordering (used for analytics and kitchen routing)
+    category: {
+        type: String,
+        default: ''
+    },
+    // GST rate (decimal fraction) and HSN/SAC code at the time of ordering
+    gstRate: {
+        type: Number,
+        default: null
+    },
+    hsnCode: {
+        type: String,
+        default: ''
+    },
+    combo: {
+        type: comboSnapshotSchema,
+        default: null
+    },
+    // Variant ordered, e.g. "Paneer · Fried" ('' for items without variants)
+    variant: {
+        type: String,
+        default: ''
+    },
+    // Promo discount taken off this line (₹), before GST; see services/promotionService.js
+    discount: {
+        type: Number,
+        min: [0, 'Discount cannot be negative'],
+        default: 0
+    },
+    // Selected add-ons; their prices are already included in price
+    customizations: {
+        type: [orderItemAddOnSchema],
+        default: []
+    },
+    // Free-text cooking note from the customer (e.g. "less spicy")
+    specialInstructions: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Special instructions cannot exceed 200 characters'],
+        default: ''
+    },
+    // Preparation status of this line; the order status is derived from its items.
+    // No default so items from older orders inherit the order's status instead of reading as pending.
+    status: {
+        type: String,
+        enum: ['pending', 'preparing', 'served', 'cancelled']
+    },
+    // Whether this line's recipe has been taken out of inventory, and how much of each ingredient.
+    // No default: items from orders placed before recipe tracking are left alone.
+    stockDeducted: {
+        type: Boolean
+    },
+    stockDeductions: {
+        type: [stockDeductionSchema],
+        default: undefined
+    },
     description: {
         type: String,
         default: ''
@@ -36,6 +167,89 @@ const orderItemSchema = new mongoose.Schema({
     }
 }, { _id: false });
 
+// Kitchen Display System ticket - one per kitchen station that has items in the order
+const stationTicketSchema = new mongoose.Schema({
+    station: {
+        type: String,
+        enum: STATION_KEYS,
+        required: [true, 'Station is required']
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'bumped'],
+        default: 'pending'
+    },
+    bumpedAt: {
+        type: Date,
+        default: null
+    },
+    // Set when a bumped ticket is sent back to the station; restarts the ticket's age timer
+    recalledAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+// Audit entry for a status change on the order, one of its items, or a kitchen station ticket
+const statusHistorySchema = new mongoose.Schema({
+    scope: {
+        type: String,
+        enum: ['order', 'item', 'station'],
+        default: 'order'
+    },
+    // Set for item changes (position in items) and station bumps/recalls
+    itemIndex: {
+        type: Number,
+        default: null
+    },
+    itemName: {
+        type: String,
+        default: ''
+    },
+    station: {
+        type: String,
+        default: ''
+    },
+    from: {
+        type: String,
+        default: null
+    },
+    to: {
+        type: String,
+        required: [true, 'New status is required']
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters'],
+        default: ''
+    },
+    // True when a manager forced a change the status state machine does not allow
+    override: {
+        type: Boolean,
+        default: false
+    },
+    changedBy: {
+        adminId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+            default: null
+        },
+        name: {
+            type: String,
+            default: ''
+        },
+        role: {
+            type: String,
+            default: ''
+        }
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 // Main order schema
 const orderSchema = new mongoose.Schema({
     sessionId: {
@@ -94,21 +308,61 @@ const orderSchema = new mongoose.Schema({
         required: true,
         min: [0, 'Subtotal cannot be negative']
     },
+    // Promo discount on the billable lines; total = subtotal - discount + tax
+    discount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative']
+    },
+    // Promo code used on the order, copied so the order reads the same if the promotion changes
+    promotion: {
+        promotionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Promotion',
+            default: null
+        },
+        code: {
+            type: String,
+            default: ''
+        }
+    },
     tax: {
         type: Number,
         required: true,
         min: [0, 'Tax cannot be negative']
     },
+    // GST split of tax (CGST + SGST = tax); zero on orders placed before GST
+    cgst: {
+        type: Number,
+        default: 0,
+        min: [0, 'CGST cannot be negative']
+    },
+    sgst: {
+        type: Number,
+        default: 0,
+        min: [0, 'SGST cannot be negative']
+    },
     total: {
         type: Number,
         required: true,
         min: [0, 'Total cannot be negative']
     },
+    // Derived from the item statuses (see services/orderStatusService.js)
     status: {
         type: String,
         enum: ['pending', 'preparing', 'served', 'cancelled'],
         default: 'pending'
     },
+    // Bumping a ticket serves that station's items (see services/kitchenService.js)
+    stationTickets: {
+        type: [stationTicketSchema],
+        default: []
+    },
+    // Every status change, oldest first (see STATUS_TRANSITIONS in services/orderStatusService.js)
+    statusHistory: {
+        type: [statusHistorySchema],
+        default: []
+    },
     estimatedTime: {
         type: String,
         default: '15-20 mins'
@@ -127,12 +381,17 @@ const orderSchema = new mongoose.Schema({
         default: null
     }
 }, {
-    timestamps: true // Automatically adds createdAt and updatedAt fields
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+    // Item and ticket changes are saved from loaded documents; reject saves based on a stale copy
+    optimisticConcurrency: true
 });
 
 // Index for faster queries by status and creation date
 orderSchema.index({ status: 1, createdAt: -1 });
 
+// Index for promotion usage (per-customer limits and the promotions report)
+orderSchema.index({ 'promotion.promotionId': 1 });
+
 // Virtual for item count
 orderSchema.virtual('itemCount').get(function () {
     return this.items.reduce((total, item) => total + item.quantity, 0);
@@ -0,0 +1,106 @@
+/**
+ * Pricing Rule Model - Time-based menu prices such as a beverage happy hour or late-night deals.
+ * A rule changes the menu price of the items it covers on the days and during the hours it runs.
+ * Rules are applied on the server when the menu is listed and orders are priced
+ * (see services/pricingRuleService.js).
+ */
+
+const mongoose = require('mongoose');
+
+// Times are "HH:MM" in IST; a window may run past midnight (e.g. 22:00 to 02:00)
+const { TIME_PATTERN, END_TIME_PATTERN } = require('../config/timeWindows');
+
+// Who created or last changed a pricing rule
+const actorSchema = new mongoose.Schema({
+    adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    name: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+const pricingRuleSchema = new mongoose.Schema({
+    // Shown to customers next to the reduced price, e.g. "Happy Hour"
+    name: {
+        type: String,
+        required: [true, 'Please add a rule name'],
+        trim: true,
+        maxlength: [40, 'Rule name cannot exceed 40 characters']
+    },
+    // percentage: percent off, flat: rupees off, fixed: the item costs exactly this much
+    adjustmentType: {
+        type: String,
+        enum: {
+            values: ['percentage', 'flat', 'fixed'],
+            message: 'Adjustment type must be percentage, flat or fixed'
+        },
+        required: [true, 'Please choose an adjustment type']
+    },
+    value: {
+        type: Number,
+        required: [true, 'Please add a value'],
+        min: [0, 'Value cannot be negative'],
+        validate: {
+            validator: function (value) {
+                return this.adjustmentType !== 'percentage' || value <= 100;
+            },
+            message: 'A percentage cannot exceed 100'
+        }
+    },
+    // Days the window starts on (0 = Sunday); empty for every day
+    daysOfWeek: {
+        type: [{
+            type: Number,
+            min: [0, 'Day of week must be 0 (Sunday) to 6 (Saturday)'],
+            max: [6, 'Day of week must be 0 (Sunday) to 6 (Saturday)']
+        }],
+        default: []
+    },
+    startTime: {
+        type: String,
+        required: [true, 'Please add a start time'],
+        match: [TIME_PATTERN, 'Start time must be HH:MM']
+    },
+    endTime: {
+        type: String,
+        required: [true, 'Please add an end time'],
+        match: [END_TIME_PATTERN, 'End time must be HH:MM'],
+        validate: {
+            validator: function (value) {
+                return value !== this.startTime;
+            },
+            message: 'End time must be different from the start time'
+        }
+    },
+    // Restrict the rule to these menu categories and/or items; both empty for the whole menu
+    categories: {
+        type: [String],
+        default: []
+    },
+    menuItems: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem'
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: actorSchema,
+        default: null
+    },
+    updatedBy: {
+        type: actorSchema,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+const PricingRule = mongoose.model('PricingRule', pricingRuleSchema);
+
+module.exports = PricingRule;
@@ -0,0 +1,144 @@
+/**
+ * Promotion Model - Promo codes customers enter at checkout.
+ * A promotion takes a percentage or flat amount off the items it applies to, within its
+ * validity window and usage limits. Codes are checked on the server (see services/promotionService.js).
+ */
+
+const mongoose = require('mongoose');
+
+// Who created or last changed a promotion
+const actorSchema = new mongoose.Schema({
+    adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    name: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+const promotionSchema = new mongoose.Schema({
+    // What the customer types; stored upper-case so codes are case-insensitive
+    code: {
+        type: String,
+        required: [true, 'Please add a promo code'],
+        trim: true,
+        uppercase: true,
+        unique: true,
+        match: [/^[A-Z0-9_-]{3,20}$/, 'Promo code must be 3-20 letters, numbers, dashes or underscores']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters'],
+        default: ''
+    },
+    discountType: {
+        type: String,
+        enum: {
+            values: ['percentage', 'flat'],
+            message: 'Discount type must be percentage or flat'
+        },
+        required: [true, 'Please choose a discount type']
+    },
+    // Percent off (1-100) or rupees off, depending on discountType
+    discountValue: {
+        type: Number,
+        required: [true, 'Please add a discount value'],
+        min: [0.01, 'Discount must be more than zero'],
+        validate: {
+            validator: function (value) {
+                return this.discountType !== 'percentage' || value <= 100;
+            },
+            message: 'A percentage discount cannot exceed 100'
+        }
+    },
+    // Order subtotal (before tax) needed to use the code
+    minOrderValue: {
+        type: Number,
+        min: [0, 'Minimum order value cannot be negative'],
+        default: 0
+    },
+    // Cap on a percentage discount; null for no cap
+    maxDiscount: {
+        type: Number,
+        min: [0, 'Maximum discount cannot be negative'],
+        default: null
+    },
+    // Validity window; null for open-ended
+    startsAt: {
+        type: Date,
+        default: null
+    },
+    endsAt: {
+        type: Date,
+        default: null,
+        validate: {
+            validator: function (value) {
+                return !value || !this.startsAt || value > this.startsAt;
+            },
+            message: 'End date must be after the start date'
+        }
+    },
+    // Orders that can use the code in total, and per customer; null for unlimited
+    usageLimit: {
+        type: Number,
+        min: [1, 'Usage limit must be at least 1'],
+        default: null
+    },
+    perCustomerLimit: {
+        type: Number,
+        min: [1, 'Per-customer limit must be at least 1'],
+        default: null
+    },
+    // Orders currently using the code (cancelled orders give their use back)
+    usageCount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Restrict the discount to these menu categories and/or items; both empty for the whole order
+    categories: {
+        type: [String],
+        default: []
+    },
+    menuItems: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem'
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: actorSchema,
+        default: null
+    },
+    updatedBy: {
+        type: actorSchema,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Where the promotion stands right now: disabled, scheduled, expired, exhausted or active.
+ */
+promotionSchema.virtual('status').get(function () {
+    const now = new Date();
+    if (!this.isActive) return 'disabled';
+    if (this.startsAt && this.startsAt > now) return 'scheduled';
+    if (this.endsAt && this.endsAt <= now) return 'expired';
+    if (this.usageLimit !== null && this.usageCount >= this.usageLimit) return 'exhausted';
+    return 'active';
+});
+
+promotionSchema.set('toJSON', { virtuals: true });
+promotionSchema.set('toObject', { virtuals: true });
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = Promotion;
@@ -0,0 +1,216 @@
+/**
+ * Purchase Order Model - Stock ordered from a supplier and the goods received against it.
+ * A PO can be received in several deliveries; each delivery adds to inventory and is kept as a receipt.
+ */
+
+const mongoose = require('mongoose');
+
+// Lifecycle of a purchase order
+const PURCHASE_ORDER_STATUSES = ['ordered', 'partially-received', 'received', 'cancelled'];
+
+// Who placed or received a purchase order
+const actorSchema = new mongoose.Schema({
+    adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    name: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+// One inventory item on the PO; name and unit are copied so the PO reads the same if the item changes
+const purchaseOrderItemSchema = new mongoose.Schema({
+    inventoryItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory',
+        required: [true, 'Purchase order item must reference an inventory item']
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    unitOfMeasure: {
+        type: String,
+        required: true
+    },
+    // Perishable categories need an expiry date when received
+    category: {
+        type: String,
+        default: ''
+    },
+    quantityOrdered: {
+        type: Number,
+        required: [true, 'Ordered quantity is required'],
+        min: [0, 'Ordered quantity cannot be negative']
+    },
+    quantityReceived: {
+        type: Number,
+        min: [0, 'Received quantity cannot be negative'],
+        default: 0
+    },
+    // Expected cost per unit of measure (₹)
+    unitCost: {
+        type: Number,
+        min: [0, 'Unit cost cannot be negative'],
+        default: 0
+    }
+}, { _id: false });
+
+// Goods received in one delivery
+const receiptItemSchema = new mongoose.Schema({
+    inventoryItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [0, 'Received quantity cannot be negative']
+    },
+    // Actual cost per unit on the delivery (may differ from the PO)
+    unitCost: {
+        type: Number,
+        min: [0, 'Unit cost cannot be negative'],
+        default: 0
+    },
+    // Stock batch created for perishable items
+    batchNumber: {
+        type: String,
+        default: ''
+    },
+    expiryDate: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+const receiptSchema = new mongoose.Schema({
+    items: {
+        type: [receiptItemSchema],
+        default: []
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Receipt note cannot exceed 200 characters'],
+        default: ''
+    },
+    receivedBy: {
+        type: actorSchema,
+        default: () => ({})
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+    poNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: [true, 'Please select a supplier']
+    },
+    // Copied from the supplier so old POs keep the name they were sent under
+    supplierName: {
+        type: String,
+        required: true
+    },
+    items: {
+        type: [purchaseOrderItemSchema],
+        validate: {
+            validator: items => items.length > 0,
+            message: 'A purchase order needs at least one item'
+        }
+    },
+    status: {
+        type: String,
+        enum: PURCHASE_ORDER_STATUSES,
+        default: 'ordered'
+    },
+    expectedDeliveryDate: {
+        type: Date,
+        default: null
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters'],
+        default: ''
+    },
+    orderedBy: {
+        type: actorSchema,
+        default: () => ({})
+    },
+    receipts: {
+        type: [receiptSchema],
+        default: []
+    },
+    cancelledAt: {
+        type: Date,
+        default: null
+    },
+    cancelledBy: {
+        type: actorSchema,
+        default: null
+    }
+}, {
+    timestamps: true,
+    // Two people receiving the same PO at once must not both add the delivery to stock
+    optimisticConcurrency: true
+});
+
+// Value of the PO at the ordered unit costs (₹)
+purchaseOrderSchema.virtual('orderedTotal').get(function () {
+    return this.items.reduce((sum, item) => sum + item.quantityOrdered * item.unitCost, 0);
+});
+
+// Value of everything received so far at the delivered unit costs (₹)
+purchaseOrderSchema.virtual('receivedTotal').get(function () {
+    return this.receipts.reduce((sum, receipt) =>
+        sum + receipt.items.reduce((receiptSum, item) => receiptSum + item.quantity * item.unitCost, 0), 0);
+});
+
+purchaseOrderSchema.index({ 'items.inventoryItem': 1, createdAt: -1 });
+
+purchaseOrderSchema.set('toJSON', { virtuals: true });
+purchaseOrderSchema.set('toObject', { virtuals: true });
+
+/**
+ * Generate a unique PO number in format: PO-YYYYMMDD-XXX
+ * Example: PO-20241224-001
+ */
+purchaseOrderSchema.statics.generatePoNumber = async function () {
+    const today = new Date();
+    const datePrefix = today.toISOString().slice(0, 10).replace(/-/g, '');
+
+    // Find the last PO created today to get the sequence number
+    const lastPurchaseOrder = await this.findOne({
+        poNumber: new RegExp(`^PO-${datePrefix}-`)
+    }).sort({ poNumber: -1 });
+
+    let sequenceNumber = 1;
+    if (lastPurchaseOrder) {
+        const lastSequence = parseInt(lastPurchaseOrder.poNumber.split('-')[2], 10);
+        sequenceNumber = lastSequence + 1;
+    }
+
+    return `PO-${datePrefix}-${sequenceNumber.toString().padStart(3, '0')}`;
+};
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+module.exports = PurchaseOrder;
@@ -0,0 +1,102 @@
+/**
+ * Review Model - A customer's star rating and optional short review of a menu item.
+ * Only verified customers who were served the item can review it, once per item (a new review replaces theirs).
+ * Approved reviews make up the item's rating and ratingCount (see services/reviewService.js).
+ */
+
+const mongoose = require('mongoose');
+
+// Who approved or rejected a review
+const actorSchema = new mongoose.Schema({
+    adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    name: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+// The sale or paid bill showing the customer was served the item
+const purchaseSchema = new mongoose.Schema({
+    source: {
+        type: String,
+        enum: ['sale', 'bill'],
+        required: true
+    },
+    recordId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    }
+}, { _id: false });
+
+const reviewSchema = new mongoose.Schema({
+    menuItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem',
+        required: [true, 'Review must be for a menu item']
+    },
+    // Kept so the moderation queue still reads well if the item is renamed or deleted
+    menuItemName: {
+        type: String,
+        default: ''
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: [true, 'Review must have a customer']
+    },
+    customerName: {
+        type: String,
+        default: 'Guest'
+    },
+    rating: {
+        type: Number,
+        required: [true, 'Please choose a rating'],
+        min: [1, 'Rating must be 1 to 5 stars'],
+        max: [5, 'Rating must be 1 to 5 stars'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Rating must be a whole number of stars'
+        }
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Review cannot exceed 300 characters'],
+        default: ''
+    },
+    purchase: {
+        type: purchaseSchema,
+        required: true
+    },
+    // Star-only ratings are approved at once; reviews with a comment wait for moderation
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    moderatedBy: {
+        type: actorSchema,
+        default: null
+    },
+    moderatedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// One review per customer and item
+reviewSchema.index({ menuItem: 1, customer: 1 }, { unique: true });
+
+// Moderation queue and the approved reviews shown for an item
+reviewSchema.index({ status: 1, createdAt: -1 });
+reviewSchema.index({ menuItem: 1, status: 1, createdAt: -1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
@@ -6,8 +6,30 @@
 const mongoose = require('mongoose');
 
 
+// Add-on sold with an item (price is per unit of the item)
+const soldAddOnSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+
 // Schema for individual sold items (denormalized for faster analytics queries)
 const soldItemSchema = new mongoose.Schema({
+    // Lets customers who were served the item review it (see services/reviewService.js)
+    menuItemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem',
+        default: null
+    },
+
     name: {
         type: String,
         required: true
@@ -29,6 +51,29 @@ const soldItemSchema = new mongoose.Schema({
     category: {
         type: String,
         default: 'Uncategorized'
+    },
+
+    // Variant sold, e.g. "Paneer · Fried" ('' for items without variants)
+    variant: {
+        type: String,
+        default: ''
+    },
+
+    // Combo the item was sold in ('' when sold on its own); its price is the item's share of the combo price
+    combo: {
+        type: String,
+        default: ''
+    },
+
+    // Add-ons are reported separately as add-on revenue
+    customizations: {
+        type: [soldAddOnSchema],
+        default: []
+    },
+
+    specialInstructions: {
+        type: String,
+        default: ''
     }
 }, { _id: false });
 
@@ -95,12 +140,37 @@ const salesSchema = new mongoose.Schema({
         min: 0
     },
 
+    // Promo discount on the served lines, and the code used
+    discount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    promoCode: {
+        type: String,
+        default: ''
+    },
+
     tax: {
         type: Number,
         required: true,
         min: 0
     },
 
+    // GST split of tax for tax reports
+    cgst: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    sgst: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
     total: {
         type: Number,
         required: true,
@@ -0,0 +1,107 @@
+/**
+ * Stock Movement Model - One line of the inventory stock ledger.
+ * Every change to an item's stock is recorded here with who made it, when, why and at what unit cost.
+ * An item's currentQuantity is the running balance of its movements; entries are never edited.
+ */
+
+const mongoose = require('mongoose');
+
+// opening: stock held when an item was added (or before the ledger existed)
+// receipt: goods received from a supplier
+// consumption: used by (or returned from) order lines through recipes
+// wastage / spoilage / adjustment: recorded by hand; stock-take: counted stock correction
+const STOCK_MOVEMENT_TYPES = ['opening', 'receipt', 'consumption', 'wastage', 'spoilage', 'adjustment', 'stock-take'];
+
+// Who recorded the movement; empty for movements the system made on its own
+const actorSchema = new mongoose.Schema({
+    adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    name: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+// Document that caused the movement (e.g. the order, purchase order or stock-take)
+const referenceSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['order', 'purchase-order', 'stock-take'],
+        required: true
+    },
+    id: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    label: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+const stockMovementSchema = new mongoose.Schema({
+    inventoryItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory',
+        required: [true, 'Stock movement must reference an inventory item']
+    },
+    // Copied so the ledger still reads correctly after the item is renamed or deleted
+    itemName: {
+        type: String,
+        required: true
+    },
+    unitOfMeasure: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: STOCK_MOVEMENT_TYPES,
+        required: [true, 'Stock movement type is required']
+    },
+    // Signed, in the item's unit of measure: positive adds stock, negative takes it away
+    quantity: {
+        type: Number,
+        required: [true, 'Stock movement quantity is required']
+    },
+    // Cost per unit of measure (₹); purchase cost for receipts, last known cost otherwise
+    unitCost: {
+        type: Number,
+        min: [0, 'Unit cost cannot be negative'],
+        default: null
+    },
+    // Item's stock right after this movement
+    balanceAfter: {
+        type: Number,
+        required: true
+    },
+    // Batch received, or written off, by this movement
+    batchNumber: {
+        type: String,
+        default: ''
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters'],
+        default: ''
+    },
+    reference: {
+        type: referenceSchema,
+        default: null
+    },
+    performedBy: {
+        type: actorSchema,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Item history, newest first
+stockMovementSchema.index({ inventoryItem: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,180 @@
+/**
+ * Stock-take Model - A physical count (cycle count) of the inventory in one category.
+ * Counted quantities are compared with the system quantity at the time of counting; once a
+ * manager approves the session, the variances are recorded in the stock ledger in one go.
+ */
+
+const mongoose = require('mongoose');
+
+// Lifecycle of a stock-take session
+const STOCK_TAKE_STATUSES = ['counting', 'submitted', 'approved', 'cancelled'];
+
+// Who started, counted, submitted, approved or cancelled a stock-take
+const actorSchema = new mongoose.Schema({
+    adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    name: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+// One inventory item to count; name and unit are copied so old stock-takes read the same
+const stockTakeLineSchema = new mongoose.Schema({
+    inventoryItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    unitOfMeasure: {
+        type: String,
+        required: true
+    },
+    // Stock the system expected when the item was counted (when the session started, until then)
+    systemQuantity: {
+        type: Number,
+        required: true
+    },
+    // null until the item has been counted
+    countedQuantity: {
+        type: Number,
+        min: [0, 'Counted quantity cannot be negative'],
+        default: null
+    },
+    // Cost per unit used to value the variance (the item's last purchase cost)
+    unitCost: {
+        type: Number,
+        default: null
+    },
+    countedBy: {
+        type: actorSchema,
+        default: null
+    },
+    countedAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+// Counted minus expected; negative means stock is missing
+stockTakeLineSchema.virtual('variance').get(function () {
+    if (this.countedQuantity === null) return null;
+    return +(this.countedQuantity - this.systemQuantity).toFixed(4);
+});
+
+// Variance at the item's unit cost (₹), null when it has no cost
+stockTakeLineSchema.virtual('varianceValue').get(function () {
+    if (this.countedQuantity === null || this.unitCost === null) return null;
+    return +((this.countedQuantity - this.systemQuantity) * this.unitCost).toFixed(2);
+});
+
+const stockTakeSchema = new mongoose.Schema({
+    stockTakeNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Inventory category counted; empty for a full count of every category
+    category: {
+        type: String,
+        default: ''
+    },
+    lines: {
+        type: [stockTakeLineSchema],
+        validate: {
+            validator: lines => lines.length > 0,
+            message: 'There are no inventory items to count'
+        }
+    },
+    status: {
+        type: String,
+        enum: STOCK_TAKE_STATUSES,
+        default: 'counting'
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters'],
+        default: ''
+    },
+    startedBy: {
+        type: actorSchema,
+        default: () => ({})
+    },
+    submittedBy: {
+        type: actorSchema,
+        default: null
+    },
+    submittedAt: {
+        type: Date,
+        default: null
+    },
+    approvedBy: {
+        type: actorSchema,
+        default: null
+    },
+    approvedAt: {
+        type: Date,
+        default: null
+    },
+    cancelledBy: {
+        type: actorSchema,
+        default: null
+    },
+    cancelledAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    // Two managers approving at once must not both adjust stock
+    optimisticConcurrency: true
+});
+
+// Items counted so far
+stockTakeSchema.virtual('countedCount').get(function () {
+    return this.lines.filter(line => line.countedQuantity !== null).length;
+});
+
+// Net value of all variances (₹); items without a cost are left out
+stockTakeSchema.virtual('totalVarianceValue').get(function () {
+    return +this.lines.reduce((sum, line) => sum + (line.varianceValue || 0), 0).toFixed(2);
+});
+
+stockTakeSchema.index({ 'lines.inventoryItem': 1, approvedAt: -1 });
+
+stockTakeSchema.set('toJSON', { virtuals: true });
+stockTakeSchema.set('toObject', { virtuals: true });
+
+/**
+ * Generate a unique stock-take number in format: ST-YYYYMMDD-XXX
+ * Example: ST-20241224-001
+ */
+stockTakeSchema.statics.generateStockTakeNumber = async function () {
+    const today = new Date();
+    const datePrefix = today.toISOString().slice(0, 10).replace(/-/g, '');
+
+    // Find the last stock-take started today to get the sequence number
+    const lastStockTake = await this.findOne({
+        stockTakeNumber: new RegExp(`^ST-${datePrefix}-`)
+    }).sort({ stockTakeNumber: -1 });
+
+    let sequenceNumber = 1;
+    if (lastStockTake) {
+        const lastSequence = parseInt(lastStockTake.stockTakeNumber.split('-')[2], 10);
+        sequenceNumber = lastSequence + 1;
+    }
+
+    return `ST-${datePrefix}-${sequenceNumber.toString().padStart(3, '0')}`;
+};
+
+const StockTake = mongoose.model('StockTake', stockTakeSchema);
+
+module.exports = StockTake;
@@ -0,0 +1,51 @@
+/**
+ * Supplier Model - Vendors that inventory items are purchased from.
+ * Purchase orders are raised against a supplier; its lead time sets the expected delivery date.
+ */
+
+const mongoose = require('mongoose');
+
+const supplierSchema = mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please add a supplier name'],
+        trim: true,
+        unique: true
+    },
+    contactPerson: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    phone: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: ''
+    },
+    address: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Days between placing a purchase order and the goods arriving
+    leadTimeDays: {
+        type: Number,
+        min: [0, 'Lead time cannot be negative'],
+        default: 1
+    },
+    notes: {
+        type: String,
+        trim: true,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -1,27 +1,36 @@
 /**
- * Admin Routes - Defines API endpoints for admin authentication and password reset.
+ * Admin Routes - Defines API endpoints for admin authentication, password reset and staff roles.
  */
 
 const express = require('express');
 const router = express.Router();
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
 const {
     registerAdmin,
     loginAdmin,
     requestPasswordReset,
     verifyOTPAndResetPassword,
-    getOTPLogs
+    getOTPLogs,
+    getCurrentAdmin,
+    getStaffAccounts,
+    updateStaffRole
 } = require('../controllers/adminController');
 
 // Authentication routes
-router.post('/register', registerAdmin);
+router.post('/register', protectAdmin, requirePermission(PERMISSIONS.STAFF_ROLES), registerAdmin);
 router.post('/login', loginAdmin);
+router.get('/me', protectAdmin, getCurrentAdmin);
 
 // Password reset routes
 router.post('/forgot-password', requestPasswordReset);
 router.post('/reset-password', verifyOTPAndResetPassword);
 
 // OTP logs (for admin auditing)
-router.get('/otp-logs', getOTPLogs);
+router.get('/otp-logs', protectAdmin, requirePermission(PERMISSIONS.STAFF_ROLES), getOTPLogs);
 
-module.exports = router;
+// Staff login accounts and role assignment
+router.get('/staff', protectAdmin, requirePermission(PERMISSIONS.STAFF_ROLES), getStaffAccounts);
+router.put('/staff/:id/role', protectAdmin, requirePermission(PERMISSIONS.STAFF_ROLES), updateStaffRole);
 
+module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Daypart Routes - Defines API endpoints for managing the parts of the day menu categories are served in.
+ * Customers see the result through /api/menu; orders outside a category's dayparts are rejected in POST /api/orders.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
+const {
+    getAllDayparts,
+    createDaypart,
+    updateDaypart,
+    deleteDaypart
+} = require('../controllers/daypartController');
+
+// Dayparts are managed alongside the menu
+router.use(protectAdmin, requirePermission(PERMISSIONS.MENU));
+
+// CRUD routes
+router.get('/', getAllDayparts);
+router.post('/', createDaypart);
+router.put('/:id', updateDaypart);
+router.delete('/:id', deleteDaypart);
+
+module.exports = router;
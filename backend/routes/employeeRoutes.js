@@ -4,6 +4,8 @@
 
 const express = require('express');
 const router = express.Router();
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
 const upload = require('../middleware/upload');
 const {
     getAllEmployees,
@@ -19,6 +21,9 @@ const {
     getAllAttendance
 } = require('../controllers/employeeController');
 
+// Every employee route is admin-only
+router.use(protectAdmin, requirePermission(PERMISSIONS.EMPLOYEES));
+
 // Stats route (must come before /:id to avoid conflict)
 router.get('/stats', getEmployeeStats);
 
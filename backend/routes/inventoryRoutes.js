@@ -4,26 +4,42 @@
 
 const express = require('express');
 const router = express.Router();
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
 const {
     getAllInventoryItems,
     getInventoryStats,
+    getInventoryValuation,
+    getExpiringInventory,
+    getReorderForecast,
     getInventoryItemById,
     createInventoryItem,
     updateInventoryItem,
     deleteInventoryItem,
     exportInventory,
-    importInventory
+    exportReorderForecast,
+    importInventory,
+    getStockMovements,
+    createStockMovement,
+    writeOffBatch
 } = require('../controllers/inventoryController');
 
+// Every inventory route is admin-only
+router.use(protectAdmin, requirePermission(PERMISSIONS.INVENTORY));
+
 // Import/Export routes (must come before /:id to avoid conflict)
 const multer = require('multer');
 const upload = multer({ dest: 'uploads/' });
 
 router.get('/export/csv', exportInventory);
+router.get('/forecast/export/csv', exportReorderForecast);
 router.post('/import/csv', upload.single('file'), importInventory);
 
-// Stats route (must come before /:id to avoid conflict)
+// Stats, valuation and expiry routes (must come before /:id to avoid conflict)
 router.get('/stats', getInventoryStats);
+router.get('/valuation', getInventoryValuation);
+router.get('/expiring', getExpiringInventory);
+router.get('/forecast', getReorderForecast);
 
 // CRUD routes
 router.get('/', getAllInventoryItems);
@@ -32,4 +48,9 @@ router.post('/', createInventoryItem);
 router.put('/:id', updateInventoryItem);
 router.delete('/:id', deleteInventoryItem);
 
+// Stock ledger
+router.get('/:id/movements', getStockMovements);
+router.post('/:id/movements', createStockMovement);
+router.post('/:id/batches/:batchId/write-off', writeOffBatch);
+
 module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Loyalty Routes - Defines API endpoints for customer loyalty points.
+ * Customers identify themselves with their verified customer ID (x-customer-id header or customerId).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { verifyCustomerAuth } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
+const {
+    getMyLoyalty,
+    getLoyaltyCustomers,
+    getCustomerTransactions,
+    adjustPoints
+} = require('../controllers/loyaltyController');
+
+// Customer routes
+router.get('/me', verifyCustomerAuth, getMyLoyalty);
+
+// Points are handled by the staff who take payments and settle bills
+router.get('/customers', protectAdmin, requirePermission(PERMISSIONS.BILLS, PERMISSIONS.PAYMENTS), getLoyaltyCustomers);
+router.get('/customers/:id/transactions', protectAdmin, requirePermission(PERMISSIONS.BILLS, PERMISSIONS.PAYMENTS), getCustomerTransactions);
+router.post('/customers/:id/adjustments', protectAdmin, requirePermission(PERMISSIONS.BILLS, PERMISSIONS.PAYMENTS), adjustPoints);
+
+module.exports = router;
@@ -4,6 +4,8 @@
 
 const express = require('express');
 const router = express.Router();
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
 const {
     getAllMenuItems,
     getMenuItemById,
@@ -20,8 +22,8 @@ const {
 const multer = require('multer');
 const upload = multer({ dest: 'uploads/' });
 
-router.get('/export/csv', exportMenu);
-router.post('/import/csv', upload.single('file'), importMenu);
+router.get('/export/csv', protectAdmin, requirePermission(PERMISSIONS.MENU), exportMenu);
+router.post('/import/csv', protectAdmin, requirePermission(PERMISSIONS.MENU), upload.single('file'), importMenu);
 
 // Top rated items route (must come before /:id to avoid conflict)
 router.get('/top-rated/by-category', getTopRatedItemsByCategory);
@@ -33,9 +35,9 @@ router.get('/categories/available', getAvailableCategories);
 router.get('/', getAllMenuItems);
 router.get('/:id', getMenuItemById);
 
-// Admin routes (TODO: Add authentication middleware)
-router.post('/', createMenuItem);
-router.put('/:id', updateMenuItem);
-router.delete('/:id', deleteMenuItem);
+// Admin routes
+router.post('/', protectAdmin, requirePermission(PERMISSIONS.MENU), createMenuItem);
+router.put('/:id', protectAdmin, requirePermission(PERMISSIONS.MENU), updateMenuItem);
+router.delete('/:id', protectAdmin, requirePermission(PERMISSIONS.MENU), deleteMenuItem);
 
 module.exports = router;
@@ -6,20 +6,33 @@
 const express = require('express');
 const router = express.Router();
 const { verifyCustomerAuth, optionalCustomerAuth } = require('../middleware/authMiddleware');
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
 const {
+    quoteOrder,
     createOrder,
     getAllOrders,
     getOrderById,
     updateOrderStatus,
+    updateOrderItemStatus,
     deleteOrder,
+    getKitchenTickets,
+    bumpStationTicket,
+    recallStationTicket,
     getOrdersByTable,
     getOrdersByPhone,
     getSessionOrders,
     getConsolidatedBill,
     requestPayment,
     updateBillingStatus,
+    splitBill,
+    removeBillSplit,
+    updateSplitStatus,
+    recordPayment,
+    removePayment,
     getPendingPayments,
     getBillBySession,
+    getUpiPaymentRequest,
     getAllBills,
     getBillsByPhone
 } = require('../controllers/orderController');
@@ -32,8 +45,11 @@ const {
 // Customers place orders through this endpoint; supports both authenticated and guest users
 router.post('/', optionalCustomerAuth, createOrder);
 
+// Cart uses this to show server-computed prices, tax and promo discount before the order is placed
+router.post('/quote', optionalCustomerAuth, quoteOrder);
+
 // Admin dashboard uses this to display all orders, with optional filtering by status
-router.get('/', getAllOrders);
+router.get('/', protectAdmin, requirePermission(PERMISSIONS.ORDERS), getAllOrders);
 
 // Customers can track their own orders by providing their table number
 router.get('/table/:tableNumber', getOrdersByTable);
@@ -42,15 +58,29 @@ router.get('/table/:tableNumber', getOrdersByTable);
 router.get('/phone/:phone', getOrdersByPhone);
 
 
+// ============================================================================
+// Kitchen Display System (Admin)
+// ============================================================================
+
+// Station tickets for the kitchen screen
+router.get('/kitchen/tickets', protectAdmin, requirePermission(PERMISSIONS.ORDERS), getKitchenTickets);
+
+// A station finished its part of an order; the last bump marks the order served
+router.patch('/:id/tickets/:station/bump', protectAdmin, requirePermission(PERMISSIONS.ORDERS), bumpStationTicket);
+
+// Send a bumped ticket back to its station
+router.patch('/:id/tickets/:station/recall', protectAdmin, requirePermission(PERMISSIONS.ORDERS), recallStationTicket);
+
+
 // ============================================================================
 // Payments Management (Admin)
 // ============================================================================
 
 // Get all pending payments for admin Payments tab
-router.get('/payments', getPendingPayments);
+router.get('/payments', protectAdmin, requirePermission(PERMISSIONS.PAYMENTS), getPendingPayments);
 
 // Get all bills (admin billing history)
-router.get('/bills', getAllBills);
+router.get('/bills', protectAdmin, requirePermission(PERMISSIONS.BILLS, PERMISSIONS.PAYMENTS), getAllBills);
 
 // Get bills by customer phone number (for customer billing history)
 router.get('/bills/phone/:phone', getBillsByPhone);
@@ -69,11 +99,26 @@ router.get('/session/:sessionId/bill', getConsolidatedBill);
 // Get bill record from database for a session
 router.get('/session/:sessionId/bill-record', getBillBySession);
 
+// Get a UPI payment link and QR code for what is left to pay on the session's bill
+router.get('/session/:sessionId/upi', getUpiPaymentRequest);
+
 // Request payment - sends instant notification to admin that customer is ready to pay
-router.post('/session/:sessionId/pay-request', requestPayment);
+// (a signed-in customer can redeem loyalty points against the bill)
+router.post('/session/:sessionId/pay-request', optionalCustomerAuth, requestPayment);
 
 // Update billing status (paid/unpaid) - admin only
-router.patch('/session/:sessionId/billing-status', updateBillingStatus);
+router.patch('/session/:sessionId/billing-status', protectAdmin, requirePermission(PERMISSIONS.PAYMENTS, PERMISSIONS.BILLS), updateBillingStatus);
+
+// Split the session's bill equally, by items or by custom amounts, or undo the split - admin only
+router.post('/session/:sessionId/split', protectAdmin, requirePermission(PERMISSIONS.PAYMENTS), splitBill);
+router.delete('/session/:sessionId/split', protectAdmin, requirePermission(PERMISSIONS.PAYMENTS), removeBillSplit);
+
+// Mark one share of a split bill paid; the bill is paid once every share is - admin only
+router.patch('/session/:sessionId/splits/:splitId/billing-status', protectAdmin, requirePermission(PERMISSIONS.PAYMENTS, PERMISSIONS.BILLS), updateSplitStatus);
+
+// Record cash, card or UPI payments towards a bill (or share), in any mix; the bill closes once they cover it - admin only
+router.post('/session/:sessionId/payments', protectAdmin, requirePermission(PERMISSIONS.PAYMENTS, PERMISSIONS.BILLS), recordPayment);
+router.delete('/session/:sessionId/payments/:paymentId', protectAdmin, requirePermission(PERMISSIONS.PAYMENTS, PERMISSIONS.BILLS), removePayment);
 
 
 // ============================================================================
@@ -84,10 +129,13 @@ router.patch('/session/:sessionId/billing-status', updateBillingStatus);
 router.get('/:id', getOrderById);
 
 // Status transitions: pending → preparing → served (or cancelled at any point)
-router.patch('/:id', updateOrderStatus);
+router.patch('/:id', protectAdmin, requirePermission(PERMISSIONS.ORDERS), updateOrderStatus);
+
+// Per-item status (partial serving / partial cancellation); the order status is derived from its items
+router.patch('/:id/items/:itemIndex', protectAdmin, requirePermission(PERMISSIONS.ORDERS), updateOrderItemStatus);
 
 // Permanent removal of an order record (use sparingly; prefer status = 'cancelled')
-router.delete('/:id', deleteOrder);
+router.delete('/:id', protectAdmin, requirePermission(PERMISSIONS.ORDERS), deleteOrder);
 
 
 module.exports = router;
@@ -0,0 +1,28 @@
+/**
+ * Pricing Rule Routes - Defines API endpoints for managing happy-hour and other time-based prices.
+ * Customers see the prices through /api/menu; orders are priced with them in POST /api/orders.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
+const {
+    getAllPricingRules,
+    getPricingRuleById,
+    createPricingRule,
+    updatePricingRule,
+    deletePricingRule
+} = require('../controllers/pricingRuleController');
+
+// Pricing rules are managed alongside the menu
+router.use(protectAdmin, requirePermission(PERMISSIONS.MENU));
+
+// CRUD routes
+router.get('/', getAllPricingRules);
+router.get('/:id', getPricingRuleById);
+router.post('/', createPricingRule);
+router.put('/:id', updatePricingRule);
+router.delete('/:id', deletePricingRule);
+
+module.exports = router;
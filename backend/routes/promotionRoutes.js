@@ -0,0 +1,28 @@
+/**
+ * Promotion Routes - Defines API endpoints for managing promo codes.
+ * Customers apply codes through /api/orders/quote and POST /api/orders.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
+const {
+    getAllPromotions,
+    getPromotionById,
+    createPromotion,
+    updatePromotion,
+    deletePromotion
+} = require('../controllers/promotionController');
+
+// Promotions are managed alongside the menu
+router.use(protectAdmin, requirePermission(PERMISSIONS.MENU));
+
+// CRUD routes
+router.get('/', getAllPromotions);
+router.get('/:id', getPromotionById);
+router.post('/', createPromotion);
+router.put('/:id', updatePromotion);
+router.delete('/:id', deletePromotion);
+
+module.exports = router;
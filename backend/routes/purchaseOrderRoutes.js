@@ -0,0 +1,32 @@
+/**
+ * Purchase Order Routes - Defines API endpoints for purchase orders and goods received.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
+const {
+    getAllPurchaseOrders,
+    getReorderSuggestions,
+    getPurchaseOrderById,
+    createPurchaseOrder,
+    receivePurchaseOrder,
+    cancelPurchaseOrder,
+    exportPurchaseOrder
+} = require('../controllers/purchaseOrderController');
+
+// Purchase orders are part of inventory management
+router.use(protectAdmin, requirePermission(PERMISSIONS.INVENTORY));
+
+// Low-stock items to order (must come before /:id to avoid conflict)
+router.get('/reorder-suggestions', getReorderSuggestions);
+
+router.get('/', getAllPurchaseOrders);
+router.get('/:id', getPurchaseOrderById);
+router.get('/:id/export/csv', exportPurchaseOrder);
+router.post('/', createPurchaseOrder);
+router.post('/:id/receive', receivePurchaseOrder);
+router.patch('/:id/cancel', cancelPurchaseOrder);
+
+module.exports = router;
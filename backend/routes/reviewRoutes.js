@@ -0,0 +1,30 @@
+/**
+ * Review Routes - Defines API endpoints for customer ratings and reviews of menu items.
+ * Customers identify themselves with their verified customer ID (x-customer-id header or customerId).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { verifyCustomerAuth } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
+const {
+    submitReview,
+    getMyReviews,
+    getMenuItemReviews,
+    getReviews,
+    moderateReview
+} = require('../controllers/reviewController');
+
+// Customer routes
+router.post('/', verifyCustomerAuth, submitReview);
+router.get('/mine', verifyCustomerAuth, getMyReviews);
+
+// Public routes
+router.get('/menu-item/:menuItemId', getMenuItemReviews);
+
+// Moderation is managed alongside the menu
+router.get('/', protectAdmin, requirePermission(PERMISSIONS.MENU), getReviews);
+router.put('/:id/moderation', protectAdmin, requirePermission(PERMISSIONS.MENU), moderateReview);
+
+module.exports = router;
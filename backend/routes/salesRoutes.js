@@ -5,6 +5,8 @@
 
 const express = require('express');
 const router = express.Router();
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
 const {
     getAggregatedStats,
     getTopSellingItems,
@@ -15,9 +17,14 @@ const {
     getRevenueByHour,
     getNewCustomers,
     getPopularCombos,
+    getAddOnRevenue,
+    getPaymentMethodMix,
     getGrowthMetrics
 } = require('../controllers/salesController');
 
+// Analytics are only visible to logged-in admins
+router.use(protectAdmin, requirePermission(PERMISSIONS.ANALYTICS));
+
 
 // ============================================================================
 // Analytics Endpoints
@@ -50,6 +57,12 @@ router.get('/new-customers', getNewCustomers);
 // Get popular food combos
 router.get('/popular-combos', getPopularCombos);
 
+// Get revenue from item add-ons
+router.get('/add-on-revenue', getAddOnRevenue);
+
+// Get how money was collected: cash, card, UPI and other
+router.get('/payment-methods', getPaymentMethodMix);
+
 // Get growth metrics for KPI cards
 router.get('/growth-metrics', getGrowthMetrics);
 
@@ -0,0 +1,34 @@
+/**
+ * Stock-take Routes - Defines API endpoints for physical stock counts and their approval.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
+const {
+    getAllStockTakes,
+    getStockTakeById,
+    getItemStockTakeHistory,
+    createStockTake,
+    countStockTakeLine,
+    submitStockTake,
+    approveStockTake,
+    cancelStockTake
+} = require('../controllers/stockTakeController');
+
+// Stock-takes are part of inventory management; approval is further limited to managers
+router.use(protectAdmin, requirePermission(PERMISSIONS.INVENTORY));
+
+// Variance history of one item (must come before /:id to avoid conflict)
+router.get('/history/:inventoryItemId', getItemStockTakeHistory);
+
+router.get('/', getAllStockTakes);
+router.get('/:id', getStockTakeById);
+router.post('/', createStockTake);
+router.patch('/:id/lines/:inventoryItemId', countStockTakeLine);
+router.patch('/:id/submit', submitStockTake);
+router.patch('/:id/approve', approveStockTake);
+router.patch('/:id/cancel', cancelStockTake);
+
+module.exports = router;
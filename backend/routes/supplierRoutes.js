@@ -0,0 +1,27 @@
+/**
+ * Supplier Routes - Defines API endpoints for supplier operations.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
+const {
+    getAllSuppliers,
+    getSupplierById,
+    createSupplier,
+    updateSupplier,
+    deleteSupplier
+} = require('../controllers/supplierController');
+
+// Suppliers are part of inventory management
+router.use(protectAdmin, requirePermission(PERMISSIONS.INVENTORY));
+
+// CRUD routes
+router.get('/', getAllSuppliers);
+router.get('/:id', getSupplierById);
+router.post('/', createSupplier);
+router.put('/:id', updateSupplier);
+router.delete('/:id', deleteSupplier);
+
+module.exports = router;
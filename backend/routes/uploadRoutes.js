@@ -8,6 +8,8 @@
 const express = require('express');
 const multer = require('multer');
 const { uploadImage } = require('../controllers/uploadController');
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
 
 const router = express.Router();
 
@@ -45,6 +47,6 @@ const upload = multer({
 
 // POST /api/upload/image - Upload a single image
 // The 'image' parameter must match the field name used in the frontend FormData
-router.post('/image', upload.single('image'), uploadImage);
+router.post('/image', protectAdmin, requirePermission(PERMISSIONS.MENU, PERMISSIONS.INVENTORY), upload.single('image'), uploadImage);
 
 module.exports = router;
@@ -4,6 +4,8 @@
 
 const express = require('express');
 const router = express.Router();
+const { protectAdmin, requirePermission } = require('../middleware/adminAuthMiddleware');
+const { PERMISSIONS } = require('../config/rolePermissions');
 const {
     sendOTP,
     verifyOTP,
@@ -25,7 +27,7 @@ router.get('/phone/:phone', getCustomerByPhone);
 router.post('/login', loginOrRegisterCustomer);
 
 // Get all customers (admin)
-router.get('/', getAllCustomers);
+router.get('/', protectAdmin, requirePermission(PERMISSIONS.ANALYTICS), getAllCustomers);
 
 // Get customer by email
 router.get('/email/:email', getCustomerByEmail);
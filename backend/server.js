@@ -5,6 +5,8 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const connectDB = require('./config/db');
 const socketHandler = require('./socket/socketHandler');
+const { scheduleDailyExpiryAlert } = require('./services/expiryService');
+const { scheduleDailyPointsExpiry } = require('./services/loyaltyService');
 
 const app = express();
 const server = http.createServer(app);
@@ -39,14 +41,28 @@ app.use('/api/users', require('./routes/userRoutes'));
 app.use('/api/admin', require('./routes/adminRoutes'));
 app.use('/api/menu', require('./routes/menuRoutes'));
 app.use('/api/inventory', require('./routes/inventoryRoutes'));
+app.use('/api/suppliers', require('./routes/supplierRoutes'));
+app.use('/api/purchase-orders', require('./routes/purchaseOrderRoutes'));
+app.use('/api/stock-takes', require('./routes/stockTakeRoutes'));
 app.use('/api/employees', require('./routes/employeeRoutes'));
 app.use('/api/orders', require('./routes/orderRoutes'));
+app.use('/api/promotions', require('./routes/promotionRoutes'));
+app.use('/api/pricing-rules', require('./routes/pricingRuleRoutes'));
+app.use('/api/dayparts', require('./routes/daypartRoutes'));
+app.use('/api/reviews', require('./routes/reviewRoutes'));
+app.use('/api/loyalty', require('./routes/loyaltyRoutes'));
 app.use('/api/sales', require('./routes/salesRoutes'));
 app.use('/api/upload', require('./routes/uploadRoutes'));
 
 // Initialize Socket Handler
 socketHandler(io);
 
+// Daily alert for perishable stock nearing its expiry date
+scheduleDailyExpiryAlert(io);
+
+// Daily expiry of old loyalty points
+scheduleDailyPointsExpiry();
+
 // Basic Route
 app.get('/', (req, res) => {
     res.send('Momo Magic Backend is Running');
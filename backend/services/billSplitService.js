@@ -0,0 +1,274 @@
+/**
+ * Bill Split Service - Splits a session's bill into shares that are paid separately:
+ * equally between a number of people, by the items each person had, or by custom amounts.
+ *
+ * Every amount on the bill is divided to the paisa, so the shares always add up to the bill.
+ * GST is divided per HSN/SAC row of the bill, in proportion to each share's taxable value
+ * in that row, so each share carries the tax of what it pays for.
+ */
+
+const { roundCurrency, getItemGst } = require('./gstService');
+
+const SPLIT_METHODS = ['equal', 'items', 'amounts'];
+
+// Most people a bill can be split between
+const MAX_SPLIT_SHARES = 20;
+
+const MAX_SHARE_LABEL_LENGTH = 40;
+
+/**
+ * Divide an amount in proportion to weights, to the paisa.
+ * Leftover paise go to the largest remainders, so the parts add up exactly
+ * and a share with no weight gets nothing.
+ * @param {number} amount
+ * @param {number[]} weights
+ * @returns {number[]}
+ */
+const divideByWeight = (amount, weights) => {
+    const paise = Math.round(amount * 100);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const exact = weights.map(weight => (totalWeight > 0 ? paise * weight / totalWeight : paise / weights.length));
+    const parts = exact.map(Math.floor);
+
+    let leftover = paise - parts.reduce((sum, part) => sum + part, 0);
+    const byRemainder = exact
+        .map((value, index) => ({ index, remainder: value - parts[index] }))
+        .sort((a, b) => b.remainder - a.remainder);
+    for (let k = 0; leftover > 0; k++, leftover--) {
+        parts[byRemainder[k % byRemainder.length].index] += 1;
+    }
+
+    return parts.map(part => part / 100);
+};
+
+const sumAmounts = (values) => roundCurrency(values.reduce((sum, value) => sum + value, 0));
+
+const getShareLabel = (label, index) => {
+    const trimmed = String(label || '').trim().slice(0, MAX_SHARE_LABEL_LENGTH);
+    return trimmed || `Share ${index + 1}`;
+};
+
+/**
+ * HSN/SAC rows to divide. Bills from before the GST breakup get one row covering the whole bill.
+ * @param {Object} bill
+ * @returns {Array} { hsnCode, gstRate, taxableValue, cgstRate, cgst, sgstRate, sgst }
+ */
+const getTaxRows = (bill) => {
+    if (bill.hsnSummary && bill.hsnSummary.length > 0) {
+        return bill.hsnSummary;
+    }
+    const cgst = bill.cgst || roundCurrency(bill.tax / 2);
+    return [{
+        hsnCode: '',
+        gstRate: null,
+        taxableValue: roundCurrency(bill.total - bill.tax),
+        cgst,
+        sgst: roundCurrency(bill.tax - cgst)
+    }];
+};
+
+/**
+ * Which tax row a bill item belongs to.
+ * @param {Array} rows - From getTaxRows
+ * @param {Object} item - Bill item
+ * @returns {number} Row index
+ */
+const findTaxRow = (rows, item) => {
+    const { gstRate, hsnCode } = getItemGst(item);
+    const index = rows.findIndex(row => row.hsnCode === hsnCode && row.gstRate === gstRate);
+    return index === -1 ? 0 : index;
+};
+
+/**
+ * Check an items split and work out each share's part of each bill line.
+ * Every unit of every item must go to exactly one share.
+ *
+ * @param {Object} bill
+ * @param {Array} shares - [{ label, items: [{ index, quantity }] }]
+ * @returns {Object} { success: true, quantities } - quantities[share][itemIndex] - or { success: false, message }
+ */
+const getItemQuantities = (bill, shares) => {
+    const quantities = shares.map(() => bill.items.map(() => 0));
+
+    for (let s = 0; s < shares.length; s++) {
+        const shareItems = Array.isArray(shares[s]?.items) ? shares[s].items : [];
+        if (shareItems.length === 0) {
+            return { success: false, message: `${getShareLabel(shares[s]?.label, s)} has no items` };
+        }
+        for (const shareItem of shareItems) {
+            const index = Number(shareItem?.index);
+            const quantity = Number(shareItem?.quantity);
+            if (!Number.isInteger(index) || index < 0 || index >= bill.items.length) {
+                return { success: false, message: 'Item is not on this bill' };
+            }
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                return { success: false, message: `Quantity of ${bill.items[index].name} must be a whole number of at least 1` };
+            }
+            quantities[s][index] += quantity;
+        }
+    }
+
+    for (let i = 0; i < bill.items.length; i++) {
+        const assigned = quantities.reduce((sum, shareQuantities) => sum + shareQuantities[i], 0);
+        if (assigned !== bill.items[i].quantity) {
+            return {
+                success: false,
+                message: `${bill.items[i].name}: ${assigned} of ${bill.items[i].quantity} assigned. Every item must be split exactly.`
+            };
+        }
+    }
+
+    return { success: true, quantities };
+};
+
+/**
+ * Weights each share's amounts are divided by.
+ * @returns {Object} { success: true, rowWeights, discountWeights, amounts } or { success: false, message }
+ *          rowWeights[row][share] divides the tax rows, discountWeights[share] the promo discount;
+ *          amounts[share] is set for custom amounts, which are what each share pays
+ */
+const getSplitWeights = (bill, rows, { method, count, shares }) => {
+    if (method === 'equal') {
+        const people = Number(count);
+        if (!Number.isInteger(people) || people < 2 || people > MAX_SPLIT_SHARES) {
+            return { success: false, message: `Split between 2 and ${MAX_SPLIT_SHARES} people` };
+        }
+        const weights = Array(people).fill(1);
+        return { success: true, rowWeights: rows.map(() => weights), discountWeights: weights };
+    }
+
+    if (!Array.isArray(shares) || shares.length < 2 || shares.length > MAX_SPLIT_SHARES) {
+        return { success: false, message: `Split between 2 and ${MAX_SPLIT_SHARES} people` };
+    }
+
+    if (method === 'amounts') {
+        const amounts = shares.map(share => roundCurrency(Number(share?.amount)));
+        if (amounts.some(amount => !Number.isFinite(amount) || amount <= 0)) {
+            return { success: false, message: 'Each share must be more than ₹0' };
+        }
+        if (sumAmounts(amounts) !== bill.amountDue) {
+            return {
+                success: false,
+                message: `Shares add up to ₹${sumAmounts(amounts).toFixed(2)}, but ₹${bill.amountDue.toFixed(2)} is due`
+            };
+        }
+        return { success: true, rowWeights: rows.map(() => amounts), discountWeights: amounts, amounts };
+    }
+
+    // By items: each share carries the taxable value and discount of its items
+    const result = getItemQuantities(bill, shares);
+    if (!result.success) {
+        return result;
+    }
+
+    const rowWeights = rows.map(() => shares.map(() => 0));
+    const discountWeights = shares.map(() => 0);
+    bill.items.forEach((item, i) => {
+        const shareQuantities = result.quantities.map(shareQuantities => shareQuantities[i]);
+        const lineDiscounts = divideByWeight(item.discount || 0, shareQuantities);
+        const row = findTaxRow(rows, item);
+        shareQuantities.forEach((quantity, s) => {
+            rowWeights[row][s] += item.price * quantity - lineDiscounts[s];
+            discountWeights[s] += lineDiscounts[s];
+        });
+    });
+
+    return { success: true, rowWeights, discountWeights, quantities: result.quantities };
+};
+
+/**
+ * Split a bill into payable shares.
+ *
+ * @param {Document} bill - Bill to split; not yet paid
+ * @param {Object} split - { method: 'equal' | 'items' | 'amounts', count?, shares? }
+ *        equal: count people; items: shares [{ label, items: [{ index, quantity }] }] with index into bill.items;
+ *        amounts: shares [{ label, amount }] adding up to the bill's amount due
+ * @returns {Object} { success: true, splits } or { success: false, message }
+ *
+ * @example
+ * buildBillSplits(bill, { method: 'equal', count: 3 });
+ * // => { success: true, splits: [{ label: 'Share 1', subtotal, discount, cgst, sgst, tax, total, redeemedAmount, amountDue, hsnSummary }, ...] }
+ */
+const buildBillSplits = (bill, split = {}) => {
+    if (!SPLIT_METHODS.includes(split.method)) {
+        return { success: false, message: `Split method must be one of: ${SPLIT_METHODS.join(', ')}` };
+    }
+
+    const rows = getTaxRows(bill);
+    const weights = getSplitWeights(bill, rows, split);
+    if (!weights.success) {
+        return weights;
+    }
+
+    const shareCount = weights.discountWeights.length;
+    const shareRows = Array.from({ length: shareCount }, () => []);
+    rows.forEach((row, r) => {
+        const taxableValues = divideByWeight(row.taxableValue, weights.rowWeights[r]);
+        const cgsts = divideByWeight(row.cgst, weights.rowWeights[r]);
+        const sgsts = divideByWeight(row.sgst, weights.rowWeights[r]);
+        for (let s = 0; s < shareCount; s++) {
+            if (taxableValues[s] === 0 && cgsts[s] === 0 && sgsts[s] === 0) continue;
+            shareRows[s].push({
+                hsnCode: row.hsnCode,
+                gstRate: row.gstRate,
+                taxableValue: taxableValues[s],
+                cgstRate: row.cgstRate,
+                cgst: cgsts[s],
+                sgstRate: row.sgstRate,
+                sgst: sgsts[s],
+                totalTax: roundCurrency(cgsts[s] + sgsts[s])
+            });
+        }
+    });
+
+    const discounts = divideByWeight(bill.discount || 0, weights.discountWeights);
+    const splits = shareRows.map((taxRows, s) => {
+        const taxableValue = sumAmounts(taxRows.map(row => row.taxableValue));
+        const cgst = sumAmounts(taxRows.map(row => row.cgst));
+        const sgst = sumAmounts(taxRows.map(row => row.sgst));
+        const tax = roundCurrency(cgst + sgst);
+        return {
+            label: getShareLabel(split.shares?.[s]?.label, s),
+            items: weights.quantities
+                ? weights.quantities[s]
+                    .map((quantity, i) => ({ index: i, name: bill.items[i].name, variant: bill.items[i].variant || '', quantity, price: bill.items[i].price }))
+                    .filter(item => item.quantity > 0)
+                : [],
+            subtotal: roundCurrency(taxableValue + discounts[s]),
+            discount: discounts[s],
+            cgst,
+            sgst,
+            tax,
+            total: roundCurrency(taxableValue + tax),
+            // Old bills have no HSN/SAC summary to print
+            hsnSummary: bill.hsnSummary && bill.hsnSummary.length > 0 ? taxRows : []
+        };
+    });
+
+    // Points paid towards the bill are shared out like the rest of it
+    const redeemedAmount = bill.loyalty ? bill.loyalty.redeemedAmount : 0;
+    const redeemedAmounts = divideByWeight(redeemedAmount, weights.amounts || splits.map(share => share.total));
+    splits.forEach((share, s) => {
+        share.redeemedAmount = redeemedAmounts[s];
+        share.amountDue = roundCurrency(share.total - share.redeemedAmount);
+
+        // Custom amounts are paid exactly as asked; rounding a paisa off is taken up in the taxable value
+        if (weights.amounts && share.amountDue !== weights.amounts[s]) {
+            const difference = roundCurrency(weights.amounts[s] - share.amountDue);
+            share.subtotal = roundCurrency(share.subtotal + difference);
+            share.total = roundCurrency(share.total + difference);
+            share.amountDue = weights.amounts[s];
+            if (share.hsnSummary.length > 0) {
+                share.hsnSummary[0].taxableValue = roundCurrency(share.hsnSummary[0].taxableValue + difference);
+            }
+        }
+    });
+
+    return { success: true, splits };
+};
+
+module.exports = {
+    SPLIT_METHODS,
+    MAX_SPLIT_SHARES,
+    buildBillSplits
+};
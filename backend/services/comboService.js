@@ -0,0 +1,175 @@
+/**
+ * Combo Service - Checks combo definitions and splits ordered combos into their component lines.
+ * A combo is a menu item with comboSlots. When ordered, each slot becomes an ordinary order line for
+ * the chosen item, so the kitchen, stock, GST and item analytics treat components like any other item.
+ * The combo price is shared between the components in proportion to their menu prices.
+ */
+
+const mongoose = require('mongoose');
+const MenuItem = require('../models/menuModel');
+const { roundCurrency } = require('./gstService');
+const { hasVariants } = require('./variantService');
+
+/**
+ * Whether a menu item is a combo.
+ * @param {Object} menuItem
+ * @returns {boolean}
+ */
+const isCombo = (menuItem) => Array.isArray(menuItem.comboSlots) && menuItem.comboSlots.length > 0;
+
+/**
+ * Whether a menu item can fill a combo slot.
+ * Combos cannot be put inside other combos, and items sold in variants cannot be combo components.
+ * @param {Object} slot - Combo slot
+ * @param {Object} menuItem - Candidate menu item
+ * @returns {boolean}
+ */
+const isSlotOption = (slot, menuItem) => {
+    if (isCombo(menuItem) || hasVariants(menuItem)) return false;
+    return slot.menuItems.some(menuItemId => String(menuItemId._id || menuItemId) === String(menuItem._id))
+        || (Boolean(slot.category) && slot.category === menuItem.category);
+};
+
+/**
+ * Menu items that can fill a slot right now.
+ * @param {Object} slot - Combo slot
+ * @param {Array} menuItems - Candidate menu items
+ * @returns {Array} Available menu items that fit the slot
+ */
+const getSlotOptions = (slot, menuItems) => {
+    return menuItems.filter(menuItem => menuItem.availability && isSlotOption(slot, menuItem));
+};
+
+/**
+ * Check and normalise combo slots sent by the admin panel.
+ * @param {Array} comboSlots - [{ name, menuItems, category }]
+ * @returns {Promise<Object>} { success: true, comboSlots } or { success: false, message }
+ */
+const validateComboSlots = async (comboSlots) => {
+    if (comboSlots === undefined || comboSlots === null) {
+        return { success: true, comboSlots: [] };
+    }
+    if (!Array.isArray(comboSlots)) {
+        return { success: false, message: 'Combo slots must be a list' };
+    }
+
+    const menuItemIds = comboSlots.flatMap(slot => (Array.isArray(slot?.menuItems) ? slot.menuItems : []));
+    if (menuItemIds.some(id => !mongoose.isValidObjectId(id))) {
+        return { success: false, message: 'Every combo option must be a menu item' };
+    }
+
+    const menuItems = await MenuItem.find({ _id: { $in: menuItemIds } }).select('productName comboSlots variants');
+    const menuItemsById = new Map(menuItems.map(menuItem => [String(menuItem._id), menuItem]));
+
+    const normalized = [];
+    for (const slot of comboSlots) {
+        const name = String(slot?.name || '').trim();
+        if (!name) {
+            return { success: false, message: 'Every combo slot needs a name' };
+        }
+
+        const slotItemIds = [...new Set((slot.menuItems || []).map(String))];
+        const category = slot.category || '';
+        if (slotItemIds.length === 0 && !category) {
+            return { success: false, message: `Choose the items or category for "${name}"` };
+        }
+
+        for (const menuItemId of slotItemIds) {
+            const menuItem = menuItemsById.get(menuItemId);
+            if (!menuItem) {
+                return { success: false, message: `An option for "${name}" is no longer on the menu` };
+            }
+            if (isCombo(menuItem)) {
+                return { success: false, message: `${menuItem.productName} is a combo and cannot be part of another combo` };
+            }
+            if (hasVariants(menuItem)) {
+                return { success: false, message: `${menuItem.productName} is sold in variants and cannot be part of a combo` };
+            }
+        }
+
+        normalized.push({ ...(slot._id ? { _id: slot._id } : {}), name, menuItems: slotItemIds, category });
+    }
+
+    return { success: true, comboSlots: normalized };
+};
+
+/**
+ * Split an amount in proportion to weights, rounded to paise.
+ * The last share takes the rounding difference so the shares add up exactly.
+ * @param {number} amount
+ * @param {number[]} weights
+ * @returns {number[]}
+ */
+const allocateByWeight = (amount, weights) => {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    let remaining = roundCurrency(amount);
+
+    return weights.map((weight, index) => {
+        if (index === weights.length - 1) return remaining;
+        const share = totalWeight > 0
+            ? roundCurrency(amount * weight / totalWeight)
+            : roundCurrency(amount / weights.length);
+        remaining = roundCurrency(remaining - share);
+        return share;
+    });
+};
+
+/**
+ * Work out which item fills each slot of an ordered combo.
+ * Slots with a single fixed item are filled automatically when the cart does not say.
+ *
+ * @param {Object} combo - Combo menu item
+ * @param {Array} selections - Cart line comboSelections: [{ slotId, menuItemId }]
+ * @param {Map} menuItemsById - Menu items referenced by the order, by ID
+ * @returns {Object} { success: true, components: [{ slot, menuItem }] } or { success: false, reason }
+ */
+const resolveComboComponents = (combo, selections, menuItemsById) => {
+    const selectedBySlot = new Map((Array.isArray(selections) ? selections : [])
+        .map(selection => [String(selection?.slotId), String(selection?.menuItemId)]));
+
+    const components = [];
+    for (const slot of combo.comboSlots) {
+        const isFixed = slot.menuItems.length === 1 && !slot.category;
+        const menuItemId = selectedBySlot.get(String(slot._id)) || (isFixed ? String(slot.menuItems[0]) : null);
+        if (!menuItemId) {
+            return { success: false, reason: `Choose an item for "${slot.name}"` };
+        }
+
+        const menuItem = menuItemsById.get(menuItemId);
+        if (!menuItem || !isSlotOption(slot, menuItem)) {
+            return { success: false, reason: `That choice is not part of "${slot.name}"` };
+        }
+        if (!menuItem.availability) {
+            return { success: false, reason: `${menuItem.productName} is currently unavailable` };
+        }
+        components.push({ slot, menuItem });
+    }
+
+    return { success: true, components };
+};
+
+/**
+ * IDs of the items that can end up in ordered combos: those chosen in the cart and those listed in combo slots.
+ * @param {Array} items - Cart lines
+ * @param {Array} menuItems - Menu items the cart lines refer to
+ * @returns {string[]}
+ */
+const getComboComponentIds = (items, menuItems) => {
+    const selectedIds = items
+        .flatMap(item => (Array.isArray(item.comboSelections) ? item.comboSelections : []))
+        .map(selection => String(selection?.menuItemId));
+    const slotItemIds = menuItems
+        .filter(isCombo)
+        .flatMap(combo => combo.comboSlots.flatMap(slot => slot.menuItems.map(String)));
+
+    return [...new Set([...selectedIds, ...slotItemIds])].filter(menuItemId => mongoose.isValidObjectId(menuItemId));
+};
+
+module.exports = {
+    isCombo,
+    getSlotOptions,
+    validateComboSlots,
+    allocateByWeight,
+    resolveComboComponents,
+    getComboComponentIds
+};
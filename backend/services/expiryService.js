@@ -0,0 +1,83 @@
+/**
+ * Expiry Service - Finds perishable stock batches nearing their expiry date and alerts the
+ * admin dashboard about them once a day.
+ */
+
+const Inventory = require('../models/inventoryModel');
+const { EXPIRY_ALERT_DAYS, EXPIRY_ALERT_HOUR } = require('../config/expiryConfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Batches with stock left that expire within the given number of days, soonest first.
+ * Batches already past their expiry date are included so they can be written off.
+ * @param {number} days - Days ahead to look (default EXPIRY_ALERT_DAYS)
+ * @returns {Promise<Array>} [{ inventoryItem, name, category, unitOfMeasure, batchId, batchNumber, quantity, expiryDate, isExpired }]
+ */
+const getExpiringBatches = async (days = EXPIRY_ALERT_DAYS) => {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() + days * DAY_MS);
+
+    const inventoryItems = await Inventory.find({
+        batches: { $elemMatch: { quantity: { $gt: 0 }, expiryDate: { $lte: cutoff } } }
+    }).select('name category unitOfMeasure batches');
+
+    const expiring = inventoryItems.flatMap((inventoryItem) => inventoryItem.batches
+        .filter(batch => batch.quantity > 0 && batch.expiryDate <= cutoff)
+        .map(batch => ({
+            inventoryItem: inventoryItem._id,
+            name: inventoryItem.name,
+            category: inventoryItem.category,
+            unitOfMeasure: inventoryItem.unitOfMeasure,
+            batchId: batch._id,
+            batchNumber: batch.batchNumber,
+            quantity: batch.quantity,
+            expiryDate: batch.expiryDate,
+            isExpired: batch.expiryDate <= now
+        })));
+
+    return expiring.sort((a, b) => a.expiryDate - b.expiryDate);
+};
+
+/**
+ * Emit 'inventory:expiryAlert' to the admin room if any batches are expiring soon.
+ * Failures are logged so a bad run never stops the next day's alert.
+ * @param {Server} socketServer - Socket.IO server
+ */
+const sendExpiryAlert = async (socketServer) => {
+    try {
+        const batches = await getExpiringBatches();
+        if (batches.length === 0) return;
+
+        socketServer.to('admin_room').emit('inventory:expiryAlert', {
+            days: EXPIRY_ALERT_DAYS,
+            batches
+        });
+        console.log(`Expiry alert sent for ${batches.length} batch(es)`);
+    } catch (error) {
+        console.error('Error sending expiry alert:', error);
+    }
+};
+
+/**
+ * Send the expiry alert every day at EXPIRY_ALERT_HOUR (server time).
+ * @param {Server} socketServer - Socket.IO server
+ */
+const scheduleDailyExpiryAlert = (socketServer) => {
+    const nextAlert = new Date();
+    nextAlert.setHours(EXPIRY_ALERT_HOUR, 0, 0, 0);
+    if (nextAlert <= new Date()) {
+        nextAlert.setDate(nextAlert.getDate() + 1);
+    }
+
+    setTimeout(() => {
+        sendExpiryAlert(socketServer);
+        setInterval(() => sendExpiryAlert(socketServer), DAY_MS);
+    }, nextAlert.getTime() - Date.now());
+};
+
+module.exports = {
+    getExpiringBatches,
+    sendExpiryAlert,
+    scheduleDailyExpiryAlert
+};
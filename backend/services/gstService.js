@@ -0,0 +1,99 @@
+/**
+ * GST Service - Computes CGST/SGST and the HSN/SAC summary for a set of line items.
+ * Tax is calculated per HSN/SAC code and rate, the way it is printed on the bill,
+ * so the summary rows always add up to the totals. Promo discounts on a line reduce its
+ * taxable value.
+ */
+
+const { GSTIN, getGstForCategory } = require('../config/taxConfig');
+
+/**
+ * Round a currency amount to 2 decimal places.
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundCurrency = (amount) => {
+    return Math.round(amount * 100) / 100;
+};
+
+/**
+ * GST rate and HSN/SAC code for a line item.
+ * Uses the values stored on the item when it was ordered, so later config changes
+ * do not alter old orders; items from before GST fall back to their category.
+ * @param {Object} item - Order/bill item with price, quantity and optional category, gstRate, hsnCode
+ * @returns {{ gstRate: number, hsnCode: string }}
+ */
+const getItemGst = (item) => {
+    const categoryGst = getGstForCategory(item.category);
+    return {
+        gstRate: typeof item.gstRate === 'number' ? item.gstRate : categoryGst.gstRate,
+        hsnCode: item.hsnCode || categoryGst.hsnCode
+    };
+};
+
+/**
+ * Calculate the GST breakup for line items.
+ * CGST and SGST are each half of the GST rate (intra-state supply).
+ *
+ * @param {Array} items - Line items: { price, quantity, discount?, category?, gstRate?, hsnCode? }
+ * @returns {Object} { subtotal, discount, cgst, sgst, tax, total, gstin, hsnSummary } -
+ *          subtotal is before discount; total = subtotal - discount + tax
+ *
+ * @example
+ * calculateGst([{ price: 100, quantity: 2, discount: 20, category: 'Momos' }]);
+ * // => { subtotal: 200, discount: 20, cgst: 4.5, sgst: 4.5, tax: 9, total: 189, hsnSummary: [{ hsnCode: '996331', taxableValue: 180, ... }] }
+ */
+const calculateGst = (items) => {
+    const groups = new Map();
+    let grossValue = 0;
+
+    items.forEach((item) => {
+        const { gstRate, hsnCode } = getItemGst(item);
+        const key = `${hsnCode}|${gstRate}`;
+        const group = groups.get(key) || { hsnCode, gstRate, taxableValue: 0 };
+        group.taxableValue += item.price * item.quantity - (item.discount || 0);
+        groups.set(key, group);
+        grossValue += item.price * item.quantity;
+    });
+
+    const hsnSummary = [...groups.values()].map((group) => {
+        const taxableValue = roundCurrency(group.taxableValue);
+        const halfRate = group.gstRate / 2;
+        const cgst = roundCurrency(taxableValue * halfRate);
+        const sgst = roundCurrency(taxableValue * halfRate);
+
+        return {
+            hsnCode: group.hsnCode,
+            gstRate: group.gstRate,
+            taxableValue,
+            cgstRate: halfRate,
+            cgst,
+            sgstRate: halfRate,
+            sgst,
+            totalTax: roundCurrency(cgst + sgst)
+        };
+    });
+
+    const taxableValue = roundCurrency(hsnSummary.reduce((sum, row) => sum + row.taxableValue, 0));
+    const subtotal = roundCurrency(grossValue);
+    const cgst = roundCurrency(hsnSummary.reduce((sum, row) => sum + row.cgst, 0));
+    const sgst = roundCurrency(hsnSummary.reduce((sum, row) => sum + row.sgst, 0));
+    const tax = roundCurrency(cgst + sgst);
+
+    return {
+        subtotal,
+        discount: roundCurrency(subtotal - taxableValue),
+        cgst,
+        sgst,
+        tax,
+        total: roundCurrency(taxableValue + tax),
+        gstin: GSTIN,
+        hsnSummary
+    };
+};
+
+module.exports = {
+    roundCurrency,
+    getItemGst,
+    calculateGst
+};
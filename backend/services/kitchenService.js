@@ -0,0 +1,125 @@
+/**
+ * Kitchen Service - Splits orders into per-station Kitchen Display System tickets.
+ * Station routing comes from config/kitchenStations.js, based on each item's menu category.
+ */
+
+const { KITCHEN_STATIONS, getStationForCategory } = require('../config/kitchenStations');
+const { getItemStatus } = require('./orderStatusService');
+
+/**
+ * Station tickets for a new order, one per station that has items, in station order.
+ * @param {Array} items - Order items with category
+ * @returns {Array} [{ station, status: 'pending' }]
+ */
+const buildStationTickets = (items) => {
+    const stationsWithItems = new Set(items.map(item => getStationForCategory(item.category)));
+
+    return KITCHEN_STATIONS
+        .filter(station => stationsWithItems.has(station.key))
+        .map(station => ({ station: station.key, status: 'pending' }));
+};
+
+/**
+ * Add tickets to orders placed before the KDS existed.
+ * Served orders get already-bumped tickets so they do not reappear on the kitchen screen.
+ * @param {Document} order - Order document (modified in place, not saved)
+ * @returns {boolean} True if tickets were added
+ */
+const ensureStationTickets = (order) => {
+    if (order.stationTickets && order.stationTickets.length > 0) {
+        return false;
+    }
+
+    const isServed = order.status === 'served';
+    order.stationTickets = buildStationTickets(order.items).map(ticket => ({
+        ...ticket,
+        status: isServed ? 'bumped' : 'pending',
+        bumpedAt: isServed ? order.updatedAt : null
+    }));
+    return true;
+};
+
+/**
+ * Items of an order that a station prepares, excluding cancelled lines.
+ * @param {Object} order - Order document or plain object
+ * @param {string} station - Station key
+ * @returns {Array} Order items
+ */
+const getStationItems = (order, station) => {
+    return order.items.filter(item =>
+        getStationForCategory(item.category) === station &&
+        getItemStatus(item, order.status) !== 'cancelled'
+    );
+};
+
+/**
+ * Bring ticket statuses in line with the item statuses.
+ * A ticket is bumped once all of its remaining items are served, and goes back to
+ * pending when one of them is un-served. Tickets whose items were all cancelled count as bumped.
+ * @param {Document} order - Order document with item statuses (modified in place, not saved)
+ */
+const syncStationTickets = (order) => {
+    ensureStationTickets(order);
+
+    order.stationTickets.forEach((ticket) => {
+        const stationItems = getStationItems(order, ticket.station);
+        const isDone = stationItems.every(item => getItemStatus(item, order.status) === 'served');
+
+        if (isDone && ticket.status === 'pending') {
+            ticket.status = 'bumped';
+            ticket.bumpedAt = stationItems.length > 0 ? new Date() : null;
+        } else if (!isDone && ticket.status === 'bumped') {
+            ticket.status = 'pending';
+            ticket.bumpedAt = null;
+        }
+    });
+};
+
+/**
+ * Flatten an order into the tickets shown on the KDS screen.
+ * @param {Object} order - Order document or plain object
+ * @returns {Array} Tickets with the order details and only this station's items
+ */
+const toKitchenTickets = (order) => {
+    const tickets = order.stationTickets && order.stationTickets.length > 0
+        ? order.stationTickets
+        : buildStationTickets(order.items);
+
+    return tickets.flatMap((ticket) => {
+        const station = KITCHEN_STATIONS.find(s => s.key === ticket.station);
+        const stationItems = getStationItems(order, ticket.station);
+
+        // Nothing left to cook at this station
+        if (stationItems.length === 0) return [];
+
+        return [{
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            tableNumber: order.tableNumber,
+            customerName: order.customerName,
+            orderStatus: order.status,
+            station: ticket.station,
+            stationName: station ? station.name : ticket.station,
+            status: ticket.status,
+            bumpedAt: ticket.bumpedAt || null,
+            recalledAt: ticket.recalledAt || null,
+            // Age timer starts when the order arrived, or again when the ticket was recalled
+            startedAt: ticket.recalledAt || order.createdAt,
+            items: stationItems.map(item => ({
+                name: item.name,
+                quantity: item.quantity,
+                status: getItemStatus(item, order.status),
+                customizations: item.customizations || [],
+                specialInstructions: item.specialInstructions || ''
+            }))
+        }];
+    });
+};
+
+module.exports = {
+    buildStationTickets,
+    ensureStationTickets,
+    getStationItems,
+    syncStationTickets,
+    toKitchenTickets
+};
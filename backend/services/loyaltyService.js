@@ -0,0 +1,414 @@
+/**
+ * Loyalty Service - Keeps customers' loyalty points ledger: points earned on paid bills,
+ * redeemed against a bill when payment is requested, adjusted by hand, and expired once old.
+ * Every change to Customer.loyaltyPoints goes through here with a matching LoyaltyTransaction.
+ */
+
+const Customer = require('../models/customerModel');
+const Bill = require('../models/billModel');
+const LoyaltyTransaction = require('../models/loyaltyTransactionModel');
+const { roundCurrency } = require('./gstService');
+const {
+    LOYALTY_POINTS_PER_RUPEE,
+    LOYALTY_POINT_VALUE,
+    LOYALTY_MIN_REDEEM_POINTS,
+    LOYALTY_MAX_REDEEM_SHARE,
+    LOYALTY_EXPIRY_DAYS,
+    getLoyaltyTier
+} = require('../config/loyaltyConfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ₹ value of a number of points.
+ * @param {number} points
+ * @returns {number}
+ */
+const pointsToRupees = (points) => roundCurrency(points * LOYALTY_POINT_VALUE);
+
+/**
+ * Points earned for an amount paid, at the customer's tier.
+ * @param {number} amountPaid - ₹ paid other than with points
+ * @param {number} lifetimePoints - Customer's lifetime points before this bill
+ * @returns {number} Whole points
+ */
+const calculateEarnedPoints = (amountPaid, lifetimePoints) => {
+    const { multiplier } = getLoyaltyTier(lifetimePoints);
+    return Math.max(0, Math.floor(amountPaid * LOYALTY_POINTS_PER_RUPEE * multiplier));
+};
+
+/**
+ * Most points that can be redeemed against a bill.
+ * @param {number} balance - Customer's points balance
+ * @param {number} billTotal - Bill total (₹)
+ * @returns {number}
+ */
+const getMaxRedeemablePoints = (balance, billTotal) => {
+    return Math.max(0, Math.min(balance, Math.floor(billTotal * LOYALTY_MAX_REDEEM_SHARE / LOYALTY_POINT_VALUE)));
+};
+
+/**
+ * Add points to a customer, as a new entry that expires LOYALTY_EXPIRY_DAYS from now.
+ * @param {string} customerId
+ * @param {number} points - Positive whole number
+ * @param {Object} details - { type: 'earn' | 'adjust', bill?, reason?, performedBy? }
+ * @returns {Promise<Document|null>} The transaction, or null when the customer does not exist
+ */
+const addPoints = async (customerId, points, { type, bill = null, reason = '', performedBy = null }) => {
+    const increment = type === 'earn' ? { loyaltyPoints: points, lifetimePoints: points } : { loyaltyPoints: points };
+    const customer = await Customer.findByIdAndUpdate(customerId, { $inc: increment }, { new: true });
+    if (!customer) {
+        return null;
+    }
+
+    return LoyaltyTransaction.create({
+        customer: customerId,
+        type,
+        points,
+        balanceAfter: customer.loyaltyPoints,
+        remaining: points,
+        expiresAt: new Date(Date.now() + LOYALTY_EXPIRY_DAYS * DAY_MS),
+        bill: bill ? bill._id : null,
+        billNumber: bill ? bill.billNumber : '',
+        reason,
+        performedBy
+    });
+};
+
+/**
+ * Use up a customer's unused points, those expiring soonest first.
+ * @param {string} customerId
+ * @param {number} points
+ * @returns {Promise<Array>} [{ transaction, points }] taken from each earlier entry
+ */
+const useOldestPoints = async (customerId, points) => {
+    const entries = await LoyaltyTransaction.find({ customer: customerId, remaining: { $gt: 0 } })
+        .sort({ expiresAt: 1, createdAt: 1 });
+
+    const usedPoints = [];
+    let left = points;
+    for (const entry of entries) {
+        if (left === 0) break;
+        const taken = Math.min(entry.remaining, left);
+        const result = await LoyaltyTransaction.updateOne(
+            { _id: entry._id, remaining: { $gte: taken } },
+            { $inc: { remaining: -taken } }
+        );
+        if (result.modifiedCount > 0) {
+            usedPoints.push({ transaction: entry._id, points: taken });
+            left -= taken;
+        }
+    }
+    return usedPoints;
+};
+
+/**
+ * Take points from a customer. The balance is checked in the same update,
+ * so two redemptions cannot both spend the same points.
+ * @param {string} customerId
+ * @param {number} points - Positive whole number
+ * @param {Object} details - { type: 'redeem' | 'adjust', bill?, reason?, performedBy? }
+ * @returns {Promise<Document|null>} The transaction, or null when the customer has too few points
+ */
+const takePoints = async (customerId, points, { type, bill = null, reason = '', performedBy = null }) => {
+    const customer = await Customer.findOneAndUpdate(
+        { _id: customerId, loyaltyPoints: { $gte: points } },
+        { $inc: { loyaltyPoints: -points } },
+        { new: true }
+    );
+    if (!customer) {
+        return null;
+    }
+
+    const usedPoints = await useOldestPoints(customerId, points);
+    return LoyaltyTransaction.create({
+        customer: customerId,
+        type,
+        points: -points,
+        balanceAfter: customer.loyaltyPoints,
+        usedPoints,
+        bill: bill ? bill._id : null,
+        billNumber: bill ? bill.billNumber : '',
+        reason,
+        performedBy
+    });
+};
+
+/**
+ * Expire a customer's points that are past their expiry date.
+ * @param {string} customerId
+ * @returns {Promise<number>} Points expired
+ */
+const expireCustomerPoints = async (customerId) => {
+    const dueEntries = await LoyaltyTransaction.find({
+        customer: customerId,
+        remaining: { $gt: 0 },
+        expiresAt: { $lte: new Date() }
+    });
+
+    const usedPoints = [];
+    for (const entry of dueEntries) {
+        // Only expire what is still unused, in case a redemption got there first
+        const result = await LoyaltyTransaction.updateOne(
+            { _id: entry._id, remaining: entry.remaining },
+            { $set: { remaining: 0 } }
+        );
+        if (result.modifiedCount > 0) {
+            usedPoints.push({ transaction: entry._id, points: entry.remaining });
+        }
+    }
+
+    const expired = usedPoints.reduce((sum, used) => sum + used.points, 0);
+    if (expired === 0) {
+        return 0;
+    }
+
+    const customer = await Customer.findByIdAndUpdate(
+        customerId,
+        { $inc: { loyaltyPoints: -expired } },
+        { new: true }
+    );
+    await LoyaltyTransaction.create({
+        customer: customerId,
+        type: 'expire',
+        points: -expired,
+        balanceAfter: customer ? customer.loyaltyPoints : 0,
+        usedPoints,
+        reason: `Points older than ${LOYALTY_EXPIRY_DAYS} days`
+    });
+    return expired;
+};
+
+/**
+ * Expire all customers' points that are past their expiry date.
+ * Failures are logged so a bad run never stops the next day's.
+ */
+const expireDuePoints = async () => {
+    try {
+        const customerIds = await LoyaltyTransaction.distinct('customer', {
+            remaining: { $gt: 0 },
+            expiresAt: { $lte: new Date() }
+        });
+
+        let expired = 0;
+        for (const customerId of customerIds) {
+            expired += await expireCustomerPoints(customerId);
+        }
+        if (expired > 0) {
+            console.log(`Expired ${expired} loyalty point(s) for ${customerIds.length} customer(s)`);
+        }
+    } catch (error) {
+        console.error('Error expiring loyalty points:', error);
+    }
+};
+
+/**
+ * Expire old points now and then once a day. Balances are also brought up to date
+ * whenever a customer views their points or redeems them.
+ */
+const scheduleDailyPointsExpiry = () => {
+    expireDuePoints();
+    setInterval(expireDuePoints, DAY_MS);
+};
+
+/**
+ * Redeem points against a bill that is about to be created.
+ * @param {Document} customer - Verified customer the bill belongs to
+ * @param {Document} bill - Unsaved bill (its _id and billNumber are recorded on the transaction)
+ * @param {number} points - Points the customer asked to redeem
+ * @returns {Promise<Object>} { success: true, transaction, pointsRedeemed, redeemedAmount } or { success: false, message }
+ */
+const redeemPointsForBill = async (customer, bill, points) => {
+    if (!Number.isInteger(points) || points < LOYALTY_MIN_REDEEM_POINTS) {
+        return { success: false, message: `At least ${LOYALTY_MIN_REDEEM_POINTS} points must be redeemed at a time` };
+    }
+
+    await expireCustomerPoints(customer._id);
+    const { loyaltyPoints } = await Customer.findById(customer._id).select('loyaltyPoints');
+    const maxPoints = getMaxRedeemablePoints(loyaltyPoints, bill.total);
+    if (points > maxPoints) {
+        return {
+            success: false,
+            message: maxPoints < LOYALTY_MIN_REDEEM_POINTS
+                ? 'Not enough points to redeem on this bill'
+                : `You can redeem up to ${maxPoints} points on this bill`
+        };
+    }
+
+    const transaction = await takePoints(customer._id, points, { type: 'redeem', bill });
+    if (!transaction) {
+        return { success: false, message: 'Not enough points to redeem on this bill' };
+    }
+    return { success: true, transaction, pointsRedeemed: points, redeemedAmount: pointsToRupees(points) };
+};
+
+/**
+ * Undo a redemption whose bill could not be saved: the points go back to the entries
+ * they came from, keeping their expiry dates, and the transaction is removed.
+ * @param {Document} transaction - From redeemPointsForBill
+ */
+const releaseRedeemedPoints = async (transaction) => {
+    for (const used of transaction.usedPoints) {
+        await LoyaltyTransaction.updateOne({ _id: used.transaction }, { $inc: { remaining: used.points } });
+    }
+    await Customer.updateOne({ _id: transaction.customer }, { $inc: { loyaltyPoints: -transaction.points } });
+    await LoyaltyTransaction.deleteOne({ _id: transaction._id });
+};
+
+/**
+ * Award points for a paid bill, once, to the customer it belongs to, and count its orders
+ * towards the customer's totalOrders. Points are earned on the amount not paid with points.
+ * @param {Document} bill - Bill just marked paid
+ * @returns {Promise<number>} Points earned (0 when none, or already awarded)
+ */
+const awardBillPoints = async (bill) => {
+    if (!bill || !bill.userId || bill.billingStatus !== 'paid') {
+        return 0;
+    }
+
+    const claimedBill = await Bill.findOneAndUpdate(
+        { _id: bill._id, 'loyalty.earnedAt': null },
+        { $set: { 'loyalty.earnedAt': new Date() } },
+        { new: true }
+    );
+    if (!claimedBill) {
+        return 0;
+    }
+
+    const customer = await Customer.findByIdAndUpdate(
+        claimedBill.userId,
+        { $inc: { totalOrders: claimedBill.orderCount } },
+        { new: true }
+    );
+    if (!customer) {
+        return 0;
+    }
+
+    const points = calculateEarnedPoints(claimedBill.amountDue, customer.lifetimePoints);
+    if (points > 0) {
+        await addPoints(customer._id, points, { type: 'earn', bill: claimedBill });
+        await Bill.updateOne({ _id: claimedBill._id }, { $set: { 'loyalty.pointsEarned': points } });
+    }
+    return points;
+};
+
+/**
+ * Take back the points of a bill that was marked paid by mistake and is now unpaid again.
+ * Points the customer has already spent cannot be taken back.
+ * @param {Document} bill - Bill no longer paid
+ * @returns {Promise<number>} Points taken back
+ */
+const reverseBillPoints = async (bill) => {
+    if (!bill || !bill.userId || bill.billingStatus === 'paid' || !bill.loyalty || !bill.loyalty.earnedAt) {
+        return 0;
+    }
+
+    const claimedBill = await Bill.findOneAndUpdate(
+        { _id: bill._id, 'loyalty.earnedAt': { $ne: null } },
+        { $set: { 'loyalty.earnedAt': null, 'loyalty.pointsEarned': 0 } }
+    );
+    if (!claimedBill) {
+        return 0;
+    }
+
+    const customer = await Customer.findByIdAndUpdate(
+        claimedBill.userId,
+        { $inc: { totalOrders: -claimedBill.orderCount, lifetimePoints: -claimedBill.loyalty.pointsEarned } },
+        { new: true }
+    );
+    const points = customer ? Math.min(claimedBill.loyalty.pointsEarned, customer.loyaltyPoints) : 0;
+    if (points > 0) {
+        await takePoints(customer._id, points, {
+            type: 'adjust',
+            bill: claimedBill,
+            reason: `Bill ${claimedBill.billNumber} marked ${bill.billingStatus === 'unpaid' ? 'unpaid' : 'pending payment'}`
+        });
+    }
+    return points;
+};
+
+/**
+ * A customer's points, tier and redemption rules, after expiring any old points.
+ * @param {string} customerId
+ * @returns {Promise<Object|null>} Summary, or null when the customer does not exist
+ */
+const getLoyaltySummary = async (customerId) => {
+    await expireCustomerPoints(customerId);
+    const customer = await Customer.findById(customerId).select('loyaltyPoints lifetimePoints');
+    if (!customer) {
+        return null;
+    }
+
+    // Points that will expire within the next 30 days
+    const soon = new Date(Date.now() + 30 * DAY_MS);
+    const [expiring] = await LoyaltyTransaction.aggregate([
+        { $match: { customer: customer._id, remaining: { $gt: 0 }, expiresAt: { $lte: soon } } },
+        { $group: { _id: null, points: { $sum: '$remaining' }, nextExpiry: { $min: '$expiresAt' } } }
+    ]);
+
+    return {
+        points: customer.loyaltyPoints,
+        value: pointsToRupees(customer.loyaltyPoints),
+        lifetimePoints: customer.lifetimePoints,
+        tier: getLoyaltyTier(customer.lifetimePoints),
+        expiringSoon: expiring ? { points: expiring.points, nextExpiry: expiring.nextExpiry } : { points: 0, nextExpiry: null },
+        rules: {
+            pointsPerRupee: LOYALTY_POINTS_PER_RUPEE,
+            pointValue: LOYALTY_POINT_VALUE,
+            minRedeemPoints: LOYALTY_MIN_REDEEM_POINTS,
+            maxRedeemShare: LOYALTY_MAX_REDEEM_SHARE,
+            expiryDays: LOYALTY_EXPIRY_DAYS
+        }
+    };
+};
+
+/**
+ * Points customers hold (what the restaurant owes them) and how points moved in a period.
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Promise<Object>} { outstandingPoints, liability, customersWithPoints, earned, redeemed, redeemedAmount, expired, adjusted }
+ */
+const getLoyaltyLiability = async (startDate, endDate) => {
+    const [balances] = await Customer.aggregate([
+        { $match: { loyaltyPoints: { $gt: 0 } } },
+        { $group: { _id: null, points: { $sum: '$loyaltyPoints' }, customers: { $sum: 1 } } }
+    ]);
+
+    const movements = await LoyaltyTransaction.aggregate([
+        { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
+        { $group: { _id: '$type', points: { $sum: '$points' } } }
+    ]);
+    const pointsOfType = (type) => {
+        const movement = movements.find(m => m._id === type);
+        return movement ? movement.points : 0;
+    };
+
+    const outstandingPoints = balances ? balances.points : 0;
+    return {
+        outstandingPoints,
+        liability: pointsToRupees(outstandingPoints),
+        customersWithPoints: balances ? balances.customers : 0,
+        earned: pointsOfType('earn'),
+        redeemed: -pointsOfType('redeem'),
+        redeemedAmount: pointsToRupees(-pointsOfType('redeem')),
+        expired: -pointsOfType('expire'),
+        adjusted: pointsOfType('adjust')
+    };
+};
+
+module.exports = {
+    pointsToRupees,
+    calculateEarnedPoints,
+    getMaxRedeemablePoints,
+    addPoints,
+    takePoints,
+    expireCustomerPoints,
+    expireDuePoints,
+    scheduleDailyPointsExpiry,
+    redeemPointsForBill,
+    releaseRedeemedPoints,
+    awardBillPoints,
+    reverseBillPoints,
+    getLoyaltySummary,
+    getLoyaltyLiability
+};
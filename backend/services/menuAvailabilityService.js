@@ -0,0 +1,136 @@
+/**
+ * Menu Availability Service - Turns menu items off when an ingredient in their recipe runs out
+ * and back on once it is restocked.
+ * Only items switched off by this service are switched back on; items hidden by hand stay hidden.
+ */
+
+const MenuItem = require('../models/menuModel');
+const Inventory = require('../models/inventoryModel');
+const { convertQuantity } = require('../config/units');
+const { hasVariants, getVariantRecipe } = require('./variantService');
+
+/**
+ * Ingredients of a recipe that cannot cover one more portion.
+ * Ingredients removed from inventory (or in a unit that no longer converts) are not counted,
+ * matching how stock deduction skips them.
+ * @param {Array} recipe - Menu item recipe
+ * @param {Map} inventoryById - Inventory items by id
+ * @returns {string[]} Names of the short ingredients
+ */
+const getShortIngredients = (recipe, inventoryById) => {
+    return recipe.flatMap((ingredient) => {
+        const inventoryItem = inventoryById.get(ingredient.inventoryItem.toString());
+        if (!inventoryItem) return [];
+
+        const perPortion = convertQuantity(ingredient.quantity, ingredient.unit, inventoryItem.unitOfMeasure);
+        if (perPortion === null) return [];
+
+        const isShort = inventoryItem.currentQuantity <= 0 || inventoryItem.currentQuantity < perPortion;
+        return isShort ? [inventoryItem.name] : [];
+    });
+};
+
+/**
+ * Ingredients that keep a menu item from being made.
+ * An item sold in variants stays on while any variant can still be made.
+ * @param {Document} menuItem - Menu item with recipe and variants
+ * @param {Map} inventoryById - Inventory items by id
+ * @returns {string[]} Names of the short ingredients (empty when it can be made)
+ */
+const getMenuItemShortIngredients = (menuItem, inventoryById) => {
+    if (!hasVariants(menuItem)) {
+        return getShortIngredients(menuItem.recipe, inventoryById);
+    }
+
+    const shortByVariant = menuItem.variants.map(variant =>
+        getShortIngredients(getVariantRecipe(menuItem, variant), inventoryById));
+    return shortByVariant.every(shortIngredients => shortIngredients.length > 0)
+        ? [...new Set(shortByVariant.flat())]
+        : [];
+};
+
+/**
+ * Re-check stock-driven availability for menu items and broadcast what changed.
+ * Pass the inventory items whose stock changed, the menu items whose recipe or override changed,
+ * or nothing to re-check every item with a recipe (e.g. after a CSV import).
+ * Failures are logged and never block the request that changed the stock.
+ *
+ * @param {Server} socketServer - Socket.IO server (optional)
+ * @param {Object} scope - { inventoryIds, menuItemIds }
+ * @returns {Promise<Array>} Changed items [{ _id, productName, availability, stockAutoDisabled, shortIngredients }]
+ *
+ * @example
+ * await syncMenuAvailability(io, { inventoryIds: [chickenFillingId] });
+ * // Chicken Momos is switched off and 'menu:availabilityUpdate' is emitted
+ */
+const syncMenuAvailability = async (socketServer, { inventoryIds, menuItemIds } = {}) => {
+    try {
+        const conditions = [];
+        if (inventoryIds && inventoryIds.length > 0) {
+            conditions.push(
+                { 'recipe.inventoryItem': { $in: inventoryIds } },
+                { 'variants.recipe.inventoryItem': { $in: inventoryIds } }
+            );
+        }
+        if (menuItemIds && menuItemIds.length > 0) {
+            conditions.push({ _id: { $in: menuItemIds } });
+        }
+        if (!inventoryIds && !menuItemIds) {
+            conditions.push({ 'recipe.0': { $exists: true } }, { 'variants.recipe.0': { $exists: true } }, { stockAutoDisabled: true });
+        }
+        if (conditions.length === 0) return [];
+
+        const menuItems = await MenuItem.find({ $or: conditions })
+            .select('productName recipe variants availability stockAutoDisabled ignoreStockLevels');
+
+        const recipeInventoryIds = menuItems.flatMap(item => [item.recipe, ...item.variants.map(variant => variant.recipe)]
+            .flatMap(recipe => recipe.map(ingredient => ingredient.inventoryItem)));
+        const inventoryItems = await Inventory.find({ _id: { $in: recipeInventoryIds } })
+            .select('name currentQuantity unitOfMeasure');
+        const inventoryById = new Map(inventoryItems.map(item => [item._id.toString(), item]));
+
+        const changes = [];
+        menuItems.forEach((menuItem) => {
+            const shortIngredients = menuItem.ignoreStockLevels
+                ? []
+                : getMenuItemShortIngredients(menuItem, inventoryById);
+
+            if (shortIngredients.length > 0 && menuItem.availability) {
+                changes.push({ menuItem, availability: false, stockAutoDisabled: true, shortIngredients });
+            } else if (shortIngredients.length === 0 && menuItem.stockAutoDisabled) {
+                changes.push({ menuItem, availability: true, stockAutoDisabled: false, shortIngredients });
+            }
+        });
+
+        if (changes.length === 0) return [];
+
+        await MenuItem.bulkWrite(changes.map(change => ({
+            updateOne: {
+                filter: { _id: change.menuItem._id },
+                update: { $set: { availability: change.availability, stockAutoDisabled: change.stockAutoDisabled } }
+            }
+        })));
+
+        const updates = changes.map(change => ({
+            _id: change.menuItem._id,
+            productName: change.menuItem.productName,
+            availability: change.availability,
+            stockAutoDisabled: change.stockAutoDisabled,
+            shortIngredients: change.shortIngredients
+        }));
+
+        // Admin menu screens and customer menus both listen for this
+        if (socketServer) {
+            socketServer.emit('menu:availabilityUpdate', updates);
+        }
+
+        return updates;
+    } catch (error) {
+        console.error('Error syncing menu availability:', error);
+        return [];
+    }
+};
+
+module.exports = {
+    syncMenuAvailability
+};
@@ -0,0 +1,125 @@
+/**
+ * Menu Schedule Service - Works out whether menu items are being served at a moment.
+ * An item can have its own serving windows and season (availabilityWindows, availableFrom/availableUntil),
+ * and its category can be limited to dayparts (Maggi at breakfast, Sizzlers after 6 pm).
+ * The availability flag (manual and stock switching) is checked separately.
+ */
+
+const Daypart = require('../models/daypartModel');
+const {
+    TIME_PATTERN, END_TIME_PATTERN, DATE_PATTERN, isWithinWindow, isWithinDateRange
+} = require('../config/timeWindows');
+
+// More windows than this is better expressed as a daypart
+const MAX_AVAILABILITY_WINDOWS = 7;
+
+/**
+ * Check and normalise an item's serving windows and season sent by the admin panel.
+ * @param {Object} schedule - { availabilityWindows, availableFrom, availableUntil }
+ * @returns {Object} { success: true, availabilityWindows, availableFrom, availableUntil } or { success: false, message }
+ */
+const validateSchedule = ({ availabilityWindows, availableFrom, availableUntil }) => {
+    const windowList = Array.isArray(availabilityWindows) ? availabilityWindows : [];
+    if (windowList.length > MAX_AVAILABILITY_WINDOWS) {
+        return { success: false, message: `An item can have at most ${MAX_AVAILABILITY_WINDOWS} serving windows` };
+    }
+
+    const windows = [];
+    for (const window of windowList) {
+        const startTime = String(window?.startTime || '');
+        const endTime = String(window?.endTime || '');
+        if (!TIME_PATTERN.test(startTime) || !END_TIME_PATTERN.test(endTime)) {
+            return { success: false, message: 'Serving window times must be HH:MM' };
+        }
+        if (startTime === endTime) {
+            return { success: false, message: 'A serving window must end at a different time than it starts' };
+        }
+
+        const daysOfWeek = [...new Set((Array.isArray(window.daysOfWeek) ? window.daysOfWeek : []).map(Number))];
+        if (daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            return { success: false, message: 'Day of week must be 0 (Sunday) to 6 (Saturday)' };
+        }
+        windows.push({ daysOfWeek: daysOfWeek.sort((a, b) => a - b), startTime, endTime });
+    }
+
+    const fromDate = String(availableFrom || '');
+    const untilDate = String(availableUntil || '');
+    if ((fromDate && !DATE_PATTERN.test(fromDate)) || (untilDate && !DATE_PATTERN.test(untilDate))) {
+        return { success: false, message: 'Season dates must be YYYY-MM-DD' };
+    }
+    if (fromDate && untilDate && untilDate < fromDate) {
+        return { success: false, message: 'The season must end on or after the day it starts' };
+    }
+
+    return { success: true, availabilityWindows: windows, availableFrom: fromDate, availableUntil: untilDate };
+};
+
+/**
+ * What is on the menu at a moment: the categories that are outside all of their dayparts.
+ * Load it once per request and pass it to getScheduleConflict for each item.
+ *
+ * @param {Date} at - Defaults to now
+ * @returns {Promise<Object>} { at, closedCategories: Map of category -> names of its dayparts }
+ */
+const getMenuSchedule = async (at = new Date()) => {
+    const dayparts = await Daypart.find({ isActive: true });
+
+    const daypartsByCategory = new Map();
+    dayparts.forEach(daypart => {
+        daypart.categories.forEach(category => {
+            daypartsByCategory.set(category, [...(daypartsByCategory.get(category) || []), daypart]);
+        });
+    });
+
+    const closedCategories = new Map();
+    daypartsByCategory.forEach((categoryDayparts, category) => {
+        if (!categoryDayparts.some(daypart => isWithinWindow(daypart, at))) {
+            closedCategories.set(category, categoryDayparts.map(daypart => daypart.name));
+        }
+    });
+
+    return { at, closedCategories };
+};
+
+/**
+ * Why a menu item is not being served, if it is not.
+ * @param {Object} menuItem - Menu item
+ * @param {Object} menuSchedule - From getMenuSchedule
+ * @returns {string|null} Reason shown to the customer, or null when the item is being served
+ *
+ * @example
+ * const menuSchedule = await getMenuSchedule();
+ * getScheduleConflict(sizzler, menuSchedule);
+ * // => 'Served at Dinner only' at noon, null at 8 pm
+ */
+const getScheduleConflict = (menuItem, { at, closedCategories }) => {
+    if (!isWithinDateRange(menuItem.availableFrom, menuItem.availableUntil, at)) {
+        return 'Not on the menu this season';
+    }
+
+    const windows = menuItem.availabilityWindows || [];
+    if (windows.length > 0 && !windows.some(window => isWithinWindow(window, at))) {
+        return 'Not served at this time';
+    }
+
+    if (closedCategories.has(menuItem.category)) {
+        return `Served at ${closedCategories.get(menuItem.category).join(' or ')} only`;
+    }
+
+    return null;
+};
+
+/**
+ * Whether a menu item is being served.
+ * @param {Object} menuItem - Menu item
+ * @param {Object} menuSchedule - From getMenuSchedule
+ * @returns {boolean}
+ */
+const isOnSchedule = (menuItem, menuSchedule) => getScheduleConflict(menuItem, menuSchedule) === null;
+
+module.exports = {
+    validateSchedule,
+    getMenuSchedule,
+    getScheduleConflict,
+    isOnSchedule
+};
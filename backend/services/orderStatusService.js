@@ -0,0 +1,109 @@
+/**
+ * Order Status Service - Per-item preparation status and the order status derived from it.
+ * Each line item moves through pending → preparing → served (or is cancelled) on its own,
+ * so drinks can be served while the sizzlers are still cooking.
+ */
+
+const { calculateGst } = require('./gstService');
+
+// Valid statuses for both line items and orders
+const ORDER_STATUSES = ['pending', 'preparing', 'served', 'cancelled'];
+
+// Allowed status changes for orders and their items.
+// Served and cancelled are final; anything outside this map needs a manager override.
+const STATUS_TRANSITIONS = {
+    pending: ['preparing', 'cancelled'],
+    preparing: ['served', 'cancelled'],
+    served: [],
+    cancelled: []
+};
+
+/**
+ * Check a status change against STATUS_TRANSITIONS.
+ * Keeping the same status is always allowed (it is a no-op).
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const isAllowedTransition = (from, to) => {
+    return from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Status of a line item.
+ * Items from orders placed before per-item status inherit the order's status.
+ * @param {Object} item - Order item
+ * @param {string} orderStatus - Status of the order the item belongs to
+ * @returns {string} One of ORDER_STATUSES
+ */
+const getItemStatus = (item, orderStatus) => {
+    return item.status || orderStatus;
+};
+
+/**
+ * Give legacy items an explicit status before they are changed individually.
+ * @param {Document} order - Order document (modified in place, not saved)
+ */
+const normalizeItemStatuses = (order) => {
+    order.items.forEach((item) => {
+        if (!item.status) {
+            item.status = order.status;
+        }
+    });
+};
+
+/**
+ * Derive the order status from its items.
+ * - every item cancelled → cancelled
+ * - every remaining item served → served
+ * - any remaining item preparing or served → preparing
+ * - otherwise → pending
+ * @param {Array} items - Order items with status
+ * @returns {string} One of ORDER_STATUSES
+ */
+const deriveOrderStatus = (items) => {
+    const activeItems = items.filter(item => item.status !== 'cancelled');
+
+    if (activeItems.length === 0) return 'cancelled';
+    if (activeItems.every(item => item.status === 'served')) return 'served';
+    if (activeItems.some(item => item.status === 'preparing' || item.status === 'served')) return 'preparing';
+    return 'pending';
+};
+
+/**
+ * Items the customer pays for (everything except cancelled lines).
+ * @param {Array} items - Order or bill items
+ * @returns {Array}
+ */
+const getBillableItems = (items) => {
+    return items.filter(item => item.status !== 'cancelled');
+};
+
+/**
+ * Recompute an order's totals from its billable items after lines are cancelled or restored.
+ * A fully cancelled order keeps its last totals for reference; it is never billed.
+ * @param {Document} order - Order document (modified in place, not saved)
+ */
+const applyBillableTotals = (order) => {
+    const billableItems = getBillableItems(order.items);
+    if (billableItems.length === 0) return;
+
+    const gst = calculateGst(billableItems);
+    order.subtotal = gst.subtotal;
+    order.discount = gst.discount;
+    order.cgst = gst.cgst;
+    order.sgst = gst.sgst;
+    order.tax = gst.tax;
+    order.total = gst.total;
+};
+
+module.exports = {
+    ORDER_STATUSES,
+    STATUS_TRANSITIONS,
+    isAllowedTransition,
+    getItemStatus,
+    normalizeItemStatuses,
+    deriveOrderStatus,
+    getBillableItems,
+    applyBillableTotals
+};
@@ -0,0 +1,183 @@
+/**
+ * Payment Service - Payments collected against bills: cash, card, UPI or other, in any mix.
+ * A bill, or a share of a split bill, is paid once its payments cover what is due.
+ * Cash can be more than what is left to pay; the difference is recorded as change given.
+ */
+
+const { roundCurrency } = require('./gstService');
+const { isValidUtr } = require('./upiService');
+
+const PAYMENT_METHODS = ['cash', 'card', 'upi', 'other'];
+
+// Reference or UTR number of a card or UPI payment
+const MAX_REFERENCE_LENGTH = 50;
+
+// Largest amount taken in one payment, to catch typos
+const MAX_PAYMENT_AMOUNT = 1000000;
+
+const sumPayments = (payments) => roundCurrency(payments.reduce((sum, payment) => sum + payment.amount, 0));
+
+/**
+ * Payments made towards a bill, or towards one share of it.
+ * @param {Document} bill
+ * @param {string|null} splitId - Share, or null for the whole bill
+ * @returns {Array}
+ */
+const getPaymentsFor = (bill, splitId = null) => {
+    const payments = bill.payments || [];
+    return splitId
+        ? payments.filter(payment => payment.split && String(payment.split) === String(splitId))
+        : payments;
+};
+
+/**
+ * Amount paid towards a bill, or one share of it.
+ * @param {Document} bill
+ * @param {string|null} splitId
+ * @returns {number}
+ */
+const getAmountPaid = (bill, splitId = null) => sumPayments(getPaymentsFor(bill, splitId));
+
+/**
+ * UTRs of the UPI payments among a set of payments.
+ * @param {Array} payments
+ * @returns {string[]}
+ */
+const getUpiReferences = (payments) => payments
+    .filter(payment => payment.method === 'upi' && payment.reference)
+    .map(payment => payment.reference);
+
+/**
+ * Payment method to show for a set of payments.
+ * @param {Array} payments
+ * @returns {string|null} The method they were all paid with, 'mixed' when they differ
+ */
+const getPaymentMethod = (payments) => {
+    const methods = [...new Set(payments.map(payment => payment.method))];
+    if (methods.length === 0) return null;
+    return methods.length === 1 ? methods[0] : 'mixed';
+};
+
+/**
+ * Check payments being collected and work out how much of each counts towards the bill.
+ * Card, UPI and other payments cannot be more than what is left to pay; cash is applied last,
+ * and any cash over what is left is given back as change.
+ *
+ * @param {Array} entries - [{ method, amount, reference }]; for cash, amount is what the customer handed over
+ * @param {number} balance - Left to pay (₹)
+ * @param {Object} details - { split, collectedBy } stored on each payment
+ * @returns {Object} { success: true, payments, change } or { success: false, message }
+ *
+ * @example
+ * preparePayments([{ method: 'upi', amount: 300, reference: '4123...' }, { method: 'cash', amount: 500 }], 650, details);
+ * // => { success: true, change: 150, payments: [{ method: 'upi', amount: 300, ... }, { method: 'cash', amount: 350, tendered: 500, changeGiven: 150, ... }] }
+ */
+const preparePayments = (entries, balance, { split = null, collectedBy = null } = {}) => {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return { success: false, message: 'Add at least one payment' };
+    }
+    if (balance <= 0) {
+        return { success: false, message: 'Nothing is left to pay' };
+    }
+
+    const payments = [];
+    for (const entry of entries) {
+        const method = entry?.method;
+        const amount = roundCurrency(Number(entry?.amount));
+        const reference = String(entry?.reference || '').trim();
+
+        if (!PAYMENT_METHODS.includes(method)) {
+            return { success: false, message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` };
+        }
+        if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_PAYMENT_AMOUNT) {
+            return { success: false, message: 'Each payment must be more than ₹0' };
+        }
+        if (reference.length > MAX_REFERENCE_LENGTH) {
+            return { success: false, message: `Reference cannot exceed ${MAX_REFERENCE_LENGTH} characters` };
+        }
+        if (method === 'upi' && reference && !isValidUtr(reference)) {
+            return { success: false, message: 'UPI reference (UTR) must be the 12-digit number shown in the UPI app' };
+        }
+        payments.push({ method, amount, reference, split, collectedBy });
+    }
+
+    let remaining = roundCurrency(balance);
+    let change = 0;
+    const ordered = [
+        ...payments.filter(payment => payment.method !== 'cash'),
+        ...payments.filter(payment => payment.method === 'cash')
+    ];
+
+    for (const payment of ordered) {
+        if (payment.method !== 'cash') {
+            if (payment.amount > remaining) {
+                return {
+                    success: false,
+                    message: `${payment.method.toUpperCase()} payment of ₹${payment.amount.toFixed(2)} is more than the ₹${remaining.toFixed(2)} left to pay`
+                };
+            }
+            remaining = roundCurrency(remaining - payment.amount);
+            continue;
+        }
+
+        if (remaining <= 0) {
+            return { success: false, message: 'Nothing is left to pay in cash' };
+        }
+        const tendered = payment.amount;
+        payment.amount = Math.min(tendered, remaining);
+        payment.tendered = tendered;
+        payment.changeGiven = roundCurrency(tendered - payment.amount);
+        change = roundCurrency(change + payment.changeGiven);
+        remaining = roundCurrency(remaining - payment.amount);
+    }
+
+    return { success: true, payments: ordered, change };
+};
+
+/**
+ * Status of a bill and its shares from the payments recorded on it.
+ * A share is paid when its payments cover its amount due; the bill when its payments do,
+ * or, if it is split, when every share is paid.
+ *
+ * @param {Document} bill
+ * @returns {Object} { billingStatus, paidAt, paymentMethod, splits: [{ billingStatus, paidAt, paymentMethod }] }
+ */
+const getPaymentStatus = (bill) => {
+    const settle = (payments, amountDue, openStatus) => {
+        if (sumPayments(payments) < amountDue || (payments.length === 0 && amountDue > 0)) {
+            return { billingStatus: openStatus, paidAt: null, paymentMethod: null };
+        }
+        return {
+            billingStatus: 'paid',
+            paidAt: payments.length > 0
+                ? new Date(Math.max(...payments.map(payment => new Date(payment.receivedAt).getTime())))
+                : new Date(),
+            paymentMethod: getPaymentMethod(payments)
+        };
+    };
+
+    // A bill that stops being paid goes back to waiting for payment
+    const openStatus = bill.billingStatus === 'paid' ? 'pending_payment' : bill.billingStatus;
+    const splits = (bill.splits || []).map(share =>
+        settle(getPaymentsFor(bill, share._id), share.amountDue, 'pending_payment'));
+
+    if (splits.length > 0) {
+        const allPaid = splits.every(share => share.billingStatus === 'paid');
+        return {
+            ...(allPaid ? settle(bill.payments, 0, openStatus) : { billingStatus: openStatus, paidAt: null, paymentMethod: null }),
+            splits
+        };
+    }
+
+    return { ...settle(bill.payments || [], bill.amountDue, openStatus), splits };
+};
+
+module.exports = {
+    PAYMENT_METHODS,
+    getPaymentsFor,
+    getAmountPaid,
+    getPaymentMethod,
+    getUpiReferences,
+    preparePayments,
+    getPaymentStatus
+};
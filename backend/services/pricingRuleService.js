@@ -0,0 +1,91 @@
+/**
+ * Pricing Rule Service - Works out which time-based prices (happy hours, late-night deals) are in force
+ * and what they make each menu item cost.
+ * Windows are read in IST (see config/timeWindows.js).
+ */
+
+const PricingRule = require('../models/pricingRuleModel');
+const { roundCurrency } = require('./gstService');
+const { isWithinWindow } = require('../config/timeWindows');
+
+/**
+ * Whether a rule is in force at a moment.
+ * A window that runs past midnight belongs to the day it starts on, so a Friday 22:00-02:00 rule
+ * still applies at 01:00 on Saturday.
+ *
+ * @param {Object} rule - Pricing rule
+ * @param {Date} at - Moment to check
+ * @returns {boolean}
+ */
+const isRuleInEffect = (rule, at) => rule.isActive && isWithinWindow(rule, at);
+
+/**
+ * Whether a rule covers a menu item through its category and item restrictions.
+ * @param {Object} rule - Pricing rule
+ * @param {Object} menuItem - Menu item (or an object with _id and category)
+ * @returns {boolean}
+ */
+const appliesToMenuItem = (rule, menuItem) => {
+    if (rule.categories.length === 0 && rule.menuItems.length === 0) {
+        return true;
+    }
+    return rule.categories.includes(menuItem.category)
+        || rule.menuItems.some(menuItemId => String(menuItemId) === String(menuItem._id));
+};
+
+/**
+ * A menu price after a rule's adjustment. Never below zero.
+ * @param {Object} rule - Pricing rule
+ * @param {number} amount - Menu price
+ * @returns {number}
+ */
+const getAdjustedPrice = (rule, amount) => {
+    switch (rule.adjustmentType) {
+        case 'percentage':
+            return roundCurrency(amount * (1 - rule.value / 100));
+        case 'flat':
+            return roundCurrency(Math.max(0, amount - rule.value));
+        default:
+            return roundCurrency(rule.value);
+    }
+};
+
+/**
+ * Enabled pricing rules in force at a moment.
+ * @param {Date} at - Defaults to now
+ * @returns {Promise<Array>} Pricing rule documents
+ */
+const getRulesInEffect = async (at = new Date()) => {
+    const rules = await PricingRule.find({ isActive: true });
+    return rules.filter(rule => isRuleInEffect(rule, at));
+};
+
+/**
+ * What a menu item costs under the rules in force (add-ons are not affected).
+ * When several rules cover the item, the lowest price wins; a rule never raises the price
+ * (e.g. a fixed price above the menu price), so the menu price applies then.
+ *
+ * @param {Object} menuItem - Menu item
+ * @param {Array} rules - Rules in force, from getRulesInEffect
+ * @param {number} amount - Price to adjust (defaults to the menu price; a variant passes its own price)
+ * @returns {Object} { price, rule } - rule is null when the menu price applies
+ *
+ * @example
+ * const rules = await getRulesInEffect();
+ * const { price, rule } = getMenuItemPrice(lemonade, rules);
+ * // price => 60 during a 50% beverage happy hour, rule.name => 'Happy Hour'
+ */
+const getMenuItemPrice = (menuItem, rules, amount = menuItem.amount) => {
+    return rules
+        .filter(rule => appliesToMenuItem(rule, menuItem))
+        .reduce((best, rule) => {
+            const price = getAdjustedPrice(rule, amount);
+            return price < best.price ? { price, rule } : best;
+        }, { price: amount, rule: null });
+};
+
+module.exports = {
+    isRuleInEffect,
+    getRulesInEffect,
+    getMenuItemPrice
+};
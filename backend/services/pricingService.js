@@ -0,0 +1,224 @@
+/**
+ * Pricing Service - Computes authoritative order prices on the server.
+ * Every line is repriced from the MenuItem collection so prices sent by the browser are never trusted.
+ */
+
+const mongoose = require('mongoose');
+const MenuItem = require('../models/menuModel');
+const { getGstForCategory } = require('../config/taxConfig');
+const { roundCurrency, calculateGst } = require('./gstService');
+const { getRulesInEffect, getMenuItemPrice } = require('./pricingRuleService');
+const { isCombo, allocateByWeight, resolveComboComponents, getComboComponentIds } = require('./comboService');
+const { hasVariants, findVariant, getVariantLabel } = require('./variantService');
+const { getMenuSchedule, getScheduleConflict } = require('./menuScheduleService');
+
+// Matches the maxlength of specialInstructions on the order item schema
+const MAX_SPECIAL_INSTRUCTIONS_LENGTH = 200;
+
+/**
+ * Read the add-on names a cart line asked for.
+ * Accepts either strings or { name } objects as sent by CartContext.
+ * @param {Array} customizations
+ * @returns {string[]}
+ */
+const getRequestedAddOnNames = (customizations) => {
+    if (!Array.isArray(customizations)) {
+        return [];
+    }
+    return customizations
+        .map(customization => (typeof customization === 'string' ? customization : customization?.name))
+        .filter(Boolean)
+        .map(name => name.trim());
+};
+
+/**
+ * Order line fields that come from the menu item and the cart line, before pricing.
+ * @param {Object} menuItem - Menu item being ordered
+ * @param {Object} item - Cart line
+ * @param {number} index - Position of the cart line, so the cart can match lines to quote lines
+ * @returns {Object}
+ */
+const toOrderLine = (menuItem, item, index) => {
+    const { gstRate, hsnCode } = getGstForCategory(menuItem.category);
+    return {
+        menuItemId: menuItem._id,
+        name: menuItem.productName,
+        quantity: Number(item.quantity),
+        category: menuItem.category,
+        gstRate,
+        hsnCode,
+        specialInstructions: String(item.specialInstructions || '').trim(),
+        description: menuItem.description || '',
+        imageLink: menuItem.imageLink || '',
+        cartIndex: index
+    };
+};
+
+/**
+ * Reprice cart lines against the menu and compute order totals.
+ *
+ * Items outside their serving windows, season or daypart cannot be ordered (see services/menuScheduleService.js).
+ * Items sold in variants are priced at the chosen variant's price (see services/variantService.js).
+ * Combos are split into one line per slot, sharing the combo price (see services/comboService.js).
+ *
+ * @param {Array} items - Cart lines: { menuItemId, quantity, customizations?, specialInstructions?, variant?,
+ *                        comboSelections? }
+ * @param {Object} options - { at } moment whose pricing rules and menu schedule apply (defaults to now)
+ * @returns {Promise<Object>} { success: true, items, subtotal, cgst, sgst, tax, total, gstin, hsnSummary }
+ *          or { success: false, message, invalidItems } when a line cannot be ordered
+ *
+ * @example
+ * const pricing = await priceOrderItems([{ menuItemId: '64f...', quantity: 2, customizations: ['Extra Cheese'] }]);
+ * // pricing.items[0].price includes the Extra Cheese add-on price from the menu
+ */
+const priceOrderItems = async (items, { at = new Date() } = {}) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { success: false, message: 'At least one item is required', invalidItems: [] };
+    }
+
+    const invalidItems = [];
+
+    // Guard: every line must reference a real menu item with a whole, positive quantity
+    items.forEach((item, index) => {
+        const quantity = Number(item.quantity);
+        if (!item.menuItemId || !mongoose.isValidObjectId(item.menuItemId)) {
+            invalidItems.push({ index, name: item.name || 'Unknown item', reason: 'Item is not on the menu' });
+        } else if (!Number.isInteger(quantity) || quantity < 1) {
+            invalidItems.push({ index, name: item.name || 'Unknown item', reason: 'Quantity must be a whole number of at least 1' });
+        } else if (String(item.specialInstructions || '').trim().length > MAX_SPECIAL_INSTRUCTIONS_LENGTH) {
+            invalidItems.push({ index, name: item.name || 'Unknown item', reason: `Cooking note cannot exceed ${MAX_SPECIAL_INSTRUCTIONS_LENGTH} characters` });
+        }
+    });
+
+    if (invalidItems.length > 0) {
+        return { success: false, message: 'Some items in your cart are invalid', invalidItems };
+    }
+
+    const menuItemIds = [...new Set(items.map(item => String(item.menuItemId)))];
+    const menuItems = await MenuItem.find({ _id: { $in: menuItemIds } });
+    const menuItemsById = new Map(menuItems.map(menuItem => [String(menuItem._id), menuItem]));
+    const rulesInEffect = await getRulesInEffect(at);
+    const menuSchedule = await getMenuSchedule(at);
+
+    // Items that can fill the slots of ordered combos
+    const componentIds = getComboComponentIds(items, menuItems).filter(menuItemId => !menuItemsById.has(menuItemId));
+    if (componentIds.length > 0) {
+        const components = await MenuItem.find({ _id: { $in: componentIds } });
+        components.forEach(component => menuItemsById.set(String(component._id), component));
+    }
+
+    const pricedItems = [];
+
+    items.forEach((item, index) => {
+        const menuItem = menuItemsById.get(String(item.menuItemId));
+
+        if (!menuItem) {
+            invalidItems.push({ index, name: item.name || 'Unknown item', reason: 'Item is no longer on the menu' });
+            return;
+        }
+
+        if (!menuItem.availability) {
+            invalidItems.push({ index, menuItemId: menuItem._id, name: menuItem.productName, reason: 'Item is currently unavailable' });
+            return;
+        }
+
+        const scheduleConflict = getScheduleConflict(menuItem, menuSchedule);
+        if (scheduleConflict) {
+            invalidItems.push({ index, menuItemId: menuItem._id, name: menuItem.productName, reason: scheduleConflict });
+            return;
+        }
+
+        if (isCombo(menuItem)) {
+            if (getRequestedAddOnNames(item.customizations).length > 0) {
+                invalidItems.push({ index, menuItemId: menuItem._id, name: menuItem.productName, reason: 'Add-ons cannot be added to a combo' });
+                return;
+            }
+
+            const resolved = resolveComboComponents(menuItem, item.comboSelections, menuItemsById);
+            if (!resolved.success) {
+                invalidItems.push({ index, menuItemId: menuItem._id, name: menuItem.productName, reason: resolved.reason });
+                return;
+            }
+            for (const { menuItem: component } of resolved.components) {
+                const componentConflict = getScheduleConflict(component, menuSchedule);
+                if (componentConflict) {
+                    invalidItems.push({ index, menuItemId: menuItem._id, name: menuItem.productName, reason: `${component.productName}: ${componentConflict}` });
+                    return;
+                }
+            }
+
+            // The combo price (and its menu price) is shared in proportion to the components' menu prices
+            const { price: comboPrice, rule } = getMenuItemPrice(menuItem, rulesInEffect);
+            const weights = resolved.components.map(({ menuItem: component }) => component.amount);
+            const prices = allocateByWeight(comboPrice, weights);
+            const originalPrices = allocateByWeight(menuItem.amount, weights);
+
+            resolved.components.forEach(({ slot, menuItem: component }, componentIndex) => {
+                pricedItems.push({
+                    ...toOrderLine(component, item, index),
+                    price: prices[componentIndex],
+                    originalPrice: originalPrices[componentIndex],
+                    pricingRule: rule ? { ruleId: rule._id, name: rule.name } : null,
+                    customizations: [],
+                    combo: {
+                        comboId: menuItem._id,
+                        name: menuItem.productName,
+                        category: menuItem.category,
+                        group: index,
+                        slot: slot.name
+                    }
+                });
+            });
+            return;
+        }
+
+        // The cart names a value per variant dimension: { Filling: 'Paneer', Portion: 'Full' }
+        const variant = hasVariants(menuItem) ? findVariant(menuItem, item.variant) : null;
+        if (hasVariants(menuItem) && !variant) {
+            const reason = item.variant
+                ? 'That variant is not on the menu'
+                : `Choose a ${menuItem.variantDimensions.map(dimension => dimension.name.toLowerCase()).join(' and ')}`;
+            invalidItems.push({ index, menuItemId: menuItem._id, name: menuItem.productName, reason });
+            return;
+        }
+
+        // Add-ons are priced from the menu item's own customizationOptions
+        const selectedAddOns = [];
+        for (const addOnName of getRequestedAddOnNames(item.customizations)) {
+            const option = menuItem.customizationOptions.find(opt => opt.name === addOnName);
+            if (!option) {
+                invalidItems.push({ index, menuItemId: menuItem._id, name: menuItem.productName, reason: `Add-on "${addOnName}" is not available` });
+                return;
+            }
+            selectedAddOns.push({ name: option.name, price: option.price });
+        }
+
+        const addOnTotal = selectedAddOns.reduce((sum, addOn) => sum + addOn.price, 0);
+        const menuPrice = variant ? variant.amount : menuItem.amount;
+        const { price: itemPrice, rule } = getMenuItemPrice(menuItem, rulesInEffect, menuPrice);
+
+        pricedItems.push({
+            ...toOrderLine(menuItem, item, index),
+            price: roundCurrency(itemPrice + addOnTotal),
+            originalPrice: roundCurrency(menuPrice + addOnTotal),
+            pricingRule: rule ? { ruleId: rule._id, name: rule.name } : null,
+            variant: variant ? getVariantLabel(variant) : '',
+            customizations: selectedAddOns
+        });
+    });
+
+    if (invalidItems.length > 0) {
+        return { success: false, message: 'Some items in your cart cannot be ordered', invalidItems };
+    }
+
+    return {
+        success: true,
+        items: pricedItems,
+        ...calculateGst(pricedItems)
+    };
+};
+
+module.exports = {
+    roundCurrency,
+    priceOrderItems
+};
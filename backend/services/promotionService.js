@@ -0,0 +1,184 @@
+/**
+ * Promotion Service - Checks promo codes and applies their discount to priced order lines.
+ * The discount is spread over the lines the promotion applies to, in proportion to their value,
+ * so GST is charged on what the customer actually pays for each line.
+ */
+
+const Promotion = require('../models/promotionModel');
+const Order = require('../models/orderModel');
+const { roundCurrency, calculateGst } = require('./gstService');
+
+/**
+ * Normalise a promo code the way it is stored.
+ * @param {string} code
+ * @returns {string} Trimmed, upper-case code ('' when missing)
+ */
+const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Whether a priced line is covered by a promotion's category and item restrictions.
+ * Lines of a combo also match the combo itself and its category.
+ * @param {Object} promotion - Promotion document
+ * @param {Object} item - Priced line: { menuItemId, category, combo? }
+ * @returns {boolean}
+ */
+const isEligibleItem = (promotion, item) => {
+    if (promotion.categories.length === 0 && promotion.menuItems.length === 0) {
+        return true;
+    }
+    const categories = item.combo ? [item.category, item.combo.category] : [item.category];
+    const menuItemIds = (item.combo ? [item.menuItemId, item.combo.comboId] : [item.menuItemId]).map(String);
+    return categories.some(category => promotion.categories.includes(category))
+        || promotion.menuItems.some(menuItemId => menuItemIds.includes(String(menuItemId)));
+};
+
+/**
+ * Why a promotion cannot be used right now, ignoring the order itself.
+ * @param {Object} promotion - Promotion document
+ * @returns {string|null} Message for the customer, or null when usable
+ */
+const getAvailabilityError = (promotion) => {
+    switch (promotion.status) {
+        case 'disabled':
+            return `Promo code ${promotion.code} is no longer valid`;
+        case 'scheduled':
+            return `Promo code ${promotion.code} is not active yet`;
+        case 'expired':
+            return `Promo code ${promotion.code} has expired`;
+        case 'exhausted':
+            return `Promo code ${promotion.code} has been fully redeemed`;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Apply a promo code to priced order lines.
+ *
+ * @param {Array} items - Lines from priceOrderItems
+ * @param {string} code - Promo code entered by the customer
+ * @param {Document|null} customer - Verified customer (request.customer), needed for per-customer limits
+ * @returns {Promise<Object>} { success: true, promotion, items, ...totals } with a discount on each
+ *          eligible line, or { success: false, message }
+ *
+ * @example
+ * const result = await applyPromotion(pricing.items, 'magic50', request.customer);
+ * // result.discount => 120, result.items[0].discount => 80
+ */
+const applyPromotion = async (items, code, customer = null) => {
+    const normalizedCode = normalizePromoCode(code);
+    const promotion = await Promotion.findOne({ code: normalizedCode });
+
+    if (!promotion) {
+        return { success: false, message: `Promo code ${normalizedCode} does not exist` };
+    }
+
+    const availabilityError = getAvailabilityError(promotion);
+    if (availabilityError) {
+        return { success: false, message: availabilityError };
+    }
+
+    const orderValue = roundCurrency(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+    if (orderValue < promotion.minOrderValue) {
+        return {
+            success: false,
+            message: `Add ₹${roundCurrency(promotion.minOrderValue - orderValue).toFixed(2)} more to use ${promotion.code} (minimum order ₹${promotion.minOrderValue})`
+        };
+    }
+
+    const eligibleIndexes = items
+        .map((item, index) => (isEligibleItem(promotion, item) ? index : null))
+        .filter(index => index !== null);
+    if (eligibleIndexes.length === 0) {
+        return { success: false, message: `${promotion.code} does not apply to any item in your order` };
+    }
+
+    // Counted against the signed-in account only; a phone number or ID typed into the order proves nothing
+    if (promotion.perCustomerLimit !== null) {
+        if (!customer) {
+            return { success: false, message: `Log in to use ${promotion.code}` };
+        }
+
+        const timesUsed = await Order.countDocuments({
+            userId: customer._id,
+            'promotion.promotionId': promotion._id,
+            status: { $ne: 'cancelled' }
+        });
+        if (timesUsed >= promotion.perCustomerLimit) {
+            return {
+                success: false,
+                message: `You have already used ${promotion.code} ${timesUsed} time${timesUsed === 1 ? '' : 's'}, the most allowed`
+            };
+        }
+    }
+
+    const eligibleValue = eligibleIndexes.reduce((sum, index) => sum + items[index].price * items[index].quantity, 0);
+    let discount = promotion.discountType === 'percentage'
+        ? eligibleValue * promotion.discountValue / 100
+        : promotion.discountValue;
+    if (promotion.maxDiscount !== null) {
+        discount = Math.min(discount, promotion.maxDiscount);
+    }
+    discount = roundCurrency(Math.min(discount, eligibleValue));
+
+    // Spread the discount by line value; the last eligible line takes the rounding difference
+    let remaining = discount;
+    const discountedItems = items.map((item, index) => {
+        if (!eligibleIndexes.includes(index)) {
+            return { ...item, discount: 0 };
+        }
+        const lineValue = item.price * item.quantity;
+        const lineDiscount = index === eligibleIndexes[eligibleIndexes.length - 1]
+            ? remaining
+            : roundCurrency(discount * lineValue / eligibleValue);
+        remaining = roundCurrency(remaining - lineDiscount);
+        return { ...item, discount: lineDiscount };
+    });
+
+    return {
+        success: true,
+        promotion,
+        items: discountedItems,
+        ...calculateGst(discountedItems)
+    };
+};
+
+/**
+ * Take one use of a promotion for an order.
+ * The usage limit is checked in the same update, so two orders cannot take the last use.
+ * @param {ObjectId} promotionId
+ * @param {Object} options - { enforceLimit } false when a cancelled order that already had the use is reopened
+ * @returns {Promise<boolean>} False when the promotion ran out in the meantime
+ */
+const claimPromotionUse = async (promotionId, { enforceLimit = true } = {}) => {
+    const filter = enforceLimit
+        ? {
+            _id: promotionId,
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+            ]
+        }
+        : { _id: promotionId };
+
+    const promotion = await Promotion.findOneAndUpdate(filter, { $inc: { usageCount: 1 } });
+    return promotion !== null;
+};
+
+/**
+ * Give back a promotion use, e.g. when its order is cancelled or could not be saved.
+ * @param {ObjectId} promotionId
+ */
+const releasePromotionUse = async (promotionId) => {
+    await Promotion.updateOne(
+        { _id: promotionId, usageCount: { $gt: 0 } },
+        { $inc: { usageCount: -1 } }
+    );
+};
+
+module.exports = {
+    normalizePromoCode,
+    applyPromotion,
+    claimPromotionUse,
+    releasePromotionUse
+};
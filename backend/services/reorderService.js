@@ -0,0 +1,198 @@
+/**
+ * Reorder Service - Forecasts each ingredient's consumption from sales history and the recipes
+ * of the items sold, and suggests how much to reorder to cover the supplier's lead time.
+ */
+
+const Sales = require('../models/salesModel');
+const MenuItem = require('../models/menuModel');
+const Inventory = require('../models/inventoryModel');
+const PurchaseOrder = require('../models/purchaseOrderModel');
+const { convertQuantity, roundQuantity } = require('../config/units');
+const { FORECAST_LOOKBACK_DAYS, FORECAST_COVER_DAYS } = require('../config/forecastConfig');
+const { findVariantByLabel, getVariantRecipe } = require('./variantService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sales days are counted in IST (Asia/Kolkata), like the sales reports
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Lead time for items without a supplier (the supplier default)
+const DEFAULT_LEAD_TIME_DAYS = 1;
+
+// Purchase orders that can still receive goods
+const OPEN_PURCHASE_ORDER_STATUSES = ['ordered', 'partially-received'];
+
+/**
+ * Day of the week (0 = Sunday) of a moment, in IST.
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number}
+ */
+const getIstDayOfWeek = (time) => new Date(time + IST_OFFSET_MS).getUTCDay();
+
+/**
+ * Quantities still to arrive on open purchase orders, by inventory item.
+ * @param {Array} inventoryIds - Inventory item IDs to look up
+ * @returns {Promise<Map>} Inventory item ID (string) → outstanding quantity
+ */
+const getQuantityOnOrderByItem = async (inventoryIds) => {
+    const openPurchaseOrders = await PurchaseOrder.find({
+        status: { $in: OPEN_PURCHASE_ORDER_STATUSES },
+        'items.inventoryItem': { $in: inventoryIds }
+    }).select('items');
+
+    const onOrderByItem = new Map();
+    openPurchaseOrders.forEach((purchaseOrder) => {
+        purchaseOrder.items.forEach((line) => {
+            const key = line.inventoryItem.toString();
+            const outstanding = Math.max(line.quantityOrdered - line.quantityReceived, 0);
+            onOrderByItem.set(key, roundQuantity((onOrderByItem.get(key) || 0) + outstanding));
+        });
+    });
+
+    return onOrderByItem;
+};
+
+/**
+ * Ingredient usage implied by the items sold in a period, by day of week.
+ * Sold items are matched to menu items by name and use their current recipe, or that of the variant sold.
+ * @param {Date} since - Start of the period
+ * @param {Map} inventoryById - Inventory items by id
+ * @returns {Promise<Map>} Inventory item ID (string) → usage per day of week [Sun..Sat], in the item's unit
+ */
+const getIngredientUsageByDayOfWeek = async (since, inventoryById) => {
+    const [soldByDay, menuItems] = await Promise.all([
+        Sales.aggregate([
+            { $match: { servedAt: { $gte: since } } },
+            { $unwind: '$items' },
+            {
+                $group: {
+                    _id: {
+                        name: '$items.name',
+                        variant: '$items.variant',
+                        // $dayOfWeek is 1 (Sunday) to 7, read in IST
+                        dayOfWeek: { $dayOfWeek: { $add: ['$servedAt', IST_OFFSET_MS] } }
+                    },
+                    quantity: { $sum: '$items.quantity' }
+                }
+            }
+        ]),
+        MenuItem.find({ $or: [{ 'recipe.0': { $exists: true } }, { 'variants.recipe.0': { $exists: true } }] })
+            .select('productName recipe variants')
+    ]);
+
+    const menuItemByName = new Map(menuItems.map(item => [item.productName, item]));
+    const usageByItem = new Map();
+
+    soldByDay.forEach(({ _id, quantity }) => {
+        const menuItem = menuItemByName.get(_id.name);
+        if (!menuItem) return;
+        const recipe = getVariantRecipe(menuItem, findVariantByLabel(menuItem, _id.variant));
+
+        recipe.forEach((ingredient) => {
+            const key = ingredient.inventoryItem.toString();
+            const inventoryItem = inventoryById.get(key);
+            if (!inventoryItem) return;
+
+            const used = convertQuantity(ingredient.quantity * quantity, ingredient.unit, inventoryItem.unitOfMeasure);
+            if (used === null) return;
+
+            if (!usageByItem.has(key)) usageByItem.set(key, new Array(7).fill(0));
+            usageByItem.get(key)[_id.dayOfWeek - 1] += used;
+        });
+    });
+
+    return usageByItem;
+};
+
+/**
+ * Forecast every inventory item's consumption and the stock to reorder.
+ * Daily usage is forecast per day of week from the average of that weekday over the lookback
+ * period. The suggested reorder point is the usage expected during the supplier's lead time;
+ * the suggested quantity tops stock (with what is already on order) up to the usage expected
+ * over the lead time plus FORECAST_COVER_DAYS.
+ *
+ * @param {number} lookbackDays - Days of sales history to use (default FORECAST_LOOKBACK_DAYS)
+ * @returns {Promise<Object>} { lookbackDays, coverDays, generatedAt, items: [...] } - items sorted by days of stock left
+ *
+ * @example
+ * const { items } = await buildReorderForecast(28);
+ * // items[0] => { name: 'Chicken Filling', averageDailyUsage: 3.2, leadTimeDays: 2, suggestedQuantity: 25.6, ... }
+ */
+const buildReorderForecast = async (lookbackDays = FORECAST_LOOKBACK_DAYS) => {
+    const now = Date.now();
+    const since = new Date(now - lookbackDays * DAY_MS);
+
+    const inventoryItems = await Inventory.find({}).populate('supplier', 'name leadTimeDays').sort({ name: 1 });
+    const inventoryById = new Map(inventoryItems.map(item => [item._id.toString(), item]));
+
+    const [usageByItem, onOrderByItem] = await Promise.all([
+        getIngredientUsageByDayOfWeek(since, inventoryById),
+        getQuantityOnOrderByItem(inventoryItems.map(item => item._id))
+    ]);
+
+    // How many of each weekday the lookback period holds, to average usage per weekday
+    const weekdayCounts = new Array(7).fill(0);
+    for (let day = 0; day < lookbackDays; day++) {
+        weekdayCounts[getIstDayOfWeek(now - day * DAY_MS)] += 1;
+    }
+
+    // Forecast usage over the next `days` days, starting today
+    const forecastUsage = (usageByDayOfWeek, days) => {
+        let total = 0;
+        for (let day = 0; day < days; day++) {
+            total += usageByDayOfWeek[getIstDayOfWeek(now + day * DAY_MS)];
+        }
+        return roundQuantity(total);
+    };
+
+    const items = inventoryItems.map((item) => {
+        const key = item._id.toString();
+        const usage = usageByItem.get(key) || new Array(7).fill(0);
+        const usageByDayOfWeek = usage.map((used, dayOfWeek) =>
+            weekdayCounts[dayOfWeek] > 0 ? roundQuantity(used / weekdayCounts[dayOfWeek]) : 0);
+        const averageDailyUsage = roundQuantity(usage.reduce((sum, used) => sum + used, 0) / lookbackDays);
+
+        const leadTimeDays = item.supplier ? item.supplier.leadTimeDays : DEFAULT_LEAD_TIME_DAYS;
+        const quantityOnOrder = onOrderByItem.get(key) || 0;
+        const reorderPoint = forecastUsage(usageByDayOfWeek, leadTimeDays);
+        const targetStock = forecastUsage(usageByDayOfWeek, leadTimeDays + FORECAST_COVER_DAYS);
+        const available = roundQuantity(item.currentQuantity + quantityOnOrder);
+
+        return {
+            _id: item._id,
+            name: item.name,
+            category: item.category,
+            unitOfMeasure: item.unitOfMeasure,
+            currentQuantity: item.currentQuantity,
+            threshold: item.threshold,
+            supplier: item.supplier ? item.supplier._id : null,
+            supplierName: item.supplier ? item.supplier.name : item.supplierName,
+            leadTimeDays,
+            quantityOnOrder,
+            averageDailyUsage,
+            usageByDayOfWeek,
+            daysOfStockLeft: averageDailyUsage > 0 ? Math.floor(Math.max(item.currentQuantity, 0) / averageDailyUsage) : null,
+            reorderPoint,
+            suggestedQuantity: available <= reorderPoint ? roundQuantity(Math.max(targetStock - available, 0)) : 0
+        };
+    });
+
+    // Soonest to run out first; items with no forecast usage last
+    items.sort((a, b) => {
+        if (a.daysOfStockLeft === null) return b.daysOfStockLeft === null ? 0 : 1;
+        if (b.daysOfStockLeft === null) return -1;
+        return a.daysOfStockLeft - b.daysOfStockLeft;
+    });
+
+    return {
+        lookbackDays,
+        coverDays: FORECAST_COVER_DAYS,
+        generatedAt: new Date(now),
+        items
+    };
+};
+
+module.exports = {
+    getQuantityOnOrderByItem,
+    buildReorderForecast
+};
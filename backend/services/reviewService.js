@@ -0,0 +1,107 @@
+/**
+ * Review Service - Checks who may review a menu item, keeps item ratings up to date,
+ * and ranks items by rating in a way that does not favour items with only a few reviews.
+ */
+
+const mongoose = require('mongoose');
+const MenuItem = require('../models/menuModel');
+const Review = require('../models/reviewModel');
+const Sales = require('../models/salesModel');
+const Bill = require('../models/billModel');
+
+// Ranking pretends every item also has this many reviews at the menu's average rating,
+// so one 5-star review does not outrank forty 4.6-star ones
+const CONFIDENCE_REVIEW_WEIGHT = 5;
+
+// Average used for ranking until the menu has any reviews
+const DEFAULT_PRIOR_RATING = 3.5;
+
+/**
+ * Find the sale or paid bill showing a customer was served a menu item.
+ * Sales are checked first; bills cover sales recorded before sold items kept their menu item.
+ *
+ * @param {Document} customer - Verified customer
+ * @param {string} menuItemId
+ * @returns {Promise<Object|null>} { source: 'sale' | 'bill', recordId } or null
+ */
+const findServedPurchase = async (customer, menuItemId) => {
+    const isCustomer = { $or: [{ userId: customer._id }, { customerPhone: customer.phone }] };
+
+    const sale = await Sales.findOne({ ...isCustomer, 'items.menuItemId': menuItemId })
+        .sort({ servedAt: -1 })
+        .select('_id');
+    if (sale) {
+        return { source: 'sale', recordId: sale._id };
+    }
+
+    const bill = await Bill.findOne({ ...isCustomer, billingStatus: 'paid', 'items.menuItemId': menuItemId })
+        .sort({ paidAt: -1 })
+        .select('_id');
+    return bill ? { source: 'bill', recordId: bill._id } : null;
+};
+
+/**
+ * Status a new or edited review starts in.
+ * @param {string} comment - Review text ('' for a star-only rating)
+ * @returns {string} 'approved' for star-only ratings, 'pending' when there is text to moderate
+ */
+const getInitialStatus = (comment) => (comment ? 'pending' : 'approved');
+
+/**
+ * Recalculate a menu item's rating and ratingCount from its approved reviews.
+ * @param {string} menuItemId
+ * @returns {Promise<Object>} { rating, ratingCount }
+ */
+const refreshMenuItemRating = async (menuItemId) => {
+    const [summary] = await Review.aggregate([
+        { $match: { menuItem: new mongoose.Types.ObjectId(String(menuItemId)), status: 'approved' } },
+        { $group: { _id: null, rating: { $avg: '$rating' }, ratingCount: { $sum: 1 } } }
+    ]);
+
+    const ratingFields = summary
+        ? { rating: Math.round(summary.rating * 10) / 10, ratingCount: summary.ratingCount }
+        : { rating: 0, ratingCount: 0 };
+
+    await MenuItem.updateOne({ _id: menuItemId }, ratingFields);
+    return ratingFields;
+};
+
+/**
+ * Average rating across reviewed menu items, weighted by their review counts.
+ * @param {Array} menuItems
+ * @returns {number}
+ */
+const getPriorRating = (menuItems) => {
+    const reviewed = menuItems.filter(menuItem => menuItem.ratingCount > 0);
+    const totalCount = reviewed.reduce((sum, menuItem) => sum + menuItem.ratingCount, 0);
+    if (totalCount === 0) {
+        return DEFAULT_PRIOR_RATING;
+    }
+    return reviewed.reduce((sum, menuItem) => sum + menuItem.rating * menuItem.ratingCount, 0) / totalCount;
+};
+
+/**
+ * Score for ranking by rating: the item's average pulled towards the menu's average,
+ * strongly when it has few reviews and hardly at all when it has many (a Bayesian average).
+ *
+ * @param {Object} menuItem - { rating, ratingCount }
+ * @param {number} priorRating - From getPriorRating
+ * @returns {number}
+ *
+ * @example
+ * getConfidenceScore({ rating: 5, ratingCount: 1 }, 4);    // => 4.17
+ * getConfidenceScore({ rating: 4.6, ratingCount: 40 }, 4); // => 4.53
+ */
+const getConfidenceScore = (menuItem, priorRating) => {
+    const count = menuItem.ratingCount || 0;
+    return (CONFIDENCE_REVIEW_WEIGHT * priorRating + (count > 0 ? menuItem.rating * count : 0))
+        / (CONFIDENCE_REVIEW_WEIGHT + count);
+};
+
+module.exports = {
+    findServedPurchase,
+    getInitialStatus,
+    refreshMenuItemRating,
+    getPriorRating,
+    getConfidenceScore
+};
@@ -0,0 +1,283 @@
+/**
+ * Stock Ledger Service - Records every stock change as a movement and keeps each inventory
+ * item's currentQuantity as the running balance of its movements.
+ * Nothing else should change currentQuantity directly, or the ledger and the stock drift apart.
+ * Batches of perishable stock are kept in step: receipts with an expiry date add a batch and
+ * stock taken away is used first-expiry-first-out.
+ */
+
+const Inventory = require('../models/inventoryModel');
+const StockMovement = require('../models/stockMovementModel');
+const { roundQuantity } = require('../config/units');
+
+// Valuation methods accepted by the inventory valuation report
+const VALUATION_METHODS = ['fifo', 'weighted-average'];
+
+// Movements whose unit cost is a purchase cost, used to value stock on hand
+const COSTED_MOVEMENT_TYPES = ['opening', 'receipt'];
+
+/**
+ * Take stock out of an item's batches after its quantity went down.
+ * Comes out of the given batch, or else out of stock held outside batches first and then
+ * the batches that expire soonest. Emptied batches are removed.
+ * @param {Document} inventoryItem - Inventory item as updated by the movement
+ * @param {number} amount - Stock taken away (positive)
+ * @param {string} batchId - Batch to take it from (optional)
+ * @returns {Promise<Object|null>} The batch named by batchId, if found
+ */
+const takeFromBatches = async (inventoryItem, amount, batchId) => {
+    const batches = inventoryItem.batches.filter(batch => batch.quantity > 0);
+    if (batches.length === 0) return null;
+
+    let remaining = amount;
+    let candidates;
+    if (batchId) {
+        candidates = batches.filter(batch => batch._id.equals(batchId));
+    } else {
+        const balanceBefore = inventoryItem.currentQuantity + amount;
+        const batchedQuantity = batches.reduce((sum, batch) => sum + batch.quantity, 0);
+        remaining = roundQuantity(remaining - Math.max(balanceBefore - batchedQuantity, 0));
+        candidates = [...batches].sort((a, b) => a.expiryDate - b.expiryDate);
+    }
+
+    const decrements = {};
+    const arrayFilters = [];
+    candidates.forEach((batch, index) => {
+        if (remaining <= 0) return;
+        const taken = Math.min(batch.quantity, remaining);
+        remaining = roundQuantity(remaining - taken);
+        decrements[`batches.$[b${index}].quantity`] = -taken;
+        arrayFilters.push({ [`b${index}._id`]: batch._id });
+    });
+
+    if (arrayFilters.length > 0) {
+        await Inventory.updateOne({ _id: inventoryItem._id }, { $inc: decrements }, { arrayFilters });
+        await Inventory.updateOne({ _id: inventoryItem._id }, { $pull: { batches: { quantity: { $lte: 0 } } } });
+    }
+
+    return batchId ? candidates[0] || null : null;
+};
+
+/**
+ * Record stock movements and apply them to inventory.
+ * Each item's stock is moved with an atomic $inc, so concurrent orders and deliveries never
+ * overwrite each other. Items that held stock before the ledger existed get an opening entry
+ * for it ahead of their first movement. Movements for deleted items are skipped.
+ * A `batch` ({ batchNumber, expiryDate }) on a positive movement adds a batch; a `batchId` on a
+ * negative one takes the stock from that batch instead of first-expiry-first-out.
+ *
+ * @param {Array} entries - [{ inventoryItem, type, quantity, unitCost, batch, batchId, reason, reference, performedBy }]
+ * @returns {Promise<Array>} The recorded movements
+ *
+ * @example
+ * await recordStockMovements([{ inventoryItem: flourId, type: 'wastage', quantity: -0.5, reason: 'Bag torn' }]);
+ * // Flour goes down by 0.5 kg and the ledger shows who wasted it and why
+ */
+const recordStockMovements = async (entries) => {
+    const recorded = [];
+
+    for (const entry of entries) {
+        const quantity = roundQuantity(entry.quantity);
+        if (quantity === 0) continue;
+
+        const update = { $inc: { currentQuantity: quantity } };
+        const hasUnitCost = entry.unitCost !== undefined && entry.unitCost !== null;
+        if (entry.type === 'receipt' && hasUnitCost) {
+            update.$set = { lastUnitCost: entry.unitCost };
+        }
+        if (entry.batch && quantity > 0) {
+            update.$push = {
+                batches: {
+                    batchNumber: entry.batch.batchNumber || '',
+                    quantity,
+                    receivedQuantity: quantity,
+                    expiryDate: entry.batch.expiryDate,
+                    unitCost: hasUnitCost ? entry.unitCost : null
+                }
+            };
+        }
+
+        const inventoryItem = await Inventory.findByIdAndUpdate(entry.inventoryItem, update, { new: true });
+        if (!inventoryItem) continue;
+
+        const batchTaken = quantity < 0 ? await takeFromBatches(inventoryItem, -quantity, entry.batchId) : null;
+
+        const balanceAfter = roundQuantity(inventoryItem.currentQuantity);
+        await recordLegacyOpeningBalance(inventoryItem, roundQuantity(balanceAfter - quantity));
+
+        const movement = await StockMovement.create({
+            inventoryItem: inventoryItem._id,
+            itemName: inventoryItem.name,
+            unitOfMeasure: inventoryItem.unitOfMeasure,
+            type: entry.type,
+            quantity,
+            unitCost: hasUnitCost ? entry.unitCost : inventoryItem.lastUnitCost,
+            balanceAfter,
+            batchNumber: (quantity > 0 ? entry.batch?.batchNumber : batchTaken?.batchNumber) || '',
+            reason: entry.reason || '',
+            reference: entry.reference || null,
+            performedBy: entry.performedBy || null
+        });
+        recorded.push(movement);
+    }
+
+    return recorded;
+};
+
+/**
+ * Give an item that predates the ledger an opening entry for the stock it already held,
+ * so its movements add up to its current quantity.
+ * @param {Document} inventoryItem - Inventory item
+ * @param {number} balanceBefore - Stock before the movement being recorded
+ */
+const recordLegacyOpeningBalance = async (inventoryItem, balanceBefore) => {
+    const hasLedger = await StockMovement.exists({ inventoryItem: inventoryItem._id });
+    if (hasLedger || balanceBefore === 0) return;
+
+    await StockMovement.create({
+        inventoryItem: inventoryItem._id,
+        itemName: inventoryItem.name,
+        unitOfMeasure: inventoryItem.unitOfMeasure,
+        type: 'opening',
+        quantity: balanceBefore,
+        unitCost: inventoryItem.lastUnitCost,
+        balanceAfter: balanceBefore,
+        reason: 'Stock held before the ledger was started'
+    });
+};
+
+/**
+ * Record the opening stock of a newly added inventory item.
+ * @param {Document} inventoryItem - Saved inventory item
+ * @param {Object} details - { unitCost, performedBy }
+ */
+const recordOpeningStock = async (inventoryItem, { unitCost = null, performedBy = null } = {}) => {
+    if (!inventoryItem.currentQuantity) return;
+
+    await StockMovement.create({
+        inventoryItem: inventoryItem._id,
+        itemName: inventoryItem.name,
+        unitOfMeasure: inventoryItem.unitOfMeasure,
+        type: 'opening',
+        quantity: roundQuantity(inventoryItem.currentQuantity),
+        unitCost,
+        balanceAfter: roundQuantity(inventoryItem.currentQuantity),
+        reason: 'Opening stock',
+        performedBy
+    });
+};
+
+/**
+ * Bring an item to a counted or corrected stock level by recording the difference.
+ * @param {Document} inventoryItem - Inventory item as last read
+ * @param {number} targetQuantity - Stock level it should have
+ * @param {Object} details - { type, reason, reference, performedBy }
+ * @returns {Promise<Object|null>} The recorded movement, or null if the level already matched
+ */
+const recordStockLevel = async (inventoryItem, targetQuantity, details) => {
+    const difference = roundQuantity(targetQuantity - inventoryItem.currentQuantity);
+    const [movement] = await recordStockMovements([{
+        inventoryItem: inventoryItem._id,
+        quantity: difference,
+        ...details
+    }]);
+    return movement || null;
+};
+
+/**
+ * Value the stock on hand of one item from its purchase history.
+ * FIFO assumes the oldest stock is used first, so what is left comes from the most recent
+ * receipts. Weighted average values it at the average cost of everything received.
+ * Stock not covered by a costed receipt is reported as uncosted rather than guessed.
+ *
+ * @param {number} quantityOnHand - Item's current quantity
+ * @param {Array} costLayers - Costed inbound movements, oldest first [{ quantity, unitCost }]
+ * @param {string} method - 'fifo' or 'weighted-average'
+ * @returns {Object} { value, unitCost, uncostedQuantity }
+ */
+const valueStockOnHand = (quantityOnHand, costLayers, method) => {
+    if (quantityOnHand <= 0) {
+        return { value: 0, unitCost: null, uncostedQuantity: 0 };
+    }
+
+    const totalCostedQuantity = costLayers.reduce((sum, layer) => sum + layer.quantity, 0);
+    if (totalCostedQuantity === 0) {
+        return { value: 0, unitCost: null, uncostedQuantity: quantityOnHand };
+    }
+
+    if (method === 'weighted-average') {
+        const totalCost = costLayers.reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0);
+        const unitCost = totalCost / totalCostedQuantity;
+        return { value: quantityOnHand * unitCost, unitCost, uncostedQuantity: 0 };
+    }
+
+    let remaining = quantityOnHand;
+    let value = 0;
+    for (let index = costLayers.length - 1; index >= 0 && remaining > 0; index--) {
+        const taken = Math.min(costLayers[index].quantity, remaining);
+        value += taken * costLayers[index].unitCost;
+        remaining -= taken;
+    }
+
+    const costedQuantity = quantityOnHand - remaining;
+    return {
+        value,
+        unitCost: costedQuantity > 0 ? value / costedQuantity : null,
+        uncostedQuantity: roundQuantity(remaining)
+    };
+};
+
+/**
+ * Value all stock on hand.
+ * @param {string} method - 'fifo' or 'weighted-average'
+ * @returns {Promise<Object>} { method, totalValue, uncostedItemCount, items: [...] }
+ */
+const buildInventoryValuation = async (method) => {
+    const inventoryItems = await Inventory.find({}).sort({ category: 1, name: 1 });
+    const costedMovements = await StockMovement.find({
+        type: { $in: COSTED_MOVEMENT_TYPES },
+        quantity: { $gt: 0 },
+        unitCost: { $ne: null }
+    }).sort({ createdAt: 1, _id: 1 }).select('inventoryItem quantity unitCost');
+
+    const layersByItem = new Map();
+    costedMovements.forEach((movement) => {
+        const key = movement.inventoryItem.toString();
+        if (!layersByItem.has(key)) layersByItem.set(key, []);
+        layersByItem.get(key).push({ quantity: movement.quantity, unitCost: movement.unitCost });
+    });
+
+    const items = inventoryItems.map((item) => {
+        const { value, unitCost, uncostedQuantity } = valueStockOnHand(
+            item.currentQuantity,
+            layersByItem.get(item._id.toString()) || [],
+            method
+        );
+
+        return {
+            _id: item._id,
+            name: item.name,
+            category: item.category,
+            unitOfMeasure: item.unitOfMeasure,
+            currentQuantity: item.currentQuantity,
+            unitCost: unitCost === null ? null : Number(unitCost.toFixed(2)),
+            value: Number(value.toFixed(2)),
+            uncostedQuantity
+        };
+    });
+
+    return {
+        method,
+        totalValue: Number(items.reduce((sum, item) => sum + item.value, 0).toFixed(2)),
+        uncostedItemCount: items.filter(item => item.uncostedQuantity > 0).length,
+        items
+    };
+};
+
+module.exports = {
+    VALUATION_METHODS,
+    recordStockMovements,
+    recordOpeningStock,
+    recordStockLevel,
+    buildInventoryValuation
+};
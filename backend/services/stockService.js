@@ -0,0 +1,207 @@
+/**
+ * Stock Service - Deducts ingredients from inventory using menu item recipes (bill of materials).
+ * A line's recipe is taken out of stock once the kitchen starts preparing it (or serves it directly)
+ * and put back if the line is cancelled or returned to pending.
+ */
+
+const mongoose = require('mongoose');
+const MenuItem = require('../models/menuModel');
+const Inventory = require('../models/inventoryModel');
+const { UNITS_OF_MEASURE, roundQuantity, convertQuantity } = require('../config/units');
+const { getItemStatus } = require('./orderStatusService');
+const { findVariantByLabel, getVariantLabel, getVariantRecipe } = require('./variantService');
+const { recordStockMovements } = require('./stockLedgerService');
+
+// Item statuses at which the recipe counts as used
+const STOCK_CONSUMING_STATUSES = ['preparing', 'served'];
+
+/**
+ * Check a recipe sent by the admin panel and normalize it for saving.
+ * Every ingredient must exist in inventory and use a unit that converts to the inventory item's unit.
+ *
+ * @param {Array} recipe - [{ inventoryItem, quantity, unit }]
+ * @returns {Promise<Object>} { success: true, recipe } or { success: false, message }
+ *
+ * @example
+ * await validateRecipe([{ inventoryItem: '64f...', quantity: 120, unit: 'g' }]);
+ * // => { success: true, recipe: [...] } when the inventory item is stocked in g or kg
+ */
+const validateRecipe = async (recipe) => {
+    if (recipe === undefined || recipe === null) {
+        return { success: true, recipe: [] };
+    }
+    if (!Array.isArray(recipe)) {
+        return { success: false, message: 'Recipe must be a list of ingredients' };
+    }
+
+    const inventoryIds = recipe.map(ingredient => ingredient?.inventoryItem);
+    if (inventoryIds.some(id => !id || !mongoose.isValidObjectId(id))) {
+        return { success: false, message: 'Every recipe ingredient must be an inventory item' };
+    }
+    if (new Set(inventoryIds.map(String)).size !== inventoryIds.length) {
+        return { success: false, message: 'Each inventory item can only appear once in a recipe' };
+    }
+
+    const inventoryItems = await Inventory.find({ _id: { $in: inventoryIds } }).select('name unitOfMeasure');
+    const inventoryById = new Map(inventoryItems.map(item => [item._id.toString(), item]));
+
+    const normalized = [];
+    for (const ingredient of recipe) {
+        const inventoryItem = inventoryById.get(String(ingredient.inventoryItem));
+        if (!inventoryItem) {
+            return { success: false, message: 'A recipe ingredient no longer exists in inventory' };
+        }
+
+        const quantity = Number(ingredient.quantity);
+        if (!Number.isFinite(quantity) || quantity <= 0) {
+            return { success: false, message: `Enter a quantity greater than 0 for ${inventoryItem.name}` };
+        }
+
+        const unit = ingredient.unit || inventoryItem.unitOfMeasure;
+        if (!UNITS_OF_MEASURE.includes(unit) || convertQuantity(quantity, unit, inventoryItem.unitOfMeasure) === null) {
+            return {
+                success: false,
+                message: `${inventoryItem.name} is stocked in ${inventoryItem.unitOfMeasure} and cannot be measured in ${unit}`
+            };
+        }
+
+        normalized.push({ inventoryItem: inventoryItem._id, quantity, unit });
+    }
+
+    return { success: true, recipe: normalized };
+};
+
+/**
+ * Check the recipes of an item's variants (see validateRecipe).
+ * @param {Array} variants - Variants from validateVariants
+ * @returns {Promise<Object>} { success: true, variants } with normalized recipes, or { success: false, message }
+ */
+const validateVariantRecipes = async (variants) => {
+    const normalized = [];
+    for (const variant of variants) {
+        const recipeCheck = await validateRecipe(variant.recipe);
+        if (!recipeCheck.success) {
+            return { success: false, message: `${getVariantLabel(variant)}: ${recipeCheck.message}` };
+        }
+        normalized.push({ ...variant, recipe: recipeCheck.recipe });
+    }
+    return { success: true, variants: normalized };
+};
+
+/**
+ * Work out the stock each ingredient of a recipe uses for a number of portions,
+ * in the inventory item's own unit. Ingredients removed from inventory or stocked
+ * in an unit that no longer converts are skipped.
+ * @param {Array} recipe - Menu item recipe
+ * @param {number} portions - Line quantity
+ * @param {Map} inventoryById - Inventory items by id
+ * @returns {Array} [{ inventoryItem, quantity }]
+ */
+const getRecipeDeductions = (recipe, portions, inventoryById) => {
+    return recipe.flatMap((ingredient) => {
+        const inventoryItem = inventoryById.get(ingredient.inventoryItem.toString());
+        if (!inventoryItem) return [];
+
+        const perPortion = convertQuantity(ingredient.quantity, ingredient.unit, inventoryItem.unitOfMeasure);
+        if (perPortion === null) return [];
+
+        return [{ inventoryItem: inventoryItem._id, quantity: roundQuantity(perPortion * portions) }];
+    });
+};
+
+/**
+ * Mark which order lines take or return stock after their statuses changed.
+ * Lines that reached preparing/served record what their recipe used; lines that went back
+ * (cancelled or pending) clear it again. Only lines placed with recipe tracking are considered.
+ *
+ * Call before saving the order and apply the returned movements after the save succeeds,
+ * so a rejected (concurrent) save never touches stock.
+ *
+ * @param {Document} order - Order document with updated item statuses (modified in place, not saved)
+ * @returns {Promise<Array>} Stock movements [{ inventoryItem, quantity }], negative for deductions
+ */
+const planStockMovements = async (order) => {
+    const trackedItems = order.items.filter(item => typeof item.stockDeducted === 'boolean');
+    const toDeduct = [];
+    const toRestore = [];
+
+    trackedItems.forEach((item) => {
+        const shouldDeduct = STOCK_CONSUMING_STATUSES.includes(getItemStatus(item, order.status));
+        if (shouldDeduct && !item.stockDeducted) toDeduct.push(item);
+        if (!shouldDeduct && item.stockDeducted) toRestore.push(item);
+    });
+
+    const movements = [];
+
+    toRestore.forEach((item) => {
+        (item.stockDeductions || []).forEach((deduction) => {
+            movements.push({ inventoryItem: deduction.inventoryItem, quantity: deduction.quantity });
+        });
+        item.stockDeducted = false;
+        item.stockDeductions = [];
+    });
+
+    if (toDeduct.length > 0) {
+        const menuItems = await MenuItem.find({
+            _id: { $in: toDeduct.map(item => item.menuItemId).filter(Boolean) }
+        }).select('recipe variants');
+        const menuItemById = new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem]));
+
+        const inventoryIds = menuItems.flatMap(menuItem => [menuItem.recipe, ...menuItem.variants.map(variant => variant.recipe)]
+            .flatMap(recipe => recipe.map(ingredient => ingredient.inventoryItem)));
+        const inventoryItems = await Inventory.find({ _id: { $in: inventoryIds } }).select('unitOfMeasure');
+        const inventoryById = new Map(inventoryItems.map(item => [item._id.toString(), item]));
+
+        toDeduct.forEach((item) => {
+            // A line placed for a variant uses that variant's recipe when it has one
+            const menuItem = menuItemById.get(String(item.menuItemId));
+            const recipe = menuItem ? getVariantRecipe(menuItem, findVariantByLabel(menuItem, item.variant)) : [];
+            const deductions = getRecipeDeductions(recipe, item.quantity, inventoryById);
+
+            deductions.forEach((deduction) => {
+                movements.push({ inventoryItem: deduction.inventoryItem, quantity: -deduction.quantity });
+            });
+            item.stockDeducted = true;
+            item.stockDeductions = deductions;
+        });
+    }
+
+    return movements;
+};
+
+/**
+ * Apply stock movements to inventory as consumption entries in the stock ledger, one per ingredient.
+ * Deductions may take stock below zero; that shows up as out of stock and flags
+ * ingredients used without being recorded. Failures are logged and never block the order.
+ * @param {Array} movements - From planStockMovements
+ * @param {Object} context - { order, actor } the movements belong to
+ */
+const applyStockMovements = async (movements, { order, actor } = {}) => {
+    const totals = new Map();
+    movements.forEach(({ inventoryItem, quantity }) => {
+        const key = inventoryItem.toString();
+        totals.set(key, (totals.get(key) || 0) + quantity);
+    });
+
+    const entries = [...totals.entries()].map(([inventoryItem, quantity]) => ({
+        inventoryItem,
+        type: 'consumption',
+        quantity,
+        reason: quantity < 0 ? 'Used by order items' : 'Returned from cancelled order items',
+        reference: order ? { kind: 'order', id: order._id, label: order.orderNumber } : null,
+        performedBy: actor || null
+    }));
+
+    try {
+        await recordStockMovements(entries);
+    } catch (error) {
+        console.error('Error applying stock movements:', error);
+    }
+};
+
+module.exports = {
+    validateRecipe,
+    validateVariantRecipes,
+    planStockMovements,
+    applyStockMovements
+};
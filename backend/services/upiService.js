@@ -0,0 +1,78 @@
+/**
+ * UPI Service - UPI payment links and QR codes for bills.
+ * The link opens the customer's UPI app with the configured account, the exact amount
+ * and the bill number as the note, so the payment can be matched to the bill by its UTR.
+ * QR codes are drawn on the server; no third-party image service sees the bill.
+ */
+
+const QRCode = require('qrcode');
+const { UPI_VPA, UPI_PAYEE_NAME } = require('../config/upiConfig');
+
+// UTR / UPI reference number shown in the customer's UPI app after paying
+const UTR_PATTERN = /^\d{12}$/;
+
+// UPI apps cut the note short; bill number and share label fit comfortably
+const MAX_NOTE_LENGTH = 50;
+
+/**
+ * Whether a UPI ID is set up to take payments.
+ * @returns {boolean}
+ */
+const isUpiEnabled = () => UPI_VPA !== null;
+
+/**
+ * Check a UPI transaction reference (UTR).
+ * @param {string} reference
+ * @returns {boolean}
+ */
+const isValidUtr = (reference) => UTR_PATTERN.test(String(reference || '').trim());
+
+/**
+ * UPI payment link (upi://pay) for an amount.
+ * @param {Object} details - { amount, note, transactionRef }
+ * @returns {string}
+ *
+ * @example
+ * buildUpiLink({ amount: 450, note: 'BILL-20250101-004', transactionRef: 'BILL-20250101-004' });
+ * // => 'upi://pay?pa=momomagic@okicici&pn=Momo%20Magic&am=450.00&cu=INR&tn=BILL-20250101-004&tr=BILL-20250101-004'
+ */
+const buildUpiLink = ({ amount, note, transactionRef }) => {
+    const params = [
+        ['pa', UPI_VPA],
+        ['pn', UPI_PAYEE_NAME],
+        ['am', amount.toFixed(2)],
+        ['cu', 'INR'],
+        ['tn', String(note).slice(0, MAX_NOTE_LENGTH)],
+        ['tr', transactionRef]
+    ];
+    // Some UPI apps do not read an escaped @ in the UPI ID
+    return `upi://pay?${params.map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`).join('&')}`;
+};
+
+/**
+ * UPI payment request for what is left to pay on a bill, or one share of it.
+ * @param {Object} bill
+ * @param {Object} payment - { amount, share } - share is the split bill share being paid, or null
+ * @returns {Promise<Object>} { vpa, payeeName, amount, note, upiLink, qrCode } - qrCode is an SVG data URL
+ */
+const createUpiRequest = async (bill, { amount, share = null }) => {
+    const note = share ? `${bill.billNumber} ${share.label}` : bill.billNumber;
+    const upiLink = buildUpiLink({ amount, note, transactionRef: bill.billNumber });
+    const svg = await QRCode.toString(upiLink, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 });
+
+    return {
+        vpa: UPI_VPA,
+        payeeName: UPI_PAYEE_NAME,
+        amount,
+        note,
+        upiLink,
+        qrCode: `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`
+    };
+};
+
+module.exports = {
+    isUpiEnabled,
+    isValidUtr,
+    buildUpiLink,
+    createUpiRequest
+};
@@ -0,0 +1,222 @@
+/**
+ * Variant Service - Checks menu item variants and finds the variant a cart line asks for.
+ * A product such as "Cheese Corn Momos" has variant dimensions (Style: Steamed/Fried/Chilli,
+ * Portion: 6 pcs/10 pcs) and a price for each combination it is sold in.
+ * The same structure is written to and read from the menu CSV, one row per variant.
+ */
+
+// Filling, preparation style and portion
+const MAX_VARIANT_DIMENSIONS = 3;
+
+// Separators in the CSV variant column: "Filling: Paneer | Portion: Full"
+const CSV_PAIR_SEPARATOR = '|';
+const CSV_NAME_SEPARATOR = ':';
+
+// Shown between values in a variant label: "Paneer · Full"
+const LABEL_SEPARATOR = ' · ';
+
+/**
+ * Whether a variant name or value would break the CSV variant column.
+ * @param {string} text
+ * @returns {boolean}
+ */
+const hasCsvSeparator = (text) => text.includes(CSV_PAIR_SEPARATOR) || text.includes(CSV_NAME_SEPARATOR);
+
+/**
+ * Whether a menu item is sold in variants.
+ * @param {Object} menuItem
+ * @returns {boolean}
+ */
+const hasVariants = (menuItem) => Array.isArray(menuItem.variants) && menuItem.variants.length > 0;
+
+/**
+ * Check and normalise variant dimensions and priced variants sent by the admin panel or a CSV import.
+ * Not every combination has to be offered (e.g. no steamed chicken), but each offered one needs a price.
+ *
+ * @param {Array} variantDimensions - [{ name, values }]
+ * @param {Array} variants - [{ values, amount, isVeg, recipe }], values in dimension order
+ * @returns {Object} { success: true, variantDimensions, variants } or { success: false, message }
+ *          Variant recipes are passed through as sent; check them with validateVariantRecipes
+ */
+const validateVariants = (variantDimensions, variants) => {
+    const dimensionList = Array.isArray(variantDimensions) ? variantDimensions : [];
+    const variantList = Array.isArray(variants) ? variants : [];
+
+    if (dimensionList.length === 0 && variantList.length === 0) {
+        return { success: true, variantDimensions: [], variants: [] };
+    }
+    if (dimensionList.length > MAX_VARIANT_DIMENSIONS) {
+        return { success: false, message: `An item can vary in at most ${MAX_VARIANT_DIMENSIONS} ways` };
+    }
+
+    const dimensions = [];
+    for (const dimension of dimensionList) {
+        const name = String(dimension?.name || '').trim();
+        if (!name) {
+            return { success: false, message: 'Every variant option needs a name' };
+        }
+        if (dimensions.some(existing => existing.name.toLowerCase() === name.toLowerCase())) {
+            return { success: false, message: `"${name}" is listed twice` };
+        }
+
+        const values = [...new Set((Array.isArray(dimension.values) ? dimension.values : [])
+            .map(value => String(value || '').trim())
+            .filter(Boolean))];
+        if (values.length === 0) {
+            return { success: false, message: `Add at least one choice for "${name}"` };
+        }
+        if ([name, ...values].some(hasCsvSeparator)) {
+            return { success: false, message: `Variant options cannot contain "${CSV_NAME_SEPARATOR}" or "${CSV_PAIR_SEPARATOR}"` };
+        }
+        dimensions.push({ name, values });
+    }
+
+    if (variantList.length === 0) {
+        return { success: false, message: 'Add a price for at least one variant' };
+    }
+
+    const normalized = [];
+    const seen = new Set();
+    for (const variant of variantList) {
+        const values = (Array.isArray(variant?.values) ? variant.values : []).map(value => String(value || '').trim());
+        if (values.length !== dimensions.length || values.some((value, i) => !dimensions[i].values.includes(value))) {
+            return { success: false, message: `Variant "${values.join(LABEL_SEPARATOR)}" does not match the variant options` };
+        }
+
+        const key = values.join('\u0000');
+        if (seen.has(key)) {
+            return { success: false, message: `Variant "${values.join(LABEL_SEPARATOR)}" is listed twice` };
+        }
+        seen.add(key);
+
+        const amount = variant.amount === '' || variant.amount == null ? NaN : Number(variant.amount);
+        if (!Number.isFinite(amount) || amount < 0) {
+            return { success: false, message: `Enter a valid price for "${values.join(LABEL_SEPARATOR)}"` };
+        }
+
+        normalized.push({
+            values,
+            amount,
+            isVeg: variant.isVeg !== false,
+            recipe: Array.isArray(variant.recipe) ? variant.recipe : []
+        });
+    }
+
+    return { success: true, variantDimensions: dimensions, variants: normalized };
+};
+
+/**
+ * Product-level price and veg flag for an item sold in variants.
+ * @param {Array} variants - Normalised variants
+ * @returns {Object} { amount: lowest variant price, isVeg: whether every variant is veg }
+ */
+const getVariantSummary = (variants) => ({
+    amount: Math.min(...variants.map(variant => variant.amount)),
+    isVeg: variants.every(variant => variant.isVeg)
+});
+
+/**
+ * The variant a cart line asks for.
+ * @param {Object} menuItem - Menu item with variants
+ * @param {Object} selection - Chosen value per dimension name: { Filling: 'Paneer', Portion: 'Full' }
+ * @returns {Object|null} The variant, or null if the selection is incomplete or not offered
+ */
+const findVariant = (menuItem, selection) => {
+    if (!selection || typeof selection !== 'object') return null;
+
+    const values = menuItem.variantDimensions.map(dimension => String(selection[dimension.name] || ''));
+    return menuItem.variants.find(variant => variant.values.every((value, i) => value === values[i])) || null;
+};
+
+/**
+ * Label for a variant on order lines, bills and the KDS.
+ * @param {Object} variant
+ * @returns {string} e.g. "Paneer · Full"
+ */
+const getVariantLabel = (variant) => variant.values.join(LABEL_SEPARATOR);
+
+/**
+ * The variant an order line was placed for, from the label stored on the line.
+ * @param {Object} menuItem - Menu item
+ * @param {string} label - Line's variant label, e.g. "Paneer · Full" ('' for items without variants)
+ * @returns {Object|null}
+ */
+const findVariantByLabel = (menuItem, label) => {
+    if (!label || !hasVariants(menuItem)) return null;
+    return menuItem.variants.find(variant => getVariantLabel(variant) === label) || null;
+};
+
+/**
+ * Ingredients for one portion of a menu item, or of one of its variants.
+ * A variant with its own recipe uses it; otherwise the item's recipe applies.
+ * @param {Object} menuItem - Menu item with recipe and variants
+ * @param {Object|null} variant - Variant sold, or null
+ * @returns {Array} Recipe ingredients
+ */
+const getVariantRecipe = (menuItem, variant) => {
+    return variant && variant.recipe && variant.recipe.length > 0 ? variant.recipe : menuItem.recipe;
+};
+
+/**
+ * CSV cell for a variant.
+ * @param {Array} variantDimensions
+ * @param {Object} variant
+ * @returns {string} e.g. "Filling: Paneer | Portion: Full"
+ */
+const formatVariantCell = (variantDimensions, variant) => {
+    return variantDimensions
+        .map((dimension, i) => `${dimension.name}${CSV_NAME_SEPARATOR} ${variant.values[i]}`)
+        .join(` ${CSV_PAIR_SEPARATOR} `);
+};
+
+/**
+ * Rebuild variant dimensions and variants from the CSV rows of one product.
+ * Dimensions and their values keep the order they first appear in.
+ *
+ * @param {Array} rows - [{ variant: 'Filling: Paneer | Portion: Full', amount, isVeg (boolean) }]
+ * @returns {Object} As validateVariants
+ */
+const parseVariantRows = (rows) => {
+    const dimensions = [];
+    const variants = [];
+
+    for (const row of rows) {
+        const pairs = String(row.variant || '').split(CSV_PAIR_SEPARATOR).map(pair => {
+            const separatorIndex = pair.indexOf(CSV_NAME_SEPARATOR);
+            return separatorIndex === -1
+                ? null
+                : { name: pair.slice(0, separatorIndex).trim(), value: pair.slice(separatorIndex + 1).trim() };
+        });
+        if (pairs.some(pair => !pair || !pair.name || !pair.value)) {
+            return { success: false, message: `Variant "${row.variant}" should look like "Filling: Paneer | Portion: Full"` };
+        }
+
+        const values = [];
+        for (const { name, value } of pairs) {
+            let dimension = dimensions.find(existing => existing.name === name);
+            if (!dimension) {
+                dimension = { name, values: [] };
+                dimensions.push(dimension);
+            }
+            if (!dimension.values.includes(value)) {
+                dimension.values.push(value);
+            }
+            values[dimensions.indexOf(dimension)] = value;
+        }
+        variants.push({ values, amount: row.amount, isVeg: row.isVeg });
+    }
+
+    return validateVariants(dimensions, variants);
+};
+
+module.exports = {
+    hasVariants,
+    validateVariants,
+    getVariantSummary,
+    findVariant,
+    findVariantByLabel,
+    getVariantLabel,
+    getVariantRecipe,
+    formatVariantCell,
+    parseVariantRows
+};
@@ -0,0 +1,22 @@
+/**
+ * Admin Actor Utility
+ *
+ * Who made a change, in the { adminId, name, role } shape stored on orders, bills,
+ * stock movements, purchase orders, stock-takes, promotions, pricing rules, reviews
+ * and loyalty transactions. Records whose schema has no role keep adminId and name only.
+ */
+
+/**
+ * Who made a change, as stored on the record it changed.
+ * @param {Document} admin - Authenticated admin (request.admin)
+ * @returns {Object} { adminId, name, role }
+ */
+const getActor = (admin) => ({
+    adminId: admin ? admin._id : null,
+    name: admin ? admin.name : '',
+    role: admin ? admin.getRole() : ''
+});
+
+module.exports = {
+    getActor
+};
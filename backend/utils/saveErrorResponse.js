@@ -0,0 +1,38 @@
+/**
+ * Save Error Response Utility
+ *
+ * Turns the errors Mongoose raises when an admin record is saved (failed validation,
+ * a duplicate unique key, a malformed ID) into the 400 responses the admin controllers send.
+ */
+
+/**
+ * Turn a save error into an HTTP response.
+ * @param {Error} error - Error thrown while saving
+ * @param {Response} res - Express response
+ * @param {Object} options - { label, duplicateMessage }: label names the record in the
+ *        ID error (e.g. 'supplier'); duplicateMessage is sent for a duplicate key, if it can happen
+ * @returns {boolean} True if the error was handled
+ *
+ * @example
+ * if (handleSaveError(error, res, { label: 'supplier', duplicateMessage: 'A supplier with this name already exists' })) return;
+ */
+const handleSaveError = (error, res, { label, duplicateMessage = null }) => {
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        res.status(400).json({ message: messages.join(', ') });
+        return true;
+    }
+    if (duplicateMessage && error.code === 11000) {
+        res.status(400).json({ message: duplicateMessage });
+        return true;
+    }
+    if (error.kind === 'ObjectId') {
+        res.status(400).json({ message: `Invalid ${label} ID format` });
+        return true;
+    }
+    return false;
+};
+
+module.exports = {
+    handleSaveError
+};
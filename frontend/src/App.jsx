@@ -24,14 +24,29 @@ import AddItem from '@/pages/admin/AddItem'
 import AddNewEmployee from '@/pages/admin/AddNewEmployee'
 import AddNewInventory from '@/pages/admin/AddNewInventory'
 import EditInventory from '@/pages/admin/EditInventory'
+import InventoryValuation from '@/pages/admin/InventoryValuation'
+import Suppliers from '@/pages/admin/Suppliers'
+import PurchaseOrders from '@/pages/admin/PurchaseOrders'
+import NewPurchaseOrder from '@/pages/admin/NewPurchaseOrder'
+import PurchaseOrderDetail from '@/pages/admin/PurchaseOrderDetail'
+import StockTakes from '@/pages/admin/StockTakes'
+import StockTakeDetail from '@/pages/admin/StockTakeDetail'
 import Profile from '@/pages/admin/Profile'
 import EditMenu from './pages/admin/EditMenu'
 import EditEmployee from './pages/admin/EditEmployee'
 import AllAttendance from '@/pages/admin/AllAttendance'
 import PaymentsManagement from '@/pages/admin/PaymentsManagement'
 import BillsManagement from '@/pages/admin/BillsManagement'
+import StaffRoles from '@/pages/admin/StaffRoles'
+import KitchenDisplay from '@/pages/admin/KitchenDisplay'
+import Promotions from '@/pages/admin/Promotions'
+import PricingRules from '@/pages/admin/PricingRules'
+import Dayparts from '@/pages/admin/Dayparts'
+import Reviews from '@/pages/admin/Reviews'
+import Loyalty from '@/pages/admin/Loyalty'
 import Login from './pages/admin/Login'
 import ProtectedRoute from './components/ProtectedRoute'
+import { PERMISSIONS } from '@/lib/permissions'
 
 function App() {
   return (
@@ -49,22 +64,56 @@ function App() {
 
       <Route path='/admin/login' element={<Login />} />
       <Route element={<ProtectedRoute />}>
-        {/* Admin Routes */}
+        {/* Full-screen Kitchen Display, outside the admin layout */}
+        <Route element={<ProtectedRoute permission={PERMISSIONS.ORDERS} />}>
+          <Route path='/kitchen' element={<KitchenDisplay />} />
+        </Route>
+
+        {/* Admin Routes - each section is limited to roles holding its permission */}
         <Route path='/admin' element={<AdminLayout />}>
-          <Route index element={<Analytics />} />
-          <Route path='orders' element={<OrderManagement />} />
-          <Route path='payments' element={<PaymentsManagement />} />
-          <Route path='bills' element={<BillsManagement />} />
-          <Route path='menu' element={<MenuManagement />} />
-          <Route path='menu/add' element={<AddItem />} />
-          <Route path='/admin/menu/edit/:id' element={<EditMenu />} />
-          <Route path='inventory' element={<InventoryManagement />} />
-          <Route path='inventory/add' element={<AddNewInventory />} />
-          <Route path='inventory/edit/:id' element={<EditInventory />} />
-          <Route path='employees' element={<EmployeeManagement />} />
-          <Route path='employees/add' element={<AddNewEmployee />} />
-          <Route path='/admin/employees/edit/:id' element={<EditEmployee />} />
-          <Route path='attendance/all' element={<AllAttendance />} />
+          <Route element={<ProtectedRoute permission={PERMISSIONS.ANALYTICS} />}>
+            <Route index element={<Analytics />} />
+          </Route>
+          <Route element={<ProtectedRoute permission={PERMISSIONS.ORDERS} />}>
+            <Route path='orders' element={<OrderManagement />} />
+          </Route>
+          <Route element={<ProtectedRoute permission={PERMISSIONS.PAYMENTS} />}>
+            <Route path='payments' element={<PaymentsManagement />} />
+          </Route>
+          <Route element={<ProtectedRoute permission={PERMISSIONS.BILLS} />}>
+            <Route path='bills' element={<BillsManagement />} />
+          </Route>
+          <Route element={<ProtectedRoute permission={PERMISSIONS.MENU} />}>
+            <Route path='menu' element={<MenuManagement />} />
+            <Route path='menu/add' element={<AddItem />} />
+            <Route path='/admin/menu/edit/:id' element={<EditMenu />} />
+            <Route path='promotions' element={<Promotions />} />
+            <Route path='pricing-rules' element={<PricingRules />} />
+            <Route path='dayparts' element={<Dayparts />} />
+            <Route path='reviews' element={<Reviews />} />
+            <Route path='loyalty' element={<Loyalty />} />
+          </Route>
+          <Route element={<ProtectedRoute permission={PERMISSIONS.INVENTORY} />}>
+            <Route path='inventory' element={<InventoryManagement />} />
+            <Route path='inventory/add' element={<AddNewInventory />} />
+            <Route path='inventory/edit/:id' element={<EditInventory />} />
+            <Route path='inventory/valuation' element={<InventoryValuation />} />
+            <Route path='suppliers' element={<Suppliers />} />
+            <Route path='purchase-orders' element={<PurchaseOrders />} />
+            <Route path='purchase-orders/new' element={<NewPurchaseOrder />} />
+            <Route path='purchase-orders/:id' element={<PurchaseOrderDetail />} />
+            <Route path='stock-takes' element={<StockTakes />} />
+            <Route path='stock-takes/:id' element={<StockTakeDetail />} />
+          </Route>
+          <Route element={<ProtectedRoute permission={PERMISSIONS.EMPLOYEES} />}>
+            <Route path='employees' element={<EmployeeManagement />} />
+            <Route path='employees/add' element={<AddNewEmployee />} />
+            <Route path='/admin/employees/edit/:id' element={<EditEmployee />} />
+            <Route path='attendance/all' element={<AllAttendance />} />
+          </Route>
+          <Route element={<ProtectedRoute permission={PERMISSIONS.STAFF_ROLES} />}>
+            <Route path='staff-roles' element={<StaffRoles />} />
+          </Route>
           <Route path='profile' element={<Profile />} />
         </Route>
       </Route>
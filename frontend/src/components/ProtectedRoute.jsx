@@ -1,15 +1,28 @@
 import { useContext } from 'react';
 import { Navigate, Outlet } from 'react-router-dom';
 import AuthContext from '../context/AuthContext';
+import { getDefaultAdminPath, hasPermission } from '../lib/permissions';
 
-const ProtectedRoute = () => {
+/**
+ * Guards admin routes. Without a permission prop it only requires a logged-in admin;
+ * with one, admins whose role lacks it are sent to the first section they can use.
+ */
+const ProtectedRoute = ({ permission }) => {
     const { admin, isLoading } = useContext(AuthContext);
 
     if (isLoading) {
         return <div>Loading...</div>;
     }
 
-    return admin ? <Outlet /> : <Navigate to="/admin/login" replace />;
+    if (!admin) {
+        return <Navigate to="/admin/login" replace />;
+    }
+
+    if (permission && !hasPermission(admin, permission)) {
+        return <Navigate to={getDefaultAdminPath(admin)} replace />;
+    }
+
+    return <Outlet />;
 };
 
 export default ProtectedRoute;
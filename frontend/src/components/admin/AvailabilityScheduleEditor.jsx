@@ -0,0 +1,143 @@
+/**
+ * AvailabilityScheduleEditor - Edits when a menu item is served: weekly serving windows and a season.
+ * Outside them the item is left off the customer menu and cannot be ordered.
+ * Whole categories are limited to their hours on the Dayparts page instead.
+ */
+import React from "react";
+import { Input } from "../ui/input";
+import { Button } from "../ui/button";
+import { Label } from "../ui/label";
+import { Plus, Trash2 } from "lucide-react";
+import { DAYS_OF_WEEK } from "@/lib/schedule";
+
+// Matches the backend limit
+const MAX_WINDOWS = 7;
+
+/**
+ * @param {Object} props
+ * @param {Object} props.value - { availabilityWindows: [{ daysOfWeek, startTime, endTime }], availableFrom, availableUntil }
+ * @param {Function} props.onChange - Called with the updated value
+ */
+const AvailabilityScheduleEditor = ({ value, onChange }) => {
+    const { availabilityWindows } = value;
+
+    const updateWindows = (windows) => {
+        onChange({ ...value, availabilityWindows: windows });
+    };
+
+    const addWindow = () => {
+        updateWindows([...availabilityWindows, { daysOfWeek: [], startTime: "07:00", endTime: "11:00" }]);
+    };
+
+    const updateWindow = (index, changes) => {
+        updateWindows(availabilityWindows.map((window, i) => (i === index ? { ...window, ...changes } : window)));
+    };
+
+    const toggleDay = (index, day) => {
+        const { daysOfWeek } = availabilityWindows[index];
+        updateWindow(index, {
+            daysOfWeek: daysOfWeek.includes(day) ? daysOfWeek.filter((d) => d !== day) : [...daysOfWeek, day],
+        });
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="space-y-3">
+                <div>
+                    <p className="font-medium text-gray-900">Serving Times</p>
+                    <p className="text-sm text-gray-500">
+                        {availabilityWindows.length === 0
+                            ? "Served whenever the restaurant is open."
+                            : "Only served during these times (IST). No day selected means every day."}
+                    </p>
+                </div>
+
+                {availabilityWindows.map((window, index) => (
+                    <div key={index} className="space-y-2 p-3 bg-gray-50 rounded-lg">
+                        <div className="flex flex-wrap gap-1">
+                            {DAYS_OF_WEEK.map((day, dayIndex) => (
+                                <button
+                                    key={day}
+                                    type="button"
+                                    onClick={() => toggleDay(index, dayIndex)}
+                                    className={`px-2 py-1 rounded-full text-xs border transition-colors ${window.daysOfWeek.includes(dayIndex)
+                                        ? "bg-orange-500 border-orange-500 text-white"
+                                        : "bg-white border-gray-200 text-gray-600 hover:border-gray-300"
+                                        }`}
+                                >
+                                    {day}
+                                </button>
+                            ))}
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <Input
+                                type="time"
+                                value={window.startTime}
+                                onChange={(e) => updateWindow(index, { startTime: e.target.value })}
+                                className="bg-white"
+                            />
+                            <span className="text-sm text-gray-500">to</span>
+                            <Input
+                                type="time"
+                                value={window.endTime === "24:00" ? "00:00" : window.endTime}
+                                onChange={(e) => updateWindow(index, { endTime: e.target.value })}
+                                className="bg-white"
+                            />
+                            <Button
+                                type="button"
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => updateWindows(availabilityWindows.filter((_, i) => i !== index))}
+                                className="text-red-500 hover:text-red-700 hover:bg-red-50 flex-shrink-0"
+                            >
+                                <Trash2 className="h-4 w-4" />
+                            </Button>
+                        </div>
+                    </div>
+                ))}
+
+                <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={addWindow}
+                    disabled={availabilityWindows.length >= MAX_WINDOWS}
+                    className="text-orange-600 border-orange-300 hover:bg-orange-50"
+                >
+                    <Plus className="h-4 w-4 mr-1" />
+                    Add Serving Time
+                </Button>
+            </div>
+
+            <div className="space-y-2">
+                <div>
+                    <p className="font-medium text-gray-900">Season</p>
+                    <p className="text-sm text-gray-500">Leave empty to sell all year.</p>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                    <div>
+                        <Label htmlFor="availableFrom" className="text-xs text-gray-500">From</Label>
+                        <Input
+                            id="availableFrom"
+                            type="date"
+                            value={value.availableFrom}
+                            onChange={(e) => onChange({ ...value, availableFrom: e.target.value })}
+                        />
+                    </div>
+                    <div>
+                        <Label htmlFor="availableUntil" className="text-xs text-gray-500">Until</Label>
+                        <Input
+                            id="availableUntil"
+                            type="date"
+                            value={value.availableUntil}
+                            min={value.availableFrom || undefined}
+                            onChange={(e) => onChange({ ...value, availableUntil: e.target.value })}
+                        />
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AvailabilityScheduleEditor;
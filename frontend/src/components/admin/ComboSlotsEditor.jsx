@@ -0,0 +1,186 @@
+/**
+ * ComboSlotsEditor - Edits the slots of a combo meal.
+ * A slot is filled from the items listed on it and/or any item of its category; a slot with a single
+ * item and no category is fixed. Orders split the combo into one line per slot.
+ */
+import React, { useEffect, useState } from "react";
+import { Input } from "../ui/input";
+import { Button } from "../ui/button";
+import { Badge } from "../ui/badge";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "../ui/select";
+import { Plus, Trash2, Loader2, X } from "lucide-react";
+import menuService from "@/services/menuService";
+
+// Select value for "no category" (Select items cannot have an empty value)
+const NO_CATEGORY = "none";
+
+/**
+ * @param {Object} props
+ * @param {Array} props.slots - [{ _id?, name, menuItems: [menuItemId], category }]
+ * @param {Function} props.onChange - Called with the updated slots
+ * @param {string} props.excludeId - The combo being edited, which cannot be one of its own options
+ */
+const ComboSlotsEditor = ({ slots, onChange, excludeId }) => {
+    const [menuItems, setMenuItems] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [loadError, setLoadError] = useState(null);
+
+    useEffect(() => {
+        const loadMenu = async () => {
+            try {
+                const items = await menuService.fetchAllMenuItems();
+                // Combos and items sold in variants cannot be combo components
+                setMenuItems(items.filter((item) =>
+                    item._id !== excludeId && !(item.comboSlots?.length > 0) && !(item.variants?.length > 0)
+                ));
+            } catch (error) {
+                console.error("Error loading menu items:", error);
+                setLoadError("Could not load menu items.");
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadMenu();
+    }, [excludeId]);
+
+    const categories = [...new Set(menuItems.map((item) => item.category))].sort();
+    const findMenuItem = (menuItemId) => menuItems.find((item) => item._id === menuItemId);
+
+    const addSlot = () => {
+        onChange([...slots, { name: "", menuItems: [], category: "" }]);
+    };
+
+    const updateSlot = (index, changes) => {
+        onChange(slots.map((slot, i) => (i === index ? { ...slot, ...changes } : slot)));
+    };
+
+    const removeSlot = (index) => {
+        onChange(slots.filter((_, i) => i !== index));
+    };
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center gap-2 p-4 bg-gray-50 rounded-lg text-sm text-gray-500">
+                <Loader2 className="h-4 w-4 animate-spin" />
+                Loading menu...
+            </div>
+        );
+    }
+
+    if (loadError) {
+        return (
+            <div className="p-4 bg-gray-50 rounded-lg text-center text-gray-500 text-sm">
+                {loadError}
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-3">
+            {slots.length === 0 ? (
+                <div className="p-4 bg-gray-50 rounded-lg text-center text-gray-500 text-sm">
+                    No slots added. Add one slot for each part of the combo, e.g. "Momos" and "Drink".
+                </div>
+            ) : (
+                slots.map((slot, index) => (
+                    <div key={slot._id || index} className="space-y-3 p-3 bg-gray-50 rounded-lg">
+                        <div className="flex items-center gap-3">
+                            <Input
+                                placeholder="Slot name, e.g. Any momos plate"
+                                value={slot.name}
+                                maxLength={40}
+                                onChange={(e) => updateSlot(index, { name: e.target.value })}
+                                className="bg-white"
+                            />
+                            <div className="w-48 flex-shrink-0">
+                                <Select
+                                    value={slot.category || NO_CATEGORY}
+                                    onValueChange={(value) => updateSlot(index, { category: value === NO_CATEGORY ? "" : value })}
+                                >
+                                    <SelectTrigger className="bg-white">
+                                        <SelectValue placeholder="Any from category" />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        <SelectItem value={NO_CATEGORY}>Listed items only</SelectItem>
+                                        {categories.map((category) => (
+                                            <SelectItem key={category} value={category}>
+                                                Any {category}
+                                            </SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                            <Button
+                                type="button"
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => removeSlot(index)}
+                                className="text-red-500 hover:text-red-700 hover:bg-red-50"
+                            >
+                                <Trash2 className="h-4 w-4" />
+                            </Button>
+                        </div>
+
+                        <div className="flex flex-wrap items-center gap-2">
+                            {slot.menuItems.map((menuItemId) => (
+                                <Badge key={menuItemId} variant="outline" className="bg-white gap-1">
+                                    {findMenuItem(menuItemId)?.productName || "Removed item"}
+                                    <button
+                                        type="button"
+                                        onClick={() => updateSlot(index, { menuItems: slot.menuItems.filter((id) => id !== menuItemId) })}
+                                        className="text-gray-400 hover:text-red-500"
+                                    >
+                                        <X className="h-3 w-3" />
+                                    </button>
+                                </Badge>
+                            ))}
+                            <div className="w-56">
+                                <Select
+                                    value=""
+                                    onValueChange={(value) => updateSlot(index, { menuItems: [...slot.menuItems, value] })}
+                                >
+                                    <SelectTrigger className="bg-white h-8 text-xs">
+                                        <SelectValue placeholder="Add an item" />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        {menuItems
+                                            .filter((item) => !slot.menuItems.includes(item._id))
+                                            .map((item) => (
+                                                <SelectItem key={item._id} value={item._id}>
+                                                    {item.productName} (₹{item.amount})
+                                                </SelectItem>
+                                            ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                        </div>
+
+                        {slot.menuItems.length === 1 && !slot.category && (
+                            <p className="text-xs text-gray-500">Fixed item - customers do not choose for this slot.</p>
+                        )}
+                    </div>
+                ))
+            )}
+
+            <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={addSlot}
+                className="text-orange-600 border-orange-300 hover:bg-orange-50"
+            >
+                <Plus className="h-4 w-4 mr-1" />
+                Add Slot
+            </Button>
+        </div>
+    );
+};
+
+export default ComboSlotsEditor;
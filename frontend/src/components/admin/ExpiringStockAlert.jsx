@@ -0,0 +1,184 @@
+/**
+ * ExpiringStockAlert - Dashboard alert for perishable stock batches expiring within a number
+ * of days, with write-off of expired batches. Refreshes when the server's daily expiry alert
+ * arrives over the socket.
+ */
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { Button } from "../ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../ui/card";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "../ui/select";
+import { CalendarClock, Loader2, Trash2 } from "lucide-react";
+import inventoryService from "@/services/inventoryService";
+import { useSocket } from "@/context/SocketContext";
+import { describeExpiry } from "@/lib/expiry";
+import { toast } from "sonner";
+
+const DAY_OPTIONS = [1, 3, 7, 14];
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onWrittenOff - Called after a batch is written off, so the page can refresh its stock
+ */
+const ExpiringStockAlert = ({ onWrittenOff }) => {
+    const { socket } = useSocket();
+    // null until chosen, so the server's EXPIRY_ALERT_DAYS is used first
+    const [days, setDays] = useState(null);
+    const [expiring, setExpiring] = useState({ days: null, batches: [] });
+    const [isLoading, setIsLoading] = useState(true);
+    const [writingOffId, setWritingOffId] = useState(null);
+    const [refreshKey, setRefreshKey] = useState(0);
+
+    useEffect(() => {
+        const loadExpiring = async () => {
+            setIsLoading(true);
+            try {
+                const data = await inventoryService.fetchExpiringBatches(days ?? undefined);
+                setExpiring(data);
+            } catch (error) {
+                console.error("Error fetching expiring stock:", error);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadExpiring();
+    }, [days, refreshKey]);
+
+    // Daily expiry alert from the server
+    useEffect(() => {
+        if (!socket) return;
+
+        socket.emit("admin:join");
+
+        const handleExpiryAlert = ({ batches }) => {
+            const expiredCount = batches.filter((batch) => batch.isExpired).length;
+            toast.warning(expiredCount > 0
+                ? `${expiredCount} batch${expiredCount === 1 ? " has" : "es have"} expired and should be written off`
+                : `${batches.length} batch${batches.length === 1 ? "" : "es"} expiring soon`);
+            setRefreshKey((key) => key + 1);
+        };
+
+        socket.on("inventory:expiryAlert", handleExpiryAlert);
+
+        return () => {
+            socket.off("inventory:expiryAlert", handleExpiryAlert);
+        };
+    }, [socket]);
+
+    const handleWriteOff = async (batch) => {
+        const label = batch.batchNumber ? `batch ${batch.batchNumber} of ${batch.name}` : batch.name;
+        if (!window.confirm(`Write off the ${batch.quantity} ${batch.unitOfMeasure} left in ${label}? It will be recorded as wastage.`)) {
+            return;
+        }
+
+        setWritingOffId(batch.batchId);
+        try {
+            await inventoryService.writeOffBatch(batch.inventoryItem, batch.batchId);
+            setExpiring((prev) => ({
+                ...prev,
+                batches: prev.batches.filter((entry) => entry.batchId !== batch.batchId),
+            }));
+            toast.success(`Wrote off ${batch.quantity} ${batch.unitOfMeasure} of ${batch.name}`);
+            onWrittenOff?.();
+        } catch (error) {
+            console.error("Error writing off batch:", error);
+            toast.error(error.response?.data?.message || "Failed to write off batch");
+        } finally {
+            setWritingOffId(null);
+        }
+    };
+
+    const dayOptions = expiring.days !== null && !DAY_OPTIONS.includes(expiring.days)
+        ? [...DAY_OPTIONS, expiring.days].sort((a, b) => a - b)
+        : DAY_OPTIONS;
+
+    return (
+        <Card className="bg-white mb-6">
+            <CardHeader className="flex flex-row items-start justify-between gap-4">
+                <div className="flex items-center gap-3">
+                    <div className="p-2 rounded-lg bg-red-100">
+                        <CalendarClock className="h-5 w-5 text-red-600" />
+                    </div>
+                    <div>
+                        <CardTitle className="text-lg">Expiring Stock</CardTitle>
+                        <CardDescription>Perishable batches nearing, or past, their expiry date.</CardDescription>
+                    </div>
+                </div>
+                <Select
+                    value={expiring.days === null ? "" : expiring.days.toString()}
+                    onValueChange={(value) => setDays(Number(value))}
+                >
+                    <SelectTrigger className="w-36">
+                        <SelectValue placeholder="Expiring in..." />
+                    </SelectTrigger>
+                    <SelectContent>
+                        {dayOptions.map((option) => (
+                            <SelectItem key={option} value={option.toString()}>
+                                Within {option} day{option === 1 ? "" : "s"}
+                            </SelectItem>
+                        ))}
+                    </SelectContent>
+                </Select>
+            </CardHeader>
+            <CardContent>
+                {isLoading ? (
+                    <div className="flex items-center text-sm text-gray-500">
+                        <Loader2 className="h-4 w-4 mr-2 animate-spin text-orange-500" />
+                        Checking expiry dates...
+                    </div>
+                ) : expiring.batches.length === 0 ? (
+                    <p className="text-sm text-gray-500">
+                        Nothing expires in the next {expiring.days} day{expiring.days === 1 ? "" : "s"}.
+                    </p>
+                ) : (
+                    <ul className="divide-y">
+                        {expiring.batches.map((batch) => (
+                            <li key={batch.batchId} className="flex items-center justify-between gap-4 py-2">
+                                <div>
+                                    <Link
+                                        to={`/admin/inventory/edit/${batch.inventoryItem}`}
+                                        className="font-medium text-gray-900 hover:text-orange-600"
+                                    >
+                                        {batch.name}
+                                    </Link>
+                                    <p className="text-sm text-gray-500">
+                                        {batch.quantity} {batch.unitOfMeasure}
+                                        {batch.batchNumber && ` · Batch ${batch.batchNumber}`}
+                                    </p>
+                                </div>
+                                <div className="flex items-center gap-3">
+                                    <span className={`text-sm font-medium ${batch.isExpired ? "text-red-600" : "text-orange-600"}`}>
+                                        {describeExpiry(batch.expiryDate)}
+                                    </span>
+                                    {batch.isExpired && (
+                                        <Button
+                                            variant="outline"
+                                            size="sm"
+                                            className="text-red-600 hover:text-red-700"
+                                            onClick={() => handleWriteOff(batch)}
+                                            disabled={writingOffId === batch.batchId}
+                                        >
+                                            {writingOffId === batch.batchId
+                                                ? <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                                                : <Trash2 className="h-4 w-4 mr-1" />}
+                                            Write Off
+                                        </Button>
+                                    )}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default ExpiringStockAlert;
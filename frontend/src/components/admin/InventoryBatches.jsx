@@ -0,0 +1,127 @@
+/**
+ * InventoryBatches - Batches of a perishable inventory item with their expiry dates,
+ * soonest first, and write-off of what is left of a batch as wastage.
+ */
+import React, { useState } from "react";
+import { Button } from "../ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../ui/card";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../ui/table";
+import { Loader2, Trash2 } from "lucide-react";
+import inventoryService from "@/services/inventoryService";
+import { daysUntilExpiry, describeExpiry } from "@/lib/expiry";
+import { toast } from "sonner";
+
+const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+    });
+};
+
+const getExpiryClassName = (expiryDate, alertDays) => {
+    const days = daysUntilExpiry(expiryDate);
+    if (days < 0) return "text-red-600 font-medium";
+    if (days <= alertDays) return "text-orange-600 font-medium";
+    return "text-gray-600";
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.inventoryItemId - Inventory item ID
+ * @param {Array} props.batches - Item's batches
+ * @param {string} props.unitOfMeasure - Item's unit, used to label quantities
+ * @param {number} props.alertDays - Batches expiring within this many days are highlighted
+ * @param {Function} props.onWrittenOff - Called with the updated inventory item after a write-off
+ */
+const InventoryBatches = ({ inventoryItemId, batches, unitOfMeasure, alertDays = 3, onWrittenOff }) => {
+    const [writingOffId, setWritingOffId] = useState(null);
+
+    const sortedBatches = [...batches].sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
+
+    const handleWriteOff = async (batch) => {
+        const label = batch.batchNumber ? `batch ${batch.batchNumber}` : "this batch";
+        if (!window.confirm(`Write off the ${batch.quantity} ${unitOfMeasure} left in ${label}? It will be recorded as wastage.`)) {
+            return;
+        }
+
+        setWritingOffId(batch._id);
+        try {
+            const { inventoryItem } = await inventoryService.writeOffBatch(inventoryItemId, batch._id);
+            onWrittenOff?.(inventoryItem);
+            toast.success(`Wrote off ${batch.quantity} ${unitOfMeasure}`);
+        } catch (error) {
+            console.error("Error writing off batch:", error);
+            toast.error(error.response?.data?.message || "Failed to write off batch");
+        } finally {
+            setWritingOffId(null);
+        }
+    };
+
+    return (
+        <Card className="bg-white">
+            <CardHeader>
+                <CardTitle className="text-lg">Batches</CardTitle>
+                <CardDescription>
+                    Stock is used from the batch that expires first. Write off expired stock so the count stays right.
+                </CardDescription>
+            </CardHeader>
+            <CardContent>
+                {sortedBatches.length === 0 ? (
+                    <p className="text-sm text-gray-500">No batches with stock left.</p>
+                ) : (
+                    <Table>
+                        <TableHeader>
+                            <TableRow className="bg-gray-50">
+                                <TableHead className="font-semibold text-gray-700">BATCH</TableHead>
+                                <TableHead className="font-semibold text-gray-700">RECEIVED</TableHead>
+                                <TableHead className="font-semibold text-gray-700 text-right">REMAINING</TableHead>
+                                <TableHead className="font-semibold text-gray-700">EXPIRY</TableHead>
+                                <TableHead className="font-semibold text-gray-700 text-right">ACTION</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {sortedBatches.map((batch) => (
+                                <TableRow key={batch._id}>
+                                    <TableCell className="font-medium text-gray-900">{batch.batchNumber || "—"}</TableCell>
+                                    <TableCell className="text-sm text-gray-600">{formatDate(batch.receivedAt)}</TableCell>
+                                    <TableCell className="text-right text-gray-900">
+                                        {batch.quantity} / {batch.receivedQuantity} {unitOfMeasure}
+                                    </TableCell>
+                                    <TableCell className={`text-sm ${getExpiryClassName(batch.expiryDate, alertDays)}`}>
+                                        <p>{formatDate(batch.expiryDate)}</p>
+                                        <p className="text-xs">{describeExpiry(batch.expiryDate)}</p>
+                                    </TableCell>
+                                    <TableCell className="text-right">
+                                        <Button
+                                            type="button"
+                                            variant="outline"
+                                            size="sm"
+                                            className="text-red-600 hover:text-red-700"
+                                            onClick={() => handleWriteOff(batch)}
+                                            disabled={writingOffId === batch._id}
+                                        >
+                                            {writingOffId === batch._id
+                                                ? <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                                                : <Trash2 className="h-4 w-4 mr-1" />}
+                                            Write Off
+                                        </Button>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default InventoryBatches;
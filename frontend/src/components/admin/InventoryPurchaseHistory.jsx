@@ -0,0 +1,97 @@
+/**
+ * InventoryPurchaseHistory - Purchase orders that included an inventory item,
+ * with how much was ordered and received and at what cost.
+ */
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../ui/card";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../ui/table";
+import { Loader2 } from "lucide-react";
+import PurchaseOrderStatusBadge from "./PurchaseOrderStatusBadge";
+import purchaseOrderService from "@/services/purchaseOrderService";
+
+/**
+ * @param {Object} props
+ * @param {string} props.inventoryItemId - Inventory item ID
+ */
+const InventoryPurchaseHistory = ({ inventoryItemId }) => {
+    const [purchaseOrders, setPurchaseOrders] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        purchaseOrderService.fetchPurchaseOrders({ inventoryItem: inventoryItemId })
+            .then(setPurchaseOrders)
+            .catch((error) => console.error("Error loading purchase history:", error))
+            .finally(() => setIsLoading(false));
+    }, [inventoryItemId]);
+
+    return (
+        <Card className="bg-white">
+            <CardHeader>
+                <CardTitle className="text-lg">Purchase History</CardTitle>
+                <CardDescription>Purchase orders that included this item, newest first.</CardDescription>
+            </CardHeader>
+            <CardContent>
+                {isLoading ? (
+                    <div className="flex items-center text-sm text-gray-500">
+                        <Loader2 className="h-4 w-4 mr-2 animate-spin text-orange-500" />
+                        Loading purchase history...
+                    </div>
+                ) : purchaseOrders.length === 0 ? (
+                    <p className="text-sm text-gray-500">This item has not been ordered from a supplier yet.</p>
+                ) : (
+                    <Table>
+                        <TableHeader>
+                            <TableRow className="bg-gray-50">
+                                <TableHead className="font-semibold text-gray-700">PO</TableHead>
+                                <TableHead className="font-semibold text-gray-700">SUPPLIER</TableHead>
+                                <TableHead className="font-semibold text-gray-700">ORDERED</TableHead>
+                                <TableHead className="font-semibold text-gray-700">RECEIVED</TableHead>
+                                <TableHead className="font-semibold text-gray-700">UNIT COST</TableHead>
+                                <TableHead className="font-semibold text-gray-700">STATUS</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {purchaseOrders.map((purchaseOrder) => {
+                                const line = purchaseOrder.items.find((item) => item.inventoryItem === inventoryItemId);
+                                if (!line) return null;
+
+                                return (
+                                    <TableRow key={purchaseOrder._id}>
+                                        <TableCell>
+                                            <Link
+                                                to={`/admin/purchase-orders/${purchaseOrder._id}`}
+                                                className="font-medium text-orange-600 hover:underline"
+                                            >
+                                                {purchaseOrder.poNumber}
+                                            </Link>
+                                            <p className="text-xs text-gray-500">
+                                                {new Date(purchaseOrder.createdAt).toLocaleDateString("en-IN")}
+                                            </p>
+                                        </TableCell>
+                                        <TableCell className="text-gray-600">{purchaseOrder.supplierName}</TableCell>
+                                        <TableCell className="text-gray-600">{line.quantityOrdered} {line.unitOfMeasure}</TableCell>
+                                        <TableCell className="text-gray-600">{line.quantityReceived} {line.unitOfMeasure}</TableCell>
+                                        <TableCell className="text-gray-600">₹{line.unitCost.toFixed(2)}</TableCell>
+                                        <TableCell>
+                                            <PurchaseOrderStatusBadge status={purchaseOrder.status} />
+                                        </TableCell>
+                                    </TableRow>
+                                );
+                            })}
+                        </TableBody>
+                    </Table>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default InventoryPurchaseHistory;
@@ -0,0 +1,165 @@
+/**
+ * ItemStockTakeHistory - An inventory item's variance in past approved stock-takes,
+ * as a trend chart and a table.
+ */
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { Bar } from "react-chartjs-2";
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    BarElement,
+    Tooltip,
+} from "chart.js";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../ui/card";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../ui/table";
+import { Loader2 } from "lucide-react";
+import stockTakeService from "@/services/stockTakeService";
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip);
+
+const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+    });
+};
+
+const formatSigned = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+/**
+ * @param {Object} props
+ * @param {string} props.inventoryItemId - Inventory item ID
+ */
+const ItemStockTakeHistory = ({ inventoryItemId }) => {
+    const [history, setHistory] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [loadError, setLoadError] = useState(null);
+
+    useEffect(() => {
+        const loadHistory = async () => {
+            setIsLoading(true);
+            setLoadError(null);
+            try {
+                const data = await stockTakeService.fetchItemStockTakeHistory(inventoryItemId);
+                setHistory(data);
+            } catch (error) {
+                console.error("Error loading stock-take history:", error);
+                setLoadError("Failed to load stock-take history.");
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadHistory();
+    }, [inventoryItemId]);
+
+    const chartData = {
+        labels: history.map((entry) => formatDate(entry.approvedAt)),
+        datasets: [
+            {
+                label: "Variance",
+                data: history.map((entry) => entry.variance),
+                backgroundColor: history.map((entry) => (entry.variance < 0 ? "rgba(220, 38, 38, 0.7)" : "rgba(22, 163, 74, 0.7)")),
+                borderRadius: 4,
+            },
+        ],
+    };
+
+    const chartOptions = {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+            tooltip: {
+                displayColors: false,
+                callbacks: {
+                    title: (context) => history[context[0].dataIndex].stockTakeNumber,
+                    label: (context) => `Variance: ${formatSigned(context.parsed.y)} ${history[context.dataIndex].unitOfMeasure}`,
+                },
+            },
+        },
+        scales: {
+            x: { grid: { display: false } },
+            y: { grid: { color: "rgba(229, 231, 235, 0.5)" } },
+        },
+    };
+
+    return (
+        <Card className="bg-white">
+            <CardHeader>
+                <CardTitle className="text-lg">Stock-take History</CardTitle>
+                <CardDescription>
+                    Counted against expected stock in approved stock-takes. Below zero means stock went missing.
+                </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-6">
+                {isLoading ? (
+                    <div className="flex items-center text-sm text-gray-500">
+                        <Loader2 className="h-4 w-4 mr-2 animate-spin text-orange-500" />
+                        Loading stock-take history...
+                    </div>
+                ) : loadError ? (
+                    <p className="text-sm text-red-600">{loadError}</p>
+                ) : history.length === 0 ? (
+                    <p className="text-sm text-gray-500">This item has not been counted in an approved stock-take yet.</p>
+                ) : (
+                    <>
+                        <div className="h-48">
+                            <Bar data={chartData} options={chartOptions} />
+                        </div>
+                        <Table>
+                            <TableHeader>
+                                <TableRow className="bg-gray-50">
+                                    <TableHead className="font-semibold text-gray-700">STOCK-TAKE</TableHead>
+                                    <TableHead className="font-semibold text-gray-700 text-right">EXPECTED</TableHead>
+                                    <TableHead className="font-semibold text-gray-700 text-right">COUNTED</TableHead>
+                                    <TableHead className="font-semibold text-gray-700 text-right">VARIANCE</TableHead>
+                                    <TableHead className="font-semibold text-gray-700 text-right">VALUE</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {[...history].reverse().map((entry) => (
+                                    <TableRow key={entry.stockTake}>
+                                        <TableCell>
+                                            <Link
+                                                to={`/admin/stock-takes/${entry.stockTake}`}
+                                                className="font-medium text-orange-600 hover:underline"
+                                            >
+                                                {entry.stockTakeNumber}
+                                            </Link>
+                                            <p className="text-xs text-gray-500">{formatDate(entry.approvedAt)}</p>
+                                        </TableCell>
+                                        <TableCell className="text-right text-gray-600">
+                                            {entry.systemQuantity} {entry.unitOfMeasure}
+                                        </TableCell>
+                                        <TableCell className="text-right text-gray-900">
+                                            {entry.countedQuantity} {entry.unitOfMeasure}
+                                        </TableCell>
+                                        <TableCell
+                                            className={`text-right font-medium ${entry.variance < 0 ? "text-red-600" : entry.variance > 0 ? "text-green-600" : "text-gray-600"}`}
+                                        >
+                                            {formatSigned(entry.variance)} {entry.unitOfMeasure}
+                                        </TableCell>
+                                        <TableCell className="text-right text-gray-600">
+                                            {entry.varianceValue === null ? "—" : `₹${entry.varianceValue.toFixed(2)}`}
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default ItemStockTakeHistory;
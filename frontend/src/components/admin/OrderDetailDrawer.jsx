@@ -0,0 +1,371 @@
+/**
+ * OrderDetailDrawer - Side drawer with an order's items, status actions and status history.
+ * Offers only the changes the status flow allows, asks for a reason when cancelling,
+ * and lets managers override the flow with a reason.
+ */
+import React, { useState, useContext } from "react";
+import { Button } from "../ui/button";
+import { Badge } from "../ui/badge";
+import { Textarea } from "../ui/textarea";
+import { Separator } from "../ui/separator";
+import {
+    Sheet,
+    SheetContent,
+    SheetDescription,
+    SheetHeader,
+    SheetTitle,
+} from "../ui/sheet";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "../ui/select";
+import { History, Loader2, ShieldAlert, XCircle } from "lucide-react";
+import OrderItemExtras from "./OrderItemExtras";
+import AuthContext from "@/context/AuthContext";
+import { updateOrderStatus, updateOrderItemStatus } from "@/services/orderService";
+import { ORDER_STATUSES, STATUS_TRANSITIONS, MAX_STATUS_REASON_LENGTH } from "@/lib/orderStatus";
+import { toast } from "sonner";
+
+const STATUS_LABELS = {
+    pending: "Pending",
+    preparing: "Preparing",
+    served: "Served",
+    cancelled: "Cancelled",
+    bumped: "Bumped",
+};
+
+const STATUS_BADGE_CLASSES = {
+    pending: "bg-yellow-100 text-yellow-700 hover:bg-yellow-100",
+    preparing: "bg-orange-100 text-orange-700 hover:bg-orange-100",
+    served: "bg-green-100 text-green-700 hover:bg-green-100",
+    cancelled: "bg-red-100 text-red-700 hover:bg-red-100",
+};
+
+// Button labels for moving forward in the status flow
+const ACTION_LABELS = {
+    preparing: "Start Preparing",
+    served: "Mark as Served",
+};
+
+const formatDateTime = (dateInput) => {
+    return new Date(dateInput).toLocaleString([], {
+        day: "2-digit",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+    });
+};
+
+/**
+ * Describe a status history entry, e.g. "Order: Pending → Preparing".
+ * @param {Object} entry - statusHistory entry
+ * @returns {string}
+ */
+const describeHistoryEntry = (entry) => {
+    if (!entry.from) return "Order placed";
+
+    const change = `${STATUS_LABELS[entry.from] || entry.from} → ${STATUS_LABELS[entry.to] || entry.to}`;
+    if (entry.scope === "item") return `${entry.itemName}: ${change}`;
+    if (entry.scope === "station") return `${entry.station} ticket: ${change}`;
+    return `Order: ${change}`;
+};
+
+const StatusBadge = ({ status }) => (
+    <Badge variant="secondary" className={STATUS_BADGE_CLASSES[status] || STATUS_BADGE_CLASSES.pending}>
+        {STATUS_LABELS[status] || status}
+    </Badge>
+);
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.order - Order to show (kept current by the parent's socket updates)
+ * @param {boolean} props.open - Whether the drawer is open
+ * @param {Function} props.onOpenChange - Called with the new open state
+ * @param {Object|null} props.initialCancelTarget - Open straight into the cancel form:
+ *   { type: "cancel-order" } or { type: "cancel-item", itemIndex }
+ */
+export default function OrderDetailDrawer({ order, open, onOpenChange, initialCancelTarget = null }) {
+    const { admin } = useContext(AuthContext);
+    const isManager = admin?.role === "Manager";
+
+    // { type: "cancel-order" } or { type: "cancel-item", itemIndex }
+    const [cancelTarget, setCancelTarget] = useState(initialCancelTarget);
+    const [cancelReason, setCancelReason] = useState("");
+    const [overrideStatus, setOverrideStatus] = useState("");
+    const [overrideReason, setOverrideReason] = useState("");
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    if (!order) return null;
+
+    const history = [...(order.statusHistory || [])].reverse();
+    const nextOrderStatuses = (STATUS_TRANSITIONS[order.status] || []).filter((status) => status !== "cancelled");
+    const canCancelOrder = (STATUS_TRANSITIONS[order.status] || []).includes("cancelled");
+    const isPaid = order.billingStatus === "paid";
+
+    /**
+     * Send a status change and report the result.
+     * @param {Function} request - Calls the API and returns its response
+     * @returns {Promise<boolean>} True on success
+     */
+    const submitChange = async (request) => {
+        setIsSubmitting(true);
+        try {
+            const response = await request();
+            toast.success(response.message);
+            return true;
+        } catch (error) {
+            console.error("Error changing order status:", error);
+            toast.error(error.response?.data?.message || "Failed to update status");
+            return false;
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleOrderStatus = (status) => {
+        submitChange(() => updateOrderStatus(order._id, status));
+    };
+
+    const handleItemStatus = (itemIndex, status) => {
+        submitChange(() => updateOrderItemStatus(order._id, itemIndex, status));
+    };
+
+    const handleConfirmCancel = async () => {
+        const reason = cancelReason.trim();
+        const isDone = await submitChange(() =>
+            cancelTarget.type === "cancel-item"
+                ? updateOrderItemStatus(order._id, cancelTarget.itemIndex, "cancelled", { reason })
+                : updateOrderStatus(order._id, "cancelled", { reason })
+        );
+        if (isDone) {
+            setCancelTarget(null);
+            setCancelReason("");
+        }
+    };
+
+    const handleOverride = async () => {
+        const isDone = await submitChange(() =>
+            updateOrderStatus(order._id, overrideStatus, { reason: overrideReason.trim(), override: true })
+        );
+        if (isDone) {
+            setOverrideStatus("");
+            setOverrideReason("");
+        }
+    };
+
+    return (
+        <Sheet open={open} onOpenChange={onOpenChange}>
+            <SheetContent className="w-full sm:max-w-md overflow-y-auto">
+                <SheetHeader>
+                    <SheetTitle className="flex items-center gap-2">
+                        Order #{order.orderNumber}
+                        <StatusBadge status={order.status} />
+                    </SheetTitle>
+                    <SheetDescription>
+                        Table {order.tableNumber} • {order.customerName || "Guest"} • {formatDateTime(order.createdAt)}
+                    </SheetDescription>
+                </SheetHeader>
+
+                <div className="px-4 pb-6 space-y-5">
+                    {/* Items */}
+                    <div className="space-y-3">
+                        <h3 className="text-sm font-semibold text-gray-700">Items</h3>
+                        {order.items.map((item, index) => {
+                            const itemStatus = item.status || order.status;
+                            const nextItemStatuses = (STATUS_TRANSITIONS[itemStatus] || []).filter((status) => status !== "cancelled");
+                            const canCancelItem = (STATUS_TRANSITIONS[itemStatus] || []).includes("cancelled");
+
+                            return (
+                                <div key={index} className="rounded-lg border border-gray-200 p-3">
+                                    <div className="flex items-start justify-between gap-2">
+                                        <div>
+                                            <p className={`text-sm font-medium ${itemStatus === "cancelled" ? "text-gray-400 line-through" : "text-gray-900"}`}>
+                                                {item.quantity}x {item.name}
+                                            </p>
+                                            <p className="text-xs text-gray-500">₹{(item.price * item.quantity).toFixed(2)}</p>
+                                            <OrderItemExtras item={item} />
+                                        </div>
+                                        <StatusBadge status={itemStatus} />
+                                    </div>
+                                    {!isPaid && (nextItemStatuses.length > 0 || canCancelItem) && (
+                                        <div className="mt-2 flex flex-wrap gap-2">
+                                            {nextItemStatuses.map((status) => (
+                                                <Button
+                                                    key={status}
+                                                    size="sm"
+                                                    variant="outline"
+                                                    className="h-7 text-xs"
+                                                    disabled={isSubmitting}
+                                                    onClick={() => handleItemStatus(index, status)}
+                                                >
+                                                    {ACTION_LABELS[status]}
+                                                </Button>
+                                            ))}
+                                            {canCancelItem && (
+                                                <Button
+                                                    size="sm"
+                                                    variant="ghost"
+                                                    className="h-7 text-xs text-red-600 hover:text-red-700 hover:bg-red-50"
+                                                    disabled={isSubmitting}
+                                                    onClick={() => setCancelTarget({ type: "cancel-item", itemIndex: index })}
+                                                >
+                                                    Cancel Item
+                                                </Button>
+                                            )}
+                                        </div>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+
+                    <div className="flex justify-between text-sm font-semibold text-gray-900">
+                        <span>Total</span>
+                        <span>₹{order.total?.toFixed(2)}</span>
+                    </div>
+
+                    {/* Order Actions */}
+                    {(nextOrderStatuses.length > 0 || canCancelOrder) && (
+                        <div className="flex flex-wrap gap-2">
+                            {nextOrderStatuses.map((status) => (
+                                <Button
+                                    key={status}
+                                    className="bg-orange-500 hover:bg-orange-600 text-white"
+                                    disabled={isSubmitting}
+                                    onClick={() => handleOrderStatus(status)}
+                                >
+                                    {ACTION_LABELS[status]}
+                                </Button>
+                            ))}
+                            {canCancelOrder && (
+                                <Button
+                                    variant="outline"
+                                    className="border-red-300 text-red-600 hover:bg-red-50 hover:text-red-700"
+                                    disabled={isSubmitting}
+                                    onClick={() => setCancelTarget({ type: "cancel-order" })}
+                                >
+                                    <XCircle className="h-4 w-4 mr-1" />
+                                    Cancel Order
+                                </Button>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Cancellation Reason */}
+                    {cancelTarget && (
+                        <div className="rounded-lg border border-red-200 bg-red-50 p-3 space-y-2">
+                            <p className="text-sm font-semibold text-red-700">
+                                {cancelTarget.type === "cancel-item"
+                                    ? `Cancel ${order.items[cancelTarget.itemIndex]?.name}`
+                                    : `Cancel order #${order.orderNumber}`}
+                            </p>
+                            <Textarea
+                                value={cancelReason}
+                                onChange={(e) => setCancelReason(e.target.value)}
+                                placeholder="Reason for cancelling (required)"
+                                maxLength={MAX_STATUS_REASON_LENGTH}
+                                className="bg-white"
+                            />
+                            <div className="flex gap-2">
+                                <Button
+                                    size="sm"
+                                    className="bg-red-600 hover:bg-red-700 text-white"
+                                    disabled={isSubmitting || !cancelReason.trim()}
+                                    onClick={handleConfirmCancel}
+                                >
+                                    {isSubmitting && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                                    Confirm Cancellation
+                                </Button>
+                                <Button
+                                    size="sm"
+                                    variant="ghost"
+                                    onClick={() => {
+                                        setCancelTarget(null);
+                                        setCancelReason("");
+                                    }}
+                                >
+                                    Keep
+                                </Button>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Manager Override */}
+                    {isManager && !isPaid && (
+                        <div className="rounded-lg border border-purple-200 bg-purple-50 p-3 space-y-2">
+                            <p className="flex items-center gap-1 text-sm font-semibold text-purple-700">
+                                <ShieldAlert className="h-4 w-4" />
+                                Manager Override
+                            </p>
+                            <Select value={overrideStatus} onValueChange={setOverrideStatus}>
+                                <SelectTrigger className="bg-white">
+                                    <SelectValue placeholder="Set status to..." />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {ORDER_STATUSES.filter((status) => status !== order.status).map((status) => (
+                                        <SelectItem key={status} value={status}>
+                                            {STATUS_LABELS[status]}
+                                        </SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                            <Textarea
+                                value={overrideReason}
+                                onChange={(e) => setOverrideReason(e.target.value)}
+                                placeholder="Reason for the override (required)"
+                                maxLength={MAX_STATUS_REASON_LENGTH}
+                                className="bg-white"
+                            />
+                            <Button
+                                size="sm"
+                                className="bg-purple-600 hover:bg-purple-700 text-white"
+                                disabled={isSubmitting || !overrideStatus || !overrideReason.trim()}
+                                onClick={handleOverride}
+                            >
+                                Apply Override
+                            </Button>
+                        </div>
+                    )}
+
+                    <Separator />
+
+                    {/* Status History */}
+                    <div>
+                        <h3 className="flex items-center gap-1 text-sm font-semibold text-gray-700 mb-3">
+                            <History className="h-4 w-4" />
+                            Status History
+                        </h3>
+                        {history.length === 0 ? (
+                            <p className="text-sm text-gray-500">No status changes recorded for this order.</p>
+                        ) : (
+                            <ol className="space-y-3 border-l-2 border-orange-200 pl-4">
+                                {history.map((entry, index) => (
+                                    <li key={index} className="text-sm">
+                                        <p className="font-medium text-gray-900">
+                                            {describeHistoryEntry(entry)}
+                                            {entry.override && (
+                                                <Badge className="ml-2 bg-purple-100 text-purple-700 hover:bg-purple-100">
+                                                    Override
+                                                </Badge>
+                                            )}
+                                        </p>
+                                        <p className="text-xs text-gray-500">
+                                            {entry.changedBy?.name || "System"}
+                                            {entry.changedBy?.role ? ` (${entry.changedBy.role})` : ""} • {formatDateTime(entry.changedAt)}
+                                        </p>
+                                        {entry.reason && (
+                                            <p className="text-xs italic text-gray-600">“{entry.reason}”</p>
+                                        )}
+                                    </li>
+                                ))}
+                            </ol>
+                        )}
+                    </div>
+                </div>
+            </SheetContent>
+        </Sheet>
+    );
+}
@@ -0,0 +1,45 @@
+/**
+ * OrderItemExtras - Shows an order line's variant, combo, add-ons and cooking note under the item name.
+ * Used by the order notes, order table and bills views so the kitchen sees every customization.
+ */
+import React from "react";
+import { MessageSquareText } from "lucide-react";
+
+/**
+ * @param {Object} props
+ * @param {Object} props.item - Order item with optional variant label, combo { name, slot },
+ *                              customizations [{ name, price }] and specialInstructions
+ * @param {string} props.className - Extra classes for the wrapper
+ */
+const OrderItemExtras = ({ item, className = "" }) => {
+    const customizations = item.customizations || [];
+    const hasNote = Boolean(item.specialInstructions);
+
+    if (!item.variant && !item.combo && customizations.length === 0 && !hasNote) return null;
+
+    return (
+        <div className={`text-xs leading-snug ${className}`}>
+            {item.variant && (
+                <p className="font-semibold text-gray-800">{item.variant}</p>
+            )}
+            {item.combo && (
+                <p className="font-medium text-orange-600">
+                    {item.combo.name} · {item.combo.slot}
+                </p>
+            )}
+            {customizations.length > 0 && (
+                <p className="text-gray-600">
+                    + {customizations.map((addOn) => addOn.name).join(", ")}
+                </p>
+            )}
+            {hasNote && (
+                <p className="flex items-start gap-1 font-medium text-amber-700">
+                    <MessageSquareText className="h-3 w-3 mt-0.5 flex-shrink-0" />
+                    {item.specialInstructions}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default OrderItemExtras;
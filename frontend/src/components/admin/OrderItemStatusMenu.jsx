@@ -0,0 +1,96 @@
+/**
+ * OrderItemStatusMenu - Status badge for a single order line with a dropdown to change it.
+ * Lets staff serve or cancel individual items; the order status follows from its items.
+ * Only changes allowed by the status flow are enabled (see lib/orderStatus.js).
+ */
+import React from "react";
+import { Badge } from "../ui/badge";
+import {
+    DropdownMenu,
+    DropdownMenuContent,
+    DropdownMenuItem,
+    DropdownMenuTrigger,
+    DropdownMenuSeparator,
+} from "../ui/dropdown-menu";
+import { Clock, Flame, CheckCircle, XCircle } from "lucide-react";
+import { isAllowedTransition } from "@/lib/orderStatus";
+
+const ITEM_STATUS_CONFIG = {
+    pending: {
+        label: "Pending",
+        className: "bg-yellow-100 text-yellow-700 hover:bg-yellow-100",
+        icon: Clock,
+    },
+    preparing: {
+        label: "Preparing",
+        className: "bg-orange-100 text-orange-700 hover:bg-orange-100",
+        icon: Flame,
+    },
+    served: {
+        label: "Served",
+        className: "bg-green-100 text-green-700 hover:bg-green-100",
+        icon: CheckCircle,
+    },
+    cancelled: {
+        label: "Cancelled",
+        className: "bg-red-100 text-red-700 hover:bg-red-100",
+        icon: XCircle,
+    },
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.status - Current item status (items from older orders fall back to the order status)
+ * @param {Function} props.onChange - Called with the newly selected status
+ * @param {boolean} props.disabled - Show the badge without the dropdown
+ */
+const OrderItemStatusMenu = ({ status, onChange, disabled = false }) => {
+    const config = ITEM_STATUS_CONFIG[status] || ITEM_STATUS_CONFIG.pending;
+    const Icon = config.icon;
+
+    const badge = (
+        <Badge variant="secondary" className={`text-[10px] px-1.5 py-0 ${config.className}`}>
+            <Icon className="h-3 w-3 mr-1" />
+            {config.label}
+        </Badge>
+    );
+
+    if (disabled) return badge;
+
+    return (
+        <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+                <button type="button" className="cursor-pointer">
+                    {badge}
+                </button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="start" className="w-40">
+                {["pending", "preparing", "served"].map((key) => {
+                    const option = ITEM_STATUS_CONFIG[key];
+                    const OptionIcon = option.icon;
+                    return (
+                        <DropdownMenuItem
+                            key={key}
+                            onClick={() => onChange(key)}
+                            disabled={key === status || !isAllowedTransition(status, key)}
+                        >
+                            <OptionIcon className="h-4 w-4 mr-2" />
+                            {option.label}
+                        </DropdownMenuItem>
+                    );
+                })}
+                <DropdownMenuSeparator />
+                <DropdownMenuItem
+                    onClick={() => onChange("cancelled")}
+                    disabled={!isAllowedTransition(status, "cancelled") || status === "cancelled"}
+                    className="text-red-600"
+                >
+                    <XCircle className="h-4 w-4 mr-2" />
+                    Cancel Item
+                </DropdownMenuItem>
+            </DropdownMenuContent>
+        </DropdownMenu>
+    );
+};
+
+export default OrderItemStatusMenu;
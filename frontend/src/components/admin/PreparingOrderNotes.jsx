@@ -8,6 +8,7 @@ import { Button } from "../ui/button";
 import { Badge } from "../ui/badge";
 import { Avatar, AvatarFallback } from "../ui/avatar";
 import { Clock, CheckCircle, Eye, Flame } from "lucide-react";
+import OrderItemExtras from "./OrderItemExtras";
 
 
 // Time constants for calculating elapsed cooking time
@@ -137,14 +138,22 @@ export default function PreparingOrderNotes({ orders, onMarkServed, onView }) {
                                 {/* Order Items */}
                                 <div className="bg-white/60 rounded-lg p-2 mb-3 border border-blue-100">
                                     <div className="space-y-1 max-h-24 overflow-y-auto">
-                                        {order.items.map((item, index) => (
-                                            <div key={index} className="flex items-center justify-between text-sm">
-                                                <span className="text-gray-700">
-                                                    <span className="font-semibold text-blue-600">{item.quantity}×</span>{" "}
-                                                    {item.name}
-                                                </span>
-                                            </div>
-                                        ))}
+                                        {order.items.map((item, index) => {
+                                            // Lines served early or cancelled are shown done so the kitchen skips them
+                                            const isDone = item.status === "served" || item.status === "cancelled";
+                                            return (
+                                                <div key={index} className="text-sm">
+                                                    <span className={isDone ? "text-gray-400 line-through" : "text-gray-700"}>
+                                                        <span className="font-semibold text-blue-600">{item.quantity}×</span>{" "}
+                                                        {item.name}
+                                                    </span>
+                                                    {item.status === "served" && (
+                                                        <CheckCircle className="inline h-3 w-3 ml-1 text-green-600" />
+                                                    )}
+                                                    <OrderItemExtras item={item} className="ml-5" />
+                                                </div>
+                                            );
+                                        })}
                                     </div>
                                 </div>
 
@@ -0,0 +1,29 @@
+/**
+ * PromotionStatusBadge - Colored badge for where a promotion stands right now.
+ */
+import React from "react";
+import { Badge } from "../ui/badge";
+
+const PROMOTION_STATUS_CONFIG = {
+    "active": { label: "Active", className: "bg-green-100 text-green-700 hover:bg-green-100" },
+    "scheduled": { label: "Scheduled", className: "bg-blue-100 text-blue-700 hover:bg-blue-100" },
+    "expired": { label: "Expired", className: "bg-gray-100 text-gray-600 hover:bg-gray-100" },
+    "exhausted": { label: "Fully Redeemed", className: "bg-yellow-100 text-yellow-700 hover:bg-yellow-100" },
+    "disabled": { label: "Disabled", className: "bg-red-100 text-red-700 hover:bg-red-100" },
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.status - Promotion status
+ */
+const PromotionStatusBadge = ({ status }) => {
+    const config = PROMOTION_STATUS_CONFIG[status] || PROMOTION_STATUS_CONFIG.active;
+
+    return (
+        <Badge variant="secondary" className={config.className}>
+            {config.label}
+        </Badge>
+    );
+};
+
+export default PromotionStatusBadge;
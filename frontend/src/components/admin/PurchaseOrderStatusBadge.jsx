@@ -0,0 +1,28 @@
+/**
+ * PurchaseOrderStatusBadge - Colored badge for a purchase order's status.
+ */
+import React from "react";
+import { Badge } from "../ui/badge";
+
+const PURCHASE_ORDER_STATUS_CONFIG = {
+    "ordered": { label: "Ordered", className: "bg-blue-100 text-blue-700 hover:bg-blue-100" },
+    "partially-received": { label: "Partially Received", className: "bg-yellow-100 text-yellow-700 hover:bg-yellow-100" },
+    "received": { label: "Received", className: "bg-green-100 text-green-700 hover:bg-green-100" },
+    "cancelled": { label: "Cancelled", className: "bg-gray-100 text-gray-600 hover:bg-gray-100" },
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.status - Purchase order status
+ */
+const PurchaseOrderStatusBadge = ({ status }) => {
+    const config = PURCHASE_ORDER_STATUS_CONFIG[status] || PURCHASE_ORDER_STATUS_CONFIG.ordered;
+
+    return (
+        <Badge variant="secondary" className={config.className}>
+            {config.label}
+        </Badge>
+    );
+};
+
+export default PurchaseOrderStatusBadge;
@@ -0,0 +1,178 @@
+/**
+ * RecipeEditor - Edits a menu item's recipe (bill of materials) for one portion.
+ * Each row picks an inventory item, a quantity and a unit that converts to the item's stock unit.
+ * Stock is deducted by the backend when an ordered item is prepared or served.
+ */
+import React, { useEffect, useState } from "react";
+import { Input } from "../ui/input";
+import { Button } from "../ui/button";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "../ui/select";
+import { Plus, Trash2, Loader2 } from "lucide-react";
+import inventoryService from "@/services/inventoryService";
+import { getCompatibleUnits } from "@/lib/units";
+
+/**
+ * @param {Object} props
+ * @param {Array} props.recipe - [{ inventoryItem, quantity, unit }]
+ * @param {Function} props.onChange - Called with the updated recipe
+ * @param {string} [props.emptyMessage] - Shown while the recipe has no ingredients
+ */
+const RecipeEditor = ({ recipe, onChange, emptyMessage = "No ingredients added. Stock will not be deducted for this item." }) => {
+    const [inventoryItems, setInventoryItems] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [loadError, setLoadError] = useState(null);
+
+    useEffect(() => {
+        const loadInventory = async () => {
+            try {
+                const items = await inventoryService.fetchAllInventoryItems();
+                setInventoryItems(items);
+            } catch (error) {
+                console.error("Error loading inventory items:", error);
+                setLoadError("Could not load inventory items. You need inventory access to edit recipes.");
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadInventory();
+    }, []);
+
+    const findInventoryItem = (inventoryId) => inventoryItems.find((item) => item._id === inventoryId);
+
+    const addIngredient = () => {
+        onChange([...recipe, { inventoryItem: "", quantity: "", unit: "" }]);
+    };
+
+    const updateIngredient = (index, changes) => {
+        onChange(recipe.map((ingredient, i) => (i === index ? { ...ingredient, ...changes } : ingredient)));
+    };
+
+    const removeIngredient = (index) => {
+        onChange(recipe.filter((_, i) => i !== index));
+    };
+
+    // Picking an ingredient defaults the unit to the one it is stocked in
+    const selectInventoryItem = (index, inventoryId) => {
+        const item = findInventoryItem(inventoryId);
+        updateIngredient(index, { inventoryItem: inventoryId, unit: item?.unitOfMeasure || "" });
+    };
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center gap-2 p-4 bg-gray-50 rounded-lg text-sm text-gray-500">
+                <Loader2 className="h-4 w-4 animate-spin" />
+                Loading inventory...
+            </div>
+        );
+    }
+
+    if (loadError) {
+        return (
+            <div className="p-4 bg-gray-50 rounded-lg text-center text-gray-500 text-sm">
+                {loadError}
+            </div>
+        );
+    }
+
+    const usedIds = recipe.map((ingredient) => ingredient.inventoryItem);
+
+    return (
+        <div className="space-y-3">
+            {recipe.length === 0 ? (
+                <div className="p-4 bg-gray-50 rounded-lg text-center text-gray-500 text-sm">
+                    {emptyMessage}
+                </div>
+            ) : (
+                recipe.map((ingredient, index) => {
+                    const stockItem = findInventoryItem(ingredient.inventoryItem);
+                    const units = getCompatibleUnits(stockItem?.unitOfMeasure);
+
+                    return (
+                        <div key={index} className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
+                            <div className="flex-1 min-w-0">
+                                <Select
+                                    value={ingredient.inventoryItem}
+                                    onValueChange={(value) => selectInventoryItem(index, value)}
+                                >
+                                    <SelectTrigger className="bg-white">
+                                        <SelectValue placeholder="Select ingredient" />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        {inventoryItems.map((item) => (
+                                            <SelectItem
+                                                key={item._id}
+                                                value={item._id}
+                                                disabled={item._id !== ingredient.inventoryItem && usedIds.includes(item._id)}
+                                            >
+                                                {item.name} ({item.unitOfMeasure})
+                                            </SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                            <div className="w-24">
+                                <Input
+                                    type="number"
+                                    min="0"
+                                    step="any"
+                                    placeholder="Qty"
+                                    value={ingredient.quantity}
+                                    onChange={(e) => updateIngredient(index, { quantity: e.target.value })}
+                                    className="bg-white"
+                                />
+                            </div>
+                            <div className="w-24">
+                                <Select
+                                    value={ingredient.unit}
+                                    onValueChange={(value) => updateIngredient(index, { unit: value })}
+                                    disabled={!stockItem}
+                                >
+                                    <SelectTrigger className="bg-white">
+                                        <SelectValue placeholder="Unit" />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        {units.map((unit) => (
+                                            <SelectItem key={unit} value={unit}>
+                                                {unit}
+                                            </SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                            <Button
+                                type="button"
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => removeIngredient(index)}
+                                className="text-red-500 hover:text-red-700 hover:bg-red-50"
+                            >
+                                <Trash2 className="h-4 w-4" />
+                            </Button>
+                        </div>
+                    );
+                })
+            )}
+
+            <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={addIngredient}
+                disabled={inventoryItems.length === 0 || recipe.length >= inventoryItems.length}
+                className="text-orange-600 border-orange-300 hover:bg-orange-50"
+            >
+                <Plus className="h-4 w-4 mr-1" />
+                Add Ingredient
+            </Button>
+        </div>
+    );
+};
+
+export default RecipeEditor;
@@ -0,0 +1,163 @@
+/**
+ * RecordPaymentDialog - Records money collected towards a bill, or one share of a split bill:
+ * one or more lines of cash, card, UPI or other, e.g. part cash and part UPI.
+ * Cash is entered as what the customer handed over; the change to give back is shown.
+ */
+import { useState } from "react";
+import { Input } from "../ui/input";
+import { Button } from "../ui/button";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "../ui/select";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "../ui/dialog";
+import { Plus, Trash2, Loader2 } from "lucide-react";
+import { PAYMENT_METHODS, MAX_PAYMENT_REFERENCE_LENGTH } from "@/lib/payments";
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.target - What is being paid: { title, description, balance }
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ * @param {Function} props.onRecord - Called with the payments to send: [{ method, amount, reference }]
+ * @param {boolean} props.isSaving
+ */
+export default function RecordPaymentDialog({ target, onClose, onRecord, isSaving }) {
+    const balance = target?.balance ?? 0;
+
+    // Starts as one cash payment of everything left to pay
+    const [lines, setLines] = useState(() => [{ method: "cash", amount: balance ? balance.toFixed(2) : "", reference: "" }]);
+
+    const addLine = () => {
+        setLines((prev) => [...prev, { method: "upi", amount: "", reference: "" }]);
+    };
+
+    const removeLine = (index) => {
+        setLines((prev) => prev.filter((_, i) => i !== index));
+    };
+
+    const updateLine = (index, field, value) => {
+        setLines((prev) => prev.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+    };
+
+    // Same order the backend applies them in: card, UPI and other first, cash last
+    const nonCash = roundAmount(lines
+        .filter((line) => line.method !== "cash")
+        .reduce((sum, line) => sum + (Number(line.amount) || 0), 0));
+    const cash = roundAmount(lines
+        .filter((line) => line.method === "cash")
+        .reduce((sum, line) => sum + (Number(line.amount) || 0), 0));
+    const leftForCash = roundAmount(balance - nonCash);
+    const change = cash > leftForCash ? roundAmount(cash - Math.max(leftForCash, 0)) : 0;
+    const stillDue = roundAmount(Math.max(balance - nonCash - cash, 0));
+
+    const entries = lines.filter((line) => Number(line.amount) > 0);
+    const canSubmit = entries.length > 0 && nonCash <= balance && !(leftForCash <= 0 && cash > 0);
+
+    const handleSubmit = () => {
+        onRecord(entries.map((line) => ({
+            method: line.method,
+            amount: Number(line.amount),
+            reference: line.method === "cash" ? "" : line.reference.trim(),
+        })));
+    };
+
+    return (
+        <Dialog open={!!target} onOpenChange={(open) => !open && onClose()}>
+            <DialogContent className="sm:max-w-lg">
+                <DialogHeader>
+                    <DialogTitle>{target?.title}</DialogTitle>
+                    <DialogDescription>
+                        {target?.description} · ₹{balance.toFixed(2)} left to pay
+                    </DialogDescription>
+                </DialogHeader>
+
+                <div className="space-y-2 py-2">
+                    {lines.map((line, index) => (
+                        <div key={index} className="flex items-center gap-2">
+                            <Select value={line.method} onValueChange={(value) => updateLine(index, "method", value)}>
+                                <SelectTrigger className="w-28">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {Object.entries(PAYMENT_METHODS).map(([method, { label }]) => (
+                                        <SelectItem key={method} value={method}>{label}</SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                            <Input
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                placeholder={line.method === "cash" ? "Handed over" : "Amount"}
+                                value={line.amount}
+                                onChange={(e) => updateLine(index, "amount", e.target.value)}
+                                className="w-32"
+                            />
+                            {line.method !== "cash" && (
+                                <Input
+                                    placeholder={line.method === "upi" ? "12-digit UTR" : "Reference"}
+                                    maxLength={MAX_PAYMENT_REFERENCE_LENGTH}
+                                    value={line.reference}
+                                    onChange={(e) => updateLine(index, "reference", e.target.value)}
+                                    className="flex-1"
+                                />
+                            )}
+                            {lines.length > 1 && (
+                                <Button
+                                    variant="ghost"
+                                    size="icon"
+                                    className="h-9 w-9 ml-auto text-gray-400 hover:text-red-600"
+                                    onClick={() => removeLine(index)}
+                                >
+                                    <Trash2 className="h-4 w-4" />
+                                </Button>
+                            )}
+                        </div>
+                    ))}
+
+                    <div className="flex items-center justify-between pt-1">
+                        <Button variant="outline" size="sm" onClick={addLine}>
+                            <Plus className="h-4 w-4 mr-1" />
+                            Add Payment
+                        </Button>
+                        <p className={`text-sm ${nonCash > balance ? "text-red-600" : "text-gray-600"}`}>
+                            {nonCash > balance
+                                ? `Card, UPI and other are ₹${roundAmount(nonCash - balance).toFixed(2)} over what is left`
+                                : change > 0
+                                    ? `Give ₹${change.toFixed(2)} change`
+                                    : stillDue > 0
+                                        ? `₹${stillDue.toFixed(2)} will still be due`
+                                        : "Covers the amount due"}
+                        </p>
+                    </div>
+                </div>
+
+                <DialogFooter>
+                    <Button variant="outline" onClick={onClose} disabled={isSaving}>
+                        Cancel
+                    </Button>
+                    <Button
+                        className="bg-green-500 hover:bg-green-600 text-white"
+                        onClick={handleSubmit}
+                        disabled={isSaving || !canSubmit}
+                    >
+                        {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                        Record Payment
+                    </Button>
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+}
@@ -10,31 +10,44 @@ import {
   SidebarMenuButton,
   SidebarMenuItem,
 } from "@/components/ui/sidebar";
-import { BarChart3, ShoppingBag, Utensils, Package, Users, X, CreditCard, Receipt } from "lucide-react";
+import { BarChart3, ShoppingBag, Utensils, Package, Users, X, CreditCard, Receipt, ShieldCheck, ChefHat, Truck, ClipboardList, ClipboardCheck, TicketPercent, Clock, Sunrise, MessageSquare, Gift } from "lucide-react";
 import { Avatar, AvatarFallback } from "@/components/ui/avatar";
 import { Button } from "@/components/ui/button";
 import { Link, useLocation } from "react-router-dom";
 import { useSidebar } from "@/components/ui/sidebar";
 
+// Each entry is only shown to roles holding its permission (see lib/permissions.js)
 const menuItems = [
-  { icon: ShoppingBag, label: "Orders", href: "/admin/orders" },
-  { icon: CreditCard, label: "Payments", href: "/admin/payments" },
-  { icon: Receipt, label: "Bills", href: "/admin/bills" },
-  { icon: Utensils, label: "Menu", href: "/admin/menu" },
-  { icon: Package, label: "Inventory", href: "/admin/inventory" },
-  { icon: Users, label: "Employees", href: "/admin/employees" },
-  { icon: BarChart3, label: "Analytics", href: "/admin" },
+  { icon: ShoppingBag, label: "Orders", href: "/admin/orders", permission: PERMISSIONS.ORDERS },
+  { icon: ChefHat, label: "Kitchen Display", href: "/kitchen", permission: PERMISSIONS.ORDERS },
+  { icon: CreditCard, label: "Payments", href: "/admin/payments", permission: PERMISSIONS.PAYMENTS },
+  { icon: Receipt, label: "Bills", href: "/admin/bills", permission: PERMISSIONS.BILLS },
+  { icon: Gift, label: "Loyalty", href: "/admin/loyalty", permission: PERMISSIONS.BILLS },
+  { icon: Utensils, label: "Menu", href: "/admin/menu", permission: PERMISSIONS.MENU },
+  { icon: TicketPercent, label: "Promotions", href: "/admin/promotions", permission: PERMISSIONS.MENU },
+  { icon: Clock, label: "Happy Hours", href: "/admin/pricing-rules", permission: PERMISSIONS.MENU },
+  { icon: Sunrise, label: "Dayparts", href: "/admin/dayparts", permission: PERMISSIONS.MENU },
+  { icon: MessageSquare, label: "Reviews", href: "/admin/reviews", permission: PERMISSIONS.MENU },
+  { icon: Package, label: "Inventory", href: "/admin/inventory", permission: PERMISSIONS.INVENTORY },
+  { icon: ClipboardList, label: "Purchase Orders", href: "/admin/purchase-orders", permission: PERMISSIONS.INVENTORY },
+  { icon: ClipboardCheck, label: "Stock-takes", href: "/admin/stock-takes", permission: PERMISSIONS.INVENTORY },
+  { icon: Truck, label: "Suppliers", href: "/admin/suppliers", permission: PERMISSIONS.INVENTORY },
+  { icon: Users, label: "Employees", href: "/admin/employees", permission: PERMISSIONS.EMPLOYEES },
+  { icon: ShieldCheck, label: "Staff Roles", href: "/admin/staff-roles", permission: PERMISSIONS.STAFF_ROLES },
+  { icon: BarChart3, label: "Analytics", href: "/admin", permission: PERMISSIONS.ANALYTICS },
 ];
 
 // ... imports
 import { useContext } from "react";
 import AuthContext from "@/context/AuthContext";
+import { PERMISSIONS, hasPermission } from "@/lib/permissions";
 
 export function AdminSidebar() {
   const location = useLocation();
   const currentPath = location.pathname;
   const { setOpen } = useSidebar();
   const { admin, logout } = useContext(AuthContext);
+  const visibleMenuItems = menuItems.filter((item) => hasPermission(admin, item.permission));
 
   // Close sidebar when clicking a link on mobile
   const handleLinkClick = () => {
@@ -86,7 +99,7 @@ export function AdminSidebar() {
         <SidebarGroup>
           <SidebarGroupContent>
             <SidebarMenu className="space-y-1">
-              {menuItems.map((item) => {
+              {visibleMenuItems.map((item) => {
                 const Icon = item.icon;
                 const isActive = currentPath === item.href;
 
@@ -143,7 +156,7 @@ export function AdminSidebar() {
                 {admin?.name || "Admin"}
               </p>
               <p className="text-xs text-muted-foreground truncate">
-                {admin?.position || "Staff"}
+                {admin?.role ? `${admin.role} · ${admin.position}` : admin?.position || "Staff"}
               </p>
             </div>
           </Link>
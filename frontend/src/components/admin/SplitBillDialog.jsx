@@ -0,0 +1,268 @@
+/**
+ * SplitBillDialog - Splits a table's bill into shares paid separately: equally between
+ * a number of people, by the items each person had, or by custom amounts.
+ * The backend divides the tax between the shares.
+ */
+import { useState } from "react";
+import { Input } from "../ui/input";
+import { Button } from "../ui/button";
+import { Tabs, TabsList, TabsTrigger } from "../ui/tabs";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "../ui/dialog";
+import { Plus, Trash2, Loader2 } from "lucide-react";
+
+// Matches the backend limit
+const MAX_SHARES = 20;
+
+const createPeople = (count) =>
+    Array.from({ length: count }, (_, index) => ({ label: `Person ${index + 1}`, amount: "" }));
+
+// Everything starts with the first person; quantities are moved to the others
+const createAssignments = (items, peopleCount) =>
+    items.map((item) => Array.from({ length: peopleCount }, (_, index) => (index === 0 ? item.quantity : 0)));
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.bill - Pending payment being split: { billNumber, tableNumber, items, amountDue, total }
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ * @param {Function} props.onSplit - Called with the split to send: { method, count } or { method, shares }
+ * @param {boolean} props.isSaving
+ */
+export default function SplitBillDialog({ bill, onClose, onSplit, isSaving }) {
+    const items = bill?.items || [];
+    const amountDue = bill?.amountDue ?? bill?.total ?? 0;
+
+    const [method, setMethod] = useState("equal");
+    const [count, setCount] = useState("2");
+    const [people, setPeople] = useState(() => createPeople(2));
+    const [assignments, setAssignments] = useState(() => createAssignments(items, 2));
+
+    const addPerson = () => {
+        if (people.length >= MAX_SHARES) return;
+        setPeople((prev) => [...prev, { label: `Person ${prev.length + 1}`, amount: "" }]);
+        setAssignments((prev) => prev.map((row) => [...row, 0]));
+    };
+
+    const removePerson = (index) => {
+        if (people.length <= 2) return;
+        setPeople((prev) => prev.filter((_, i) => i !== index));
+        // The removed person's items go to whoever is first now
+        setAssignments((prev) => prev.map((row) => {
+            const next = row.filter((_, i) => i !== index);
+            next[0] += row[index];
+            return next;
+        }));
+    };
+
+    const updatePerson = (index, field, value) => {
+        setPeople((prev) => prev.map((person, i) => (i === index ? { ...person, [field]: value } : person)));
+    };
+
+    const updateAssignment = (itemIndex, personIndex, value) => {
+        const quantity = Math.max(0, parseInt(value, 10) || 0);
+        setAssignments((prev) => prev.map((row, i) =>
+            i === itemIndex ? row.map((q, j) => (j === personIndex ? quantity : q)) : row
+        ));
+    };
+
+    const equalShare = Number(count) >= 2 ? amountDue / Number(count) : 0;
+    const amountsTotal = people.reduce((sum, person) => sum + (Number(person.amount) || 0), 0);
+    const amountsLeft = Math.round((amountDue - amountsTotal) * 100) / 100;
+    const unassignedItems = items.filter((item, i) =>
+        assignments[i]?.reduce((sum, quantity) => sum + quantity, 0) !== item.quantity
+    );
+
+    const handleSubmit = () => {
+        if (method === "equal") {
+            onSplit({ method, count: Number(count) });
+        } else if (method === "items") {
+            onSplit({
+                method,
+                shares: people.map((person, personIndex) => ({
+                    label: person.label,
+                    items: items
+                        .map((_, itemIndex) => ({ index: itemIndex, quantity: assignments[itemIndex][personIndex] }))
+                        .filter((shareItem) => shareItem.quantity > 0),
+                })),
+            });
+        } else {
+            onSplit({
+                method,
+                shares: people.map((person) => ({ label: person.label, amount: Number(person.amount) || 0 })),
+            });
+        }
+    };
+
+    const canSubmit = method === "equal"
+        ? Number.isInteger(Number(count)) && Number(count) >= 2 && Number(count) <= MAX_SHARES
+        : method === "items"
+            ? unassignedItems.length === 0
+            : amountsLeft === 0;
+
+    return (
+        <Dialog open={!!bill} onOpenChange={(open) => !open && onClose()}>
+            <DialogContent className="sm:max-w-2xl max-h-[90vh] overflow-y-auto">
+                <DialogHeader>
+                    <DialogTitle>Split Bill {bill?.billNumber}</DialogTitle>
+                    <DialogDescription>
+                        Table {bill?.tableNumber} · ₹{amountDue.toFixed(2)} due. Each share is paid separately and the
+                        bill is paid once every share is.
+                    </DialogDescription>
+                </DialogHeader>
+
+                <Tabs value={method} onValueChange={setMethod}>
+                    <TabsList className="grid w-full grid-cols-3">
+                        <TabsTrigger value="equal">Equally</TabsTrigger>
+                        <TabsTrigger value="items">By Items</TabsTrigger>
+                        <TabsTrigger value="amounts">By Amount</TabsTrigger>
+                    </TabsList>
+                </Tabs>
+
+                {method === "equal" && (
+                    <div className="space-y-2 py-2">
+                        <label htmlFor="splitCount" className="text-sm font-medium text-gray-700">Number of people</label>
+                        <Input
+                            id="splitCount"
+                            type="number"
+                            min="2"
+                            max={MAX_SHARES}
+                            value={count}
+                            onChange={(e) => setCount(e.target.value)}
+                            className="w-32"
+                        />
+                        {equalShare > 0 && (
+                            <p className="text-sm text-gray-600">About ₹{equalShare.toFixed(2)} each</p>
+                        )}
+                    </div>
+                )}
+
+                {method !== "equal" && (
+                    <div className="space-y-3 py-2">
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-gray-600">
+                                        <th className="py-2 pr-3 font-medium">{method === "items" ? "Item" : ""}</th>
+                                        {people.map((person, index) => (
+                                            <th key={index} className="py-2 px-1 font-medium min-w-28">
+                                                <div className="flex items-center gap-1">
+                                                    <Input
+                                                        value={person.label}
+                                                        maxLength={40}
+                                                        onChange={(e) => updatePerson(index, "label", e.target.value)}
+                                                        className="h-8"
+                                                    />
+                                                    {people.length > 2 && (
+                                                        <Button
+                                                            variant="ghost"
+                                                            size="icon"
+                                                            className="h-8 w-8 text-gray-400 hover:text-red-600"
+                                                            onClick={() => removePerson(index)}
+                                                        >
+                                                            <Trash2 className="h-4 w-4" />
+                                                        </Button>
+                                                    )}
+                                                </div>
+                                            </th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {method === "items" ? (
+                                        items.map((item, itemIndex) => (
+                                            <tr key={itemIndex} className="border-t">
+                                                <td className="py-2 pr-3">
+                                                    <p className="font-medium text-gray-900">
+                                                        {item.name}{item.variant ? ` (${item.variant})` : ""}
+                                                    </p>
+                                                    <p className="text-xs text-gray-500">
+                                                        {item.quantity} × ₹{item.price.toFixed(2)}
+                                                    </p>
+                                                </td>
+                                                {people.map((_, personIndex) => (
+                                                    <td key={personIndex} className="py-2 px-1">
+                                                        <Input
+                                                            type="number"
+                                                            min="0"
+                                                            max={item.quantity}
+                                                            value={assignments[itemIndex][personIndex]}
+                                                            onChange={(e) => updateAssignment(itemIndex, personIndex, e.target.value)}
+                                                            className="h-8"
+                                                        />
+                                                    </td>
+                                                ))}
+                                            </tr>
+                                        ))
+                                    ) : (
+                                        <tr className="border-t">
+                                            <td className="py-2 pr-3 text-gray-600">Amount (₹)</td>
+                                            {people.map((person, index) => (
+                                                <td key={index} className="py-2 px-1">
+                                                    <Input
+                                                        type="number"
+                                                        min="0"
+                                                        step="0.01"
+                                                        value={person.amount}
+                                                        onChange={(e) => updatePerson(index, "amount", e.target.value)}
+                                                        className="h-8"
+                                                    />
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className="flex items-center justify-between">
+                            <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={addPerson}
+                                disabled={people.length >= MAX_SHARES}
+                            >
+                                <Plus className="h-4 w-4 mr-1" />
+                                Add Person
+                            </Button>
+                            {method === "items" ? (
+                                unassignedItems.length > 0 && (
+                                    <p className="text-sm text-red-600">
+                                        Split every unit of {unassignedItems.map((item) => item.name).join(", ")}
+                                    </p>
+                                )
+                            ) : (
+                                <p className={`text-sm ${amountsLeft === 0 ? "text-green-600" : "text-red-600"}`}>
+                                    {amountsLeft === 0
+                                        ? "Shares cover the amount due"
+                                        : amountsLeft > 0
+                                            ? `₹${amountsLeft.toFixed(2)} left to assign`
+                                            : `₹${(-amountsLeft).toFixed(2)} over the amount due`}
+                                </p>
+                            )}
+                        </div>
+                    </div>
+                )}
+
+                <DialogFooter>
+                    <Button variant="outline" onClick={onClose} disabled={isSaving}>
+                        Cancel
+                    </Button>
+                    <Button
+                        className="bg-green-500 hover:bg-green-600 text-white"
+                        onClick={handleSubmit}
+                        disabled={isSaving || !canSubmit}
+                    >
+                        {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                        Split Bill
+                    </Button>
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+}
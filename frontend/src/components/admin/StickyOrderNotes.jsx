@@ -8,6 +8,7 @@ import { Button } from "../ui/button";
 import { Badge } from "../ui/badge";
 import { Avatar, AvatarFallback } from "../ui/avatar";
 import { Clock, Check, Eye, ChefHat, XCircle } from "lucide-react";
+import OrderItemExtras from "./OrderItemExtras";
 
 
 // Time constants for calculating relative timestamps
@@ -194,11 +195,12 @@ export default function StickyOrderNotes({ orders, onAccept, onCancel, onView })
                                 <div className="bg-white/60 rounded-lg p-2 mb-3 border border-orange-100">
                                     <div className="space-y-1 max-h-24 overflow-y-auto">
                                         {order.items.map((item, index) => (
-                                            <div key={index} className="flex items-center justify-between text-sm">
+                                            <div key={index} className="text-sm">
                                                 <span className="text-gray-700">
                                                     <span className="font-semibold text-orange-600">{item.quantity}×</span>{" "}
                                                     {item.name}
                                                 </span>
+                                                <OrderItemExtras item={item} className="ml-5" />
                                             </div>
                                         ))}
                                     </div>
@@ -0,0 +1,338 @@
+/**
+ * StockMovementHistory - Stock ledger of one inventory item, with recording of wastage,
+ * spoilage and manual adjustments.
+ */
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+import { Textarea } from "../ui/textarea";
+import { Badge } from "../ui/badge";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../ui/card";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "../ui/dialog";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "../ui/select";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../ui/table";
+import { Loader2, Plus } from "lucide-react";
+import inventoryService from "@/services/inventoryService";
+import {
+    STOCK_MOVEMENT_TYPES,
+    MANUAL_STOCK_MOVEMENT_TYPES,
+    MAX_MOVEMENT_REASON_LENGTH,
+} from "@/lib/stockMovements";
+import { toast } from "sonner";
+
+const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+    });
+};
+
+const formatQuantity = (quantity) => (quantity > 0 ? `+${quantity}` : `${quantity}`);
+
+/**
+ * @param {Object} props
+ * @param {string} props.inventoryItemId - Inventory item ID
+ * @param {string} props.unitOfMeasure - Item's unit, used to label quantities
+ * @param {Function} props.onRecorded - Called with the updated inventory item after a movement is recorded
+ */
+const StockMovementHistory = ({ inventoryItemId, unitOfMeasure, onRecorded }) => {
+    const [movements, setMovements] = useState([]);
+    const [typeFilter, setTypeFilter] = useState("all");
+    const [isLoading, setIsLoading] = useState(true);
+    const [loadError, setLoadError] = useState(null);
+
+    // Record movement dialog state
+    const [isDialogOpen, setIsDialogOpen] = useState(false);
+    const [movementType, setMovementType] = useState("wastage");
+    const [quantity, setQuantity] = useState("");
+    const [reason, setReason] = useState("");
+    const [formError, setFormError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    useEffect(() => {
+        const loadMovements = async () => {
+            setIsLoading(true);
+            setLoadError(null);
+            try {
+                const data = await inventoryService.fetchStockMovements(inventoryItemId, typeFilter);
+                setMovements(data);
+            } catch (error) {
+                console.error("Error loading stock movements:", error);
+                setLoadError("Failed to load stock movements.");
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadMovements();
+    }, [inventoryItemId, typeFilter]);
+
+    const openDialog = () => {
+        setMovementType("wastage");
+        setQuantity("");
+        setReason("");
+        setFormError(null);
+        setIsDialogOpen(true);
+    };
+
+    const handleRecord = async () => {
+        setFormError(null);
+
+        const amount = parseFloat(quantity);
+        if (!amount) {
+            setFormError("Please enter a quantity");
+            return;
+        }
+        if (movementType !== "adjustment" && amount < 0) {
+            setFormError("Enter the quantity lost as a positive number");
+            return;
+        }
+        if (!reason.trim()) {
+            setFormError("Please give a reason for this movement");
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            const { movement, inventoryItem } = await inventoryService.recordStockMovement(inventoryItemId, {
+                type: movementType,
+                quantity: amount,
+                reason: reason.trim(),
+            });
+
+            if (typeFilter === "all" || typeFilter === movement.type) {
+                setMovements((prev) => [movement, ...prev]);
+            }
+            onRecorded?.(inventoryItem);
+            setIsDialogOpen(false);
+            toast.success(`${STOCK_MOVEMENT_TYPES[movement.type].label} recorded`);
+        } catch (error) {
+            console.error("Error recording stock movement:", error);
+            setFormError(error.response?.data?.message || "Failed to record movement. Please try again.");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const renderReference = (movement) => {
+        if (!movement.reference) return null;
+        if (movement.reference.kind === "purchase-order") {
+            return (
+                <Link
+                    to={`/admin/purchase-orders/${movement.reference.id}`}
+                    className="text-orange-600 hover:underline"
+                >
+                    {movement.reference.label}
+                </Link>
+            );
+        }
+        if (movement.reference.kind === "stock-take") {
+            return (
+                <Link
+                    to={`/admin/stock-takes/${movement.reference.id}`}
+                    className="text-orange-600 hover:underline"
+                >
+                    {movement.reference.label}
+                </Link>
+            );
+        }
+        return <span>{movement.reference.label}</span>;
+    };
+
+    return (
+        <Card className="bg-white">
+            <CardHeader className="flex flex-row items-start justify-between gap-4">
+                <div>
+                    <CardTitle className="text-lg">Movement History</CardTitle>
+                    <CardDescription>
+                        Every change to this item's stock: deliveries, orders, wastage and corrections.
+                    </CardDescription>
+                </div>
+                <div className="flex items-center gap-2">
+                    <Select value={typeFilter} onValueChange={setTypeFilter}>
+                        <SelectTrigger className="w-40">
+                            <SelectValue placeholder="All Movements" />
+                        </SelectTrigger>
+                        <SelectContent>
+                            <SelectItem value="all">All Movements</SelectItem>
+                            {Object.entries(STOCK_MOVEMENT_TYPES).map(([type, config]) => (
+                                <SelectItem key={type} value={type}>{config.label}</SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                    <Button
+                        type="button"
+                        className="bg-orange-500 hover:bg-orange-600 text-white"
+                        onClick={openDialog}
+                    >
+                        <Plus className="h-4 w-4 mr-2" />
+                        Record
+                    </Button>
+                </div>
+            </CardHeader>
+            <CardContent>
+                {isLoading ? (
+                    <div className="flex items-center text-sm text-gray-500">
+                        <Loader2 className="h-4 w-4 mr-2 animate-spin text-orange-500" />
+                        Loading stock movements...
+                    </div>
+                ) : loadError ? (
+                    <p className="text-sm text-red-600">{loadError}</p>
+                ) : movements.length === 0 ? (
+                    <p className="text-sm text-gray-500">No stock movements recorded yet.</p>
+                ) : (
+                    <Table>
+                        <TableHeader>
+                            <TableRow className="bg-gray-50">
+                                <TableHead className="font-semibold text-gray-700">DATE</TableHead>
+                                <TableHead className="font-semibold text-gray-700">TYPE</TableHead>
+                                <TableHead className="font-semibold text-gray-700 text-right">QUANTITY</TableHead>
+                                <TableHead className="font-semibold text-gray-700 text-right">BALANCE</TableHead>
+                                <TableHead className="font-semibold text-gray-700 text-right">UNIT COST</TableHead>
+                                <TableHead className="font-semibold text-gray-700">REASON</TableHead>
+                                <TableHead className="font-semibold text-gray-700">BY</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {movements.map((movement) => {
+                                const typeConfig = STOCK_MOVEMENT_TYPES[movement.type] || STOCK_MOVEMENT_TYPES.adjustment;
+
+                                return (
+                                    <TableRow key={movement._id}>
+                                        <TableCell className="text-sm text-gray-600 whitespace-nowrap">
+                                            {formatDateTime(movement.createdAt)}
+                                        </TableCell>
+                                        <TableCell>
+                                            <Badge className={`${typeConfig.className} border-0`}>{typeConfig.label}</Badge>
+                                        </TableCell>
+                                        <TableCell
+                                            className={`text-right font-medium ${movement.quantity < 0 ? "text-red-600" : "text-green-600"}`}
+                                        >
+                                            {formatQuantity(movement.quantity)} {movement.unitOfMeasure}
+                                        </TableCell>
+                                        <TableCell className="text-right text-gray-900">
+                                            {movement.balanceAfter} {movement.unitOfMeasure}
+                                        </TableCell>
+                                        <TableCell className="text-right text-gray-600">
+                                            {movement.unitCost === null ? "—" : `₹${movement.unitCost.toFixed(2)}`}
+                                        </TableCell>
+                                        <TableCell className="text-sm text-gray-600">
+                                            <p>{movement.reason || "—"}</p>
+                                            {renderReference(movement)}
+                                        </TableCell>
+                                        <TableCell className="text-sm text-gray-600">
+                                            {movement.performedBy?.name || "System"}
+                                        </TableCell>
+                                    </TableRow>
+                                );
+                            })}
+                        </TableBody>
+                    </Table>
+                )}
+            </CardContent>
+
+            {/* Record Movement Dialog */}
+            <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+                <DialogContent className="sm:max-w-md">
+                    <DialogHeader>
+                        <DialogTitle>Record Stock Movement</DialogTitle>
+                        <DialogDescription>
+                            Wastage and spoilage take stock away. Adjustments can add (+) or remove (-) stock.
+                        </DialogDescription>
+                    </DialogHeader>
+
+                    {formError && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                            <p className="text-sm text-red-700">{formError}</p>
+                        </div>
+                    )}
+
+                    <div className="space-y-4">
+                        <div>
+                            <Label className="text-sm">Type</Label>
+                            <Select value={movementType} onValueChange={setMovementType}>
+                                <SelectTrigger className="mt-1">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {MANUAL_STOCK_MOVEMENT_TYPES.map((type) => (
+                                        <SelectItem key={type} value={type}>
+                                            {STOCK_MOVEMENT_TYPES[type].label}
+                                        </SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <div>
+                            <Label htmlFor="movementQuantity" className="text-sm">
+                                {movementType === "adjustment" ? "Change" : "Quantity Lost"} ({unitOfMeasure})
+                            </Label>
+                            <Input
+                                id="movementQuantity"
+                                type="number"
+                                step="any"
+                                min={movementType === "adjustment" ? undefined : "0"}
+                                placeholder={movementType === "adjustment" ? "e.g. -2 or 5" : "e.g. 0.5"}
+                                value={quantity}
+                                onChange={(e) => setQuantity(e.target.value)}
+                                className="mt-1"
+                            />
+                        </div>
+                        <div>
+                            <Label htmlFor="movementReason" className="text-sm">Reason</Label>
+                            <Textarea
+                                id="movementReason"
+                                placeholder="e.g. Dropped tray, past use-by date"
+                                value={reason}
+                                onChange={(e) => setReason(e.target.value)}
+                                maxLength={MAX_MOVEMENT_REASON_LENGTH}
+                                className="mt-1 resize-none"
+                            />
+                        </div>
+                    </div>
+
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setIsDialogOpen(false)} disabled={isSubmitting}>
+                            Cancel
+                        </Button>
+                        <Button
+                            className="bg-orange-500 hover:bg-orange-600 text-white"
+                            onClick={handleRecord}
+                            disabled={isSubmitting}
+                        >
+                            {isSubmitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                            Record
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </Card>
+    );
+};
+
+export default StockMovementHistory;
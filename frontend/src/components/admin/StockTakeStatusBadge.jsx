@@ -0,0 +1,28 @@
+/**
+ * StockTakeStatusBadge - Colored badge for a stock-take's status.
+ */
+import React from "react";
+import { Badge } from "../ui/badge";
+
+const STOCK_TAKE_STATUS_CONFIG = {
+    "counting": { label: "Counting", className: "bg-blue-100 text-blue-700 hover:bg-blue-100" },
+    "submitted": { label: "Awaiting Approval", className: "bg-yellow-100 text-yellow-700 hover:bg-yellow-100" },
+    "approved": { label: "Approved", className: "bg-green-100 text-green-700 hover:bg-green-100" },
+    "cancelled": { label: "Cancelled", className: "bg-gray-100 text-gray-600 hover:bg-gray-100" },
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.status - Stock-take status
+ */
+const StockTakeStatusBadge = ({ status }) => {
+    const config = STOCK_TAKE_STATUS_CONFIG[status] || STOCK_TAKE_STATUS_CONFIG.counting;
+
+    return (
+        <Badge variant="secondary" className={config.className}>
+            {config.label}
+        </Badge>
+    );
+};
+
+export default StockTakeStatusBadge;
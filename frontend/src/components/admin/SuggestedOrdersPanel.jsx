@@ -0,0 +1,245 @@
+/**
+ * SuggestedOrdersPanel - Reorder forecast for the inventory page. Shows each ingredient's
+ * forecast daily use (overall and by weekday) from recent sales, and how much to order to
+ * cover the supplier's lead time. Exports the forecast as CSV.
+ */
+import React, { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { Button } from "../ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../ui/card";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "../ui/select";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../ui/table";
+import { FileDown, Loader2, ShoppingCart, TrendingUp } from "lucide-react";
+import inventoryService from "@/services/inventoryService";
+import { toast } from "sonner";
+
+const LOOKBACK_OPTIONS = [7, 14, 28, 56];
+
+const DAY_LABELS = ["S", "M", "T", "W", "T", "F", "S"];
+
+const formatDaysLeft = (days) => {
+    if (days === null) return "—";
+    if (days === 0) return "Today";
+    return `${days} day${days === 1 ? "" : "s"}`;
+};
+
+const SuggestedOrdersPanel = () => {
+    const navigate = useNavigate();
+    // null until chosen, so the server's FORECAST_LOOKBACK_DAYS is used first
+    const [days, setDays] = useState(null);
+    const [forecast, setForecast] = useState({ lookbackDays: null, coverDays: null, items: [] });
+    const [showAll, setShowAll] = useState(false);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isExporting, setIsExporting] = useState(false);
+
+    useEffect(() => {
+        const loadForecast = async () => {
+            setIsLoading(true);
+            try {
+                const data = await inventoryService.fetchReorderForecast(days ?? undefined);
+                setForecast(data);
+            } catch (error) {
+                console.error("Error fetching reorder forecast:", error);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadForecast();
+    }, [days]);
+
+    const handleExport = async () => {
+        setIsExporting(true);
+        try {
+            const blob = await inventoryService.exportReorderForecastCSV(forecast.lookbackDays ?? undefined);
+            const url = window.URL.createObjectURL(new Blob([blob]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `suggested_orders_${new Date().toISOString().split('T')[0]}.csv`);
+            document.body.appendChild(link);
+            link.click();
+            link.parentNode.removeChild(link);
+        } catch (error) {
+            console.error("Error exporting suggested orders:", error);
+            toast.error("Failed to export suggested orders");
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const suggestedItems = forecast.items.filter((item) => item.suggestedQuantity > 0);
+    const visibleItems = showAll ? forecast.items : suggestedItems;
+
+    const lookbackOptions = forecast.lookbackDays !== null && !LOOKBACK_OPTIONS.includes(forecast.lookbackDays)
+        ? [...LOOKBACK_OPTIONS, forecast.lookbackDays].sort((a, b) => a - b)
+        : LOOKBACK_OPTIONS;
+
+    return (
+        <Card className="bg-white mb-6">
+            <CardHeader className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+                <div className="flex items-center gap-3">
+                    <div className="p-2 rounded-lg bg-blue-100">
+                        <TrendingUp className="h-5 w-5 text-blue-600" />
+                    </div>
+                    <div>
+                        <CardTitle className="text-lg">Suggested Orders</CardTitle>
+                        <CardDescription>
+                            Forecast from recent sales. Orders cover the supplier's lead time
+                            {forecast.coverDays !== null && ` plus ${forecast.coverDays} day${forecast.coverDays === 1 ? "" : "s"}`}.
+                        </CardDescription>
+                    </div>
+                </div>
+                <div className="flex items-center gap-2">
+                    <Select
+                        value={forecast.lookbackDays === null ? "" : forecast.lookbackDays.toString()}
+                        onValueChange={(value) => setDays(Number(value))}
+                    >
+                        <SelectTrigger className="w-40">
+                            <SelectValue placeholder="Sales from..." />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {lookbackOptions.map((option) => (
+                                <SelectItem key={option} value={option.toString()}>
+                                    Last {option} days
+                                </SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                    <Button variant="outline" className="gap-2" onClick={handleExport} disabled={isExporting}>
+                        {isExporting ? <Loader2 className="h-4 w-4 animate-spin" /> : <FileDown className="h-4 w-4" />}
+                        Export CSV
+                    </Button>
+                </div>
+            </CardHeader>
+            <CardContent>
+                {isLoading ? (
+                    <div className="flex items-center text-sm text-gray-500">
+                        <Loader2 className="h-4 w-4 mr-2 animate-spin text-orange-500" />
+                        Forecasting usage...
+                    </div>
+                ) : (
+                    <>
+                        <div className="flex items-center justify-between mb-3">
+                            <p className="text-sm text-gray-500">
+                                {suggestedItems.length === 0
+                                    ? "Nothing needs reordering before its next delivery."
+                                    : `${suggestedItems.length} item${suggestedItems.length === 1 ? "" : "s"} should be reordered.`}
+                            </p>
+                            <Button
+                                variant="ghost"
+                                size="sm"
+                                className="text-orange-600 hover:text-orange-700"
+                                onClick={() => setShowAll((value) => !value)}
+                            >
+                                {showAll ? "Show suggested only" : "Show all items"}
+                            </Button>
+                        </div>
+
+                        {visibleItems.length > 0 && (
+                            <div className="overflow-x-auto">
+                                <Table>
+                                    <TableHeader>
+                                        <TableRow className="bg-gray-50">
+                                            <TableHead className="font-semibold text-gray-700">ITEM</TableHead>
+                                            <TableHead className="font-semibold text-gray-700 text-right">DAILY USE</TableHead>
+                                            <TableHead className="font-semibold text-gray-700">BY WEEKDAY</TableHead>
+                                            <TableHead className="font-semibold text-gray-700 text-right">STOCK LEFT</TableHead>
+                                            <TableHead className="font-semibold text-gray-700 text-right">REORDER AT</TableHead>
+                                            <TableHead className="font-semibold text-gray-700 text-right">ON ORDER</TableHead>
+                                            <TableHead className="font-semibold text-gray-700 text-right">SUGGESTED</TableHead>
+                                            <TableHead className="font-semibold text-gray-700">ACTIONS</TableHead>
+                                        </TableRow>
+                                    </TableHeader>
+                                    <TableBody>
+                                        {visibleItems.map((item) => {
+                                            const busiestDay = Math.max(...item.usageByDayOfWeek);
+                                            return (
+                                                <TableRow key={item._id}>
+                                                    <TableCell>
+                                                        <Link
+                                                            to={`/admin/inventory/edit/${item._id}`}
+                                                            className="font-medium text-gray-900 hover:text-orange-600"
+                                                        >
+                                                            {item.name}
+                                                        </Link>
+                                                        <p className="text-xs text-gray-500">
+                                                            {item.supplierName || "No supplier"} · {item.leadTimeDays} day lead time
+                                                        </p>
+                                                    </TableCell>
+                                                    <TableCell className="text-right text-gray-900">
+                                                        {item.averageDailyUsage} {item.unitOfMeasure}
+                                                    </TableCell>
+                                                    <TableCell>
+                                                        {/* Weekday bars, scaled to the busiest day */}
+                                                        <div
+                                                            className="flex items-end gap-0.5 h-8"
+                                                            title={item.usageByDayOfWeek.map((used, day) => `${DAY_LABELS[day]}: ${used}`).join("  ")}
+                                                        >
+                                                            {item.usageByDayOfWeek.map((used, day) => (
+                                                                <div key={day} className="flex flex-col items-center w-3">
+                                                                    <div
+                                                                        className="w-2 rounded-sm bg-blue-400"
+                                                                        style={{ height: busiestDay > 0 ? `${Math.max((used / busiestDay) * 20, 1)}px` : "1px" }}
+                                                                    />
+                                                                    <span className="text-[10px] leading-3 text-gray-400">{DAY_LABELS[day]}</span>
+                                                                </div>
+                                                            ))}
+                                                        </div>
+                                                    </TableCell>
+                                                    <TableCell className="text-right">
+                                                        <p className="text-gray-900">{item.currentQuantity} {item.unitOfMeasure}</p>
+                                                        <p className={`text-xs ${item.daysOfStockLeft !== null && item.daysOfStockLeft <= item.leadTimeDays ? "text-red-600" : "text-gray-500"}`}>
+                                                            {formatDaysLeft(item.daysOfStockLeft)}
+                                                        </p>
+                                                    </TableCell>
+                                                    <TableCell className="text-right">
+                                                        <p className="text-gray-900">{item.reorderPoint} {item.unitOfMeasure}</p>
+                                                        <p className="text-xs text-gray-500">Threshold {item.threshold}</p>
+                                                    </TableCell>
+                                                    <TableCell className="text-right text-gray-600">
+                                                        {item.quantityOnOrder > 0 ? `${item.quantityOnOrder} ${item.unitOfMeasure}` : "—"}
+                                                    </TableCell>
+                                                    <TableCell className="text-right font-medium text-orange-600">
+                                                        {item.suggestedQuantity > 0 ? `${item.suggestedQuantity} ${item.unitOfMeasure}` : "—"}
+                                                    </TableCell>
+                                                    <TableCell>
+                                                        <Button
+                                                            variant="outline"
+                                                            size="sm"
+                                                            className="cursor-pointer"
+                                                            onClick={() => navigate(item.suggestedQuantity > 0
+                                                                ? `/admin/purchase-orders/new?item=${item._id}&quantity=${item.suggestedQuantity}`
+                                                                : `/admin/purchase-orders/new?item=${item._id}`)}
+                                                        >
+                                                            <ShoppingCart className="h-4 w-4 mr-1" />
+                                                            Order
+                                                        </Button>
+                                                    </TableCell>
+                                                </TableRow>
+                                            );
+                                        })}
+                                    </TableBody>
+                                </Table>
+                            </div>
+                        )}
+                    </>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default SuggestedOrdersPanel;
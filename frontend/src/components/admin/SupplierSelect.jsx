@@ -0,0 +1,54 @@
+/**
+ * SupplierSelect - Picks the supplier an inventory item is normally bought from.
+ * Items saved before suppliers existed only carry a free-text name, which is shown as the
+ * placeholder until a supplier is chosen.
+ */
+import React, { useEffect, useState } from "react";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "../ui/select";
+import supplierService from "@/services/supplierService";
+
+const NO_SUPPLIER = "none";
+
+/**
+ * @param {Object} props
+ * @param {string} props.value - Selected supplier ID ("" when not linked)
+ * @param {string} props.legacyName - Free-text supplier name of an unlinked item
+ * @param {Function} props.onChange - Called with the chosen supplier, or null for none
+ */
+const SupplierSelect = ({ value, legacyName, onChange }) => {
+    const [suppliers, setSuppliers] = useState([]);
+
+    useEffect(() => {
+        supplierService.fetchAllSuppliers()
+            .then(setSuppliers)
+            .catch((error) => console.error("Error loading suppliers:", error));
+    }, []);
+
+    const handleChange = (supplierId) => {
+        onChange(suppliers.find((supplier) => supplier._id === supplierId) || null);
+    };
+
+    return (
+        <Select value={value || ""} onValueChange={handleChange}>
+            <SelectTrigger className="mt-1">
+                <SelectValue placeholder={legacyName || "Select a supplier"} />
+            </SelectTrigger>
+            <SelectContent>
+                <SelectItem value={NO_SUPPLIER}>No supplier</SelectItem>
+                {suppliers.map((supplier) => (
+                    <SelectItem key={supplier._id} value={supplier._id}>
+                        {supplier.name}
+                    </SelectItem>
+                ))}
+            </SelectContent>
+        </Select>
+    );
+};
+
+export default SupplierSelect;
@@ -0,0 +1,165 @@
+/**
+ * VariantsEditor - Edits the ways a menu item comes (filling, preparation style, portion)
+ * and the price of each combination. Combinations left without a price are not sold.
+ * A variant can have its own recipe, e.g. chicken filling or more wrappers for a bigger portion.
+ */
+import React, { useState } from "react";
+import { Input } from "../ui/input";
+import { Button } from "../ui/button";
+import { Switch } from "../ui/switch";
+import { Plus, Trash2, ChefHat } from "lucide-react";
+import RecipeEditor from "./RecipeEditor";
+import { getVariantCombinations, getVariantKey } from "@/lib/variants";
+
+// Matches the backend limit: filling, preparation style and portion
+const MAX_DIMENSIONS = 3;
+
+/**
+ * @param {Object} props
+ * @param {Object} props.value - { dimensions: [{ name, valuesText }], variants: [{ values, amount, isVeg, recipe }] }
+ * @param {Function} props.onChange - Called with the updated value
+ * @param {boolean} props.defaultIsVeg - Veg flag for newly priced combinations
+ */
+const VariantsEditor = ({ value, onChange, defaultIsVeg }) => {
+    const { dimensions, variants } = value;
+    // Combination whose recipe is open, by variant key
+    const [recipeKey, setRecipeKey] = useState(null);
+    const combinations = dimensions.length > 0 ? getVariantCombinations(dimensions) : [];
+
+    const updateDimensions = (nextDimensions) => {
+        onChange({ dimensions: nextDimensions, variants });
+    };
+
+    const addDimension = () => {
+        updateDimensions([...dimensions, { name: "", valuesText: "" }]);
+    };
+
+    const updateDimension = (index, changes) => {
+        updateDimensions(dimensions.map((dimension, i) => (i === index ? { ...dimension, ...changes } : dimension)));
+    };
+
+    const removeDimension = (index) => {
+        // Prices are kept per full combination, so they no longer apply once a dimension goes
+        onChange({ dimensions: dimensions.filter((_, i) => i !== index), variants: [] });
+    };
+
+    const findVariant = (values) => variants.find((variant) => getVariantKey(variant.values) === getVariantKey(values));
+
+    const updateVariant = (values, changes) => {
+        const existing = findVariant(values);
+        const others = variants.filter((variant) => variant !== existing);
+        onChange({
+            dimensions,
+            variants: [...others, { values, amount: "", isVeg: defaultIsVeg, recipe: [], ...existing, ...changes }],
+        });
+    };
+
+    return (
+        <div className="space-y-4">
+            {dimensions.length === 0 ? (
+                <div className="p-4 bg-gray-50 rounded-lg text-center text-gray-500 text-sm">
+                    Sold at a single price. Add an option such as "Filling" or "Portion" to sell it in variants.
+                </div>
+            ) : (
+                dimensions.map((dimension, index) => (
+                    <div key={index} className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
+                        <div className="w-40 flex-shrink-0">
+                            <Input
+                                placeholder="e.g. Filling"
+                                value={dimension.name}
+                                maxLength={30}
+                                onChange={(e) => updateDimension(index, { name: e.target.value })}
+                                className="bg-white"
+                            />
+                        </div>
+                        <Input
+                            placeholder="Choices, comma separated: Veg, Paneer, Chicken"
+                            value={dimension.valuesText}
+                            onChange={(e) => updateDimension(index, { valuesText: e.target.value })}
+                            className="bg-white"
+                        />
+                        <Button
+                            type="button"
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => removeDimension(index)}
+                            className="text-red-500 hover:text-red-700 hover:bg-red-50"
+                        >
+                            <Trash2 className="h-4 w-4" />
+                        </Button>
+                    </div>
+                ))
+            )}
+
+            <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={addDimension}
+                disabled={dimensions.length >= MAX_DIMENSIONS}
+                className="text-orange-600 border-orange-300 hover:bg-orange-50"
+            >
+                <Plus className="h-4 w-4 mr-1" />
+                Add Option
+            </Button>
+
+            {/* Price per combination */}
+            {combinations.length > 0 && (
+                <div className="rounded-lg border">
+                    <div className="grid grid-cols-[1fr_8rem_5rem_7rem] gap-3 px-3 py-2 bg-gray-50 text-xs font-medium text-gray-500">
+                        <span>Variant</span>
+                        <span>Price (₹)</span>
+                        <span>Veg</span>
+                        <span>Recipe</span>
+                    </div>
+                    {combinations.map((values) => {
+                        const variant = findVariant(values);
+                        const key = getVariantKey(values);
+                        const recipe = variant?.recipe || [];
+                        return (
+                            <div key={key} className="border-t">
+                                <div className="grid grid-cols-[1fr_8rem_5rem_7rem] items-center gap-3 px-3 py-2">
+                                    <span className="text-sm text-gray-800">{values.join(" · ")}</span>
+                                    <Input
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        placeholder="Not sold"
+                                        value={variant?.amount ?? ""}
+                                        onChange={(e) => updateVariant(values, { amount: e.target.value })}
+                                        className="h-8"
+                                    />
+                                    <Switch
+                                        checked={variant?.isVeg ?? defaultIsVeg}
+                                        onCheckedChange={(checked) => updateVariant(values, { isVeg: checked })}
+                                    />
+                                    <Button
+                                        type="button"
+                                        variant="ghost"
+                                        size="sm"
+                                        onClick={() => setRecipeKey(recipeKey === key ? null : key)}
+                                        className="h-8 justify-start px-2 text-xs text-gray-600"
+                                    >
+                                        <ChefHat className="h-3.5 w-3.5 mr-1" />
+                                        {recipe.length > 0 ? `${recipe.length} ingredient${recipe.length === 1 ? "" : "s"}` : "Item recipe"}
+                                    </Button>
+                                </div>
+                                {recipeKey === key && (
+                                    <div className="px-3 pb-3">
+                                        <RecipeEditor
+                                            recipe={recipe}
+                                            onChange={(nextRecipe) => updateVariant(values, { recipe: nextRecipe })}
+                                            emptyMessage="Uses the item's recipe. Add ingredients to use a different recipe for this variant."
+                                        />
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default VariantsEditor;
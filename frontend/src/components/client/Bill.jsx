@@ -7,6 +7,9 @@ import { Badge } from "@/components/ui/badge";
 import { Download, Printer, X, CreditCard, CheckCircle2, AlertCircle } from "lucide-react";
 import Barcode from "react-barcode";
 
+// GST rates are stored as decimal fractions (0.025 -> "2.5%")
+const formatRate = (rate) => `${+(rate * 100).toFixed(2)}%`;
+
 const Bill = ({ orderData, onClose, onPayBill, billingStatus = 'unpaid' }) => {
   const billRef = useRef();
   const [isPaymentRequested, setIsPaymentRequested] = useState(
@@ -17,6 +20,10 @@ const Bill = ({ orderData, onClose, onPayBill, billingStatus = 'unpaid' }) => {
     return null;
   }
 
+  // Bills from before GST only carry a single tax amount
+  const hasGstBreakup = (orderData.cgst || 0) + (orderData.sgst || 0) > 0;
+  const hsnSummary = orderData.hsnSummary || [];
+
   const handlePrint = () => {
     window.print();
   };
@@ -76,6 +83,9 @@ const Bill = ({ orderData, onClose, onPayBill, billingStatus = 'unpaid' }) => {
                 <p>123 Spice Avenue, Flavor</p>
                 <p>Town</p>
                 <p>Tel: +1 (206) 658-8856</p>
+                {orderData.gstin && (
+                  <p className="font-semibold text-[#1a1a1a]">GSTIN: {orderData.gstin}</p>
+                )}
               </div>
             </div>
 
@@ -117,6 +127,26 @@ const Bill = ({ orderData, onClose, onPayBill, billingStatus = 'unpaid' }) => {
                       {(item.price * item.quantity).toFixed(2)}
                     </span>
                   </div>
+                  {item.variant && (
+                    <div className="ml-12 text-[#6b7280]">
+                      {item.variant.toUpperCase()}
+                    </div>
+                  )}
+                  {item.combo && (
+                    <div className="ml-12 text-[#6b7280]">
+                      {item.combo.name.toUpperCase()} - {item.combo.slot.toUpperCase()}
+                    </div>
+                  )}
+                  {item.customizations?.map((addOn) => (
+                    <div key={addOn.name} className="ml-12 text-[#6b7280]">
+                      + {addOn.name.toUpperCase()} @{addOn.price.toFixed(2)}
+                    </div>
+                  ))}
+                  {item.specialInstructions && (
+                    <div className="ml-12 italic text-[#6b7280]">
+                      NOTE: {item.specialInstructions}
+                    </div>
+                  )}
                   {item.description && (
                     <div className="ml-12 text-[#6b7280]">
                       {item.description}
@@ -138,10 +168,29 @@ const Bill = ({ orderData, onClose, onPayBill, billingStatus = 'unpaid' }) => {
                   {orderData.subtotal.toFixed(2)}
                 </span>
               </div>
-              <div className="flex justify-between">
-                <span>TAX (8%)</span>
-                <span className="font-semibold">{orderData.tax.toFixed(2)}</span>
-              </div>
+              {orderData.discount > 0 && (
+                <div className="flex justify-between">
+                  <span>DISCOUNT{orderData.promoCodes ? ` (${orderData.promoCodes})` : ""}</span>
+                  <span className="font-semibold">-{orderData.discount.toFixed(2)}</span>
+                </div>
+              )}
+              {hasGstBreakup ? (
+                <>
+                  <div className="flex justify-between">
+                    <span>CGST</span>
+                    <span className="font-semibold">{orderData.cgst.toFixed(2)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>SGST</span>
+                    <span className="font-semibold">{orderData.sgst.toFixed(2)}</span>
+                  </div>
+                </>
+              ) : (
+                <div className="flex justify-between">
+                  <span>TAX</span>
+                  <span className="font-semibold">{orderData.tax.toFixed(2)}</span>
+                </div>
+              )}
             </div>
 
             <div
@@ -154,6 +203,51 @@ const Bill = ({ orderData, onClose, onPayBill, billingStatus = 'unpaid' }) => {
               </span>
             </div>
 
+            {/* Loyalty points paid towards the bill */}
+            {orderData.pointsRedeemed > 0 && (
+              <div
+                className="mb-6 -mt-4 space-y-2 text-xs"
+                style={{ fontFamily: "Courier New, monospace" }}
+              >
+                <div className="flex justify-between">
+                  <span>PAID WITH {orderData.pointsRedeemed} POINTS</span>
+                  <span className="font-semibold">-{orderData.redeemedAmount.toFixed(2)}</span>
+                </div>
+                <div className="flex justify-between text-sm font-bold">
+                  <span>AMOUNT DUE</span>
+                  <span>₹{(orderData.total - orderData.redeemedAmount).toFixed(2)}</span>
+                </div>
+              </div>
+            )}
+
+            {/* HSN/SAC Summary */}
+            {hsnSummary.length > 0 && (
+              <div
+                className="mb-6 text-[10px]"
+                style={{ fontFamily: "Courier New, monospace" }}
+              >
+                <p className="mb-1 font-bold uppercase">HSN/SAC SUMMARY</p>
+                <div className="flex justify-between border-b border-dashed border-[#1a1a1a] pb-1 font-bold uppercase">
+                  <span className="w-14">HSN/SAC</span>
+                  <span className="w-14 text-right">TAXABLE</span>
+                  <span className="w-20 text-right">CGST</span>
+                  <span className="w-20 text-right">SGST</span>
+                </div>
+                {hsnSummary.map((row) => (
+                  <div key={`${row.hsnCode}-${row.gstRate}`} className="flex justify-between pt-1">
+                    <span className="w-14">{row.hsnCode}</span>
+                    <span className="w-14 text-right">{row.taxableValue.toFixed(2)}</span>
+                    <span className="w-20 text-right">
+                      {row.cgst.toFixed(2)} @{formatRate(row.cgstRate)}
+                    </span>
+                    <span className="w-20 text-right">
+                      {row.sgst.toFixed(2)} @{formatRate(row.sgstRate)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
             {/* Payment Status Badge */}
             <div className="mb-4 flex justify-center">
               {billingStatus === 'paid' ? (
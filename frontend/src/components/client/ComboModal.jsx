@@ -0,0 +1,205 @@
+/**
+ * Combo Modal - Lets the customer pick an item for each slot of a combo meal.
+ * Opens when customer clicks "Add" on a combo; the kitchen receives one line per chosen item.
+ */
+
+import React, { useState } from "react";
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogFooter,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
+import { Plus, Minus, ShoppingCart } from "lucide-react";
+import { MAX_SPECIAL_INSTRUCTIONS_LENGTH } from "@/lib/cartLines";
+
+/**
+ * ComboModal component for choosing what goes into a combo.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Object} props.item - The combo in cart format, with comboSlots (each with its options)
+ * @param {Function} props.onAddToCart - Callback when the combo is added to cart with its choices
+ */
+const ComboModal = ({ isOpen, onClose, item, onAddToCart }) => {
+    // Chosen menu item ID per slot ID
+    const [choices, setChoices] = useState({});
+    // Track quantity to add
+    const [quantity, setQuantity] = useState(1);
+    // Free-text cooking note sent to the kitchen
+    const [specialInstructions, setSpecialInstructions] = useState("");
+
+    const slots = item?.comboSlots || [];
+
+    // Slots with a single option need no choice
+    const getChoice = (slot) => choices[slot._id] || (slot.options.length === 1 ? slot.options[0]._id : "");
+
+    const isComplete = slots.every((slot) => Boolean(getChoice(slot)));
+
+    // Handle adding to cart with the chosen items
+    const handleAddToCart = () => {
+        const comboSelections = slots.map((slot) => {
+            const option = slot.options.find((o) => o._id === getChoice(slot));
+            return {
+                slotId: slot._id,
+                slotName: slot.name,
+                menuItemId: option._id,
+                name: option.productName,
+            };
+        });
+
+        onAddToCart({
+            ...item,
+            description: comboSelections.map((selection) => selection.name).join(" + "),
+            comboSelections,
+            specialInstructions: specialInstructions.trim(),
+            quantity: quantity,
+        });
+        handleClose();
+    };
+
+    // Reset state and close modal
+    const handleClose = () => {
+        setChoices({});
+        setQuantity(1);
+        setSpecialInstructions("");
+        onClose();
+    };
+
+    if (!item) return null;
+
+    return (
+        <Dialog open={isOpen} onOpenChange={handleClose}>
+            <DialogContent className="sm:max-w-md max-h-[90vh] overflow-y-auto">
+                <DialogHeader>
+                    <DialogTitle className="flex items-center gap-2">
+                        {item.name}
+                        <Badge className="bg-orange-500 text-white text-xs">COMBO</Badge>
+                    </DialogTitle>
+                </DialogHeader>
+
+                <div className="space-y-6 py-4">
+                    {/* Combo Image & Description */}
+                    <div className="flex gap-4">
+                        <div className="w-24 h-24 rounded-lg overflow-hidden bg-gray-100">
+                            <img
+                                src={item.image || "/images/special_dishes.png"}
+                                alt={item.name}
+                                className="w-full h-full object-cover"
+                                onError={(e) => {
+                                    e.target.src = "/images/special_dishes.png";
+                                }}
+                            />
+                        </div>
+                        <div className="flex-1">
+                            <p className="text-sm text-gray-600">{item.description}</p>
+                            <p className="mt-2 text-lg font-bold text-[#ff7a3c]">
+                                ₹{item.price?.toFixed(2)}
+                            </p>
+                        </div>
+                    </div>
+
+                    {/* One choice per slot */}
+                    {slots.map((slot) => (
+                        <div key={slot._id} className="space-y-3">
+                            <h4 className="font-medium text-gray-900">{slot.name}</h4>
+                            {slot.options.length === 0 ? (
+                                <p className="text-sm text-gray-500">Nothing available right now</p>
+                            ) : (
+                                <RadioGroup
+                                    value={getChoice(slot)}
+                                    onValueChange={(value) => setChoices((prev) => ({ ...prev, [slot._id]: value }))}
+                                    className="space-y-2"
+                                >
+                                    {slot.options.map((option) => (
+                                        <Label
+                                            key={option._id}
+                                            htmlFor={`${slot._id}-${option._id}`}
+                                            className={`flex items-center justify-between p-3 rounded-lg border cursor-pointer transition-colors ${getChoice(slot) === option._id
+                                                    ? "bg-orange-50 border-orange-300"
+                                                    : "bg-white border-gray-200 hover:border-orange-200"
+                                                }`}
+                                        >
+                                            <div className="flex items-center gap-3">
+                                                <RadioGroupItem id={`${slot._id}-${option._id}`} value={option._id} />
+                                                <span className="font-medium text-gray-700">{option.productName}</span>
+                                            </div>
+                                            <span className={`h-2.5 w-2.5 rounded-full ${option.isVeg ? "bg-green-600" : "bg-red-600"}`} />
+                                        </Label>
+                                    ))}
+                                </RadioGroup>
+                            )}
+                        </div>
+                    ))}
+
+                    {/* Cooking Note */}
+                    <div className="space-y-2">
+                        <Label htmlFor="comboSpecialInstructions" className="font-medium text-gray-900">
+                            Cooking Note
+                        </Label>
+                        <Textarea
+                            id="comboSpecialInstructions"
+                            placeholder="e.g. less spicy, no onion"
+                            maxLength={MAX_SPECIAL_INSTRUCTIONS_LENGTH}
+                            value={specialInstructions}
+                            onChange={(e) => setSpecialInstructions(e.target.value)}
+                        />
+                    </div>
+
+                    {/* Quantity Selector */}
+                    <div className="flex items-center justify-between">
+                        <span className="font-medium text-gray-700">Quantity</span>
+                        <div className="flex items-center gap-3 bg-gray-100 rounded-full px-2 py-1">
+                            <Button
+                                type="button"
+                                size="icon"
+                                variant="ghost"
+                                className="h-8 w-8 rounded-full hover:bg-gray-200"
+                                onClick={() => setQuantity((q) => Math.max(1, q - 1))}
+                                disabled={quantity <= 1}
+                            >
+                                <Minus className="h-4 w-4" />
+                            </Button>
+                            <span className="min-w-[24px] text-center font-semibold">
+                                {quantity}
+                            </span>
+                            <Button
+                                type="button"
+                                size="icon"
+                                variant="ghost"
+                                className="h-8 w-8 rounded-full hover:bg-gray-200"
+                                onClick={() => setQuantity((q) => q + 1)}
+                            >
+                                <Plus className="h-4 w-4" />
+                            </Button>
+                        </div>
+                    </div>
+                </div>
+
+                <DialogFooter>
+                    <div className="flex w-full items-center justify-between">
+                        <div className="text-lg font-bold text-gray-900">
+                            Total: <span className="text-[#ff7a3c]">₹{((item.price || 0) * quantity).toFixed(2)}</span>
+                        </div>
+                        <Button
+                            className="bg-[#ff7a3c] hover:bg-[#ff6825] text-white px-6"
+                            onClick={handleAddToCart}
+                            disabled={!isComplete}
+                        >
+                            <ShoppingCart className="h-4 w-4 mr-2" />
+                            Add to Cart
+                        </Button>
+                    </div>
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+};
+
+export default ComboModal;
@@ -1,6 +1,6 @@
 /**
- * Customization Modal - Displays add-on options for menu items.
- * Opens when customer clicks "Add" on an item with customization options.
+ * Customization Modal - Displays variant choices and add-on options for menu items.
+ * Opens when customer clicks "Add" on an item sold in variants or with customization options.
  */
 
 import React, { useState } from "react";
@@ -15,25 +15,52 @@ import { Button } from "@/components/ui/button";
 import { Checkbox } from "@/components/ui/checkbox";
 import { Label } from "@/components/ui/label";
 import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
 import { Plus, Minus, ShoppingCart } from "lucide-react";
+import { MAX_SPECIAL_INSTRUCTIONS_LENGTH } from "@/lib/cartLines";
 
 /**
- * CustomizationModal component for selecting add-on options.
+ * CustomizationModal component for selecting a variant and add-on options.
  * @param {Object} props - Component props
  * @param {boolean} props.isOpen - Whether the modal is open
  * @param {Function} props.onClose - Callback to close the modal
- * @param {Object} props.item - The menu item with customization options
+ * @param {Object} props.item - The menu item with customization options and optional variantDimensions/variants
  * @param {Function} props.onAddToCart - Callback when item is added to cart with customizations
  */
 const CustomizationModal = ({ isOpen, onClose, item, onAddToCart }) => {
+    // Chosen value per variant dimension, over the first variant's values
+    const [chosenValues, setChosenValues] = useState({});
     // Track selected customizations by their index
     const [selectedOptions, setSelectedOptions] = useState([]);
     // Track quantity to add
     const [quantity, setQuantity] = useState(1);
+    // Free-text cooking note sent to the kitchen
+    const [specialInstructions, setSpecialInstructions] = useState("");
+
+    const dimensions = item?.variantDimensions || [];
+    const variants = item?.variants || [];
+    const hasVariants = variants.length > 0;
+
+    // Selected variant values, by dimension name
+    const variantSelection = Object.fromEntries(dimensions.map((dimension, i) => [
+        dimension.name,
+        chosenValues[dimension.name] ?? variants[0]?.values[i],
+    ]));
+    const selectedVariant = variants.find((variant) =>
+        variant.values.every((value, i) => value === variantSelection[dimensions[i].name])
+    );
+    // Not every combination is sold (e.g. no steamed chicken)
+    const isUnavailableVariant = hasVariants && !selectedVariant;
+
+    // Price of the item before add-ons: the chosen variant's, or the item's own
+    const getBasePrice = () => {
+        if (!hasVariants) return item?.price || 0;
+        return selectedVariant ? (selectedVariant.activePrice ?? selectedVariant.amount) : 0;
+    };
 
     // Calculate total price including selected add-ons
     const calculateTotalPrice = () => {
-        const basePrice = item?.price || 0;
+        const basePrice = getBasePrice();
         const addOnTotal = selectedOptions.reduce((sum, optionIndex) => {
             const option = item?.customizationOptions?.[optionIndex];
             return sum + (option?.price || 0);
@@ -60,14 +87,20 @@ const CustomizationModal = ({ isOpen, onClose, item, onAddToCart }) => {
 
         // Calculate total price for this item including add-ons
         const priceWithAddons =
-            item.price +
+            getBasePrice() +
             selectedCustomizations.reduce((sum, opt) => sum + opt.price, 0);
 
         // Create cart item with customization details
         const cartItem = {
             ...item,
+            ...(hasVariants && {
+                variant: variantSelection,
+                variantLabel: selectedVariant.values.join(" · "),
+                isVeg: selectedVariant.isVeg,
+            }),
             price: priceWithAddons,
             customizations: selectedCustomizations,
+            specialInstructions: specialInstructions.trim(),
             quantity: quantity,
         };
 
@@ -77,8 +110,10 @@ const CustomizationModal = ({ isOpen, onClose, item, onAddToCart }) => {
 
     // Reset state and close modal
     const handleClose = () => {
+        setChosenValues({});
         setSelectedOptions([]);
         setQuantity(1);
+        setSpecialInstructions("");
         onClose();
     };
 
@@ -93,7 +128,7 @@ const CustomizationModal = ({ isOpen, onClose, item, onAddToCart }) => {
                 <DialogHeader>
                     <DialogTitle className="flex items-center gap-2">
                         {item.name}
-                        {item.isVeg ? (
+                        {(selectedVariant?.isVeg ?? item.isVeg) ? (
                             <Badge className="bg-green-600 text-white text-xs">VEG</Badge>
                         ) : (
                             <Badge className="bg-red-600 text-white text-xs">NON-VEG</Badge>
@@ -117,11 +152,33 @@ const CustomizationModal = ({ isOpen, onClose, item, onAddToCart }) => {
                         <div className="flex-1">
                             <p className="text-sm text-gray-600">{item.description}</p>
                             <p className="mt-2 text-lg font-bold text-[#ff7a3c]">
-                                ₹{item.price?.toFixed(2)}
+                                {isUnavailableVariant ? "Not available in this combination" : `₹${getBasePrice().toFixed(2)}`}
                             </p>
                         </div>
                     </div>
 
+                    {/* Variant Choices */}
+                    {dimensions.map((dimension) => (
+                        <div key={dimension.name} className="space-y-3">
+                            <h4 className="font-medium text-gray-900">{dimension.name}</h4>
+                            <div className="flex flex-wrap gap-2">
+                                {dimension.values.map((value) => (
+                                    <button
+                                        key={value}
+                                        type="button"
+                                        onClick={() => setChosenValues((prev) => ({ ...prev, [dimension.name]: value }))}
+                                        className={`rounded-full border px-4 py-1.5 text-sm font-medium transition-colors ${variantSelection[dimension.name] === value
+                                                ? "bg-orange-50 border-orange-300 text-orange-700"
+                                                : "bg-white border-gray-200 text-gray-700 hover:border-orange-200"
+                                            }`}
+                                    >
+                                        {value}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+
                     {/* Customization Options */}
                     {hasCustomizations && (
                         <div className="space-y-3">
@@ -155,6 +212,20 @@ const CustomizationModal = ({ isOpen, onClose, item, onAddToCart }) => {
                         </div>
                     )}
 
+                    {/* Cooking Note */}
+                    <div className="space-y-2">
+                        <Label htmlFor="specialInstructions" className="font-medium text-gray-900">
+                            Cooking Note
+                        </Label>
+                        <Textarea
+                            id="specialInstructions"
+                            placeholder="e.g. less spicy, no onion"
+                            maxLength={MAX_SPECIAL_INSTRUCTIONS_LENGTH}
+                            value={specialInstructions}
+                            onChange={(e) => setSpecialInstructions(e.target.value)}
+                        />
+                    </div>
+
                     {/* Quantity Selector */}
                     <div className="flex items-center justify-between">
                         <span className="font-medium text-gray-700">Quantity</span>
@@ -193,6 +264,7 @@ const CustomizationModal = ({ isOpen, onClose, item, onAddToCart }) => {
                         <Button
                             className="bg-[#ff7a3c] hover:bg-[#ff6825] text-white px-6"
                             onClick={handleAddToCart}
+                            disabled={isUnavailableVariant}
                         >
                             <ShoppingCart className="h-4 w-4 mr-2" />
                             Add to Cart
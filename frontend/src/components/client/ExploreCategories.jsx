@@ -30,6 +30,8 @@ import {
 import { useCart } from "@/context/CartContext";
 import menuService from "@/services/menuService";
 import useMenuImage from "@/hooks/useMenuImage";
+import ComboModal from "@/components/client/ComboModal";
+import CustomizationModal from "@/components/client/CustomizationModal";
 
 // Icon mapping for categories
 const categoryIconMap = {
@@ -107,8 +109,10 @@ const ExploreCategories = () => {
 
       try {
         setIsLoadingItems(true);
-        // Fetch items for the selected category
-        const filters = selectedCategory === "All" ? {} : { category: selectedCategory };
+        // Fetch items for the selected category that can be ordered right now
+        const filters = selectedCategory === "All"
+          ? { availability: true }
+          : { category: selectedCategory, availability: true };
 
         const fetchedItems = await menuService.fetchAllMenuItems(filters);
 
@@ -117,12 +121,16 @@ const ExploreCategories = () => {
           id: item._id, // IMPORTANT: Use _id from DB
           name: item.productName,
           description: item.description,
-          price: item.amount,
+          price: item.activePrice ?? item.amount,
           rating: item.rating || 0,
+          ratingCount: item.ratingCount || 0,
           // IMPORTANT: Keep original imageLink for useMenuImage hook
           // DO NOT default to fallback here - let the hook handle it
           imageLink: item.imageLink,
           isVeg: item.isVeg,
+          comboSlots: item.comboSlots || [],
+          variantDimensions: item.variantDimensions || [],
+          variants: item.variants || [],
           // Preserve original item data if needed
           originalItem: item
         }));
@@ -242,6 +250,21 @@ const CategoryItem = ({ item }) => {
   const { imageSrc } = useMenuImage(item.imageLink, '/images/special_dishes.png');
 
   const quantity = getItemQuantity(item.id);
+  // Combos open a modal to choose what goes in each slot, items sold in variants one to pick the variant
+  const isCombo = item.comboSlots.length > 0;
+  const hasVariants = item.variants.length > 0;
+  const [isComboOpen, setIsComboOpen] = useState(false);
+  const [isVariantOpen, setIsVariantOpen] = useState(false);
+
+  const handleAddToCart = () => {
+    if (isCombo) {
+      setIsComboOpen(true);
+    } else if (hasVariants) {
+      setIsVariantOpen(true);
+    } else {
+      addToCart(item);
+    }
+  };
 
   return (
     <Card className="group overflow-hidden rounded-3xl border-none shadow-md transition-all hover:shadow-xl">
@@ -281,12 +304,15 @@ const CategoryItem = ({ item }) => {
           </div>
 
           {/* Rating Badge */}
-          <div className="absolute right-3 top-3 flex items-center gap-1 rounded-full bg-white px-2 py-1 shadow-md">
-            <Star className="h-3 w-3 fill-[#fbbf24] text-[#fbbf24]" />
-            <span className="text-xs font-semibold text-[#1a1a1a]">
-              {item.rating.toFixed(1)}
-            </span>
-          </div>
+          {item.ratingCount > 0 && (
+            <div className="absolute right-3 top-3 flex items-center gap-1 rounded-full bg-white px-2 py-1 shadow-md">
+              <Star className="h-3 w-3 fill-[#fbbf24] text-[#fbbf24]" />
+              <span className="text-xs font-semibold text-[#1a1a1a]">
+                {item.rating.toFixed(1)}
+              </span>
+              <span className="text-xs text-gray-500">({item.ratingCount})</span>
+            </div>
+          )}
         </div>
 
         {/* Content */}
@@ -301,7 +327,7 @@ const CategoryItem = ({ item }) => {
           {/* Price and Add Button */}
           <div className="flex items-center justify-between">
             <span className="text-lg font-bold text-[#1a1a1a]">
-              ₹{item.price}
+              {hasVariants && "From "}₹{item.price}
             </span>
 
             {/* Conditional Rendering: Plus button or Minus-Count-Plus */}
@@ -309,7 +335,7 @@ const CategoryItem = ({ item }) => {
               <Button
                 size="icon"
                 className="h-9 w-9 rounded-full bg-[#ff7a3c] hover:bg-[#ff6825]"
-                onClick={() => addToCart(item)}
+                onClick={handleAddToCart}
               >
                 <Plus className="h-4 w-4" />
               </Button>
@@ -330,7 +356,7 @@ const CategoryItem = ({ item }) => {
                   size="icon"
                   variant="ghost"
                   className="h-7 w-7 rounded-full text-white hover:bg-[#ff6825] hover:text-white"
-                  onClick={() => addToCart(item)}
+                  onClick={handleAddToCart}
                 >
                   <Plus className="h-3 w-3" />
                 </Button>
@@ -339,6 +365,24 @@ const CategoryItem = ({ item }) => {
           </div>
         </div>
       </CardContent>
+
+      {isCombo && (
+        <ComboModal
+          isOpen={isComboOpen}
+          onClose={() => setIsComboOpen(false)}
+          item={{ ...item, image: imageSrc }}
+          onAddToCart={addToCart}
+        />
+      )}
+
+      {hasVariants && (
+        <CustomizationModal
+          isOpen={isVariantOpen}
+          onClose={() => setIsVariantOpen(false)}
+          item={{ ...item, image: imageSrc, customizationOptions: item.originalItem.customizationOptions || [] }}
+          onAddToCart={addToCart}
+        />
+      )}
     </Card>
   );
 };
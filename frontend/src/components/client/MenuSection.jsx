@@ -28,12 +28,16 @@ import {
   UtensilsCrossed,
   ChefHat,
   Beef,
-  Pizza
+  Pizza,
+  Layers
 } from "lucide-react";
 import { useCart } from "@/context/CartContext";
+import { useSocket } from "@/context/SocketContext";
 import menuService from "@/services/menuService";
 import CustomizationModal from "@/components/client/CustomizationModal";
+import ComboModal from "@/components/client/ComboModal";
 import useMenuImage from "@/hooks/useMenuImage";
+import { formatTime } from "@/lib/schedule";
 
 // Icon mapping for categories
 const categoryIconMap = {
@@ -51,6 +55,7 @@ const categoryIconMap = {
   "Special Dishes": Star,
   "Beverages": Wine,
   "Desserts": IceCreamCone,
+  "Combos": Layers,
 };
 
 
@@ -62,6 +67,29 @@ const categoryIconMap = {
 // DO NOT change this path unless you also update the corresponding file in public/images/
 const DEFAULT_IMAGE = "/images/special_dishes.png";
 
+// Happy-hour prices and serving times start and end on the clock, so the menu re-reads items this often
+const PRICE_REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Filters shown before the categories
+const FILTER_CATEGORIES = [
+  { name: "All", icon: Grid3x3, filter: "all" },
+  { name: "Veg", icon: Leaf, filter: "veg" },
+  { name: "Non-Veg", icon: Drumstick, filter: "nonveg" },
+];
+
+// Filters followed by the categories being served right now, with their icons
+const fetchCategoryFilters = async () => {
+  const availableCategories = await menuService.fetchAvailableCategories();
+  return [
+    ...FILTER_CATEGORIES,
+    ...availableCategories.map(categoryName => ({
+      name: categoryName,
+      icon: categoryIconMap[categoryName] || UtensilsCrossed,
+      filter: "category"
+    })),
+  ];
+};
+
 const Menu = () => {
   const [selectedCategory, setSelectedCategory] = useState("All");
   const [menuItems, setMenuItems] = useState([]);
@@ -74,8 +102,12 @@ const Menu = () => {
   const [isCustomizationOpen, setIsCustomizationOpen] = useState(false);
   const [selectedItemForCustomization, setSelectedItemForCustomization] = useState(null);
 
+  // Combo modal state
+  const [selectedCombo, setSelectedCombo] = useState(null);
+
   // Use global cart context
   const { addToCart, removeFromCart, getItemQuantity } = useCart();
+  const { socket } = useSocket();
 
   // Fetch available menu items from database on mount
   useEffect(() => {
@@ -97,38 +129,57 @@ const Menu = () => {
     fetchMenu();
   }, []);
 
+  // Items go off the menu when an ingredient runs out and come back once restocked,
+  // prices change when pricing rules are edited and categories when dayparts are edited
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleMenuUpdate = async () => {
+      try {
+        const items = await menuService.fetchAvailableMenuItems();
+        setMenuItems(items);
+        setCategories(await fetchCategoryFilters());
+      } catch (error) {
+        console.error("Error refreshing menu:", error);
+      }
+    };
+
+    socket.on("menu:availabilityUpdate", handleMenuUpdate);
+    socket.on("menu:pricingUpdate", handleMenuUpdate);
+    socket.on("menu:scheduleUpdate", handleMenuUpdate);
+
+    return () => {
+      socket.off("menu:availabilityUpdate", handleMenuUpdate);
+      socket.off("menu:pricingUpdate", handleMenuUpdate);
+      socket.off("menu:scheduleUpdate", handleMenuUpdate);
+    };
+  }, [socket]);
+
+  // Pick up happy hours and serving times starting or ending while the menu is open
+  useEffect(() => {
+    const interval = setInterval(async () => {
+      try {
+        const items = await menuService.fetchAvailableMenuItems();
+        setMenuItems(items);
+        setCategories(await fetchCategoryFilters());
+      } catch (error) {
+        console.error("Error refreshing menu prices:", error);
+      }
+    }, PRICE_REFRESH_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, []);
+
   // Fetch available categories from database
   useEffect(() => {
     const fetchCategories = async () => {
       try {
         setIsLoadingCategories(true);
-        const availableCategories = await menuService.fetchAvailableCategories();
-
-        // Build categories array with special filters first
-        const dynamicCategories = [
-          { name: "All", icon: Grid3x3, filter: "all" },
-          { name: "Veg", icon: Leaf, filter: "veg" },
-          { name: "Non-Veg", icon: Drumstick, filter: "nonveg" },
-        ];
-
-        // Add database categories with icons
-        availableCategories.forEach(categoryName => {
-          dynamicCategories.push({
-            name: categoryName,
-            icon: categoryIconMap[categoryName] || UtensilsCrossed,
-            filter: "category"
-          });
-        });
-
-        setCategories(dynamicCategories);
+        setCategories(await fetchCategoryFilters());
       } catch (error) {
         console.error('Error loading categories:', error);
         // Fallback to just filter buttons
-        setCategories([
-          { name: "All", icon: Grid3x3, filter: "all" },
-          { name: "Veg", icon: Leaf, filter: "veg" },
-          { name: "Non-Veg", icon: Drumstick, filter: "nonveg" },
-        ]);
+        setCategories(FILTER_CATEGORIES);
       } finally {
         setIsLoadingCategories(false);
       }
@@ -142,20 +193,25 @@ const Menu = () => {
     id: item._id,
     name: item.productName,
     description: item.description,
-    price: item.amount,
+    price: item.activePrice ?? item.amount,
     rating: item.rating,
     image: item.imageLink || DEFAULT_IMAGE,
     isVeg: item.isVeg,
     category: item.category,
     customizationOptions: item.customizationOptions || [],
+    comboSlots: item.comboSlots || [],
+    variantDimensions: item.variantDimensions || [],
+    variants: item.variants || [],
     isRecommended: item.isRecommended || false
   });
 
-  // Handle add to cart - opens modal if item has customizations
+  // Handle add to cart - opens a modal if the item is a combo, comes in variants or has customizations
   const handleAddToCart = (item, cartItem) => {
-    const hasCustomizations = item.customizationOptions && item.customizationOptions.length > 0;
+    const hasCustomizations = item.customizationOptions?.length > 0 || item.variants?.length > 0;
 
-    if (hasCustomizations) {
+    if (item.comboSlots?.length > 0) {
+      setSelectedCombo(cartItem);
+    } else if (hasCustomizations) {
       setSelectedItemForCustomization(cartItem);
       setIsCustomizationOpen(true);
     } else {
@@ -292,7 +348,7 @@ const Menu = () => {
         <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-4">
           {safeCurrentItems.map((item) => {
             // Render individual menu item card
-            return <MenuItem key={item._id} item={item} />;
+            return <MenuItem key={item._id} item={item} onAddToCart={handleAddToCart} />;
           })}
         </div>
       </div>
@@ -304,6 +360,14 @@ const Menu = () => {
         item={selectedItemForCustomization}
         onAddToCart={handleAddFromModal}
       />
+
+      {/* Combo Modal */}
+      <ComboModal
+        isOpen={Boolean(selectedCombo)}
+        onClose={() => setSelectedCombo(null)}
+        item={selectedCombo}
+        onAddToCart={handleAddFromModal}
+      />
     </section>
   );
 };
@@ -312,7 +376,7 @@ const Menu = () => {
  * Individual Menu Item Card Component
  * Separated to properly use the useMenuImage hook (hooks can't be called conditionally in map)
  */
-const MenuItem = ({ item }) => {
+const MenuItem = ({ item, onAddToCart }) => {
   const { addToCart, removeFromCart, getItemQuantity } = useCart();
 
   // ROBUST IMAGE LOADING: Use custom hook for intelligent image loading
@@ -324,31 +388,32 @@ const MenuItem = ({ item }) => {
   const { imageSrc } = useMenuImage(item.imageLink, DEFAULT_IMAGE);
 
   const quantity = getItemQuantity(item._id);
+  // A happy hour or other pricing rule is in force for this item
+  const hasRulePrice = Boolean(item.activePricingRule) && item.activePrice !== item.amount;
+  const isCombo = item.comboSlots?.length > 0;
+  // Items sold in variants show their lowest price and are chosen in the customization modal
+  const hasVariants = item.variants?.length > 0;
 
   // Transform database item to cart-compatible format
   const cartItem = {
     id: item._id,
     name: item.productName,
     description: item.description,
-    price: item.amount,
+    price: item.activePrice ?? item.amount,
     rating: item.rating,
     image: item.imageLink || DEFAULT_IMAGE,
     isVeg: item.isVeg,
     category: item.category,
     customizationOptions: item.customizationOptions || [],
+    comboSlots: item.comboSlots || [],
+    variantDimensions: item.variantDimensions || [],
+    variants: item.variants || [],
     isRecommended: item.isRecommended || false
   };
 
+  // Parent opens the combo or customization modal when there is something to choose
   const handleAddToCart = () => {
-    const hasCustomizations = item.customizationOptions && item.customizationOptions.length > 0;
-
-    if (hasCustomizations) {
-      // This will need to be handled via context or prop drilling
-      // For now, just add to cart directly
-      addToCart(cartItem);
-    } else {
-      addToCart(cartItem);
-    }
+    onAddToCart(item, cartItem);
   };
 
   return (
@@ -388,6 +453,12 @@ const MenuItem = ({ item }) => {
                 </Badge>
               )}
             </div>
+            {isCombo && (
+              <Badge className="rounded-full bg-[#ff7a3c] px-2 py-0.5 text-xs font-semibold text-white flex items-center gap-1">
+                <Layers className="h-3 w-3" />
+                Combo
+              </Badge>
+            )}
             {/* Recommended Badge */}
             {item.isRecommended && (
               <Badge className="rounded-full bg-gradient-to-r from-orange-500 to-pink-500 px-2 py-0.5 text-xs font-semibold text-white flex items-center gap-1">
@@ -398,12 +469,13 @@ const MenuItem = ({ item }) => {
           </div>
 
           {/* Rating Badge */}
-          {item.rating > 0 && (
+          {item.ratingCount > 0 && (
             <div className="absolute right-3 top-3 flex items-center gap-1 rounded-full bg-white px-2 py-1 shadow-md">
               <Star className="h-3 w-3 fill-[#fbbf24] text-[#fbbf24]" />
               <span className="text-xs font-semibold text-[#1a1a1a]">
-                {item.rating?.toFixed(1)}
+                {item.rating.toFixed(1)}
               </span>
+              <span className="text-xs text-gray-500">({item.ratingCount})</span>
             </div>
           )}
         </div>
@@ -419,9 +491,25 @@ const MenuItem = ({ item }) => {
 
           {/* Price and Add Button */}
           <div className="flex items-center justify-between">
-            <span className="text-lg font-bold text-[#1a1a1a]">
-              ₹{item.amount?.toFixed(2)}
-            </span>
+            {hasRulePrice ? (
+              <div>
+                <div className="flex items-baseline gap-2">
+                  <span className="text-lg font-bold text-[#ff7a3c]">
+                    {hasVariants && "From "}₹{item.activePrice.toFixed(2)}
+                  </span>
+                  <span className="text-sm text-[#9ca3af] line-through">
+                    ₹{item.amount?.toFixed(2)}
+                  </span>
+                </div>
+                <p className="text-xs font-medium text-green-600">
+                  {item.activePricingRule.name} until {formatTime(item.activePricingRule.endTime)}
+                </p>
+              </div>
+            ) : (
+              <span className="text-lg font-bold text-[#1a1a1a]">
+                {hasVariants && "From "}₹{item.amount?.toFixed(2)}
+              </span>
+            )}
 
             {quantity === 0 ? (
               <Button
@@ -448,7 +536,7 @@ const MenuItem = ({ item }) => {
                   size="icon"
                   variant="ghost"
                   className="h-7 w-7 rounded-full text-white hover:bg-[#ff6825] hover:text-white"
-                  onClick={() => addToCart(cartItem)}
+                  onClick={() => (isCombo || hasVariants ? handleAddToCart() : addToCart(cartItem))}
                 >
                   <Plus className="h-3 w-3" />
                 </Button>
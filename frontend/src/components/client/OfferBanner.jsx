@@ -4,11 +4,15 @@ import { Badge } from "@/components/ui/badge";
 import { Card } from "@/components/ui/card";
 import { Copy, Check } from "lucide-react";
 import { toast } from "sonner";
+import { useNavigate } from "react-router-dom";
+import { useCart } from "@/context/CartContext";
 import offerImg from "@/assets/offer.png";
 
 const OfferBanner = () => {
   const [copied, setCopied] = useState(false);
   const promoCode = "MAGIC50";
+  const { applyPromoCode } = useCart();
+  const navigate = useNavigate();
 
   const handleCopy = () => {
     navigator.clipboard.writeText(promoCode);
@@ -20,6 +24,13 @@ const OfferBanner = () => {
     }, 2000);
   };
 
+  // The code is checked against the cart on the server when the cart is priced
+  const handleClaim = () => {
+    applyPromoCode(promoCode);
+    toast.success(`${promoCode} added to your cart`);
+    navigate("/mycart");
+  };
+
   return (
     <section className="w-full bg-[#fafafa] px-4 py-6 md:py-8">
       <div className="mx-auto max-w-7xl">
@@ -72,6 +83,7 @@ const OfferBanner = () => {
                 <Button
                   size="lg"
                   className="rounded-full bg-white px-6 py-2 sm:px-8 text-xs sm:text-sm font-bold text-[#1a1a1a] hover:bg-[#f0f0f0]"
+                  onClick={handleClaim}
                 >
                   Claim Offer
                 </Button>
@@ -59,7 +59,14 @@ const OrderConfirmation = ({ isOpen, onClose, onOrderPlaced }) => {
       setStep(2);
     } catch (error) {
       console.error("Error placing order:", error);
-      alert("Failed to place order. Please try again.");
+      // Surface the server's reason (e.g. an item that just became unavailable)
+      const invalidItems = error.response?.data?.invalidItems || [];
+      const details = invalidItems.map((item) => `${item.name}: ${item.reason}`).join("\n");
+      alert(
+        details
+          ? `${error.response.data.message}\n${details}`
+          : error.response?.data?.message || "Failed to place order. Please try again."
+      );
     } finally {
       setIsLoading(false);
     }
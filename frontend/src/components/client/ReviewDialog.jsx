@@ -0,0 +1,136 @@
+/**
+ * Review Dialog - Lets the customer rate an item they were served and leave a short review.
+ * Star-only ratings count straight away; reviews with a comment are checked by staff first.
+ */
+
+import React, { useState } from "react";
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogDescription,
+    DialogFooter,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Star, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import reviewService from "@/services/reviewService";
+
+// Matches the backend limit
+const MAX_COMMENT_LENGTH = 300;
+
+const RATING_LABELS = ["", "Poor", "Fair", "Good", "Very good", "Excellent"];
+
+/**
+ * ReviewDialog component. Mount it with a key per item so it starts from that item's review.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the dialog is open
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @param {string} props.customerId - Verified customer's ID
+ * @param {Object} props.item - { menuItemId, name } of the served item
+ * @param {Object} [props.review] - The customer's earlier review of the item, if any
+ * @param {Function} props.onReviewed - Called with the saved review
+ */
+const ReviewDialog = ({ isOpen, onClose, customerId, item, review, onReviewed }) => {
+    const [rating, setRating] = useState(review?.rating || 0);
+    const [hoverRating, setHoverRating] = useState(0);
+    const [comment, setComment] = useState(review?.comment || "");
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    if (!item) return null;
+
+    const shownRating = hoverRating || rating;
+
+    const handleSubmit = async () => {
+        setIsSubmitting(true);
+        try {
+            const response = await reviewService.submitReview(customerId, {
+                menuItemId: item.menuItemId,
+                rating,
+                comment: comment.trim(),
+            });
+            toast.success(response.message);
+            onReviewed(response.data);
+            onClose();
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Failed to submit review");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+            <DialogContent className="sm:max-w-md">
+                <DialogHeader>
+                    <DialogTitle>Rate {item.name}</DialogTitle>
+                    <DialogDescription>
+                        {review ? "Update your rating of this item." : "How was it?"}
+                    </DialogDescription>
+                </DialogHeader>
+
+                <div className="space-y-5 py-2">
+                    {/* Star Picker */}
+                    <div className="flex flex-col items-center gap-2">
+                        <div className="flex gap-1" onMouseLeave={() => setHoverRating(0)}>
+                            {[1, 2, 3, 4, 5].map((star) => (
+                                <button
+                                    key={star}
+                                    type="button"
+                                    aria-label={`${star} star${star > 1 ? "s" : ""}`}
+                                    onClick={() => setRating(star)}
+                                    onMouseEnter={() => setHoverRating(star)}
+                                    className="p-1"
+                                >
+                                    <Star
+                                        className={`h-8 w-8 transition-colors ${star <= shownRating
+                                            ? "fill-yellow-400 text-yellow-400"
+                                            : "text-gray-300"
+                                            }`}
+                                    />
+                                </button>
+                            ))}
+                        </div>
+                        <p className="h-5 text-sm text-gray-600">{RATING_LABELS[shownRating]}</p>
+                    </div>
+
+                    {/* Comment */}
+                    <div className="space-y-2">
+                        <Label htmlFor="reviewComment" className="font-medium text-gray-900">
+                            Review <span className="font-normal text-gray-500">(optional)</span>
+                        </Label>
+                        <Textarea
+                            id="reviewComment"
+                            placeholder="Tell others what you liked"
+                            maxLength={MAX_COMMENT_LENGTH}
+                            value={comment}
+                            onChange={(e) => setComment(e.target.value)}
+                        />
+                        <p className="text-right text-xs text-gray-500">
+                            {comment.length}/{MAX_COMMENT_LENGTH}
+                        </p>
+                    </div>
+                </div>
+
+                <DialogFooter>
+                    <Button variant="outline" onClick={onClose} disabled={isSubmitting}>
+                        Cancel
+                    </Button>
+                    <Button
+                        className="bg-red-600 hover:bg-red-700 text-white"
+                        onClick={handleSubmit}
+                        disabled={rating === 0 || isSubmitting}
+                    >
+                        {isSubmitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                        Submit
+                    </Button>
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+};
+
+export default ReviewDialog;
@@ -10,12 +10,15 @@ import { Star, Plus, Minus, Loader2, ChevronRight } from 'lucide-react';
 import { useCart } from '@/context/CartContext';
 import { useNavigate } from 'react-router-dom';
 import menuService from '@/services/menuService';
+import CustomizationModal from '@/components/client/CustomizationModal';
 
 const TopRatedItems = () => {
     const [categorizedItems, setCategorizedItems] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const { addToCart, removeFromCart, getItemQuantity } = useCart();
     const navigate = useNavigate();
+    // Item sold in variants whose variant is being picked
+    const [variantItem, setVariantItem] = useState(null);
 
     // Fetch top rated items on component mount
     useEffect(() => {
@@ -34,6 +37,30 @@ const TopRatedItems = () => {
         fetchTopRatedItems();
     }, []);
 
+    // Items sold in variants open the customization modal to pick one
+    const handleAddToCart = (item) => {
+        const cartItem = {
+            id: item._id,
+            name: item.productName,
+            description: item.description,
+            price: item.activePrice ?? item.amount,
+            quantity: 1,
+            image: item.imageLink || '/images/special_dishes.png',
+            isVeg: item.isVeg
+        };
+
+        if (item.variants?.length > 0) {
+            setVariantItem({
+                ...cartItem,
+                customizationOptions: item.customizationOptions || [],
+                variantDimensions: item.variantDimensions,
+                variants: item.variants
+            });
+        } else {
+            addToCart(cartItem);
+        }
+    };
+
     // Render star rating
     const renderStars = (rating) => {
         const stars = [];
@@ -155,12 +182,14 @@ const TopRatedItems = () => {
                                                     </div>
 
                                                     {/* Rating Badge */}
-                                                    <div className="absolute right-2 top-2 flex items-center gap-1 rounded-full bg-white/95 px-2 py-1 shadow-md backdrop-blur-sm">
-                                                        <Star className="h-3 w-3 fill-yellow-400 text-yellow-400" />
-                                                        <span className="text-xs font-bold text-gray-900">
-                                                            {item.rating.toFixed(1)}
-                                                        </span>
-                                                    </div>
+                                                    {item.ratingCount > 0 && (
+                                                        <div className="absolute right-2 top-2 flex items-center gap-1 rounded-full bg-white/95 px-2 py-1 shadow-md backdrop-blur-sm">
+                                                            <Star className="h-3 w-3 fill-yellow-400 text-yellow-400" />
+                                                            <span className="text-xs font-bold text-gray-900">
+                                                                {item.rating.toFixed(1)}
+                                                            </span>
+                                                        </div>
+                                                    )}
                                                 </div>
 
                                                 {/* Item Details */}
@@ -170,9 +199,14 @@ const TopRatedItems = () => {
                                                     </h4>
 
                                                     {/* Stars */}
-                                                    <div className="flex items-center gap-0.5">
-                                                        {renderStars(item.rating)}
-                                                    </div>
+                                                    {item.ratingCount > 0 ? (
+                                                        <div className="flex items-center gap-0.5">
+                                                            {renderStars(item.rating)}
+                                                            <span className="ml-1 text-xs text-gray-500">({item.ratingCount})</span>
+                                                        </div>
+                                                    ) : (
+                                                        <p className="text-xs text-gray-500">No ratings yet</p>
+                                                    )}
 
                                                     {/* Description */}
                                                     {item.description && (
@@ -183,24 +217,27 @@ const TopRatedItems = () => {
 
                                                     {/* Price and Add Button */}
                                                     <div className="flex items-center justify-between pt-2">
-                                                        <span className="text-lg font-bold text-gray-900">
-                                                            ₹{item.amount}
-                                                        </span>
+                                                        {item.activePricingRule && item.activePrice !== item.amount ? (
+                                                            <div className="flex items-baseline gap-2">
+                                                                <span className="text-lg font-bold text-orange-600">
+                                                                    {item.variants?.length > 0 && "From "}₹{item.activePrice}
+                                                                </span>
+                                                                <span className="text-sm text-gray-400 line-through">
+                                                                    ₹{item.amount}
+                                                                </span>
+                                                            </div>
+                                                        ) : (
+                                                            <span className="text-lg font-bold text-gray-900">
+                                                                {item.variants?.length > 0 && "From "}₹{item.amount}
+                                                            </span>
+                                                        )}
 
                                                         {/* Add to Cart Button */}
                                                         {quantity === 0 ? (
                                                             <Button
                                                                 size="icon"
                                                                 className="h-8 w-8 rounded-full bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 shadow-md"
-                                                                onClick={() => addToCart({
-                                                                    id: item._id,
-                                                                    name: item.productName,
-                                                                    description: item.description,
-                                                                    price: item.amount,
-                                                                    quantity: 1,
-                                                                    image: item.imageLink || '/images/special_dishes.png',
-                                                                    isVeg: item.isVeg
-                                                                })}
+                                                                onClick={() => handleAddToCart(item)}
                                                             >
                                                                 <Plus className="h-4 w-4" />
                                                             </Button>
@@ -221,15 +258,7 @@ const TopRatedItems = () => {
                                                                     size="icon"
                                                                     variant="ghost"
                                                                     className="h-6 w-6 rounded-full text-white hover:bg-orange-700 hover:text-white"
-                                                                    onClick={() => addToCart({
-                                                                        id: item._id,
-                                                                        name: item.productName,
-                                                                        description: item.description,
-                                                                        price: item.amount,
-                                                                        quantity: 1,
-                                                                        image: item.imageLink || '/images/special_dishes.png',
-                                                                        isVeg: item.isVeg
-                                                                    })}
+                                                                    onClick={() => handleAddToCart(item)}
                                                                 >
                                                                     <Plus className="h-3 w-3" />
                                                                 </Button>
@@ -247,6 +276,14 @@ const TopRatedItems = () => {
                 </div>
             </div>
 
+            {/* Variant picker for items sold in variants */}
+            <CustomizationModal
+                isOpen={Boolean(variantItem)}
+                onClose={() => setVariantItem(null)}
+                item={variantItem}
+                onAddToCart={addToCart}
+            />
+
             {/* CSS Animation */}
             <style>{`
         @keyframes fadeInUp {
@@ -0,0 +1,112 @@
+/**
+ * UPI Payment Card - QR code and UPI app link for what is left to pay on the customer's bill,
+ * with the bill number as the payment note. Staff record the payment with the UTR it shows.
+ * Hidden when the restaurant has not set up a UPI ID.
+ */
+
+import React, { useState, useEffect } from "react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { QrCode, Smartphone, Loader2 } from "lucide-react";
+import { getUpiPaymentRequest } from "@/services/orderService";
+
+/**
+ * UpiPaymentCard component.
+ * @param {Object} props - Component props
+ * @param {string} props.sessionId - Session whose bill is being paid
+ * @param {Object} props.bill - Bill record, not yet paid; a split bill is paid one share at a time
+ */
+const UpiPaymentCard = ({ sessionId, bill }) => {
+    const dueShares = (bill.splits || []).filter((share) => share.billingStatus !== "paid");
+    const [selectedShareId, setSelectedShareId] = useState(null);
+    const [upiRequest, setUpiRequest] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isUnavailable, setIsUnavailable] = useState(false);
+
+    // Falls back to the first share still due once the chosen one is paid
+    const splitId = dueShares.some((share) => share._id === selectedShareId)
+        ? selectedShareId
+        : dueShares[0]?._id || null;
+
+    // Fetched again whenever a payment changes what is left to pay
+    useEffect(() => {
+        const fetchUpiRequest = async () => {
+            setIsLoading(true);
+            try {
+                const response = await getUpiPaymentRequest(sessionId, splitId);
+                if (response.success) {
+                    setUpiRequest(response.data);
+                }
+            } catch (error) {
+                console.error("Error fetching UPI payment request:", error);
+                setIsUnavailable(true);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        fetchUpiRequest();
+    }, [sessionId, splitId, bill.balanceDue]);
+
+    if (isUnavailable) return null;
+
+    return (
+        <Card className="border-none shadow-md">
+            <CardContent className="p-6 space-y-4">
+                <div className="flex items-center gap-2">
+                    <QrCode className="h-5 w-5 text-[#ff7a3c]" />
+                    <h2 className="text-lg font-bold text-[#1a1a1a]">Pay with UPI</h2>
+                </div>
+
+                {dueShares.length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                        {dueShares.map((share) => (
+                            <Button
+                                key={share._id}
+                                size="sm"
+                                variant={share._id === splitId ? "default" : "outline"}
+                                className={share._id === splitId ? "rounded-full bg-[#ff7a3c] hover:bg-[#ff6825]" : "rounded-full"}
+                                onClick={() => setSelectedShareId(share._id)}
+                            >
+                                {share.label}
+                            </Button>
+                        ))}
+                    </div>
+                )}
+
+                {isLoading || !upiRequest ? (
+                    <div className="flex items-center justify-center h-[220px]">
+                        <Loader2 className="h-6 w-6 animate-spin text-[#ff7a3c]" />
+                    </div>
+                ) : (
+                    <div className="flex flex-col items-center gap-3 text-center">
+                        <img
+                            src={upiRequest.qrCode}
+                            alt={`UPI QR code to pay ₹${upiRequest.amount.toFixed(2)}`}
+                            className="h-56 w-56 rounded-lg border border-gray-100"
+                        />
+                        <div>
+                            <p className="text-2xl font-bold text-[#1a1a1a]">₹{upiRequest.amount.toFixed(2)}</p>
+                            <p className="text-sm text-[#6b7280]">
+                                to {upiRequest.payeeName} · {upiRequest.vpa}
+                            </p>
+                            <p className="text-xs text-[#9ca3af]">Note: {upiRequest.note}</p>
+                        </div>
+                        {/* Opens the UPI app directly on phones */}
+                        <Button asChild size="lg" className="w-full rounded-full bg-[#ff7a3c] font-bold hover:bg-[#ff6825] md:hidden">
+                            <a href={upiRequest.upiLink}>
+                                <Smartphone className="mr-2 h-5 w-5" />
+                                Open UPI App
+                            </a>
+                        </Button>
+                        <p className="text-xs text-[#6b7280]">
+                            Scan with any UPI app. After paying, show staff the 12-digit UTR from your UPI app.
+                        </p>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default UpiPaymentCard;
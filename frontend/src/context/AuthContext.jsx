@@ -1,8 +1,30 @@
-import { createContext, useState } from 'react';
+import { createContext, useCallback, useEffect, useState } from 'react';
+import api from '../services/api';
 import adminService from '../services/adminService';
 
 const AuthContext = createContext();
 
+// Error codes returned by the backend admin auth middleware that mean the session is no longer valid
+const SESSION_ERROR_CODES = ['TOKEN_MISSING', 'TOKEN_INVALID', 'TOKEN_EXPIRED', 'ADMIN_NOT_FOUND'];
+
+// Largest delay setTimeout accepts (~24.8 days); longer expiries are caught by the 401 interceptor instead
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Read the expiry timestamp (ms) from a JWT without verifying it.
+ * @param {string} token - JWT issued by the admin login endpoint
+ * @returns {number|null} Expiry time in milliseconds, or null if it cannot be read
+ */
+const getTokenExpiry = (token) => {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const { exp } = JSON.parse(atob(payload));
+        return exp ? exp * 1000 : null;
+    } catch {
+        return null;
+    }
+};
+
 export const AuthProvider = ({ children }) => {
     // Use lazy initialization to load admin from localStorage on mount
     // This avoids calling setState in useEffect
@@ -10,7 +32,15 @@ export const AuthProvider = ({ children }) => {
         const storedAdmin = localStorage.getItem('admin');
         if (storedAdmin) {
             try {
-                return JSON.parse(storedAdmin);
+                const parsedAdmin = JSON.parse(storedAdmin);
+                const expiresAt = getTokenExpiry(parsedAdmin?.token);
+
+                // Drop sessions whose token already expired while the tab was closed
+                if (expiresAt && expiresAt <= Date.now()) {
+                    localStorage.removeItem('admin');
+                    return null;
+                }
+                return parsedAdmin;
             } catch {
                 localStorage.removeItem('admin');
                 return null;
@@ -27,10 +57,65 @@ export const AuthProvider = ({ children }) => {
         setAdmin(data);
     };
 
-    const logout = () => {
+    const logout = useCallback(() => {
         adminService.logoutAdmin();
         setAdmin(null);
-    };
+    }, []);
+
+    // Refresh role and permissions from the backend so role changes apply without logging in again
+    const token = admin?.token;
+    useEffect(() => {
+        if (!token) return;
+
+        let isCancelled = false;
+        adminService.getCurrentAdmin()
+            .then((profile) => {
+                if (isCancelled) return;
+                setAdmin((previousAdmin) => {
+                    if (!previousAdmin) return previousAdmin;
+                    const refreshedAdmin = { ...previousAdmin, ...profile, token: previousAdmin.token };
+                    localStorage.setItem('admin', JSON.stringify(refreshedAdmin));
+                    return refreshedAdmin;
+                });
+            })
+            .catch((error) => {
+                // Session errors are handled by the response interceptor below
+                console.error('Failed to refresh admin profile:', error);
+            });
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [token]);
+
+    // Log out automatically when the token's expiry time is reached
+    useEffect(() => {
+        const expiresAt = getTokenExpiry(admin?.token);
+        if (!expiresAt) return;
+
+        const remaining = expiresAt - Date.now();
+        if (remaining > MAX_TIMER_DELAY) return;
+
+        const timer = setTimeout(logout, Math.max(remaining, 0));
+        return () => clearTimeout(timer);
+    }, [admin, logout]);
+
+    // Log out when the backend rejects the admin token (expired, invalid or deleted account)
+    useEffect(() => {
+        const interceptorId = api.interceptors.response.use(
+            (response) => response,
+            (error) => {
+                const status = error.response?.status;
+                const code = error.response?.data?.code;
+                if (status === 401 && SESSION_ERROR_CODES.includes(code)) {
+                    logout();
+                }
+                return Promise.reject(error);
+            }
+        );
+
+        return () => api.interceptors.response.eject(interceptorId);
+    }, [logout]);
 
     return (
         <AuthContext.Provider value={{ admin, isLoading, login, logout }}>
@@ -4,9 +4,10 @@
  */
 
 import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from "react";
-import { createOrder as createOrderAPI, getSessionOrders } from "@/services/orderService";
+import { createOrder as createOrderAPI, getSessionOrders, quoteOrder } from "@/services/orderService";
 import menuService from "@/services/menuService";
 import CustomerAuthContext from "./CustomerAuthContext";
+import { getCartLineKey, MAX_SPECIAL_INSTRUCTIONS_LENGTH } from "@/lib/cartLines";
 
 const CartContext = createContext();
 
@@ -14,6 +15,35 @@ const CartContext = createContext();
 const WATER_BOTTLE_PRODUCT_NAME = "Water Bottle";
 // SessionStorage key to track if Water Bottle was manually removed
 const WATER_BOTTLE_REMOVED_KEY = "momoMagicWaterBottleRemoved";
+// Restaurant GST estimate used until the server quote arrives; the backend GST config is authoritative
+const FALLBACK_GST_RATE = 0.05;
+// LocalStorage key for the promo code applied to the cart
+const PROMO_CODE_KEY = "momoMagicPromoCode";
+
+/**
+ * Map cart lines to the shape the orders API prices.
+ * Only references, quantities, variant, add-on names and combo choices are sent; prices are looked up on the server.
+ * @param {Array} cartItems
+ * @returns {Array} { menuItemId, name, quantity, variant, customizations, comboSelections }
+ */
+const toPricedLines = (cartItems) => cartItems.map((item) => ({
+  menuItemId: item.id,
+  name: item.name,
+  quantity: item.quantity,
+  variant: item.variant || null,
+  customizations: (item.customizations || []).map((c) => c.name),
+  comboSelections: (item.comboSelections || []).map(({ slotId, menuItemId }) => ({ slotId, menuItemId })),
+}));
+
+/**
+ * Priced lines plus each line's cooking note, as sent when placing an order.
+ * @param {Array} cartItems
+ * @returns {Array} { menuItemId, name, quantity, customizations, specialInstructions }
+ */
+const toOrderItems = (cartItems) => toPricedLines(cartItems).map((line, index) => ({
+  ...line,
+  specialInstructions: cartItems[index].specialInstructions || '',
+}));
 
 export const useCart = () => {
   const context = useContext(CartContext);
@@ -86,6 +116,17 @@ export const CartProvider = ({ children }) => {
     }
   }, [orderHistory]);
 
+  // Promo code entered in the cart; the server decides whether it applies
+  const [promoCode, setPromoCode] = useState(() => localStorage.getItem(PROMO_CODE_KEY) || "");
+
+  useEffect(() => {
+    if (promoCode) {
+      localStorage.setItem(PROMO_CODE_KEY, promoCode);
+    } else {
+      localStorage.removeItem(PROMO_CODE_KEY);
+    }
+  }, [promoCode]);
+
   // Track if Water Bottle auto-add has been attempted this session
   const waterBottleInitRef = useRef(false);
 
@@ -93,45 +134,89 @@ export const CartProvider = ({ children }) => {
   // Water bottle will be suggested in the cart instead
 
 
+  // Server quote for the current cart, tagged with the cart it was computed for
+  // (cooking notes do not affect price, so editing one does not trigger a new quote).
+  // The promo code and customer are part of the key: per-customer limits depend on who is ordering.
+  const [cartQuote, setCartQuote] = useState(null);
+  const customerId = customer?._id || customer?.id || null;
+  const cartKey = JSON.stringify({
+    items: toPricedLines(cartItems),
+    promoCode,
+    customerId,
+  });
+
+  // Reprice the cart on the server whenever its lines, promo code or customer change
+  useEffect(() => {
+    const { items: orderItems, promoCode: code, customerId: id } = JSON.parse(cartKey);
+    if (orderItems.length === 0) return;
+
+    let isCancelled = false;
+    const promo = code ? { promoCode: code, customerId: id } : {};
+    quoteOrder(orderItems, promo)
+      .then((response) => {
+        if (isCancelled) return;
+        setCartQuote({ key: cartKey, ...response.data, invalidItems: [] });
+      })
+      .catch((error) => {
+        if (isCancelled) return;
+        console.error("Error fetching cart quote:", error);
+        setCartQuote({ key: cartKey, invalidItems: error.response?.data?.invalidItems || [] });
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [cartKey]);
+
+  // Only a quote for the exact current cart is trusted
+  const currentQuote = cartQuote?.key === cartKey ? cartQuote : null;
+  // Effective GST rate of the last quote, so the estimate stays close while a new quote loads
+  const lastGstRate = cartQuote?.subtotal ? cartQuote.tax / cartQuote.subtotal : FALLBACK_GST_RATE;
+
   // Get total items in cart
   const getTotalItems = () => {
     return cartItems.reduce((sum, item) => sum + item.quantity, 0);
   };
 
-  // Calculate totals
+  // Calculate totals - server-quoted when available, otherwise a local estimate
   const calculateTotals = () => {
+    const deliveryFee = 0;
+    const invalidItems = currentQuote?.invalidItems || [];
+
+    if (currentQuote?.items) {
+      return {
+        subtotal: currentQuote.subtotal,
+        discount: currentQuote.discount || 0,
+        promotion: currentQuote.promotion || null,
+        promoError: currentQuote.promoError || null,
+        cgst: currentQuote.cgst,
+        sgst: currentQuote.sgst,
+        tax: currentQuote.tax,
+        deliveryFee,
+        total: currentQuote.total + deliveryFee,
+        items: currentQuote.items,
+        isQuoted: true,
+        invalidItems,
+      };
+    }
+
     const subtotal = cartItems.reduce(
       (sum, item) => sum + item.price * item.quantity,
       0
     );
-    const TAX_RATE = 0.08;
-    const tax = subtotal * TAX_RATE;
-    const deliveryFee = 0;
+    const tax = subtotal * lastGstRate;
     const total = subtotal + tax + deliveryFee;
 
-    return { subtotal, tax, deliveryFee, total };
+    // The promo discount is only known once the server has quoted the cart
+    return { subtotal, discount: 0, promotion: null, promoError: null, cgst: tax / 2, sgst: tax / 2, tax, deliveryFee, total, items: null, isQuoted: false, invalidItems };
   };
 
   // Add item to cart (supports items with customizations from modal)
   const addToCart = (item) => {
     setCartItems((prev) => {
-      // For items with customizations, we need to check if the exact same customizations exist
-      const hasCustomizations = item.customizations && item.customizations.length > 0;
-
-      // Create a unique key for items with customizations
-      const getItemKey = (cartItem) => {
-        if (cartItem.customizations && cartItem.customizations.length > 0) {
-          const customizationKey = cartItem.customizations
-            .map(c => c.name)
-            .sort()
-            .join(',');
-          return `${cartItem.id}-${customizationKey}`;
-        }
-        return cartItem.id;
-      };
-
-      const itemKey = getItemKey(item);
-      const existingItemIndex = prev.findIndex((i) => getItemKey(i) === itemKey);
+      // Items with the exact same customizations share a cart line
+      const itemKey = getCartLineKey(item);
+      const existingItemIndex = prev.findIndex((i) => getCartLineKey(i) === itemKey);
 
       if (existingItemIndex !== -1) {
         const updatedItems = [...prev];
@@ -153,7 +238,11 @@ export const CartProvider = ({ children }) => {
             quantity: item.quantity || 1,
             image: item.image,
             isVeg: item.isVeg,
+            variant: item.variant || null,  // { dimension name: value } for items sold in variants
+            variantLabel: item.variantLabel || '',
             customizations: item.customizations || [],  // Store selected customizations
+            comboSelections: item.comboSelections || [],  // { slotId, slotName, menuItemId, name } per combo slot
+            specialInstructions: item.specialInstructions || '',
           },
         ];
       }
@@ -201,15 +290,43 @@ export const CartProvider = ({ children }) => {
     });
   };
 
+  /**
+   * Set the cooking note for a cart line.
+   * @param {string} lineKey - Key from getCartLineKey
+   * @param {string} specialInstructions - Free-text note for the kitchen
+   */
+  const updateSpecialInstructions = (lineKey, specialInstructions) => {
+    setCartItems((prev) =>
+      prev.map((item) =>
+        getCartLineKey(item) === lineKey
+          ? { ...item, specialInstructions: specialInstructions.slice(0, MAX_SPECIAL_INSTRUCTIONS_LENGTH) }
+          : item
+      )
+    );
+  };
+
   // Get item quantity
   const getItemQuantity = (itemId) => {
     const item = cartItems.find((i) => i.id === itemId);
     return item ? item.quantity : 0;
   };
 
+  /**
+   * Apply a promo code to the cart. The next server quote says whether it is valid.
+   * @param {string} code - Promo code as typed by the customer
+   */
+  const applyPromoCode = (code) => {
+    setPromoCode(code.trim().toUpperCase());
+  };
+
+  const removePromoCode = () => {
+    setPromoCode("");
+  };
+
   // Clear cart
   const clearCart = () => {
     setCartItems([]);
+    setPromoCode("");
     localStorage.removeItem("momoMagicCart");
   };
 
@@ -220,7 +337,6 @@ export const CartProvider = ({ children }) => {
    */
   const placeOrder = async (orderDetails) => {
     const now = new Date();
-    const { subtotal, tax, total } = calculateTotals();
 
     // Generate or retrieve session ID for billing purposes
     // Ensure we always have a valid session ID before proceeding
@@ -246,17 +362,10 @@ export const CartProvider = ({ children }) => {
       userId: customer?._id || customer?.id || null,
       // Also send customerId for middleware to attach customer to req.customer
       customerId: customer?._id || customer?.id || null,
-      items: cartItems.map((item) => ({
-        menuItemId: item.id,  // Store menu item reference
-        name: item.name,
-        quantity: item.quantity,
-        price: item.price,
-        description: item.description || '',
-        imageLink: item.image || ''  // Store image URL for display
-      })),
-      subtotal,
-      tax,
-      total,
+      // Prices and totals are recomputed by the server from the menu
+      items: toOrderItems(cartItems),
+      // Only sent while the server accepts it, so a turned-down code does not block the order
+      promoCode: currentQuote?.promotion ? promoCode : '',
       estimatedTime: orderDetails.estimatedTime || '15-20 mins',
     };
 
@@ -285,15 +394,24 @@ export const CartProvider = ({ children }) => {
         orderNumber: savedOrder.orderNumber,
         tableNumber: savedOrder.tableNumber,
         status: savedOrder.status.toUpperCase(),
-        items: cartItems.map((item) => ({
+        items: savedOrder.items.map((item) => ({
           quantity: item.quantity,
           name: item.name.toUpperCase(),
           description: item.description,
           price: item.price,
+          status: (item.status || savedOrder.status).toUpperCase(),
+          customizations: item.customizations || [],
+          specialInstructions: item.specialInstructions || '',
+          variant: item.variant || '',
+          combo: item.combo || null,
         })),
-        itemCount: cartItems.length,
+        itemCount: savedOrder.items.length,
         total: savedOrder.total,
         subtotal: savedOrder.subtotal,
+        discount: savedOrder.discount || 0,
+        promoCode: savedOrder.promotion?.code || '',
+        cgst: savedOrder.cgst,
+        sgst: savedOrder.sgst,
         tax: savedOrder.tax,
         date: now.toLocaleDateString("en-US", {
           month: "short",
@@ -335,16 +453,31 @@ export const CartProvider = ({ children }) => {
    * Update order status in local state (called when receiving WebSocket events).
    * @param {string} orderId - The order ID
    * @param {string} newStatus - The new status
+   * @param {Object} [serverOrder] - Full order from the server; also syncs item statuses and totals
    */
-  const updateOrderStatus = (orderId, newStatus) => {
+  const updateOrderStatus = useCallback((orderId, newStatus, serverOrder = null) => {
     setOrderHistory((prev) =>
-      prev.map((order) =>
-        order._id === orderId || order.id === orderId
-          ? { ...order, status: newStatus.toUpperCase() }
-          : order
-      )
+      prev.map((order) => {
+        if (order._id !== orderId && order.id !== orderId) return order;
+
+        const updatedOrder = { ...order, status: newStatus.toUpperCase() };
+        if (serverOrder) {
+          // Items keep their position, so statuses can be matched by index
+          updatedOrder.items = order.items.map((item, index) => ({
+            ...item,
+            status: (serverOrder.items[index]?.status || newStatus).toUpperCase(),
+          }));
+          updatedOrder.subtotal = serverOrder.subtotal;
+          updatedOrder.discount = serverOrder.discount || 0;
+          updatedOrder.cgst = serverOrder.cgst || 0;
+          updatedOrder.sgst = serverOrder.sgst || 0;
+          updatedOrder.tax = serverOrder.tax;
+          updatedOrder.total = serverOrder.total;
+        }
+        return updatedOrder;
+      })
     );
-  };
+  }, []);
 
   // Get today's orders
   const getTodaysOrders = () => {
@@ -414,11 +547,20 @@ export const CartProvider = ({ children }) => {
           name: item.name.toUpperCase(),
           description: item.description,
           price: item.price,
+          status: (item.status || order.status).toUpperCase(),
+          customizations: item.customizations || [],
+          specialInstructions: item.specialInstructions || '',
+          variant: item.variant || '',
+          combo: item.combo || null,
           imageLink: item.imageLink || ''  // Preserve image link from order item
         })),
         itemCount: order.items.length,
         total: order.total,
         subtotal: order.subtotal,
+        discount: order.discount || 0,
+        promoCode: order.promotion?.code || '',
+        cgst: order.cgst || 0,
+        sgst: order.sgst || 0,
         tax: order.tax,
         date: new Date(order.createdAt).toLocaleDateString("en-US", {
           month: "short",
@@ -467,6 +609,10 @@ export const CartProvider = ({ children }) => {
         getItemQuantity,
         getTotalItems,
         calculateTotals,
+        updateSpecialInstructions,
+        promoCode,
+        applyPromoCode,
+        removePromoCode,
         clearCart,
         placeOrder,
         updateOrderStatus,
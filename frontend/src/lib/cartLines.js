@@ -0,0 +1,32 @@
+/**
+ * Cart Lines - Helpers shared by CartContext and the cart page for identifying cart lines.
+ */
+
+// Longest cooking note the backend accepts per line
+export const MAX_SPECIAL_INSTRUCTIONS_LENGTH = 200;
+
+/**
+ * Unique key for a cart line - the same item in another variant, or with different add-ons or combo choices,
+ * is a separate line.
+ * @param {Object} cartItem
+ * @returns {string}
+ */
+export const getCartLineKey = (cartItem) => {
+    if (cartItem.comboSelections && cartItem.comboSelections.length > 0) {
+        const selectionKey = cartItem.comboSelections
+            .map(s => `${s.slotId}:${s.menuItemId}`)
+            .join(',');
+        return `${cartItem.id}-combo-${selectionKey}`;
+    }
+    const itemKey = cartItem.variant
+        ? `${cartItem.id}-${Object.values(cartItem.variant).join('/')}`
+        : cartItem.id;
+    if (cartItem.customizations && cartItem.customizations.length > 0) {
+        const customizationKey = cartItem.customizations
+            .map(c => c.name)
+            .sort()
+            .join(',');
+        return `${itemKey}-${customizationKey}`;
+    }
+    return itemKey;
+};
@@ -0,0 +1,20 @@
+/**
+ * Combos - Helpers shared by the add and edit menu item pages for combo meals.
+ */
+
+// Menu category that combo meals are listed under
+export const COMBO_CATEGORY = "Combos";
+
+/**
+ * Combo slots as sent to the menu API: names trimmed, only the fields the API stores.
+ * @param {Array} slots - Slots from ComboSlotsEditor
+ * @returns {Array} [{ _id?, name, menuItems, category }]
+ */
+export const toComboSlotsPayload = (slots) => {
+    return slots.map((slot) => ({
+        ...(slot._id ? { _id: slot._id } : {}),
+        name: slot.name.trim(),
+        menuItems: slot.menuItems,
+        category: slot.category || "",
+    }));
+};
@@ -0,0 +1,35 @@
+/**
+ * Expiry - Batch and expiry tracking of perishable inventory.
+ * Mirrors backend/config/expiryConfig.js.
+ */
+
+// Categories that must be received in batches with an expiry date
+export const PERISHABLE_CATEGORIES = ['Meat', 'Produce'];
+
+export const isPerishableCategory = (category) => PERISHABLE_CATEGORIES.includes(category);
+
+/**
+ * Whole days until a batch expires (negative once it has expired).
+ * @param {string} expiryDate - ISO date
+ * @returns {number}
+ */
+export const daysUntilExpiry = (expiryDate) => {
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    const expiry = new Date(expiryDate);
+    expiry.setHours(0, 0, 0, 0);
+    return Math.round((expiry - startOfToday) / (24 * 60 * 60 * 1000));
+};
+
+/**
+ * Short description of how soon a batch expires, e.g. "Expires in 2 days".
+ * @param {string} expiryDate - ISO date
+ * @returns {string}
+ */
+export const describeExpiry = (expiryDate) => {
+    const days = daysUntilExpiry(expiryDate);
+    if (days < 0) return `Expired ${-days} day${days === -1 ? '' : 's'} ago`;
+    if (days === 0) return 'Expires today';
+    if (days === 1) return 'Expires tomorrow';
+    return `Expires in ${days} days`;
+};
@@ -0,0 +1,31 @@
+/**
+ * Loyalty - Types of entries in a customer's loyalty points ledger.
+ * Mirrors LOYALTY_TRANSACTION_TYPES in backend/models/loyaltyTransactionModel.js.
+ */
+
+export const LOYALTY_TRANSACTION_TYPES = {
+    earn: { label: 'Earned', className: 'bg-green-100 text-green-700 hover:bg-green-100' },
+    redeem: { label: 'Redeemed', className: 'bg-blue-100 text-blue-700 hover:bg-blue-100' },
+    expire: { label: 'Expired', className: 'bg-gray-100 text-gray-700 hover:bg-gray-100' },
+    adjust: { label: 'Adjustment', className: 'bg-purple-100 text-purple-700 hover:bg-purple-100' },
+};
+
+// Matches the backend limit
+export const MAX_ADJUSTMENT_REASON_LENGTH = 200;
+
+/**
+ * What a ledger entry was for, e.g. "Bill BILL-20250101-004" or the adjustment reason.
+ * @param {Object} transaction - { type, billNumber, reason }
+ * @returns {string}
+ */
+export const describeLoyaltyTransaction = (transaction) => {
+    if (transaction.reason) return transaction.reason;
+    return transaction.billNumber ? `Bill ${transaction.billNumber}` : '';
+};
+
+/**
+ * Signed points, e.g. "+120" or "-300".
+ * @param {number} points
+ * @returns {string}
+ */
+export const formatPoints = (points) => (points > 0 ? `+${points}` : String(points));
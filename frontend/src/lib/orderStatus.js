@@ -0,0 +1,32 @@
+/**
+ * Order Status Flow - Mirrors STATUS_TRANSITIONS in backend/services/orderStatusService.js.
+ * Used by the admin order screens to offer only the status changes the backend accepts.
+ */
+
+export const ORDER_STATUSES = ['pending', 'preparing', 'served', 'cancelled'];
+
+// Served and cancelled are final; anything else needs a manager override with a reason
+export const STATUS_TRANSITIONS = {
+    pending: ['preparing', 'cancelled'],
+    preparing: ['served', 'cancelled'],
+    served: [],
+    cancelled: [],
+};
+
+// Error codes returned by the order status endpoints
+export const STATUS_ERROR_CODES = {
+    REASON_REQUIRED: 'REASON_REQUIRED',
+    TRANSITION_NOT_ALLOWED: 'TRANSITION_NOT_ALLOWED',
+};
+
+export const MAX_STATUS_REASON_LENGTH = 200;
+
+/**
+ * Check whether a status change follows the normal flow.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export const isAllowedTransition = (from, to) => {
+    return from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+};
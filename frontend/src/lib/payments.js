@@ -0,0 +1,27 @@
+/**
+ * Payments - Ways a bill can be paid.
+ * Mirrors PAYMENT_METHODS in backend/services/paymentService.js; 'mixed' is shown for
+ * bills paid with more than one method.
+ */
+
+export const PAYMENT_METHODS = {
+    cash: { label: 'Cash', className: 'bg-green-100 text-green-700 hover:bg-green-100' },
+    upi: { label: 'UPI', className: 'bg-purple-100 text-purple-700 hover:bg-purple-100' },
+    card: { label: 'Card', className: 'bg-blue-100 text-blue-700 hover:bg-blue-100' },
+    other: { label: 'Other', className: 'bg-gray-100 text-gray-700 hover:bg-gray-100' },
+};
+
+export const MIXED_PAYMENT = { label: 'Mixed', className: 'bg-amber-100 text-amber-700 hover:bg-amber-100' };
+
+// Matches the backend limit on card slip / UPI reference numbers
+export const MAX_PAYMENT_REFERENCE_LENGTH = 50;
+
+/**
+ * Label and badge colours for a bill's payment method.
+ * @param {string|null} method - 'cash', 'card', 'upi', 'other' or 'mixed'
+ * @returns {Object|null} { label, className }
+ */
+export const getPaymentMethodInfo = (method) => {
+    if (!method) return null;
+    return method === 'mixed' ? MIXED_PAYMENT : PAYMENT_METHODS[method] || PAYMENT_METHODS.other;
+};
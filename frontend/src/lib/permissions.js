@@ -0,0 +1,69 @@
+/**
+ * Role Permissions - Mirrors backend/config/rolePermissions.js.
+ * Decides which admin dashboard sections a login can see in the Sidebar and ProtectedRoute.
+ * The backend enforces the same matrix on its routes.
+ */
+
+export const PERMISSIONS = {
+    ORDERS: 'orders',
+    PAYMENTS: 'payments',
+    BILLS: 'bills',
+    MENU: 'menu',
+    INVENTORY: 'inventory',
+    EMPLOYEES: 'employees',
+    ANALYTICS: 'analytics',
+    STAFF_ROLES: 'staff-roles',
+};
+
+export const ADMIN_ROLES = ['Manager', 'Cashier', 'Chef', 'Inventory Manager'];
+
+export const ROLE_PERMISSIONS = {
+    'Manager': Object.values(PERMISSIONS),
+    'Cashier': [PERMISSIONS.PAYMENTS, PERMISSIONS.BILLS],
+    'Chef': [PERMISSIONS.ORDERS],
+    'Inventory Manager': [PERMISSIONS.INVENTORY],
+};
+
+// Landing page for each permission, in the order we prefer to send a user after login
+const PERMISSION_HOME_PATHS = [
+    [PERMISSIONS.ANALYTICS, '/admin'],
+    [PERMISSIONS.ORDERS, '/admin/orders'],
+    [PERMISSIONS.PAYMENTS, '/admin/payments'],
+    [PERMISSIONS.BILLS, '/admin/bills'],
+    [PERMISSIONS.MENU, '/admin/menu'],
+    [PERMISSIONS.INVENTORY, '/admin/inventory'],
+    [PERMISSIONS.EMPLOYEES, '/admin/employees'],
+    [PERMISSIONS.STAFF_ROLES, '/admin/staff-roles'],
+];
+
+/**
+ * Get the permissions of a logged-in admin.
+ * Prefers the list sent by the backend; falls back to the role for older stored sessions.
+ * @param {Object|null} admin - Admin object from AuthContext
+ * @returns {string[]} Permission keys
+ */
+export const getAdminPermissions = (admin) => {
+    if (!admin) return [];
+    if (Array.isArray(admin.permissions)) return admin.permissions;
+    return ROLE_PERMISSIONS[admin.role] || ROLE_PERMISSIONS.Manager;
+};
+
+/**
+ * Check whether an admin may use a dashboard section.
+ * @param {Object|null} admin - Admin object from AuthContext
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export const hasPermission = (admin, permission) => {
+    return getAdminPermissions(admin).includes(permission);
+};
+
+/**
+ * First dashboard page the admin is allowed to open.
+ * @param {Object|null} admin - Admin object from AuthContext
+ * @returns {string} Route path ('/admin/profile' if no section is granted)
+ */
+export const getDefaultAdminPath = (admin) => {
+    const match = PERMISSION_HOME_PATHS.find(([permission]) => hasPermission(admin, permission));
+    return match ? match[1] : '/admin/profile';
+};
@@ -0,0 +1,33 @@
+/**
+ * Schedule - Weekly time windows shared by happy hours, dayparts and menu item serving times.
+ * Times are "HH:MM" in IST; a window ending before it starts runs past midnight.
+ * Mirrors backend/config/timeWindows.js.
+ */
+
+// Index matches JavaScript's getDay() (0 = Sunday)
+export const DAYS_OF_WEEK = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * 12-hour clock time.
+ * @param {string} time - "18:00"
+ * @returns {string} "6:00 PM"
+ */
+export const formatTime = (time) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    const period = hours % 24 >= 12 ? "PM" : "AM";
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, "0")} ${period}`;
+};
+
+/**
+ * Days and times of a window, e.g. "Mon, Tue, 10:00 PM – 2:00 AM (next day)".
+ * @param {Object} window - { daysOfWeek, startTime, endTime }
+ * @returns {string}
+ */
+export const describeTimeWindow = (window) => {
+    const days = window.daysOfWeek.length === 0 || window.daysOfWeek.length === 7
+        ? "Every day"
+        : [...window.daysOfWeek].sort((a, b) => a - b).map((day) => DAYS_OF_WEEK[day]).join(", ");
+    // A window ending at midnight ("00:00") still ends on the day it started
+    const pastMidnight = window.endTime !== "00:00" && window.endTime < window.startTime;
+    return `${days}, ${formatTime(window.startTime)} – ${formatTime(window.endTime)}${pastMidnight ? " (next day)" : ""}`;
+};
@@ -0,0 +1,19 @@
+/**
+ * Stock Movements - Types of entries in the inventory stock ledger.
+ * Mirrors STOCK_MOVEMENT_TYPES in backend/models/stockMovementModel.js.
+ */
+
+export const STOCK_MOVEMENT_TYPES = {
+    opening: { label: 'Opening Stock', className: 'bg-gray-100 text-gray-700 hover:bg-gray-100' },
+    receipt: { label: 'Received', className: 'bg-green-100 text-green-700 hover:bg-green-100' },
+    consumption: { label: 'Used in Orders', className: 'bg-blue-100 text-blue-700 hover:bg-blue-100' },
+    wastage: { label: 'Wastage', className: 'bg-orange-100 text-orange-700 hover:bg-orange-100' },
+    spoilage: { label: 'Spoilage', className: 'bg-red-100 text-red-700 hover:bg-red-100' },
+    adjustment: { label: 'Adjustment', className: 'bg-purple-100 text-purple-700 hover:bg-purple-100' },
+    'stock-take': { label: 'Stock-take', className: 'bg-yellow-100 text-yellow-700 hover:bg-yellow-100' },
+};
+
+// Movements staff record by hand; the rest come from orders, deliveries and stock-takes
+export const MANUAL_STOCK_MOVEMENT_TYPES = ['wastage', 'spoilage', 'adjustment'];
+
+export const MAX_MOVEMENT_REASON_LENGTH = 200;
@@ -0,0 +1,42 @@
+/**
+ * Units of Measure - Mirrors backend/config/units.js.
+ * Recipe quantities can use any unit that converts to the inventory item's unit.
+ */
+
+// factor = how many base units (g, mL, pcs, pks) one unit holds
+const UNIT_DEFINITIONS = {
+    kg: { dimension: 'mass', factor: 1000 },
+    g: { dimension: 'mass', factor: 1 },
+    L: { dimension: 'volume', factor: 1000 },
+    mL: { dimension: 'volume', factor: 1 },
+    pcs: { dimension: 'count', factor: 1 },
+    pks: { dimension: 'packs', factor: 1 },
+};
+
+export const UNITS_OF_MEASURE = Object.keys(UNIT_DEFINITIONS);
+
+/**
+ * Units a quantity stocked in the given unit can be measured in (g ↔ kg, mL ↔ L).
+ * @param {string} unit - Inventory unit of measure
+ * @returns {string[]}
+ */
+export const getCompatibleUnits = (unit) => {
+    const definition = UNIT_DEFINITIONS[unit];
+    if (!definition) return UNITS_OF_MEASURE;
+    return UNITS_OF_MEASURE.filter((key) => UNIT_DEFINITIONS[key].dimension === definition.dimension);
+};
+
+/**
+ * Recipe rows as sent to the menu API: incomplete rows dropped, quantities as numbers.
+ * @param {Array} recipe - Rows from RecipeEditor
+ * @returns {Array} [{ inventoryItem, quantity, unit }]
+ */
+export const toRecipePayload = (recipe) => {
+    return recipe
+        .filter((ingredient) => ingredient.inventoryItem)
+        .map((ingredient) => ({
+            inventoryItem: ingredient.inventoryItem,
+            quantity: parseFloat(ingredient.quantity) || 0,
+            unit: ingredient.unit,
+        }));
+};
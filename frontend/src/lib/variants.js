@@ -0,0 +1,79 @@
+/**
+ * Variants - Helpers shared by VariantsEditor and the add and edit menu item pages.
+ * The editor keeps each dimension's values as typed text ("Veg, Paneer, Chicken") and prices as strings.
+ */
+
+import { toRecipePayload } from "./units";
+
+/**
+ * Values typed for a dimension, split on commas.
+ * @param {string} valuesText - e.g. "Veg, Paneer, Chicken"
+ * @returns {string[]}
+ */
+export const parseVariantValues = (valuesText) => {
+    return [...new Set(valuesText.split(",").map((value) => value.trim()).filter(Boolean))];
+};
+
+/**
+ * Key identifying a combination of values.
+ * @param {string[]} values
+ * @returns {string}
+ */
+export const getVariantKey = (values) => values.join("\u0000");
+
+/**
+ * Every combination of the dimensions' values, e.g. [["Veg", "Half"], ["Veg", "Full"], ...].
+ * @param {Array} dimensions - Editor dimensions [{ name, valuesText }]
+ * @returns {Array<string[]>}
+ */
+export const getVariantCombinations = (dimensions) => {
+    return dimensions
+        .map((dimension) => parseVariantValues(dimension.valuesText))
+        .reduce(
+            (combinations, values) => combinations.flatMap((combination) => values.map((value) => [...combination, value])),
+            [[]]
+        );
+};
+
+/**
+ * Editor state for a menu item loaded from the API.
+ * @param {Object} menuItem - { variantDimensions, variants }
+ * @returns {Object} { dimensions: [{ name, valuesText }], variants: [{ values, amount, isVeg, recipe }] }
+ */
+export const toVariantEditorState = (menuItem) => ({
+    dimensions: (menuItem.variantDimensions || []).map((dimension) => ({
+        name: dimension.name,
+        valuesText: dimension.values.join(", "),
+    })),
+    variants: (menuItem.variants || []).map((variant) => ({
+        values: variant.values,
+        amount: String(variant.amount),
+        isVeg: variant.isVeg,
+        recipe: variant.recipe || [],
+    })),
+});
+
+/**
+ * Variants as sent to the menu API. Combinations without a price are not sold.
+ * @param {Object} state - Editor state from VariantsEditor
+ * @returns {Object} { variantDimensions: [{ name, values }], variants: [{ values, amount, isVeg, recipe }] }
+ */
+export const toVariantsPayload = ({ dimensions, variants }) => {
+    const validKeys = new Set(getVariantCombinations(dimensions).map(getVariantKey));
+    const offered = dimensions.length === 0
+        ? []
+        : variants.filter((variant) => variant.amount !== "" && validKeys.has(getVariantKey(variant.values)));
+
+    return {
+        variantDimensions: dimensions.map((dimension) => ({
+            name: dimension.name.trim(),
+            values: parseVariantValues(dimension.valuesText),
+        })),
+        variants: offered.map((variant) => ({
+            values: variant.values,
+            amount: parseFloat(variant.amount),
+            isVeg: variant.isVeg,
+            recipe: toRecipePayload(variant.recipe || []),
+        })),
+    };
+};
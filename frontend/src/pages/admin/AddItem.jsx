@@ -18,7 +18,7 @@ import {
   SelectTrigger,
   SelectValue,
 } from "../../components/ui/select";
-import { Card, CardContent, CardHeader, CardTitle } from "../../components/ui/card";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../../components/ui/card";
 import { SidebarTrigger } from "../../components/ui/sidebar";
 import {
   ChevronRight,
@@ -31,11 +31,21 @@ import {
   CheckCircle,
   Loader2,
   Leaf,
+  Package,
+  Layers,
+  Shapes,
 } from "lucide-react";
 import AdminSidebar from "@/components/admin/Sidebar";
+import RecipeEditor from "@/components/admin/RecipeEditor";
+import ComboSlotsEditor from "@/components/admin/ComboSlotsEditor";
+import VariantsEditor from "@/components/admin/VariantsEditor";
+import AvailabilityScheduleEditor from "@/components/admin/AvailabilityScheduleEditor";
 import menuService from "@/services/menuService";
 import uploadService from "@/services/uploadService";
 import { toast } from "sonner";
+import { toRecipePayload } from "@/lib/units";
+import { COMBO_CATEGORY, toComboSlotsPayload } from "@/lib/combos";
+import { toVariantsPayload } from "@/lib/variants";
 
 export default function AddItem() {
   const navigate = useNavigate();
@@ -45,12 +55,25 @@ export default function AddItem() {
   const [amount, setAmount] = useState("");
   const [description, setDescription] = useState("");
   const [category, setCategory] = useState("");
-  const [rating, setRating] = useState("0");
   const [isVeg, setIsVeg] = useState(true);
   const [availability, setAvailability] = useState(true);
+  // Keep availability manual even when ingredients run out
+  const [ignoreStockLevels, setIgnoreStockLevels] = useState(false);
   const [imageLink, setImageLink] = useState("");
   const [imageFile, setImageFile] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
+  // Ingredients used per portion, deducted from inventory when the item is prepared
+  const [recipe, setRecipe] = useState([]);
+  // Parts of a combo meal; only used when the category is Combos
+  const [comboSlots, setComboSlots] = useState([]);
+  const isCombo = category === COMBO_CATEGORY;
+  // Variant options (e.g. Filling, Portion) and the price of each combination
+  const [variantSetup, setVariantSetup] = useState({ dimensions: [], variants: [] });
+  const variantPayload = toVariantsPayload(variantSetup);
+  // Items sold in variants are priced per variant, not with the single price field
+  const hasVariants = !isCombo && variantSetup.dimensions.length > 0;
+  // Serving times and season; empty for an item served whenever the restaurant is open
+  const [schedule, setSchedule] = useState({ availabilityWindows: [], availableFrom: "", availableUntil: "" });
 
   // Submission state
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -96,14 +119,22 @@ export default function AddItem() {
       setError("Please enter a product name");
       return false;
     }
-    if (!amount || parseFloat(amount) <= 0) {
+    if (!hasVariants && (!amount || parseFloat(amount) <= 0)) {
       setError("Please enter a valid price");
       return false;
     }
+    if (hasVariants && variantPayload.variants.length === 0) {
+      setError("Please enter a price for at least one variant");
+      return false;
+    }
     if (!category) {
       setError("Please select a category");
       return false;
     }
+    if (isCombo && comboSlots.length === 0) {
+      setError("Please add at least one slot to the combo");
+      return false;
+    }
     return true;
   };
 
@@ -129,10 +160,16 @@ export default function AddItem() {
         description: description.trim(),
         amount: parseFloat(amount),
         category,
-        rating: parseFloat(rating) || 0,
         isVeg,
         imageLink: imageLink.trim(), // Already contains R2 URL if image was uploaded
-        availability
+        availability,
+        // A combo takes stock through its items, so it has slots instead of a recipe
+        recipe: isCombo ? [] : toRecipePayload(recipe),
+        comboSlots: isCombo ? toComboSlotsPayload(comboSlots) : [],
+        // The backend sets the price and veg flag from the variants
+        ...(hasVariants ? variantPayload : { variantDimensions: [], variants: [] }),
+        ...schedule,
+        ignoreStockLevels
       };
 
       await menuService.createMenuItem(menuItemData);
@@ -253,9 +290,10 @@ export default function AddItem() {
                           type="number"
                           step="0.01"
                           min="0"
-                          placeholder="0.00"
-                          value={amount}
+                          placeholder={hasVariants ? "Set per variant" : "0.00"}
+                          value={hasVariants ? "" : amount}
                           onChange={(e) => setAmount(e.target.value)}
+                          disabled={hasVariants}
                           className="pl-7"
                         />
                       </div>
@@ -284,6 +322,7 @@ export default function AddItem() {
                           <SelectItem value="Special Dishes">Special Dishes</SelectItem>
                           <SelectItem value="Beverages">Beverages</SelectItem>
                           <SelectItem value="Desserts">Desserts</SelectItem>
+                          <SelectItem value="Combos">Combos</SelectItem>
                         </SelectContent>
                       </Select>
                     </div>
@@ -353,26 +392,59 @@ export default function AddItem() {
                       </div>
                     </RadioGroup>
                   </div>
+                </CardContent>
+              </Card>
 
-                  {/* Rating */}
-                  <div>
-                    <Label htmlFor="rating" className="text-sm font-medium">
-                      Initial Rating (0-5)
-                    </Label>
-                    <Input
-                      id="rating"
-                      type="number"
-                      step="0.1"
-                      min="0"
-                      max="5"
-                      placeholder="0"
-                      value={rating}
-                      onChange={(e) => setRating(e.target.value)}
-                      className="mt-1 w-32"
-                    />
-                  </div>
+              {/* Variants Card */}
+              {!isCombo && (
+                <Card>
+                  <CardHeader>
+                    <CardTitle className="flex items-center gap-2 text-lg">
+                      <Shapes className="h-5 w-5 text-orange-500" />
+                      Variants
+                    </CardTitle>
+                    <CardDescription>
+                      Sell one product in several versions, e.g. Veg/Paneer/Chicken or Half/Full plate, each with its own price.
+                    </CardDescription>
+                  </CardHeader>
+                  <CardContent>
+                    <VariantsEditor value={variantSetup} onChange={setVariantSetup} defaultIsVeg={isVeg} />
+                  </CardContent>
+                </Card>
+              )}
+
+              {/* Combo Slots Card (combos) or Recipe Card (everything else) */}
+              {isCombo ? (
+                <Card>
+                  <CardHeader>
+                    <CardTitle className="flex items-center gap-2 text-lg">
+                      <Layers className="h-5 w-5 text-orange-500" />
+                      Combo Slots
+                    </CardTitle>
+                    <CardDescription>
+                      What goes into the combo. The price above is shared between the chosen items in proportion to their menu prices.
+                    </CardDescription>
+                  </CardHeader>
+                  <CardContent>
+                    <ComboSlotsEditor slots={comboSlots} onChange={setComboSlots} />
+                  </CardContent>
+                </Card>
+              ) : (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2 text-lg">
+                    <Package className="h-5 w-5 text-orange-500" />
+                    Recipe
+                  </CardTitle>
+                  <CardDescription>
+                    Ingredients for one portion. They are deducted from inventory when the item is prepared. A variant with its own recipe uses that instead.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <RecipeEditor recipe={recipe} onChange={setRecipe} />
                 </CardContent>
               </Card>
+              )}
             </div>
 
             {/* Right Column - Image and Availability */}
@@ -480,6 +552,21 @@ export default function AddItem() {
                     </div>
                     <Switch checked={availability} onCheckedChange={setAvailability} />
                   </div>
+
+                  {/* Stock Override Toggle */}
+                  <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                    <div>
+                      <p className="font-medium text-gray-900">Ignore Stock Levels</p>
+                      <p className="text-sm text-gray-500">
+                        Stay available even when a recipe ingredient runs out
+                      </p>
+                    </div>
+                    <Switch checked={ignoreStockLevels} onCheckedChange={setIgnoreStockLevels} />
+                  </div>
+
+                  <div className="border-t pt-4">
+                    <AvailabilityScheduleEditor value={schedule} onChange={setSchedule} />
+                  </div>
                 </CardContent>
               </Card>
             </div>
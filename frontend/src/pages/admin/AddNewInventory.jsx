@@ -25,12 +25,13 @@ import {
   Package,
   Info,
   AlertTriangle,
-  Building,
   Tag,
   Loader2,
 } from "lucide-react";
 import AdminSidebar from "@/components/admin/Sidebar";
+import SupplierSelect from "@/components/admin/SupplierSelect";
 import inventoryService from "@/services/inventoryService";
+import { isPerishableCategory } from "@/lib/expiry";
 
 export default function AddNewInventory() {
   const [itemName, setItemName] = useState("");
@@ -38,7 +39,10 @@ export default function AddNewInventory() {
   const [initialStock, setInitialStock] = useState("");
   const [unitOfMeasure, setUnitOfMeasure] = useState("");
   const [alertThreshold, setAlertThreshold] = useState("");
+  const [supplierId, setSupplierId] = useState("");
   const [supplierName, setSupplierName] = useState("");
+  const [unitCost, setUnitCost] = useState("");
+  const [expiryDate, setExpiryDate] = useState("");
   const [sku, setSku] = useState("");
   const [description, setDescription] = useState("");
   const [imageUrl, setImageUrl] = useState("");
@@ -48,6 +52,8 @@ export default function AddNewInventory() {
   const navigate = useNavigate();
 
   // Handle form submission
+  const isPerishable = isPerishableCategory(category);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
@@ -61,7 +67,7 @@ export default function AddNewInventory() {
       setError("Category is required");
       return;
     }
-    if (!initialStock || parseInt(initialStock) < 0) {
+    if (!initialStock || parseFloat(initialStock) < 0) {
       setError("Initial stock quantity must be a positive number");
       return;
     }
@@ -69,6 +75,10 @@ export default function AddNewInventory() {
       setError("Unit of measure is required");
       return;
     }
+    if (isPerishable && parseFloat(initialStock) > 0 && !expiryDate) {
+      setError("Expiry date of the opening stock is required for perishable items");
+      return;
+    }
 
     setIsSubmitting(true);
 
@@ -76,11 +86,14 @@ export default function AddNewInventory() {
       const inventoryData = {
         name: itemName.trim(),
         category,
-        initialQuantity: parseInt(initialStock),
-        currentQuantity: parseInt(initialStock),
+        initialQuantity: parseFloat(initialStock),
+        currentQuantity: parseFloat(initialStock),
         unitOfMeasure,
-        threshold: alertThreshold ? parseInt(alertThreshold) : 10,
+        threshold: alertThreshold ? parseFloat(alertThreshold) : 10,
+        supplier: supplierId || null,
         supplierName: supplierName.trim(),
+        unitCost: unitCost ? parseFloat(unitCost) : null,
+        expiryDate: isPerishable && expiryDate ? expiryDate : undefined,
         sku: sku.trim(),
         description: description.trim(),
         imageUrl: imageUrl.trim()
@@ -200,6 +213,7 @@ export default function AddNewInventory() {
                     <Input
                       id="initialStock"
                       type="number"
+                      step="any"
                       placeholder="0"
                       min="0"
                       value={initialStock}
@@ -243,6 +257,7 @@ export default function AddNewInventory() {
                       <Input
                         id="alertThreshold"
                         type="number"
+                        step="any"
                         placeholder="e.g. 10"
                         min="0"
                         value={alertThreshold}
@@ -253,22 +268,20 @@ export default function AddNewInventory() {
                   </div>
                 </div>
 
-                {/* Supplier Name & SKU */}
+                {/* Supplier & SKU */}
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                   <div>
-                    <Label htmlFor="supplierName" className="text-sm font-medium">
-                      Supplier Name (Optional)
+                    <Label className="text-sm font-medium">
+                      Supplier (Optional)
                     </Label>
-                    <div className="relative mt-1">
-                      <Building className="absolute left-3 top-1/2 -translate-y-1/2 text-orange-500 h-4 w-4" />
-                      <Input
-                        id="supplierName"
-                        placeholder="e.g. Fresh Farms Ltd."
-                        value={supplierName}
-                        onChange={(e) => setSupplierName(e.target.value)}
-                        className="pl-10"
-                      />
-                    </div>
+                    <SupplierSelect
+                      value={supplierId}
+                      legacyName={supplierName}
+                      onChange={(supplier) => {
+                        setSupplierId(supplier?._id || "");
+                        setSupplierName(supplier?.name || "");
+                      }}
+                    />
                   </div>
 
                   <div>
@@ -288,6 +301,45 @@ export default function AddNewInventory() {
                   </div>
                 </div>
 
+                {/* Unit Cost */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div>
+                    <Label htmlFor="unitCost" className="text-sm font-medium">
+                      Unit Cost (₹, Optional)
+                    </Label>
+                    <Input
+                      id="unitCost"
+                      type="number"
+                      step="0.01"
+                      placeholder="0.00"
+                      min="0"
+                      value={unitCost}
+                      onChange={(e) => setUnitCost(e.target.value)}
+                      className="mt-1"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Cost per {unitOfMeasure || "unit"} of the opening stock, used to value inventory
+                    </p>
+                  </div>
+                  {isPerishable && (
+                    <div>
+                      <Label htmlFor="expiryDate" className="text-sm font-medium">
+                        Expiry Date <span className="text-red-500">*</span>
+                      </Label>
+                      <Input
+                        id="expiryDate"
+                        type="date"
+                        value={expiryDate}
+                        onChange={(e) => setExpiryDate(e.target.value)}
+                        className="mt-1"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">
+                        Use-by date of the opening stock, tracked as its first batch
+                      </p>
+                    </div>
+                  )}
+                </div>
+
                 {/* Image URL */}
                 <div>
                   <Label htmlFor="imageUrl" className="text-sm font-medium">
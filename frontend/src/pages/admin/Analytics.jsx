@@ -23,6 +23,7 @@ import {
   ArrowUp,
   ArrowDown,
   Loader2,
+  Gift,
 } from "lucide-react";
 import AdminSidebar from "@/components/admin/Sidebar";
 import RevenueChart from "@/components/admin/RevenueChart";
@@ -30,6 +31,7 @@ import LineChart from "@/components/admin/LineChart";
 import PeakOrderBarChart from "@/components/admin/PeakOrderBarChart";
 import HorizontalBarChart from "@/components/admin/HorizontalBarChart";
 import salesService from "@/services/salesService";
+import { getPaymentMethodInfo } from "@/lib/payments";
 import { useSocket } from "@/context/SocketContext";
 
 // CSS animations for enhanced UI
@@ -69,7 +71,8 @@ export default function Analytics() {
     totalRevenue: 0,
     totalOrders: 0,
     avgOrderValue: 0,
-    customerRepeatRate: 0
+    customerRepeatRate: 0,
+    loyalty: null
   });
 
   // Growth metrics from API
@@ -100,6 +103,12 @@ export default function Analytics() {
   // Popular food combos
   const [foodCombos, setFoodCombos] = useState([]);
 
+  // Revenue from item add-ons (e.g. Extra Cheese)
+  const [addOnRevenue, setAddOnRevenue] = useState({ totalAddOnRevenue: 0, addOns: [] });
+
+  // How money was collected: cash, card, UPI and other
+  const [paymentMix, setPaymentMix] = useState({ total: 0, methods: [] });
+
   /**
    * Fetch all analytics data from the API.
    * Called on mount and when the time period changes.
@@ -116,7 +125,9 @@ export default function Analytics() {
         peakHoursResponse,
         recentResponse,
         revenueByHourResponse,
-        popularCombosResponse
+        popularCombosResponse,
+        addOnRevenueResponse,
+        paymentMixResponse
       ] = await Promise.all([
         salesService.fetchStats(activeTab),
         salesService.fetchGrowthMetrics(activeTab),
@@ -125,7 +136,9 @@ export default function Analytics() {
         salesService.fetchPeakOrderHours(activeTab),
         salesService.fetchRecentSales(5),
         salesService.fetchRevenueByHour(revenueTimeframe),
-        salesService.fetchPopularCombos(activeTab, 5)
+        salesService.fetchPopularCombos(activeTab, 5),
+        salesService.fetchAddOnRevenue(activeTab, 5),
+        salesService.fetchPaymentMethodMix(activeTab)
       ]);
 
       // Update stats
@@ -191,6 +204,16 @@ export default function Analytics() {
         setFoodCombos([]);
       }
 
+      // Add-on revenue
+      if (addOnRevenueResponse.success) {
+        setAddOnRevenue(addOnRevenueResponse.data);
+      }
+
+      // Payment method mix
+      if (paymentMixResponse.success) {
+        setPaymentMix(paymentMixResponse.data);
+      }
+
     } catch (error) {
       console.error('Error fetching analytics data:', error);
     } finally {
@@ -448,6 +471,49 @@ export default function Analytics() {
                 })}
               </div>
 
+              {/* Loyalty Points */}
+              {statsData.loyalty && (
+                <Card className="border-0 shadow-lg bg-white/80 backdrop-blur-sm">
+                  <CardContent className="p-6">
+                    <div className="flex flex-wrap items-center gap-x-10 gap-y-4">
+                      <div className="flex items-center gap-3">
+                        <div className="p-3 rounded-xl bg-orange-100 shadow-md">
+                          <Gift className="h-6 w-6 text-orange-600" />
+                        </div>
+                        <div>
+                          <p className="text-sm text-gray-600 font-medium">Loyalty Liability</p>
+                          <p className="text-2xl font-bold text-gray-900">₹{statsData.loyalty.liability.toLocaleString()}</p>
+                          <p className="text-xs text-gray-500">
+                            {statsData.loyalty.outstandingPoints.toLocaleString()} unused points held by {statsData.loyalty.customersWithPoints} customers
+                          </p>
+                        </div>
+                      </div>
+                      <div>
+                        <p className="text-sm text-gray-600">Points Earned</p>
+                        <p className="text-lg font-semibold text-gray-900">{statsData.loyalty.earned.toLocaleString()}</p>
+                      </div>
+                      <div>
+                        <p className="text-sm text-gray-600">Points Redeemed</p>
+                        <p className="text-lg font-semibold text-gray-900">
+                          {statsData.loyalty.redeemed.toLocaleString()}
+                          <span className="ml-1 text-sm font-normal text-gray-500">(₹{statsData.loyalty.redeemedAmount.toLocaleString()})</span>
+                        </p>
+                      </div>
+                      <div>
+                        <p className="text-sm text-gray-600">Points Expired</p>
+                        <p className="text-lg font-semibold text-gray-900">{statsData.loyalty.expired.toLocaleString()}</p>
+                      </div>
+                      <div>
+                        <p className="text-sm text-gray-600">Adjusted by Staff</p>
+                        <p className="text-lg font-semibold text-gray-900">
+                          {statsData.loyalty.adjusted > 0 ? "+" : ""}{statsData.loyalty.adjusted.toLocaleString()}
+                        </p>
+                      </div>
+                    </div>
+                  </CardContent>
+                </Card>
+              )}
+
               {/* Enhanced Revenue Visualization and New Customers */}
               <div className="grid gap-6 lg:grid-cols-2">
                 {/* Revenue vs Costs Chart */}
@@ -618,6 +684,85 @@ export default function Analytics() {
                 </Card>
               </div>
 
+              {/* Add-on Revenue */}
+              <Card className="border-0 shadow-lg hover:shadow-xl transition-shadow duration-300 bg-white/80 backdrop-blur-sm">
+                <CardHeader>
+                  <div className="flex items-center justify-between">
+                    <CardTitle className="bg-gradient-to-r from-orange-600 to-orange-500 bg-clip-text text-transparent">Add-on Revenue</CardTitle>
+                    <Badge className="bg-gradient-to-r from-orange-500 to-orange-600 text-white hover:from-orange-600 hover:to-orange-700 border-0 shadow-md">
+                      ₹{addOnRevenue.totalAddOnRevenue.toFixed(2)}
+                    </Badge>
+                  </div>
+                </CardHeader>
+                <CardContent>
+                  {addOnRevenue.addOns.length > 0 ? (
+                    <div className="space-y-3">
+                      {addOnRevenue.addOns.map((addOn) => (
+                        <div key={addOn.name} className="flex items-center gap-3">
+                          <div className="flex-1">
+                            <p className="text-sm font-medium">{addOn.name}</p>
+                            <div className="mt-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                              <div
+                                className="h-full bg-orange-500 rounded-full"
+                                style={{ width: `${(addOn.revenue / Math.max(addOnRevenue.addOns[0].revenue, 1)) * 100}%` }}
+                              ></div>
+                            </div>
+                          </div>
+                          <span className="text-sm text-gray-500 min-w-[4ch] text-right">×{addOn.quantity}</span>
+                          <span className="text-sm font-semibold text-gray-700 min-w-[8ch] text-right">
+                            ₹{addOn.revenue.toFixed(2)}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="flex items-center justify-center h-[120px] text-gray-400">
+                      No add-ons sold in this period
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+
+              {/* Payment Methods */}
+              <Card className="border-0 shadow-lg hover:shadow-xl transition-shadow duration-300 bg-white/80 backdrop-blur-sm">
+                <CardHeader>
+                  <div className="flex items-center justify-between">
+                    <CardTitle className="bg-gradient-to-r from-orange-600 to-orange-500 bg-clip-text text-transparent">Payment Methods</CardTitle>
+                    <Badge className="bg-gradient-to-r from-orange-500 to-orange-600 text-white hover:from-orange-600 hover:to-orange-700 border-0 shadow-md">
+                      ₹{paymentMix.total.toFixed(2)}
+                    </Badge>
+                  </div>
+                </CardHeader>
+                <CardContent>
+                  {paymentMix.methods.length > 0 ? (
+                    <div className="space-y-3">
+                      {paymentMix.methods.map((entry) => (
+                        <div key={entry.method} className="flex items-center gap-3">
+                          <div className="flex-1">
+                            <p className="text-sm font-medium">{getPaymentMethodInfo(entry.method).label}</p>
+                            <div className="mt-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                              <div
+                                className="h-full bg-orange-500 rounded-full"
+                                style={{ width: `${entry.share}%` }}
+                              ></div>
+                            </div>
+                          </div>
+                          <span className="text-sm text-gray-500 min-w-[5ch] text-right">{entry.share}%</span>
+                          <span className="text-sm text-gray-500 min-w-[4ch] text-right">×{entry.count}</span>
+                          <span className="text-sm font-semibold text-gray-700 min-w-[8ch] text-right">
+                            ₹{entry.amount.toFixed(2)}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="flex items-center justify-center h-[120px] text-gray-400">
+                      No payments collected in this period
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+
               {/* Peak Order Times */}
               <Card className="border-0 shadow-lg hover:shadow-xl transition-shadow duration-300 bg-white/80 backdrop-blur-sm">
                 <CardHeader>
@@ -37,6 +37,11 @@ import {
 } from "lucide-react";
 import { getAllBills, updateBillingStatus } from "@/services/orderService";
 import { toast } from "sonner";
+import OrderItemExtras from "@/components/admin/OrderItemExtras";
+import { PAYMENT_METHODS, MIXED_PAYMENT, getPaymentMethodInfo } from "@/lib/payments";
+
+// GST rates are stored as decimal fractions (0.025 -> "2.5%")
+const formatRate = (rate) => `${+(rate * 100).toFixed(2)}%`;
 
 const BillsManagement = () => {
     const [bills, setBills] = useState([]);
@@ -44,6 +49,7 @@ const BillsManagement = () => {
     const [expandedBill, setExpandedBill] = useState(null);
     const [searchQuery, setSearchQuery] = useState("");
     const [filterStatus, setFilterStatus] = useState("all");
+    const [filterPaymentMethod, setFilterPaymentMethod] = useState("all");
     const [selectedBill, setSelectedBill] = useState(null);
     const [isPaymentDialogOpen, setIsPaymentDialogOpen] = useState(false);
     const [paymentMethod, setPaymentMethod] = useState("");
@@ -52,7 +58,7 @@ const BillsManagement = () => {
     // Fetch bills on mount
     useEffect(() => {
         fetchBills();
-    }, [filterStatus]);
+    }, [filterStatus, filterPaymentMethod]);
 
     const fetchBills = async () => {
         setIsLoading(true);
@@ -61,6 +67,9 @@ const BillsManagement = () => {
             if (filterStatus !== "all") {
                 filters.status = filterStatus;
             }
+            if (filterPaymentMethod !== "all") {
+                filters.paymentMethod = filterPaymentMethod;
+            }
             const response = await getAllBills(filters);
             if (response.success) {
                 setBills(response.data || []);
@@ -95,10 +104,10 @@ const BillsManagement = () => {
                 toast.success("Bill marked as paid");
                 setIsPaymentDialogOpen(false);
                 setPaymentMethod("");
-                // Update bill in local state
+                // Update bill in local state (shares of a split bill are paid too)
                 setBills(bills.map(b =>
                     b._id === selectedBill._id
-                        ? { ...b, billingStatus: "paid", paidAt: new Date() }
+                        ? { ...b, ...response.data }
                         : b
                 ));
             }
@@ -136,7 +145,9 @@ const BillsManagement = () => {
         const matchesSearch = (
             bill.billNumber.toLowerCase().includes(searchQuery.toLowerCase()) ||
             bill.customerName.toLowerCase().includes(searchQuery.toLowerCase()) ||
-            bill.customerPhone?.includes(searchQuery)
+            bill.customerPhone?.includes(searchQuery) ||
+            // UTR or card reference, to find the bill a payment was for
+            (searchQuery && bill.payments?.some((payment) => payment.reference?.includes(searchQuery.trim())))
         );
         return matchesSearch;
     });
@@ -241,7 +252,7 @@ const BillsManagement = () => {
                 <div className="flex-1 relative">
                     <Search className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
                     <Input
-                        placeholder="Search by bill number, customer name, or phone..."
+                        placeholder="Search by bill number, customer name, phone or UTR..."
                         value={searchQuery}
                         onChange={(e) => setSearchQuery(e.target.value)}
                         className="pl-10"
@@ -261,6 +272,19 @@ const BillsManagement = () => {
                     </SelectContent>
                 </Select>
 
+                <Select value={filterPaymentMethod} onValueChange={setFilterPaymentMethod}>
+                    <SelectTrigger className="w-full md:w-48">
+                        <SelectValue placeholder="Filter by payment" />
+                    </SelectTrigger>
+                    <SelectContent>
+                        <SelectItem value="all">All Payment Methods</SelectItem>
+                        {Object.entries(PAYMENT_METHODS).map(([method, { label }]) => (
+                            <SelectItem key={method} value={method}>{label}</SelectItem>
+                        ))}
+                        <SelectItem value="mixed">{MIXED_PAYMENT.label}</SelectItem>
+                    </SelectContent>
+                </Select>
+
                 <Select value={sortBy} onValueChange={setSortBy}>
                     <SelectTrigger className="w-full md:w-48">
                         <SelectValue placeholder="Sort by" />
@@ -304,6 +328,11 @@ const BillsManagement = () => {
                                             )}
                                             {bill.billingStatus}
                                         </Badge>
+                                        {bill.paymentMethod && (
+                                            <Badge className={getPaymentMethodInfo(bill.paymentMethod).className}>
+                                                {getPaymentMethodInfo(bill.paymentMethod).label}
+                                            </Badge>
+                                        )}
                                     </div>
                                     <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm text-gray-600">
                                         <div>
@@ -349,6 +378,7 @@ const BillsManagement = () => {
                                                         <div>
                                                             <p className="font-medium text-gray-900">{item.name}</p>
                                                             <p className="text-sm text-gray-500">Qty: {item.quantity}</p>
+                                                            <OrderItemExtras item={item} />
                                                         </div>
                                                         <p className="font-semibold text-gray-900">
                                                             ₹{(item.price * item.quantity).toFixed(2)}
@@ -364,16 +394,169 @@ const BillsManagement = () => {
                                                 <span className="text-gray-600">Subtotal:</span>
                                                 <span className="font-medium">₹{bill.subtotal.toFixed(2)}</span>
                                             </div>
-                                            <div className="flex justify-between text-sm">
-                                                <span className="text-gray-600">Tax:</span>
-                                                <span className="font-medium">₹{bill.tax.toFixed(2)}</span>
-                                            </div>
+                                            {bill.discount > 0 && (
+                                                <div className="flex justify-between text-sm">
+                                                    <span className="text-gray-600">
+                                                        Discount{bill.promotions?.length ? ` (${bill.promotions.map((promotion) => promotion.code).join(", ")})` : ""}:
+                                                    </span>
+                                                    <span className="font-medium text-green-600">-₹{bill.discount.toFixed(2)}</span>
+                                                </div>
+                                            )}
+                                            {/* Bills from before GST only carry a single tax amount */}
+                                            {(bill.cgst || 0) + (bill.sgst || 0) > 0 ? (
+                                                <>
+                                                    <div className="flex justify-between text-sm">
+                                                        <span className="text-gray-600">CGST:</span>
+                                                        <span className="font-medium">₹{bill.cgst.toFixed(2)}</span>
+                                                    </div>
+                                                    <div className="flex justify-between text-sm">
+                                                        <span className="text-gray-600">SGST:</span>
+                                                        <span className="font-medium">₹{bill.sgst.toFixed(2)}</span>
+                                                    </div>
+                                                </>
+                                            ) : (
+                                                <div className="flex justify-between text-sm">
+                                                    <span className="text-gray-600">Tax:</span>
+                                                    <span className="font-medium">₹{bill.tax.toFixed(2)}</span>
+                                                </div>
+                                            )}
                                             <div className="border-t pt-2 flex justify-between font-bold text-red-600">
                                                 <span>Total:</span>
                                                 <span>₹{bill.total.toFixed(2)}</span>
                                             </div>
+                                            {bill.loyalty?.pointsRedeemed > 0 && (
+                                                <>
+                                                    <div className="flex justify-between text-sm">
+                                                        <span className="text-gray-600">Paid with {bill.loyalty.pointsRedeemed} points:</span>
+                                                        <span className="font-medium text-green-600">-₹{bill.loyalty.redeemedAmount.toFixed(2)}</span>
+                                                    </div>
+                                                    <div className="flex justify-between text-sm font-bold">
+                                                        <span>Amount Due:</span>
+                                                        <span>₹{(bill.total - bill.loyalty.redeemedAmount).toFixed(2)}</span>
+                                                    </div>
+                                                </>
+                                            )}
+                                            {bill.loyalty?.pointsEarned > 0 && (
+                                                <p className="text-xs text-gray-500">Customer earned {bill.loyalty.pointsEarned} loyalty points</p>
+                                            )}
+                                            {bill.gstin && (
+                                                <p className="text-xs text-gray-500">GSTIN: {bill.gstin}</p>
+                                            )}
                                         </div>
 
+                                        {/* HSN/SAC Summary */}
+                                        {bill.hsnSummary?.length > 0 && (
+                                            <div>
+                                                <h4 className="font-bold text-gray-900 mb-3">HSN/SAC Summary</h4>
+                                                <div className="overflow-x-auto">
+                                                    <table className="w-full text-sm">
+                                                        <thead>
+                                                            <tr className="border-b text-left text-gray-600">
+                                                                <th className="pb-2 font-medium">HSN/SAC</th>
+                                                                <th className="pb-2 font-medium text-right">Taxable Value</th>
+                                                                <th className="pb-2 font-medium text-right">CGST</th>
+                                                                <th className="pb-2 font-medium text-right">SGST</th>
+                                                                <th className="pb-2 font-medium text-right">Total Tax</th>
+                                                            </tr>
+                                                        </thead>
+                                                        <tbody>
+                                                            {bill.hsnSummary.map((row) => (
+                                                                <tr key={`${row.hsnCode}-${row.gstRate}`} className="border-b">
+                                                                    <td className="py-2">{row.hsnCode}</td>
+                                                                    <td className="py-2 text-right">₹{row.taxableValue.toFixed(2)}</td>
+                                                                    <td className="py-2 text-right">
+                                                                        ₹{row.cgst.toFixed(2)}
+                                                                        <span className="text-gray-500"> ({formatRate(row.cgstRate)})</span>
+                                                                    </td>
+                                                                    <td className="py-2 text-right">
+                                                                        ₹{row.sgst.toFixed(2)}
+                                                                        <span className="text-gray-500"> ({formatRate(row.sgstRate)})</span>
+                                                                    </td>
+                                                                    <td className="py-2 text-right font-medium">₹{row.totalTax.toFixed(2)}</td>
+                                                                </tr>
+                                                            ))}
+                                                        </tbody>
+                                                    </table>
+                                                </div>
+                                            </div>
+                                        )}
+
+                                        {/* Shares of a split bill */}
+                                        {bill.splits?.length > 0 && (
+                                            <div>
+                                                <h4 className="font-bold text-gray-900 mb-3">Split {bill.splits.length} Ways</h4>
+                                                <table className="w-full text-sm">
+                                                    <thead>
+                                                        <tr className="border-b text-left text-gray-600">
+                                                            <th className="pb-2 font-medium">Share</th>
+                                                            <th className="pb-2 font-medium text-right">GST</th>
+                                                            <th className="pb-2 font-medium text-right">Amount</th>
+                                                            <th className="pb-2 font-medium text-right">Status</th>
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody>
+                                                        {bill.splits.map((share) => (
+                                                            <tr key={share._id} className="border-b">
+                                                                <td className="py-2">{share.label}</td>
+                                                                <td className="py-2 text-right">₹{share.tax.toFixed(2)}</td>
+                                                                <td className="py-2 text-right font-medium">₹{share.amountDue.toFixed(2)}</td>
+                                                                <td className="py-2 text-right">
+                                                                    {share.billingStatus === "paid"
+                                                                        ? `Paid${share.paymentMethod ? ` (${getPaymentMethodInfo(share.paymentMethod).label})` : ""}`
+                                                                        : "Due"}
+                                                                </td>
+                                                            </tr>
+                                                        ))}
+                                                    </tbody>
+                                                </table>
+                                            </div>
+                                        )}
+
+                                        {/* Payments collected */}
+                                        {bill.payments?.length > 0 && (
+                                            <div>
+                                                <h4 className="font-bold text-gray-900 mb-3">Payments</h4>
+                                                <table className="w-full text-sm">
+                                                    <thead>
+                                                        <tr className="border-b text-left text-gray-600">
+                                                            <th className="pb-2 font-medium">Method</th>
+                                                            <th className="pb-2 font-medium">Reference</th>
+                                                            <th className="pb-2 font-medium">Collected By</th>
+                                                            <th className="pb-2 font-medium text-right">Amount</th>
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody>
+                                                        {bill.payments.map((payment) => (
+                                                            <tr key={payment._id} className="border-b">
+                                                                <td className="py-2">
+                                                                    {getPaymentMethodInfo(payment.method).label}
+                                                                    {payment.split && (
+                                                                        <span className="text-gray-500">
+                                                                            {" "}· {bill.splits?.find((share) => share._id === payment.split)?.label}
+                                                                        </span>
+                                                                    )}
+                                                                    <p className="text-xs text-gray-500">{formatDate(payment.receivedAt)}</p>
+                                                                </td>
+                                                                <td className="py-2 font-mono text-gray-600">{payment.reference || "—"}</td>
+                                                                <td className="py-2 text-gray-600">{payment.collectedBy?.name || "—"}</td>
+                                                                <td className="py-2 text-right font-medium">
+                                                                    ₹{payment.amount.toFixed(2)}
+                                                                    {payment.changeGiven > 0 && (
+                                                                        <p className="text-xs font-normal text-gray-500">
+                                                                            ₹{payment.tendered.toFixed(2)} given, ₹{payment.changeGiven.toFixed(2)} change
+                                                                        </p>
+                                                                    )}
+                                                                </td>
+                                                            </tr>
+                                                        ))}
+                                                    </tbody>
+                                                </table>
+                                                {bill.balanceDue > 0 && (
+                                                    <p className="text-sm text-orange-600 mt-2">₹{bill.balanceDue.toFixed(2)} still due</p>
+                                                )}
+                                            </div>
+                                        )}
+
                                         {/* Actions */}
                                         <div className="flex gap-2 pt-4">
                                             <Button
@@ -410,7 +593,7 @@ const BillsManagement = () => {
                     <DialogHeader>
                         <DialogTitle>Mark Bill as Paid</DialogTitle>
                         <DialogDescription>
-                            Bill: {selectedBill?.billNumber} - ₹{selectedBill?.total.toFixed(2)}
+                            Bill: {selectedBill?.billNumber} - ₹{(selectedBill?.balanceDue ?? selectedBill?.total)?.toFixed(2)} left to pay
                         </DialogDescription>
                     </DialogHeader>
 
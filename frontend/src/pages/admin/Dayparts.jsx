@@ -0,0 +1,395 @@
+// src/pages/Dayparts.jsx
+/**
+ * Dayparts Page - Parts of the day that whole menu categories are served in (breakfast Maggi, dinner sizzlers).
+ * A category on enabled dayparts is left off the customer menu outside them; other categories are served all day.
+ */
+import { useState, useEffect } from "react";
+import { Input } from "../../components/ui/input";
+import { Button } from "../../components/ui/button";
+import { Label } from "../../components/ui/label";
+import { Badge } from "../../components/ui/badge";
+import { Checkbox } from "../../components/ui/checkbox";
+import { Switch } from "../../components/ui/switch";
+import { SidebarTrigger } from "../../components/ui/sidebar";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "../../components/ui/dialog";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../../components/ui/table";
+import { Plus, Pencil, Trash2, Loader2 } from "lucide-react";
+import AdminSidebar from "@/components/admin/Sidebar";
+import daypartService from "@/services/daypartService";
+import { DAYS_OF_WEEK, describeTimeWindow } from "@/lib/schedule";
+import { toast } from "sonner";
+
+const MENU_CATEGORIES = [
+    "Momos", "Tandoori Momos", "Special Momos", "Noodles", "Rice", "Soups", "Sizzlers",
+    "Chinese Starters", "Moburg", "Pasta", "Maggi", "Special Dishes", "Beverages", "Desserts", "Combos",
+];
+
+const EMPTY_DAYPART = {
+    name: "",
+    categories: [],
+    daysOfWeek: [],
+    startTime: "07:00",
+    endTime: "11:00",
+    isActive: true,
+};
+
+export default function Dayparts() {
+    const [dayparts, setDayparts] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Add/edit dialog: editingId is null when adding a new daypart
+    const [isDialogOpen, setIsDialogOpen] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [form, setForm] = useState(EMPTY_DAYPART);
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        fetchDayparts();
+    }, []);
+
+    const fetchDayparts = async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const data = await daypartService.fetchDayparts();
+            setDayparts(data);
+        } catch (error) {
+            console.error('Error fetching dayparts:', error);
+            setError('Failed to load dayparts. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const openAddDialog = () => {
+        setEditingId(null);
+        setForm(EMPTY_DAYPART);
+        setIsDialogOpen(true);
+    };
+
+    const openEditDialog = (daypart) => {
+        setEditingId(daypart._id);
+        setForm({
+            name: daypart.name,
+            categories: daypart.categories,
+            daysOfWeek: daypart.daysOfWeek,
+            startTime: daypart.startTime,
+            endTime: daypart.endTime === "24:00" ? "00:00" : daypart.endTime,
+            isActive: daypart.isActive,
+        });
+        setIsDialogOpen(true);
+    };
+
+    const handleFormChange = (field, value) => {
+        setForm((prev) => ({ ...prev, [field]: value }));
+    };
+
+    const toggleListValue = (field, value) => {
+        setForm((prev) => ({
+            ...prev,
+            [field]: prev[field].includes(value)
+                ? prev[field].filter((entry) => entry !== value)
+                : [...prev[field], value],
+        }));
+    };
+
+    const handleSave = async () => {
+        if (!form.name.trim()) {
+            toast.error("Daypart name is required");
+            return;
+        }
+        if (form.categories.length === 0) {
+            toast.error("Choose at least one category");
+            return;
+        }
+        if (!form.startTime || !form.endTime) {
+            toast.error("Start and end times are required");
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            const daypartData = { ...form, name: form.name.trim() };
+
+            if (editingId) {
+                const updated = await daypartService.updateDaypart(editingId, daypartData);
+                setDayparts((prev) => prev.map((d) => (d._id === updated._id ? updated : d)));
+                toast.success(`${updated.name} updated`);
+            } else {
+                const created = await daypartService.createDaypart(daypartData);
+                setDayparts((prev) => [...prev, created]);
+                toast.success(`${created.name} created`);
+            }
+            setIsDialogOpen(false);
+        } catch (error) {
+            console.error('Error saving daypart:', error);
+            toast.error(error.response?.data?.message || "Failed to save daypart");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleToggleActive = async (daypart) => {
+        try {
+            const updated = await daypartService.updateDaypart(daypart._id, { isActive: !daypart.isActive });
+            setDayparts((prev) => prev.map((d) => (d._id === updated._id ? updated : d)));
+            toast.success(`${updated.name} ${updated.isActive ? "enabled" : "disabled"}`);
+        } catch (error) {
+            console.error('Error updating daypart:', error);
+            toast.error(error.response?.data?.message || "Failed to update daypart");
+        }
+    };
+
+    const handleDelete = async (daypart) => {
+        if (!window.confirm(`Are you sure you want to delete "${daypart.name}"? Its categories will be served all day.`)) {
+            return;
+        }
+
+        try {
+            await daypartService.deleteDaypart(daypart._id);
+            setDayparts((prev) => prev.filter((d) => d._id !== daypart._id));
+            toast.success(`${daypart.name} deleted`);
+        } catch (error) {
+            console.error('Error deleting daypart:', error);
+            toast.error(error.response?.data?.message || "Failed to delete daypart");
+        }
+    };
+
+    return (
+        <>
+            <AdminSidebar />
+            <div className="flex-1 bg-gray-50 min-h-screen">
+                {/* Header */}
+                <header className="bg-white border-b px-6 py-4">
+                    <div className="flex flex-col md:flex-row items-start md:items-center justify-between">
+                        <div className="flex items-center gap-4">
+                            <SidebarTrigger />
+                            <h1 className="text-xl md:text-2xl font-bold text-gray-900">Dayparts</h1>
+                        </div>
+
+                        <div className="flex items-center gap-2 mt-3 md:mt-0">
+                            <Button
+                                className="bg-orange-500 hover:bg-orange-600 text-white cursor-pointer"
+                                onClick={openAddDialog}
+                            >
+                                <Plus className="h-4 w-4 mr-2" />
+                                New Daypart
+                            </Button>
+                        </div>
+                    </div>
+                </header>
+
+                {/* Content */}
+                <div className="p-6">
+                    <p className="text-sm text-gray-500 mb-4">
+                        Times are in IST. A category on several dayparts is served during any of them;
+                        categories on no daypart are served all day. Single items can have their own serving times on the menu page.
+                    </p>
+
+                    {/* Loading State */}
+                    {isLoading && (
+                        <div className="flex items-center justify-center py-12">
+                            <Loader2 className="h-8 w-8 animate-spin text-orange-500" />
+                            <span className="ml-2 text-gray-600">Loading dayparts...</span>
+                        </div>
+                    )}
+
+                    {/* Error State */}
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+                            <p className="text-red-700">{error}</p>
+                            <Button variant="outline" size="sm" onClick={fetchDayparts} className="mt-2">
+                                Retry
+                            </Button>
+                        </div>
+                    )}
+
+                    {/* Dayparts Table */}
+                    {!isLoading && !error && (
+                        <div className="bg-white rounded-lg border overflow-x-auto">
+                            <Table>
+                                <TableHeader>
+                                    <TableRow className="bg-gray-50">
+                                        <TableHead className="font-semibold text-gray-700">NAME</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">WHEN</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">CATEGORIES</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">STATUS</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">ACTIONS</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {dayparts.length === 0 ? (
+                                        <TableRow>
+                                            <TableCell colSpan={5} className="text-center py-8 text-gray-500">
+                                                No dayparts yet. Every category is served all day.
+                                            </TableCell>
+                                        </TableRow>
+                                    ) : (
+                                        dayparts.map((daypart) => (
+                                            <TableRow key={daypart._id} className="hover:bg-gray-50">
+                                                <TableCell className="font-medium text-gray-900">{daypart.name}</TableCell>
+                                                <TableCell className="text-gray-600">{describeTimeWindow(daypart)}</TableCell>
+                                                <TableCell className="text-gray-600 max-w-48">{daypart.categories.join(", ")}</TableCell>
+                                                <TableCell>
+                                                    {!daypart.isActive ? (
+                                                        <Badge className="bg-gray-100 text-gray-600 hover:bg-gray-100">Disabled</Badge>
+                                                    ) : daypart.inEffect ? (
+                                                        <Badge className="bg-green-100 text-green-700 hover:bg-green-100">Serving now</Badge>
+                                                    ) : (
+                                                        <Badge className="bg-blue-100 text-blue-700 hover:bg-blue-100">Not serving</Badge>
+                                                    )}
+                                                </TableCell>
+                                                <TableCell>
+                                                    <div className="flex items-center gap-2">
+                                                        <Switch
+                                                            checked={daypart.isActive}
+                                                            onCheckedChange={() => handleToggleActive(daypart)}
+                                                            aria-label={daypart.isActive ? "Disable daypart" : "Enable daypart"}
+                                                        />
+                                                        <Button
+                                                            variant="outline"
+                                                            size="sm"
+                                                            className="cursor-pointer"
+                                                            onClick={() => openEditDialog(daypart)}
+                                                        >
+                                                            <Pencil className="h-4 w-4" />
+                                                        </Button>
+                                                        <Button
+                                                            variant="outline"
+                                                            size="sm"
+                                                            className="cursor-pointer text-red-600 hover:bg-red-50"
+                                                            onClick={() => handleDelete(daypart)}
+                                                        >
+                                                            <Trash2 className="h-4 w-4" />
+                                                        </Button>
+                                                    </div>
+                                                </TableCell>
+                                            </TableRow>
+                                        ))
+                                    )}
+                                </TableBody>
+                            </Table>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {/* Add / Edit Daypart Dialog */}
+            <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+                <DialogContent className="sm:max-w-2xl max-h-[90vh] overflow-y-auto">
+                    <DialogHeader>
+                        <DialogTitle>{editingId ? "Edit Daypart" : "New Daypart"}</DialogTitle>
+                        <DialogDescription>
+                            Orders for its categories are only taken while the daypart is running.
+                        </DialogDescription>
+                    </DialogHeader>
+
+                    <div className="space-y-4">
+                        <div className="space-y-2">
+                            <Label htmlFor="daypartName">Name <span className="text-red-500">*</span></Label>
+                            <Input
+                                id="daypartName"
+                                placeholder="e.g. Breakfast"
+                                value={form.name}
+                                onChange={(e) => handleFormChange("name", e.target.value)}
+                                maxLength={40}
+                            />
+                        </div>
+
+                        <div className="space-y-2">
+                            <Label>Days</Label>
+                            <p className="text-xs text-gray-500">Leave every day unticked to run the daypart daily.</p>
+                            <div className="flex flex-wrap gap-4 rounded-md border p-3">
+                                {DAYS_OF_WEEK.map((day, index) => (
+                                    <label key={day} className="flex items-center gap-2 text-sm cursor-pointer">
+                                        <Checkbox
+                                            checked={form.daysOfWeek.includes(index)}
+                                            onCheckedChange={() => toggleListValue("daysOfWeek", index)}
+                                        />
+                                        {day}
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-2 gap-4">
+                            <div className="space-y-2">
+                                <Label htmlFor="startTime">From</Label>
+                                <Input
+                                    id="startTime"
+                                    type="time"
+                                    value={form.startTime}
+                                    onChange={(e) => handleFormChange("startTime", e.target.value)}
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="endTime">Until</Label>
+                                <Input
+                                    id="endTime"
+                                    type="time"
+                                    value={form.endTime}
+                                    onChange={(e) => handleFormChange("endTime", e.target.value)}
+                                />
+                                <p className="text-xs text-gray-500">
+                                    An earlier time than the start runs past midnight into the next day.
+                                </p>
+                            </div>
+                        </div>
+
+                        <div className="space-y-2">
+                            <Label>Categories <span className="text-red-500">*</span></Label>
+                            <div className="grid grid-cols-2 md:grid-cols-3 gap-2 rounded-md border p-3">
+                                {MENU_CATEGORIES.map((category) => (
+                                    <label key={category} className="flex items-center gap-2 text-sm cursor-pointer">
+                                        <Checkbox
+                                            checked={form.categories.includes(category)}
+                                            onCheckedChange={() => toggleListValue("categories", category)}
+                                        />
+                                        {category}
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="flex items-center justify-between rounded-md border p-3">
+                            <div>
+                                <Label>Enabled</Label>
+                                <p className="text-xs text-gray-500">Disabled dayparts are kept but do not limit their categories.</p>
+                            </div>
+                            <Switch checked={form.isActive} onCheckedChange={(value) => handleFormChange("isActive", value)} />
+                        </div>
+                    </div>
+
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setIsDialogOpen(false)}>
+                            Cancel
+                        </Button>
+                        <Button
+                            className="bg-orange-500 hover:bg-orange-600 text-white"
+                            onClick={handleSave}
+                            disabled={isSaving}
+                        >
+                            {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                            {editingId ? "Save Changes" : "Create Daypart"}
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </>
+    );
+}
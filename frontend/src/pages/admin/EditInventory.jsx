@@ -18,17 +18,22 @@ import {
 } from "../../components/ui/select";
 import { Card, CardContent } from "../../components/ui/card";
 import { SidebarTrigger } from "../../components/ui/sidebar";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "../../components/ui/tabs";
 import {
     ChevronRight,
     AlertCircle,
     Save,
     Info,
     AlertTriangle,
-    Building,
     Tag,
     Loader2,
 } from "lucide-react";
 import AdminSidebar from "@/components/admin/Sidebar";
+import SupplierSelect from "@/components/admin/SupplierSelect";
+import InventoryPurchaseHistory from "@/components/admin/InventoryPurchaseHistory";
+import StockMovementHistory from "@/components/admin/StockMovementHistory";
+import InventoryBatches from "@/components/admin/InventoryBatches";
+import ItemStockTakeHistory from "@/components/admin/ItemStockTakeHistory";
 import inventoryService from "@/services/inventoryService";
 
 export default function EditInventory() {
@@ -39,12 +44,17 @@ export default function EditInventory() {
     const [category, setCategory] = useState("");
     const [initialQuantity, setInitialQuantity] = useState("");
     const [currentQuantity, setCurrentQuantity] = useState("");
+    // Stock as loaded; a different current quantity is saved as a ledger adjustment
+    const [loadedQuantity, setLoadedQuantity] = useState("");
+    const [adjustmentReason, setAdjustmentReason] = useState("");
     const [unitOfMeasure, setUnitOfMeasure] = useState("");
     const [alertThreshold, setAlertThreshold] = useState("");
+    const [supplierId, setSupplierId] = useState("");
     const [supplierName, setSupplierName] = useState("");
     const [sku, setSku] = useState("");
     const [description, setDescription] = useState("");
     const [imageUrl, setImageUrl] = useState("");
+    const [batches, setBatches] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState(null);
@@ -60,12 +70,15 @@ export default function EditInventory() {
                 setCategory(item.category || "");
                 setInitialQuantity(item.initialQuantity?.toString() || "");
                 setCurrentQuantity(item.currentQuantity?.toString() || "");
+                setLoadedQuantity(item.currentQuantity?.toString() || "");
                 setUnitOfMeasure(item.unitOfMeasure || "");
                 setAlertThreshold(item.threshold?.toString() || "");
+                setSupplierId(item.supplier || "");
                 setSupplierName(item.supplierName || "");
                 setSku(item.sku || "");
                 setDescription(item.description || "");
                 setImageUrl(item.imageUrl || "");
+                setBatches(item.batches || []);
             } catch (error) {
                 console.error('Error fetching inventory item:', error);
                 setError('Failed to load inventory item. Please try again.');
@@ -79,6 +92,15 @@ export default function EditInventory() {
         }
     }, [id]);
 
+    const isQuantityChanged = currentQuantity !== "" && parseFloat(currentQuantity) !== parseFloat(loadedQuantity);
+
+    // Keep the form in step with wastage, adjustments and write-offs recorded from the other tabs
+    const handleMovementRecorded = (item) => {
+        setCurrentQuantity(item.currentQuantity.toString());
+        setLoadedQuantity(item.currentQuantity.toString());
+        setBatches(item.batches || []);
+    };
+
     // Handle form submission
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -93,11 +115,11 @@ export default function EditInventory() {
             setError("Category is required");
             return;
         }
-        if (!initialQuantity || parseInt(initialQuantity) < 0) {
+        if (!initialQuantity || parseFloat(initialQuantity) < 0) {
             setError("Initial quantity must be a positive number");
             return;
         }
-        if (!currentQuantity || parseInt(currentQuantity) < 0) {
+        if (!currentQuantity || parseFloat(currentQuantity) < 0) {
             setError("Current quantity must be a positive number");
             return;
         }
@@ -112,16 +134,22 @@ export default function EditInventory() {
             const inventoryData = {
                 name: itemName.trim(),
                 category,
-                initialQuantity: parseInt(initialQuantity),
-                currentQuantity: parseInt(currentQuantity),
+                initialQuantity: parseFloat(initialQuantity),
                 unitOfMeasure,
-                threshold: alertThreshold ? parseInt(alertThreshold) : 10,
+                threshold: alertThreshold ? parseFloat(alertThreshold) : 10,
+                supplier: supplierId || null,
                 supplierName: supplierName.trim(),
                 sku: sku.trim(),
                 description: description.trim(),
                 imageUrl: imageUrl.trim()
             };
 
+            // Only send stock when it was changed here, so usage since the page loaded is not undone
+            if (isQuantityChanged) {
+                inventoryData.currentQuantity = parseFloat(currentQuantity);
+                inventoryData.adjustmentReason = adjustmentReason.trim();
+            }
+
             await inventoryService.updateInventoryItem(id, inventoryData);
             navigate('/admin/inventory');
         } catch (error) {
@@ -179,245 +207,303 @@ export default function EditInventory() {
 
                 {/* Content */}
                 <div className="p-6 max-w-4xl mx-auto">
-                    {/* Info Alert */}
-                    <div className="bg-orange-50 border border-orange-200 rounded-lg p-4 mb-6 flex items-start gap-3">
-                        <div className="bg-orange-500 rounded-full p-1 mt-0.5">
-                            <AlertCircle className="h-4 w-4 text-white" />
-                        </div>
-                        <div>
-                            <p className="font-medium text-orange-900 mb-1">ITEM DETAILS</p>
-                            <p className="text-sm text-orange-700">
-                                Field marked with an asterisk (*) are required
-                            </p>
-                        </div>
-                    </div>
+                    <Tabs defaultValue="details">
+                        <TabsList className="bg-gray-100 mb-6">
+                            <TabsTrigger value="details">Details</TabsTrigger>
+                            <TabsTrigger value="batches">Batches{batches.length > 0 ? ` (${batches.length})` : ""}</TabsTrigger>
+                            <TabsTrigger value="movements">Movement History</TabsTrigger>
+                            <TabsTrigger value="purchases">Purchase History</TabsTrigger>
+                            <TabsTrigger value="stock-takes">Stock-takes</TabsTrigger>
+                        </TabsList>
 
-                    {/* Error Alert */}
-                    {error && (
-                        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
-                            <p className="text-red-700">{error}</p>
-                        </div>
-                    )}
-
-                    {/* Form Card */}
-                    <form onSubmit={handleSubmit}>
-                        <Card className="bg-white">
-                            <CardContent className="p-6 space-y-6">
-                                {/* Item Name & Category */}
-                                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                                    <div>
-                                        <Label htmlFor="itemName" className="text-sm font-medium">
-                                            Item Name <span className="text-red-500">*</span>
-                                        </Label>
-                                        <Input
-                                            id="itemName"
-                                            placeholder="e.g. Frozen Chicken Momos"
-                                            value={itemName}
-                                            onChange={(e) => setItemName(e.target.value)}
-                                            className="mt-1"
-                                            required
-                                        />
-                                    </div>
-
-                                    <div>
-                                        <Label htmlFor="category" className="text-sm font-medium">
-                                            Category <span className="text-red-500">*</span>
-                                        </Label>
-                                        <Select value={category} onValueChange={setCategory} required>
-                                            <SelectTrigger className="mt-1">
-                                                <SelectValue placeholder="Select a category" />
-                                            </SelectTrigger>
-                                            <SelectContent>
-                                                <SelectItem value="Meat">Meat</SelectItem>
-                                                <SelectItem value="Produce">Produce</SelectItem>
-                                                <SelectItem value="Dry Goods">Dry Goods</SelectItem>
-                                                <SelectItem value="Sauce & Spices">Sauce & Spices</SelectItem>
-                                                <SelectItem value="Packaging">Packaging</SelectItem>
-                                                <SelectItem value="Beverages">Beverages</SelectItem>
-                                            </SelectContent>
-                                        </Select>
-                                    </div>
+                        <TabsContent value="details">
+                            {/* Info Alert */}
+                            <div className="bg-orange-50 border border-orange-200 rounded-lg p-4 mb-6 flex items-start gap-3">
+                                <div className="bg-orange-500 rounded-full p-1 mt-0.5">
+                                    <AlertCircle className="h-4 w-4 text-white" />
                                 </div>
+                                <div>
+                                    <p className="font-medium text-orange-900 mb-1">ITEM DETAILS</p>
+                                    <p className="text-sm text-orange-700">
+                                        Field marked with an asterisk (*) are required
+                                    </p>
+                                </div>
+                            </div>
 
-                                {/* Initial Quantity, Current Quantity, Unit */}
-                                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-                                    <div>
-                                        <Label htmlFor="initialQuantity" className="text-sm font-medium">
-                                            Initial Quantity <span className="text-red-500">*</span>
-                                        </Label>
-                                        <Input
-                                            id="initialQuantity"
-                                            type="number"
-                                            placeholder="0"
-                                            min="0"
-                                            value={initialQuantity}
-                                            onChange={(e) => setInitialQuantity(e.target.value)}
-                                            className="mt-1"
-                                            required
-                                        />
-                                    </div>
-
-                                    <div>
-                                        <Label htmlFor="currentQuantity" className="text-sm font-medium">
-                                            Current Quantity <span className="text-red-500">*</span>
-                                        </Label>
-                                        <Input
-                                            id="currentQuantity"
-                                            type="number"
-                                            placeholder="0"
-                                            min="0"
-                                            value={currentQuantity}
-                                            onChange={(e) => setCurrentQuantity(e.target.value)}
-                                            className="mt-1"
-                                            required
-                                        />
-                                    </div>
-
-                                    <div>
-                                        <Label htmlFor="unitOfMeasure" className="text-sm font-medium">
-                                            Unit of Measure <span className="text-red-500">*</span>
-                                        </Label>
-                                        <Select value={unitOfMeasure} onValueChange={setUnitOfMeasure} required>
-                                            <SelectTrigger className="mt-1">
-                                                <SelectValue placeholder="Select unit" />
-                                            </SelectTrigger>
-                                            <SelectContent>
-                                                <SelectItem value="kg">Kilograms (kg)</SelectItem>
-                                                <SelectItem value="g">Grams (g)</SelectItem>
-                                                <SelectItem value="L">Liters (L)</SelectItem>
-                                                <SelectItem value="mL">Milliliters (mL)</SelectItem>
-                                                <SelectItem value="pcs">Pieces (pcs)</SelectItem>
-                                                <SelectItem value="pks">Packages (pks)</SelectItem>
-                                            </SelectContent>
-                                        </Select>
-                                    </div>
+                            {/* Error Alert */}
+                            {error && (
+                                <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+                                    <p className="text-red-700">{error}</p>
                                 </div>
+                            )}
 
-                                {/* Alert Threshold */}
-                                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                                    <div>
-                                        <Label htmlFor="alertThreshold" className="text-sm font-medium flex items-center gap-2">
-                                            Alert Threshold
-                                            <div className="relative group">
-                                                <Info className="h-4 w-4 text-gray-400 cursor-help" />
-                                                <div className="absolute bottom-full left-1/2 -translate-x-1/2 mb-2 hidden group-hover:block bg-gray-900 text-white text-xs rounded px-3 py-2 whitespace-nowrap z-10">
-                                                    Get notified when stock falls below this level
+                            {/* Form Card */}
+                            <form onSubmit={handleSubmit}>
+                                <Card className="bg-white">
+                                    <CardContent className="p-6 space-y-6">
+                                        {/* Item Name & Category */}
+                                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                            <div>
+                                                <Label htmlFor="itemName" className="text-sm font-medium">
+                                                    Item Name <span className="text-red-500">*</span>
+                                                </Label>
+                                                <Input
+                                                    id="itemName"
+                                                    placeholder="e.g. Frozen Chicken Momos"
+                                                    value={itemName}
+                                                    onChange={(e) => setItemName(e.target.value)}
+                                                    className="mt-1"
+                                                    required
+                                                />
+                                            </div>
+
+                                            <div>
+                                                <Label htmlFor="category" className="text-sm font-medium">
+                                                    Category <span className="text-red-500">*</span>
+                                                </Label>
+                                                <Select value={category} onValueChange={setCategory} required>
+                                                    <SelectTrigger className="mt-1">
+                                                        <SelectValue placeholder="Select a category" />
+                                                    </SelectTrigger>
+                                                    <SelectContent>
+                                                        <SelectItem value="Meat">Meat</SelectItem>
+                                                        <SelectItem value="Produce">Produce</SelectItem>
+                                                        <SelectItem value="Dry Goods">Dry Goods</SelectItem>
+                                                        <SelectItem value="Sauce & Spices">Sauce & Spices</SelectItem>
+                                                        <SelectItem value="Packaging">Packaging</SelectItem>
+                                                        <SelectItem value="Beverages">Beverages</SelectItem>
+                                                    </SelectContent>
+                                                </Select>
+                                            </div>
+                                        </div>
+
+                                        {/* Initial Quantity, Current Quantity, Unit */}
+                                        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                                            <div>
+                                                <Label htmlFor="initialQuantity" className="text-sm font-medium">
+                                                    Initial Quantity <span className="text-red-500">*</span>
+                                                </Label>
+                                                <Input
+                                                    id="initialQuantity"
+                                                    type="number"
+                                                    step="any"
+                                                    placeholder="0"
+                                                    min="0"
+                                                    value={initialQuantity}
+                                                    onChange={(e) => setInitialQuantity(e.target.value)}
+                                                    className="mt-1"
+                                                    required
+                                                />
+                                            </div>
+
+                                            <div>
+                                                <Label htmlFor="currentQuantity" className="text-sm font-medium">
+                                                    Current Quantity <span className="text-red-500">*</span>
+                                                </Label>
+                                                <Input
+                                                    id="currentQuantity"
+                                                    type="number"
+                                                    step="any"
+                                                    placeholder="0"
+                                                    min="0"
+                                                    value={currentQuantity}
+                                                    onChange={(e) => setCurrentQuantity(e.target.value)}
+                                                    className="mt-1"
+                                                    required
+                                                />
+                                            </div>
+
+                                            <div>
+                                                <Label htmlFor="unitOfMeasure" className="text-sm font-medium">
+                                                    Unit of Measure <span className="text-red-500">*</span>
+                                                </Label>
+                                                <Select value={unitOfMeasure} onValueChange={setUnitOfMeasure} required>
+                                                    <SelectTrigger className="mt-1">
+                                                        <SelectValue placeholder="Select unit" />
+                                                    </SelectTrigger>
+                                                    <SelectContent>
+                                                        <SelectItem value="kg">Kilograms (kg)</SelectItem>
+                                                        <SelectItem value="g">Grams (g)</SelectItem>
+                                                        <SelectItem value="L">Liters (L)</SelectItem>
+                                                        <SelectItem value="mL">Milliliters (mL)</SelectItem>
+                                                        <SelectItem value="pcs">Pieces (pcs)</SelectItem>
+                                                        <SelectItem value="pks">Packages (pks)</SelectItem>
+                                                    </SelectContent>
+                                                </Select>
+                                            </div>
+                                        </div>
+
+                                        {/* Stock corrections are recorded in the movement history */}
+                                        {isQuantityChanged && (
+                                            <div>
+                                                <Label htmlFor="adjustmentReason" className="text-sm font-medium">
+                                                    Reason for Stock Change
+                                                </Label>
+                                                <Input
+                                                    id="adjustmentReason"
+                                                    placeholder="e.g. Recounted after delivery"
+                                                    value={adjustmentReason}
+                                                    onChange={(e) => setAdjustmentReason(e.target.value)}
+                                                    maxLength={200}
+                                                    className="mt-1"
+                                                />
+                                                <p className="text-xs text-gray-500 mt-1">
+                                                    Saved as an adjustment of {+(parseFloat(currentQuantity) - parseFloat(loadedQuantity)).toFixed(4)} {unitOfMeasure} in the movement history
+                                                </p>
+                                            </div>
+                                        )}
+
+                                        {/* Alert Threshold */}
+                                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                            <div>
+                                                <Label htmlFor="alertThreshold" className="text-sm font-medium flex items-center gap-2">
+                                                    Alert Threshold
+                                                    <div className="relative group">
+                                                        <Info className="h-4 w-4 text-gray-400 cursor-help" />
+                                                        <div className="absolute bottom-full left-1/2 -translate-x-1/2 mb-2 hidden group-hover:block bg-gray-900 text-white text-xs rounded px-3 py-2 whitespace-nowrap z-10">
+                                                            Get notified when stock falls below this level
+                                                        </div>
+                                                    </div>
+                                                </Label>
+                                                <div className="relative mt-1">
+                                                    <AlertTriangle className="absolute left-3 top-1/2 -translate-y-1/2 text-orange-500 h-4 w-4" />
+                                                    <Input
+                                                        id="alertThreshold"
+                                                        type="number"
+                                                        step="any"
+                                                        placeholder="e.g. 10"
+                                                        min="0"
+                                                        value={alertThreshold}
+                                                        onChange={(e) => setAlertThreshold(e.target.value)}
+                                                        className="pl-10"
+                                                    />
                                                 </div>
                                             </div>
-                                        </Label>
-                                        <div className="relative mt-1">
-                                            <AlertTriangle className="absolute left-3 top-1/2 -translate-y-1/2 text-orange-500 h-4 w-4" />
-                                            <Input
-                                                id="alertThreshold"
-                                                type="number"
-                                                placeholder="e.g. 10"
-                                                min="0"
-                                                value={alertThreshold}
-                                                onChange={(e) => setAlertThreshold(e.target.value)}
-                                                className="pl-10"
-                                            />
                                         </div>
-                                    </div>
-                                </div>
 
-                                {/* Supplier Name & SKU */}
-                                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                                    <div>
-                                        <Label htmlFor="supplierName" className="text-sm font-medium">
-                                            Supplier Name (Optional)
-                                        </Label>
-                                        <div className="relative mt-1">
-                                            <Building className="absolute left-3 top-1/2 -translate-y-1/2 text-orange-500 h-4 w-4" />
+                                        {/* Supplier & SKU */}
+                                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                            <div>
+                                                <Label className="text-sm font-medium">
+                                                    Supplier (Optional)
+                                                </Label>
+                                                <SupplierSelect
+                                                    value={supplierId}
+                                                    legacyName={supplierName}
+                                                    onChange={(supplier) => {
+                                                        setSupplierId(supplier?._id || "");
+                                                        setSupplierName(supplier?.name || "");
+                                                    }}
+                                                />
+                                            </div>
+
+                                            <div>
+                                                <Label htmlFor="sku" className="text-sm font-medium">
+                                                    SKU / Barcode (Optional)
+                                                </Label>
+                                                <div className="relative mt-1">
+                                                    <Tag className="absolute left-3 top-1/2 -translate-y-1/2 text-orange-500 h-4 w-4" />
+                                                    <Input
+                                                        id="sku"
+                                                        placeholder="Scan or enter code"
+                                                        value={sku}
+                                                        onChange={(e) => setSku(e.target.value)}
+                                                        className="pl-10"
+                                                    />
+                                                </div>
+                                            </div>
+                                        </div>
+
+                                        {/* Image URL */}
+                                        <div>
+                                            <Label htmlFor="imageUrl" className="text-sm font-medium">
+                                                Image URL (Optional)
+                                            </Label>
                                             <Input
-                                                id="supplierName"
-                                                placeholder="e.g. Fresh Farms Ltd."
-                                                value={supplierName}
-                                                onChange={(e) => setSupplierName(e.target.value)}
-                                                className="pl-10"
+                                                id="imageUrl"
+                                                placeholder="https://example.com/image.jpg"
+                                                value={imageUrl}
+                                                onChange={(e) => setImageUrl(e.target.value)}
+                                                className="mt-1"
                                             />
+                                            <p className="text-xs text-gray-500 mt-1">
+                                                Enter a URL to an image of this item
+                                            </p>
                                         </div>
-                                    </div>
-
-                                    <div>
-                                        <Label htmlFor="sku" className="text-sm font-medium">
-                                            SKU / Barcode (Optional)
-                                        </Label>
-                                        <div className="relative mt-1">
-                                            <Tag className="absolute left-3 top-1/2 -translate-y-1/2 text-orange-500 h-4 w-4" />
-                                            <Input
-                                                id="sku"
-                                                placeholder="Scan or enter code"
-                                                value={sku}
-                                                onChange={(e) => setSku(e.target.value)}
-                                                className="pl-10"
+
+                                        {/* Description */}
+                                        <div>
+                                            <Label htmlFor="description" className="text-sm font-medium">
+                                                Description / Notes
+                                            </Label>
+                                            <Textarea
+                                                id="description"
+                                                placeholder="Add any specific details about this item, storage instructions, or brand preferences..."
+                                                value={description}
+                                                onChange={(e) => setDescription(e.target.value)}
+                                                className="mt-1 min-h-[100px] resize-none"
                                             />
                                         </div>
-                                    </div>
-                                </div>
 
-                                {/* Image URL */}
-                                <div>
-                                    <Label htmlFor="imageUrl" className="text-sm font-medium">
-                                        Image URL (Optional)
-                                    </Label>
-                                    <Input
-                                        id="imageUrl"
-                                        placeholder="https://example.com/image.jpg"
-                                        value={imageUrl}
-                                        onChange={(e) => setImageUrl(e.target.value)}
-                                        className="mt-1"
-                                    />
-                                    <p className="text-xs text-gray-500 mt-1">
-                                        Enter a URL to an image of this item
-                                    </p>
-                                </div>
+                                        {/* Action Buttons */}
+                                        <div className="flex items-center justify-end gap-3 pt-4 border-t">
+                                            <Button
+                                                type="button"
+                                                variant="outline"
+                                                className="px-6"
+                                                onClick={() => navigate('/admin/inventory')}
+                                                disabled={isSubmitting}
+                                            >
+                                                Cancel
+                                            </Button>
+                                            <Button
+                                                type="submit"
+                                                className="bg-orange-500 hover:bg-orange-600 text-white px-6"
+                                                disabled={isSubmitting}
+                                            >
+                                                {isSubmitting ? (
+                                                    <>
+                                                        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                                                        Saving...
+                                                    </>
+                                                ) : (
+                                                    <>
+                                                        <Save className="h-4 w-4 mr-2" />
+                                                        Save Changes
+                                                    </>
+                                                )}
+                                            </Button>
+                                        </div>
+                                    </CardContent>
+                                </Card>
+                            </form>
+                        </TabsContent>
 
-                                {/* Description */}
-                                <div>
-                                    <Label htmlFor="description" className="text-sm font-medium">
-                                        Description / Notes
-                                    </Label>
-                                    <Textarea
-                                        id="description"
-                                        placeholder="Add any specific details about this item, storage instructions, or brand preferences..."
-                                        value={description}
-                                        onChange={(e) => setDescription(e.target.value)}
-                                        className="mt-1 min-h-[100px] resize-none"
-                                    />
-                                </div>
+                        <TabsContent value="batches">
+                            <InventoryBatches
+                                inventoryItemId={id}
+                                batches={batches}
+                                unitOfMeasure={unitOfMeasure}
+                                onWrittenOff={handleMovementRecorded}
+                            />
+                        </TabsContent>
 
-                                {/* Action Buttons */}
-                                <div className="flex items-center justify-end gap-3 pt-4 border-t">
-                                    <Button
-                                        type="button"
-                                        variant="outline"
-                                        className="px-6"
-                                        onClick={() => navigate('/admin/inventory')}
-                                        disabled={isSubmitting}
-                                    >
-                                        Cancel
-                                    </Button>
-                                    <Button
-                                        type="submit"
-                                        className="bg-orange-500 hover:bg-orange-600 text-white px-6"
-                                        disabled={isSubmitting}
-                                    >
-                                        {isSubmitting ? (
-                                            <>
-                                                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
-                                                Saving...
-                                            </>
-                                        ) : (
-                                            <>
-                                                <Save className="h-4 w-4 mr-2" />
-                                                Save Changes
-                                            </>
-                                        )}
-                                    </Button>
-                                </div>
-                            </CardContent>
-                        </Card>
-                    </form>
+                        <TabsContent value="movements">
+                            <StockMovementHistory
+                                inventoryItemId={id}
+                                unitOfMeasure={unitOfMeasure}
+                                onRecorded={handleMovementRecorded}
+                            />
+                        </TabsContent>
+
+                        <TabsContent value="purchases">
+                            <InventoryPurchaseHistory inventoryItemId={id} />
+                        </TabsContent>
+
+                        <TabsContent value="stock-takes">
+                            <ItemStockTakeHistory inventoryItemId={id} />
+                        </TabsContent>
+                    </Tabs>
                 </div>
             </div>
         </>
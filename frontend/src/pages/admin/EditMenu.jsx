@@ -25,6 +25,13 @@ import AdminSidebar from "@/components/admin/Sidebar";
 import menuService from "@/services/menuService";
 import uploadService from "@/services/uploadService";
 import { toast } from "sonner";
+import RecipeEditor from "@/components/admin/RecipeEditor";
+import ComboSlotsEditor from "@/components/admin/ComboSlotsEditor";
+import VariantsEditor from "@/components/admin/VariantsEditor";
+import AvailabilityScheduleEditor from "@/components/admin/AvailabilityScheduleEditor";
+import { toRecipePayload } from "@/lib/units";
+import { COMBO_CATEGORY, toComboSlotsPayload } from "@/lib/combos";
+import { toVariantEditorState, toVariantsPayload } from "@/lib/variants";
 
 export default function EditMenu() {
   const { id } = useParams();
@@ -35,12 +42,30 @@ export default function EditMenu() {
   const [category, setCategory] = useState("");
   const [amount, setAmount] = useState("");
   const [description, setDescription] = useState("");
-  const [rating, setRating] = useState("0");
+  // Average of approved customer reviews; read-only here
+  const [rating, setRating] = useState(0);
+  const [ratingCount, setRatingCount] = useState(0);
   const [isVeg, setIsVeg] = useState(true);
   const [availability, setAvailability] = useState(true);
+  // Switched off automatically because a recipe ingredient ran out
+  const [stockAutoDisabled, setStockAutoDisabled] = useState(false);
+  // Keep availability manual even when ingredients run out
+  const [ignoreStockLevels, setIgnoreStockLevels] = useState(false);
   const [imageLink, setImageLink] = useState("");
   // Add-on customization options (e.g., "Extra Cheese" - ₹50)
   const [customizationOptions, setCustomizationOptions] = useState([]);
+  // Ingredients used per portion, deducted from inventory when the item is prepared
+  const [recipe, setRecipe] = useState([]);
+  // Parts of a combo meal; only used when the category is Combos
+  const [comboSlots, setComboSlots] = useState([]);
+  const isCombo = category === COMBO_CATEGORY;
+  // Variant options (e.g. Filling, Portion) and the price of each combination
+  const [variantSetup, setVariantSetup] = useState({ dimensions: [], variants: [] });
+  const variantPayload = toVariantsPayload(variantSetup);
+  // Items sold in variants are priced per variant, not with the single price field
+  const hasVariants = !isCombo && variantSetup.dimensions.length > 0;
+  // Serving times and season; empty for an item served whenever the restaurant is open
+  const [schedule, setSchedule] = useState({ availabilityWindows: [], availableFrom: "", availableUntil: "" });
   // Mark as recommended/popular item
   const [isRecommended, setIsRecommended] = useState(false);
 
@@ -63,11 +88,22 @@ export default function EditMenu() {
         setCategory(item.category || "");
         setAmount(item.amount?.toString() || "");
         setDescription(item.description || "");
-        setRating(item.rating?.toString() || "0");
+        setRating(item.rating || 0);
+        setRatingCount(item.ratingCount || 0);
         setIsVeg(item.isVeg ?? true);
         setAvailability(item.availability ?? true);
+        setStockAutoDisabled(item.stockAutoDisabled ?? false);
+        setIgnoreStockLevels(item.ignoreStockLevels ?? false);
         setImageLink(item.imageLink || "");
         setCustomizationOptions(item.customizationOptions || []);
+        setRecipe(item.recipe || []);
+        setComboSlots((item.comboSlots || []).map((slot) => ({ ...slot, menuItems: slot.menuItems.map(String) })));
+        setVariantSetup(toVariantEditorState(item));
+        setSchedule({
+          availabilityWindows: item.availabilityWindows || [],
+          availableFrom: item.availableFrom || "",
+          availableUntil: item.availableUntil || "",
+        });
         setIsRecommended(item.isRecommended ?? false);
       } catch (error) {
         console.error("Error loading menu item:", error);
@@ -118,14 +154,22 @@ export default function EditMenu() {
       setError("Please enter a product name");
       return;
     }
-    if (!amount || parseFloat(amount) <= 0) {
+    if (!hasVariants && (!amount || parseFloat(amount) <= 0)) {
       setError("Please enter a valid price");
       return;
     }
+    if (hasVariants && variantPayload.variants.length === 0) {
+      setError("Please enter a price for at least one variant");
+      return;
+    }
     if (!category) {
       setError("Please select a category");
       return;
     }
+    if (isCombo && comboSlots.length === 0) {
+      setError("Please add at least one slot to the combo");
+      return;
+    }
 
     // Check if image is still uploading
     if (isUploadingImage) {
@@ -141,11 +185,17 @@ export default function EditMenu() {
         description: description.trim(),
         amount: parseFloat(amount),
         category,
-        rating: parseFloat(rating) || 0,
         isVeg,
         imageLink: imageLink.trim(),
         availability,
-        customizationOptions: customizationOptions.filter(opt => opt.name.trim()),
+        // Combos take stock through their items and cannot have add-ons
+        customizationOptions: isCombo ? [] : customizationOptions.filter(opt => opt.name.trim()),
+        recipe: isCombo ? [] : toRecipePayload(recipe),
+        comboSlots: isCombo ? toComboSlotsPayload(comboSlots) : [],
+        // The backend sets the price and veg flag from the variants
+        ...(hasVariants ? variantPayload : { variantDimensions: [], variants: [] }),
+        ...schedule,
+        ignoreStockLevels,
         isRecommended
       });
 
@@ -398,6 +448,7 @@ export default function EditMenu() {
                         <SelectItem value="Special Dishes">Special Dishes</SelectItem>
                         <SelectItem value="Beverages">Beverages</SelectItem>
                         <SelectItem value="Desserts">Desserts</SelectItem>
+                        <SelectItem value="Combos">Combos</SelectItem>
                       </SelectContent>
                     </Select>
                   </div>
@@ -415,8 +466,10 @@ export default function EditMenu() {
                         type="number"
                         min="0"
                         step="0.01"
-                        value={amount}
+                        placeholder={hasVariants ? "Set per variant" : ""}
+                        value={hasVariants ? "" : amount}
                         onChange={(e) => setAmount(e.target.value)}
+                        disabled={hasVariants}
                         className="pl-7"
                       />
                     </div>
@@ -471,25 +524,58 @@ export default function EditMenu() {
                   </div>
 
                   <div>
-                    <Label htmlFor="rating" className="text-sm font-medium">
-                      Rating (0-5)
-                    </Label>
-                    <Input
-                      id="rating"
-                      type="number"
-                      step="0.1"
-                      min="0"
-                      max="5"
-                      value={rating}
-                      onChange={(e) => setRating(e.target.value)}
-                      className="mt-1 w-32"
-                    />
+                    <Label className="text-sm font-medium">Customer Rating</Label>
+                    <p className="mt-2 flex items-center gap-1 text-sm text-gray-700">
+                      {ratingCount > 0 ? (
+                        <>
+                          <Star className="h-4 w-4 fill-yellow-400 text-yellow-400" />
+                          <span className="font-medium">{rating.toFixed(1)}</span>
+                          <span className="text-gray-500">from {ratingCount} {ratingCount === 1 ? "review" : "reviews"}</span>
+                        </>
+                      ) : (
+                        <span className="text-gray-500">No reviews yet</span>
+                      )}
+                    </p>
                   </div>
                 </div>
               </section>
 
               <hr className="border-gray-200" />
 
+              {!isCombo && (
+              <>
+              {/* Variants Section */}
+              <section className="space-y-4">
+                <div>
+                  <h3 className="text-sm font-medium text-gray-900">
+                    Variants
+                  </h3>
+                  <p className="text-sm text-gray-500">
+                    Sell one product in several versions, e.g. Veg/Paneer/Chicken or Half/Full plate, each with its own price.
+                  </p>
+                </div>
+                <VariantsEditor value={variantSetup} onChange={setVariantSetup} defaultIsVeg={isVeg} />
+              </section>
+
+              <hr className="border-gray-200" />
+              </>
+              )}
+
+              {isCombo ? (
+              /* Combo Slots Section */
+              <section className="space-y-4">
+                <div>
+                  <h3 className="text-sm font-medium text-gray-900">
+                    Combo Slots
+                  </h3>
+                  <p className="text-sm text-gray-500">
+                    What goes into the combo. The price is shared between the chosen items in proportion to their menu prices.
+                  </p>
+                </div>
+                <ComboSlotsEditor slots={comboSlots} onChange={setComboSlots} excludeId={id} />
+              </section>
+              ) : (
+              <>
               {/* Add-on Customizations Section */}
               <section className="space-y-4">
                 <div className="flex items-center justify-between">
@@ -568,6 +654,23 @@ export default function EditMenu() {
 
               <hr className="border-gray-200" />
 
+              {/* Recipe (Bill of Materials) Section */}
+              <section className="space-y-4">
+                <div>
+                  <h3 className="text-sm font-medium text-gray-900">
+                    Recipe
+                  </h3>
+                  <p className="text-sm text-gray-500">
+                    Ingredients for one portion. They are deducted from inventory when the item is prepared. A variant with its own recipe uses that instead.
+                  </p>
+                </div>
+                <RecipeEditor recipe={recipe} onChange={setRecipe} />
+              </section>
+              </>
+              )}
+
+              <hr className="border-gray-200" />
+
               {/* Recommended/Popular Toggle */}
               <section className="space-y-4">
                 <h3 className="text-sm font-medium text-gray-900">
@@ -612,6 +715,11 @@ export default function EditMenu() {
                     <p className="text-sm text-gray-500">
                       When disabled, this item will be hidden from the menu.
                     </p>
+                    {stockAutoDisabled && !availability && (
+                      <p className="text-sm text-red-600 mt-1">
+                        Switched off automatically because an ingredient ran out. It comes back once restocked.
+                      </p>
+                    )}
                   </div>
                   <Switch
                     checked={availability}
@@ -619,6 +727,22 @@ export default function EditMenu() {
                     className="data-[state=checked]:bg-orange-500"
                   />
                 </div>
+                <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      Ignore Stock Levels
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      Keep this item available even when a recipe ingredient runs out.
+                    </p>
+                  </div>
+                  <Switch
+                    checked={ignoreStockLevels}
+                    onCheckedChange={setIgnoreStockLevels}
+                    className="data-[state=checked]:bg-orange-500"
+                  />
+                </div>
+                <AvailabilityScheduleEditor value={schedule} onChange={setSchedule} />
               </section>
 
               {/* Bottom Actions */}
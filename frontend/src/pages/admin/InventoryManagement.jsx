@@ -39,9 +39,12 @@ import {
     Trash2,
     Loader2,
     FileDown,
-    Upload
+    Upload,
+    IndianRupee
 } from "lucide-react";
 import AdminSidebar from "@/components/admin/Sidebar";
+import ExpiringStockAlert from "@/components/admin/ExpiringStockAlert";
+import SuggestedOrdersPanel from "@/components/admin/SuggestedOrdersPanel";
 import { Label } from "../../components/ui/label";
 import { Link, useNavigate } from "react-router-dom";
 import inventoryService from "@/services/inventoryService";
@@ -130,6 +133,10 @@ export default function InventoryManagement() {
         try {
             const result = await inventoryService.importInventoryCSV(file);
             toast.success(result.message);
+            // Perishable rows that add stock without an expiry date
+            if (result.skipped?.length > 0) {
+                toast.warning(result.skipped.map((row) => `${row.name}: ${row.reason}`).join("\n"));
+            }
             fetchInventoryData(); // Refresh list
         } catch (error) {
             console.error("Error importing inventory:", error);
@@ -225,10 +232,10 @@ export default function InventoryManagement() {
         return categoryColors[categoryName] || "bg-gray-100 text-gray-700";
     };
 
-    // Calculate stock percentage
+    // Calculate stock percentage (stock can dip below zero after recipe deductions)
     const getStockPercentage = (current, initial) => {
         if (initial === 0) return 0;
-        return Math.min((current / initial) * 100, 100);
+        return Math.max(Math.min((current / initial) * 100, 100), 0);
     };
 
     // Get progress bar color based on percentage
@@ -307,6 +314,12 @@ export default function InventoryManagement() {
                         })}
                     </div>
 
+                    {/* Expiring Perishables */}
+                    <ExpiringStockAlert onWrittenOff={fetchInventoryData} />
+
+                    {/* Reorder Forecast */}
+                    <SuggestedOrdersPanel />
+
                     {/* Filters */}
                     <div className="bg-white rounded-lg border p-4 mb-6">
                         <div className="flex items-center justify-between gap-4">
@@ -362,6 +375,12 @@ export default function InventoryManagement() {
 
                             {/* Add New Item Button */}
                             <div className="pt-6 flex gap-2">
+                                <Link to="/admin/inventory/valuation">
+                                    <Button variant="outline" className="gap-2 cursor-pointer">
+                                        <IndianRupee className="h-4 w-4" />
+                                        Stock Value
+                                    </Button>
+                                </Link>
                                 <Button variant="outline" className="gap-2" onClick={handleExport}>
                                     <FileDown className="h-4 w-4" />
                                     Export CSV
@@ -518,6 +537,7 @@ export default function InventoryManagement() {
                                                                     variant="outline"
                                                                     size="sm"
                                                                     className="border-red-200 text-red-600 hover:bg-red-50 cursor-pointer"
+                                                                    onClick={() => navigate(`/admin/purchase-orders/new?item=${item._id}`)}
                                                                 >
                                                                     Restock
                                                                 </Button>
@@ -0,0 +1,197 @@
+// src/pages/InventoryValuation.jsx
+/**
+ * Inventory Valuation Page - Value of stock on hand from the stock ledger's purchase costs.
+ * FIFO values what is left at the most recent purchase prices; weighted average at the
+ * average price of everything received.
+ */
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { Card, CardContent } from "../../components/ui/card";
+import { SidebarTrigger } from "../../components/ui/sidebar";
+import { Tabs, TabsList, TabsTrigger } from "../../components/ui/tabs";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../../components/ui/table";
+import { AlertTriangle, ChevronRight, IndianRupee, Loader2 } from "lucide-react";
+import AdminSidebar from "@/components/admin/Sidebar";
+import inventoryService from "@/services/inventoryService";
+
+const METHOD_DESCRIPTIONS = {
+    fifo: "First in, first out: stock on hand is valued at the most recent purchase prices.",
+    "weighted-average": "Stock on hand is valued at the average price paid for everything received.",
+};
+
+const formatCurrency = (amount) => `₹${amount.toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+export default function InventoryValuation() {
+    const navigate = useNavigate();
+    const [method, setMethod] = useState("fifo");
+    const [valuation, setValuation] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchValuation = async () => {
+            setIsLoading(true);
+            setError(null);
+            try {
+                const data = await inventoryService.fetchInventoryValuation(method);
+                setValuation(data);
+            } catch (error) {
+                console.error('Error fetching inventory valuation:', error);
+                setError('Failed to load inventory valuation. Please try again.');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        fetchValuation();
+    }, [method]);
+
+    return (
+        <>
+            <AdminSidebar />
+            <div className="flex-1 bg-gray-50 min-h-screen">
+                {/* Header */}
+                <header className="bg-white border-b px-6 py-4">
+                    <div className="flex items-center gap-4">
+                        <SidebarTrigger />
+                        <div>
+                            {/* Breadcrumb */}
+                            <div className="flex items-center gap-2 text-sm text-gray-500 mb-1">
+                                <span
+                                    className="hover:text-orange-500 cursor-pointer"
+                                    onClick={() => navigate('/admin/inventory')}
+                                >
+                                    Inventory
+                                </span>
+                                <ChevronRight className="h-4 w-4" />
+                                <span className="text-orange-500">Valuation</span>
+                            </div>
+                            <h1 className="text-xl md:text-2xl font-bold text-gray-900">Inventory Valuation</h1>
+                        </div>
+                    </div>
+                </header>
+
+                {/* Content */}
+                <div className="p-6 space-y-6">
+                    <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+                        <Tabs value={method} onValueChange={setMethod}>
+                            <TabsList className="bg-gray-100">
+                                <TabsTrigger value="fifo">FIFO</TabsTrigger>
+                                <TabsTrigger value="weighted-average">Weighted Average</TabsTrigger>
+                            </TabsList>
+                        </Tabs>
+                        <p className="text-sm text-gray-500">{METHOD_DESCRIPTIONS[method]}</p>
+                    </div>
+
+                    {/* Loading State */}
+                    {isLoading && (
+                        <div className="flex items-center justify-center py-12">
+                            <Loader2 className="h-8 w-8 animate-spin text-orange-500" />
+                            <span className="ml-2 text-gray-600">Valuing stock...</span>
+                        </div>
+                    )}
+
+                    {/* Error State */}
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                            <p className="text-red-700">{error}</p>
+                        </div>
+                    )}
+
+                    {!isLoading && !error && valuation && (
+                        <>
+                            {/* Summary */}
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <Card className="bg-white">
+                                    <CardContent className="p-6 flex items-center gap-4">
+                                        <div className="p-3 rounded-lg bg-green-100">
+                                            <IndianRupee className="h-6 w-6 text-green-600" />
+                                        </div>
+                                        <div>
+                                            <p className="text-base font-medium text-gray-700">Stock Value</p>
+                                            <p className="text-3xl font-extrabold text-gray-900">
+                                                {formatCurrency(valuation.totalValue)}
+                                            </p>
+                                        </div>
+                                    </CardContent>
+                                </Card>
+                                <Card className="bg-white">
+                                    <CardContent className="p-6 flex items-center gap-4">
+                                        <div className="p-3 rounded-lg bg-orange-100">
+                                            <AlertTriangle className="h-6 w-6 text-orange-600" />
+                                        </div>
+                                        <div>
+                                            <p className="text-base font-medium text-gray-700">Items Without a Cost</p>
+                                            <p className="text-3xl font-extrabold text-gray-900">{valuation.uncostedItemCount}</p>
+                                            <p className="text-sm text-gray-500">
+                                                Stock not covered by a costed delivery is left out of the value
+                                            </p>
+                                        </div>
+                                    </CardContent>
+                                </Card>
+                            </div>
+
+                            {/* Items */}
+                            <div className="bg-white rounded-lg border overflow-hidden">
+                                <Table>
+                                    <TableHeader>
+                                        <TableRow className="bg-gray-50">
+                                            <TableHead className="font-semibold text-gray-700">ITEM</TableHead>
+                                            <TableHead className="font-semibold text-gray-700">CATEGORY</TableHead>
+                                            <TableHead className="font-semibold text-gray-700 text-right">ON HAND</TableHead>
+                                            <TableHead className="font-semibold text-gray-700 text-right">UNIT COST</TableHead>
+                                            <TableHead className="font-semibold text-gray-700 text-right">VALUE</TableHead>
+                                        </TableRow>
+                                    </TableHeader>
+                                    <TableBody>
+                                        {valuation.items.length === 0 ? (
+                                            <TableRow>
+                                                <TableCell colSpan={5} className="text-center py-8 text-gray-500">
+                                                    No inventory items yet.
+                                                </TableCell>
+                                            </TableRow>
+                                        ) : (
+                                            valuation.items.map((item) => (
+                                                <TableRow
+                                                    key={item._id}
+                                                    className="hover:bg-gray-50 cursor-pointer"
+                                                    onClick={() => navigate(`/admin/inventory/edit/${item._id}`)}
+                                                >
+                                                    <TableCell>
+                                                        <p className="font-medium text-gray-900">{item.name}</p>
+                                                        {item.uncostedQuantity > 0 && (
+                                                            <p className="text-xs text-orange-600">
+                                                                {item.uncostedQuantity} {item.unitOfMeasure} without a recorded cost
+                                                            </p>
+                                                        )}
+                                                    </TableCell>
+                                                    <TableCell className="text-gray-600">{item.category}</TableCell>
+                                                    <TableCell className="text-right text-gray-600">
+                                                        {item.currentQuantity} {item.unitOfMeasure}
+                                                    </TableCell>
+                                                    <TableCell className="text-right text-gray-600">
+                                                        {item.unitCost === null ? "—" : `₹${item.unitCost.toFixed(2)}`}
+                                                    </TableCell>
+                                                    <TableCell className="text-right font-medium text-gray-900">
+                                                        {formatCurrency(item.value)}
+                                                    </TableCell>
+                                                </TableRow>
+                                            ))
+                                        )}
+                                    </TableBody>
+                                </Table>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+}
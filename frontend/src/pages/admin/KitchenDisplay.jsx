@@ -0,0 +1,338 @@
+/**
+ * KitchenDisplay Page - Full-screen Kitchen Display System (KDS).
+ * Each order is split into one ticket per kitchen station (tandoor, steamer/fryer, wok, beverages).
+ * Stations bump tickets when their items are ready; the order is served once every ticket is bumped.
+ */
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { ArrowLeft, Check, ChefHat, Clock, Loader2, Maximize, RotateCcw } from "lucide-react";
+import OrderItemExtras from "@/components/admin/OrderItemExtras";
+import { useSocket } from "@/context/SocketContext";
+import { getKitchenTickets, bumpStationTicket, recallStationTicket } from "@/services/orderService";
+import { toast } from "sonner";
+
+// Ticket age thresholds (minutes) for the timer colour
+const AGE_WARNING_MINUTES = 8;
+const AGE_CRITICAL_MINUTES = 15;
+
+// How many bumped tickets stay listed for recall
+const RECENTLY_BUMPED_LIMIT = 8;
+
+const ALL_STATIONS = "all";
+
+const ACTIVE_ORDER_STATUSES = ["pending", "preparing"];
+
+/**
+ * Format elapsed milliseconds as m:ss.
+ * @param {number} elapsedMs
+ * @returns {string}
+ */
+const formatAge = (elapsedMs) => {
+    const totalSeconds = Math.max(0, Math.floor(elapsedMs / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, "0")}`;
+};
+
+/**
+ * Tailwind classes for a ticket header based on how long it has been waiting.
+ * @param {number} elapsedMs
+ * @returns {string}
+ */
+const getAgeClasses = (elapsedMs) => {
+    const minutes = elapsedMs / 60000;
+    if (minutes >= AGE_CRITICAL_MINUTES) return "bg-red-600 text-white";
+    if (minutes >= AGE_WARNING_MINUTES) return "bg-amber-400 text-gray-900";
+    return "bg-green-600 text-white";
+};
+
+const getTicketKey = (ticket) => `${ticket.orderId}-${ticket.station}`;
+
+const KitchenDisplay = () => {
+    const { socket } = useSocket();
+    const [stations, setStations] = useState([]);
+    const [tickets, setTickets] = useState([]);
+    const [selectedStation, setSelectedStation] = useState(ALL_STATIONS);
+    const [isLoading, setIsLoading] = useState(true);
+    const [busyTicketKey, setBusyTicketKey] = useState(null);
+    const [now, setNow] = useState(() => Date.now());
+
+    const fetchTickets = useCallback(async () => {
+        try {
+            const response = await getKitchenTickets();
+            setStations(response.data.stations || []);
+            setTickets(response.data.tickets || []);
+        } catch (error) {
+            console.error("Error fetching kitchen tickets:", error);
+            toast.error("Failed to load kitchen tickets");
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    // Fetch tickets on mount
+    useEffect(() => {
+        fetchTickets();
+    }, [fetchTickets]);
+
+    // Tick every second so age timers stay live
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Replace an order's tickets whenever the backend broadcasts a change
+    useEffect(() => {
+        if (!socket) return;
+
+        socket.emit("admin:join");
+
+        const handleKitchenTickets = ({ orderId, tickets: orderTickets }) => {
+            setTickets((prev) => [
+                ...prev.filter((ticket) => ticket.orderId !== orderId),
+                ...orderTickets,
+            ]);
+        };
+
+        // Refetch after a reconnect in case updates were missed
+        const handleReconnect = () => fetchTickets();
+
+        socket.on("kitchen:tickets", handleKitchenTickets);
+        socket.on("connect", handleReconnect);
+
+        return () => {
+            socket.off("kitchen:tickets", handleKitchenTickets);
+            socket.off("connect", handleReconnect);
+        };
+    }, [socket, fetchTickets]);
+
+    const updateTicket = (target, changes) => {
+        setTickets((prev) =>
+            prev.map((ticket) =>
+                getTicketKey(ticket) === getTicketKey(target) ? { ...ticket, ...changes } : ticket
+            )
+        );
+    };
+
+    const handleBump = async (ticket) => {
+        setBusyTicketKey(getTicketKey(ticket));
+        try {
+            const response = await bumpStationTicket(ticket.orderId, ticket.station);
+            updateTicket(ticket, { status: "bumped", bumpedAt: new Date().toISOString() });
+            if (response.data?.status === "served") {
+                toast.success(`Order #${ticket.orderNumber} is complete`);
+            }
+        } catch (error) {
+            console.error("Error bumping ticket:", error);
+            toast.error(error.response?.data?.message || "Failed to bump ticket");
+            fetchTickets();
+        } finally {
+            setBusyTicketKey(null);
+        }
+    };
+
+    const handleRecall = async (ticket) => {
+        setBusyTicketKey(getTicketKey(ticket));
+        try {
+            await recallStationTicket(ticket.orderId, ticket.station);
+            const recalledAt = new Date().toISOString();
+            updateTicket(ticket, { status: "pending", bumpedAt: null, recalledAt, startedAt: recalledAt });
+            toast.info(`Ticket #${ticket.orderNumber} recalled to ${ticket.stationName}`);
+        } catch (error) {
+            console.error("Error recalling ticket:", error);
+            toast.error(error.response?.data?.message || "Failed to recall ticket");
+            fetchTickets();
+        } finally {
+            setBusyTicketKey(null);
+        }
+    };
+
+    const handleFullscreen = () => {
+        if (!document.fullscreenElement) {
+            document.documentElement.requestFullscreen?.().catch(() => { });
+        } else {
+            document.exitFullscreen?.();
+        }
+    };
+
+    const isVisibleStation = (ticket) =>
+        selectedStation === ALL_STATIONS || ticket.station === selectedStation;
+
+    const activeTickets = tickets
+        .filter((ticket) =>
+            ticket.status === "pending" &&
+            ACTIVE_ORDER_STATUSES.includes(ticket.orderStatus) &&
+            isVisibleStation(ticket)
+        )
+        .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+
+    const recentlyBumpedTickets = tickets
+        .filter((ticket) =>
+            ticket.status === "bumped" &&
+            ticket.orderStatus !== "cancelled" &&
+            isVisibleStation(ticket)
+        )
+        .sort((a, b) => new Date(b.bumpedAt) - new Date(a.bumpedAt))
+        .slice(0, RECENTLY_BUMPED_LIMIT);
+
+    const getPendingCount = (stationKey) =>
+        tickets.filter((ticket) =>
+            ticket.status === "pending" &&
+            ACTIVE_ORDER_STATUSES.includes(ticket.orderStatus) &&
+            (stationKey === ALL_STATIONS || ticket.station === stationKey)
+        ).length;
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center justify-center min-h-screen bg-gray-900">
+                <div className="flex flex-col items-center gap-2">
+                    <Loader2 className="h-8 w-8 animate-spin text-orange-500" />
+                    <p className="text-gray-300">Loading kitchen tickets...</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-gray-900 text-white">
+            {/* Header */}
+            <header className="sticky top-0 z-10 flex flex-wrap items-center justify-between gap-3 border-b border-gray-700 bg-gray-900 px-6 py-4">
+                <div className="flex items-center gap-3">
+                    <Link to="/admin/orders">
+                        <Button variant="ghost" size="icon" className="text-gray-300 hover:bg-gray-800 hover:text-white">
+                            <ArrowLeft className="h-5 w-5" />
+                        </Button>
+                    </Link>
+                    <ChefHat className="h-7 w-7 text-orange-500" />
+                    <h1 className="text-2xl font-bold">Kitchen Display</h1>
+                </div>
+
+                {/* Station Filter */}
+                <div className="flex flex-wrap items-center gap-2">
+                    {[{ key: ALL_STATIONS, name: "All Stations" }, ...stations].map((station) => (
+                        <Button
+                            key={station.key}
+                            size="sm"
+                            variant="ghost"
+                            className={selectedStation === station.key
+                                ? "bg-orange-500 text-white hover:bg-orange-600 hover:text-white"
+                                : "bg-gray-800 text-gray-300 hover:bg-gray-700 hover:text-white"}
+                            onClick={() => setSelectedStation(station.key)}
+                        >
+                            {station.name}
+                            <Badge className="ml-2 bg-white/20 text-white">{getPendingCount(station.key)}</Badge>
+                        </Button>
+                    ))}
+                    <Button
+                        size="icon"
+                        variant="ghost"
+                        className="text-gray-300 hover:bg-gray-800 hover:text-white"
+                        onClick={handleFullscreen}
+                    >
+                        <Maximize className="h-5 w-5" />
+                    </Button>
+                </div>
+            </header>
+
+            <div className="p-6 space-y-8">
+                {/* Active Tickets */}
+                {activeTickets.length === 0 ? (
+                    <div className="flex flex-col items-center justify-center py-24 text-gray-500">
+                        <ChefHat className="h-16 w-16 mb-3" />
+                        <p className="text-lg">No tickets waiting</p>
+                    </div>
+                ) : (
+                    <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
+                        {activeTickets.map((ticket) => {
+                            const elapsedMs = now - new Date(ticket.startedAt).getTime();
+                            const ticketKey = getTicketKey(ticket);
+
+                            return (
+                                <Card key={ticketKey} className="overflow-hidden border-0 bg-white text-gray-900">
+                                    <div className={`flex items-center justify-between px-4 py-2 ${getAgeClasses(elapsedMs)}`}>
+                                        <div>
+                                            <p className="text-lg font-bold">#{ticket.orderNumber}</p>
+                                            <p className="text-xs opacity-90">Table {ticket.tableNumber} · {ticket.stationName}</p>
+                                        </div>
+                                        <div className="flex items-center gap-1 text-lg font-bold tabular-nums">
+                                            <Clock className="h-4 w-4" />
+                                            {formatAge(elapsedMs)}
+                                        </div>
+                                    </div>
+                                    <CardContent className="p-4 space-y-3">
+                                        {ticket.recalledAt && (
+                                            <Badge className="bg-purple-100 text-purple-700">Recalled</Badge>
+                                        )}
+                                        <div className="space-y-2">
+                                            {ticket.items.map((item, index) => (
+                                                <div key={index}>
+                                                    <p className={`text-base font-semibold ${item.status === "served" ? "text-gray-400 line-through" : ""}`}>
+                                                        <span className="text-orange-600">{item.quantity}×</span> {item.name}
+                                                    </p>
+                                                    <OrderItemExtras item={item} className="ml-6 text-sm" />
+                                                </div>
+                                            ))}
+                                        </div>
+                                        <Button
+                                            className="w-full bg-green-600 hover:bg-green-700 text-base font-bold"
+                                            onClick={() => handleBump(ticket)}
+                                            disabled={busyTicketKey === ticketKey}
+                                        >
+                                            {busyTicketKey === ticketKey ? (
+                                                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                                            ) : (
+                                                <Check className="h-4 w-4 mr-2" />
+                                            )}
+                                            Bump
+                                        </Button>
+                                    </CardContent>
+                                </Card>
+                            );
+                        })}
+                    </div>
+                )}
+
+                {/* Recently Bumped */}
+                {recentlyBumpedTickets.length > 0 && (
+                    <div>
+                        <h2 className="mb-3 text-lg font-semibold text-gray-300">Recently Bumped</h2>
+                        <div className="flex flex-wrap gap-3">
+                            {recentlyBumpedTickets.map((ticket) => {
+                                const ticketKey = getTicketKey(ticket);
+
+                                return (
+                                    <div
+                                        key={ticketKey}
+                                        className="flex items-center gap-3 rounded-lg bg-gray-800 px-4 py-2"
+                                    >
+                                        <div>
+                                            <p className="font-semibold">#{ticket.orderNumber} · {ticket.stationName}</p>
+                                            <p className="text-xs text-gray-400">
+                                                Table {ticket.tableNumber} · bumped {formatAge(now - new Date(ticket.bumpedAt).getTime())} ago
+                                            </p>
+                                        </div>
+                                        <Button
+                                            size="sm"
+                                            variant="ghost"
+                                            className="text-orange-400 hover:bg-gray-700 hover:text-orange-300"
+                                            onClick={() => handleRecall(ticket)}
+                                            disabled={busyTicketKey === ticketKey}
+                                        >
+                                            <RotateCcw className="h-4 w-4 mr-1" />
+                                            Recall
+                                        </Button>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default KitchenDisplay;
@@ -0,0 +1,373 @@
+// src/pages/Loyalty.jsx
+/**
+ * Loyalty Page - Customers' loyalty points, their ledgers, and hand adjustments with a reason
+ * (e.g. goodwill points after a complaint). Points are earned and redeemed through bills.
+ */
+import { useState, useEffect, useCallback } from "react";
+import { Input } from "../../components/ui/input";
+import { Button } from "../../components/ui/button";
+import { Label } from "../../components/ui/label";
+import { Badge } from "../../components/ui/badge";
+import { Textarea } from "../../components/ui/textarea";
+import { SidebarTrigger } from "../../components/ui/sidebar";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "../../components/ui/dialog";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../../components/ui/table";
+import { Search, History, PlusCircle, Loader2 } from "lucide-react";
+import AdminSidebar from "@/components/admin/Sidebar";
+import loyaltyService from "@/services/loyaltyService";
+import {
+    LOYALTY_TRANSACTION_TYPES,
+    MAX_ADJUSTMENT_REASON_LENGTH,
+    describeLoyaltyTransaction,
+    formatPoints,
+} from "@/lib/loyalty";
+import { toast } from "sonner";
+
+const TIER_BADGE_CLASSES = {
+    Bronze: "bg-orange-100 text-orange-700 hover:bg-orange-100",
+    Silver: "bg-gray-100 text-gray-700 hover:bg-gray-100",
+    Gold: "bg-yellow-100 text-yellow-700 hover:bg-yellow-100",
+};
+
+const EMPTY_ADJUSTMENT = { points: "", reason: "" };
+
+const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+    });
+
+export default function Loyalty() {
+    const [customers, setCustomers] = useState([]);
+    const [search, setSearch] = useState("");
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Ledger dialog
+    const [ledgerCustomer, setLedgerCustomer] = useState(null);
+    const [transactions, setTransactions] = useState([]);
+    const [isLedgerLoading, setIsLedgerLoading] = useState(false);
+
+    // Adjust dialog
+    const [adjustCustomer, setAdjustCustomer] = useState(null);
+    const [adjustment, setAdjustment] = useState(EMPTY_ADJUSTMENT);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const fetchCustomers = useCallback(async (searchTerm = "") => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const response = await loyaltyService.fetchLoyaltyCustomers(searchTerm);
+            setCustomers(response.data || []);
+        } catch (error) {
+            console.error('Error fetching loyalty customers:', error);
+            setError('Failed to load customers. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchCustomers();
+    }, [fetchCustomers]);
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        fetchCustomers(search.trim());
+    };
+
+    const updateCustomer = (updated) => {
+        setCustomers((prev) => prev.map((c) => (c._id === updated._id ? updated : c)));
+    };
+
+    const openLedger = async (customer) => {
+        setLedgerCustomer(customer);
+        setTransactions([]);
+        setIsLedgerLoading(true);
+        try {
+            const response = await loyaltyService.fetchCustomerTransactions(customer._id);
+            setTransactions(response.data.transactions);
+            // Old points may have expired since the list was loaded
+            updateCustomer(response.data.customer);
+            setLedgerCustomer(response.data.customer);
+        } catch (error) {
+            console.error('Error fetching loyalty transactions:', error);
+            toast.error(error.response?.data?.message || "Failed to load points history");
+        } finally {
+            setIsLedgerLoading(false);
+        }
+    };
+
+    const openAdjustDialog = (customer) => {
+        setAdjustCustomer(customer);
+        setAdjustment(EMPTY_ADJUSTMENT);
+    };
+
+    const handleAdjust = async () => {
+        const points = Number(adjustment.points);
+        if (!Number.isInteger(points) || points === 0) {
+            toast.error("Enter a whole number of points, negative to remove");
+            return;
+        }
+        if (!adjustment.reason.trim()) {
+            toast.error("Please give a reason for the adjustment");
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            const response = await loyaltyService.adjustPoints(adjustCustomer._id, points, adjustment.reason.trim());
+            updateCustomer(response.data.customer);
+            toast.success(`${response.message} for ${adjustCustomer.name}`);
+            setAdjustCustomer(null);
+        } catch (error) {
+            console.error('Error adjusting loyalty points:', error);
+            toast.error(error.response?.data?.message || "Failed to adjust points");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <>
+            <AdminSidebar />
+            <div className="flex-1 bg-gray-50 min-h-screen">
+                {/* Header */}
+                <header className="bg-white border-b px-6 py-4">
+                    <div className="flex flex-col md:flex-row items-start md:items-center justify-between">
+                        <div className="flex items-center gap-4">
+                            <SidebarTrigger />
+                            <h1 className="text-xl md:text-2xl font-bold text-gray-900">Loyalty Points</h1>
+                        </div>
+
+                        <form onSubmit={handleSearch} className="flex items-center gap-2 mt-3 md:mt-0">
+                            <Input
+                                placeholder="Search name or phone"
+                                value={search}
+                                onChange={(e) => setSearch(e.target.value)}
+                                className="w-56"
+                            />
+                            <Button type="submit" variant="outline" className="cursor-pointer">
+                                <Search className="h-4 w-4" />
+                            </Button>
+                        </form>
+                    </div>
+                </header>
+
+                {/* Content */}
+                <div className="p-6">
+                    <p className="text-sm text-gray-500 mb-4">
+                        Customers earn points when their bills are paid and can redeem them when they ask for the bill.
+                        Unused points expire; the tier is set by lifetime points earned.
+                    </p>
+
+                    {/* Loading State */}
+                    {isLoading && (
+                        <div className="flex items-center justify-center py-12">
+                            <Loader2 className="h-8 w-8 animate-spin text-orange-500" />
+                            <span className="ml-2 text-gray-600">Loading customers...</span>
+                        </div>
+                    )}
+
+                    {/* Error State */}
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+                            <p className="text-red-700">{error}</p>
+                            <Button variant="outline" size="sm" onClick={() => fetchCustomers(search.trim())} className="mt-2">
+                                Retry
+                            </Button>
+                        </div>
+                    )}
+
+                    {/* Customers Table */}
+                    {!isLoading && !error && (
+                        <div className="bg-white rounded-lg border overflow-x-auto">
+                            <Table>
+                                <TableHeader>
+                                    <TableRow className="bg-gray-50">
+                                        <TableHead className="font-semibold text-gray-700">CUSTOMER</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">TIER</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">POINTS</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">LIFETIME</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">ORDERS</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">ACTIONS</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {customers.length === 0 ? (
+                                        <TableRow>
+                                            <TableCell colSpan={6} className="text-center py-8 text-gray-500">
+                                                {search.trim() ? "No customers match your search." : "No customers yet."}
+                                            </TableCell>
+                                        </TableRow>
+                                    ) : (
+                                        customers.map((customer) => (
+                                            <TableRow key={customer._id} className="hover:bg-gray-50">
+                                                <TableCell>
+                                                    <div className="font-medium text-gray-900">{customer.name}</div>
+                                                    <div className="text-xs text-gray-500">{customer.phone}</div>
+                                                </TableCell>
+                                                <TableCell>
+                                                    <Badge className={TIER_BADGE_CLASSES[customer.tier]}>{customer.tier}</Badge>
+                                                </TableCell>
+                                                <TableCell>
+                                                    <div className="font-semibold text-gray-900">{customer.loyaltyPoints}</div>
+                                                    <div className="text-xs text-gray-500">₹{customer.value.toFixed(2)}</div>
+                                                </TableCell>
+                                                <TableCell className="text-gray-600">{customer.lifetimePoints}</TableCell>
+                                                <TableCell className="text-gray-600">{customer.totalOrders}</TableCell>
+                                                <TableCell>
+                                                    <div className="flex items-center gap-2">
+                                                        <Button
+                                                            variant="outline"
+                                                            size="sm"
+                                                            className="cursor-pointer"
+                                                            onClick={() => openLedger(customer)}
+                                                        >
+                                                            <History className="h-4 w-4 mr-1" />
+                                                            History
+                                                        </Button>
+                                                        <Button
+                                                            variant="outline"
+                                                            size="sm"
+                                                            className="cursor-pointer text-orange-600 hover:bg-orange-50"
+                                                            onClick={() => openAdjustDialog(customer)}
+                                                        >
+                                                            <PlusCircle className="h-4 w-4 mr-1" />
+                                                            Adjust
+                                                        </Button>
+                                                    </div>
+                                                </TableCell>
+                                            </TableRow>
+                                        ))
+                                    )}
+                                </TableBody>
+                            </Table>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {/* Points History Dialog */}
+            <Dialog open={!!ledgerCustomer} onOpenChange={(open) => !open && setLedgerCustomer(null)}>
+                <DialogContent className="sm:max-w-2xl max-h-[90vh] overflow-y-auto">
+                    <DialogHeader>
+                        <DialogTitle>Points History</DialogTitle>
+                        <DialogDescription>
+                            {ledgerCustomer && `${ledgerCustomer.name} · ${ledgerCustomer.loyaltyPoints} points (${ledgerCustomer.tier})`}
+                        </DialogDescription>
+                    </DialogHeader>
+
+                    {isLedgerLoading ? (
+                        <div className="flex items-center justify-center py-8">
+                            <Loader2 className="h-6 w-6 animate-spin text-orange-500" />
+                        </div>
+                    ) : transactions.length === 0 ? (
+                        <p className="py-8 text-center text-gray-500">No points earned or redeemed yet.</p>
+                    ) : (
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>DATE</TableHead>
+                                    <TableHead>TYPE</TableHead>
+                                    <TableHead>DETAILS</TableHead>
+                                    <TableHead className="text-right">POINTS</TableHead>
+                                    <TableHead className="text-right">BALANCE</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {transactions.map((transaction) => (
+                                    <TableRow key={transaction._id}>
+                                        <TableCell className="text-gray-600">{formatDate(transaction.createdAt)}</TableCell>
+                                        <TableCell>
+                                            <Badge className={LOYALTY_TRANSACTION_TYPES[transaction.type]?.className}>
+                                                {LOYALTY_TRANSACTION_TYPES[transaction.type]?.label || transaction.type}
+                                            </Badge>
+                                        </TableCell>
+                                        <TableCell className="text-gray-600 whitespace-normal">
+                                            {describeLoyaltyTransaction(transaction)}
+                                            {transaction.performedBy?.name && (
+                                                <span className="text-xs text-gray-400"> · by {transaction.performedBy.name}</span>
+                                            )}
+                                        </TableCell>
+                                        <TableCell className={`text-right font-semibold ${transaction.points > 0 ? "text-green-600" : "text-gray-900"}`}>
+                                            {formatPoints(transaction.points)}
+                                        </TableCell>
+                                        <TableCell className="text-right text-gray-600">{transaction.balanceAfter}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    )}
+                </DialogContent>
+            </Dialog>
+
+            {/* Adjust Points Dialog */}
+            <Dialog open={!!adjustCustomer} onOpenChange={(open) => !open && setAdjustCustomer(null)}>
+                <DialogContent className="sm:max-w-md">
+                    <DialogHeader>
+                        <DialogTitle>Adjust Points</DialogTitle>
+                        <DialogDescription>
+                            {adjustCustomer && `${adjustCustomer.name} has ${adjustCustomer.loyaltyPoints} points. Use a negative number to remove points.`}
+                        </DialogDescription>
+                    </DialogHeader>
+
+                    <div className="space-y-4 py-2">
+                        <div>
+                            <Label htmlFor="adjustPoints" className="text-sm font-medium">Points</Label>
+                            <Input
+                                id="adjustPoints"
+                                type="number"
+                                step="1"
+                                placeholder="e.g. 200 or -50"
+                                value={adjustment.points}
+                                onChange={(e) => setAdjustment((prev) => ({ ...prev, points: e.target.value }))}
+                                className="mt-1"
+                            />
+                        </div>
+                        <div>
+                            <Label htmlFor="adjustReason" className="text-sm font-medium">Reason</Label>
+                            <Textarea
+                                id="adjustReason"
+                                placeholder="e.g. Apology for the late order"
+                                maxLength={MAX_ADJUSTMENT_REASON_LENGTH}
+                                value={adjustment.reason}
+                                onChange={(e) => setAdjustment((prev) => ({ ...prev, reason: e.target.value }))}
+                                className="mt-1"
+                            />
+                        </div>
+                    </div>
+
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setAdjustCustomer(null)} disabled={isSaving}>
+                            Cancel
+                        </Button>
+                        <Button
+                            className="bg-orange-500 hover:bg-orange-600 text-white"
+                            onClick={handleAdjust}
+                            disabled={isSaving}
+                        >
+                            {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                            Save
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </>
+    );
+}
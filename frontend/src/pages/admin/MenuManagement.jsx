@@ -46,6 +46,7 @@ import {
 import DeleteMenuItemModal from "@/components/admin/DeleteMenuItemModal";
 import AdminSidebar from "@/components/admin/Sidebar";
 import menuService from "@/services/menuService";
+import { useSocket } from "@/context/SocketContext";
 import { toast } from "sonner";
 
 // Default placeholder image for items without images
@@ -69,11 +70,43 @@ export default function MenuManagement() {
   const [categoryFilter, setCategoryFilter] = useState("all");
   const [availabilityFilter, setAvailabilityFilter] = useState("all");
 
+  const { socket } = useSocket();
+
   // Fetch menu items from database on component mount
   useEffect(() => {
     fetchMenuItems();
   }, []);
 
+  // Items switched off/on automatically as recipe ingredients run out or are restocked
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleAvailabilityUpdate = (updates) => {
+      setMenuItems((prevItems) =>
+        prevItems.map((item) => {
+          const update = updates.find((u) => u._id === item._id);
+          return update
+            ? { ...item, availability: update.availability, stockAutoDisabled: update.stockAutoDisabled }
+            : item;
+        })
+      );
+
+      updates.forEach((update) => {
+        if (update.availability) {
+          toast.success(`${update.productName} is back on the menu`);
+        } else {
+          toast.warning(`${update.productName} switched off: ${update.shortIngredients.join(', ')} ran out`);
+        }
+      });
+    };
+
+    socket.on('menu:availabilityUpdate', handleAvailabilityUpdate);
+
+    return () => {
+      socket.off('menu:availabilityUpdate', handleAvailabilityUpdate);
+    };
+  }, [socket]);
+
   const fetchMenuItems = async () => {
     try {
       setIsLoading(true);
@@ -179,6 +212,10 @@ export default function MenuManagement() {
     try {
       const result = await menuService.importMenuCSV(file);
       toast.success(result.message);
+      // Products whose rows could not be read, e.g. a malformed variant
+      if (result.skipped?.length > 0) {
+        toast.warning(result.skipped.map((row) => `${row.productName}: ${row.reason}`).join("\n"));
+      }
       fetchMenuItems(); // Refresh list
     } catch (error) {
       console.error("Error importing menu:", error);
@@ -463,7 +500,10 @@ export default function MenuManagement() {
                       </TableCell>
                       <TableCell>{getCategoryBadge(item.category)}</TableCell>
                       <TableCell className="font-semibold text-gray-900">
-                        ₹{item.amount?.toFixed(2)}
+                        {item.variants?.length > 0 && "From "}₹{item.amount?.toFixed(2)}
+                        {item.variants?.length > 0 && (
+                          <p className="text-xs font-normal text-gray-500">{item.variants.length} variants</p>
+                        )}
                       </TableCell>
                       <TableCell>
                         <Badge
@@ -502,6 +542,12 @@ export default function MenuManagement() {
                             </SelectItem>
                           </SelectContent>
                         </Select>
+                        {item.stockAutoDisabled && (
+                          <p className="mt-1 text-xs text-red-600">Ingredient out of stock</p>
+                        )}
+                        {item.availability && item.onSchedule === false && (
+                          <p className="mt-1 text-xs text-blue-600">Outside serving times</p>
+                        )}
                       </TableCell>
 
                       <TableCell className="text-gray-600">{formatDate(item.updatedAt)}</TableCell>
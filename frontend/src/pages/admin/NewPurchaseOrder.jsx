@@ -0,0 +1,446 @@
+// src/pages/NewPurchaseOrder.jsx
+/**
+ * New Purchase Order Page - Builds a PO for a supplier from low-stock items.
+ * Low and out-of-stock items are listed with a suggested quantity that refills them to their
+ * initial (par) level; items from the chosen supplier are ticked automatically.
+ */
+import { useState, useEffect } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { Input } from "../../components/ui/input";
+import { Button } from "../../components/ui/button";
+import { Label } from "../../components/ui/label";
+import { Textarea } from "../../components/ui/textarea";
+import { Checkbox } from "../../components/ui/checkbox";
+import { Card, CardContent } from "../../components/ui/card";
+import { SidebarTrigger } from "../../components/ui/sidebar";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "../../components/ui/select";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../../components/ui/table";
+import { ChevronRight, Loader2, Save, Trash2 } from "lucide-react";
+import AdminSidebar from "@/components/admin/Sidebar";
+import purchaseOrderService from "@/services/purchaseOrderService";
+import supplierService from "@/services/supplierService";
+import inventoryService from "@/services/inventoryService";
+import { toast } from "sonner";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// yyyy-mm-dd for <input type="date">
+const toDateInputValue = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * A line on the PO being built.
+ * @param {Object} item - Inventory item
+ * @param {Object} extras - { quantity, quantityOnOrder, isSuggestion, selected }
+ */
+const toRow = (item, extras) => ({
+    item,
+    quantity: extras.quantity?.toString() || "",
+    unitCost: item.lastUnitCost?.toString() || "",
+    quantityOnOrder: extras.quantityOnOrder || 0,
+    isSuggestion: extras.isSuggestion,
+    selected: extras.selected,
+});
+
+// Whether an inventory item is normally bought from this supplier
+const isFromSupplier = (item, supplier) => {
+    if (!supplier) return false;
+    return item.supplier === supplier._id || (!item.supplier && item.supplierName === supplier.name);
+};
+
+export default function NewPurchaseOrder() {
+    const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const preselectedItemId = searchParams.get("item");
+    // Suggested orders on the inventory page pass their forecast quantity along
+    const preselectedQuantity = searchParams.get("quantity");
+
+    const [suppliers, setSuppliers] = useState([]);
+    const [inventoryItems, setInventoryItems] = useState([]);
+    const [rows, setRows] = useState([]);
+    const [supplierId, setSupplierId] = useState("");
+    const [expectedDeliveryDate, setExpectedDeliveryDate] = useState("");
+    const [notes, setNotes] = useState("");
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const loadData = async () => {
+            setIsLoading(true);
+            try {
+                const [supplierData, suggestions, allItems] = await Promise.all([
+                    supplierService.fetchAllSuppliers(),
+                    purchaseOrderService.fetchReorderSuggestions(),
+                    inventoryService.fetchAllInventoryItems(),
+                ]);
+                setSuppliers(supplierData);
+                setInventoryItems(allItems);
+
+                const suggestionRows = suggestions.map((suggestion) => toRow(suggestion.inventoryItem, {
+                    quantity: suggestion.suggestedQuantity,
+                    quantityOnOrder: suggestion.quantityOnOrder,
+                    isSuggestion: true,
+                    selected: suggestion.inventoryItem._id === preselectedItemId,
+                }));
+
+                // Restock button on the inventory page may point at an item that is not low yet
+                const preselectedItem = allItems.find((item) => item._id === preselectedItemId);
+                if (preselectedItem && !suggestionRows.some((row) => row.item._id === preselectedItemId)) {
+                    suggestionRows.unshift(toRow(preselectedItem, { isSuggestion: false, selected: true }));
+                }
+                if (preselectedQuantity) {
+                    const preselectedRow = suggestionRows.find((row) => row.item._id === preselectedItemId);
+                    if (preselectedRow) preselectedRow.quantity = preselectedQuantity;
+                }
+                setRows(suggestionRows);
+
+                // Start with the preselected item's supplier
+                if (preselectedItem) {
+                    const supplier = supplierData.find((s) => isFromSupplier(preselectedItem, s));
+                    if (supplier) {
+                        setSupplierId(supplier._id);
+                        setExpectedDeliveryDate(toDateInputValue(new Date(Date.now() + supplier.leadTimeDays * DAY_MS)));
+                    }
+                }
+            } catch (error) {
+                console.error('Error loading purchase order data:', error);
+                setError('Failed to load suppliers and stock levels. Please try again.');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadData();
+    }, [preselectedItemId, preselectedQuantity]);
+
+    const selectedSupplier = suppliers.find((s) => s._id === supplierId);
+
+    // Picking a supplier ticks its low-stock items and sets the delivery date from its lead time
+    const handleSupplierChange = (value) => {
+        const supplier = suppliers.find((s) => s._id === value);
+        setSupplierId(value);
+        setExpectedDeliveryDate(toDateInputValue(new Date(Date.now() + (supplier?.leadTimeDays || 0) * DAY_MS)));
+        setRows((prev) => prev.map((row) => (
+            row.isSuggestion ? { ...row, selected: row.selected || isFromSupplier(row.item, supplier) } : row
+        )));
+    };
+
+    const updateRow = (itemId, changes) => {
+        setRows((prev) => prev.map((row) => (row.item._id === itemId ? { ...row, ...changes } : row)));
+    };
+
+    const removeRow = (itemId) => {
+        setRows((prev) => prev.filter((row) => row.item._id !== itemId));
+    };
+
+    const addItem = (itemId) => {
+        const item = inventoryItems.find((i) => i._id === itemId);
+        if (!item) return;
+        setRows((prev) => [...prev, toRow(item, { isSuggestion: false, selected: true })]);
+    };
+
+    const selectedRows = rows.filter((row) => row.selected);
+    const orderTotal = selectedRows.reduce(
+        (sum, row) => sum + (parseFloat(row.quantity) || 0) * (parseFloat(row.unitCost) || 0),
+        0
+    );
+    const otherItems = inventoryItems.filter((item) => !rows.some((row) => row.item._id === item._id));
+
+    const handleSubmit = async () => {
+        setError(null);
+
+        if (!supplierId) {
+            setError("Please select a supplier");
+            return;
+        }
+        if (selectedRows.length === 0) {
+            setError("Select at least one item to order");
+            return;
+        }
+        const invalidRow = selectedRows.find((row) => !(parseFloat(row.quantity) > 0));
+        if (invalidRow) {
+            setError(`Enter a quantity for ${invalidRow.item.name}`);
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            const purchaseOrder = await purchaseOrderService.createPurchaseOrder({
+                supplier: supplierId,
+                items: selectedRows.map((row) => ({
+                    inventoryItem: row.item._id,
+                    quantityOrdered: parseFloat(row.quantity),
+                    unitCost: parseFloat(row.unitCost) || 0,
+                })),
+                expectedDeliveryDate: expectedDeliveryDate || undefined,
+                notes: notes.trim(),
+            });
+
+            toast.success(`${purchaseOrder.poNumber} sent to ${purchaseOrder.supplierName}`);
+            navigate(`/admin/purchase-orders/${purchaseOrder._id}`);
+        } catch (error) {
+            console.error('Error creating purchase order:', error);
+            setError(error.response?.data?.message || 'Failed to create purchase order. Please try again.');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <>
+                <AdminSidebar />
+                <div className="flex-1 bg-orange-50/30 min-h-screen flex items-center justify-center">
+                    <Loader2 className="h-8 w-8 animate-spin text-orange-500" />
+                    <span className="ml-2 text-gray-600">Loading stock levels...</span>
+                </div>
+            </>
+        );
+    }
+
+    return (
+        <>
+            <AdminSidebar />
+            <div className="flex-1 bg-orange-50/30 min-h-screen">
+                {/* Header */}
+                <header className="bg-white border-b px-6 py-4">
+                    <div className="flex items-center gap-4">
+                        <SidebarTrigger />
+                        <div>
+                            {/* Breadcrumb */}
+                            <div className="flex items-center gap-2 text-sm text-gray-500 mb-1">
+                                <span
+                                    className="hover:text-orange-500 cursor-pointer"
+                                    onClick={() => navigate('/admin/purchase-orders')}
+                                >
+                                    Purchase Orders
+                                </span>
+                                <ChevronRight className="h-4 w-4" />
+                                <span className="text-orange-500">New</span>
+                            </div>
+                            <h1 className="text-2xl font-bold text-gray-900">New Purchase Order</h1>
+                            <p className="text-sm text-gray-500">
+                                Low and out-of-stock items are listed below with a quantity that refills them.
+                            </p>
+                        </div>
+                    </div>
+                </header>
+
+                {/* Content */}
+                <div className="p-6 max-w-5xl mx-auto space-y-6">
+                    {/* Error Alert */}
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                            <p className="text-red-700">{error}</p>
+                        </div>
+                    )}
+
+                    {/* Supplier & Delivery */}
+                    <Card className="bg-white">
+                        <CardContent className="p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+                            <div>
+                                <Label className="text-sm font-medium">
+                                    Supplier <span className="text-red-500">*</span>
+                                </Label>
+                                <Select value={supplierId} onValueChange={handleSupplierChange}>
+                                    <SelectTrigger className="mt-1">
+                                        <SelectValue placeholder={suppliers.length === 0 ? "Add a supplier first" : "Select a supplier"} />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        {suppliers.map((supplier) => (
+                                            <SelectItem key={supplier._id} value={supplier._id}>
+                                                {supplier.name}
+                                            </SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                                {selectedSupplier && (
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        {selectedSupplier.contactPerson || 'No contact'} · {selectedSupplier.phone || 'No phone'} ·
+                                        usually delivers in {selectedSupplier.leadTimeDays} day(s)
+                                    </p>
+                                )}
+                            </div>
+                            <div>
+                                <Label htmlFor="expectedDeliveryDate" className="text-sm font-medium">
+                                    Expected Delivery
+                                </Label>
+                                <Input
+                                    id="expectedDeliveryDate"
+                                    type="date"
+                                    value={expectedDeliveryDate}
+                                    onChange={(e) => setExpectedDeliveryDate(e.target.value)}
+                                    className="mt-1"
+                                />
+                            </div>
+                        </CardContent>
+                    </Card>
+
+                    {/* Items */}
+                    <div className="bg-white rounded-lg border overflow-hidden">
+                        <Table>
+                            <TableHeader>
+                                <TableRow className="bg-gray-50">
+                                    <TableHead className="w-10"></TableHead>
+                                    <TableHead className="font-semibold text-gray-700">ITEM</TableHead>
+                                    <TableHead className="font-semibold text-gray-700">IN STOCK</TableHead>
+                                    <TableHead className="font-semibold text-gray-700">ON ORDER</TableHead>
+                                    <TableHead className="font-semibold text-gray-700">ORDER QTY</TableHead>
+                                    <TableHead className="font-semibold text-gray-700">UNIT COST (₹)</TableHead>
+                                    <TableHead className="w-10"></TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {rows.length === 0 ? (
+                                    <TableRow>
+                                        <TableCell colSpan={7} className="text-center py-8 text-gray-500">
+                                            Nothing is running low. Add items below to order them anyway.
+                                        </TableCell>
+                                    </TableRow>
+                                ) : (
+                                    rows.map((row) => (
+                                        <TableRow key={row.item._id} className={row.selected ? "" : "opacity-60"}>
+                                            <TableCell>
+                                                <Checkbox
+                                                    checked={row.selected}
+                                                    onCheckedChange={(checked) => updateRow(row.item._id, { selected: checked === true })}
+                                                />
+                                            </TableCell>
+                                            <TableCell>
+                                                <p className="font-medium text-gray-900">{row.item.name}</p>
+                                                <p className="text-sm text-gray-500">
+                                                    Supplier: {row.item.supplierName || 'N/A'}
+                                                </p>
+                                            </TableCell>
+                                            <TableCell className="text-gray-600">
+                                                {row.item.currentQuantity} {row.item.unitOfMeasure}
+                                                <span className="text-gray-400"> / alert at {row.item.threshold}</span>
+                                            </TableCell>
+                                            <TableCell className="text-gray-600">
+                                                {row.quantityOnOrder > 0 ? `${row.quantityOnOrder} ${row.item.unitOfMeasure}` : "—"}
+                                            </TableCell>
+                                            <TableCell>
+                                                <div className="flex items-center gap-2">
+                                                    <Input
+                                                        type="number"
+                                                        min="0"
+                                                        step="any"
+                                                        value={row.quantity}
+                                                        onChange={(e) => updateRow(row.item._id, { quantity: e.target.value, selected: true })}
+                                                        className="w-24"
+                                                    />
+                                                    <span className="text-sm text-gray-500">{row.item.unitOfMeasure}</span>
+                                                </div>
+                                            </TableCell>
+                                            <TableCell>
+                                                <Input
+                                                    type="number"
+                                                    min="0"
+                                                    step="0.01"
+                                                    placeholder="0.00"
+                                                    value={row.unitCost}
+                                                    onChange={(e) => updateRow(row.item._id, { unitCost: e.target.value })}
+                                                    className="w-24"
+                                                />
+                                            </TableCell>
+                                            <TableCell>
+                                                {!row.isSuggestion && (
+                                                    <Button
+                                                        type="button"
+                                                        variant="ghost"
+                                                        size="icon"
+                                                        onClick={() => removeRow(row.item._id)}
+                                                        className="text-red-500 hover:text-red-700 hover:bg-red-50"
+                                                    >
+                                                        <Trash2 className="h-4 w-4" />
+                                                    </Button>
+                                                )}
+                                            </TableCell>
+                                        </TableRow>
+                                    ))
+                                )}
+                            </TableBody>
+                        </Table>
+
+                        {/* Add any other item */}
+                        {otherItems.length > 0 && (
+                            <div className="border-t p-4 flex items-center gap-3">
+                                <Label className="text-sm text-gray-600 whitespace-nowrap">Add another item</Label>
+                                <Select value="" onValueChange={addItem}>
+                                    <SelectTrigger className="w-72">
+                                        <SelectValue placeholder="Select inventory item" />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        {otherItems.map((item) => (
+                                            <SelectItem key={item._id} value={item._id}>
+                                                {item.name} ({item.currentQuantity} {item.unitOfMeasure})
+                                            </SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Notes & Total */}
+                    <Card className="bg-white">
+                        <CardContent className="p-6 space-y-4">
+                            <div>
+                                <Label htmlFor="poNotes" className="text-sm font-medium">Notes for the supplier</Label>
+                                <Textarea
+                                    id="poNotes"
+                                    placeholder="Delivery instructions, brand preferences..."
+                                    value={notes}
+                                    onChange={(e) => setNotes(e.target.value)}
+                                    className="mt-1 resize-none"
+                                />
+                            </div>
+
+                            <div className="flex items-center justify-between pt-4 border-t">
+                                <p className="text-gray-600">
+                                    {selectedRows.length} item(s) · Total{" "}
+                                    <span className="font-bold text-gray-900">₹{orderTotal.toFixed(2)}</span>
+                                </p>
+                                <div className="flex items-center gap-3">
+                                    <Button
+                                        type="button"
+                                        variant="outline"
+                                        onClick={() => navigate('/admin/purchase-orders')}
+                                        disabled={isSubmitting}
+                                    >
+                                        Cancel
+                                    </Button>
+                                    <Button
+                                        className="bg-orange-500 hover:bg-orange-600 text-white"
+                                        onClick={handleSubmit}
+                                        disabled={isSubmitting}
+                                    >
+                                        {isSubmitting ? (
+                                            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                                        ) : (
+                                            <Save className="h-4 w-4 mr-2" />
+                                        )}
+                                        Place Order
+                                    </Button>
+                                </div>
+                            </div>
+                        </CardContent>
+                    </Card>
+                </div>
+            </div>
+        </>
+    );
+}
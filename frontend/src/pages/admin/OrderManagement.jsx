@@ -41,9 +41,13 @@ import NewOrderNotification from "@/components/admin/NewOrderNotification";
 import PaymentRequestNotification from "@/components/admin/PaymentRequestNotification";
 import StickyOrderNotes from "@/components/admin/StickyOrderNotes";
 import PreparingOrderNotes from "@/components/admin/PreparingOrderNotes";
+import OrderItemExtras from "@/components/admin/OrderItemExtras";
+import OrderItemStatusMenu from "@/components/admin/OrderItemStatusMenu";
+import OrderDetailDrawer from "@/components/admin/OrderDetailDrawer";
 import AdminSidebar from "@/components/admin/Sidebar";
 import { useSocket } from "@/context/SocketContext";
-import { getAllOrders, updateOrderStatus } from "@/services/orderService";
+import { getAllOrders, updateOrderStatus, updateOrderItemStatus } from "@/services/orderService";
+import { isAllowedTransition } from "@/lib/orderStatus";
 import defaultAvatar from "@/assets/default-avatar.svg";
 import { toast } from "sonner";
 
@@ -54,6 +58,9 @@ export default function OrderManagement() {
   const [searchQuery, setSearchQuery] = useState("");
   const [ordersData, setOrdersData] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [expandedOrderIds, setExpandedOrderIds] = useState({});
+  // Order detail drawer: { orderId, cancelTarget, openedAt } - openedAt remounts the drawer with fresh form state
+  const [drawer, setDrawer] = useState(null);
   const { socket } = useSocket();
 
   // Payment request notification state
@@ -164,25 +171,55 @@ export default function OrderManagement() {
       toast.success(`Order status updated to ${newStatus}`);
     } catch (error) {
       console.error('Error updating order status:', error);
-      toast.error('Failed to update order status');
+      toast.error(error.response?.data?.message || 'Failed to update order status');
     }
   };
 
+  /**
+   * Open the order detail drawer, optionally straight into the cancel form.
+   * @param {Object} order
+   * @param {Object|null} cancelTarget - { type: "cancel-order" } or { type: "cancel-item", itemIndex }
+   */
+  const openOrderDrawer = (order, cancelTarget = null) => {
+    setDrawer({ orderId: order._id, cancelTarget, openedAt: Date.now() });
+  };
+
+  // Change the status of a single line (serve drinks early, cancel one item, ...)
+  const handleItemStatusChange = async (order, itemIndex, newStatus) => {
+    // Cancelling needs a reason, which is asked for in the drawer
+    if (newStatus === 'cancelled') {
+      openOrderDrawer(order, { type: 'cancel-item', itemIndex });
+      return;
+    }
+
+    try {
+      const response = await updateOrderItemStatus(order._id, itemIndex, newStatus);
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Error updating item status:', error);
+      toast.error(error.response?.data?.message || 'Failed to update item status');
+    }
+  };
+
+  const toggleOrderItems = (orderId) => {
+    setExpandedOrderIds((prev) => ({ ...prev, [orderId]: !prev[orderId] }));
+  };
+
   // Accept order from sticky note (changes status to preparing)
   const handleAcceptOrder = async (order) => {
     await handleStatusChange(order._id, 'preparing');
     setShowNotification(false);
   };
 
-  // Cancel order from sticky note
-  const handleCancelOrder = async (order) => {
-    await handleStatusChange(order._id, 'cancelled');
+  // Cancel order from sticky note - the drawer asks for the cancellation reason
+  const handleCancelOrder = (order) => {
+    openOrderDrawer(order, { type: 'cancel-order' });
     setShowNotification(false);
   };
 
-  // View order details
+  // View order details in the drawer
   const handleViewOrder = (order) => {
-    console.log("View order:", order);
+    openOrderDrawer(order);
     setShowNotification(false);
   };
 
@@ -433,7 +470,13 @@ export default function OrderManagement() {
                           className="border-gray-200 hover:bg-orange-100/50 cursor-pointer transition-colors"
                         >
                           <TableCell className="font-medium text-orange-600">
-                            #{order.orderNumber}
+                            <button
+                              type="button"
+                              className="hover:underline"
+                              onClick={() => handleViewOrder(order)}
+                            >
+                              #{order.orderNumber}
+                            </button>
                           </TableCell>
 
                           {/* Table Number */}
@@ -467,21 +510,38 @@ export default function OrderManagement() {
                           <TableCell>
                             <div className="space-y-1 max-w-xs">
                               {order.items && order.items.length > 0 ? (
-                                order.items.slice(0, 3).map((item, index) => (
-                                  <div key={index} className="flex items-center gap-2 text-sm">
-                                    <Badge variant="secondary" className="bg-gray-100 text-gray-700 text-xs">
-                                      {item.quantity}x
-                                    </Badge>
-                                    <span className="text-gray-700">{item.name}</span>
-                                  </div>
-                                ))
+                                (expandedOrderIds[order._id] ? order.items : order.items.slice(0, 3)).map((item, index) => {
+                                  const itemStatus = item.status || order.status;
+                                  return (
+                                    <div key={index} className="text-sm">
+                                      <div className="flex items-center gap-2">
+                                        <Badge variant="secondary" className="bg-gray-100 text-gray-700 text-xs">
+                                          {item.quantity}x
+                                        </Badge>
+                                        <span className={itemStatus === "cancelled" ? "text-gray-400 line-through" : "text-gray-700"}>
+                                          {item.name}
+                                        </span>
+                                        <OrderItemStatusMenu
+                                          status={itemStatus}
+                                          onChange={(newStatus) => handleItemStatusChange(order, index, newStatus)}
+                                          disabled={order.billingStatus === "paid"}
+                                        />
+                                      </div>
+                                      <OrderItemExtras item={item} className="ml-9" />
+                                    </div>
+                                  );
+                                })
                               ) : (
                                 <span className="text-gray-500 text-sm">No items</span>
                               )}
                               {order.items && order.items.length > 3 && (
-                                <span className="text-xs text-gray-500">
-                                  +{order.items.length - 3} more items
-                                </span>
+                                <button
+                                  type="button"
+                                  className="text-xs text-orange-600 hover:underline"
+                                  onClick={() => toggleOrderItems(order._id)}
+                                >
+                                  {expandedOrderIds[order._id] ? "Show less" : `+${order.items.length - 3} more items`}
+                                </button>
                               )}
                             </div>
                           </TableCell>
@@ -500,6 +560,7 @@ export default function OrderManagement() {
                               <DropdownMenuContent align="end" className="w-48">
                                 <DropdownMenuItem
                                   onClick={() => handleStatusChange(order._id, "pending")}
+                                  disabled={!isAllowedTransition(order.status, "pending")}
                                   className={order.status === "pending" ? "bg-yellow-50" : ""}
                                 >
                                   <Clock className="h-4 w-4 mr-2 text-yellow-700" />
@@ -507,6 +568,7 @@ export default function OrderManagement() {
                                 </DropdownMenuItem>
                                 <DropdownMenuItem
                                   onClick={() => handleStatusChange(order._id, "preparing")}
+                                  disabled={!isAllowedTransition(order.status, "preparing")}
                                   className={order.status === "preparing" ? "bg-orange-50" : ""}
                                 >
                                   <Flame className="h-4 w-4 mr-2 text-orange-700" />
@@ -514,6 +576,7 @@ export default function OrderManagement() {
                                 </DropdownMenuItem>
                                 <DropdownMenuItem
                                   onClick={() => handleStatusChange(order._id, "served")}
+                                  disabled={!isAllowedTransition(order.status, "served")}
                                   className={order.status === "served" ? "bg-green-50" : ""}
                                 >
                                   <CheckCircle className="h-4 w-4 mr-2 text-green-700" />
@@ -521,7 +584,8 @@ export default function OrderManagement() {
                                 </DropdownMenuItem>
                                 <DropdownMenuSeparator />
                                 <DropdownMenuItem
-                                  onClick={() => handleStatusChange(order._id, "cancelled")}
+                                  onClick={() => handleCancelOrder(order)}
+                                  disabled={order.status === "cancelled" || !isAllowedTransition(order.status, "cancelled")}
                                   className={order.status === "cancelled" ? "bg-red-50" : ""}
                                 >
                                   <XCircle className="h-4 w-4 mr-2 text-red-700" />
@@ -574,6 +638,15 @@ export default function OrderManagement() {
           )}
         </div>
 
+        {/* Order Detail Drawer */}
+        <OrderDetailDrawer
+          key={drawer?.openedAt}
+          order={ordersData.find((order) => order._id === drawer?.orderId) || null}
+          open={Boolean(drawer)}
+          onOpenChange={(isOpen) => !isOpen && setDrawer(null)}
+          initialCancelTarget={drawer?.cancelTarget || null}
+        />
+
         {/* New Order Notification Popup */}
         <NewOrderNotification
           order={currentOrder}
@@ -1,8 +1,10 @@
 /**
  * PaymentsManagement Page - Admin panel for managing customer payments.
- * Shows all pending payments with ability to mark as paid.
+ * Shows all pending payments with ability to record cash, card and UPI payments against them,
+ * in any mix; a bill is paid once its payments cover it.
+ * A table's bill can be split into shares that are paid one by one.
  */
-import { useState, useEffect } from "react";
+import { useState, useEffect, Fragment } from "react";
 import { Button } from "../../components/ui/button";
 import { Badge } from "../../components/ui/badge";
 import { Avatar, AvatarFallback } from "../../components/ui/avatar";
@@ -24,10 +26,24 @@ import {
     DollarSign,
     AlertCircle,
     History,
+    Split,
+    Undo2,
+    X,
 } from "lucide-react";
 import AdminSidebar from "@/components/admin/Sidebar";
+import SplitBillDialog from "@/components/admin/SplitBillDialog";
+import RecordPaymentDialog from "@/components/admin/RecordPaymentDialog";
 import { useSocket } from "@/context/SocketContext";
-import { getPendingPayments, updateBillingStatus, getAllBills } from "@/services/orderService";
+import {
+    getPendingPayments,
+    getAllBills,
+    splitBill,
+    removeBillSplit,
+    updateSplitStatus,
+    recordPayment,
+    removePayment,
+} from "@/services/orderService";
+import { getPaymentMethodInfo } from "@/lib/payments";
 import { toast } from "sonner";
 
 export default function PaymentsManagement() {
@@ -36,6 +52,10 @@ export default function PaymentsManagement() {
     const [isLoading, setIsLoading] = useState(true);
     const [processingId, setProcessingId] = useState(null);
     const [activeTab, setActiveTab] = useState('pending'); // 'pending' or 'all'
+    const [splittingPayment, setSplittingPayment] = useState(null);
+    const [isSplitting, setIsSplitting] = useState(false);
+    const [payingTarget, setPayingTarget] = useState(null);
+    const [isRecording, setIsRecording] = useState(false);
     const { socket } = useSocket();
 
     // Fetch payments on mount
@@ -51,7 +71,7 @@ export default function PaymentsManagement() {
             console.log('New payment request:', data);
             // Refresh the list when a new payment request comes in
             fetchAllPayments();
-            toast.info(`Table ${data.tableNumber} is ready to pay - ₹${data.total?.toFixed(2)}`);
+            toast.info(`Table ${data.tableNumber} is ready to pay - ₹${(data.amountDue ?? data.total)?.toFixed(2)}`);
         };
 
         const handleBillingStatusUpdate = (data) => {
@@ -62,10 +82,14 @@ export default function PaymentsManagement() {
 
         socket.on('payment:request', handlePaymentRequest);
         socket.on('billing:statusUpdate', handleBillingStatusUpdate);
+        socket.on('billing:splitUpdate', handleBillingStatusUpdate);
+        socket.on('billing:paymentUpdate', handleBillingStatusUpdate);
 
         return () => {
             socket.off('payment:request', handlePaymentRequest);
             socket.off('billing:statusUpdate', handleBillingStatusUpdate);
+            socket.off('billing:splitUpdate', handleBillingStatusUpdate);
+            socket.off('billing:paymentUpdate', handleBillingStatusUpdate);
         };
     }, [socket]);
 
@@ -87,21 +111,84 @@ export default function PaymentsManagement() {
         }
     };
 
-    const handleMarkAsPaid = async (sessionId) => {
-        setProcessingId(sessionId);
+    const handleRecordPayment = async (payments) => {
+        setIsRecording(true);
         try {
-            await updateBillingStatus(sessionId, 'paid');
-            toast.success('Payment marked as complete');
+            const response = await recordPayment(payingTarget.sessionId, { payments, splitId: payingTarget.splitId });
+            toast.success(response.message);
+            setPayingTarget(null);
             // Refresh both lists
             fetchAllPayments();
         } catch (error) {
-            console.error('Error marking as paid:', error);
-            toast.error('Failed to update payment status');
+            console.error('Error recording payment:', error);
+            toast.error(error.response?.data?.message || 'Failed to record payment');
+        } finally {
+            setIsRecording(false);
+        }
+    };
+
+    const handleRemovePayment = async (sessionId, paymentId) => {
+        setProcessingId(paymentId);
+        try {
+            await removePayment(sessionId, paymentId);
+            toast.success('Payment removed');
+            fetchAllPayments();
+        } catch (error) {
+            console.error('Error removing payment:', error);
+            toast.error(error.response?.data?.message || 'Failed to remove payment');
+        } finally {
+            setProcessingId(null);
+        }
+    };
+
+    const handleSplit = async (split) => {
+        setIsSplitting(true);
+        try {
+            const response = await splitBill(splittingPayment._id, split);
+            toast.success(response.message);
+            setSplittingPayment(null);
+            fetchAllPayments();
+        } catch (error) {
+            console.error('Error splitting bill:', error);
+            toast.error(error.response?.data?.message || 'Failed to split bill');
+        } finally {
+            setIsSplitting(false);
+        }
+    };
+
+    const handleRemoveSplit = async (sessionId) => {
+        setProcessingId(sessionId);
+        try {
+            await removeBillSplit(sessionId);
+            toast.success('Bill is no longer split');
+            fetchAllPayments();
+        } catch (error) {
+            console.error('Error removing split:', error);
+            toast.error(error.response?.data?.message || 'Failed to undo split');
+        } finally {
+            setProcessingId(null);
+        }
+    };
+
+    const handleShareStatus = async (sessionId, share, billingStatus) => {
+        setProcessingId(share._id);
+        try {
+            const response = await updateSplitStatus(sessionId, share._id, billingStatus);
+            toast.success(response.message);
+            fetchAllPayments();
+        } catch (error) {
+            console.error('Error updating share status:', error);
+            toast.error(error.response?.data?.message || 'Failed to update share status');
         } finally {
             setProcessingId(null);
         }
     };
 
+    // Still to be paid: the amount due less what has been collected so far
+    const getOutstandingAmount = (payment) => payment.balanceDue ?? payment.amountDue ?? payment.total ?? 0;
+
+    const getShareBalance = (share) => Math.round((share.amountDue - (share.amountPaid || 0)) * 100) / 100;
+
     const getStatusBadge = (status) => {
         const statusConfig = {
             pending_payment: {
@@ -246,7 +333,7 @@ export default function PaymentsManagement() {
                                     <div>
                                         <p className="text-sm text-blue-700">Total Amount</p>
                                         <p className="text-2xl font-bold text-blue-900">
-                                            ₹{pendingPayments.reduce((sum, p) => sum + (p.total || 0), 0).toFixed(2)}
+                                            ₹{pendingPayments.reduce((sum, p) => sum + getOutstandingAmount(p), 0).toFixed(2)}
                                         </p>
                                     </div>
                                 </div>
@@ -344,92 +431,259 @@ export default function PaymentsManagement() {
                                     </TableRow>
                                 </TableHeader>
                                 <TableBody>
-                                    {(activeTab === 'pending' ? pendingPayments : allPayments).map((payment) => (
-                                        <TableRow
-                                            key={payment._id}
-                                            className="border-gray-200 hover:bg-green-50/50 transition-colors"
-                                        >
-                                            <TableCell>
-                                                <span className="text-sm font-mono text-gray-700">
-                                                    {payment.billNumber || '—'}
-                                                </span>
-                                            </TableCell>
-
-                                            <TableCell>
-                                                <Badge variant="outline" className="bg-blue-50 text-blue-700 border-blue-200 font-bold text-lg px-3 py-1">
-                                                    {payment.tableNumber}
-                                                </Badge>
-                                            </TableCell>
-
-                                            <TableCell>
-                                                <div className="flex items-center gap-3">
-                                                    <Avatar className="h-8 w-8">
-                                                        <AvatarFallback className="bg-green-100 text-green-700 text-xs font-semibold">
-                                                            {(payment.customerName || "Guest")
-                                                                .split(" ")
-                                                                .map((n) => n.charAt(0))
-                                                                .slice(0, 2)
-                                                                .join("")}
-                                                        </AvatarFallback>
-                                                    </Avatar>
-                                                    <div>
-                                                        <span className="text-gray-900 font-medium text-sm">
-                                                            {payment.customerName || "Guest"}
+                                    {(activeTab === 'pending' ? pendingPayments : allPayments).map((payment) => {
+                                        const splits = payment.splits || [];
+                                        const paidShares = splits.filter((share) => share.billingStatus === 'paid').length;
+                                        // Payments towards the bill as a whole; a split bill's are shown with their shares
+                                        const billPayments = (payment.payments || []).filter((entry) => !entry.split);
+                                        return (
+                                            <Fragment key={payment._id}>
+                                                <TableRow className="border-gray-200 hover:bg-green-50/50 transition-colors">
+                                                    <TableCell>
+                                                        <span className="text-sm font-mono text-gray-700">
+                                                            {payment.billNumber || '—'}
                                                         </span>
-                                                        {payment.customerPhone && (
-                                                            <p className="text-xs text-gray-500">{payment.customerPhone}</p>
+                                                    </TableCell>
+
+                                                    <TableCell>
+                                                        <Badge variant="outline" className="bg-blue-50 text-blue-700 border-blue-200 font-bold text-lg px-3 py-1">
+                                                            {payment.tableNumber}
+                                                        </Badge>
+                                                    </TableCell>
+
+                                                    <TableCell>
+                                                        <div className="flex items-center gap-3">
+                                                            <Avatar className="h-8 w-8">
+                                                                <AvatarFallback className="bg-green-100 text-green-700 text-xs font-semibold">
+                                                                    {(payment.customerName || "Guest")
+                                                                        .split(" ")
+                                                                        .map((n) => n.charAt(0))
+                                                                        .slice(0, 2)
+                                                                        .join("")}
+                                                                </AvatarFallback>
+                                                            </Avatar>
+                                                            <div>
+                                                                <span className="text-gray-900 font-medium text-sm">
+                                                                    {payment.customerName || "Guest"}
+                                                                </span>
+                                                                {payment.customerPhone && (
+                                                                    <p className="text-xs text-gray-500">{payment.customerPhone}</p>
+                                                                )}
+                                                            </div>
+                                                        </div>
+                                                    </TableCell>
+
+                                                    <TableCell>
+                                                        <Badge variant="secondary" className="bg-gray-100 text-gray-700">
+                                                            {payment.orderCount} {payment.orderCount === 1 ? 'order' : 'orders'}
+                                                        </Badge>
+                                                    </TableCell>
+
+                                                    <TableCell className="text-gray-900 font-bold text-lg">
+                                                        ₹{(payment.amountDue ?? payment.total)?.toFixed(2)}
+                                                        {payment.pointsRedeemed > 0 && (
+                                                            <p className="text-xs font-normal text-gray-500">
+                                                                of ₹{payment.total?.toFixed(2)}, ₹{payment.redeemedAmount.toFixed(2)} paid with {payment.pointsRedeemed} points
+                                                            </p>
+                                                        )}
+                                                        {splits.length > 0 && (
+                                                            <p className="text-xs font-normal text-gray-500">
+                                                                Split {splits.length} ways · {paidShares} of {splits.length} paid
+                                                            </p>
                                                         )}
-                                                    </div>
-                                                </div>
-                                            </TableCell>
-
-                                            <TableCell>
-                                                <Badge variant="secondary" className="bg-gray-100 text-gray-700">
-                                                    {payment.orderCount} {payment.orderCount === 1 ? 'order' : 'orders'}
-                                                </Badge>
-                                            </TableCell>
-
-                                            <TableCell className="text-gray-900 font-bold text-lg">
-                                                ₹{payment.total?.toFixed(2)}
-                                            </TableCell>
-
-                                            <TableCell>
-                                                {getStatusBadge(payment.billingStatus)}
-                                            </TableCell>
-
-                                            <TableCell className="text-gray-600 text-sm">
-                                                {new Date(payment.createdAt).toLocaleDateString()} {new Date(payment.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-                                            </TableCell>
-
-                                            {activeTab === 'pending' && (
-                                                <TableCell className="text-right">
-                                                    <Button
-                                                        onClick={() => handleMarkAsPaid(payment._id)}
-                                                        disabled={processingId === payment._id}
-                                                        className="bg-green-500 hover:bg-green-600 text-white font-semibold"
-                                                    >
-                                                        {processingId === payment._id ? (
-                                                            <>
-                                                                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
-                                                                Processing...
-                                                            </>
-                                                        ) : (
-                                                            <>
-                                                                <CheckCircle2 className="h-4 w-4 mr-2" />
-                                                                Mark as Paid
-                                                            </>
+                                                        {payment.billingStatus !== 'paid' && payment.amountPaid > 0 && (
+                                                            <p className="text-xs font-normal text-orange-600">
+                                                                ₹{payment.amountPaid.toFixed(2)} paid · ₹{getOutstandingAmount(payment).toFixed(2)} due
+                                                            </p>
                                                         )}
-                                                    </Button>
-                                                </TableCell>
-                                            )}
-                                        </TableRow>
-                                    ))}
+                                                    </TableCell>
+
+                                                    <TableCell>
+                                                        {getStatusBadge(payment.billingStatus)}
+                                                    </TableCell>
+
+                                                    <TableCell className="text-gray-600 text-sm">
+                                                        {new Date(payment.createdAt).toLocaleDateString()} {new Date(payment.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                                    </TableCell>
+
+                                                    {activeTab === 'pending' && (
+                                                        <TableCell className="text-right">
+                                                            <div className="flex items-center justify-end gap-2">
+                                                                {!(payment.payments?.length > 0) && (
+                                                                    splits.length > 0 ? (
+                                                                        <Button
+                                                                            variant="outline"
+                                                                            onClick={() => handleRemoveSplit(payment._id)}
+                                                                            disabled={processingId === payment._id}
+                                                                            className="text-gray-700"
+                                                                        >
+                                                                            <Undo2 className="h-4 w-4 mr-2" />
+                                                                            Undo Split
+                                                                        </Button>
+                                                                    ) : (
+                                                                        <Button
+                                                                            variant="outline"
+                                                                            onClick={() => setSplittingPayment(payment)}
+                                                                            disabled={processingId === payment._id}
+                                                                            className="text-gray-700"
+                                                                        >
+                                                                            <Split className="h-4 w-4 mr-2" />
+                                                                            Split
+                                                                        </Button>
+                                                                    )
+                                                                )}
+                                                                {splits.length === 0 && (
+                                                                    <Button
+                                                                        onClick={() => setPayingTarget({
+                                                                            sessionId: payment._id,
+                                                                            splitId: null,
+                                                                            title: `Record Payment · ${payment.billNumber}`,
+                                                                            description: `Table ${payment.tableNumber}`,
+                                                                            balance: getOutstandingAmount(payment),
+                                                                        })}
+                                                                        disabled={processingId === payment._id}
+                                                                        className="bg-green-500 hover:bg-green-600 text-white font-semibold"
+                                                                    >
+                                                                        <CreditCard className="h-4 w-4 mr-2" />
+                                                                        Record Payment
+                                                                    </Button>
+                                                                )}
+                                                            </div>
+                                                        </TableCell>
+                                                    )}
+                                                </TableRow>
+
+                                                {/* Part payments collected so far */}
+                                                {activeTab === 'pending' && billPayments.length > 0 && (
+                                                    <TableRow className="border-gray-100 bg-gray-50/60 hover:bg-gray-50">
+                                                        <TableCell />
+                                                        <TableCell colSpan={7}>
+                                                            <div className="flex flex-wrap gap-2">
+                                                                {billPayments.map((entry) => (
+                                                                    <PaymentChip
+                                                                        key={entry._id}
+                                                                        entry={entry}
+                                                                        onRemove={() => handleRemovePayment(payment._id, entry._id)}
+                                                                        disabled={processingId === entry._id}
+                                                                    />
+                                                                ))}
+                                                            </div>
+                                                        </TableCell>
+                                                    </TableRow>
+                                                )}
+
+                                                {/* Shares of a split bill */}
+                                                {splits.map((share) => (
+                                                    <TableRow key={share._id} className="border-gray-100 bg-gray-50/60 hover:bg-gray-50">
+                                                        <TableCell />
+                                                        <TableCell colSpan={3}>
+                                                            <p className="text-sm font-medium text-gray-800">{share.label}</p>
+                                                            {share.items?.length > 0 && (
+                                                                <p className="text-xs text-gray-500">
+                                                                    {share.items.map((item) => `${item.quantity}× ${item.name}`).join(", ")}
+                                                                </p>
+                                                            )}
+                                                        </TableCell>
+                                                        <TableCell className="text-gray-900 font-semibold">
+                                                            ₹{share.amountDue.toFixed(2)}
+                                                            <p className="text-xs font-normal text-gray-500">incl. ₹{share.tax.toFixed(2)} GST</p>
+                                                            {share.billingStatus !== 'paid' && share.amountPaid > 0 && (
+                                                                <p className="text-xs font-normal text-orange-600">
+                                                                    ₹{share.amountPaid.toFixed(2)} paid · ₹{getShareBalance(share).toFixed(2)} due
+                                                                </p>
+                                                            )}
+                                                        </TableCell>
+                                                        <TableCell>
+                                                            {getStatusBadge(share.billingStatus)}
+                                                        </TableCell>
+                                                        <TableCell className="text-gray-600 text-sm">
+                                                            {share.paidAt && `${new Date(share.paidAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}${share.paymentMethod ? ` · ${getPaymentMethodInfo(share.paymentMethod).label}` : ''}`}
+                                                        </TableCell>
+                                                        {activeTab === 'pending' && (
+                                                            <TableCell className="text-right">
+                                                                <div className="flex items-center justify-end gap-2">
+                                                                    {share.amountPaid > 0 && (
+                                                                        <Button
+                                                                            variant="ghost"
+                                                                            size="sm"
+                                                                            onClick={() => handleShareStatus(payment._id, share, 'pending_payment')}
+                                                                            disabled={processingId === share._id}
+                                                                            className="text-gray-600"
+                                                                        >
+                                                                            <Undo2 className="h-4 w-4 mr-1" />
+                                                                            Undo
+                                                                        </Button>
+                                                                    )}
+                                                                    {share.billingStatus !== 'paid' && (
+                                                                        <Button
+                                                                            size="sm"
+                                                                            onClick={() => setPayingTarget({
+                                                                                sessionId: payment._id,
+                                                                                splitId: share._id,
+                                                                                title: `Record Payment · ${share.label}`,
+                                                                                description: `${payment.billNumber} · Table ${payment.tableNumber}`,
+                                                                                balance: getShareBalance(share),
+                                                                            })}
+                                                                            disabled={processingId === share._id}
+                                                                            className="bg-green-500 hover:bg-green-600 text-white"
+                                                                        >
+                                                                            <CreditCard className="h-4 w-4 mr-1" />
+                                                                            Record Payment
+                                                                        </Button>
+                                                                    )}
+                                                                </div>
+                                                            </TableCell>
+                                                        )}
+                                                    </TableRow>
+                                                ))}
+                                            </Fragment>
+                                        );
+                                    })}
                                 </TableBody>
                             </Table>
                         </div>
                     )}
                 </div>
             </div>
+
+            <SplitBillDialog
+                key={splittingPayment?.billId}
+                bill={splittingPayment}
+                onClose={() => setSplittingPayment(null)}
+                onSplit={handleSplit}
+                isSaving={isSplitting}
+            />
+
+            <RecordPaymentDialog
+                key={`${payingTarget?.sessionId}-${payingTarget?.splitId}`}
+                target={payingTarget}
+                onClose={() => setPayingTarget(null)}
+                onRecord={handleRecordPayment}
+                isSaving={isRecording}
+            />
         </>
     );
 }
+
+/**
+ * One payment collected towards a bill, with a button to remove it if it was recorded by mistake.
+ */
+function PaymentChip({ entry, onRemove, disabled }) {
+    const method = getPaymentMethodInfo(entry.method);
+    return (
+        <Badge variant="secondary" className={`${method.className} gap-1`}>
+            {method.label} ₹{entry.amount.toFixed(2)}
+            {entry.reference && <span className="font-mono font-normal">· {entry.reference}</span>}
+            {entry.changeGiven > 0 && <span className="font-normal">· ₹{entry.changeGiven.toFixed(2)} change</span>}
+            <button
+                type="button"
+                onClick={onRemove}
+                disabled={disabled}
+                className="ml-1 rounded hover:text-red-600 disabled:opacity-50"
+                title="Remove payment"
+            >
+                <X className="h-3 w-3" />
+            </button>
+        </Badge>
+    );
+}
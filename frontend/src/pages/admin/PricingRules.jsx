@@ -0,0 +1,509 @@
+// src/pages/PricingRules.jsx
+/**
+ * Pricing Rules Page - Happy hours and other time-based menu prices.
+ * The server applies the rules in force when the menu is shown and when an order is placed.
+ */
+import { useState, useEffect } from "react";
+import { Input } from "../../components/ui/input";
+import { Button } from "../../components/ui/button";
+import { Label } from "../../components/ui/label";
+import { Badge } from "../../components/ui/badge";
+import { Checkbox } from "../../components/ui/checkbox";
+import { Switch } from "../../components/ui/switch";
+import { SidebarTrigger } from "../../components/ui/sidebar";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "../../components/ui/dialog";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "../../components/ui/select";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../../components/ui/table";
+import { Plus, Pencil, Trash2, Loader2 } from "lucide-react";
+import AdminSidebar from "@/components/admin/Sidebar";
+import pricingRuleService from "@/services/pricingRuleService";
+import menuService from "@/services/menuService";
+import { DAYS_OF_WEEK, describeTimeWindow } from "@/lib/schedule";
+import { toast } from "sonner";
+
+const MENU_CATEGORIES = [
+    "Momos", "Tandoori Momos", "Special Momos", "Noodles", "Rice", "Soups", "Sizzlers",
+    "Chinese Starters", "Moburg", "Pasta", "Maggi", "Special Dishes", "Beverages", "Desserts", "Combos",
+];
+
+const EMPTY_RULE = {
+    name: "",
+    adjustmentType: "percentage",
+    value: "",
+    daysOfWeek: [],
+    startTime: "15:00",
+    endTime: "18:00",
+    categories: [],
+    menuItems: [],
+    isActive: true,
+};
+
+const describeAdjustment = (rule) => {
+    if (rule.adjustmentType === "percentage") return `${rule.value}% off`;
+    if (rule.adjustmentType === "flat") return `₹${rule.value} off`;
+    return `₹${rule.value} each`;
+};
+
+const describeAppliesTo = (rule) => {
+    const restrictions = [
+        ...rule.categories,
+        ...rule.menuItems.map((item) => item.productName || "Removed item"),
+    ];
+    return restrictions.length === 0 ? "Whole menu" : restrictions.join(", ");
+};
+
+export default function PricingRules() {
+    const [rules, setRules] = useState([]);
+    const [menuItems, setMenuItems] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Add/edit dialog: editingId is null when adding a new rule
+    const [isDialogOpen, setIsDialogOpen] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [form, setForm] = useState(EMPTY_RULE);
+    const [menuSearch, setMenuSearch] = useState("");
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        fetchRules();
+    }, []);
+
+    useEffect(() => {
+        const loadMenuItems = async () => {
+            try {
+                const data = await menuService.fetchAllMenuItems();
+                setMenuItems(data.sort((a, b) => a.productName.localeCompare(b.productName)));
+            } catch (error) {
+                console.error('Error fetching menu items:', error);
+            }
+        };
+
+        loadMenuItems();
+    }, []);
+
+    const fetchRules = async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const data = await pricingRuleService.fetchPricingRules();
+            setRules(data);
+        } catch (error) {
+            console.error('Error fetching pricing rules:', error);
+            setError('Failed to load pricing rules. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const openAddDialog = () => {
+        setEditingId(null);
+        setForm(EMPTY_RULE);
+        setMenuSearch("");
+        setIsDialogOpen(true);
+    };
+
+    const openEditDialog = (rule) => {
+        setEditingId(rule._id);
+        setForm({
+            name: rule.name,
+            adjustmentType: rule.adjustmentType,
+            value: rule.value.toString(),
+            daysOfWeek: rule.daysOfWeek,
+            startTime: rule.startTime,
+            endTime: rule.endTime === "24:00" ? "00:00" : rule.endTime,
+            categories: rule.categories,
+            menuItems: rule.menuItems.map((item) => item._id),
+            isActive: rule.isActive,
+        });
+        setMenuSearch("");
+        setIsDialogOpen(true);
+    };
+
+    const handleFormChange = (field, value) => {
+        setForm((prev) => ({ ...prev, [field]: value }));
+    };
+
+    const toggleListValue = (field, value) => {
+        setForm((prev) => ({
+            ...prev,
+            [field]: prev[field].includes(value)
+                ? prev[field].filter((entry) => entry !== value)
+                : [...prev[field], value],
+        }));
+    };
+
+    // The save response has menu item IDs; the table shows their names
+    const withMenuItemNames = (saved) => ({
+        ...saved,
+        menuItems: menuItems.filter((item) => saved.menuItems.includes(item._id)),
+    });
+
+    const handleSave = async () => {
+        if (!form.name.trim()) {
+            toast.error("Rule name is required");
+            return;
+        }
+        if (form.value === "" || Number(form.value) < 0) {
+            toast.error("Enter a value of zero or more");
+            return;
+        }
+        if (!form.startTime || !form.endTime) {
+            toast.error("Start and end times are required");
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            const ruleData = {
+                ...form,
+                name: form.name.trim(),
+                value: Number(form.value),
+            };
+
+            if (editingId) {
+                const updated = await pricingRuleService.updatePricingRule(editingId, ruleData);
+                setRules((prev) => prev.map((r) => (r._id === updated._id ? withMenuItemNames(updated) : r)));
+                toast.success(`${updated.name} updated`);
+            } else {
+                const created = await pricingRuleService.createPricingRule(ruleData);
+                setRules((prev) => [...prev, withMenuItemNames(created)]);
+                toast.success(`${created.name} created`);
+            }
+            setIsDialogOpen(false);
+        } catch (error) {
+            console.error('Error saving pricing rule:', error);
+            toast.error(error.response?.data?.message || "Failed to save pricing rule");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleToggleActive = async (rule) => {
+        try {
+            const updated = await pricingRuleService.updatePricingRule(rule._id, { isActive: !rule.isActive });
+            setRules((prev) => prev.map((r) => (r._id === updated._id ? { ...r, isActive: updated.isActive, inEffect: updated.inEffect } : r)));
+            toast.success(`${updated.name} ${updated.isActive ? "enabled" : "disabled"}`);
+        } catch (error) {
+            console.error('Error updating pricing rule:', error);
+            toast.error(error.response?.data?.message || "Failed to update pricing rule");
+        }
+    };
+
+    const handleDelete = async (rule) => {
+        if (!window.confirm(`Are you sure you want to delete "${rule.name}"?`)) {
+            return;
+        }
+
+        try {
+            await pricingRuleService.deletePricingRule(rule._id);
+            setRules((prev) => prev.filter((r) => r._id !== rule._id));
+            toast.success(`${rule.name} deleted`);
+        } catch (error) {
+            console.error('Error deleting pricing rule:', error);
+            toast.error(error.response?.data?.message || "Failed to delete pricing rule");
+        }
+    };
+
+    const filteredMenuItems = menuItems.filter((item) =>
+        item.productName.toLowerCase().includes(menuSearch.trim().toLowerCase()));
+
+    return (
+        <>
+            <AdminSidebar />
+            <div className="flex-1 bg-gray-50 min-h-screen">
+                {/* Header */}
+                <header className="bg-white border-b px-6 py-4">
+                    <div className="flex flex-col md:flex-row items-start md:items-center justify-between">
+                        <div className="flex items-center gap-4">
+                            <SidebarTrigger />
+                            <h1 className="text-xl md:text-2xl font-bold text-gray-900">Happy Hours</h1>
+                        </div>
+
+                        <div className="flex items-center gap-2 mt-3 md:mt-0">
+                            <Button
+                                className="bg-orange-500 hover:bg-orange-600 text-white cursor-pointer"
+                                onClick={openAddDialog}
+                            >
+                                <Plus className="h-4 w-4 mr-2" />
+                                New Pricing Rule
+                            </Button>
+                        </div>
+                    </div>
+                </header>
+
+                {/* Content */}
+                <div className="p-6">
+                    <p className="text-sm text-gray-500 mb-4">
+                        Times are in IST. When several rules cover an item at once, the customer gets the lowest price.
+                        Add-ons are always charged at their menu price.
+                    </p>
+
+                    {/* Loading State */}
+                    {isLoading && (
+                        <div className="flex items-center justify-center py-12">
+                            <Loader2 className="h-8 w-8 animate-spin text-orange-500" />
+                            <span className="ml-2 text-gray-600">Loading pricing rules...</span>
+                        </div>
+                    )}
+
+                    {/* Error State */}
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+                            <p className="text-red-700">{error}</p>
+                            <Button variant="outline" size="sm" onClick={fetchRules} className="mt-2">
+                                Retry
+                            </Button>
+                        </div>
+                    )}
+
+                    {/* Pricing Rules Table */}
+                    {!isLoading && !error && (
+                        <div className="bg-white rounded-lg border overflow-x-auto">
+                            <Table>
+                                <TableHeader>
+                                    <TableRow className="bg-gray-50">
+                                        <TableHead className="font-semibold text-gray-700">NAME</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">PRICE</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">WHEN</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">APPLIES TO</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">STATUS</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">ACTIONS</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {rules.length === 0 ? (
+                                        <TableRow>
+                                            <TableCell colSpan={6} className="text-center py-8 text-gray-500">
+                                                No pricing rules yet. Click 'New Pricing Rule' to set up a happy hour.
+                                            </TableCell>
+                                        </TableRow>
+                                    ) : (
+                                        rules.map((rule) => (
+                                            <TableRow key={rule._id} className="hover:bg-gray-50">
+                                                <TableCell className="font-medium text-gray-900">{rule.name}</TableCell>
+                                                <TableCell className="text-gray-900">{describeAdjustment(rule)}</TableCell>
+                                                <TableCell className="text-gray-600">{describeTimeWindow(rule)}</TableCell>
+                                                <TableCell className="text-gray-600 max-w-48">{describeAppliesTo(rule)}</TableCell>
+                                                <TableCell>
+                                                    {!rule.isActive ? (
+                                                        <Badge className="bg-gray-100 text-gray-600 hover:bg-gray-100">Disabled</Badge>
+                                                    ) : rule.inEffect ? (
+                                                        <Badge className="bg-green-100 text-green-700 hover:bg-green-100">Running now</Badge>
+                                                    ) : (
+                                                        <Badge className="bg-blue-100 text-blue-700 hover:bg-blue-100">Scheduled</Badge>
+                                                    )}
+                                                </TableCell>
+                                                <TableCell>
+                                                    <div className="flex items-center gap-2">
+                                                        <Switch
+                                                            checked={rule.isActive}
+                                                            onCheckedChange={() => handleToggleActive(rule)}
+                                                            aria-label={rule.isActive ? "Disable rule" : "Enable rule"}
+                                                        />
+                                                        <Button
+                                                            variant="outline"
+                                                            size="sm"
+                                                            className="cursor-pointer"
+                                                            onClick={() => openEditDialog(rule)}
+                                                        >
+                                                            <Pencil className="h-4 w-4" />
+                                                        </Button>
+                                                        <Button
+                                                            variant="outline"
+                                                            size="sm"
+                                                            className="cursor-pointer text-red-600 hover:bg-red-50"
+                                                            onClick={() => handleDelete(rule)}
+                                                        >
+                                                            <Trash2 className="h-4 w-4" />
+                                                        </Button>
+                                                    </div>
+                                                </TableCell>
+                                            </TableRow>
+                                        ))
+                                    )}
+                                </TableBody>
+                            </Table>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {/* Add / Edit Pricing Rule Dialog */}
+            <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+                <DialogContent className="sm:max-w-2xl max-h-[90vh] overflow-y-auto">
+                    <DialogHeader>
+                        <DialogTitle>{editingId ? "Edit Pricing Rule" : "New Pricing Rule"}</DialogTitle>
+                        <DialogDescription>
+                            Orders already placed keep the price they were charged.
+                        </DialogDescription>
+                    </DialogHeader>
+
+                    <div className="space-y-4">
+                        <div className="space-y-2">
+                            <Label htmlFor="ruleName">Name <span className="text-red-500">*</span></Label>
+                            <Input
+                                id="ruleName"
+                                placeholder="e.g. Happy Hour"
+                                value={form.name}
+                                onChange={(e) => handleFormChange("name", e.target.value)}
+                                maxLength={40}
+                            />
+                            <p className="text-xs text-gray-500">Customers see this next to the reduced price.</p>
+                        </div>
+
+                        <div className="grid grid-cols-2 gap-4">
+                            <div className="space-y-2">
+                                <Label>Price Change</Label>
+                                <Select value={form.adjustmentType} onValueChange={(value) => handleFormChange("adjustmentType", value)}>
+                                    <SelectTrigger>
+                                        <SelectValue />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        <SelectItem value="percentage">Percentage Off</SelectItem>
+                                        <SelectItem value="flat">Amount Off</SelectItem>
+                                        <SelectItem value="fixed">Fixed Price</SelectItem>
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="ruleValue">
+                                    {form.adjustmentType === "percentage" ? "Percent Off" : form.adjustmentType === "flat" ? "Amount Off (₹)" : "Price (₹)"} <span className="text-red-500">*</span>
+                                </Label>
+                                <Input
+                                    id="ruleValue"
+                                    type="number"
+                                    min="0"
+                                    max={form.adjustmentType === "percentage" ? "100" : undefined}
+                                    value={form.value}
+                                    onChange={(e) => handleFormChange("value", e.target.value)}
+                                />
+                            </div>
+                        </div>
+
+                        <div className="space-y-2">
+                            <Label>Days</Label>
+                            <p className="text-xs text-gray-500">Leave every day unticked to run the rule daily.</p>
+                            <div className="flex flex-wrap gap-4 rounded-md border p-3">
+                                {DAYS_OF_WEEK.map((day, index) => (
+                                    <label key={day} className="flex items-center gap-2 text-sm cursor-pointer">
+                                        <Checkbox
+                                            checked={form.daysOfWeek.includes(index)}
+                                            onCheckedChange={() => toggleListValue("daysOfWeek", index)}
+                                        />
+                                        {day}
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-2 gap-4">
+                            <div className="space-y-2">
+                                <Label htmlFor="startTime">From</Label>
+                                <Input
+                                    id="startTime"
+                                    type="time"
+                                    value={form.startTime}
+                                    onChange={(e) => handleFormChange("startTime", e.target.value)}
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="endTime">Until</Label>
+                                <Input
+                                    id="endTime"
+                                    type="time"
+                                    value={form.endTime}
+                                    onChange={(e) => handleFormChange("endTime", e.target.value)}
+                                />
+                                <p className="text-xs text-gray-500">
+                                    An earlier time than the start runs past midnight into the next day.
+                                </p>
+                            </div>
+                        </div>
+
+                        <div className="space-y-2">
+                            <Label>Applies To</Label>
+                            <p className="text-xs text-gray-500">
+                                Leave everything unticked to apply the rule to the whole menu.
+                            </p>
+                            <div className="grid grid-cols-2 md:grid-cols-3 gap-2 rounded-md border p-3">
+                                {MENU_CATEGORIES.map((category) => (
+                                    <label key={category} className="flex items-center gap-2 text-sm cursor-pointer">
+                                        <Checkbox
+                                            checked={form.categories.includes(category)}
+                                            onCheckedChange={() => toggleListValue("categories", category)}
+                                        />
+                                        {category}
+                                    </label>
+                                ))}
+                            </div>
+                            <Input
+                                placeholder="Search menu items..."
+                                value={menuSearch}
+                                onChange={(e) => setMenuSearch(e.target.value)}
+                            />
+                            <div className="max-h-40 overflow-y-auto rounded-md border p-3 space-y-2">
+                                {filteredMenuItems.length === 0 ? (
+                                    <p className="text-sm text-gray-500">No menu items found.</p>
+                                ) : (
+                                    filteredMenuItems.map((item) => (
+                                        <label key={item._id} className="flex items-center gap-2 text-sm cursor-pointer">
+                                            <Checkbox
+                                                checked={form.menuItems.includes(item._id)}
+                                                onCheckedChange={() => toggleListValue("menuItems", item._id)}
+                                            />
+                                            {item.productName}
+                                            <span className="text-xs text-gray-400">{item.category} · ₹{item.amount}</span>
+                                        </label>
+                                    ))
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="flex items-center justify-between rounded-md border p-3">
+                            <div>
+                                <Label>Enabled</Label>
+                                <p className="text-xs text-gray-500">Disabled rules are kept but never applied.</p>
+                            </div>
+                            <Switch checked={form.isActive} onCheckedChange={(value) => handleFormChange("isActive", value)} />
+                        </div>
+                    </div>
+
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setIsDialogOpen(false)}>
+                            Cancel
+                        </Button>
+                        <Button
+                            className="bg-orange-500 hover:bg-orange-600 text-white"
+                            onClick={handleSave}
+                            disabled={isSaving}
+                        >
+                            {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                            {editingId ? "Save Changes" : "Create Rule"}
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </>
+    );
+}
@@ -0,0 +1,667 @@
+// src/pages/Promotions.jsx
+/**
+ * Promotions Page - Promo codes customers enter in their cart, with what each has been used for.
+ * Codes are checked and applied by the server when the cart is priced and the order placed.
+ */
+import { useState, useEffect } from "react";
+import { Input } from "../../components/ui/input";
+import { Button } from "../../components/ui/button";
+import { Label } from "../../components/ui/label";
+import { Checkbox } from "../../components/ui/checkbox";
+import { Switch } from "../../components/ui/switch";
+import { Card, CardContent } from "../../components/ui/card";
+import { SidebarTrigger } from "../../components/ui/sidebar";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "../../components/ui/dialog";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "../../components/ui/select";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../../components/ui/table";
+import { Plus, Pencil, Trash2, Loader2, TicketPercent, IndianRupee, ShoppingBag } from "lucide-react";
+import AdminSidebar from "@/components/admin/Sidebar";
+import PromotionStatusBadge from "@/components/admin/PromotionStatusBadge";
+import promotionService from "@/services/promotionService";
+import menuService from "@/services/menuService";
+import { toast } from "sonner";
+
+const MENU_CATEGORIES = [
+    "Momos", "Tandoori Momos", "Special Momos", "Noodles", "Rice", "Soups", "Sizzlers",
+    "Chinese Starters", "Moburg", "Pasta", "Maggi", "Special Dishes", "Beverages", "Desserts", "Combos",
+];
+
+const EMPTY_PROMOTION = {
+    code: "",
+    description: "",
+    discountType: "percentage",
+    discountValue: "",
+    minOrderValue: "",
+    maxDiscount: "",
+    startsAt: "",
+    endsAt: "",
+    usageLimit: "",
+    perCustomerLimit: "",
+    categories: [],
+    menuItems: [],
+    isActive: true,
+};
+
+// yyyy-mm-ddThh:mm in local time for <input type="datetime-local">
+const toDateTimeInputValue = (dateString) => {
+    if (!dateString) return "";
+    const date = new Date(dateString);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+    });
+};
+
+const describeDiscount = (promotion) => {
+    if (promotion.discountType === "flat") {
+        return `₹${promotion.discountValue} off`;
+    }
+    return promotion.maxDiscount !== null
+        ? `${promotion.discountValue}% off, up to ₹${promotion.maxDiscount}`
+        : `${promotion.discountValue}% off`;
+};
+
+const describeValidity = (promotion) => {
+    if (!promotion.startsAt && !promotion.endsAt) return "No end date";
+    if (!promotion.endsAt) return `From ${formatDate(promotion.startsAt)}`;
+    if (!promotion.startsAt) return `Until ${formatDate(promotion.endsAt)}`;
+    return `${formatDate(promotion.startsAt)} – ${formatDate(promotion.endsAt)}`;
+};
+
+const describeAppliesTo = (promotion) => {
+    const restrictions = [
+        ...promotion.categories,
+        ...promotion.menuItems.map((item) => item.productName || "Removed item"),
+    ];
+    return restrictions.length === 0 ? "Whole order" : restrictions.join(", ");
+};
+
+// Empty number inputs are sent as "" so the server clears the limit
+const toNumberOrEmpty = (value) => (value === "" ? "" : Number(value));
+
+export default function Promotions() {
+    const [promotions, setPromotions] = useState([]);
+    const [menuItems, setMenuItems] = useState([]);
+    const [statusFilter, setStatusFilter] = useState("all");
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Add/edit dialog: editingId is null when adding a new promotion
+    const [isDialogOpen, setIsDialogOpen] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [form, setForm] = useState(EMPTY_PROMOTION);
+    const [menuSearch, setMenuSearch] = useState("");
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        fetchPromotions();
+    }, []);
+
+    useEffect(() => {
+        const loadMenuItems = async () => {
+            try {
+                const data = await menuService.fetchAllMenuItems();
+                setMenuItems(data.sort((a, b) => a.productName.localeCompare(b.productName)));
+            } catch (error) {
+                console.error('Error fetching menu items:', error);
+            }
+        };
+
+        loadMenuItems();
+    }, []);
+
+    const fetchPromotions = async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const data = await promotionService.fetchPromotions();
+            setPromotions(data);
+        } catch (error) {
+            console.error('Error fetching promotions:', error);
+            setError('Failed to load promotions. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const openAddDialog = () => {
+        setEditingId(null);
+        setForm(EMPTY_PROMOTION);
+        setMenuSearch("");
+        setIsDialogOpen(true);
+    };
+
+    const openEditDialog = (promotion) => {
+        setEditingId(promotion._id);
+        setForm({
+            code: promotion.code,
+            description: promotion.description || "",
+            discountType: promotion.discountType,
+            discountValue: promotion.discountValue.toString(),
+            minOrderValue: promotion.minOrderValue ? promotion.minOrderValue.toString() : "",
+            maxDiscount: promotion.maxDiscount?.toString() || "",
+            startsAt: toDateTimeInputValue(promotion.startsAt),
+            endsAt: toDateTimeInputValue(promotion.endsAt),
+            usageLimit: promotion.usageLimit?.toString() || "",
+            perCustomerLimit: promotion.perCustomerLimit?.toString() || "",
+            categories: promotion.categories,
+            menuItems: promotion.menuItems.map((item) => item._id),
+            isActive: promotion.isActive,
+        });
+        setMenuSearch("");
+        setIsDialogOpen(true);
+    };
+
+    const handleFormChange = (field, value) => {
+        setForm((prev) => ({ ...prev, [field]: value }));
+    };
+
+    const toggleListValue = (field, value) => {
+        setForm((prev) => ({
+            ...prev,
+            [field]: prev[field].includes(value)
+                ? prev[field].filter((entry) => entry !== value)
+                : [...prev[field], value],
+        }));
+    };
+
+    // Keep the usage figures the list already has; the save response only holds the promotion
+    const mergeSaved = (saved) => {
+        const existing = promotions.find((promotion) => promotion._id === saved._id);
+        return {
+            ...saved,
+            menuItems: menuItems.filter((item) => saved.menuItems.includes(item._id)),
+            usage: existing?.usage || { orderCount: 0, totalDiscount: 0, revenue: 0, customerCount: 0, lastUsedAt: null },
+        };
+    };
+
+    const handleSave = async () => {
+        if (!form.code.trim()) {
+            toast.error("Promo code is required");
+            return;
+        }
+        if (!(Number(form.discountValue) > 0)) {
+            toast.error("Enter a discount greater than zero");
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            const promotionData = {
+                ...form,
+                code: form.code.trim().toUpperCase(),
+                description: form.description.trim(),
+                discountValue: Number(form.discountValue),
+                minOrderValue: Number(form.minOrderValue) || 0,
+                maxDiscount: form.discountType === "percentage" ? toNumberOrEmpty(form.maxDiscount) : "",
+                usageLimit: toNumberOrEmpty(form.usageLimit),
+                perCustomerLimit: toNumberOrEmpty(form.perCustomerLimit),
+                startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : "",
+                endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : "",
+            };
+
+            if (editingId) {
+                const updated = await promotionService.updatePromotion(editingId, promotionData);
+                setPromotions((prev) => prev.map((p) => (p._id === updated._id ? mergeSaved(updated) : p)));
+                toast.success(`${updated.code} updated`);
+            } else {
+                const created = await promotionService.createPromotion(promotionData);
+                setPromotions((prev) => [mergeSaved(created), ...prev]);
+                toast.success(`${created.code} created`);
+            }
+            setIsDialogOpen(false);
+        } catch (error) {
+            console.error('Error saving promotion:', error);
+            toast.error(error.response?.data?.message || "Failed to save promotion");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleToggleActive = async (promotion) => {
+        try {
+            const updated = await promotionService.updatePromotion(promotion._id, { isActive: !promotion.isActive });
+            setPromotions((prev) => prev.map((p) => (p._id === updated._id ? { ...p, isActive: updated.isActive, status: updated.status } : p)));
+            toast.success(`${updated.code} ${updated.isActive ? "enabled" : "disabled"}`);
+        } catch (error) {
+            console.error('Error updating promotion:', error);
+            toast.error(error.response?.data?.message || "Failed to update promotion");
+        }
+    };
+
+    const handleDelete = async (promotion) => {
+        if (!window.confirm(`Are you sure you want to delete "${promotion.code}"?`)) {
+            return;
+        }
+
+        try {
+            await promotionService.deletePromotion(promotion._id);
+            setPromotions((prev) => prev.filter((p) => p._id !== promotion._id));
+            toast.success(`${promotion.code} deleted`);
+        } catch (error) {
+            console.error('Error deleting promotion:', error);
+            toast.error(error.response?.data?.message || "Failed to delete promotion");
+        }
+    };
+
+    const filteredPromotions = promotions.filter((promotion) => statusFilter === "all" || promotion.status === statusFilter);
+    const filteredMenuItems = menuItems.filter((item) =>
+        item.productName.toLowerCase().includes(menuSearch.trim().toLowerCase()));
+
+    const totals = promotions.reduce((sum, promotion) => ({
+        active: sum.active + (promotion.status === "active" ? 1 : 0),
+        orders: sum.orders + promotion.usage.orderCount,
+        discount: sum.discount + promotion.usage.totalDiscount,
+    }), { active: 0, orders: 0, discount: 0 });
+
+    const stats = [
+        { label: "Active Codes", value: totals.active, icon: TicketPercent, iconBg: "bg-orange-100", iconColor: "text-orange-600" },
+        { label: "Orders with a Code", value: totals.orders, icon: ShoppingBag, iconBg: "bg-blue-100", iconColor: "text-blue-600" },
+        { label: "Discount Given", value: `₹${totals.discount.toFixed(2)}`, icon: IndianRupee, iconBg: "bg-green-100", iconColor: "text-green-600" },
+    ];
+
+    return (
+        <>
+            <AdminSidebar />
+            <div className="flex-1 bg-gray-50 min-h-screen">
+                {/* Header */}
+                <header className="bg-white border-b px-6 py-4">
+                    <div className="flex flex-col md:flex-row items-start md:items-center justify-between">
+                        <div className="flex items-center gap-4">
+                            <SidebarTrigger />
+                            <h1 className="text-xl md:text-2xl font-bold text-gray-900">Promotions</h1>
+                        </div>
+
+                        <div className="flex items-center gap-2 mt-3 md:mt-0">
+                            <Button
+                                className="bg-orange-500 hover:bg-orange-600 text-white cursor-pointer"
+                                onClick={openAddDialog}
+                            >
+                                <Plus className="h-4 w-4 mr-2" />
+                                New Promotion
+                            </Button>
+                        </div>
+                    </div>
+                </header>
+
+                {/* Content */}
+                <div className="p-6">
+                    {/* Stats */}
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                        {stats.map((stat) => {
+                            const Icon = stat.icon;
+                            return (
+                                <Card key={stat.label} className="bg-white">
+                                    <CardContent className="p-4 flex items-center gap-4">
+                                        <div className={`p-3 rounded-lg ${stat.iconBg}`}>
+                                            <Icon className={`h-5 w-5 ${stat.iconColor}`} />
+                                        </div>
+                                        <div>
+                                            <p className="text-sm text-gray-500">{stat.label}</p>
+                                            <p className="text-2xl font-bold text-gray-900">{stat.value}</p>
+                                        </div>
+                                    </CardContent>
+                                </Card>
+                            );
+                        })}
+                    </div>
+
+                    {/* Filters */}
+                    <div className="bg-white rounded-lg border p-4 mb-6">
+                        <div className="w-full md:w-56">
+                            <Label className="text-sm text-gray-600 mb-2 block">Status</Label>
+                            <Select value={statusFilter} onValueChange={setStatusFilter}>
+                                <SelectTrigger className="cursor-pointer">
+                                    <SelectValue placeholder="All Statuses" />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    <SelectItem className="cursor-pointer" value="all">All Statuses</SelectItem>
+                                    <SelectItem className="cursor-pointer" value="active">Active</SelectItem>
+                                    <SelectItem className="cursor-pointer" value="scheduled">Scheduled</SelectItem>
+                                    <SelectItem className="cursor-pointer" value="expired">Expired</SelectItem>
+                                    <SelectItem className="cursor-pointer" value="exhausted">Fully Redeemed</SelectItem>
+                                    <SelectItem className="cursor-pointer" value="disabled">Disabled</SelectItem>
+                                </SelectContent>
+                            </Select>
+                        </div>
+                    </div>
+
+                    {/* Loading State */}
+                    {isLoading && (
+                        <div className="flex items-center justify-center py-12">
+                            <Loader2 className="h-8 w-8 animate-spin text-orange-500" />
+                            <span className="ml-2 text-gray-600">Loading promotions...</span>
+                        </div>
+                    )}
+
+                    {/* Error State */}
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+                            <p className="text-red-700">{error}</p>
+                            <Button variant="outline" size="sm" onClick={fetchPromotions} className="mt-2">
+                                Retry
+                            </Button>
+                        </div>
+                    )}
+
+                    {/* Promotions Table */}
+                    {!isLoading && !error && (
+                        <div className="bg-white rounded-lg border overflow-x-auto">
+                            <Table>
+                                <TableHeader>
+                                    <TableRow className="bg-gray-50">
+                                        <TableHead className="font-semibold text-gray-700">CODE</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">DISCOUNT</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">APPLIES TO</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">VALIDITY</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">USES</TableHead>
+                                        <TableHead className="font-semibold text-gray-700 text-right">DISCOUNT GIVEN</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">STATUS</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">ACTIONS</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {filteredPromotions.length === 0 ? (
+                                        <TableRow>
+                                            <TableCell colSpan={8} className="text-center py-8 text-gray-500">
+                                                {promotions.length === 0
+                                                    ? "No promotions yet. Click 'New Promotion' to create a promo code."
+                                                    : "No promotions match this status."}
+                                            </TableCell>
+                                        </TableRow>
+                                    ) : (
+                                        filteredPromotions.map((promotion) => (
+                                            <TableRow key={promotion._id} className="hover:bg-gray-50">
+                                                <TableCell>
+                                                    <p className="font-mono font-semibold text-gray-900">{promotion.code}</p>
+                                                    {promotion.description && (
+                                                        <p className="text-sm text-gray-500">{promotion.description}</p>
+                                                    )}
+                                                </TableCell>
+                                                <TableCell>
+                                                    <p className="text-gray-900">{describeDiscount(promotion)}</p>
+                                                    {promotion.minOrderValue > 0 && (
+                                                        <p className="text-sm text-gray-500">Min. order ₹{promotion.minOrderValue}</p>
+                                                    )}
+                                                </TableCell>
+                                                <TableCell className="text-gray-600 max-w-48">
+                                                    {describeAppliesTo(promotion)}
+                                                </TableCell>
+                                                <TableCell className="text-gray-600">
+                                                    {describeValidity(promotion)}
+                                                </TableCell>
+                                                <TableCell>
+                                                    <p className="text-gray-900">
+                                                        {promotion.usageCount}{promotion.usageLimit !== null && ` of ${promotion.usageLimit}`}
+                                                    </p>
+                                                    <p className="text-sm text-gray-500">
+                                                        {promotion.usage.customerCount} customer{promotion.usage.customerCount === 1 ? "" : "s"}
+                                                        {promotion.perCustomerLimit !== null && ` · ${promotion.perCustomerLimit} each`}
+                                                    </p>
+                                                </TableCell>
+                                                <TableCell className="text-right">
+                                                    <p className="font-medium text-gray-900">₹{promotion.usage.totalDiscount.toFixed(2)}</p>
+                                                    <p className="text-sm text-gray-500">on ₹{promotion.usage.revenue.toFixed(2)} sales</p>
+                                                </TableCell>
+                                                <TableCell>
+                                                    <PromotionStatusBadge status={promotion.status} />
+                                                </TableCell>
+                                                <TableCell>
+                                                    <div className="flex items-center gap-2">
+                                                        <Switch
+                                                            checked={promotion.isActive}
+                                                            onCheckedChange={() => handleToggleActive(promotion)}
+                                                            aria-label={promotion.isActive ? "Disable promotion" : "Enable promotion"}
+                                                        />
+                                                        <Button
+                                                            variant="outline"
+                                                            size="sm"
+                                                            className="cursor-pointer"
+                                                            onClick={() => openEditDialog(promotion)}
+                                                        >
+                                                            <Pencil className="h-4 w-4" />
+                                                        </Button>
+                                                        <Button
+                                                            variant="outline"
+                                                            size="sm"
+                                                            className="cursor-pointer text-red-600 hover:bg-red-50"
+                                                            onClick={() => handleDelete(promotion)}
+                                                        >
+                                                            <Trash2 className="h-4 w-4" />
+                                                        </Button>
+                                                    </div>
+                                                </TableCell>
+                                            </TableRow>
+                                        ))
+                                    )}
+                                </TableBody>
+                            </Table>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {/* Add / Edit Promotion Dialog */}
+            <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+                <DialogContent className="sm:max-w-2xl max-h-[90vh] overflow-y-auto">
+                    <DialogHeader>
+                        <DialogTitle>{editingId ? "Edit Promotion" : "New Promotion"}</DialogTitle>
+                        <DialogDescription>
+                            Orders that already used the code keep the discount they were given.
+                        </DialogDescription>
+                    </DialogHeader>
+
+                    <div className="space-y-4">
+                        <div className="grid grid-cols-2 gap-4">
+                            <div className="space-y-2">
+                                <Label htmlFor="promoCode">Code <span className="text-red-500">*</span></Label>
+                                <Input
+                                    id="promoCode"
+                                    placeholder="e.g. MAGIC50"
+                                    value={form.code}
+                                    onChange={(e) => handleFormChange("code", e.target.value.toUpperCase())}
+                                    maxLength={20}
+                                    className="font-mono"
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="promoDescription">Description</Label>
+                                <Input
+                                    id="promoDescription"
+                                    placeholder="e.g. 50% off your first 3 orders"
+                                    value={form.description}
+                                    onChange={(e) => handleFormChange("description", e.target.value)}
+                                    maxLength={200}
+                                />
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-3 gap-4">
+                            <div className="space-y-2">
+                                <Label>Discount Type</Label>
+                                <Select value={form.discountType} onValueChange={(value) => handleFormChange("discountType", value)}>
+                                    <SelectTrigger>
+                                        <SelectValue />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        <SelectItem value="percentage">Percentage</SelectItem>
+                                        <SelectItem value="flat">Flat Amount</SelectItem>
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="discountValue">
+                                    {form.discountType === "percentage" ? "Percent Off" : "Amount Off (₹)"} <span className="text-red-500">*</span>
+                                </Label>
+                                <Input
+                                    id="discountValue"
+                                    type="number"
+                                    min="0"
+                                    max={form.discountType === "percentage" ? "100" : undefined}
+                                    value={form.discountValue}
+                                    onChange={(e) => handleFormChange("discountValue", e.target.value)}
+                                />
+                            </div>
+                            {form.discountType === "percentage" && (
+                                <div className="space-y-2">
+                                    <Label htmlFor="maxDiscount">Max Discount (₹)</Label>
+                                    <Input
+                                        id="maxDiscount"
+                                        type="number"
+                                        min="0"
+                                        placeholder="No cap"
+                                        value={form.maxDiscount}
+                                        onChange={(e) => handleFormChange("maxDiscount", e.target.value)}
+                                    />
+                                </div>
+                            )}
+                        </div>
+
+                        <div className="grid grid-cols-3 gap-4">
+                            <div className="space-y-2">
+                                <Label htmlFor="minOrderValue">Minimum Order (₹)</Label>
+                                <Input
+                                    id="minOrderValue"
+                                    type="number"
+                                    min="0"
+                                    placeholder="None"
+                                    value={form.minOrderValue}
+                                    onChange={(e) => handleFormChange("minOrderValue", e.target.value)}
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="usageLimit">Total Uses</Label>
+                                <Input
+                                    id="usageLimit"
+                                    type="number"
+                                    min="1"
+                                    placeholder="Unlimited"
+                                    value={form.usageLimit}
+                                    onChange={(e) => handleFormChange("usageLimit", e.target.value)}
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="perCustomerLimit">Uses per Customer</Label>
+                                <Input
+                                    id="perCustomerLimit"
+                                    type="number"
+                                    min="1"
+                                    placeholder="Unlimited"
+                                    value={form.perCustomerLimit}
+                                    onChange={(e) => handleFormChange("perCustomerLimit", e.target.value)}
+                                />
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-2 gap-4">
+                            <div className="space-y-2">
+                                <Label htmlFor="startsAt">Starts</Label>
+                                <Input
+                                    id="startsAt"
+                                    type="datetime-local"
+                                    value={form.startsAt}
+                                    onChange={(e) => handleFormChange("startsAt", e.target.value)}
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="endsAt">Ends</Label>
+                                <Input
+                                    id="endsAt"
+                                    type="datetime-local"
+                                    value={form.endsAt}
+                                    onChange={(e) => handleFormChange("endsAt", e.target.value)}
+                                />
+                            </div>
+                        </div>
+
+                        <div className="space-y-2">
+                            <Label>Applies To</Label>
+                            <p className="text-xs text-gray-500">
+                                Leave everything unticked to discount the whole order.
+                            </p>
+                            <div className="grid grid-cols-2 md:grid-cols-3 gap-2 rounded-md border p-3">
+                                {MENU_CATEGORIES.map((category) => (
+                                    <label key={category} className="flex items-center gap-2 text-sm cursor-pointer">
+                                        <Checkbox
+                                            checked={form.categories.includes(category)}
+                                            onCheckedChange={() => toggleListValue("categories", category)}
+                                        />
+                                        {category}
+                                    </label>
+                                ))}
+                            </div>
+                            <Input
+                                placeholder="Search menu items..."
+                                value={menuSearch}
+                                onChange={(e) => setMenuSearch(e.target.value)}
+                            />
+                            <div className="max-h-40 overflow-y-auto rounded-md border p-3 space-y-2">
+                                {filteredMenuItems.length === 0 ? (
+                                    <p className="text-sm text-gray-500">No menu items found.</p>
+                                ) : (
+                                    filteredMenuItems.map((item) => (
+                                        <label key={item._id} className="flex items-center gap-2 text-sm cursor-pointer">
+                                            <Checkbox
+                                                checked={form.menuItems.includes(item._id)}
+                                                onCheckedChange={() => toggleListValue("menuItems", item._id)}
+                                            />
+                                            {item.productName}
+                                            <span className="text-xs text-gray-400">{item.category}</span>
+                                        </label>
+                                    ))
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="flex items-center justify-between rounded-md border p-3">
+                            <div>
+                                <Label>Enabled</Label>
+                                <p className="text-xs text-gray-500">Disabled codes are turned down at checkout.</p>
+                            </div>
+                            <Switch checked={form.isActive} onCheckedChange={(value) => handleFormChange("isActive", value)} />
+                        </div>
+                    </div>
+
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setIsDialogOpen(false)}>
+                            Cancel
+                        </Button>
+                        <Button
+                            className="bg-orange-500 hover:bg-orange-600 text-white"
+                            onClick={handleSave}
+                            disabled={isSaving}
+                        >
+                            {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                            {editingId ? "Save Changes" : "Create Promotion"}
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </>
+    );
+}
@@ -0,0 +1,529 @@
+// src/pages/PurchaseOrderDetail.jsx
+/**
+ * Purchase Order Detail Page - Printable purchase order with goods receiving.
+ * Each delivery is recorded as a receipt; received quantities are added to stock at the
+ * unit cost entered, and the PO closes once every line has arrived. Perishables are received
+ * as a batch with an expiry date.
+ */
+import { useState, useEffect } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { Input } from "../../components/ui/input";
+import { Button } from "../../components/ui/button";
+import { Label } from "../../components/ui/label";
+import { Textarea } from "../../components/ui/textarea";
+import { Card, CardContent, CardHeader, CardTitle } from "../../components/ui/card";
+import { SidebarTrigger } from "../../components/ui/sidebar";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "../../components/ui/dialog";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../../components/ui/table";
+import { ChevronRight, FileDown, Loader2, PackageCheck, Printer, XCircle } from "lucide-react";
+import AdminSidebar from "@/components/admin/Sidebar";
+import PurchaseOrderStatusBadge from "@/components/admin/PurchaseOrderStatusBadge";
+import purchaseOrderService from "@/services/purchaseOrderService";
+import { isPerishableCategory } from "@/lib/expiry";
+import { toast } from "sonner";
+
+const OPEN_STATUSES = ["ordered", "partially-received"];
+
+const formatDate = (dateString) => {
+    if (!dateString) return "—";
+    return new Date(dateString).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+    });
+};
+
+const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+    });
+};
+
+// Outstanding quantity of a PO line, rounded like the backend
+const getOutstanding = (line) => Math.max(+(line.quantityOrdered - line.quantityReceived).toFixed(4), 0);
+
+export default function PurchaseOrderDetail() {
+    const { id } = useParams();
+    const navigate = useNavigate();
+    const [purchaseOrder, setPurchaseOrder] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Receive dialog state
+    const [isReceiveOpen, setIsReceiveOpen] = useState(false);
+    const [receiptLines, setReceiptLines] = useState([]);
+    const [receiptNote, setReceiptNote] = useState("");
+    const [receiveError, setReceiveError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    useEffect(() => {
+        const fetchPurchaseOrder = async () => {
+            setIsLoading(true);
+            try {
+                const data = await purchaseOrderService.fetchPurchaseOrderById(id);
+                setPurchaseOrder(data);
+            } catch (error) {
+                console.error('Error fetching purchase order:', error);
+                setError(error.response?.data?.message || 'Failed to load purchase order. Please try again.');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        fetchPurchaseOrder();
+    }, [id]);
+
+    // Updates come back with the supplier unpopulated; keep the contact details already loaded
+    const applyUpdate = (updated) => {
+        setPurchaseOrder((prev) => ({ ...updated, supplier: prev.supplier }));
+    };
+
+    const openReceiveDialog = () => {
+        setReceiptLines(
+            purchaseOrder.items
+                .filter((line) => getOutstanding(line) > 0)
+                .map((line) => ({
+                    inventoryItem: line.inventoryItem,
+                    name: line.name,
+                    unitOfMeasure: line.unitOfMeasure,
+                    outstanding: getOutstanding(line),
+                    quantity: getOutstanding(line).toString(),
+                    unitCost: line.unitCost.toString(),
+                    isPerishable: isPerishableCategory(line.category),
+                    expiryDate: "",
+                    batchNumber: "",
+                }))
+        );
+        setReceiptNote("");
+        setReceiveError(null);
+        setIsReceiveOpen(true);
+    };
+
+    const updateReceiptLine = (inventoryItem, changes) => {
+        setReceiptLines((prev) => prev.map((line) => (
+            line.inventoryItem === inventoryItem ? { ...line, ...changes } : line
+        )));
+    };
+
+    const handleReceive = async () => {
+        setReceiveError(null);
+
+        const receivedLines = receiptLines.filter((line) => parseFloat(line.quantity) > 0);
+        const items = receivedLines.map((line) => ({
+            inventoryItem: line.inventoryItem,
+            quantity: parseFloat(line.quantity),
+            unitCost: line.unitCost === "" ? undefined : parseFloat(line.unitCost),
+            expiryDate: line.expiryDate || undefined,
+            batchNumber: line.batchNumber.trim() || undefined,
+        }));
+
+        if (items.length === 0) {
+            setReceiveError("Enter the quantity received for at least one item");
+            return;
+        }
+
+        const missingExpiry = receivedLines.find((line) => line.isPerishable && !line.expiryDate);
+        if (missingExpiry) {
+            setReceiveError(`Enter the expiry date of the ${missingExpiry.name} received`);
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            const updated = await purchaseOrderService.receivePurchaseOrder(id, {
+                items,
+                note: receiptNote.trim(),
+            });
+            applyUpdate(updated);
+            setIsReceiveOpen(false);
+            toast.success(updated.status === "received"
+                ? `${updated.poNumber} fully received`
+                : `Delivery recorded for ${updated.poNumber}`);
+        } catch (error) {
+            console.error('Error receiving purchase order:', error);
+            setReceiveError(error.response?.data?.message || 'Failed to record delivery. Please try again.');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleCancel = async () => {
+        if (!window.confirm(`Cancel ${purchaseOrder.poNumber}? Quantities not yet received will no longer be expected.`)) {
+            return;
+        }
+
+        try {
+            const updated = await purchaseOrderService.cancelPurchaseOrder(id);
+            applyUpdate(updated);
+            toast.success(`${updated.poNumber} cancelled`);
+        } catch (error) {
+            console.error('Error cancelling purchase order:', error);
+            toast.error(error.response?.data?.message || 'Failed to cancel purchase order');
+        }
+    };
+
+    const handleExport = async () => {
+        try {
+            const blob = await purchaseOrderService.exportPurchaseOrderCSV(id);
+            const url = window.URL.createObjectURL(new Blob([blob]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `${purchaseOrder.poNumber}.csv`);
+            document.body.appendChild(link);
+            link.click();
+            link.parentNode.removeChild(link);
+        } catch (error) {
+            console.error("Error exporting purchase order:", error);
+            toast.error("Failed to export purchase order");
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <>
+                <AdminSidebar />
+                <div className="flex-1 bg-orange-50/30 min-h-screen flex items-center justify-center">
+                    <Loader2 className="h-8 w-8 animate-spin text-orange-500" />
+                    <span className="ml-2 text-gray-600">Loading purchase order...</span>
+                </div>
+            </>
+        );
+    }
+
+    if (error || !purchaseOrder) {
+        return (
+            <>
+                <AdminSidebar />
+                <div className="flex-1 bg-orange-50/30 min-h-screen p-6">
+                    <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                        <p className="text-red-700">{error || 'Purchase order not found'}</p>
+                        <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => navigate('/admin/purchase-orders')}
+                            className="mt-2"
+                        >
+                            Back to Purchase Orders
+                        </Button>
+                    </div>
+                </div>
+            </>
+        );
+    }
+
+    const isOpen = OPEN_STATUSES.includes(purchaseOrder.status);
+    const supplier = typeof purchaseOrder.supplier === "object" ? purchaseOrder.supplier : null;
+
+    return (
+        <>
+            <AdminSidebar />
+            <div className="flex-1 bg-orange-50/30 min-h-screen">
+                {/* Header */}
+                <header className="bg-white border-b px-6 py-4">
+                    <div className="flex flex-col md:flex-row items-start md:items-center justify-between gap-3">
+                        <div className="flex items-center gap-4">
+                            <SidebarTrigger />
+                            <div>
+                                {/* Breadcrumb */}
+                                <div className="flex items-center gap-2 text-sm text-gray-500 mb-1">
+                                    <span
+                                        className="hover:text-orange-500 cursor-pointer"
+                                        onClick={() => navigate('/admin/purchase-orders')}
+                                    >
+                                        Purchase Orders
+                                    </span>
+                                    <ChevronRight className="h-4 w-4" />
+                                    <span className="text-orange-500">{purchaseOrder.poNumber}</span>
+                                </div>
+                                <div className="flex items-center gap-3">
+                                    <h1 className="text-2xl font-bold text-gray-900">{purchaseOrder.poNumber}</h1>
+                                    <PurchaseOrderStatusBadge status={purchaseOrder.status} />
+                                </div>
+                            </div>
+                        </div>
+
+                        <div className="flex flex-wrap items-center gap-2">
+                            <Button variant="outline" className="gap-2" onClick={() => window.print()}>
+                                <Printer className="h-4 w-4" />
+                                Print
+                            </Button>
+                            <Button variant="outline" className="gap-2" onClick={handleExport}>
+                                <FileDown className="h-4 w-4" />
+                                Export CSV
+                            </Button>
+                            {isOpen && (
+                                <>
+                                    <Button
+                                        variant="outline"
+                                        className="gap-2 text-red-600 hover:bg-red-50"
+                                        onClick={handleCancel}
+                                    >
+                                        <XCircle className="h-4 w-4" />
+                                        Cancel PO
+                                    </Button>
+                                    <Button
+                                        className="gap-2 bg-orange-500 hover:bg-orange-600 text-white"
+                                        onClick={openReceiveDialog}
+                                    >
+                                        <PackageCheck className="h-4 w-4" />
+                                        Receive Goods
+                                    </Button>
+                                </>
+                            )}
+                        </div>
+                    </div>
+                </header>
+
+                {/* Content */}
+                <div className="p-6 max-w-5xl mx-auto space-y-6">
+                    {/* Printable purchase order */}
+                    <Card className="bg-white purchase-order-print">
+                        <CardContent className="p-6 space-y-6">
+                            <div className="flex flex-col md:flex-row justify-between gap-6">
+                                <div>
+                                    <p className="text-sm text-gray-500">Purchase Order</p>
+                                    <p className="text-xl font-bold text-gray-900">{purchaseOrder.poNumber}</p>
+                                    <p className="text-sm text-gray-600 mt-1">
+                                        Ordered {formatDate(purchaseOrder.createdAt)} by {purchaseOrder.orderedBy?.name || 'N/A'}
+                                    </p>
+                                    <p className="text-sm text-gray-600">
+                                        Expected delivery {formatDate(purchaseOrder.expectedDeliveryDate)}
+                                    </p>
+                                </div>
+                                <div className="md:text-right">
+                                    <p className="text-sm text-gray-500">Supplier</p>
+                                    <p className="font-semibold text-gray-900">{purchaseOrder.supplierName}</p>
+                                    {supplier?.contactPerson && <p className="text-sm text-gray-600">{supplier.contactPerson}</p>}
+                                    {supplier?.phone && <p className="text-sm text-gray-600">{supplier.phone}</p>}
+                                    {supplier?.email && <p className="text-sm text-gray-600">{supplier.email}</p>}
+                                    {supplier?.address && <p className="text-sm text-gray-600">{supplier.address}</p>}
+                                </div>
+                            </div>
+
+                            <Table>
+                                <TableHeader>
+                                    <TableRow className="bg-gray-50">
+                                        <TableHead className="font-semibold text-gray-700">ITEM</TableHead>
+                                        <TableHead className="font-semibold text-gray-700 text-right">ORDERED</TableHead>
+                                        <TableHead className="font-semibold text-gray-700 text-right">RECEIVED</TableHead>
+                                        <TableHead className="font-semibold text-gray-700 text-right">UNIT COST</TableHead>
+                                        <TableHead className="font-semibold text-gray-700 text-right">AMOUNT</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {purchaseOrder.items.map((line) => (
+                                        <TableRow key={line.inventoryItem}>
+                                            <TableCell className="font-medium text-gray-900">{line.name}</TableCell>
+                                            <TableCell className="text-right text-gray-600">
+                                                {line.quantityOrdered} {line.unitOfMeasure}
+                                            </TableCell>
+                                            <TableCell className="text-right text-gray-600">
+                                                {line.quantityReceived} {line.unitOfMeasure}
+                                            </TableCell>
+                                            <TableCell className="text-right text-gray-600">₹{line.unitCost.toFixed(2)}</TableCell>
+                                            <TableCell className="text-right font-medium text-gray-900">
+                                                ₹{(line.quantityOrdered * line.unitCost).toFixed(2)}
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                    <TableRow>
+                                        <TableCell colSpan={4} className="text-right font-semibold text-gray-700">Total</TableCell>
+                                        <TableCell className="text-right font-bold text-gray-900">
+                                            ₹{purchaseOrder.orderedTotal.toFixed(2)}
+                                        </TableCell>
+                                    </TableRow>
+                                </TableBody>
+                            </Table>
+
+                            {purchaseOrder.notes && (
+                                <div>
+                                    <p className="text-sm text-gray-500">Notes</p>
+                                    <p className="text-gray-700 whitespace-pre-line">{purchaseOrder.notes}</p>
+                                </div>
+                            )}
+                        </CardContent>
+                    </Card>
+
+                    {/* Receipts */}
+                    <Card className="bg-white">
+                        <CardHeader>
+                            <CardTitle className="text-lg">Deliveries</CardTitle>
+                        </CardHeader>
+                        <CardContent className="space-y-4">
+                            {purchaseOrder.receipts.length === 0 ? (
+                                <p className="text-sm text-gray-500">Nothing has been received yet.</p>
+                            ) : (
+                                purchaseOrder.receipts.map((receipt) => (
+                                    <div key={receipt._id} className="border rounded-lg p-4">
+                                        <div className="flex items-center justify-between text-sm">
+                                            <span className="font-medium text-gray-900">
+                                                {formatDateTime(receipt.receivedAt)}
+                                            </span>
+                                            <span className="text-gray-500">by {receipt.receivedBy?.name || 'N/A'}</span>
+                                        </div>
+                                        <ul className="mt-2 text-sm text-gray-600 space-y-1">
+                                            {receipt.items.map((item) => (
+                                                <li key={item.inventoryItem}>
+                                                    {item.name}: {item.quantity} @ ₹{item.unitCost.toFixed(2)}
+                                                    {item.expiryDate && (
+                                                        <span className="text-gray-500">
+                                                            {" "}(batch {item.batchNumber}, use by {formatDate(item.expiryDate)})
+                                                        </span>
+                                                    )}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                        {receipt.note && <p className="mt-2 text-sm text-gray-500 italic">{receipt.note}</p>}
+                                    </div>
+                                ))
+                            )}
+                            {purchaseOrder.status === "cancelled" && (
+                                <p className="text-sm text-red-600">
+                                    Cancelled {formatDate(purchaseOrder.cancelledAt)} by {purchaseOrder.cancelledBy?.name || 'N/A'}
+                                </p>
+                            )}
+                            {purchaseOrder.receipts.length > 0 && (
+                                <p className="text-sm text-gray-600">
+                                    Received value: <span className="font-semibold">₹{purchaseOrder.receivedTotal.toFixed(2)}</span>
+                                </p>
+                            )}
+                        </CardContent>
+                    </Card>
+                </div>
+
+                {/* Receive Goods Dialog */}
+                <Dialog open={isReceiveOpen} onOpenChange={setIsReceiveOpen}>
+                    <DialogContent className="sm:max-w-2xl">
+                        <DialogHeader>
+                            <DialogTitle>Receive Goods</DialogTitle>
+                            <DialogDescription>
+                                Enter what arrived in this delivery. Leave a line at 0 if it has not arrived yet.
+                            </DialogDescription>
+                        </DialogHeader>
+
+                        {receiveError && (
+                            <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                                <p className="text-sm text-red-700">{receiveError}</p>
+                            </div>
+                        )}
+
+                        <div className="space-y-3">
+                            {receiptLines.map((line) => (
+                                <div key={line.inventoryItem} className="grid grid-cols-3 gap-3 items-end">
+                                    <div>
+                                        <p className="font-medium text-gray-900">{line.name}</p>
+                                        <p className="text-xs text-gray-500">
+                                            {line.outstanding} {line.unitOfMeasure} outstanding
+                                        </p>
+                                    </div>
+                                    <div>
+                                        <Label className="text-xs text-gray-600">Quantity ({line.unitOfMeasure})</Label>
+                                        <Input
+                                            type="number"
+                                            min="0"
+                                            max={line.outstanding}
+                                            step="any"
+                                            value={line.quantity}
+                                            onChange={(e) => updateReceiptLine(line.inventoryItem, { quantity: e.target.value })}
+                                        />
+                                    </div>
+                                    <div>
+                                        <Label className="text-xs text-gray-600">Unit Cost (₹)</Label>
+                                        <Input
+                                            type="number"
+                                            min="0"
+                                            step="0.01"
+                                            value={line.unitCost}
+                                            onChange={(e) => updateReceiptLine(line.inventoryItem, { unitCost: e.target.value })}
+                                        />
+                                    </div>
+                                    {line.isPerishable && (
+                                        <>
+                                            <p className="text-xs text-orange-600">Perishable: received as a batch</p>
+                                            <div>
+                                                <Label className="text-xs text-gray-600">Expiry Date</Label>
+                                                <Input
+                                                    type="date"
+                                                    value={line.expiryDate}
+                                                    onChange={(e) => updateReceiptLine(line.inventoryItem, { expiryDate: e.target.value })}
+                                                />
+                                            </div>
+                                            <div>
+                                                <Label className="text-xs text-gray-600">Batch No. (Optional)</Label>
+                                                <Input
+                                                    placeholder={purchaseOrder.poNumber}
+                                                    value={line.batchNumber}
+                                                    onChange={(e) => updateReceiptLine(line.inventoryItem, { batchNumber: e.target.value })}
+                                                />
+                                            </div>
+                                        </>
+                                    )}
+                                </div>
+                            ))}
+                            <div>
+                                <Label htmlFor="receiptNote" className="text-sm">Note</Label>
+                                <Textarea
+                                    id="receiptNote"
+                                    placeholder="Invoice number, short delivery..."
+                                    value={receiptNote}
+                                    onChange={(e) => setReceiptNote(e.target.value)}
+                                    maxLength={200}
+                                    className="mt-1 resize-none"
+                                />
+                            </div>
+                        </div>
+
+                        <DialogFooter>
+                            <Button variant="outline" onClick={() => setIsReceiveOpen(false)} disabled={isSubmitting}>
+                                Cancel
+                            </Button>
+                            <Button
+                                className="bg-orange-500 hover:bg-orange-600 text-white"
+                                onClick={handleReceive}
+                                disabled={isSubmitting}
+                            >
+                                {isSubmitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                                Add to Stock
+                            </Button>
+                        </DialogFooter>
+                    </DialogContent>
+                </Dialog>
+            </div>
+
+            <style>{`
+                @media print {
+                    body * {
+                        visibility: hidden;
+                    }
+                    .purchase-order-print,
+                    .purchase-order-print * {
+                        visibility: visible;
+                    }
+                    .purchase-order-print {
+                        position: absolute;
+                        left: 0;
+                        top: 0;
+                        width: 100%;
+                    }
+                }
+            `}</style>
+        </>
+    );
+}
@@ -0,0 +1,226 @@
+// src/pages/PurchaseOrders.jsx
+/**
+ * Purchase Orders Page - Lists purchase orders raised with suppliers and how much has arrived.
+ * New POs are built from low-stock items; receiving happens on the PO detail page.
+ */
+import { useState, useEffect } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { Button } from "../../components/ui/button";
+import { Label } from "../../components/ui/label";
+import { SidebarTrigger } from "../../components/ui/sidebar";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "../../components/ui/select";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../../components/ui/table";
+import { Plus, Loader2, Truck, Eye } from "lucide-react";
+import AdminSidebar from "@/components/admin/Sidebar";
+import PurchaseOrderStatusBadge from "@/components/admin/PurchaseOrderStatusBadge";
+import purchaseOrderService from "@/services/purchaseOrderService";
+import supplierService from "@/services/supplierService";
+
+const formatDate = (dateString) => {
+    if (!dateString) return "—";
+    return new Date(dateString).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+    });
+};
+
+export default function PurchaseOrders() {
+    const navigate = useNavigate();
+    const [purchaseOrders, setPurchaseOrders] = useState([]);
+    const [suppliers, setSuppliers] = useState([]);
+    const [statusFilter, setStatusFilter] = useState("all");
+    const [supplierFilter, setSupplierFilter] = useState("all");
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        supplierService.fetchAllSuppliers()
+            .then(setSuppliers)
+            .catch((error) => console.error('Error fetching suppliers:', error));
+    }, []);
+
+    useEffect(() => {
+        const fetchPurchaseOrders = async () => {
+            setIsLoading(true);
+            setError(null);
+            try {
+                const data = await purchaseOrderService.fetchPurchaseOrders({
+                    status: statusFilter,
+                    supplier: supplierFilter,
+                });
+                setPurchaseOrders(data);
+            } catch (error) {
+                console.error('Error fetching purchase orders:', error);
+                setError('Failed to load purchase orders. Please try again.');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        fetchPurchaseOrders();
+    }, [statusFilter, supplierFilter]);
+
+    return (
+        <>
+            <AdminSidebar />
+            <div className="flex-1 bg-gray-50 min-h-screen">
+                {/* Header */}
+                <header className="bg-white border-b px-6 py-4">
+                    <div className="flex flex-col md:flex-row items-start md:items-center justify-between">
+                        <div className="flex items-center gap-4">
+                            <SidebarTrigger />
+                            <h1 className="text-xl md:text-2xl font-bold text-gray-900">Purchase Orders</h1>
+                        </div>
+
+                        <div className="flex items-center gap-2 mt-3 md:mt-0">
+                            <Link to="/admin/suppliers">
+                                <Button variant="outline" className="gap-2 cursor-pointer">
+                                    <Truck className="h-4 w-4" />
+                                    Suppliers
+                                </Button>
+                            </Link>
+                            <Link to="/admin/purchase-orders/new">
+                                <Button className="bg-orange-500 hover:bg-orange-600 text-white cursor-pointer">
+                                    <Plus className="h-4 w-4 mr-2" />
+                                    New Purchase Order
+                                </Button>
+                            </Link>
+                        </div>
+                    </div>
+                </header>
+
+                {/* Content */}
+                <div className="p-6">
+                    {/* Filters */}
+                    <div className="bg-white rounded-lg border p-4 mb-6">
+                        <div className="flex flex-col md:flex-row gap-4">
+                            <div className="w-full md:w-56">
+                                <Label className="text-sm text-gray-600 mb-2 block">Status</Label>
+                                <Select value={statusFilter} onValueChange={setStatusFilter}>
+                                    <SelectTrigger className="cursor-pointer">
+                                        <SelectValue placeholder="All Statuses" />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        <SelectItem className="cursor-pointer" value="all">All Statuses</SelectItem>
+                                        <SelectItem className="cursor-pointer" value="ordered">Ordered</SelectItem>
+                                        <SelectItem className="cursor-pointer" value="partially-received">Partially Received</SelectItem>
+                                        <SelectItem className="cursor-pointer" value="received">Received</SelectItem>
+                                        <SelectItem className="cursor-pointer" value="cancelled">Cancelled</SelectItem>
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                            <div className="w-full md:w-56">
+                                <Label className="text-sm text-gray-600 mb-2 block">Supplier</Label>
+                                <Select value={supplierFilter} onValueChange={setSupplierFilter}>
+                                    <SelectTrigger className="cursor-pointer">
+                                        <SelectValue placeholder="All Suppliers" />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        <SelectItem className="cursor-pointer" value="all">All Suppliers</SelectItem>
+                                        {suppliers.map((supplier) => (
+                                            <SelectItem key={supplier._id} className="cursor-pointer" value={supplier._id}>
+                                                {supplier.name}
+                                            </SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Loading State */}
+                    {isLoading && (
+                        <div className="flex items-center justify-center py-12">
+                            <Loader2 className="h-8 w-8 animate-spin text-orange-500" />
+                            <span className="ml-2 text-gray-600">Loading purchase orders...</span>
+                        </div>
+                    )}
+
+                    {/* Error State */}
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+                            <p className="text-red-700">{error}</p>
+                        </div>
+                    )}
+
+                    {/* Purchase Orders Table */}
+                    {!isLoading && !error && (
+                        <div className="bg-white rounded-lg border overflow-hidden">
+                            <Table>
+                                <TableHeader>
+                                    <TableRow className="bg-gray-50">
+                                        <TableHead className="font-semibold text-gray-700">PO NUMBER</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">SUPPLIER</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">ITEMS</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">TOTAL</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">EXPECTED</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">STATUS</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">ACTIONS</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {purchaseOrders.length === 0 ? (
+                                        <TableRow>
+                                            <TableCell colSpan={7} className="text-center py-8 text-gray-500">
+                                                No purchase orders found. Click 'New Purchase Order' to restock low items.
+                                            </TableCell>
+                                        </TableRow>
+                                    ) : (
+                                        purchaseOrders.map((purchaseOrder) => (
+                                            <TableRow key={purchaseOrder._id} className="hover:bg-gray-50">
+                                                <TableCell>
+                                                    <p className="font-medium text-gray-900">{purchaseOrder.poNumber}</p>
+                                                    <p className="text-sm text-gray-500">
+                                                        {formatDate(purchaseOrder.createdAt)} by {purchaseOrder.orderedBy?.name || 'N/A'}
+                                                    </p>
+                                                </TableCell>
+                                                <TableCell className="text-gray-900">{purchaseOrder.supplierName}</TableCell>
+                                                <TableCell className="text-gray-600">
+                                                    {purchaseOrder.items.map((item) => item.name).join(", ")}
+                                                </TableCell>
+                                                <TableCell className="font-medium text-gray-900">
+                                                    ₹{purchaseOrder.orderedTotal.toFixed(2)}
+                                                </TableCell>
+                                                <TableCell className="text-gray-600">
+                                                    {formatDate(purchaseOrder.expectedDeliveryDate)}
+                                                </TableCell>
+                                                <TableCell>
+                                                    <PurchaseOrderStatusBadge status={purchaseOrder.status} />
+                                                </TableCell>
+                                                <TableCell>
+                                                    <Button
+                                                        variant="outline"
+                                                        size="sm"
+                                                        className="cursor-pointer"
+                                                        onClick={() => navigate(`/admin/purchase-orders/${purchaseOrder._id}`)}
+                                                    >
+                                                        <Eye className="h-4 w-4 mr-1" />
+                                                        View
+                                                    </Button>
+                                                </TableCell>
+                                            </TableRow>
+                                        ))
+                                    )}
+                                </TableBody>
+                            </Table>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+}
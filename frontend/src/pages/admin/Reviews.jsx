@@ -0,0 +1,242 @@
+// src/pages/Reviews.jsx
+/**
+ * Reviews Page - Moderation queue for customer reviews of menu items.
+ * Star-only ratings count straight away; reviews with a comment count once approved.
+ */
+import { useState, useEffect, useCallback } from "react";
+import { Button } from "../../components/ui/button";
+import { Badge } from "../../components/ui/badge";
+import { SidebarTrigger } from "../../components/ui/sidebar";
+import { Tabs, TabsList, TabsTrigger } from "../../components/ui/tabs";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../../components/ui/table";
+import { Check, X, Star, Loader2 } from "lucide-react";
+import AdminSidebar from "@/components/admin/Sidebar";
+import reviewService from "@/services/reviewService";
+import { useSocket } from "@/context/SocketContext";
+import { toast } from "sonner";
+
+const STATUS_TABS = [
+    { value: "pending", label: "Pending" },
+    { value: "approved", label: "Approved" },
+    { value: "rejected", label: "Rejected" },
+];
+
+const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+    });
+
+export default function Reviews() {
+    const { socket } = useSocket();
+    const [status, setStatus] = useState("pending");
+    const [reviews, setReviews] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    // ID of the review being approved or rejected
+    const [moderatingId, setModeratingId] = useState(null);
+
+    const fetchReviews = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const response = await reviewService.fetchReviews(status);
+            setReviews(response.data || []);
+        } catch (error) {
+            console.error('Error fetching reviews:', error);
+            setError('Failed to load reviews. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [status]);
+
+    useEffect(() => {
+        fetchReviews();
+    }, [fetchReviews]);
+
+    // New reviews waiting for moderation
+    useEffect(() => {
+        if (!socket) return;
+
+        socket.emit("admin:join");
+
+        const handlePendingReview = ({ menuItemName }) => {
+            toast.info(`New review of ${menuItemName} to check`);
+            if (status === "pending") {
+                fetchReviews();
+            }
+        };
+
+        socket.on("review:pending", handlePendingReview);
+
+        return () => {
+            socket.off("review:pending", handlePendingReview);
+        };
+    }, [socket, status, fetchReviews]);
+
+    const handleModerate = async (review, newStatus) => {
+        setModeratingId(review._id);
+        try {
+            const response = await reviewService.moderateReview(review._id, newStatus);
+            const { menuItem } = response.data;
+            // The review leaves this tab
+            setReviews((prev) => prev.filter((r) => r._id !== review._id));
+            toast.success(menuItem.ratingCount > 0
+                ? `${response.message}. ${review.menuItemName} is now rated ${menuItem.rating} from ${menuItem.ratingCount} ${menuItem.ratingCount === 1 ? "review" : "reviews"}`
+                : `${response.message}. ${review.menuItemName} has no rating yet`);
+        } catch (error) {
+            console.error('Error moderating review:', error);
+            toast.error(error.response?.data?.message || "Failed to update review");
+        } finally {
+            setModeratingId(null);
+        }
+    };
+
+    return (
+        <>
+            <AdminSidebar />
+            <div className="flex-1 bg-gray-50 min-h-screen">
+                {/* Header */}
+                <header className="bg-white border-b px-6 py-4">
+                    <div className="flex flex-col md:flex-row items-start md:items-center justify-between">
+                        <div className="flex items-center gap-4">
+                            <SidebarTrigger />
+                            <h1 className="text-xl md:text-2xl font-bold text-gray-900">Reviews</h1>
+                        </div>
+
+                        <Tabs value={status} onValueChange={setStatus} className="mt-3 md:mt-0">
+                            <TabsList className="bg-gray-100">
+                                {STATUS_TABS.map((tab) => (
+                                    <TabsTrigger
+                                        key={tab.value}
+                                        value={tab.value}
+                                        className="data-[state=active]:bg-orange-500 data-[state=active]:text-white"
+                                    >
+                                        {tab.label}
+                                    </TabsTrigger>
+                                ))}
+                            </TabsList>
+                        </Tabs>
+                    </div>
+                </header>
+
+                {/* Content */}
+                <div className="p-6">
+                    <p className="text-sm text-gray-500 mb-4">
+                        Only customers who were served an item can review it. Menu ratings are the average of
+                        approved reviews; Top Rated also weighs how many reviews an item has.
+                    </p>
+
+                    {/* Loading State */}
+                    {isLoading && (
+                        <div className="flex items-center justify-center py-12">
+                            <Loader2 className="h-8 w-8 animate-spin text-orange-500" />
+                            <span className="ml-2 text-gray-600">Loading reviews...</span>
+                        </div>
+                    )}
+
+                    {/* Error State */}
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+                            <p className="text-red-700">{error}</p>
+                            <Button variant="outline" size="sm" onClick={fetchReviews} className="mt-2">
+                                Retry
+                            </Button>
+                        </div>
+                    )}
+
+                    {/* Reviews Table */}
+                    {!isLoading && !error && (
+                        <div className="bg-white rounded-lg border overflow-x-auto">
+                            <Table>
+                                <TableHeader>
+                                    <TableRow className="bg-gray-50">
+                                        <TableHead className="font-semibold text-gray-700">ITEM</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">RATING</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">REVIEW</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">CUSTOMER</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">DATE</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">ACTIONS</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {reviews.length === 0 ? (
+                                        <TableRow>
+                                            <TableCell colSpan={6} className="text-center py-8 text-gray-500">
+                                                {status === "pending" ? "No reviews waiting for moderation." : `No ${status} reviews.`}
+                                            </TableCell>
+                                        </TableRow>
+                                    ) : (
+                                        reviews.map((review) => (
+                                            <TableRow key={review._id} className="hover:bg-gray-50">
+                                                <TableCell className="font-medium text-gray-900">{review.menuItemName}</TableCell>
+                                                <TableCell>
+                                                    <span className="flex items-center gap-1 text-gray-900">
+                                                        <Star className="h-4 w-4 fill-yellow-400 text-yellow-400" />
+                                                        {review.rating}
+                                                    </span>
+                                                </TableCell>
+                                                <TableCell className="text-gray-600 max-w-md whitespace-normal">
+                                                    {review.comment || <span className="text-gray-400">No comment</span>}
+                                                </TableCell>
+                                                <TableCell className="text-gray-600">
+                                                    <div>{review.customer?.name || review.customerName}</div>
+                                                    {review.customer?.phone && (
+                                                        <div className="text-xs text-gray-400">{review.customer.phone}</div>
+                                                    )}
+                                                </TableCell>
+                                                <TableCell className="text-gray-600">{formatDate(review.createdAt)}</TableCell>
+                                                <TableCell>
+                                                    <div className="flex items-center gap-2">
+                                                        {review.status !== "approved" && (
+                                                            <Button
+                                                                variant="outline"
+                                                                size="sm"
+                                                                className="cursor-pointer text-green-700 hover:bg-green-50"
+                                                                disabled={moderatingId === review._id}
+                                                                onClick={() => handleModerate(review, "approved")}
+                                                            >
+                                                                <Check className="h-4 w-4 mr-1" />
+                                                                Approve
+                                                            </Button>
+                                                        )}
+                                                        {review.status !== "rejected" && (
+                                                            <Button
+                                                                variant="outline"
+                                                                size="sm"
+                                                                className="cursor-pointer text-red-600 hover:bg-red-50"
+                                                                disabled={moderatingId === review._id}
+                                                                onClick={() => handleModerate(review, "rejected")}
+                                                            >
+                                                                <X className="h-4 w-4 mr-1" />
+                                                                Reject
+                                                            </Button>
+                                                        )}
+                                                        {review.moderatedBy?.name && (
+                                                            <Badge className="bg-gray-100 text-gray-600 hover:bg-gray-100">
+                                                                by {review.moderatedBy.name}
+                                                            </Badge>
+                                                        )}
+                                                    </div>
+                                                </TableCell>
+                                            </TableRow>
+                                        ))
+                                    )}
+                                </TableBody>
+                            </Table>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+}
@@ -0,0 +1,350 @@
+/**
+ * StaffRoles Page - Admin view for staff login accounts and their roles.
+ * Managers assign Manager, Cashier, Chef or Inventory Manager roles, which decide
+ * the dashboard sections each login can use.
+ */
+import React, { useState, useEffect, useContext } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogHeader,
+    DialogTitle,
+    DialogFooter,
+} from "@/components/ui/dialog";
+import { ShieldCheck, Loader2, UserPlus, Search } from "lucide-react";
+import adminService from "@/services/adminService";
+import AuthContext from "@/context/AuthContext";
+import { ADMIN_ROLES, ROLE_PERMISSIONS } from "@/lib/permissions";
+import { toast } from "sonner";
+
+// Human-readable labels for permission keys
+const PERMISSION_LABELS = {
+    "orders": "Orders",
+    "payments": "Payments",
+    "bills": "Bills",
+    "menu": "Menu",
+    "inventory": "Inventory",
+    "employees": "Employees",
+    "analytics": "Analytics",
+    "staff-roles": "Staff Roles",
+};
+
+const EMPTY_NEW_STAFF = {
+    name: "",
+    email: "",
+    phoneNumber: "",
+    password: "",
+    position: "",
+    role: "Cashier",
+};
+
+const StaffRoles = () => {
+    const { admin } = useContext(AuthContext);
+    const [staff, setStaff] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [searchQuery, setSearchQuery] = useState("");
+    const [updatingId, setUpdatingId] = useState(null);
+    const [isAddDialogOpen, setIsAddDialogOpen] = useState(false);
+    const [newStaff, setNewStaff] = useState(EMPTY_NEW_STAFF);
+    const [isCreating, setIsCreating] = useState(false);
+
+    // Fetch staff accounts on mount
+    useEffect(() => {
+        fetchStaff();
+    }, []);
+
+    const fetchStaff = async () => {
+        setIsLoading(true);
+        try {
+            const data = await adminService.getStaffAccounts();
+            setStaff(data.staff || []);
+        } catch (error) {
+            console.error("Error fetching staff accounts:", error);
+            toast.error("Failed to load staff accounts");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleRoleChange = async (staffMember, role) => {
+        if (role === staffMember.role) return;
+
+        setUpdatingId(staffMember._id);
+        try {
+            const updated = await adminService.updateStaffRole(staffMember._id, role);
+            setStaff(staff.map(s => (s._id === updated._id ? updated : s)));
+            toast.success(`${updated.name} is now ${updated.role}`);
+        } catch (error) {
+            console.error("Error updating staff role:", error);
+            toast.error(error.response?.data?.message || "Failed to update role");
+        } finally {
+            setUpdatingId(null);
+        }
+    };
+
+    const handleNewStaffChange = (field, value) => {
+        setNewStaff(prev => ({ ...prev, [field]: value }));
+    };
+
+    const handleCreateStaff = async () => {
+        const { name, email, phoneNumber, password, position } = newStaff;
+        if (!name || !email || !phoneNumber || !password || !position) {
+            toast.error("Please fill in all fields");
+            return;
+        }
+
+        setIsCreating(true);
+        try {
+            await adminService.registerAdmin(newStaff);
+            toast.success(`Login created for ${name}`);
+            setIsAddDialogOpen(false);
+            setNewStaff(EMPTY_NEW_STAFF);
+            fetchStaff();
+        } catch (error) {
+            console.error("Error creating staff login:", error);
+            toast.error(error.response?.data?.message || "Failed to create staff login");
+        } finally {
+            setIsCreating(false);
+        }
+    };
+
+    const filteredStaff = staff.filter((member) => {
+        const query = searchQuery.toLowerCase();
+        return (
+            member.name.toLowerCase().includes(query) ||
+            member.email.toLowerCase().includes(query) ||
+            member.position?.toLowerCase().includes(query)
+        );
+    });
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center justify-center min-h-screen">
+                <div className="flex flex-col items-center gap-2">
+                    <Loader2 className="h-8 w-8 animate-spin text-red-600" />
+                    <p className="text-gray-600">Loading staff accounts...</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="p-6 space-y-6">
+            {/* Page Header */}
+            <div className="flex items-center justify-between">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-2">
+                        <ShieldCheck className="h-8 w-8 text-red-600" />
+                        Staff Roles
+                    </h1>
+                    <p className="text-gray-600 mt-1">Choose which dashboard sections each staff login can use</p>
+                </div>
+                <Button
+                    className="bg-red-600 hover:bg-red-700 gap-2"
+                    onClick={() => setIsAddDialogOpen(true)}
+                >
+                    <UserPlus className="h-4 w-4" />
+                    Add Staff Login
+                </Button>
+            </div>
+
+            {/* Permission Matrix */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                {ADMIN_ROLES.map((role) => (
+                    <Card key={role}>
+                        <CardContent className="pt-6">
+                            <div className="space-y-2">
+                                <p className="text-sm font-semibold text-gray-900">{role}</p>
+                                <div className="flex flex-wrap gap-1">
+                                    {ROLE_PERMISSIONS[role].map((permission) => (
+                                        <Badge key={permission} variant="secondary">
+                                            {PERMISSION_LABELS[permission]}
+                                        </Badge>
+                                    ))}
+                                </div>
+                            </div>
+                        </CardContent>
+                    </Card>
+                ))}
+            </div>
+
+            {/* Search Bar */}
+            <div className="relative">
+                <Search className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+                <Input
+                    placeholder="Search by name, email, or position..."
+                    value={searchQuery}
+                    onChange={(e) => setSearchQuery(e.target.value)}
+                    className="pl-10"
+                />
+            </div>
+
+            {/* Staff List */}
+            <div className="space-y-4">
+                {filteredStaff.length === 0 ? (
+                    <Card className="border-dashed">
+                        <CardContent className="pt-6 text-center">
+                            <ShieldCheck className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+                            <p className="text-gray-500">No staff accounts found</p>
+                        </CardContent>
+                    </Card>
+                ) : (
+                    filteredStaff.map((member) => {
+                        const isCurrentAdmin = member._id === admin?._id;
+
+                        return (
+                            <Card key={member._id}>
+                                <CardContent className="pt-6">
+                                    <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                                        <div className="grid grid-cols-2 md:grid-cols-3 gap-4 text-sm flex-1">
+                                            <div>
+                                                <p className="text-xs text-gray-500">Name</p>
+                                                <p className="font-medium text-gray-900">
+                                                    {member.name}
+                                                    {isCurrentAdmin && <span className="text-gray-500"> (you)</span>}
+                                                </p>
+                                            </div>
+                                            <div>
+                                                <p className="text-xs text-gray-500">Email</p>
+                                                <p className="font-medium text-gray-900 truncate">{member.email}</p>
+                                            </div>
+                                            <div>
+                                                <p className="text-xs text-gray-500">Position</p>
+                                                <p className="font-medium text-gray-900">{member.position}</p>
+                                            </div>
+                                        </div>
+                                        <div className="flex items-center gap-2">
+                                            {updatingId === member._id && (
+                                                <Loader2 className="h-4 w-4 animate-spin text-gray-500" />
+                                            )}
+                                            <Select
+                                                value={member.role}
+                                                onValueChange={(role) => handleRoleChange(member, role)}
+                                                disabled={isCurrentAdmin || updatingId === member._id}
+                                            >
+                                                <SelectTrigger className="w-full md:w-48">
+                                                    <SelectValue placeholder="Select role" />
+                                                </SelectTrigger>
+                                                <SelectContent>
+                                                    {ADMIN_ROLES.map((role) => (
+                                                        <SelectItem key={role} value={role}>{role}</SelectItem>
+                                                    ))}
+                                                </SelectContent>
+                                            </Select>
+                                        </div>
+                                    </div>
+                                </CardContent>
+                            </Card>
+                        );
+                    })
+                )}
+            </div>
+
+            {/* Add Staff Login Dialog */}
+            <Dialog open={isAddDialogOpen} onOpenChange={setIsAddDialogOpen}>
+                <DialogContent>
+                    <DialogHeader>
+                        <DialogTitle>Add Staff Login</DialogTitle>
+                        <DialogDescription>
+                            Create a dashboard login and choose its role.
+                        </DialogDescription>
+                    </DialogHeader>
+
+                    <div className="space-y-4">
+                        <div className="space-y-2">
+                            <Label htmlFor="staffName">Full Name</Label>
+                            <Input
+                                id="staffName"
+                                value={newStaff.name}
+                                onChange={(e) => handleNewStaffChange("name", e.target.value)}
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="staffEmail">Email</Label>
+                            <Input
+                                id="staffEmail"
+                                type="email"
+                                value={newStaff.email}
+                                onChange={(e) => handleNewStaffChange("email", e.target.value)}
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="staffPhone">Phone Number</Label>
+                            <Input
+                                id="staffPhone"
+                                value={newStaff.phoneNumber}
+                                onChange={(e) => handleNewStaffChange("phoneNumber", e.target.value)}
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="staffPassword">Temporary Password</Label>
+                            <Input
+                                id="staffPassword"
+                                type="password"
+                                value={newStaff.password}
+                                onChange={(e) => handleNewStaffChange("password", e.target.value)}
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="staffPosition">Position</Label>
+                            <Input
+                                id="staffPosition"
+                                placeholder="e.g. Head Chef"
+                                value={newStaff.position}
+                                onChange={(e) => handleNewStaffChange("position", e.target.value)}
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <Label>Role</Label>
+                            <Select
+                                value={newStaff.role}
+                                onValueChange={(role) => handleNewStaffChange("role", role)}
+                            >
+                                <SelectTrigger>
+                                    <SelectValue placeholder="Select role" />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {ADMIN_ROLES.map((role) => (
+                                        <SelectItem key={role} value={role}>{role}</SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                    </div>
+
+                    <DialogFooter>
+                        <Button
+                            variant="outline"
+                            onClick={() => setIsAddDialogOpen(false)}
+                        >
+                            Cancel
+                        </Button>
+                        <Button
+                            className="bg-red-600 hover:bg-red-700"
+                            onClick={handleCreateStaff}
+                            disabled={isCreating}
+                        >
+                            {isCreating && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                            Create Login
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </div>
+    );
+};
+
+export default StaffRoles;
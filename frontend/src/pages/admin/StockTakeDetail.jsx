@@ -0,0 +1,413 @@
+// src/pages/StockTakeDetail.jsx
+/**
+ * Stock-take Detail Page - Count sheet and variance report for one stock-take.
+ * While counting, the sheet is a blind count laid out for phones: each quantity is saved as soon
+ * as it is entered, and expected quantities stay hidden so they cannot sway the count.
+ * Once submitted, variances against the system quantity are shown for a manager to approve.
+ */
+import { useState, useEffect, useContext } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { Input } from "../../components/ui/input";
+import { Button } from "../../components/ui/button";
+import { Card, CardContent } from "../../components/ui/card";
+import { SidebarTrigger } from "../../components/ui/sidebar";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../../components/ui/table";
+import { CheckCircle2, ChevronRight, Loader2, Search, Send, XCircle } from "lucide-react";
+import AdminSidebar from "@/components/admin/Sidebar";
+import StockTakeStatusBadge from "@/components/admin/StockTakeStatusBadge";
+import AuthContext from "@/context/AuthContext";
+import stockTakeService from "@/services/stockTakeService";
+import { toast } from "sonner";
+
+const formatDateTime = (dateString) => {
+    if (!dateString) return "—";
+    return new Date(dateString).toLocaleString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+    });
+};
+
+const formatSigned = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+const formatVarianceValue = (value) => {
+    if (value === null) return "—";
+    const sign = value > 0 ? "+" : value < 0 ? "-" : "";
+    return `${sign}₹${Math.abs(value).toFixed(2)}`;
+};
+
+const getVarianceClassName = (variance) => {
+    if (variance < 0) return "text-red-600";
+    if (variance > 0) return "text-green-600";
+    return "text-gray-600";
+};
+
+// Count inputs keyed by inventory item, as typed
+const toDrafts = (lines) => Object.fromEntries(lines.map((line) => [
+    line.inventoryItem,
+    line.countedQuantity === null ? "" : line.countedQuantity.toString(),
+]));
+
+export default function StockTakeDetail() {
+    const { id } = useParams();
+    const navigate = useNavigate();
+    const { admin } = useContext(AuthContext);
+    const isManager = admin?.role === "Manager";
+
+    const [stockTake, setStockTake] = useState(null);
+    const [drafts, setDrafts] = useState({});
+    const [savingItemId, setSavingItemId] = useState(null);
+    const [searchQuery, setSearchQuery] = useState("");
+    const [showUncountedOnly, setShowUncountedOnly] = useState(false);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isUpdating, setIsUpdating] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchStockTake = async () => {
+            setIsLoading(true);
+            try {
+                const data = await stockTakeService.fetchStockTakeById(id);
+                setStockTake(data);
+                setDrafts(toDrafts(data.lines));
+            } catch (error) {
+                console.error('Error fetching stock-take:', error);
+                setError(error.response?.data?.message || 'Failed to load stock-take. Please try again.');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        fetchStockTake();
+    }, [id]);
+
+    const saveCount = async (line) => {
+        const draft = drafts[line.inventoryItem]?.trim() ?? "";
+        const counted = draft === "" ? null : parseFloat(draft);
+        if (counted === line.countedQuantity) return;
+        if (counted !== null && (Number.isNaN(counted) || counted < 0)) {
+            toast.error(`Enter 0 or more for ${line.name}`);
+            return;
+        }
+
+        setSavingItemId(line.inventoryItem);
+        try {
+            const updated = await stockTakeService.countStockTakeLine(id, line.inventoryItem, counted);
+            setStockTake(updated);
+        } catch (error) {
+            console.error('Error saving count:', error);
+            toast.error(error.response?.data?.message || `Failed to save the count for ${line.name}`);
+        } finally {
+            setSavingItemId(null);
+        }
+    };
+
+    const runAction = async (action, successMessage) => {
+        setIsUpdating(true);
+        try {
+            const updated = await action(id);
+            setStockTake(updated);
+            toast.success(successMessage(updated));
+        } catch (error) {
+            console.error('Error updating stock-take:', error);
+            toast.error(error.response?.data?.message || 'Failed to update stock-take');
+        } finally {
+            setIsUpdating(false);
+        }
+    };
+
+    const handleSubmit = () => {
+        const uncounted = stockTake.lines.length - stockTake.countedCount;
+        if (uncounted > 0 && !window.confirm(`${uncounted} item(s) have not been counted and will not be adjusted. Submit anyway?`)) {
+            return;
+        }
+        runAction(stockTakeService.submitStockTake, (updated) => `${updated.stockTakeNumber} sent for approval`);
+    };
+
+    const handleApprove = () => {
+        if (!window.confirm(`Approve ${stockTake.stockTakeNumber}? Stock of every counted item will be set to the counted quantity.`)) {
+            return;
+        }
+        runAction(stockTakeService.approveStockTake, (updated) => `${updated.stockTakeNumber} approved and stock adjusted`);
+    };
+
+    const handleCancel = () => {
+        if (!window.confirm(`Cancel ${stockTake.stockTakeNumber}? The counts will be kept but stock will not be adjusted.`)) {
+            return;
+        }
+        runAction(stockTakeService.cancelStockTake, (updated) => `${updated.stockTakeNumber} cancelled`);
+    };
+
+    const isCounting = stockTake?.status === "counting";
+    const isOpen = stockTake && ["counting", "submitted"].includes(stockTake.status);
+
+    const visibleLines = stockTake
+        ? stockTake.lines.filter((line) => {
+            const matchesSearch = line.name.toLowerCase().includes(searchQuery.toLowerCase());
+            const matchesCounted = !showUncountedOnly || line.countedQuantity === null;
+            return matchesSearch && matchesCounted;
+        })
+        : [];
+
+    const countedLines = stockTake ? stockTake.lines.filter((line) => line.countedQuantity !== null) : [];
+    const shortageValue = countedLines.reduce((sum, line) => sum + Math.min(line.varianceValue || 0, 0), 0);
+    const surplusValue = countedLines.reduce((sum, line) => sum + Math.max(line.varianceValue || 0, 0), 0);
+
+    return (
+        <>
+            <AdminSidebar />
+            <div className="flex-1 bg-gray-50 min-h-screen">
+                {/* Header */}
+                <header className="bg-white border-b px-4 md:px-6 py-4">
+                    <div className="flex flex-col md:flex-row items-start md:items-center justify-between gap-3">
+                        <div className="flex items-center gap-4">
+                            <SidebarTrigger />
+                            <div>
+                                {/* Breadcrumb */}
+                                <div className="flex items-center gap-2 text-sm text-gray-500 mb-1">
+                                    <span
+                                        className="hover:text-orange-500 cursor-pointer"
+                                        onClick={() => navigate('/admin/stock-takes')}
+                                    >
+                                        Stock-takes
+                                    </span>
+                                    <ChevronRight className="h-4 w-4" />
+                                    <span className="text-orange-500">{stockTake?.stockTakeNumber || "Stock-take"}</span>
+                                </div>
+                                <h1 className="text-xl md:text-2xl font-bold text-gray-900">
+                                    {stockTake ? `Count: ${stockTake.category || "All categories"}` : "Stock-take"}
+                                </h1>
+                            </div>
+                        </div>
+
+                        {stockTake && (
+                            <div className="flex flex-wrap items-center gap-2">
+                                <StockTakeStatusBadge status={stockTake.status} />
+                                {isCounting && (
+                                    <Button
+                                        className="bg-orange-500 hover:bg-orange-600 text-white"
+                                        onClick={handleSubmit}
+                                        disabled={isUpdating || stockTake.countedCount === 0}
+                                    >
+                                        <Send className="h-4 w-4 mr-2" />
+                                        Submit for Approval
+                                    </Button>
+                                )}
+                                {stockTake.status === "submitted" && isManager && (
+                                    <Button
+                                        className="bg-green-600 hover:bg-green-700 text-white"
+                                        onClick={handleApprove}
+                                        disabled={isUpdating}
+                                    >
+                                        <CheckCircle2 className="h-4 w-4 mr-2" />
+                                        Approve Adjustments
+                                    </Button>
+                                )}
+                                {isOpen && (
+                                    <Button
+                                        variant="outline"
+                                        className="text-red-600 hover:text-red-700"
+                                        onClick={handleCancel}
+                                        disabled={isUpdating}
+                                    >
+                                        <XCircle className="h-4 w-4 mr-2" />
+                                        Cancel
+                                    </Button>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                </header>
+
+                {/* Content */}
+                <div className="p-4 md:p-6 space-y-6">
+                    {/* Loading State */}
+                    {isLoading && (
+                        <div className="flex items-center justify-center py-12">
+                            <Loader2 className="h-8 w-8 animate-spin text-orange-500" />
+                            <span className="ml-2 text-gray-600">Loading stock-take...</span>
+                        </div>
+                    )}
+
+                    {/* Error State */}
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                            <p className="text-red-700">{error}</p>
+                        </div>
+                    )}
+
+                    {!isLoading && !error && stockTake && (
+                        <>
+                            {/* Progress */}
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                                <Card className="bg-white">
+                                    <CardContent className="p-4">
+                                        <p className="text-sm text-gray-500">Counted</p>
+                                        <p className="text-2xl font-bold text-gray-900">
+                                            {stockTake.countedCount} / {stockTake.lines.length}
+                                        </p>
+                                    </CardContent>
+                                </Card>
+                                <Card className="bg-white">
+                                    <CardContent className="p-4">
+                                        <p className="text-sm text-gray-500">Started</p>
+                                        <p className="text-sm font-medium text-gray-900">{formatDateTime(stockTake.createdAt)}</p>
+                                        <p className="text-xs text-gray-500">by {stockTake.startedBy?.name || "N/A"}</p>
+                                    </CardContent>
+                                </Card>
+                                {!isCounting && (
+                                    <>
+                                        <Card className="bg-white">
+                                            <CardContent className="p-4">
+                                                <p className="text-sm text-gray-500">Shortage / Surplus</p>
+                                                <p className="text-sm font-medium">
+                                                    <span className="text-red-600">{formatVarianceValue(shortageValue)}</span>
+                                                    {" / "}
+                                                    <span className="text-green-600">{formatVarianceValue(surplusValue)}</span>
+                                                </p>
+                                            </CardContent>
+                                        </Card>
+                                        <Card className="bg-white">
+                                            <CardContent className="p-4">
+                                                <p className="text-sm text-gray-500">Net Variance</p>
+                                                <p className={`text-2xl font-bold ${getVarianceClassName(stockTake.totalVarianceValue)}`}>
+                                                    {formatVarianceValue(stockTake.totalVarianceValue)}
+                                                </p>
+                                            </CardContent>
+                                        </Card>
+                                    </>
+                                )}
+                            </div>
+
+                            {stockTake.notes && <p className="text-sm text-gray-600 italic">{stockTake.notes}</p>}
+                            {stockTake.approvedBy && (
+                                <p className="text-sm text-gray-600">
+                                    Approved by {stockTake.approvedBy.name} on {formatDateTime(stockTake.approvedAt)}
+                                </p>
+                            )}
+                            {stockTake.status === "submitted" && !isManager && (
+                                <p className="text-sm text-gray-600">Waiting for a manager to approve the adjustments.</p>
+                            )}
+
+                            {/* Search */}
+                            <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                                <div className="relative flex-1">
+                                    <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+                                    <Input
+                                        placeholder="Search items..."
+                                        value={searchQuery}
+                                        onChange={(e) => setSearchQuery(e.target.value)}
+                                        className="pl-9 bg-white"
+                                    />
+                                </div>
+                                {isCounting && (
+                                    <label className="flex items-center gap-2 text-sm text-gray-600">
+                                        <input
+                                            type="checkbox"
+                                            checked={showUncountedOnly}
+                                            onChange={(e) => setShowUncountedOnly(e.target.checked)}
+                                            className="h-4 w-4 accent-orange-500"
+                                        />
+                                        Not yet counted
+                                    </label>
+                                )}
+                            </div>
+
+                            {isCounting ? (
+                                /* Count Sheet */
+                                <div className="space-y-2">
+                                    {visibleLines.length === 0 && (
+                                        <p className="text-sm text-gray-500 py-4 text-center">No items to show.</p>
+                                    )}
+                                    {visibleLines.map((line) => (
+                                        <div
+                                            key={line.inventoryItem}
+                                            className="bg-white border rounded-lg p-3 flex items-center justify-between gap-3"
+                                        >
+                                            <div className="min-w-0">
+                                                <p className="font-medium text-gray-900 truncate">{line.name}</p>
+                                                <p className="text-xs text-gray-500">
+                                                    {line.countedQuantity === null
+                                                        ? "Not counted"
+                                                        : `Counted by ${line.countedBy?.name || "N/A"} at ${formatDateTime(line.countedAt)}`}
+                                                </p>
+                                            </div>
+                                            <div className="flex items-center gap-2 shrink-0">
+                                                <Input
+                                                    type="number"
+                                                    inputMode="decimal"
+                                                    min="0"
+                                                    step="any"
+                                                    placeholder="Qty"
+                                                    value={drafts[line.inventoryItem] ?? ""}
+                                                    onChange={(e) => setDrafts((prev) => ({ ...prev, [line.inventoryItem]: e.target.value }))}
+                                                    onBlur={() => saveCount(line)}
+                                                    onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                                                    className="w-24 h-11 text-lg text-right"
+                                                />
+                                                <span className="w-8 text-sm text-gray-500">{line.unitOfMeasure}</span>
+                                                {savingItemId === line.inventoryItem ? (
+                                                    <Loader2 className="h-5 w-5 animate-spin text-orange-500" />
+                                                ) : (
+                                                    <CheckCircle2
+                                                        className={`h-5 w-5 ${line.countedQuantity === null ? "text-gray-200" : "text-green-600"}`}
+                                                    />
+                                                )}
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                            ) : (
+                                /* Variance Report */
+                                <div className="bg-white rounded-lg border overflow-x-auto">
+                                    <Table>
+                                        <TableHeader>
+                                            <TableRow className="bg-gray-50">
+                                                <TableHead className="font-semibold text-gray-700">ITEM</TableHead>
+                                                <TableHead className="font-semibold text-gray-700 text-right">EXPECTED</TableHead>
+                                                <TableHead className="font-semibold text-gray-700 text-right">COUNTED</TableHead>
+                                                <TableHead className="font-semibold text-gray-700 text-right">VARIANCE</TableHead>
+                                                <TableHead className="font-semibold text-gray-700 text-right">VALUE</TableHead>
+                                            </TableRow>
+                                        </TableHeader>
+                                        <TableBody>
+                                            {visibleLines.map((line) => (
+                                                <TableRow
+                                                    key={line.inventoryItem}
+                                                    className="hover:bg-gray-50 cursor-pointer"
+                                                    onClick={() => navigate(`/admin/inventory/edit/${line.inventoryItem}`)}
+                                                >
+                                                    <TableCell className="font-medium text-gray-900">{line.name}</TableCell>
+                                                    <TableCell className="text-right text-gray-600">
+                                                        {line.systemQuantity} {line.unitOfMeasure}
+                                                    </TableCell>
+                                                    <TableCell className="text-right text-gray-900">
+                                                        {line.countedQuantity === null ? "Not counted" : `${line.countedQuantity} ${line.unitOfMeasure}`}
+                                                    </TableCell>
+                                                    <TableCell className={`text-right font-medium ${getVarianceClassName(line.variance)}`}>
+                                                        {line.variance === null ? "—" : `${formatSigned(line.variance)} ${line.unitOfMeasure}`}
+                                                    </TableCell>
+                                                    <TableCell className={`text-right ${getVarianceClassName(line.varianceValue)}`}>
+                                                        {formatVarianceValue(line.varianceValue)}
+                                                    </TableCell>
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+}
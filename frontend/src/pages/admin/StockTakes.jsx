@@ -0,0 +1,297 @@
+// src/pages/StockTakes.jsx
+/**
+ * Stock-takes Page - Lists physical stock counts and starts new ones.
+ * Counting, variance review and manager approval happen on the stock-take detail page.
+ */
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { Button } from "../../components/ui/button";
+import { Label } from "../../components/ui/label";
+import { Textarea } from "../../components/ui/textarea";
+import { SidebarTrigger } from "../../components/ui/sidebar";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "../../components/ui/dialog";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "../../components/ui/select";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../../components/ui/table";
+import { Plus, Loader2, Eye } from "lucide-react";
+import AdminSidebar from "@/components/admin/Sidebar";
+import StockTakeStatusBadge from "@/components/admin/StockTakeStatusBadge";
+import stockTakeService from "@/services/stockTakeService";
+import { toast } from "sonner";
+
+const INVENTORY_CATEGORIES = ["Meat", "Produce", "Dry Goods", "Sauce & Spices", "Packaging", "Beverages"];
+
+const formatDate = (dateString) => {
+    if (!dateString) return "—";
+    return new Date(dateString).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+    });
+};
+
+const formatVarianceValue = (value) => {
+    const sign = value > 0 ? "+" : value < 0 ? "-" : "";
+    return `${sign}₹${Math.abs(value).toFixed(2)}`;
+};
+
+export default function StockTakes() {
+    const navigate = useNavigate();
+    const [stockTakes, setStockTakes] = useState([]);
+    const [statusFilter, setStatusFilter] = useState("all");
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Start stock-take dialog state
+    const [isStartOpen, setIsStartOpen] = useState(false);
+    const [category, setCategory] = useState("all");
+    const [notes, setNotes] = useState("");
+    const [startError, setStartError] = useState(null);
+    const [isStarting, setIsStarting] = useState(false);
+
+    useEffect(() => {
+        const fetchStockTakes = async () => {
+            setIsLoading(true);
+            setError(null);
+            try {
+                const data = await stockTakeService.fetchStockTakes(statusFilter);
+                setStockTakes(data);
+            } catch (error) {
+                console.error('Error fetching stock-takes:', error);
+                setError('Failed to load stock-takes. Please try again.');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        fetchStockTakes();
+    }, [statusFilter]);
+
+    const openStartDialog = () => {
+        setCategory("all");
+        setNotes("");
+        setStartError(null);
+        setIsStartOpen(true);
+    };
+
+    const handleStart = async () => {
+        setStartError(null);
+        setIsStarting(true);
+        try {
+            const stockTake = await stockTakeService.createStockTake({ category, notes: notes.trim() });
+            toast.success(`${stockTake.stockTakeNumber} started`);
+            navigate(`/admin/stock-takes/${stockTake._id}`);
+        } catch (error) {
+            console.error('Error starting stock-take:', error);
+            setStartError(error.response?.data?.message || 'Failed to start stock-take. Please try again.');
+        } finally {
+            setIsStarting(false);
+        }
+    };
+
+    return (
+        <>
+            <AdminSidebar />
+            <div className="flex-1 bg-gray-50 min-h-screen">
+                {/* Header */}
+                <header className="bg-white border-b px-6 py-4">
+                    <div className="flex flex-col md:flex-row items-start md:items-center justify-between">
+                        <div className="flex items-center gap-4">
+                            <SidebarTrigger />
+                            <h1 className="text-xl md:text-2xl font-bold text-gray-900">Stock-takes</h1>
+                        </div>
+
+                        <div className="flex items-center gap-2 mt-3 md:mt-0">
+                            <Button
+                                className="bg-orange-500 hover:bg-orange-600 text-white cursor-pointer"
+                                onClick={openStartDialog}
+                            >
+                                <Plus className="h-4 w-4 mr-2" />
+                                Start Stock-take
+                            </Button>
+                        </div>
+                    </div>
+                </header>
+
+                {/* Content */}
+                <div className="p-6">
+                    {/* Filters */}
+                    <div className="bg-white rounded-lg border p-4 mb-6">
+                        <div className="w-full md:w-56">
+                            <Label className="text-sm text-gray-600 mb-2 block">Status</Label>
+                            <Select value={statusFilter} onValueChange={setStatusFilter}>
+                                <SelectTrigger className="cursor-pointer">
+                                    <SelectValue placeholder="All Statuses" />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    <SelectItem className="cursor-pointer" value="all">All Statuses</SelectItem>
+                                    <SelectItem className="cursor-pointer" value="counting">Counting</SelectItem>
+                                    <SelectItem className="cursor-pointer" value="submitted">Awaiting Approval</SelectItem>
+                                    <SelectItem className="cursor-pointer" value="approved">Approved</SelectItem>
+                                    <SelectItem className="cursor-pointer" value="cancelled">Cancelled</SelectItem>
+                                </SelectContent>
+                            </Select>
+                        </div>
+                    </div>
+
+                    {/* Loading State */}
+                    {isLoading && (
+                        <div className="flex items-center justify-center py-12">
+                            <Loader2 className="h-8 w-8 animate-spin text-orange-500" />
+                            <span className="ml-2 text-gray-600">Loading stock-takes...</span>
+                        </div>
+                    )}
+
+                    {/* Error State */}
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+                            <p className="text-red-700">{error}</p>
+                        </div>
+                    )}
+
+                    {/* Stock-takes Table */}
+                    {!isLoading && !error && (
+                        <div className="bg-white rounded-lg border overflow-hidden">
+                            <Table>
+                                <TableHeader>
+                                    <TableRow className="bg-gray-50">
+                                        <TableHead className="font-semibold text-gray-700">STOCK-TAKE</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">CATEGORY</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">COUNTED</TableHead>
+                                        <TableHead className="font-semibold text-gray-700 text-right">VARIANCE</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">STATUS</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">ACTIONS</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {stockTakes.length === 0 ? (
+                                        <TableRow>
+                                            <TableCell colSpan={6} className="text-center py-8 text-gray-500">
+                                                No stock-takes found. Click 'Start Stock-take' to count your stock.
+                                            </TableCell>
+                                        </TableRow>
+                                    ) : (
+                                        stockTakes.map((stockTake) => (
+                                            <TableRow key={stockTake._id} className="hover:bg-gray-50">
+                                                <TableCell>
+                                                    <p className="font-medium text-gray-900">{stockTake.stockTakeNumber}</p>
+                                                    <p className="text-sm text-gray-500">
+                                                        {formatDate(stockTake.createdAt)} by {stockTake.startedBy?.name || 'N/A'}
+                                                    </p>
+                                                </TableCell>
+                                                <TableCell className="text-gray-900">
+                                                    {stockTake.category || "All categories"}
+                                                </TableCell>
+                                                <TableCell className="text-gray-600">
+                                                    {stockTake.countedCount} of {stockTake.lines.length} items
+                                                </TableCell>
+                                                <TableCell
+                                                    className={`text-right font-medium ${stockTake.totalVarianceValue < 0 ? "text-red-600" : "text-gray-900"}`}
+                                                >
+                                                    {formatVarianceValue(stockTake.totalVarianceValue)}
+                                                </TableCell>
+                                                <TableCell>
+                                                    <StockTakeStatusBadge status={stockTake.status} />
+                                                </TableCell>
+                                                <TableCell>
+                                                    <Button
+                                                        variant="outline"
+                                                        size="sm"
+                                                        className="cursor-pointer"
+                                                        onClick={() => navigate(`/admin/stock-takes/${stockTake._id}`)}
+                                                    >
+                                                        <Eye className="h-4 w-4 mr-1" />
+                                                        {stockTake.status === "counting" ? "Count" : "View"}
+                                                    </Button>
+                                                </TableCell>
+                                            </TableRow>
+                                        ))
+                                    )}
+                                </TableBody>
+                            </Table>
+                        </div>
+                    )}
+                </div>
+
+                {/* Start Stock-take Dialog */}
+                <Dialog open={isStartOpen} onOpenChange={setIsStartOpen}>
+                    <DialogContent className="sm:max-w-md">
+                        <DialogHeader>
+                            <DialogTitle>Start Stock-take</DialogTitle>
+                            <DialogDescription>
+                                Every item in the category is added to the count sheet.
+                            </DialogDescription>
+                        </DialogHeader>
+
+                        {startError && (
+                            <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                                <p className="text-sm text-red-700">{startError}</p>
+                            </div>
+                        )}
+
+                        <div className="space-y-4">
+                            <div>
+                                <Label className="text-sm">Category</Label>
+                                <Select value={category} onValueChange={setCategory}>
+                                    <SelectTrigger className="mt-1">
+                                        <SelectValue />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        <SelectItem value="all">All Categories</SelectItem>
+                                        {INVENTORY_CATEGORIES.map((name) => (
+                                            <SelectItem key={name} value={name}>{name}</SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                            <div>
+                                <Label htmlFor="stockTakeNotes" className="text-sm">Notes (Optional)</Label>
+                                <Textarea
+                                    id="stockTakeNotes"
+                                    placeholder="e.g. Weekly walk-in fridge count"
+                                    value={notes}
+                                    onChange={(e) => setNotes(e.target.value)}
+                                    maxLength={500}
+                                    className="mt-1 resize-none"
+                                />
+                            </div>
+                        </div>
+
+                        <DialogFooter>
+                            <Button variant="outline" onClick={() => setIsStartOpen(false)} disabled={isStarting}>
+                                Cancel
+                            </Button>
+                            <Button
+                                className="bg-orange-500 hover:bg-orange-600 text-white"
+                                onClick={handleStart}
+                                disabled={isStarting}
+                            >
+                                {isStarting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                                Start Counting
+                            </Button>
+                        </DialogFooter>
+                    </DialogContent>
+                </Dialog>
+            </div>
+        </>
+    );
+}
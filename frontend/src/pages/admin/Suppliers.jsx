@@ -0,0 +1,394 @@
+// src/pages/Suppliers.jsx
+/**
+ * Suppliers Page - Vendors that inventory is purchased from, with contacts and lead times.
+ * Purchase orders are raised against these suppliers.
+ */
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { Input } from "../../components/ui/input";
+import { Button } from "../../components/ui/button";
+import { Label } from "../../components/ui/label";
+import { Textarea } from "../../components/ui/textarea";
+import { SidebarTrigger } from "../../components/ui/sidebar";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "../../components/ui/table";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "../../components/ui/dialog";
+import { Search, Plus, Pencil, Trash2, Loader2, ClipboardList, Phone, Mail } from "lucide-react";
+import AdminSidebar from "@/components/admin/Sidebar";
+import supplierService from "@/services/supplierService";
+import { toast } from "sonner";
+
+const EMPTY_SUPPLIER = {
+    name: "",
+    contactPerson: "",
+    phone: "",
+    email: "",
+    address: "",
+    leadTimeDays: "1",
+    notes: "",
+};
+
+export default function Suppliers() {
+    const [suppliers, setSuppliers] = useState([]);
+    const [searchQuery, setSearchQuery] = useState("");
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Add/edit dialog: editingId is null when adding a new supplier
+    const [isDialogOpen, setIsDialogOpen] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [form, setForm] = useState(EMPTY_SUPPLIER);
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        fetchSuppliers();
+    }, []);
+
+    const fetchSuppliers = async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const data = await supplierService.fetchAllSuppliers();
+            setSuppliers(data);
+        } catch (error) {
+            console.error('Error fetching suppliers:', error);
+            setError('Failed to load suppliers. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const openAddDialog = () => {
+        setEditingId(null);
+        setForm(EMPTY_SUPPLIER);
+        setIsDialogOpen(true);
+    };
+
+    const openEditDialog = (supplier) => {
+        setEditingId(supplier._id);
+        setForm({
+            name: supplier.name || "",
+            contactPerson: supplier.contactPerson || "",
+            phone: supplier.phone || "",
+            email: supplier.email || "",
+            address: supplier.address || "",
+            leadTimeDays: supplier.leadTimeDays?.toString() || "0",
+            notes: supplier.notes || "",
+        });
+        setIsDialogOpen(true);
+    };
+
+    const handleFormChange = (field, value) => {
+        setForm((prev) => ({ ...prev, [field]: value }));
+    };
+
+    const handleSave = async () => {
+        if (!form.name.trim()) {
+            toast.error("Supplier name is required");
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            const supplierData = {
+                ...form,
+                name: form.name.trim(),
+                leadTimeDays: parseInt(form.leadTimeDays) || 0,
+            };
+
+            if (editingId) {
+                const updated = await supplierService.updateSupplier(editingId, supplierData);
+                setSuppliers((prev) => prev.map((s) => (s._id === updated._id ? updated : s)));
+                toast.success(`${updated.name} updated`);
+            } else {
+                const created = await supplierService.createSupplier(supplierData);
+                setSuppliers((prev) => [...prev, created].sort((a, b) => a.name.localeCompare(b.name)));
+                toast.success(`${created.name} added`);
+            }
+            setIsDialogOpen(false);
+        } catch (error) {
+            console.error('Error saving supplier:', error);
+            toast.error(error.response?.data?.message || "Failed to save supplier");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleDelete = async (supplier) => {
+        if (!window.confirm(`Are you sure you want to delete "${supplier.name}"?`)) {
+            return;
+        }
+
+        try {
+            await supplierService.deleteSupplier(supplier._id);
+            setSuppliers((prev) => prev.filter((s) => s._id !== supplier._id));
+            toast.success(`${supplier.name} deleted`);
+        } catch (error) {
+            console.error('Error deleting supplier:', error);
+            toast.error(error.response?.data?.message || "Failed to delete supplier");
+        }
+    };
+
+    const filteredSuppliers = suppliers.filter((supplier) => {
+        const searchLower = searchQuery.trim().toLowerCase();
+        return (
+            searchLower === "" ||
+            `${supplier.name} ${supplier.contactPerson} ${supplier.phone} ${supplier.email}`.toLowerCase().includes(searchLower)
+        );
+    });
+
+    return (
+        <>
+            <AdminSidebar />
+            <div className="flex-1 bg-gray-50 min-h-screen">
+                {/* Header */}
+                <header className="bg-white border-b px-6 py-4">
+                    <div className="flex flex-col md:flex-row items-start md:items-center justify-between">
+                        <div className="flex items-center gap-4">
+                            <SidebarTrigger />
+                            <h1 className="text-xl md:text-2xl font-bold text-gray-900">Suppliers</h1>
+                        </div>
+
+                        <div className="flex items-center gap-2 mt-3 md:mt-0">
+                            <Link to="/admin/purchase-orders">
+                                <Button variant="outline" className="gap-2 cursor-pointer">
+                                    <ClipboardList className="h-4 w-4" />
+                                    Purchase Orders
+                                </Button>
+                            </Link>
+                            <Button
+                                className="bg-orange-500 hover:bg-orange-600 text-white cursor-pointer"
+                                onClick={openAddDialog}
+                            >
+                                <Plus className="h-4 w-4 mr-2" />
+                                Add Supplier
+                            </Button>
+                        </div>
+                    </div>
+                </header>
+
+                {/* Content */}
+                <div className="p-6">
+                    {/* Search */}
+                    <div className="bg-white rounded-lg border p-4 mb-6">
+                        <Label className="text-sm text-gray-600 mb-2 block">Search Suppliers</Label>
+                        <div className="relative">
+                            <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+                            <Input
+                                type="text"
+                                placeholder="Search by name, contact, phone..."
+                                value={searchQuery}
+                                onChange={(e) => setSearchQuery(e.target.value)}
+                                className="pl-10"
+                            />
+                        </div>
+                    </div>
+
+                    {/* Loading State */}
+                    {isLoading && (
+                        <div className="flex items-center justify-center py-12">
+                            <Loader2 className="h-8 w-8 animate-spin text-orange-500" />
+                            <span className="ml-2 text-gray-600">Loading suppliers...</span>
+                        </div>
+                    )}
+
+                    {/* Error State */}
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+                            <p className="text-red-700">{error}</p>
+                            <Button variant="outline" size="sm" onClick={fetchSuppliers} className="mt-2">
+                                Retry
+                            </Button>
+                        </div>
+                    )}
+
+                    {/* Suppliers Table */}
+                    {!isLoading && !error && (
+                        <div className="bg-white rounded-lg border overflow-hidden">
+                            <Table>
+                                <TableHeader>
+                                    <TableRow className="bg-gray-50">
+                                        <TableHead className="font-semibold text-gray-700">SUPPLIER</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">CONTACT</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">LEAD TIME</TableHead>
+                                        <TableHead className="font-semibold text-gray-700">ACTIONS</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {filteredSuppliers.length === 0 ? (
+                                        <TableRow>
+                                            <TableCell colSpan={4} className="text-center py-8 text-gray-500">
+                                                {suppliers.length === 0
+                                                    ? "No suppliers yet. Click 'Add Supplier' to get started."
+                                                    : "No suppliers match your search."}
+                                            </TableCell>
+                                        </TableRow>
+                                    ) : (
+                                        filteredSuppliers.map((supplier) => (
+                                            <TableRow key={supplier._id} className="hover:bg-gray-50">
+                                                <TableCell>
+                                                    <p className="font-medium text-gray-900">{supplier.name}</p>
+                                                    {supplier.address && (
+                                                        <p className="text-sm text-gray-500">{supplier.address}</p>
+                                                    )}
+                                                </TableCell>
+                                                <TableCell>
+                                                    <p className="text-gray-900">{supplier.contactPerson || 'N/A'}</p>
+                                                    <div className="flex flex-wrap gap-x-4 text-sm text-gray-500">
+                                                        {supplier.phone && (
+                                                            <span className="flex items-center gap-1">
+                                                                <Phone className="h-3 w-3" />
+                                                                {supplier.phone}
+                                                            </span>
+                                                        )}
+                                                        {supplier.email && (
+                                                            <span className="flex items-center gap-1">
+                                                                <Mail className="h-3 w-3" />
+                                                                {supplier.email}
+                                                            </span>
+                                                        )}
+                                                    </div>
+                                                </TableCell>
+                                                <TableCell className="text-gray-600">
+                                                    {supplier.leadTimeDays} {supplier.leadTimeDays === 1 ? 'day' : 'days'}
+                                                </TableCell>
+                                                <TableCell>
+                                                    <div className="flex items-center gap-2">
+                                                        <Button
+                                                            variant="outline"
+                                                            size="sm"
+                                                            className="cursor-pointer"
+                                                            onClick={() => openEditDialog(supplier)}
+                                                        >
+                                                            <Pencil className="h-4 w-4" />
+                                                        </Button>
+                                                        <Button
+                                                            variant="outline"
+                                                            size="sm"
+                                                            className="cursor-pointer text-red-600 hover:bg-red-50"
+                                                            onClick={() => handleDelete(supplier)}
+                                                        >
+                                                            <Trash2 className="h-4 w-4" />
+                                                        </Button>
+                                                    </div>
+                                                </TableCell>
+                                            </TableRow>
+                                        ))
+                                    )}
+                                </TableBody>
+                            </Table>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {/* Add / Edit Supplier Dialog */}
+            <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+                <DialogContent>
+                    <DialogHeader>
+                        <DialogTitle>{editingId ? "Edit Supplier" : "Add Supplier"}</DialogTitle>
+                        <DialogDescription>
+                            Contact details and how many days deliveries usually take.
+                        </DialogDescription>
+                    </DialogHeader>
+
+                    <div className="space-y-4">
+                        <div className="space-y-2">
+                            <Label htmlFor="supplierName">Supplier Name <span className="text-red-500">*</span></Label>
+                            <Input
+                                id="supplierName"
+                                placeholder="e.g. Fresh Farms Ltd."
+                                value={form.name}
+                                onChange={(e) => handleFormChange("name", e.target.value)}
+                            />
+                        </div>
+                        <div className="grid grid-cols-2 gap-4">
+                            <div className="space-y-2">
+                                <Label htmlFor="contactPerson">Contact Person</Label>
+                                <Input
+                                    id="contactPerson"
+                                    value={form.contactPerson}
+                                    onChange={(e) => handleFormChange("contactPerson", e.target.value)}
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="leadTimeDays">Lead Time (days)</Label>
+                                <Input
+                                    id="leadTimeDays"
+                                    type="number"
+                                    min="0"
+                                    value={form.leadTimeDays}
+                                    onChange={(e) => handleFormChange("leadTimeDays", e.target.value)}
+                                />
+                            </div>
+                        </div>
+                        <div className="grid grid-cols-2 gap-4">
+                            <div className="space-y-2">
+                                <Label htmlFor="supplierPhone">Phone</Label>
+                                <Input
+                                    id="supplierPhone"
+                                    value={form.phone}
+                                    onChange={(e) => handleFormChange("phone", e.target.value)}
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="supplierEmail">Email</Label>
+                                <Input
+                                    id="supplierEmail"
+                                    type="email"
+                                    value={form.email}
+                                    onChange={(e) => handleFormChange("email", e.target.value)}
+                                />
+                            </div>
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="supplierAddress">Address</Label>
+                            <Input
+                                id="supplierAddress"
+                                value={form.address}
+                                onChange={(e) => handleFormChange("address", e.target.value)}
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="supplierNotes">Notes</Label>
+                            <Textarea
+                                id="supplierNotes"
+                                placeholder="Payment terms, delivery days..."
+                                value={form.notes}
+                                onChange={(e) => handleFormChange("notes", e.target.value)}
+                                className="resize-none"
+                            />
+                        </div>
+                    </div>
+
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setIsDialogOpen(false)}>
+                            Cancel
+                        </Button>
+                        <Button
+                            className="bg-orange-500 hover:bg-orange-600 text-white"
+                            onClick={handleSave}
+                            disabled={isSaving}
+                        >
+                            {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                            {editingId ? "Save Changes" : "Add Supplier"}
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </>
+    );
+}
@@ -1,12 +1,17 @@
 /**
  * MyBill Page - Displays consolidated bill for the current session.
  * Shows all orders placed during this visit with totals.
+ * Signed-in customers can pay part of the bill with loyalty points when requesting payment.
+ * When staff split the bill, each share and whether it is paid is listed.
+ * Once payment is requested, the customer can pay the exact amount by UPI from a QR code.
  */
 import React, { useState, useEffect, useContext } from "react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Separator } from "@/components/ui/separator";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
 import {
     Receipt,
     Clock,
@@ -15,26 +20,35 @@ import {
     AlertCircle,
     Loader2,
     ArrowLeft,
-    History
+    History,
+    Gift,
+    Split
 } from "lucide-react";
 import { Link } from "react-router-dom";
 import { useCart } from "@/context/CartContext.jsx";
 import { useSocket } from "@/context/SocketContext.jsx";
 import CustomerAuthContext from "@/context/CustomerAuthContext.jsx";
 import { requestPayment, getConsolidatedBill, getBillRecord } from "@/services/orderService";
+import loyaltyService from "@/services/loyaltyService";
 import { toast } from "sonner";
 import Bill from "@/components/client/Bill.jsx";
+import UpiPaymentCard from "@/components/client/UpiPaymentCard.jsx";
 
 const MyBill = () => {
     const { sessionId, orderHistory, fetchSessionOrders, endSession } = useCart();
     const { socket } = useSocket();
     const authContext = useContext(CustomerAuthContext);
     const phone = authContext?.customer?.phone || null;
+    const customerId = authContext?.customer?._id || authContext?.customer?.id || null;
     const [isLoading, setIsLoading] = useState(true);
     const [billingStatus, setBillingStatus] = useState('unpaid');
     const [showBillModal, setShowBillModal] = useState(false);
     const [consolidatedBillData, setConsolidatedBillData] = useState(null);
     const [billRecord, setBillRecord] = useState(null);
+    // Loyalty points summary, and the points the customer chose to redeem
+    const [loyalty, setLoyalty] = useState(null);
+    const [usePoints, setUsePoints] = useState(false);
+    const [redeemPoints, setRedeemPoints] = useState("");
 
     // Fetch orders and bill record on mount
     useEffect(() => {
@@ -72,6 +86,24 @@ const MyBill = () => {
         loadOrders();
     }, [sessionId, fetchSessionOrders]);
 
+    // Fetch loyalty points so they can be redeemed on this bill
+    useEffect(() => {
+        if (!customerId) return;
+
+        const fetchLoyalty = async () => {
+            try {
+                const response = await loyaltyService.fetchMyLoyalty(customerId);
+                if (response.success) {
+                    setLoyalty(response.data);
+                }
+            } catch (error) {
+                console.error('Error fetching loyalty points:', error);
+            }
+        };
+
+        fetchLoyalty();
+    }, [customerId]);
+
     // Listen for billing status updates via WebSocket
     useEffect(() => {
         if (!socket) return;
@@ -81,6 +113,9 @@ const MyBill = () => {
                 setBillingStatus(data.billingStatus);
                 if (data.billingStatus === 'paid') {
                     toast.success('Your payment has been received! Thank you for dining with us.');
+                    if (data.pointsEarned > 0) {
+                        toast.success(`You earned ${data.pointsEarned} loyalty points`);
+                    }
                     // End the session so new orders start fresh billing cycle
                     // Delay slightly to allow UI to update before clearing state
                     setTimeout(() => endSession(), 3000);
@@ -88,10 +123,27 @@ const MyBill = () => {
             }
         };
 
+        // Staff split the bill, marked a share paid or recorded a payment
+        const handleSplitUpdate = async (data) => {
+            if (data.sessionId !== sessionId) return;
+            try {
+                const billResponse = await getBillRecord(sessionId);
+                if (billResponse.success && billResponse.data) {
+                    setBillRecord(billResponse.data);
+                }
+            } catch (error) {
+                console.error('Error refreshing bill:', error);
+            }
+        };
+
         socket.on('billing:statusUpdate', handleBillingStatusUpdate);
+        socket.on('billing:splitUpdate', handleSplitUpdate);
+        socket.on('billing:paymentUpdate', handleSplitUpdate);
 
         return () => {
             socket.off('billing:statusUpdate', handleBillingStatusUpdate);
+            socket.off('billing:splitUpdate', handleSplitUpdate);
+            socket.off('billing:paymentUpdate', handleSplitUpdate);
         };
     }, [socket, sessionId]);
 
@@ -102,16 +154,31 @@ const MyBill = () => {
         );
 
         const subtotal = activeOrders.reduce((sum, order) => sum + (order.subtotal || 0), 0);
+        const discount = activeOrders.reduce((sum, order) => sum + (order.discount || 0), 0);
+        const cgst = activeOrders.reduce((sum, order) => sum + (order.cgst || 0), 0);
+        const sgst = activeOrders.reduce((sum, order) => sum + (order.sgst || 0), 0);
         const tax = activeOrders.reduce((sum, order) => sum + (order.tax || 0), 0);
         const total = activeOrders.reduce((sum, order) => sum + (order.total || 0), 0);
 
-        return { subtotal, tax, total, orderCount: activeOrders.length };
+        return { subtotal, discount, cgst, sgst, tax, total, orderCount: activeOrders.length };
     };
 
-    const { subtotal, tax, total, orderCount } = calculateSessionTotals();
+    const { subtotal, discount, cgst, sgst, tax, total, orderCount } = calculateSessionTotals();
+    // Orders placed before GST only carry a single tax amount
+    const hasGstBreakup = cgst + sgst > 0;
+
+    // Most points redeemable on this bill (the server checks again against the final bill)
+    const maxRedeemablePoints = loyalty
+        ? Math.min(loyalty.points, Math.floor((total * loyalty.rules.maxRedeemShare) / loyalty.rules.pointValue))
+        : 0;
+    const canRedeemPoints = !billRecord && billingStatus === 'unpaid'
+        && loyalty && maxRedeemablePoints >= loyalty.rules.minRedeemPoints;
+    const pointsToRedeem = usePoints ? parseInt(redeemPoints, 10) || 0 : 0;
+    const pointsRedeemed = billRecord?.loyalty?.pointsRedeemed || 0;
+    const redeemedAmount = billRecord?.loyalty?.redeemedAmount || 0;
 
     // Handle view consolidated bill
-    const handleViewBill = () => {
+    const handleViewBill = async () => {
         // Use bill record data if available, otherwise compute from orders
         if (billRecord) {
             const billData = {
@@ -128,13 +195,31 @@ const MyBill = () => {
                 }),
                 items: billRecord.items,
                 subtotal: billRecord.subtotal,
+                discount: billRecord.discount || 0,
+                promoCodes: (billRecord.promotions || []).map((promotion) => promotion.code).join(", "),
+                cgst: billRecord.cgst,
+                sgst: billRecord.sgst,
                 tax: billRecord.tax,
                 total: billRecord.total,
+                pointsRedeemed,
+                redeemedAmount,
+                gstin: billRecord.gstin,
+                hsnSummary: billRecord.hsnSummary,
                 barcode: billRecord.billNumber,
             };
             setConsolidatedBillData(billData);
         } else {
-            // Fallback: compute from orders
+            // No bill record yet: ask the server for the GST breakup, or fall back to order totals
+            let gstBreakup = { subtotal, discount, cgst, sgst, tax, total };
+            try {
+                const billResponse = await getConsolidatedBill(sessionId);
+                if (billResponse.success && billResponse.data) {
+                    gstBreakup = billResponse.data;
+                }
+            } catch (error) {
+                console.error('Error fetching consolidated bill:', error);
+            }
+
             const allItems = orderHistory
                 .filter(order => order.status !== 'CANCELLED')
                 .flatMap(order => order.items || []);
@@ -152,9 +237,15 @@ const MyBill = () => {
                     hour12: false,
                 }),
                 items: allItems,
-                subtotal,
-                tax,
-                total,
+                subtotal: gstBreakup.subtotal,
+                discount: gstBreakup.discount || 0,
+                promoCodes: (gstBreakup.promotions || []).map((promotion) => promotion.code).join(", "),
+                cgst: gstBreakup.cgst,
+                sgst: gstBreakup.sgst,
+                tax: gstBreakup.tax,
+                total: gstBreakup.total,
+                gstin: gstBreakup.gstin,
+                hsnSummary: gstBreakup.hsnSummary,
                 barcode: `SESSION-${sessionId?.slice(-8) || Date.now()}`,
             };
             setConsolidatedBillData(billData);
@@ -169,13 +260,21 @@ const MyBill = () => {
             return;
         }
 
+        if (usePoints && (pointsToRedeem < loyalty.rules.minRedeemPoints || pointsToRedeem > maxRedeemablePoints)) {
+            toast.error(`Redeem between ${loyalty.rules.minRedeemPoints} and ${maxRedeemablePoints} points`);
+            return;
+        }
+
         try {
-            await requestPayment(sessionId);
+            const response = await requestPayment(sessionId, pointsToRedeem > 0 ? { customerId, redeemPoints: pointsToRedeem } : {});
             toast.success('Payment request sent! A staff member will assist you shortly.');
             setBillingStatus('pending_payment');
+            if (response.data) {
+                setBillRecord(response.data);
+            }
         } catch (error) {
             console.error('Error requesting payment:', error);
-            toast.error('Failed to send payment request. Please try again.');
+            toast.error(error.response?.data?.message || 'Failed to send payment request. Please try again.');
             throw error;
         }
     };
@@ -283,19 +382,144 @@ const MyBill = () => {
                                             <span className="text-[#6b7280]">Subtotal</span>
                                             <span className="font-semibold text-[#1a1a1a]">₹{subtotal.toFixed(2)}</span>
                                         </div>
-                                        <div className="flex justify-between text-sm">
-                                            <span className="text-[#6b7280]">Tax (8%)</span>
-                                            <span className="font-semibold text-[#1a1a1a]">₹{tax.toFixed(2)}</span>
-                                        </div>
+                                        {discount > 0 && (
+                                            <div className="flex justify-between text-sm">
+                                                <span className="text-[#6b7280]">Discount</span>
+                                                <span className="font-semibold text-green-600">-₹{discount.toFixed(2)}</span>
+                                            </div>
+                                        )}
+                                        {hasGstBreakup ? (
+                                            <>
+                                                <div className="flex justify-between text-sm">
+                                                    <span className="text-[#6b7280]">CGST</span>
+                                                    <span className="font-semibold text-[#1a1a1a]">₹{cgst.toFixed(2)}</span>
+                                                </div>
+                                                <div className="flex justify-between text-sm">
+                                                    <span className="text-[#6b7280]">SGST</span>
+                                                    <span className="font-semibold text-[#1a1a1a]">₹{sgst.toFixed(2)}</span>
+                                                </div>
+                                            </>
+                                        ) : (
+                                            <div className="flex justify-between text-sm">
+                                                <span className="text-[#6b7280]">Tax</span>
+                                                <span className="font-semibold text-[#1a1a1a]">₹{tax.toFixed(2)}</span>
+                                            </div>
+                                        )}
                                         <Separator />
                                         <div className="flex justify-between">
                                             <span className="text-lg font-bold text-[#1a1a1a]">Total</span>
                                             <span className="text-lg font-bold text-[#ff7a3c]">₹{total.toFixed(2)}</span>
                                         </div>
+                                        {pointsRedeemed > 0 && (
+                                            <>
+                                                <div className="flex justify-between text-sm">
+                                                    <span className="text-[#6b7280]">Paid with {pointsRedeemed} points</span>
+                                                    <span className="font-semibold text-green-600">-₹{redeemedAmount.toFixed(2)}</span>
+                                                </div>
+                                                <div className="flex justify-between">
+                                                    <span className="font-bold text-[#1a1a1a]">Amount Due</span>
+                                                    <span className="font-bold text-[#1a1a1a]">₹{(billRecord.total - redeemedAmount).toFixed(2)}</span>
+                                                </div>
+                                            </>
+                                        )}
                                     </div>
                                 </CardContent>
                             </Card>
 
+                            {/* Split Bill */}
+                            {billRecord?.splits?.length > 0 && (
+                                <Card className="border-none shadow-md">
+                                    <CardContent className="p-6 space-y-3">
+                                        <div className="flex items-center gap-2">
+                                            <Split className="h-5 w-5 text-[#ff7a3c]" />
+                                            <h2 className="text-lg font-bold text-[#1a1a1a]">
+                                                Split {billRecord.splits.length} ways
+                                            </h2>
+                                        </div>
+                                        {billRecord.splits.map((share) => (
+                                            <div key={share._id} className="flex items-start justify-between gap-3 text-sm">
+                                                <div>
+                                                    <p className="font-semibold text-[#1a1a1a]">{share.label}</p>
+                                                    {share.items?.length > 0 && (
+                                                        <p className="text-xs text-[#6b7280]">
+                                                            {share.items.map((item) => `${item.quantity}× ${item.name}`).join(", ")}
+                                                        </p>
+                                                    )}
+                                                    <p className="text-xs text-[#9ca3af]">Includes ₹{share.tax.toFixed(2)} GST</p>
+                                                </div>
+                                                <div className="text-right">
+                                                    <p className="font-bold text-[#1a1a1a]">₹{share.amountDue.toFixed(2)}</p>
+                                                    {share.billingStatus === 'paid' ? (
+                                                        <Badge className="bg-green-100 text-green-700 hover:bg-green-100">Paid</Badge>
+                                                    ) : (
+                                                        <Badge className="bg-orange-100 text-orange-700 hover:bg-orange-100">Due</Badge>
+                                                    )}
+                                                </div>
+                                            </div>
+                                        ))}
+                                    </CardContent>
+                                </Card>
+                            )}
+
+                            {/* UPI QR code for what is left to pay */}
+                            {billRecord && billingStatus !== 'paid' && (
+                                <UpiPaymentCard sessionId={sessionId} bill={billRecord} />
+                            )}
+
+                            {/* Loyalty Points */}
+                            {loyalty && billingStatus === 'unpaid' && !billRecord && (
+                                <Card className="border-none shadow-md">
+                                    <CardContent className="p-6 space-y-3">
+                                        <div className="flex items-center gap-3">
+                                            <div className="flex h-10 w-10 items-center justify-center rounded-full bg-[#ffe7cc]">
+                                                <Gift className="h-5 w-5 text-[#ff7a3c]" />
+                                            </div>
+                                            <div>
+                                                <p className="font-bold text-[#1a1a1a]">{loyalty.points} loyalty points</p>
+                                                <p className="text-xs text-[#6b7280]">{loyalty.tier.name} member · worth ₹{loyalty.value.toFixed(2)}</p>
+                                            </div>
+                                        </div>
+                                        {canRedeemPoints ? (
+                                            <div className="space-y-2">
+                                                <label className="flex items-center gap-2 text-sm text-[#1a1a1a] cursor-pointer">
+                                                    <Checkbox
+                                                        checked={usePoints}
+                                                        onCheckedChange={(checked) => {
+                                                            setUsePoints(!!checked);
+                                                            setRedeemPoints(String(maxRedeemablePoints));
+                                                        }}
+                                                    />
+                                                    Pay part of this bill with points
+                                                </label>
+                                                {usePoints && (
+                                                    <div className="flex items-center gap-2">
+                                                        <Input
+                                                            type="number"
+                                                            min={loyalty.rules.minRedeemPoints}
+                                                            max={maxRedeemablePoints}
+                                                            step="1"
+                                                            value={redeemPoints}
+                                                            onChange={(e) => setRedeemPoints(e.target.value)}
+                                                            className="w-32"
+                                                        />
+                                                        <span className="text-sm text-[#6b7280]">
+                                                            points = -₹{(pointsToRedeem * loyalty.rules.pointValue).toFixed(2)}
+                                                        </span>
+                                                    </div>
+                                                )}
+                                                <p className="text-xs text-[#9ca3af]">
+                                                    Redeem {loyalty.rules.minRedeemPoints} to {maxRedeemablePoints} points on this bill.
+                                                </p>
+                                            </div>
+                                        ) : (
+                                            <p className="text-xs text-[#9ca3af]">
+                                                Points can be redeemed from {loyalty.rules.minRedeemPoints} points, for up to {Math.round(loyalty.rules.maxRedeemShare * 100)}% of a bill.
+                                            </p>
+                                        )}
+                                    </CardContent>
+                                </Card>
+                            )}
+
                             {/* Individual Orders */}
                             <div>
                                 <h2 className="mb-4 text-xl font-bold text-[#1a1a1a]">Orders in this Session</h2>
@@ -4,9 +4,10 @@ import { Button } from "@/components/ui/button";
 import { Card, CardContent } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Separator } from "@/components/ui/separator";
-import { ArrowLeft, Plus, Minus, Trash2, ArrowRight, Tag, LogIn, Droplets } from "lucide-react";
+import { ArrowLeft, Plus, Minus, Trash2, ArrowRight, Tag, LogIn, Droplets, X } from "lucide-react";
 import { Link } from "react-router-dom";
 import { useCart } from "@/context/CartContext";
+import { getCartLineKey, MAX_SPECIAL_INSTRUCTIONS_LENGTH } from "@/lib/cartLines";
 import CustomerAuthContext from "@/context/CustomerAuthContext";
 import OrderConfirmation from "@/components/client/OrderConfirmation";
 import CustomerLoginModal from "@/components/client/CustomerLoginModal";
@@ -22,6 +23,10 @@ const MyCart = () => {
     calculateTotals,
     getTotalItems,
     placeOrder,
+    updateSpecialInstructions,
+    promoCode: appliedPromoCode,
+    applyPromoCode,
+    removePromoCode,
   } = useCart();
 
   const { isAuthenticated } = useContext(CustomerAuthContext);
@@ -31,7 +36,7 @@ const MyCart = () => {
   const [showLoginModal, setShowLoginModal] = useState(false);
   const [waterBottleItem, setWaterBottleItem] = useState(null);
 
-  const { subtotal, tax, total } = calculateTotals();
+  const { subtotal, discount, promotion, promoError, cgst, sgst, total, items: quotedItems, invalidItems } = calculateTotals();
   const totalItems = getTotalItems();
 
   useEffect(() => {
@@ -54,7 +59,7 @@ const MyCart = () => {
         id: waterBottleItem._id,
         name: waterBottleItem.productName,
         description: waterBottleItem.description,
-        price: waterBottleItem.amount,
+        price: waterBottleItem.activePrice ?? waterBottleItem.amount,
         quantity: 1,
         image: waterBottleItem.imageLink || '/images/water_bottle.png',
         isVeg: waterBottleItem.isVeg,
@@ -64,8 +69,13 @@ const MyCart = () => {
   };
 
   const handleApplyPromo = () => {
-    console.log("Applying promo code:", promoCode);
-    toast.success("Promo code applied!");
+    if (!promoCode.trim()) {
+      toast.error("Enter a promo code");
+      return;
+    }
+    // The cart is re-quoted with the code; the server says whether it applies
+    applyPromoCode(promoCode);
+    setPromoCode("");
   };
 
   const handlePlaceOrder = () => {
@@ -134,77 +144,120 @@ const MyCart = () => {
               {/* Cart Items Section */}
               <div className="lg:col-span-2">
                 <div className="space-y-4">
-                  {cartItems.map((item) => (
-                    <Card
-                      key={item.id}
-                      className="overflow-hidden border-none shadow-sm"
-                    >
-                      <CardContent className="p-4">
-                        <div className="flex gap-4">
-                          {/* Product Image */}
-                          <div className="h-20 w-20 flex-shrink-0 overflow-hidden rounded-xl bg-gradient-to-br from-[#2c2c2c] to-[#1a1a1a]">
-                            <img
-                              src={item.image}
-                              alt={item.name}
-                              className="h-full w-full object-cover"
-                            />
-                          </div>
+                  {cartItems.map((item, index) => {
+                    // Server quote lines point back to their cart line (a combo quotes one line per component);
+                    // fall back to the menu price shown when added
+                    const quotedLines = (quotedItems || []).filter((quoted) => quoted.cartIndex === index);
+                    const sumQuoted = (field) => quotedLines.reduce((sum, quoted) => sum + quoted[field], 0);
+                    const linePrice = quotedLines.length > 0 ? sumQuoted("price") : item.price;
+                    const lineRule = quotedLines[0]?.pricingRule;
+                    const invalidLine = invalidItems.find((invalid) => invalid.index === index);
+                    const lineKey = getCartLineKey(item);
+
+                    return (
+                      <Card
+                        key={lineKey}
+                        className="overflow-hidden border-none shadow-sm"
+                      >
+                        <CardContent className="p-4">
+                          <div className="flex gap-4">
+                            {/* Product Image */}
+                            <div className="h-20 w-20 flex-shrink-0 overflow-hidden rounded-xl bg-gradient-to-br from-[#2c2c2c] to-[#1a1a1a]">
+                              <img
+                                src={item.image}
+                                alt={item.name}
+                                className="h-full w-full object-cover"
+                              />
+                            </div>
 
-                          {/* Product Details */}
-                          <div className="flex flex-1 flex-col justify-between">
-                            <div className="flex items-start justify-between">
-                              <div>
-                                <h3 className="text-base font-bold text-[#1a1a1a]">
-                                  {item.name}
-                                </h3>
-                                <p className="mt-1 text-xs text-[#6b7280]">
-                                  {item.description}
-                                </p>
+                            {/* Product Details */}
+                            <div className="flex flex-1 flex-col justify-between">
+                              <div className="flex items-start justify-between">
+                                <div>
+                                  <h3 className="text-base font-bold text-[#1a1a1a]">
+                                    {item.name}
+                                  </h3>
+                                  {item.variantLabel && (
+                                    <p className="text-xs font-semibold text-[#1a1a1a]">{item.variantLabel}</p>
+                                  )}
+                                  <p className="mt-1 text-xs text-[#6b7280]">
+                                    {item.description}
+                                  </p>
+                                  {item.customizations?.length > 0 && (
+                                    <p className="mt-1 text-xs font-medium text-[#ff7a3c]">
+                                      + {item.customizations.map((c) => c.name).join(", ")}
+                                    </p>
+                                  )}
+                                  {invalidLine && (
+                                    <p className="mt-1 text-xs font-semibold text-red-600">
+                                      {invalidLine.reason}
+                                    </p>
+                                  )}
+                                </div>
+                                <div className="text-right">
+                                  <span className="text-base font-bold text-[#ff7a3c]">
+                                    ₹{(linePrice * item.quantity).toFixed(2)}
+                                  </span>
+                                  {lineRule && (
+                                    <>
+                                      <p className="text-xs text-[#9ca3af] line-through">
+                                        ₹{(sumQuoted("originalPrice") * item.quantity).toFixed(2)}
+                                      </p>
+                                      <p className="text-xs font-medium text-green-600">{lineRule.name}</p>
+                                    </>
+                                  )}
+                                </div>
                               </div>
-                              <span className="text-base font-bold text-[#ff7a3c]">
-                                ₹{(item.price * item.quantity).toFixed(2)}
-                              </span>
-                            </div>
 
-                            {/* Quantity Controls and Remove */}
-                            <div className="mt-3 flex items-center justify-between">
-                              <Button
-                                variant="ghost"
-                                size="sm"
-                                className="h-auto p-0 text-xs font-semibold text-red-600 hover:bg-transparent hover:text-red-700"
-                                onClick={() => deleteFromCart(item.id)}
-                              >
-                                <Trash2 className="mr-1 h-3 w-3" />
-                                Remove
-                              </Button>
-
-                              <div className="flex items-center gap-2 rounded-full border border-[#e0e0e0] bg-white px-2 py-1">
+                              {/* Quantity Controls and Remove */}
+                              <div className="mt-3 flex items-center justify-between">
                                 <Button
-                                  size="icon"
                                   variant="ghost"
-                                  className="h-7 w-7 rounded-full hover:bg-[#ff7a3c] hover:text-white"
-                                  onClick={() => removeFromCart(item.id)}
+                                  size="sm"
+                                  className="h-auto p-0 text-xs font-semibold text-red-600 hover:bg-transparent hover:text-red-700"
+                                  onClick={() => deleteFromCart(item.id)}
                                 >
-                                  <Minus className="h-3 w-3" />
-                                </Button>
-                                <span className="min-w-[20px] text-center text-sm font-semibold text-[#1a1a1a]">
-                                  {item.quantity}
-                                </span>
-                                <Button
-                                  size="icon"
-                                  variant="ghost"
-                                  className="h-7 w-7 rounded-full bg-[#ff7a3c] text-white hover:bg-[#ff6825] hover:text-white"
-                                  onClick={() => addToCart(item)}
-                                >
-                                  <Plus className="h-3 w-3" />
+                                  <Trash2 className="mr-1 h-3 w-3" />
+                                  Remove
                                 </Button>
+
+                                <div className="flex items-center gap-2 rounded-full border border-[#e0e0e0] bg-white px-2 py-1">
+                                  <Button
+                                    size="icon"
+                                    variant="ghost"
+                                    className="h-7 w-7 rounded-full hover:bg-[#ff7a3c] hover:text-white"
+                                    onClick={() => removeFromCart(item.id)}
+                                  >
+                                    <Minus className="h-3 w-3" />
+                                  </Button>
+                                  <span className="min-w-[20px] text-center text-sm font-semibold text-[#1a1a1a]">
+                                    {item.quantity}
+                                  </span>
+                                  <Button
+                                    size="icon"
+                                    variant="ghost"
+                                    className="h-7 w-7 rounded-full bg-[#ff7a3c] text-white hover:bg-[#ff6825] hover:text-white"
+                                    onClick={() => addToCart({ ...item, quantity: 1 })}
+                                  >
+                                    <Plus className="h-3 w-3" />
+                                  </Button>
+                                </div>
                               </div>
+
+                              {/* Cooking note for the kitchen */}
+                              <Input
+                                className="mt-3 h-8 text-xs"
+                                placeholder="Cooking note (e.g. less spicy, no onion)"
+                                maxLength={MAX_SPECIAL_INSTRUCTIONS_LENGTH}
+                                value={item.specialInstructions || ""}
+                                onChange={(e) => updateSpecialInstructions(lineKey, e.target.value)}
+                              />
                             </div>
                           </div>
-                        </div>
-                      </CardContent>
-                    </Card>
-                  ))}
+                        </CardContent>
+                      </Card>
+                    );
+                  })}
                 </div>
 
                 {/* Water Bottle Suggestion */}
@@ -253,25 +306,51 @@ const MyCart = () => {
                     )}
 
                     {/* Promo Code */}
-                    <div className="mb-6 flex gap-2">
-                      <div className="relative flex-1">
-                        <Tag className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-[#9ca3af]" />
-                        <Input
-                          type="text"
-                          placeholder="Promo code"
-                          value={promoCode}
-                          onChange={(e) => setPromoCode(e.target.value)}
-                          className="h-10 rounded-lg border-[#e0e0e0] pl-10 text-sm"
-                        />
+                    {appliedPromoCode ? (
+                      <div className="mb-6">
+                        <div className={`flex items-center justify-between rounded-lg border px-3 py-2 ${promoError ? "border-red-200 bg-red-50" : "border-green-200 bg-green-50"}`}>
+                          <div className="flex items-center gap-2">
+                            <Tag className={`h-4 w-4 ${promoError ? "text-red-600" : "text-green-600"}`} />
+                            <span className="font-mono text-sm font-bold text-[#1a1a1a]">{appliedPromoCode}</span>
+                            {promotion?.description && (
+                              <span className="text-xs text-[#6b7280]">{promotion.description}</span>
+                            )}
+                          </div>
+                          <Button
+                            size="icon"
+                            variant="ghost"
+                            className="h-6 w-6 text-[#6b7280] hover:text-red-600"
+                            onClick={removePromoCode}
+                            aria-label="Remove promo code"
+                          >
+                            <X className="h-4 w-4" />
+                          </Button>
+                        </div>
+                        {promoError && (
+                          <p className="mt-1 text-xs font-semibold text-red-600">{promoError}</p>
+                        )}
                       </div>
-                      <Button
-                        variant="outline"
-                        className="h-10 rounded-lg border-[#e0e0e0] px-6 text-sm font-semibold hover:border-[#ff7a3c] hover:text-[#ff7a3c]"
-                        onClick={handleApplyPromo}
-                      >
-                        Apply
-                      </Button>
-                    </div>
+                    ) : (
+                      <div className="mb-6 flex gap-2">
+                        <div className="relative flex-1">
+                          <Tag className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-[#9ca3af]" />
+                          <Input
+                            type="text"
+                            placeholder="Promo code"
+                            value={promoCode}
+                            onChange={(e) => setPromoCode(e.target.value)}
+                            className="h-10 rounded-lg border-[#e0e0e0] pl-10 text-sm"
+                          />
+                        </div>
+                        <Button
+                          variant="outline"
+                          className="h-10 rounded-lg border-[#e0e0e0] px-6 text-sm font-semibold hover:border-[#ff7a3c] hover:text-[#ff7a3c]"
+                          onClick={handleApplyPromo}
+                        >
+                          Apply
+                        </Button>
+                      </div>
+                    )}
 
                     <Separator className="mb-4" />
 
@@ -283,10 +362,24 @@ const MyCart = () => {
                           ₹{subtotal.toFixed(2)}
                         </span>
                       </div>
+                      {discount > 0 && (
+                        <div className="flex items-center justify-between text-sm">
+                          <span className="text-[#6b7280]">Discount ({appliedPromoCode})</span>
+                          <span className="font-semibold text-green-600">
+                            -₹{discount.toFixed(2)}
+                          </span>
+                        </div>
+                      )}
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="text-[#6b7280]">CGST</span>
+                        <span className="font-semibold text-[#1a1a1a]">
+                          ₹{cgst.toFixed(2)}
+                        </span>
+                      </div>
                       <div className="flex items-center justify-between text-sm">
-                        <span className="text-[#6b7280]">Tax (8%)</span>
+                        <span className="text-[#6b7280]">SGST</span>
                         <span className="font-semibold text-[#1a1a1a]">
-                          ₹{tax.toFixed(2)}
+                          ₹{sgst.toFixed(2)}
                         </span>
                       </div>
                       <div className="flex items-center justify-between text-sm">
@@ -92,8 +92,8 @@ const MyOrder = () => {
     if (!socket) return;
 
     const handleStatusUpdate = (updatedOrder) => {
-      // Update order status in local state when receiving WebSocket event
-      updateOrderStatus(updatedOrder._id, updatedOrder.status);
+      // Update order and item statuses in local state when receiving WebSocket event
+      updateOrderStatus(updatedOrder._id, updatedOrder.status, updatedOrder);
     };
 
     // Listen for billing status updates from admin
@@ -125,8 +125,13 @@ const MyOrder = () => {
       orderNumber: order.orderNumber,
       date: order.fullDate,
       time: order.time,
-      items: order.items,
+      // Cancelled lines are not charged
+      items: order.items.filter((item) => item.status !== "CANCELLED"),
       subtotal: order.subtotal,
+      discount: order.discount || 0,
+      promoCodes: order.promoCode || "",
+      cgst: order.cgst,
+      sgst: order.sgst,
       tax: order.tax,
       total: order.total,
       barcode: order.barcode,
@@ -266,6 +271,41 @@ const MyOrder = () => {
   );
 };
 
+// Per-item tracking for orders in progress - drinks can be served before the mains are ready
+const ITEM_PROGRESS_STYLES = {
+  PENDING: { label: "Received", className: "bg-gray-100 text-gray-600 hover:bg-gray-100" },
+  PREPARING: { label: "Cooking", className: "bg-orange-100 text-[#ff7a3c] hover:bg-orange-100" },
+  SERVED: { label: "Served", className: "bg-green-100 text-green-700 hover:bg-green-100" },
+  CANCELLED: { label: "Cancelled", className: "bg-red-100 text-red-600 hover:bg-red-100" },
+};
+
+const OrderItemProgress = ({ items }) => {
+  const activeItems = items.filter((item) => item.status !== "CANCELLED");
+  const servedCount = activeItems.filter((item) => item.status === "SERVED").length;
+
+  return (
+    <div className="space-y-2 px-6 py-4">
+      <p className="text-xs font-semibold uppercase tracking-wide text-[#6b7280]">
+        {servedCount} of {activeItems.length} items served
+      </p>
+      {items.map((item, index) => {
+        const style = ITEM_PROGRESS_STYLES[item.status] || ITEM_PROGRESS_STYLES.PENDING;
+        return (
+          <div key={index} className="flex items-center justify-between text-sm">
+            <span className={item.status === "CANCELLED" ? "text-[#9ca3af] line-through" : "text-[#1a1a1a]"}>
+              {item.quantity}x {item.name}
+            </span>
+            <Badge className={`rounded-full px-2 py-0.5 text-xs font-semibold ${style.className}`}>
+              {item.status === "SERVED" && <CheckCircle2 className="mr-1 h-3 w-3" />}
+              {style.label}
+            </Badge>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
 // All Orders Content
 const AllOrdersContent = ({ inProgressOrders, completedOrders, onViewBill }) => {
   console.log("AllOrders images:", inProgressOrders.map((o) => o.image));
@@ -340,6 +380,7 @@ const AllOrdersContent = ({ inProgressOrders, completedOrders, onViewBill }) =>
                       </div>
                     </div>
                   </div>
+                  <OrderItemProgress items={order.items} />
                 </CardContent>
               </Card>
             ))}
@@ -430,6 +471,9 @@ const AllOrdersContent = ({ inProgressOrders, completedOrders, onViewBill }) =>
             onClick={() => {
               const allOrders = [...inProgressOrders, ...completedOrders];
               const subtotal = allOrders.reduce((sum, o) => sum + (o.subtotal || 0), 0);
+              const discount = allOrders.reduce((sum, o) => sum + (o.discount || 0), 0);
+              const cgst = allOrders.reduce((sum, o) => sum + (o.cgst || 0), 0);
+              const sgst = allOrders.reduce((sum, o) => sum + (o.sgst || 0), 0);
               const tax = allOrders.reduce((sum, o) => sum + (o.tax || 0), 0);
               const total = allOrders.reduce((sum, o) => sum + (o.total || 0), 0);
               const items = allOrders.flatMap((o) => o.items || []);
@@ -447,6 +491,9 @@ const AllOrdersContent = ({ inProgressOrders, completedOrders, onViewBill }) =>
                 }),
                 items,
                 subtotal,
+                discount,
+                cgst,
+                sgst,
                 tax,
                 total,
                 barcode: `ALL-${Date.now()}`,
@@ -536,6 +583,7 @@ const ActiveOrdersContent = ({ orders, onViewBill }) => {
                   </div>
                 </div>
               </div>
+              <OrderItemProgress items={order.items} />
             </CardContent>
           </Card>
         ))}
@@ -570,6 +618,7 @@ const PastOrdersContent = ({ orders, historicalOrders = [] }) => {
         items: histOrder.items,
         itemCount: histOrder.items.reduce((sum, item) => sum + item.quantity, 0),
         subtotal: histOrder.subtotal,
+        discount: histOrder.discount || 0,
         tax: histOrder.tax,
         total: histOrder.total,
         image: histOrder.items[0]?.imageLink || placeholderImg,
@@ -694,7 +743,15 @@ const PastOrdersContent = ({ orders, historicalOrders = [] }) => {
                       {order.items.map((item, idx) => (
                         <div key={idx} className="flex justify-between items-start py-2 border-b border-gray-100 last:border-0">
                           <div className="flex-1">
-                            <p className="font-medium text-gray-900">{item.name}</p>
+                            <p className={`font-medium ${item.status?.toUpperCase() === "CANCELLED" ? "text-gray-400 line-through" : "text-gray-900"}`}>
+                              {item.name}
+                            </p>
+                            {item.variant && (
+                              <p className="text-xs text-gray-600">{item.variant}</p>
+                            )}
+                            {item.combo && (
+                              <p className="text-xs font-medium text-[#ff7a3c]">{item.combo.name} · {item.combo.slot}</p>
+                            )}
                             <p className="text-sm text-gray-500">Qty: {item.quantity} × ₹{item.price.toFixed(2)}</p>
                           </div>
                           <p className="font-semibold text-gray-900">
@@ -712,6 +769,12 @@ const PastOrdersContent = ({ orders, historicalOrders = [] }) => {
                         <span className="text-gray-600">Subtotal:</span>
                         <span className="font-medium">₹{order.subtotal.toFixed(2)}</span>
                       </div>
+                      {order.discount > 0 && (
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Discount:</span>
+                          <span className="font-medium text-green-600">-₹{order.discount.toFixed(2)}</span>
+                        </div>
+                      )}
                       <div className="flex justify-between">
                         <span className="text-gray-600">Tax:</span>
                         <span className="font-medium">₹{order.tax.toFixed(2)}</span>
@@ -1,6 +1,7 @@
 /**
  * PreviousOrders Page - Displays customer's order and bill history.
  * Shows all previous orders and bills associated with the customer's phone number.
+ * Items on paid bills can be rated and reviewed.
  */
 import React, { useState, useEffect, useContext } from "react";
 import { Button } from "@/components/ui/button";
@@ -14,22 +15,30 @@ import {
     Calendar,
     DollarSign,
     ArrowLeft,
-    Loader2
+    Loader2,
+    Star
 } from "lucide-react";
 import { Link } from "react-router-dom";
 import CustomerAuthContext from "@/context/CustomerAuthContext";
 import { getOrdersByPhone, getBillsByPhone } from "@/services/orderService";
+import reviewService from "@/services/reviewService";
+import ReviewDialog from "@/components/client/ReviewDialog";
 import { toast } from "sonner";
 
 const PreviousOrders = () => {
     const authContext = useContext(CustomerAuthContext);
     const phone = authContext?.customer?.phone || null;
+    const customerId = authContext?.customer?._id || authContext?.customer?.id || null;
     const [orders, setOrders] = useState([]);
     const [bills, setBills] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const [expandedOrder, setExpandedOrder] = useState(null);
     const [expandedBill, setExpandedBill] = useState(null);
     const [activeTab, setActiveTab] = useState('bills'); // 'orders' or 'bills'
+    // The customer's reviews by menu item ID
+    const [reviews, setReviews] = useState({});
+    // Bill item being rated ({ menuItemId, name }), or null
+    const [reviewItem, setReviewItem] = useState(null);
 
     // Fetch orders and bills on mount
     useEffect(() => {
@@ -52,6 +61,16 @@ const PreviousOrders = () => {
                 if (billsResponse.success) {
                     setBills(billsResponse.data || []);
                 }
+
+                // Fetch the customer's reviews to show what they already rated
+                if (customerId) {
+                    const reviewsResponse = await reviewService.fetchMyReviews(customerId);
+                    if (reviewsResponse.success) {
+                        setReviews(Object.fromEntries(
+                            reviewsResponse.data.map((review) => [review.menuItem, review])
+                        ));
+                    }
+                }
             } catch (error) {
                 console.error('Error fetching history:', error);
                 toast.error('Failed to load order history');
@@ -61,7 +80,17 @@ const PreviousOrders = () => {
         };
 
         fetchData();
-    }, [phone]);
+    }, [phone, customerId]);
+
+    const getReviewLabel = (review) => {
+        if (!review) return 'Rate this item';
+        const notes = { pending: ' · review awaiting approval', rejected: ' · review not published' };
+        return `You rated ${review.rating}/5${notes[review.status] || ''}`;
+    };
+
+    const handleReviewed = (review) => {
+        setReviews((prev) => ({ ...prev, [review.menuItem]: review }));
+    };
 
     const formatDate = (dateString) => {
         return new Date(dateString).toLocaleDateString('en-IN', {
@@ -223,7 +252,23 @@ const PreviousOrders = () => {
                                                         <div key={idx} className="flex justify-between items-start py-2">
                                                             <div>
                                                                 <p className="font-medium text-gray-900">{item.name}</p>
+                                                                {item.variant && (
+                                                                    <p className="text-xs text-gray-600">{item.variant}</p>
+                                                                )}
+                                                                {item.combo && (
+                                                                    <p className="text-xs font-medium text-[#ff7a3c]">{item.combo.name} · {item.combo.slot}</p>
+                                                                )}
                                                                 <p className="text-sm text-gray-500">Qty: {item.quantity}</p>
+                                                                {customerId && bill.billingStatus === 'paid' && item.menuItemId && (
+                                                                    <button
+                                                                        type="button"
+                                                                        onClick={() => setReviewItem({ menuItemId: item.menuItemId, name: item.name })}
+                                                                        className="mt-1 flex items-center gap-1 text-xs font-medium text-red-600 hover:text-red-700"
+                                                                    >
+                                                                        <Star className={`h-3.5 w-3.5 ${reviews[item.menuItemId] ? 'fill-yellow-400 text-yellow-400' : ''}`} />
+                                                                        {getReviewLabel(reviews[item.menuItemId])}
+                                                                    </button>
+                                                                )}
                                                             </div>
                                                             <p className="font-semibold text-gray-900">
                                                                 ₹{(item.price * item.quantity).toFixed(2)}
@@ -236,6 +281,12 @@ const PreviousOrders = () => {
                                                             <span className="text-gray-600">Subtotal:</span>
                                                             <span className="font-medium">₹{bill.subtotal.toFixed(2)}</span>
                                                         </div>
+                                                        {bill.discount > 0 && (
+                                                            <div className="flex justify-between">
+                                                                <span className="text-gray-600">Discount:</span>
+                                                                <span className="font-medium text-green-600">-₹{bill.discount.toFixed(2)}</span>
+                                                            </div>
+                                                        )}
                                                         <div className="flex justify-between">
                                                             <span className="text-gray-600">Tax:</span>
                                                             <span className="font-medium">₹{bill.tax.toFixed(2)}</span>
@@ -313,6 +364,12 @@ const PreviousOrders = () => {
                                                         <div key={idx} className="flex justify-between items-start py-2">
                                                             <div>
                                                                 <p className="font-medium text-gray-900">{item.name}</p>
+                                                                {item.variant && (
+                                                                    <p className="text-xs text-gray-600">{item.variant}</p>
+                                                                )}
+                                                                {item.combo && (
+                                                                    <p className="text-xs font-medium text-[#ff7a3c]">{item.combo.name} · {item.combo.slot}</p>
+                                                                )}
                                                                 <p className="text-sm text-gray-500">Qty: {item.quantity}</p>
                                                             </div>
                                                             <p className="font-semibold text-gray-900">
@@ -326,6 +383,12 @@ const PreviousOrders = () => {
                                                             <span className="text-gray-600">Subtotal:</span>
                                                             <span className="font-medium">₹{order.subtotal.toFixed(2)}</span>
                                                         </div>
+                                                        {order.discount > 0 && (
+                                                            <div className="flex justify-between">
+                                                                <span className="text-gray-600">Discount:</span>
+                                                                <span className="font-medium text-green-600">-₹{order.discount.toFixed(2)}</span>
+                                                            </div>
+                                                        )}
                                                         <div className="flex justify-between">
                                                             <span className="text-gray-600">Tax:</span>
                                                             <span className="font-medium">₹{order.tax.toFixed(2)}</span>
@@ -345,6 +408,16 @@ const PreviousOrders = () => {
                     </div>
                 )}
             </div>
+
+            <ReviewDialog
+                key={reviewItem?.menuItemId}
+                isOpen={!!reviewItem}
+                onClose={() => setReviewItem(null)}
+                customerId={customerId}
+                item={reviewItem}
+                review={reviewItem ? reviews[reviewItem.menuItemId] : null}
+                onReviewed={handleReviewed}
+            />
         </div>
     );
 };
@@ -1,19 +1,33 @@
 /**
  * UserProfile - Displays authenticated user's profile information and current order status.
- * Shows name, phone, email, and active orders if any.
+ * Shows name, phone, email, loyalty points with their ledger, and active orders if any.
  */
 
 import { useContext, useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import CustomerAuthContext from '@/context/CustomerAuthContext';
 import { useCart } from '@/context/CartContext';
-import { User, Phone, Mail, Package, LogOut, ChevronRight } from 'lucide-react';
+import { User, Phone, Mail, Package, LogOut, ChevronRight, Gift } from 'lucide-react';
+import loyaltyService from '@/services/loyaltyService';
+import { LOYALTY_TRANSACTION_TYPES, describeLoyaltyTransaction, formatPoints } from '@/lib/loyalty';
+
+// Ledger entries shown before "Show all"
+const LEDGER_PREVIEW_COUNT = 5;
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+});
 
 const UserProfile = () => {
     const navigate = useNavigate();
     const { customer, isAuthenticated, logout } = useContext(CustomerAuthContext);
     const { orderHistory, sessionId } = useCart();
     const [activeOrders, setActiveOrders] = useState([]);
+    const [loyalty, setLoyalty] = useState(null);
+    const [showFullLedger, setShowFullLedger] = useState(false);
+    const customerId = customer?._id || customer?.id || null;
 
     // Redirect to home if not authenticated
     useEffect(() => {
@@ -30,6 +44,24 @@ const UserProfile = () => {
         setActiveOrders(active);
     }, [orderHistory]);
 
+    // Fetch loyalty points and ledger
+    useEffect(() => {
+        if (!customerId) return;
+
+        const fetchLoyalty = async () => {
+            try {
+                const response = await loyaltyService.fetchMyLoyalty(customerId);
+                if (response.success) {
+                    setLoyalty(response.data);
+                }
+            } catch (error) {
+                console.error('Error fetching loyalty points:', error);
+            }
+        };
+
+        fetchLoyalty();
+    }, [customerId]);
+
     const handleLogout = () => {
         logout();
         navigate('/');
@@ -106,6 +138,80 @@ const UserProfile = () => {
                     </div>
                 </div>
 
+                {/* Loyalty Points */}
+                {loyalty && (
+                    <div className="bg-white rounded-2xl shadow-lg overflow-hidden mb-6">
+                        <div className="p-6">
+                            <div className="flex items-center justify-between mb-4">
+                                <div className="flex items-center gap-3">
+                                    <div className="w-10 h-10 bg-orange-100 rounded-full flex items-center justify-center">
+                                        <Gift className="w-5 h-5 text-orange-600" />
+                                    </div>
+                                    <h3 className="text-xl font-bold text-gray-900">Loyalty Points</h3>
+                                </div>
+                                <span className="px-3 py-1 rounded-full bg-orange-100 text-orange-700 text-sm font-semibold">
+                                    {loyalty.tier.name}
+                                </span>
+                            </div>
+
+                            <div className="p-4 bg-gradient-to-r from-orange-50 to-red-50 rounded-xl border border-orange-200">
+                                <p className="text-3xl font-bold text-gray-900">{loyalty.points} <span className="text-base font-medium text-gray-600">points</span></p>
+                                <p className="text-sm text-gray-600">Worth ₹{loyalty.value.toFixed(2)} off your bill</p>
+                                {loyalty.tier.nextTier && (
+                                    <p className="mt-2 text-xs text-gray-500">
+                                        Earn {loyalty.tier.nextTier.pointsNeeded} more points to reach {loyalty.tier.nextTier.name}
+                                    </p>
+                                )}
+                                {loyalty.expiringSoon.points > 0 && (
+                                    <p className="mt-2 text-xs font-medium text-red-600">
+                                        {loyalty.expiringSoon.points} points expire from {formatDate(loyalty.expiringSoon.nextExpiry)}
+                                    </p>
+                                )}
+                            </div>
+
+                            <p className="mt-3 text-xs text-gray-500">
+                                Earn {Math.round(loyalty.rules.pointsPerRupee * 100)} points per ₹100
+                                {loyalty.tier.multiplier > 1 ? ` (×${loyalty.tier.multiplier} at ${loyalty.tier.name})` : ''} on paid bills.
+                                Redeem {loyalty.rules.minRedeemPoints}+ points for up to {Math.round(loyalty.rules.maxRedeemShare * 100)}% of a bill.
+                                Points expire {loyalty.rules.expiryDays} days after you earn them.
+                            </p>
+
+                            {/* Points Ledger */}
+                            {loyalty.transactions.length > 0 && (
+                                <div className="mt-4 divide-y divide-gray-100">
+                                    {(showFullLedger ? loyalty.transactions : loyalty.transactions.slice(0, LEDGER_PREVIEW_COUNT)).map((transaction) => (
+                                        <div key={transaction._id} className="flex items-center justify-between py-3">
+                                            <div>
+                                                <div className="flex items-center gap-2">
+                                                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${LOYALTY_TRANSACTION_TYPES[transaction.type]?.className || ''}`}>
+                                                        {LOYALTY_TRANSACTION_TYPES[transaction.type]?.label || transaction.type}
+                                                    </span>
+                                                    <span className="text-xs text-gray-500">{formatDate(transaction.createdAt)}</span>
+                                                </div>
+                                                <p className="mt-1 text-sm text-gray-600">{describeLoyaltyTransaction(transaction)}</p>
+                                            </div>
+                                            <div className="text-right">
+                                                <p className={`font-semibold ${transaction.points > 0 ? 'text-green-600' : 'text-gray-900'}`}>
+                                                    {formatPoints(transaction.points)}
+                                                </p>
+                                                <p className="text-xs text-gray-500">Balance {transaction.balanceAfter}</p>
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                            {loyalty.transactions.length > LEDGER_PREVIEW_COUNT && (
+                                <button
+                                    onClick={() => setShowFullLedger((show) => !show)}
+                                    className="mt-2 text-sm font-medium text-orange-600 hover:text-orange-700"
+                                >
+                                    {showFullLedger ? 'Show less' : `Show all ${loyalty.transactions.length}`}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                )}
+
                 {/* Active Orders Section */}
                 {sessionId && activeOrders.length > 0 && (
                     <div className="bg-white rounded-2xl shadow-lg overflow-hidden mb-6">
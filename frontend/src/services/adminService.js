@@ -1,10 +1,8 @@
 import api from './api';
 
+// Creates a staff login; requires the staff-roles permission, so the current session is kept
 const registerAdmin = async (adminData) => {
     const response = await api.post('/admin/register', adminData);
-    if (response.data) {
-        localStorage.setItem('admin', JSON.stringify(response.data));
-    }
     return response.data;
 };
 
@@ -20,6 +18,11 @@ const logoutAdmin = () => {
     localStorage.removeItem('admin');
 };
 
+const getCurrentAdmin = async () => {
+    const response = await api.get('/admin/me');
+    return response.data;
+};
+
 const requestPasswordReset = async (phoneNumber) => {
     const response = await api.post('/admin/forgot-password', { phoneNumber });
     return response.data;
@@ -35,13 +38,26 @@ const getOTPLogs = async (page = 1, limit = 20) => {
     return response.data;
 };
 
+const getStaffAccounts = async () => {
+    const response = await api.get('/admin/staff');
+    return response.data;
+};
+
+const updateStaffRole = async (id, role) => {
+    const response = await api.put(`/admin/staff/${id}/role`, { role });
+    return response.data;
+};
+
 const adminService = {
     registerAdmin,
     loginAdmin,
     logoutAdmin,
+    getCurrentAdmin,
     requestPasswordReset,
     verifyOTPAndResetPassword,
     getOTPLogs,
+    getStaffAccounts,
+    updateStaffRole,
 };
 
 export default adminService;
@@ -0,0 +1,55 @@
+/**
+ * Daypart Service - Handles all API calls for dayparts, the parts of the day menu categories are served in.
+ * Customers see the result on the menu: categories outside their dayparts are left out.
+ */
+
+import api from './api';
+
+/**
+ * Fetch all dayparts, each with whether it is running right now.
+ * @returns {Promise<Array>} Array of dayparts
+ */
+const fetchDayparts = async () => {
+    const response = await api.get('/dayparts');
+    return response.data;
+};
+
+/**
+ * Create a new daypart.
+ * @param {Object} daypartData - { name, categories, daysOfWeek, startTime, endTime, isActive }
+ * @returns {Promise<Object>} Created daypart
+ */
+const createDaypart = async (daypartData) => {
+    const response = await api.post('/dayparts', daypartData);
+    return response.data;
+};
+
+/**
+ * Update an existing daypart (also used to enable or disable it).
+ * @param {string} id - Daypart ID
+ * @param {Object} daypartData - Updated daypart fields
+ * @returns {Promise<Object>} Updated daypart
+ */
+const updateDaypart = async (id, daypartData) => {
+    const response = await api.put(`/dayparts/${id}`, daypartData);
+    return response.data;
+};
+
+/**
+ * Delete a daypart. Its categories are served all day again unless another daypart lists them.
+ * @param {string} id - Daypart ID
+ * @returns {Promise<Object>} Deletion confirmation
+ */
+const deleteDaypart = async (id) => {
+    const response = await api.delete(`/dayparts/${id}`);
+    return response.data;
+};
+
+const daypartService = {
+    fetchDayparts,
+    createDaypart,
+    updateDaypart,
+    deleteDaypart
+};
+
+export default daypartService;
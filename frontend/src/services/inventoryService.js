@@ -37,6 +37,16 @@ const fetchInventoryStats = async () => {
     return response.data;
 };
 
+/**
+ * Fetch the value of stock on hand.
+ * @param {string} method - 'fifo' or 'weighted-average'
+ * @returns {Promise<Object>} { method, totalValue, uncostedItemCount, items }
+ */
+const fetchInventoryValuation = async (method = 'fifo') => {
+    const response = await api.get(`/inventory/valuation?method=${method}`);
+    return response.data;
+};
+
 /**
  * Fetch a single inventory item by ID.
  * @param {string} id - Inventory item ID
@@ -116,16 +126,96 @@ const importInventoryCSV = async (file) => {
     return response.data;
 };
 
+/**
+ * Fetch the stock movement history of an inventory item, newest first.
+ * @param {string} id - Inventory item ID
+ * @param {string} type - Optional movement type filter
+ * @returns {Promise<Array>} Array of stock movements
+ */
+const fetchStockMovements = async (id, type = 'all') => {
+    const url = type && type !== 'all'
+        ? `/inventory/${id}/movements?type=${type}`
+        : `/inventory/${id}/movements`;
+
+    const response = await api.get(url);
+    return Array.isArray(response.data) ? response.data : [];
+};
+
+/**
+ * Record wastage, spoilage or a manual adjustment.
+ * @param {string} id - Inventory item ID
+ * @param {Object} movementData - { type, quantity, reason }
+ * @returns {Promise<Object>} { movement, inventoryItem }
+ */
+const recordStockMovement = async (id, movementData) => {
+    const response = await api.post(`/inventory/${id}/movements`, movementData);
+    return response.data;
+};
+
+/**
+ * Fetch stock batches expiring within a number of days (expired ones included), soonest first.
+ * @param {number} days - Days ahead to look (optional, server default otherwise)
+ * @returns {Promise<Object>} { days, batches }
+ */
+const fetchExpiringBatches = async (days) => {
+    const url = days === undefined ? '/inventory/expiring' : `/inventory/expiring?days=${days}`;
+    const response = await api.get(url);
+    return response.data;
+};
+
+/**
+ * Write off what is left of a stock batch as wastage.
+ * @param {string} id - Inventory item ID
+ * @param {string} batchId - Batch ID
+ * @param {string} reason - Optional reason (defaults to the batch's expiry)
+ * @returns {Promise<Object>} { movement, inventoryItem }
+ */
+const writeOffBatch = async (id, batchId, reason) => {
+    const response = await api.post(`/inventory/${id}/batches/${batchId}/write-off`, { reason });
+    return response.data;
+};
+
+/**
+ * Fetch the reorder forecast: each item's consumption forecast from sales and suggested order.
+ * @param {number} days - Days of sales history to use (optional, server default otherwise)
+ * @returns {Promise<Object>} { lookbackDays, coverDays, generatedAt, items }
+ */
+const fetchReorderForecast = async (days) => {
+    const url = days === undefined ? '/inventory/forecast' : `/inventory/forecast?days=${days}`;
+    const response = await api.get(url);
+    return response.data;
+};
+
+/**
+ * Export the reorder forecast to CSV.
+ * @param {number} days - Days of sales history to use (optional)
+ * @returns {Promise<Blob>} CSV file blob
+ */
+const exportReorderForecastCSV = async (days) => {
+    const url = days === undefined ? '/inventory/forecast/export/csv' : `/inventory/forecast/export/csv?days=${days}`;
+    const response = await api.get(url, {
+        responseType: 'blob'
+    });
+    return response.data;
+};
+
 const inventoryService = {
     fetchAllInventoryItems,
     fetchInventoryStats,
+    fetchInventoryValuation,
     fetchInventoryItemById,
     createInventoryItem,
     updateInventoryItem,
     deleteInventoryItem,
     updateQuantity,
     exportInventoryCSV,
-    importInventoryCSV
+    exportReorderForecastCSV,
+    importInventoryCSV,
+    fetchStockMovements,
+    recordStockMovement,
+    fetchExpiringBatches,
+    writeOffBatch,
+    fetchReorderForecast
 };
 
 export default inventoryService;
@@ -0,0 +1,57 @@
+/**
+ * Loyalty Service - Handles all API calls for customer loyalty points.
+ * Customers see their own points; staff look up customers and adjust points with a reason.
+ */
+
+import api from './api';
+
+/**
+ * Fetch the customer's points, tier, redemption rules and latest ledger entries.
+ * @param {string} customerId - Verified customer's ID
+ * @returns {Promise<Object>} { success, data: { points, value, lifetimePoints, tier, expiringSoon, rules, transactions } }
+ */
+const fetchMyLoyalty = async (customerId) => {
+    const response = await api.get('/loyalty/me', { params: { customerId } });
+    return response.data;
+};
+
+/**
+ * Fetch customers with their points, most points first (admin).
+ * @param {string} [search] - Name or phone number
+ * @returns {Promise<Object>} { success, data: customers }
+ */
+const fetchLoyaltyCustomers = async (search = '') => {
+    const response = await api.get('/loyalty/customers', { params: search ? { search } : {} });
+    return response.data;
+};
+
+/**
+ * Fetch a customer's points and ledger (admin).
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object>} { success, data: { customer, transactions } }
+ */
+const fetchCustomerTransactions = async (customerId) => {
+    const response = await api.get(`/loyalty/customers/${customerId}/transactions`);
+    return response.data;
+};
+
+/**
+ * Add or remove a customer's points by hand (admin).
+ * @param {string} customerId - Customer ID
+ * @param {number} points - Whole number, negative to remove
+ * @param {string} reason - Why the points are adjusted
+ * @returns {Promise<Object>} { success, message, data: { customer, transaction } }
+ */
+const adjustPoints = async (customerId, points, reason) => {
+    const response = await api.post(`/loyalty/customers/${customerId}/adjustments`, { points, reason });
+    return response.data;
+};
+
+const loyaltyService = {
+    fetchMyLoyalty,
+    fetchLoyaltyCustomers,
+    fetchCustomerTransactions,
+    adjustPoints
+};
+
+export default loyaltyService;
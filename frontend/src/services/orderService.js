@@ -15,6 +15,18 @@ export const createOrder = async (orderData) => {
     return response.data;
 };
 
+/**
+ * Price cart lines on the server without placing an order.
+ * @param {Array} items - Cart lines: { menuItemId, quantity, customizations }
+ * @param {Object} [promo] - { promoCode, customerId } to apply a promo code for this signed-in customer
+ * @returns {Promise<Object>} Server-computed items, subtotal, discount, GST breakup (cgst, sgst, tax) and total,
+ *          with the applied promotion or the reason the code was turned down (promoError)
+ */
+export const quoteOrder = async (items, promo = {}) => {
+    const response = await api.post('/orders/quote', { items, ...promo });
+    return response.data;
+};
+
 /**
  * Get all orders with optional status filter.
  * @param {string} [status] - Optional status filter (pending, preparing, served, cancelled)
@@ -50,10 +62,25 @@ export const getOrdersByTable = async (tableNumber) => {
  * Update order status.
  * @param {string} orderId - The MongoDB order ID
  * @param {string} status - New status (pending, preparing, served, cancelled)
+ * @param {Object} [options] - { reason, override }; a reason is required to cancel or override
  * @returns {Promise<Object>} The updated order data
  */
-export const updateOrderStatus = async (orderId, status) => {
-    const response = await api.patch(`/orders/${orderId}`, { status });
+export const updateOrderStatus = async (orderId, status, { reason = '', override = false } = {}) => {
+    const response = await api.patch(`/orders/${orderId}`, { status, reason, override });
+    return response.data;
+};
+
+/**
+ * Update the status of a single order line (partial serving or cancellation).
+ * The order's own status is derived from its items on the server.
+ * @param {string} orderId - The MongoDB order ID
+ * @param {number} itemIndex - Position of the item in the order's items array
+ * @param {string} status - New item status (pending, preparing, served, cancelled)
+ * @param {Object} [options] - { reason, override }; a reason is required to cancel or override
+ * @returns {Promise<Object>} The updated order data
+ */
+export const updateOrderItemStatus = async (orderId, itemIndex, status, { reason = '', override = false } = {}) => {
+    const response = await api.patch(`/orders/${orderId}/items/${itemIndex}`, { status, reason, override });
     return response.data;
 };
 
@@ -68,6 +95,42 @@ export const deleteOrder = async (orderId) => {
 };
 
 
+// ============================================================================
+// Kitchen Display System
+// ============================================================================
+
+/**
+ * Get station tickets for the kitchen screen.
+ * @returns {Promise<Object>} { stations: [{ key, name }], tickets: [...] }
+ */
+export const getKitchenTickets = async () => {
+    const response = await api.get('/orders/kitchen/tickets');
+    return response.data;
+};
+
+/**
+ * Bump a station ticket. Bumping the last ticket of an order marks it served.
+ * @param {string} orderId - The MongoDB order ID
+ * @param {string} station - Station key (e.g. 'wok')
+ * @returns {Promise<Object>} The updated order
+ */
+export const bumpStationTicket = async (orderId, station) => {
+    const response = await api.patch(`/orders/${orderId}/tickets/${station}/bump`);
+    return response.data;
+};
+
+/**
+ * Recall a bumped station ticket back to the kitchen screen.
+ * @param {string} orderId - The MongoDB order ID
+ * @param {string} station - Station key
+ * @returns {Promise<Object>} The updated order
+ */
+export const recallStationTicket = async (orderId, station) => {
+    const response = await api.patch(`/orders/${orderId}/tickets/${station}/recall`);
+    return response.data;
+};
+
+
 // ============================================================================
 // Session-Based Billing
 // ============================================================================
@@ -97,10 +160,11 @@ export const getConsolidatedBill = async (sessionId) => {
  * Request payment - notifies admin that customer is ready to pay.
  * Sends instant Socket.IO notification to admin dashboard.
  * @param {string} sessionId - The session ID
- * @returns {Promise<Object>} Confirmation that notification was sent
+ * @param {Object} [redemption] - { customerId, redeemPoints } to pay part of the bill with loyalty points
+ * @returns {Promise<Object>} Confirmation that notification was sent, with the created bill
  */
-export const requestPayment = async (sessionId) => {
-    const response = await api.post(`/orders/session/${sessionId}/pay-request`);
+export const requestPayment = async (sessionId, redemption = {}) => {
+    const response = await api.post(`/orders/session/${sessionId}/pay-request`, redemption);
     return response.data;
 };
 
@@ -129,6 +193,67 @@ export const updateBillingStatus = async (sessionId, billingStatus, paymentMetho
     return response.data;
 };
 
+/**
+ * Split a session's bill into shares that are paid separately (replaces an earlier split).
+ * @param {string} sessionId - The session ID
+ * @param {Object} split - { method: 'equal', count } | { method: 'items', shares: [{ label, items: [{ index, quantity }] }] }
+ *                         | { method: 'amounts', shares: [{ label, amount }] }
+ * @returns {Promise<Object>} The bill with its shares
+ */
+export const splitBill = async (sessionId, split) => {
+    const response = await api.post(`/orders/session/${sessionId}/split`, split);
+    return response.data;
+};
+
+/**
+ * Undo a bill's split so it is paid as one bill again.
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object>} The bill
+ */
+export const removeBillSplit = async (sessionId) => {
+    const response = await api.delete(`/orders/session/${sessionId}/split`);
+    return response.data;
+};
+
+/**
+ * Mark one share of a split bill paid, or due again.
+ * @param {string} sessionId - The session ID
+ * @param {string} splitId - The share's ID
+ * @param {string} billingStatus - 'paid' or 'pending_payment'
+ * @param {string} [paymentMethod] - Optional payment method ('cash', 'card', 'upi')
+ * @returns {Promise<Object>} The bill with its shares
+ */
+export const updateSplitStatus = async (sessionId, splitId, billingStatus, paymentMethod = null) => {
+    const response = await api.patch(`/orders/session/${sessionId}/splits/${splitId}/billing-status`, {
+        billingStatus,
+        paymentMethod
+    });
+    return response.data;
+};
+
+/**
+ * Record payments collected towards a bill, or one share of a split bill.
+ * The bill closes once its payments cover the amount due.
+ * @param {string} sessionId - The session ID
+ * @param {Object} payment - { payments: [{ method, amount, reference }], splitId }; for cash, amount is what was handed over
+ * @returns {Promise<Object>} { bill, change, pointsEarned }
+ */
+export const recordPayment = async (sessionId, { payments, splitId = null }) => {
+    const response = await api.post(`/orders/session/${sessionId}/payments`, { payments, splitId });
+    return response.data;
+};
+
+/**
+ * Remove a payment recorded by mistake.
+ * @param {string} sessionId - The session ID
+ * @param {string} paymentId - The payment's ID
+ * @returns {Promise<Object>} The bill
+ */
+export const removePayment = async (sessionId, paymentId) => {
+    const response = await api.delete(`/orders/session/${sessionId}/payments/${paymentId}`);
+    return response.data;
+};
+
 
 /**
  * Get the Bill document for a session.
@@ -141,9 +266,21 @@ export const getBillRecord = async (sessionId) => {
 };
 
 
+/**
+ * Get a UPI payment link and QR code for what is left to pay on a session's bill.
+ * @param {string} sessionId - The session ID
+ * @param {string} [splitId] - Share being paid, for a split bill
+ * @returns {Promise<Object>} { billNumber, splitId, vpa, payeeName, amount, note, upiLink, qrCode }
+ */
+export const getUpiPaymentRequest = async (sessionId, splitId = null) => {
+    const response = await api.get(`/orders/session/${sessionId}/upi`, { params: splitId ? { splitId } : {} });
+    return response.data;
+};
+
+
 /**
  * Get all bills with optional filters (for admin billing history).
- * @param {Object} [filters] - Optional filters { status, startDate, endDate }
+ * @param {Object} [filters] - Optional filters { status, startDate, endDate, paymentMethod }
  * @returns {Promise<Object>} List of all bills
  */
 export const getAllBills = async (filters = {}) => {
@@ -177,19 +314,30 @@ export const getBillsByPhone = async (phone) => {
 
 
 export default {
+    quoteOrder,
     createOrder,
     getAllOrders,
     getOrderById,
     getOrdersByTable,
     getOrdersByPhone,
     updateOrderStatus,
+    updateOrderItemStatus,
     deleteOrder,
+    getKitchenTickets,
+    bumpStationTicket,
+    recallStationTicket,
     getSessionOrders,
     getConsolidatedBill,
     requestPayment,
     getPendingPayments,
     updateBillingStatus,
+    splitBill,
+    removeBillSplit,
+    updateSplitStatus,
+    recordPayment,
+    removePayment,
     getBillRecord,
+    getUpiPaymentRequest,
     getAllBills,
     getBillsByPhone
 };
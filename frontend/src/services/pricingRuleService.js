@@ -0,0 +1,56 @@
+/**
+ * Pricing Rule Service - Handles all API calls for happy-hour and other time-based menu prices.
+ * Customers see the resulting prices on the menu (activePrice from menuService).
+ */
+
+import api from './api';
+
+/**
+ * Fetch all pricing rules, each with whether it is running right now.
+ * @returns {Promise<Array>} Array of pricing rules
+ */
+const fetchPricingRules = async () => {
+    const response = await api.get('/pricing-rules');
+    return Array.isArray(response.data) ? response.data : [];
+};
+
+/**
+ * Create a new pricing rule.
+ * @param {Object} ruleData - { name, adjustmentType, value, daysOfWeek, startTime, endTime,
+ *                             categories, menuItems, isActive }
+ * @returns {Promise<Object>} Created pricing rule
+ */
+const createPricingRule = async (ruleData) => {
+    const response = await api.post('/pricing-rules', ruleData);
+    return response.data;
+};
+
+/**
+ * Update an existing pricing rule (also used to enable or disable it).
+ * @param {string} id - Pricing rule ID
+ * @param {Object} ruleData - Updated pricing rule fields
+ * @returns {Promise<Object>} Updated pricing rule
+ */
+const updatePricingRule = async (id, ruleData) => {
+    const response = await api.put(`/pricing-rules/${id}`, ruleData);
+    return response.data;
+};
+
+/**
+ * Delete a pricing rule. Orders already placed keep their prices.
+ * @param {string} id - Pricing rule ID
+ * @returns {Promise<Object>} Deletion confirmation
+ */
+const deletePricingRule = async (id) => {
+    const response = await api.delete(`/pricing-rules/${id}`);
+    return response.data;
+};
+
+const pricingRuleService = {
+    fetchPricingRules,
+    createPricingRule,
+    updatePricingRule,
+    deletePricingRule
+};
+
+export default pricingRuleService;
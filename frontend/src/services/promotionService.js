@@ -0,0 +1,69 @@
+/**
+ * Promotion Service - Handles all API calls for promo code management.
+ * Customers apply codes through the order quote (see orderService.quoteOrder).
+ */
+
+import api from './api';
+
+/**
+ * Fetch promotions with their usage, newest first.
+ * @param {string} status - active, scheduled, expired, exhausted, disabled or 'all'
+ * @returns {Promise<Array>} Array of promotions, each with a usage summary
+ */
+const fetchPromotions = async (status = 'all') => {
+    const url = status && status !== 'all' ? `/promotions?status=${status}` : '/promotions';
+    const response = await api.get(url);
+    return Array.isArray(response.data) ? response.data : [];
+};
+
+/**
+ * Fetch a single promotion with its usage and most recent orders.
+ * @param {string} id - Promotion ID
+ * @returns {Promise<Object>} Promotion
+ */
+const fetchPromotionById = async (id) => {
+    const response = await api.get(`/promotions/${id}`);
+    return response.data;
+};
+
+/**
+ * Create a new promotion.
+ * @param {Object} promotionData - { code, description, discountType, discountValue, minOrderValue, maxDiscount,
+ *                                  startsAt, endsAt, usageLimit, perCustomerLimit, categories, menuItems, isActive }
+ * @returns {Promise<Object>} Created promotion
+ */
+const createPromotion = async (promotionData) => {
+    const response = await api.post('/promotions', promotionData);
+    return response.data;
+};
+
+/**
+ * Update an existing promotion (also used to enable or disable it).
+ * @param {string} id - Promotion ID
+ * @param {Object} promotionData - Updated promotion fields
+ * @returns {Promise<Object>} Updated promotion
+ */
+const updatePromotion = async (id, promotionData) => {
+    const response = await api.put(`/promotions/${id}`, promotionData);
+    return response.data;
+};
+
+/**
+ * Delete a promotion. Fails once an order has used it.
+ * @param {string} id - Promotion ID
+ * @returns {Promise<Object>} Deletion confirmation
+ */
+const deletePromotion = async (id) => {
+    const response = await api.delete(`/promotions/${id}`);
+    return response.data;
+};
+
+const promotionService = {
+    fetchPromotions,
+    fetchPromotionById,
+    createPromotion,
+    updatePromotion,
+    deletePromotion
+};
+
+export default promotionService;
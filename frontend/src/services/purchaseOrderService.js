@@ -0,0 +1,104 @@
+/**
+ * Purchase Order Service - Handles API calls for purchase orders and goods received.
+ */
+
+import api from './api';
+
+/**
+ * Fetch purchase orders, newest first.
+ * @param {Object} filters - Optional { status, supplier, inventoryItem }
+ * @returns {Promise<Array>} Array of purchase orders
+ */
+const fetchPurchaseOrders = async (filters = {}) => {
+    const params = new URLSearchParams();
+
+    if (filters.status && filters.status !== 'all') {
+        params.append('status', filters.status);
+    }
+    if (filters.supplier && filters.supplier !== 'all') {
+        params.append('supplier', filters.supplier);
+    }
+    if (filters.inventoryItem) {
+        params.append('inventoryItem', filters.inventoryItem);
+    }
+
+    const queryString = params.toString();
+    const url = queryString ? `/purchase-orders?${queryString}` : '/purchase-orders';
+
+    const response = await api.get(url);
+    return Array.isArray(response.data) ? response.data : [];
+};
+
+/**
+ * Fetch low and out-of-stock items with suggested order quantities.
+ * @returns {Promise<Array>} [{ inventoryItem, suggestedQuantity, quantityOnOrder }]
+ */
+const fetchReorderSuggestions = async () => {
+    const response = await api.get('/purchase-orders/reorder-suggestions');
+    return Array.isArray(response.data) ? response.data : [];
+};
+
+/**
+ * Fetch a single purchase order with its supplier.
+ * @param {string} id - Purchase order ID
+ * @returns {Promise<Object>} Purchase order
+ */
+const fetchPurchaseOrderById = async (id) => {
+    const response = await api.get(`/purchase-orders/${id}`);
+    return response.data;
+};
+
+/**
+ * Create a purchase order.
+ * @param {Object} purchaseOrderData - { supplier, items: [{ inventoryItem, quantityOrdered, unitCost }], expectedDeliveryDate, notes }
+ * @returns {Promise<Object>} Created purchase order
+ */
+const createPurchaseOrder = async (purchaseOrderData) => {
+    const response = await api.post('/purchase-orders', purchaseOrderData);
+    return response.data;
+};
+
+/**
+ * Receive a full or partial delivery against a purchase order.
+ * @param {string} id - Purchase order ID
+ * @param {Object} receiptData - { items: [{ inventoryItem, quantity, unitCost }], note }
+ * @returns {Promise<Object>} Updated purchase order
+ */
+const receivePurchaseOrder = async (id, receiptData) => {
+    const response = await api.post(`/purchase-orders/${id}/receive`, receiptData);
+    return response.data;
+};
+
+/**
+ * Cancel the outstanding quantities of a purchase order.
+ * @param {string} id - Purchase order ID
+ * @returns {Promise<Object>} Updated purchase order
+ */
+const cancelPurchaseOrder = async (id) => {
+    const response = await api.patch(`/purchase-orders/${id}/cancel`);
+    return response.data;
+};
+
+/**
+ * Export a purchase order to CSV.
+ * @param {string} id - Purchase order ID
+ * @returns {Promise<Blob>} CSV file blob
+ */
+const exportPurchaseOrderCSV = async (id) => {
+    const response = await api.get(`/purchase-orders/${id}/export/csv`, {
+        responseType: 'blob'
+    });
+    return response.data;
+};
+
+const purchaseOrderService = {
+    fetchPurchaseOrders,
+    fetchReorderSuggestions,
+    fetchPurchaseOrderById,
+    createPurchaseOrder,
+    receivePurchaseOrder,
+    cancelPurchaseOrder,
+    exportPurchaseOrderCSV
+};
+
+export default purchaseOrderService;
@@ -0,0 +1,68 @@
+/**
+ * Review Service - Handles all API calls for menu item ratings and reviews.
+ * Customers rate items they were served; admins moderate reviews with a comment.
+ */
+
+import api from './api';
+
+/**
+ * Rate and review a menu item (replaces the customer's earlier review of it).
+ * @param {string} customerId - Verified customer's ID
+ * @param {Object} reviewData - { menuItemId, rating (1-5), comment }
+ * @returns {Promise<Object>} { success, message, data: review }
+ */
+const submitReview = async (customerId, reviewData) => {
+    const response = await api.post('/reviews', { ...reviewData, customerId });
+    return response.data;
+};
+
+/**
+ * Fetch the customer's own reviews.
+ * @param {string} customerId - Verified customer's ID
+ * @returns {Promise<Object>} { success, data: reviews }
+ */
+const fetchMyReviews = async (customerId) => {
+    const response = await api.get('/reviews/mine', { params: { customerId } });
+    return response.data;
+};
+
+/**
+ * Fetch the latest approved written reviews of a menu item.
+ * @param {string} menuItemId - Menu item ID
+ * @returns {Promise<Object>} { success, data: reviews }
+ */
+const fetchMenuItemReviews = async (menuItemId) => {
+    const response = await api.get(`/reviews/menu-item/${menuItemId}`);
+    return response.data;
+};
+
+/**
+ * Fetch reviews for moderation (admin).
+ * @param {string} [status='pending'] - pending, approved or rejected
+ * @returns {Promise<Object>} { success, data: reviews }
+ */
+const fetchReviews = async (status = 'pending') => {
+    const response = await api.get('/reviews', { params: { status } });
+    return response.data;
+};
+
+/**
+ * Approve or reject a review (admin). The item's rating is recalculated.
+ * @param {string} id - Review ID
+ * @param {string} status - approved or rejected
+ * @returns {Promise<Object>} { success, message, data: { review, menuItem } }
+ */
+const moderateReview = async (id, status) => {
+    const response = await api.put(`/reviews/${id}/moderation`, { status });
+    return response.data;
+};
+
+const reviewService = {
+    submitReview,
+    fetchMyReviews,
+    fetchMenuItemReviews,
+    fetchReviews,
+    moderateReview
+};
+
+export default reviewService;
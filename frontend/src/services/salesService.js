@@ -108,6 +108,29 @@ const fetchPopularCombos = async (period = 'today', limit = 5) => {
 };
 
 
+/**
+ * Fetch revenue earned from item add-ons.
+ * @param {string} period - 'today', 'week', or 'month'
+ * @param {number} limit - Number of add-ons to return (default: 5)
+ * @returns {Promise<Object>} { totalAddOnRevenue, addOns: Array of { name, quantity, revenue } }
+ */
+const fetchAddOnRevenue = async (period = 'today', limit = 5) => {
+    const response = await api.get('/sales/add-on-revenue', { params: { period, limit } });
+    return response.data;
+};
+
+
+/**
+ * Fetch how money was collected: cash, card, UPI and other.
+ * @param {string} period - 'today', 'week', or 'month'
+ * @returns {Promise<Object>} { total, methods: Array of { method, amount, count, share } }
+ */
+const fetchPaymentMethodMix = async (period = 'today') => {
+    const response = await api.get('/sales/payment-methods', { params: { period } });
+    return response.data;
+};
+
+
 /**
  * Fetch growth metrics for KPI cards (percentage changes).
  * @param {string} period - 'today', 'week', or 'month'
@@ -129,6 +152,8 @@ const salesService = {
     fetchRevenueByHour,
     fetchNewCustomers,
     fetchPopularCombos,
+    fetchAddOnRevenue,
+    fetchPaymentMethodMix,
     fetchGrowthMetrics
 };
 
@@ -0,0 +1,101 @@
+/**
+ * Stock-take Service - Handles API calls for physical stock counts and their approval.
+ */
+
+import api from './api';
+
+/**
+ * Fetch stock-takes, newest first.
+ * @param {string} status - Optional status filter
+ * @returns {Promise<Array>} Array of stock-takes
+ */
+const fetchStockTakes = async (status = 'all') => {
+    const url = status && status !== 'all' ? `/stock-takes?status=${status}` : '/stock-takes';
+    const response = await api.get(url);
+    return Array.isArray(response.data) ? response.data : [];
+};
+
+/**
+ * Fetch a single stock-take with its lines.
+ * @param {string} id - Stock-take ID
+ * @returns {Promise<Object>} Stock-take
+ */
+const fetchStockTakeById = async (id) => {
+    const response = await api.get(`/stock-takes/${id}`);
+    return response.data;
+};
+
+/**
+ * Fetch an inventory item's variance in past approved stock-takes, oldest first.
+ * @param {string} inventoryItemId - Inventory item ID
+ * @returns {Promise<Array>} [{ stockTake, stockTakeNumber, approvedAt, systemQuantity, countedQuantity, variance, varianceValue }]
+ */
+const fetchItemStockTakeHistory = async (inventoryItemId) => {
+    const response = await api.get(`/stock-takes/history/${inventoryItemId}`);
+    return Array.isArray(response.data) ? response.data : [];
+};
+
+/**
+ * Start a stock-take.
+ * @param {Object} stockTakeData - { category, notes } - category 'all' counts everything
+ * @returns {Promise<Object>} Created stock-take
+ */
+const createStockTake = async (stockTakeData) => {
+    const response = await api.post('/stock-takes', stockTakeData);
+    return response.data;
+};
+
+/**
+ * Enter the counted quantity of one item (null clears it).
+ * @param {string} id - Stock-take ID
+ * @param {string} inventoryItemId - Inventory item ID
+ * @param {number|null} countedQuantity - Quantity counted
+ * @returns {Promise<Object>} Updated stock-take
+ */
+const countStockTakeLine = async (id, inventoryItemId, countedQuantity) => {
+    const response = await api.patch(`/stock-takes/${id}/lines/${inventoryItemId}`, { countedQuantity });
+    return response.data;
+};
+
+/**
+ * Finish counting and send a stock-take for approval.
+ * @param {string} id - Stock-take ID
+ * @returns {Promise<Object>} Updated stock-take
+ */
+const submitStockTake = async (id) => {
+    const response = await api.patch(`/stock-takes/${id}/submit`);
+    return response.data;
+};
+
+/**
+ * Approve a submitted stock-take, adjusting stock to the counted quantities (managers only).
+ * @param {string} id - Stock-take ID
+ * @returns {Promise<Object>} Updated stock-take
+ */
+const approveStockTake = async (id) => {
+    const response = await api.patch(`/stock-takes/${id}/approve`);
+    return response.data;
+};
+
+/**
+ * Cancel an open stock-take without adjusting stock.
+ * @param {string} id - Stock-take ID
+ * @returns {Promise<Object>} Updated stock-take
+ */
+const cancelStockTake = async (id) => {
+    const response = await api.patch(`/stock-takes/${id}/cancel`);
+    return response.data;
+};
+
+const stockTakeService = {
+    fetchStockTakes,
+    fetchStockTakeById,
+    fetchItemStockTakeHistory,
+    createStockTake,
+    countStockTakeLine,
+    submitStockTake,
+    approveStockTake,
+    cancelStockTake
+};
+
+export default stockTakeService;
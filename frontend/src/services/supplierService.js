@@ -0,0 +1,54 @@
+/**
+ * Supplier Service - Handles all API calls for supplier operations.
+ */
+
+import api from './api';
+
+/**
+ * Fetch all suppliers, sorted by name.
+ * @returns {Promise<Array>} Array of suppliers
+ */
+const fetchAllSuppliers = async () => {
+    const response = await api.get('/suppliers');
+    return Array.isArray(response.data) ? response.data : [];
+};
+
+/**
+ * Create a new supplier.
+ * @param {Object} supplierData - { name, contactPerson, phone, email, address, leadTimeDays, notes }
+ * @returns {Promise<Object>} Created supplier
+ */
+const createSupplier = async (supplierData) => {
+    const response = await api.post('/suppliers', supplierData);
+    return response.data;
+};
+
+/**
+ * Update an existing supplier.
+ * @param {string} id - Supplier ID
+ * @param {Object} supplierData - Updated supplier fields
+ * @returns {Promise<Object>} Updated supplier
+ */
+const updateSupplier = async (id, supplierData) => {
+    const response = await api.put(`/suppliers/${id}`, supplierData);
+    return response.data;
+};
+
+/**
+ * Delete a supplier. Fails while the supplier has open purchase orders.
+ * @param {string} id - Supplier ID
+ * @returns {Promise<Object>} Deletion confirmation
+ */
+const deleteSupplier = async (id) => {
+    const response = await api.delete(`/suppliers/${id}`);
+    return response.data;
+};
+
+const supplierService = {
+    fetchAllSuppliers,
+    createSupplier,
+    updateSupplier,
+    deleteSupplier
+};
+
+export default supplierService;